@@ -81,6 +81,12 @@ function printUsage() {
     "    config-export [--format json|env|yaml] [--output <path>] [--profile minimal|standard|hardened]",
     "        Export a deployment configuration template with all tunable options",
     "",
+    "    serve [--config <path>] [--port N] [--host <addr>]",
+    "        Run an HTTP challenge/verify server (secret via config or GIF_CAPTCHA_SECRET)",
+    "",
+    "    eval --data <file> [--detectors a,b] [--target-frr N] [--threshold N] [--format text|json] [--output <path>]",
+    "        Compare bot detectors on a labelled dataset (JSON array or JSON Lines)",
+    "",
     "  Examples:",
     "    gif-captcha generate --count 5",
     "    gif-captcha validate --answer \"dog plays\" --expected \"dog playing tic tac toe\"",
@@ -88,6 +94,8 @@ function printUsage() {
     "    gif-captcha trust --ip 203.0.113.42",
     "    gif-captcha stats --challenges 20",
     "    gif-captcha doctor --verbose",
+    "    gif-captcha serve --config captcha.json --port 8080",
+    "    gif-captcha eval --data sessions.jsonl --target-frr 0.005",
     "",
   ].join("\n"));
 }
@@ -659,6 +667,130 @@ function configToYaml(obj, indent) {
   return lines.join("\n");
 }
 
+function cmdServe() {
+  var fs = require("fs");
+  var path = require("path");
+  var createCaptchaServer = require("../src/captcha-server").createCaptchaServer;
+
+  var config = {};
+  var configPath = flag("config");
+  if (configPath) {
+    try {
+      config = JSON.parse(fs.readFileSync(path.resolve(configPath), "utf8"));
+    } catch (e) {
+      console.error("\n  Error: cannot read config " + configPath + ": " + e.message + "\n");
+      process.exit(1);
+    }
+  }
+  if (!config.secret && process.env.GIF_CAPTCHA_SECRET) {
+    config.secret = process.env.GIF_CAPTCHA_SECRET;
+  }
+  if (process.env.GIF_CAPTCHA_VERIFY_SECRET && !(config.server && config.server.verifySecret)) {
+    config.server = Object.assign({}, config.server, { verifySecret: process.env.GIF_CAPTCHA_VERIFY_SECRET });
+  }
+
+  var port = flag("port");
+  if (port !== undefined) {
+    port = parseInt(port, 10);
+    if (isNaN(port) || port < 0 || port > 65535) {
+      console.error("\n  Error: --port must be 0-65535\n");
+      process.exit(1);
+    }
+  }
+
+  var server;
+  try {
+    server = createCaptchaServer(config);
+  } catch (e) {
+    console.error("\n  Error: " + e.message + "\n");
+    process.exit(1);
+  }
+
+  var http = server.listen(port, flag("host"), function (addr) {
+    var base = server.config.server.basePath;
+    console.log("\n  🚀 gif-captcha server listening on http://" + addr.address + ":" + addr.port + base);
+    console.log("     POST " + base + "/challenge   GET " + base + "/challenge/:id.gif");
+    console.log("     POST " + base + "/answer      POST " + base + "/verify   GET " + base + "/health\n");
+  });
+  http.on("error", function (e) {
+    console.error("\n  Error: " + e.message + "\n");
+    process.exit(1);
+  });
+
+  function shutdown() {
+    server.close(function () { process.exit(0); });
+  }
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+function cmdEval() {
+  var fs = require("fs");
+  var path = require("path");
+  var dataPath = flag("data");
+  var format = flag("format") || "text";
+
+  if (!dataPath) {
+    console.error("\n  Error: --data <file> is required\n");
+    process.exit(1);
+  }
+  if (["text", "json"].indexOf(format) === -1) {
+    console.error("\n  Error: --format must be text or json\n");
+    process.exit(1);
+  }
+
+  var samples;
+  try {
+    var text = fs.readFileSync(path.resolve(dataPath), "utf8");
+    if (/\.(jsonl|ndjson)$/i.test(dataPath)) {
+      samples = text.split(/\r?\n/).filter(function (l) { return l.trim(); }).map(function (l) { return JSON.parse(l); });
+    } else {
+      var parsed = JSON.parse(text);
+      samples = Array.isArray(parsed) ? parsed : parsed && parsed.samples;
+    }
+    if (!Array.isArray(samples)) throw new Error("expected an array of samples or { samples: [...] }");
+  } catch (e) {
+    console.error("\n  Error: cannot read dataset " + dataPath + ": " + e.message + "\n");
+    process.exit(1);
+  }
+
+  var opts = {};
+  var detectors = flag("detectors");
+  if (detectors) opts.detectors = detectors.split(",").map(function (d) { return d.trim(); }).filter(Boolean);
+  var numeric = { "target-frr": "targetFrr", "threshold": "threshold", "folds": "folds", "seed": "seed", "curve-points": "maxCurvePoints" };
+  Object.keys(numeric).forEach(function (name) {
+    var v = flag(name);
+    if (v === undefined) return;
+    var n = parseFloat(v);
+    if (isNaN(n)) {
+      console.error("\n  Error: --" + name + " must be a number\n");
+      process.exit(1);
+    }
+    opts[numeric[name]] = n;
+  });
+
+  var report;
+  try {
+    var evaluator = gifCaptcha.createDetectorEvaluator();
+    evaluator.addBatch(samples);
+    report = evaluator.evaluate(opts);
+  } catch (e) {
+    console.error("\n  Error: " + e.message + "\n");
+    process.exit(1);
+  }
+
+  var result = format === "json" ? JSON.stringify(report, null, 2) : gifCaptcha.formatEvalReport(report);
+  var output = flag("output");
+  if (output) {
+    var resolved = path.resolve(output);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.writeFileSync(resolved, result + "\n", "utf8");
+    console.log("\n  ✅ Evaluation report written to " + resolved + "\n");
+  } else {
+    console.log(result);
+  }
+}
+
 // ── Dispatch ──
 
 switch (command) {
@@ -671,6 +803,8 @@ switch (command) {
   case "info":      cmdInfo();      break;
   case "doctor":    cmdDoctor();    break;
   case "config-export": cmdConfigExport(); break;
+  case "serve":     cmdServe();     break;
+  case "eval":      cmdEval();      break;
   case "--help": case "-h": case "help": case undefined:
     printUsage();
     break;
@@ -6,6 +6,13 @@ var LruTracker = _shared.LruTracker;
 var _numAsc = _shared._numAsc;
 var _mean = _shared._mean;
 var _median = _shared._median;
+var _seq = require("./sequential-testing");
+
+var SEQUENTIAL_METHODS = ['group-sequential', 'msprt'];
+var EFFICACY = 'stop for efficacy';
+var FUTILITY = 'stop for futility';
+var CONTINUE = 'continue';
+var MSPRT_HISTORY = 50;
 
 /**
  * Factory: create an A/B experiment runner for CAPTCHA configurations.
@@ -15,12 +22,43 @@ var _median = _shared._median;
  * compute statistical significance (chi-squared + z-test for proportions),
  * detect winners, and support early stopping.
  *
+ * The default analysis is fixed-horizon: its p-values are only valid when
+ * read once, at the target sample size. Experiments that are checked as
+ * they run should use a sequential mode (`options.sequential` or
+ * `spec.sequential`), whose decisions stay valid under repeated looks:
+ *
+ *   group-sequential  two-sided Lan-DeMets alpha spending over planned
+ *                     looks, repeated confidence intervals and a
+ *                     non-binding conditional-power futility rule;
+ *   msprt             mixture SPRT with always-valid p-values and
+ *                     confidence intervals, checkable after every event.
+ *
+ * Each variant is compared with control at alpha / (variants - 1), and
+ * analyses report `decision`: 'stop for efficacy', 'stop for futility'
+ * or 'continue'.
+ *
  * @param {Object} [options]
  * @param {number} [options.maxExperiments=50] - Maximum concurrent experiments
  * @param {number} [options.significanceLevel=0.05] - P-value threshold for significance
  * @param {number} [options.minSampleSize=30] - Minimum observations per variant before analysis
  * @param {boolean} [options.earlyStoppingEnabled=true] - Allow early stopping when significance reached
  * @param {number} [options.earlyStoppingConfidence=0.01] - Stricter p-value for early stop
+ *   (fixed-horizon mode; sequential experiments stop on their decision)
+ * @param {Object} [options.sequential] - Default sequential plan for new experiments
+ * @param {string} [options.sequential.method='group-sequential'] - 'group-sequential' | 'msprt'
+ * @param {number} [options.sequential.alpha=significanceLevel] - Overall two-sided type I error
+ * @param {number} [options.sequential.maxSampleSize=targetSampleSize] - Completed attempts per
+ *   variant at which the experiment ends (information fraction 1)
+ * @param {number|number[]} [options.sequential.looks=5] - Number of equally spaced looks, or
+ *   increasing information fractions ending at 1
+ * @param {string|Object} [options.sequential.spending='obrien-fleming'] - Alpha-spending plan:
+ *   'obrien-fleming' | 'pocock' | 'linear' | { power: rho }
+ * @param {number} [options.sequential.futilityPower=0.1] - Stop for futility when conditional
+ *   power under the current trend falls below this (0 disables)
+ * @param {number} [options.sequential.futilityFrom=0.5] - Earliest information fraction for
+ *   the futility rule
+ * @param {number} [options.sequential.mixtureSd=0.05] - mSPRT: spread of plausible differences
+ *   in solve rate
  * @returns {Object} A/B experiment runner API
  *
  * @example
@@ -43,6 +81,8 @@ function createABExperimentRunner(options) {
   var defaultMinSample = options.minSampleSize > 0 ? options.minSampleSize : 30;
   var earlyStoppingEnabled = options.earlyStoppingEnabled !== false;
   var earlyStoppingConfidence = typeof options.earlyStoppingConfidence === 'number' ? options.earlyStoppingConfidence : 0.01;
+  var defaultSequential = options.sequential || null;
+  if (defaultSequential) _normalizeSequential(defaultSequential, 100); // fail fast on a bad plan
 
   var experiments = Object.create(null);
   var experimentOrder = new LruTracker();
@@ -153,6 +193,278 @@ function createABExperimentRunner(options) {
     };
   }
 
+  // ── Sequential analysis ──
+
+  /** Validate a sequential plan and fill in its defaults. */
+  function _normalizeSequential(raw, targetSampleSize) {
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('sequential must be an object or false');
+    }
+    var method = raw.method || 'group-sequential';
+    if (SEQUENTIAL_METHODS.indexOf(method) === -1) {
+      throw new Error('Unknown sequential method: ' + method + '. Expected ' + SEQUENTIAL_METHODS.join('/'));
+    }
+    var alpha = raw.alpha === undefined ? defaultSignificance : raw.alpha;
+    if (typeof alpha !== 'number' || !(alpha > 0 && alpha < 1)) {
+      throw new Error('sequential.alpha must be between 0 and 1');
+    }
+    var maxSampleSize = targetSampleSize;
+    if (raw.maxSampleSize !== undefined) {
+      if (!(raw.maxSampleSize > 0)) throw new Error('sequential.maxSampleSize must be positive');
+      maxSampleSize = Math.floor(raw.maxSampleSize);
+    }
+    var looks = raw.looks === undefined ? 5 : raw.looks;
+    var fractions = [];
+    if (typeof looks === 'number') {
+      if (!(looks >= 1 && looks === Math.floor(looks))) throw new Error('sequential.looks must be a positive integer');
+      for (var k = 1; k <= looks; k++) fractions.push(k / looks);
+    } else if (Array.isArray(looks) && looks.length > 0) {
+      for (var i = 0; i < looks.length; i++) {
+        if (typeof looks[i] !== 'number' || !(looks[i] > (i ? looks[i - 1] : 0) && looks[i] <= 1)) {
+          throw new Error('sequential.looks fractions must increase within (0, 1]');
+        }
+      }
+      if (looks[looks.length - 1] !== 1) throw new Error('sequential.looks must end at 1');
+      fractions = looks.slice();
+    } else {
+      throw new Error('sequential.looks must be a number or an array of fractions');
+    }
+    var spending = raw.spending === undefined ? 'obrien-fleming' : raw.spending;
+    _seq.validateSpendingPlan(spending);
+    if (typeof spending === 'object') spending = { power: spending.power };
+    var futilityPower = raw.futilityPower === undefined ? 0.1 : raw.futilityPower;
+    if (typeof futilityPower !== 'number' || !(futilityPower >= 0 && futilityPower < 1)) {
+      throw new Error('sequential.futilityPower must be in [0, 1)');
+    }
+    var futilityFrom = raw.futilityFrom === undefined ? 0.5 : raw.futilityFrom;
+    if (typeof futilityFrom !== 'number' || !(futilityFrom >= 0 && futilityFrom <= 1)) {
+      throw new Error('sequential.futilityFrom must be in [0, 1]');
+    }
+    var mixtureSd = raw.mixtureSd === undefined ? 0.05 : raw.mixtureSd;
+    if (typeof mixtureSd !== 'number' || !(mixtureSd > 0)) {
+      throw new Error('sequential.mixtureSd must be positive');
+    }
+    return {
+      method: method,
+      alpha: alpha,
+      maxSampleSize: maxSampleSize,
+      looks: fractions,
+      spending: spending,
+      futilityPower: futilityPower,
+      futilityFrom: futilityFrom,
+      mixtureSd: mixtureSd,
+    };
+  }
+
+  function _newSequentialState(method) {
+    if (method === 'msprt') {
+      return { decision: CONTINUE, direction: 0, pValue: 1, interval: [-1, 1], intervalEmpty: false, history: [] };
+    }
+    return { decision: CONTINUE, direction: 0, looks: [], conditionalPower: null };
+  }
+
+  function _spendingLabel(plan) {
+    return typeof plan === 'string' ? plan : 'power(' + plan.power + ')';
+  }
+
+  function _round(x, digits) {
+    var f = Math.pow(10, digits);
+    return Math.round(x * f) / f;
+  }
+
+  // Boundaries for the looks taken plus the planned looks still ahead,
+  // spending at each look's actual information fraction.
+  function _projectLooks(cfg, st, alpha) {
+    var ts = st.looks.map(function (l) { return l.t; });
+    var last = ts.length ? ts[ts.length - 1] : 0;
+    var planned = [];
+    for (var i = 0; i < cfg.looks.length; i++) {
+      if (cfg.looks[i] > last) planned.push(cfg.looks[i]);
+    }
+    var all = ts.concat(planned);
+    var spends = [];
+    var prev = 0;
+    for (var k = 0; k < all.length; k++) {
+      var cum = _seq.alphaSpent(cfg.spending, all[k], alpha);
+      spends.push(cum - prev);
+      prev = cum;
+    }
+    var bounds = _seq.groupSequentialBoundaries(all, spends);
+    return all.map(function (t, j) {
+      return { t: t, boundary: isFinite(bounds[j]) ? bounds[j] : null, planned: j >= ts.length };
+    });
+  }
+
+  function _groupSequentialLook(cfg, st, alpha, c, v) {
+    var nc = c.solves + c.fails;
+    var nv = v.solves + v.fails;
+    var n = Math.min(nc, nv);
+    var t = Math.min(1, n / cfg.maxSampleSize);
+    var last = st.looks.length ? st.looks[st.looks.length - 1].t : 0;
+    if (st.decision !== CONTINUE || n < defaultMinSample || !(t > last)) return;
+    var due = t >= 1;
+    for (var i = 0; i < cfg.looks.length && !due; i++) {
+      if (cfg.looks[i] > last && cfg.looks[i] <= t) due = true;
+    }
+    if (!due) return;
+
+    var pc = c.solves / nc;
+    var pv = v.solves / nv;
+    var pPool = (c.solves + v.solves) / (nc + nv);
+    var sePool = Math.sqrt(pPool * (1 - pPool) * (1 / nc + 1 / nv));
+    var z = sePool > 0 ? (pv - pc) / sePool : 0;
+    var se = Math.sqrt(pc * (1 - pc) / nc + pv * (1 - pv) / nv) || sePool;
+
+    st.looks.push({ t: t, n: n, z: z, difference: pv - pc, boundary: null, alphaSpent: _seq.alphaSpent(cfg.spending, t, alpha) });
+    var projected = _projectLooks(cfg, st, alpha);
+    var look = st.looks[st.looks.length - 1];
+    look.boundary = projected[st.looks.length - 1].boundary;
+    look.interval = look.boundary === null ? [-1, 1] : [look.difference - look.boundary * se, look.difference + look.boundary * se];
+
+    st.conditionalPower = null;
+    if (look.boundary !== null && Math.abs(z) >= look.boundary) {
+      st.decision = EFFICACY;
+      st.direction = z > 0 ? 1 : -1;
+    } else if (t >= 1) {
+      st.decision = FUTILITY;
+    } else {
+      var finalBound = projected[projected.length - 1].boundary;
+      st.conditionalPower = _seq.conditionalPower(z, t, finalBound === null ? Infinity : finalBound);
+      if (cfg.futilityPower > 0 && t >= cfg.futilityFrom && st.conditionalPower < cfg.futilityPower) {
+        st.decision = FUTILITY;
+      }
+    }
+  }
+
+  function _msprtLook(cfg, st, alpha, c, v) {
+    var nc = c.solves + c.fails;
+    var nv = v.solves + v.fails;
+    var n = Math.min(nc, nv);
+    var lastN = st.history.length ? st.history[st.history.length - 1].n : -1;
+    if (st.decision !== CONTINUE || n < defaultMinSample || nc + nv === lastN) return;
+    var r = _seq.msprtProportions(nc, c.solves, nv, v.solves, cfg.mixtureSd, alpha);
+    st.pValue = Math.min(st.pValue, r.pValue);
+    var lo = Math.max(st.interval[0], r.confidenceInterval[0]);
+    var hi = Math.min(st.interval[1], r.confidenceInterval[1]);
+    // Disjoint intervals mean no difference is consistent with every
+    // look; keep the last non-empty intersection and flag it.
+    if (lo <= hi) st.interval = [lo, hi];
+    else st.intervalEmpty = true;
+    st.history.push({ n: nc + nv, logLikelihoodRatio: r.logLikelihoodRatio, difference: r.difference });
+    if (st.history.length > MSPRT_HISTORY) st.history.shift();
+    if (st.pValue <= alpha) {
+      st.decision = EFFICACY;
+      st.direction = r.difference > 0 ? 1 : -1;
+    } else if (n >= cfg.maxSampleSize) {
+      st.decision = FUTILITY;
+    }
+  }
+
+  /** Take any looks that are due and summarize each comparison with control. */
+  function _sequentialAnalysis(exp, variantStats) {
+    var cfg = exp.sequential;
+    var alpha = cfg.alpha / (exp.variantNames.length - 1);
+    var control = exp.variants['control'];
+    var comparisons = [];
+    var decisions = [];
+    for (var j = 1; j < exp.variantNames.length; j++) {
+      var name = exp.variantNames[j];
+      var vd = exp.variants[name];
+      var st = exp.sequentialState[name] || (exp.sequentialState[name] = _newSequentialState(cfg.method));
+      if (cfg.method === 'msprt') _msprtLook(cfg, st, alpha, control, vd);
+      else _groupSequentialLook(cfg, st, alpha, control, vd);
+
+      var n = Math.min(control.solves + control.fails, vd.solves + vd.fails);
+      var comparison = {
+        variant: name,
+        decision: st.decision,
+        informationFraction: _round(Math.min(1, n / cfg.maxSampleSize), 4),
+        difference: _round(variantStats[j].solveRate - variantStats[0].solveRate, 4),
+      };
+      if (cfg.method === 'msprt') {
+        var latest = st.history.length ? st.history[st.history.length - 1].logLikelihoodRatio : 0;
+        comparison.logLikelihoodRatio = _round(latest, 4);
+        comparison.threshold = _round(Math.log(1 / alpha), 4);
+        comparison.pValue = st.pValue;
+        comparison.confidenceInterval = [_round(st.interval[0], 4), _round(st.interval[1], 4)];
+        comparison.intervalEmpty = !!st.intervalEmpty;
+      } else {
+        var lo = -1;
+        var hi = 1;
+        var empty = false;
+        st.looks.forEach(function (l) {
+          var nextLo = Math.max(lo, l.interval[0]);
+          var nextHi = Math.min(hi, l.interval[1]);
+          if (nextLo <= nextHi) { lo = nextLo; hi = nextHi; } else empty = true;
+        });
+        comparison.z = st.looks.length ? _round(st.looks[st.looks.length - 1].z, 3) : null;
+        comparison.conditionalPower = st.conditionalPower === null ? null : _round(st.conditionalPower, 4);
+        comparison.confidenceInterval = [_round(lo, 4), _round(hi, 4)];
+        comparison.intervalEmpty = empty;
+        comparison.looks = st.looks.map(function (l, k) {
+          return {
+            look: k + 1,
+            informationFraction: _round(l.t, 4),
+            sampleSize: l.n,
+            alphaSpent: _round(l.alphaSpent, 6),
+            boundary: l.boundary === null ? null : _round(l.boundary, 3),
+            z: _round(l.z, 3),
+          };
+        });
+      }
+      comparisons.push(comparison);
+      decisions.push(st);
+    }
+
+    // Winner: the best variant that beat control, or control when every
+    // efficacy stop went against the variant.
+    var decision = CONTINUE;
+    var winner = null;
+    var bestRate = -1;
+    var futile = 0;
+    for (var m = 0; m < decisions.length; m++) {
+      if (decisions[m].decision === EFFICACY) {
+        decision = EFFICACY;
+        if (decisions[m].direction > 0 && variantStats[m + 1].solveRate > bestRate) {
+          bestRate = variantStats[m + 1].solveRate;
+          winner = variantStats[m + 1].name;
+        }
+      } else if (decisions[m].decision === FUTILITY) {
+        futile++;
+      }
+    }
+    if (decision === EFFICACY && winner === null) winner = 'control';
+    if (decision !== EFFICACY && futile === decisions.length) decision = FUTILITY;
+
+    var summary = {
+      method: cfg.method,
+      alpha: cfg.alpha,
+      alphaPerComparison: alpha,
+      maxSampleSize: cfg.maxSampleSize,
+      decision: decision,
+      comparisons: comparisons,
+    };
+    if (cfg.method === 'msprt') {
+      summary.mixtureSd = cfg.mixtureSd;
+    } else {
+      summary.spending = cfg.spending;
+      summary.looks = cfg.looks.slice();
+    }
+    return { summary: summary, winner: winner };
+  }
+
+  function _sequentialRecommendation(decision, winner, sufficientData, variantStats) {
+    if (decision === EFFICACY) {
+      if (winner === 'control') return 'Stop for efficacy: control performs best. No change recommended.';
+      return 'Stop for efficacy: variant "' + winner + '" is the winner. Consider adopting its configuration.';
+    }
+    if (decision === FUTILITY) {
+      return 'Stop for futility: no variant is likely to differ from control. Keep the control configuration.';
+    }
+    if (!sufficientData) return _getRecommendation(null, false, false, variantStats);
+    return 'Continue: no sequential boundary has been crossed yet.';
+  }
+
   // ── Core API ──
 
   /**
@@ -163,6 +475,8 @@ function createABExperimentRunner(options) {
    * @param {Object[]} spec.variants - Array of { name: string, config: Object }
    * @param {number} [spec.targetSampleSize=100] - Target observations per variant
    * @param {string} [spec.description] - Human-readable description
+   * @param {Object|false} [spec.sequential] - Sequential plan (see options.sequential);
+   *   false for a fixed-horizon analysis when the runner has a default plan
    * @returns {Object} Created experiment summary
    */
   function createExperiment(experimentId, spec) {
@@ -194,6 +508,10 @@ function createABExperimentRunner(options) {
       names[v.name] = true;
     }
 
+    var targetSampleSize = spec.targetSampleSize > 0 ? spec.targetSampleSize : 100;
+    var sequentialSpec = spec.sequential !== undefined ? spec.sequential : defaultSequential;
+    var sequential = sequentialSpec ? _normalizeSequential(sequentialSpec, targetSampleSize) : null;
+
     var allVariants = [{ name: 'control', config: spec.control }];
     for (var j = 0; j < spec.variants.length; j++) {
       allVariants.push({ name: spec.variants[j].name, config: spec.variants[j].config || {} });
@@ -218,11 +536,13 @@ function createABExperimentRunner(options) {
       status: 'running',
       createdAt: Date.now(),
       endedAt: null,
-      targetSampleSize: spec.targetSampleSize > 0 ? spec.targetSampleSize : 100,
+      targetSampleSize: targetSampleSize,
       variantNames: allVariants.map(function (v) { return v.name; }),
       variants: variantData,
       winner: null,
       userAssignments: {},
+      sequential: sequential,
+      sequentialState: Object.create(null),
     };
     experimentOrder.push(experimentId);
 
@@ -307,7 +627,10 @@ function createABExperimentRunner(options) {
       }
       if (ready) {
         var analysis = _analyzeInternal(exp);
-        if (analysis.significant && analysis.pValue <= earlyStoppingConfidence) {
+        var stop = exp.sequential
+          ? analysis.decision !== CONTINUE
+          : analysis.significant && analysis.pValue <= earlyStoppingConfidence;
+        if (stop) {
           exp.status = 'completed';
           exp.endedAt = Date.now();
           exp.winner = analysis.winner;
@@ -319,8 +642,16 @@ function createABExperimentRunner(options) {
 
   /**
    * Analyze an experiment's results.
+   *
+   * For sequential experiments this is also a look: a group-sequential
+   * look is recorded once a planned information fraction is reached,
+   * and the mSPRT p-value and interval are updated. `significant`,
+   * `winner` and `recommendation` then follow `decision`; the chi-squared
+   * and pairwise fields stay nominal, fixed-horizon statistics.
+   *
    * @param {string} experimentId
-   * @returns {Object} Analysis results with statistics
+   * @returns {Object} Analysis results with statistics; sequential experiments add
+   *   `decision` and `sequential` ({ method, alpha, decision, comparisons, ... })
    */
   function analyzeExperiment(experimentId) {
     var exp = experiments[experimentId];
@@ -387,7 +718,7 @@ function createABExperimentRunner(options) {
       }
     }
 
-    return {
+    var result = {
       experimentId: exp.id,
       status: exp.status,
       variants: variantStats,
@@ -403,6 +734,15 @@ function createABExperimentRunner(options) {
       winner: winner,
       recommendation: _getRecommendation(winner, significant, sufficientData, variantStats),
     };
+    if (exp.sequential) {
+      var seq = _sequentialAnalysis(exp, variantStats);
+      result.decision = seq.summary.decision;
+      result.significant = seq.summary.decision === EFFICACY;
+      result.winner = seq.winner;
+      result.recommendation = _sequentialRecommendation(seq.summary.decision, seq.winner, sufficientData, variantStats);
+      result.sequential = seq.summary;
+    }
+    return result;
   }
 
   function _getRecommendation(winner, significant, sufficientData, variantStats) {
@@ -556,6 +896,8 @@ function createABExperimentRunner(options) {
         variantNames: exp.variantNames.slice(),
         variants: variantExport,
         winner: exp.winner,
+        sequential: exp.sequential ? JSON.parse(JSON.stringify(exp.sequential)) : null,
+        sequentialState: JSON.parse(JSON.stringify(exp.sequentialState)),
       });
     }
     return { experiments: data, exportedAt: Date.now() };
@@ -600,6 +942,8 @@ function createABExperimentRunner(options) {
         variants: variantData,
         winner: e.winner || null,
         userAssignments: {},
+        sequential: e.sequential ? _normalizeSequential(e.sequential, e.targetSampleSize || 100) : null,
+        sequentialState: _importSequentialState(e.sequentialState),
       };
       experimentOrder.push(e.id);
       imported++;
@@ -607,6 +951,75 @@ function createABExperimentRunner(options) {
     return imported;
   }
 
+  function _importSequentialState(src) {
+    var out = Object.create(null);
+    if (!src || typeof src !== 'object') return out;
+    Object.keys(src).forEach(function (name) {
+      out[name] = JSON.parse(JSON.stringify(src[name]));
+    });
+    return out;
+  }
+
+  function _pts(x) {
+    return (x >= 0 ? '+' : '') + (x * 100).toFixed(2);
+  }
+
+  function _pad(str, width) {
+    str = String(str);
+    while (str.length < width) str = ' ' + str;
+    return str;
+  }
+
+  /** Sequential section of textReport: decisions plus a boundary chart per comparison. */
+  function _sequentialReport(exp, seq, lines) {
+    var cfg = exp.sequential;
+    lines.push('Sequential analysis: ' + seq.method +
+      (seq.method === 'msprt' ? ' (mixture sd ' + seq.mixtureSd + ')' : ' (' + _spendingLabel(seq.spending) + ' spending)') +
+      ', alpha=' + seq.alpha + ', max ' + seq.maxSampleSize + ' per variant');
+    lines.push('Decision: ' + seq.decision);
+    for (var i = 0; i < seq.comparisons.length; i++) {
+      var c = seq.comparisons[i];
+      var st = exp.sequentialState[c.variant];
+      var ci = c.confidenceInterval;
+      lines.push('  ' + c.variant + ' vs control: ' + c.decision +
+        ', info ' + (c.informationFraction * 100).toFixed(1) + '%' +
+        ', diff ' + _pts(c.difference) + ' pts' +
+        ', ' + (seq.method === 'msprt' ? 'always-valid CI' : 'repeated CI') + ' [' + _pts(ci[0]) + ', ' + _pts(ci[1]) + '] pts' +
+        (c.intervalEmpty ? ' (looks disagree: intervals do not overlap)' : '') +
+        (c.pValue !== undefined ? ', always-valid p=' + c.pValue.toFixed(4) : '') +
+        (c.conditionalPower != null ? ', conditional power ' + c.conditionalPower.toFixed(2) : ''));
+      if (seq.method === 'msprt') {
+        // ln(likelihood ratio) against the rejection threshold ln(1 / alpha)
+        lines.push('    ' + _pad('n', 6) + '  ' + _pad('ln LR', 7) + '  0' + _pad('ln(1/alpha) = ' + c.threshold.toFixed(2), 31));
+        st.history.slice(-10).forEach(function (h) {
+          var filled = Math.max(0, Math.min(30, Math.round((h.logLikelihoodRatio / c.threshold) * 30)));
+          lines.push('    ' + _pad(h.n, 6) + '  ' + _pad(h.logLikelihoodRatio.toFixed(2), 7) + '  [' +
+            new Array(filled + 1).join('#') + new Array(31 - filled).join('.') + ']' +
+            (h.logLikelihoodRatio >= c.threshold ? ' <- crossed' : ''));
+        });
+        continue;
+      }
+      var projected = _projectLooks(cfg, st, seq.alphaPerComparison).filter(function (p) {
+        return !p.planned || st.decision === CONTINUE;
+      });
+      if (!projected.length) continue;
+      var rows = projected.map(function (p, k) {
+        var taken = !p.planned;
+        var z = taken ? st.looks[k].z : null;
+        var bound = p.boundary === null ? '    none' : '±' + p.boundary.toFixed(3);
+        return {
+          label: '    ' + _pad(taken ? k + 1 : '-', 4) + '  ' + _pad((p.t * 100).toFixed(0) + '%', 4) + '  ' +
+            _pad(bound, 7) + '  ' + _pad(taken ? (z >= 0 ? '+' : '') + z.toFixed(3) : '', 7),
+          bound: p.boundary,
+          z: z,
+        };
+      });
+      var chart = _seq.boundaryChart(rows);
+      lines.push('    look  info    bound        z' + chart[0].slice(rows[0].label.length));
+      for (var r = 1; r < chart.length; r++) lines.push(chart[r]);
+    }
+  }
+
   /**
    * Generate a text summary of an experiment's results.
    * @param {string} experimentId
@@ -646,6 +1059,10 @@ function createABExperimentRunner(options) {
           (pw.vsControl.significant ? ' *' : ''));
       }
     }
+    if (analysis.sequential) {
+      lines.push('');
+      _sequentialReport(exp, analysis.sequential, lines);
+    }
     lines.push('');
     lines.push('Winner: ' + (analysis.winner || 'None'));
     lines.push('Recommendation: ' + analysis.recommendation);
@@ -0,0 +1,679 @@
+/**
+ * agent-simulator — seeded synthetic bot and human traffic.
+ *
+ * Generates labelled sessions for a set of actor types and replays them
+ * through real module instances, so detector changes can be regression
+ * tested without live traffic. Each session carries the inputs the
+ * detectors take:
+ *
+ *   signals     createBotDetector().analyze() input (mouse path,
+ *               keystrokes, page timing, scrolls, JS check, honeypots)
+ *   solves      per-challenge latencies and outcomes
+ *   biometrics  createBehavioralBiometrics().exportEvents() shape
+ *   profile     createBotSignatureDatabase session profile
+ *
+ * plus ground truth (`label`, `agent`, `actorId`) and network identity
+ * (`ip`, `fingerprint`, `userAgent`) that churns per actor type. The
+ * shape matches createDetectorEvaluator samples.
+ *
+ * Actor types:
+ *
+ *   naive-script     HTTP client: no pointer data, instant fixed-rate
+ *                    typing, sub-second solves, fills honeypots, one
+ *                    datacenter IP.
+ *   headless-browser Puppeteer-style automation: straight constant-rate
+ *                    mouse paths, fixed key delays, fast solves,
+ *                    datacenter IPs that rotate.
+ *   timing-mimic     Bot tuned to look human: smooth curved paths at
+ *                    constant speed, uniformly jittered typing and solve
+ *                    times, a fresh residential proxy and fingerprint
+ *                    each session.
+ *   farm-worker      Paid human solver: human motion but hurried,
+ *                    near-perfect accuracy, back-to-back solves from a
+ *                    few shared devices on one network.
+ *   human            Typical visitor.
+ *   human-motor      Visitor with a motor impairment: tremor, slower and
+ *                    less precise pointing, longer key holds.
+ *   human-cognitive  Visitor who reads and decides slowly: long pauses,
+ *                    slower and less accurate solves.
+ *
+ * The same seed always yields the same sessions.
+ *
+ * @module agent-simulator
+ */
+
+"use strict";
+
+var _ipUtils = require("./ip-utils");
+var _keystrokeDynamics = require("./keystroke-dynamics");
+
+/** Actor types, bots first. */
+var AGENT_TYPES = [
+  "naive-script",
+  "headless-browser",
+  "timing-mimic",
+  "farm-worker",
+  "human",
+  "human-motor",
+  "human-cognitive"
+];
+
+var DEFAULT_IP_POOLS = {
+  datacenter: ["203.0.113.0/24"],
+  residential: ["198.51.100.0/24", "2001:db8:100::/40"],
+  farm: ["192.0.2.0/24"]
+};
+
+var USER_AGENTS = {
+  browser: [
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15",
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:127.0) Gecko/20100101 Firefox/127.0",
+    "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36"
+  ],
+  headless: ["Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/126.0.0.0 Safari/537.36"],
+  script: ["python-requests/2.32.3", "curl/8.8.0"]
+};
+
+/**
+ * Per-type behaviour. Distributions are [a, b] pairs: normal → mean/sd,
+ * lognormal → median/sigma, uniform → min/max.
+ *
+ *   mouse         "none" | "linear" | "smooth" | "human"
+ *   motor         Pointing-time multiplier (Fitts' law)
+ *   tremor        Positional noise, px (sd)
+ *   clickOffset   Distance of clicks from target centres, px (sd)
+ *   hold / flight Key hold and inter-key timing, ms
+ *   pause         Chance of a thinking pause between keys
+ *   digraph       Flight time depends on the key pair: faster across
+ *                 hands, slower on the same hand
+ *   solve         Solve latency, ms
+ *   success       Chance a solve is correct
+ *   gap           Delay between challenges, ms
+ *   actors        Distinct actors reused across sessions (0 = new each time)
+ *   ipChurn / fingerprintChurn  Chance an actor's IP / fingerprint changes per session
+ */
+var AGENT_PROFILES = {
+  "naive-script": {
+    label: "bot", mouse: "none", motor: 0, tremor: 0, clickOffset: 0,
+    hold: { dist: "normal", a: 0, b: 0 }, flight: { dist: "normal", a: 30, b: 0 }, pause: 0,
+    solve: { dist: "normal", a: 250, b: 15 }, success: 0.3, gap: { dist: "normal", a: 150, b: 10 },
+    timeOnPage: { dist: "uniform", a: 200, b: 900 }, firstInteraction: { dist: "uniform", a: 5, b: 40 },
+    scroll: "none", jsVerified: 0, honeypot: 0.6,
+    userAgents: "script", ipPool: "datacenter", actors: 2, ipChurn: 0, fingerprintChurn: 0
+  },
+  "headless-browser": {
+    label: "bot", mouse: "linear", motor: 0.5, tremor: 0, clickOffset: 0,
+    hold: { dist: "normal", a: 2, b: 0 }, flight: { dist: "normal", a: 100, b: 0 }, pause: 0,
+    solve: { dist: "normal", a: 900, b: 40 }, success: 0.45, gap: { dist: "normal", a: 1000, b: 50 },
+    timeOnPage: { dist: "uniform", a: 1500, b: 4000 }, firstInteraction: { dist: "uniform", a: 50, b: 300 },
+    scroll: "jump", jsVerified: 1, honeypot: 0.1,
+    userAgents: "headless", ipPool: "datacenter", actors: 4, ipChurn: 0.5, fingerprintChurn: 0.2
+  },
+  "timing-mimic": {
+    label: "bot", mouse: "smooth", motor: 1, tremor: 0.5, clickOffset: 1,
+    hold: { dist: "uniform", a: 70, b: 130 }, flight: { dist: "uniform", a: 120, b: 260 }, pause: 0,
+    solve: { dist: "uniform", a: 2500, b: 4500 }, success: 0.85, gap: { dist: "uniform", a: 5000, b: 9000 },
+    timeOnPage: { dist: "uniform", a: 6000, b: 20000 }, firstInteraction: { dist: "uniform", a: 600, b: 1500 },
+    scroll: "regular", jsVerified: 1, honeypot: 0,
+    userAgents: "browser", ipPool: "residential", actors: 20, ipChurn: 1, fingerprintChurn: 1
+  },
+  "farm-worker": {
+    label: "bot", mouse: "human", motor: 0.8, tremor: 1.2, clickOffset: 4,
+    hold: { dist: "normal", a: 80, b: 15 }, flight: { dist: "lognormal", a: 110, b: 0.3 }, pause: 0.01, digraph: true,
+    solve: { dist: "normal", a: 6000, b: 1500 }, success: 0.95, gap: { dist: "uniform", a: 800, b: 2500 },
+    timeOnPage: { dist: "uniform", a: 5000, b: 15000 }, firstInteraction: { dist: "uniform", a: 300, b: 900 },
+    scroll: "human", jsVerified: 1, honeypot: 0,
+    userAgents: "browser", ipPool: "farm", actors: 5, ipChurn: 0.1, fingerprintChurn: 0
+  },
+  "human": {
+    label: "human", mouse: "human", motor: 1, tremor: 1.5, clickOffset: 6,
+    hold: { dist: "normal", a: 95, b: 25 }, flight: { dist: "lognormal", a: 180, b: 0.45 }, pause: 0.05, digraph: true,
+    solve: { dist: "lognormal", a: 4500, b: 0.45 }, success: 0.82, gap: { dist: "uniform", a: 3000, b: 30000 },
+    timeOnPage: { dist: "uniform", a: 8000, b: 60000 }, firstInteraction: { dist: "uniform", a: 600, b: 3000 },
+    scroll: "human", jsVerified: 0.97, honeypot: 0,
+    userAgents: "browser", ipPool: "residential", actors: 0, ipChurn: 0.05, fingerprintChurn: 0
+  },
+  "human-motor": {
+    label: "human", mouse: "human", motor: 2.2, tremor: 5, clickOffset: 14,
+    hold: { dist: "normal", a: 160, b: 60 }, flight: { dist: "lognormal", a: 320, b: 0.5 }, pause: 0.08, digraph: true,
+    solve: { dist: "lognormal", a: 7000, b: 0.5 }, success: 0.75, gap: { dist: "uniform", a: 5000, b: 40000 },
+    timeOnPage: { dist: "uniform", a: 15000, b: 90000 }, firstInteraction: { dist: "uniform", a: 1200, b: 5000 },
+    scroll: "human", jsVerified: 0.97, honeypot: 0,
+    userAgents: "browser", ipPool: "residential", actors: 0, ipChurn: 0.05, fingerprintChurn: 0
+  },
+  "human-cognitive": {
+    label: "human", mouse: "human", motor: 1.3, tremor: 1.5, clickOffset: 8,
+    hold: { dist: "normal", a: 105, b: 30 }, flight: { dist: "lognormal", a: 260, b: 0.6 }, pause: 0.2, digraph: true,
+    solve: { dist: "lognormal", a: 9000, b: 0.6 }, success: 0.6, gap: { dist: "uniform", a: 8000, b: 60000 },
+    timeOnPage: { dist: "uniform", a: 20000, b: 120000 }, firstInteraction: { dist: "uniform", a: 2000, b: 8000 },
+    scroll: "human", jsVerified: 0.97, honeypot: 0,
+    userAgents: "browser", ipPool: "residential", actors: 0, ipChurn: 0.05, fingerprintChurn: 0
+  }
+};
+
+// Page targets the pointer visits: consent box, answer field, submit.
+var TARGETS = [{ x: 120, y: 380 }, { x: 260, y: 520 }, { x: 420, y: 600 }];
+
+function _xorshift32(seed) {
+  var state = seed | 0 || 1;
+  return function () {
+    state ^= state << 13;
+    state ^= state >> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 4294967296;
+  };
+}
+
+function _copy(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+// ── Factory ─────────────────────────────────────────────────────────
+
+/**
+ * Create a seeded agent simulator.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed=1]
+ * @param {Object} [options.mix] - Relative weight per actor type; defaults
+ *   to an even mix of all AGENT_TYPES
+ * @param {number} [options.solvesPerSession=10]
+ * @param {number} [options.startTime=1767225600000] - Simulated clock start (ms)
+ * @param {number} [options.meanArrivalMs=30000] - Mean gap between session starts
+ * @param {Object} [options.ipPools] - { datacenter, residential, farm } CIDR lists
+ * @param {Object} [options.profiles] - Per-type overrides merged into the built-in profiles
+ * @returns {Object} Simulator instance
+ */
+function createAgentSimulator(options) {
+  options = options || {};
+  var seed = typeof options.seed === "number" ? options.seed : 1;
+  var solvesPerSession = options.solvesPerSession > 0 ? Math.floor(options.solvesPerSession) : 10;
+  var startTime = typeof options.startTime === "number" ? options.startTime : 1767225600000;
+  var meanArrivalMs = options.meanArrivalMs > 0 ? options.meanArrivalMs : 30000;
+
+  var profiles = {};
+  AGENT_TYPES.forEach(function (type) {
+    profiles[type] = Object.assign(_copy(AGENT_PROFILES[type]), (options.profiles || {})[type]);
+  });
+
+  var pools = {};
+  Object.keys(DEFAULT_IP_POOLS).forEach(function (name) {
+    var list = (options.ipPools && options.ipPools[name]) || DEFAULT_IP_POOLS[name];
+    pools[name] = list.map(function (c) {
+      var cidr = _ipUtils.parseCidr(c);
+      if (!cidr) throw new TypeError("createAgentSimulator: invalid CIDR " + JSON.stringify(c));
+      return cidr;
+    });
+  });
+
+  var defaultMix = _mix(options.mix);
+
+  var rng, clock, simNow, counter, actors;
+
+  /** Rewind to the seed: the next sessions repeat the first ones. */
+  function reset() {
+    rng = _xorshift32(seed);
+    clock = startTime;
+    simNow = startTime;
+    counter = 0;
+    actors = {};
+  }
+  reset();
+
+  function _mix(mix) {
+    var weights = [];
+    var total = 0;
+    AGENT_TYPES.forEach(function (type) {
+      var w = mix ? mix[type] || 0 : 1;
+      if (typeof w !== "number" || w < 0) throw new TypeError("createAgentSimulator: mix weights must be non-negative numbers");
+      weights.push(w);
+      total += w;
+    });
+    if (mix) {
+      Object.keys(mix).forEach(function (type) {
+        if (!profiles[type]) throw new RangeError("createAgentSimulator: unknown agent type \"" + type + "\"");
+      });
+    }
+    if (total <= 0) throw new RangeError("createAgentSimulator: mix needs at least one positive weight");
+    return weights.map(function (w) { return w / total; });
+  }
+
+  // ── Random helpers ────────────────────────────────────────────────
+
+  function _gauss() {
+    var u = 0;
+    while (u === 0) u = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+  }
+
+  function _draw(d) {
+    if (d.dist === "uniform") return d.a + (d.b - d.a) * rng();
+    if (d.dist === "lognormal") return d.a * Math.exp(d.b * _gauss());
+    return d.a + d.b * _gauss();
+  }
+
+  function _ms(d, min) {
+    return Math.max(min || 0, Math.round(_draw(d)));
+  }
+
+  function _hex(bytes) {
+    var s = "";
+    for (var i = 0; i < bytes; i++) s += ("0" + Math.floor(rng() * 256).toString(16)).slice(-2);
+    return s;
+  }
+
+  function _pick(list) {
+    return list[Math.floor(rng() * list.length)];
+  }
+
+  function _ipFrom(poolName) {
+    var cidr = _pick(pools[poolName]);
+    var bytes = cidr.bytes.slice();
+    for (var bit = cidr.prefix; bit < bytes.length * 8; bit++) {
+      if (rng() < 0.5) bytes[bit >> 3] |= 0x80 >> (bit & 7);
+    }
+    // Skip .0 and .255 so IPv4 hosts look like real clients.
+    if (bytes.length === 4 && cidr.prefix <= 24) {
+      if (bytes[3] === 0) bytes[3] = 1;
+      else if (bytes[3] === 255) bytes[3] = 254;
+    }
+    return _ipUtils.formatIp(bytes);
+  }
+
+  // ── Actors ────────────────────────────────────────────────────────
+
+  function _actor(type) {
+    var p = profiles[type];
+    var pool = actors[type] || (actors[type] = { list: [], created: 0 });
+    var actor;
+    if (p.actors > 0 && pool.list.length >= p.actors) {
+      actor = _pick(pool.list);
+      if (rng() < p.ipChurn) actor.ip = _ipFrom(p.ipPool);
+      if (rng() < p.fingerprintChurn) actor.fingerprint = _hex(16);
+    } else {
+      pool.created++;
+      actor = {
+        id: type + "-" + pool.created,
+        ip: _ipFrom(p.ipPool),
+        fingerprint: _hex(16),
+        userAgent: _pick(USER_AGENTS[p.userAgents])
+      };
+      if (p.actors > 0) pool.list.push(actor);
+    }
+    return { id: actor.id, ip: actor.ip, fingerprint: actor.fingerprint, userAgent: actor.userAgent };
+  }
+
+  // ── Pointer paths ─────────────────────────────────────────────────
+
+  function _path(p, from, to, t) {
+    var points = [];
+    var dx = to.x - from.x;
+    var dy = to.y - from.y;
+    var dist = Math.sqrt(dx * dx + dy * dy);
+    if (p.mouse === "linear") {
+      for (var i = 1; i <= 20; i++) {
+        t += 16;
+        points.push({ x: Math.round(from.x + dx * i / 20), y: Math.round(from.y + dy * i / 20), t: t });
+      }
+      return points;
+    }
+    // Quadratic Bézier through a control point pushed off the straight line.
+    var bend = (p.mouse === "smooth" ? 0.15 : 0.25) * dist * _gauss();
+    var cx = (from.x + to.x) / 2 - dy / (dist || 1) * bend;
+    var cy = (from.y + to.y) / 2 + dx / (dist || 1) * bend;
+    // Fitts' law movement time, then ~60 Hz samples.
+    var duration = (200 + 150 * Math.log(1 + dist / 40) / Math.LN2) * p.motor;
+    var steps = Math.max(4, Math.round(duration / 16));
+    var t0 = t;
+    for (var s = 1; s <= steps; s++) {
+      var u = s / steps;
+      // Humans accelerate then brake (minimum-jerk profile); the mimic
+      // moves at constant speed along its curve.
+      var k = p.mouse === "smooth" ? u : u * u * u * (10 - 15 * u + 6 * u * u);
+      var x = (1 - k) * (1 - k) * from.x + 2 * (1 - k) * k * cx + k * k * to.x;
+      var y = (1 - k) * (1 - k) * from.y + 2 * (1 - k) * k * cy + k * k * to.y;
+      if (p.mouse === "smooth") {
+        t += 16;
+        x += (rng() - 0.5) * 2 * p.tremor;
+        y += (rng() - 0.5) * 2 * p.tremor;
+      } else {
+        t = Math.max(t + 1, Math.round(t0 + u * duration + _gauss() * 4));
+        x += _gauss() * p.tremor;
+        y += _gauss() * p.tremor;
+      }
+      points.push({ x: Math.round(x), y: Math.round(y), t: t });
+    }
+    if (p.mouse === "human" && rng() < 0.3) {
+      // Overshoot and correct.
+      var over = 4 + rng() * 10;
+      t += 40 + Math.round(rng() * 60);
+      points.push({ x: Math.round(to.x + dx / (dist || 1) * over), y: Math.round(to.y + dy / (dist || 1) * over), t: t });
+      t += 60 + Math.round(rng() * 90);
+      points.push({ x: Math.round(to.x + _gauss() * p.tremor), y: Math.round(to.y + _gauss() * p.tremor), t: t });
+    }
+    return points;
+  }
+
+  // ── Session generation ────────────────────────────────────────────
+
+  /**
+   * Generate one session for an actor type.
+   *
+   * @param {string} [type] - One of AGENT_TYPES; drawn from the mix when omitted
+   * @returns {Object} Labelled session
+   * @throws {RangeError} For unknown types
+   */
+  function session(type) {
+    if (type === undefined) type = _drawType(defaultMix);
+    var p = profiles[type];
+    if (!p) throw new RangeError("createAgentSimulator: unknown agent type \"" + type + "\"");
+
+    counter++;
+    clock += Math.round(-Math.log(1 - rng()) * meanArrivalMs);
+    var startedAt = clock;
+    var actor = _actor(type);
+
+    // Pointer: visit each target, clicking on arrival.
+    var firstInteractionMs = _ms(p.firstInteraction, 1);
+    var t = firstInteractionMs;
+    var mouse = [];
+    var clicks = [];
+    var pos = { x: 20 + Math.round(rng() * 200), y: 20 + Math.round(rng() * 150) };
+    TARGETS.forEach(function (target) {
+      var aim = { x: target.x + _gauss() * p.clickOffset, y: target.y + _gauss() * p.clickOffset };
+      if (p.mouse !== "none") {
+        mouse = mouse.concat(_path(p, pos, aim, t));
+        if (mouse.length) t = mouse[mouse.length - 1].t;
+      }
+      t += p.mouse === "none" ? 1 : (p.mouse === "human" ? 80 + Math.round(rng() * 250 * p.motor) : 50);
+      clicks.push({ x: Math.round(aim.x), y: Math.round(aim.y), button: "left", t: t });
+      pos = aim;
+    });
+
+    // Typing the answer.
+    var keystrokes = [];
+    var keyTimings = [];
+    var n = 8 + Math.floor(rng() * 13);
+    var prevClass = null;
+    for (var k = 0; k < n; k++) {
+      var flight = _ms(p.flight, 0);
+      var pause = rng() < p.pause ? 800 + Math.round(rng() * 2500) : 0;
+      var hold = _ms(p.hold, 0);
+      var key = String.fromCharCode(97 + Math.floor(rng() * 26));
+      var cls = _keystrokeDynamics.keyClass(key);
+      if (p.digraph && prevClass) flight = Math.round(flight * (cls === prevClass ? 1.15 : 0.8));
+      t += flight + pause;
+      keystrokes.push({ key: key, downAt: t, upAt: t + hold });
+      keyTimings.push({ duration: hold, t: t, keyClass: cls });
+      prevClass = cls;
+    }
+
+    // Scrolling.
+    var scrollEvents = [];
+    var scrolls = [];
+    var y = 0;
+    if (p.scroll === "jump") {
+      scrollEvents.push({ y: 0, t: 100 }, { y: 600, t: 101 });
+      scrolls.push({ deltaY: 600, t: 101 });
+    } else if (p.scroll === "regular") {
+      for (var r = 1; r <= 4; r++) {
+        y += 100;
+        scrollEvents.push({ y: y, t: r * 250 });
+        scrolls.push({ deltaY: 100, t: r * 250 });
+      }
+    } else if (p.scroll === "human") {
+      var st = 200 + Math.round(rng() * 800);
+      scrollEvents.push({ y: 0, t: st });
+      var count = 3 + Math.floor(rng() * 6);
+      for (var h = 0; h < count; h++) {
+        var delta = Math.round((rng() < 0.15 ? -1 : 1) * (40 + rng() * 180));
+        y = Math.max(0, y + delta);
+        st += 60 + Math.round(rng() * 700);
+        scrollEvents.push({ y: y, t: st });
+        scrolls.push({ deltaY: delta, t: st });
+      }
+    }
+
+    // Challenge solves on the simulated clock.
+    var solves = [];
+    var ts = startedAt + t;
+    for (var c = 0; c < solvesPerSession; c++) {
+      var rt = _ms(p.solve, 50);
+      ts += rt;
+      solves.push({ responseTimeMs: rt, solved: rng() < p.success, timestamp: ts, difficulty: Math.round(rng() * 10) / 10 });
+      ts += _ms(p.gap, 0);
+    }
+    clock = Math.max(clock, ts);
+
+    var signals = {
+      mouseMovements: mouse,
+      keystrokes: keystrokes,
+      timeOnPageMs: Math.max(t, _ms(p.timeOnPage, 1)),
+      firstInteractionMs: firstInteractionMs,
+      scrollEvents: scrollEvents,
+      jsVerified: rng() < p.jsVerified
+    };
+    if (rng() < p.honeypot) signals.honeypotValues = { hp_email: "user" + counter + "@example.com" };
+
+    return {
+      id: "sim-" + seed + "-" + counter,
+      agent: type,
+      label: p.label,
+      actorId: actor.id,
+      sourceId: actor.id,
+      ip: actor.ip,
+      fingerprint: actor.fingerprint,
+      userAgent: actor.userAgent,
+      startedAt: startedAt,
+      signals: signals,
+      solves: solves,
+      biometrics: { mouse: mouse, clicks: clicks, keystrokes: keyTimings, scrolls: scrolls },
+      profile: _profile(solves)
+    };
+  }
+
+  function _drawType(weights) {
+    var u = rng();
+    for (var i = 0; i < weights.length; i++) {
+      u -= weights[i];
+      if (u < 0) return AGENT_TYPES[i];
+    }
+    for (var j = weights.length - 1; j >= 0; j--) if (weights[j] > 0) return AGENT_TYPES[j];
+  }
+
+  // Signature-database profile derived from the solves.
+  function _profile(solves) {
+    var times = solves.map(function (s) { return s.responseTimeMs; });
+    var mean = 0;
+    times.forEach(function (v) { mean += v; });
+    mean /= times.length;
+    var sd = 0;
+    times.forEach(function (v) { sd += (v - mean) * (v - mean); });
+    sd = Math.sqrt(sd / times.length);
+    var ok = solves.filter(function (s) { return s.solved; }).length;
+    var span = solves.length > 1 ? solves[solves.length - 1].timestamp - solves[0].timestamp : 0;
+    var fails = 0, quickRetries = 0;
+    for (var i = 0; i < solves.length - 1; i++) {
+      if (!solves[i].solved) {
+        fails++;
+        if (solves[i + 1].timestamp - solves[i].timestamp - solves[i + 1].responseTimeMs < 2000) quickRetries++;
+      }
+    }
+    return {
+      avgSolveTimeMs: Math.round(mean),
+      solveTimeStdDev: Math.round(sd),
+      successRate: Math.round(ok / solves.length * 1000) / 1000,
+      burstRate: span > 0 ? Math.round((solves.length - 1) / (span / 60000) * 100) / 100 : 0,
+      retryPattern: fails === 0 ? "none" : quickRetries / fails > 0.5 ? "immediate" : "delayed",
+      consistencyScore: mean > 0 ? Math.round(Math.max(0, 1 - sd / mean) * 1000) / 1000 : 0,
+      hesitationRatio: Math.round(times.filter(function (v) { return v > 2 * mean; }).length / times.length * 1000) / 1000
+    };
+  }
+
+  /**
+   * Generate many sessions.
+   *
+   * @param {number} count
+   * @param {Object} [opts]
+   * @param {Object} [opts.mix] - Override the mix for this batch
+   * @returns {Object[]}
+   */
+  function generate(count, opts) {
+    if (!(count >= 0)) throw new TypeError("createAgentSimulator: count must be a non-negative number");
+    var weights = opts && opts.mix ? _mix(opts.mix) : defaultMix;
+    var out = [];
+    for (var i = 0; i < Math.floor(count); i++) out.push(session(_drawType(weights)));
+    return out;
+  }
+
+  // ── Replay through real modules ───────────────────────────────────
+
+  var DRIVERS = {
+    botDetector: function (inst, s) {
+      var r = inst.analyze(s.signals);
+      return { flagged: r.isBot, score: r.score / 100, result: r };
+    },
+    biometrics: function (inst, s) {
+      inst.reset();
+      var b = s.biometrics;
+      b.mouse.forEach(function (e) { inst.recordMouseMove(e.x, e.y, e.t); });
+      b.clicks.forEach(function (e) { inst.recordClick(e.x, e.y, e.button, e.t); });
+      b.keystrokes.forEach(function (e) { inst.recordKeystroke(e.duration, e.t, e.keyClass); });
+      b.scrolls.forEach(function (e) { inst.recordScroll(e.deltaY, e.t); });
+      (b.pointer || []).forEach(function (e) { inst.recordPointer(e, e.target); });
+      (b.motion || []).forEach(function (e) { inst.recordMotion(e); });
+      var r = inst.analyze();
+      return { flagged: !r.isLikelyHuman, score: Math.round((1 - r.score) * 1000) / 1000, result: r };
+    },
+    responseTimeProfiler: function (inst, s) {
+      s.solves.forEach(function (e) {
+        simNow = e.timestamp;
+        inst.record({ sessionId: s.id, responseTimeMs: e.responseTimeMs, solved: e.solved, difficulty: e.difficulty });
+      });
+      var r = inst.classifySession(s.id);
+      var flagged = r.classification === "bot" || r.classification === "solver_farm" || r.classification === "suspicious";
+      return { flagged: flagged, score: null, result: r };
+    },
+    mimicryDetector: function (inst, s) {
+      s.solves.forEach(function (e) {
+        inst.recordEvent({
+          sessionId: s.id, sourceId: s.sourceId, solved: e.solved,
+          solveTimeMs: e.responseTimeMs, difficulty: e.difficulty, timestamp: e.timestamp
+        });
+      });
+      var r = inst.analyzeSession(s.id);
+      return { flagged: !r.error && r.mimicryScore > 60, score: r.error ? null : r.mimicryScore / 100, result: r };
+    },
+    signatureDatabase: function (inst, s) {
+      var r = inst.matchSession(s.profile);
+      return { flagged: r.matched, score: r.topMatch ? r.topMatch.similarity : 0, result: r };
+    },
+    reputationTracker: function (inst, s) {
+      // One outcome per session: the tracker runs on wall-clock time, so
+      // replaying every solve at once would trip its burst penalty.
+      if (s.profile.successRate >= 0.5) inst.recordSolve(s.ip);
+      else inst.recordFail(s.ip);
+      var r = inst.getAction(s.ip);
+      return { flagged: r.action === "block" || r.action === "challenge_hard", score: 1 - r.score, result: r };
+    }
+  };
+
+  /**
+   * Simulated time of the solve being replayed. Pass as `now` to
+   * createResponseTimeProfiler so its burst detection follows the
+   * simulated clock.
+   * @returns {number}
+   */
+  function now() {
+    return simNow;
+  }
+
+  /**
+   * Replay sessions through real module instances and tally how often
+   * each one flags each actor type.
+   *
+   * Supported target keys: botDetector, biometrics (instance is reset per
+   * session), responseTimeProfiler, mimicryDetector, signatureDatabase,
+   * reputationTracker (keyed by session IP; one pass/fail per session).
+   * Any other key must map to a function `(session) → { flagged, score? }`.
+   *
+   * @param {Object} targets - Module instances keyed as above
+   * @param {Object} [opts]
+   * @param {Object[]} [opts.sessions] - Sessions to replay (default: generate opts.count)
+   * @param {number} [opts.count=100]
+   * @param {Object} [opts.mix]
+   * @returns {{ sessions: Array<{ id: string, agent: string, label: string, outcomes: Object }>,
+   *   summary: Object }}
+   */
+  function run(targets, opts) {
+    opts = opts || {};
+    if (!targets || typeof targets !== "object" || Object.keys(targets).length === 0) {
+      throw new TypeError("createAgentSimulator: run needs at least one target");
+    }
+    var names = Object.keys(targets);
+    names.forEach(function (name) {
+      if (!DRIVERS[name] && typeof targets[name] !== "function") {
+        throw new TypeError("createAgentSimulator: target \"" + name + "\" must be a supported module or a function");
+      }
+    });
+    var sessions = opts.sessions || generate(opts.count != null ? opts.count : 100, opts);
+
+    var summary = {};
+    names.forEach(function (name) {
+      summary[name] = { bots: { total: 0, flagged: 0, rate: 0 }, humans: { total: 0, flagged: 0, rate: 0 }, byAgent: {} };
+    });
+
+    var results = sessions.map(function (s) {
+      var outcomes = {};
+      names.forEach(function (name) {
+        var o = DRIVERS[name] && typeof targets[name] !== "function"
+          ? DRIVERS[name](targets[name], s)
+          : targets[name](s);
+        outcomes[name] = o;
+        var sum = summary[name];
+        var group = s.label === "bot" ? sum.bots : sum.humans;
+        var agent = sum.byAgent[s.agent] || (sum.byAgent[s.agent] = { total: 0, flagged: 0, rate: 0 });
+        group.total++;
+        agent.total++;
+        if (o && o.flagged) { group.flagged++; agent.flagged++; }
+      });
+      return { id: s.id, agent: s.agent, label: s.label, outcomes: outcomes };
+    });
+
+    names.forEach(function (name) {
+      var sum = summary[name];
+      [sum.bots, sum.humans].concat(Object.keys(sum.byAgent).map(function (a) { return sum.byAgent[a]; }))
+        .forEach(function (g) { g.rate = g.total ? Math.round(g.flagged / g.total * 1000) / 1000 : 0; });
+    });
+
+    return { sessions: results, summary: summary };
+  }
+
+  /**
+   * Behaviour parameters for a type (a copy).
+   * @param {string} type
+   * @returns {Object}
+   */
+  function getProfile(type) {
+    if (!profiles[type]) throw new RangeError("createAgentSimulator: unknown agent type \"" + type + "\"");
+    return _copy(profiles[type]);
+  }
+
+  return {
+    session: session,
+    generate: generate,
+    run: run,
+    now: now,
+    getProfile: getProfile,
+    reset: reset
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createAgentSimulator: createAgentSimulator,
+    AGENT_TYPES: AGENT_TYPES
+  };
+}
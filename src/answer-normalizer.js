@@ -0,0 +1,568 @@
+"use strict";
+
+/**
+ * AnswerNormalizer — semantic normalization for free-text CAPTCHA answers.
+ *
+ * Plain word overlap rejects "A kitten jumps onto the sofa" when the
+ * expected answer is "cat jumping on couch".  This module turns both
+ * into the same canonical terms through a configurable pipeline:
+ *
+ *   tokenize   lowercase, strip accents and punctuation (always first)
+ *   numbers    number words → digits ("twenty one" → "21")
+ *   stopWords  drop articles, pronouns and other filler
+ *   stem       light suffix stripping ("jumping" → "jump")
+ *   synonyms   lexicon lookup ("kitten" → "cat", "sofa" → "couch")
+ *
+ * Steps can be reordered, dropped or replaced by functions
+ * `(tokens, ctx) → tokens`.  Lexicons, stop words, number words and
+ * stemmers are per locale; English ships with all four, es/fr/de with
+ * stop words and number words.
+ *
+ * Lexicon entries name a canonical concept with its synonyms and
+ * (optionally) hypernyms; a hypernym ("animal") is not folded into the
+ * concept ("cat") for similarity, and only satisfies it in matchConcepts()
+ * when the caller opts in with `allowHypernyms`.
+ *
+ * @example
+ *   var n = createAnswerNormalizer();
+ *   n.tokens("A kitten jumps onto the sofa");   // ["cat", "jump", "couch"]
+ *   n.similarity("A kitten jumps onto the sofa", "cat jumping on couch"); // 1
+ *   n.matchConcepts("an animal leaps", { subject: ["cat"], action: ["jump"] }, { allowHypernyms: true });
+ *   // → { matched: [{ concept: "subject", term: "cat", token: "animal", via: "hypernym" }, ...], ... }
+ *
+ * @module gif-captcha/answer-normalizer
+ */
+
+var MAX_TEXT_LENGTH = 1000;
+var MAX_TOKENS = 100;
+var MAX_PHRASE_TOKENS = 4;
+
+var DEFAULT_STEPS = ["numbers", "stopWords", "stem", "synonyms"];
+
+// ── Built-in locale data ────────────────────────────────────────────
+
+var STOP_WORDS = {
+  en: ("a an the and or but of on onto in into at to from with by for as is are was were be been being " +
+    "am it its this that these those there here some any s t he she they him her them his hers their " +
+    "theirs i me my we us our you your has have had do does did then while just very really also").split(" "),
+  es: ("el la los las un una unos unas y o de del en a al con por para que es son esta estan " +
+    "su sus se lo le les muy").split(" "),
+  fr: ("le la les l un une des du de d et ou en a au aux dans sur avec pour par est sont il elle ils " +
+    "elles se s son sa ses qui que tres").split(" "),
+  de: ("der die das den dem des ein eine einen einem einer und oder in im auf an am mit zu zum zur " +
+    "von vom ist sind er sie es sich sehr").split(" ")
+};
+
+// Forms that double as articles ("un", "eine", ...) are left out on purpose
+var NUMBER_WORDS = {
+  en: {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, seventy: 70, eighty: 80, ninety: 90, hundred: 100, dozen: 12
+  },
+  es: {
+    cero: 0, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+    once: 11, doce: 12, veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50, cien: 100
+  },
+  fr: {
+    zero: 0, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9, dix: 10,
+    onze: 11, douze: 12, vingt: 20, trente: 30, quarante: 40, cinquante: 50, cent: 100
+  },
+  de: {
+    null: 0, eins: 1, zwei: 2, drei: 3, vier: 4, funf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9,
+    zehn: 10, elf: 11, zwolf: 12, zwanzig: 20, dreissig: 30, vierzig: 40, funfzig: 50, hundert: 100
+  }
+};
+
+// canonical → { synonyms, hypernyms }
+var LEXICON = {
+  en: {
+    cat: { synonyms: ["kitten", "kitty", "feline"], hypernyms: ["animal", "pet"] },
+    dog: { synonyms: ["puppy", "pup", "doggy", "hound", "canine"], hypernyms: ["animal", "pet"] },
+    bird: { synonyms: ["parrot", "pigeon", "sparrow"], hypernyms: ["animal"] },
+    horse: { synonyms: ["pony", "stallion", "mare"], hypernyms: ["animal"] },
+    man: { synonyms: ["guy", "gentleman", "dude"], hypernyms: ["person", "human", "someone", "somebody"] },
+    woman: { synonyms: ["lady", "gal"], hypernyms: ["person", "human", "someone", "somebody"] },
+    child: { synonyms: ["kid", "toddler", "boy", "girl"], hypernyms: ["person", "human", "someone", "somebody"] },
+    couch: { synonyms: ["sofa", "settee"], hypernyms: ["furniture"] },
+    car: { synonyms: ["automobile", "auto"], hypernyms: ["vehicle"] },
+    bike: { synonyms: ["bicycle", "cycle"], hypernyms: ["vehicle"] },
+    jump: { synonyms: ["leap", "hop", "bounce", "spring"] },
+    run: { synonyms: ["sprint", "jog", "dash"] },
+    fall: { synonyms: ["tumble", "trip", "topple", "collapse"] },
+    hit: { synonyms: ["strike", "punch", "smack", "slap", "whack"] },
+    throw: { synonyms: ["toss", "fling", "hurl", "chuck"] },
+    eat: { synonyms: ["chew", "munch", "devour", "bite"] },
+    laugh: { synonyms: ["giggle", "chuckle"] },
+    dance: { synonyms: ["boogie"] },
+    big: { synonyms: ["large", "huge", "giant", "enormous"] },
+    small: { synonyms: ["little", "tiny", "mini"] },
+    fast: { synonyms: ["quick", "rapid", "speedy"] }
+  }
+};
+
+var EN_IRREGULAR = {
+  ran: "run", ate: "eat", eaten: "eat", fell: "fall", fallen: "fall", threw: "throw", thrown: "throw",
+  sat: "sit", went: "go", gone: "go", got: "get", caught: "catch", flew: "fly", flown: "fly",
+  swam: "swim", rode: "ride", ridden: "ride", drove: "drive", driven: "drive", fought: "fight",
+  took: "take", taken: "take", gave: "give", given: "give", saw: "see", seen: "see", made: "make",
+  came: "come", held: "hold", hid: "hide", broke: "break", broken: "break", spun: "spin", dug: "dig",
+  slid: "slide", stood: "stand", bit: "bite", people: "person", men: "man", women: "woman",
+  children: "child", mice: "mouse", geese: "goose", feet: "foot", teeth: "tooth", leaves: "leaf",
+  wolves: "wolf", knives: "knife"
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+function _has(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function _undouble(s) {
+  return /([^aeiouylsz])\1$/.test(s) ? s.slice(0, -1) : s;
+}
+
+/**
+ * Light English stemmer: irregular forms, plurals, -ing/-ed/-ly and a
+ * trailing -e.  Deliberately conservative — stems only need to agree
+ * between the answer and the expected text, not be real words.
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stemEnglish(word) {
+  var w = _has(EN_IRREGULAR, word) ? EN_IRREGULAR[word] : word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+  if (/ie[sd]$/.test(w) && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (/(ss|sh|ch|x|z)es$/.test(w)) w = w.slice(0, -2);
+  else if (/[^siu]s$/.test(w)) w = w.slice(0, -1);
+  if (/ing$/.test(w) && w.length >= 6) w = _undouble(w.slice(0, -3));
+  else if (/ed$/.test(w) && w.length >= 5) w = _undouble(w.slice(0, -2));
+  else if (/ly$/.test(w) && w.length >= 6) w = w.slice(0, -2);
+  if (/[^e]e$/.test(w) && w.length > 3) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Lowercase, strip diacritics and split on anything that is not a
+ * letter or digit.
+ *
+ * @param {*} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  var s = String(text == null ? "" : text);
+  if (s.length > MAX_TEXT_LENGTH) s = s.slice(0, MAX_TEXT_LENGTH);
+  s = s.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/ß/g, "ss");
+  var tokens = s.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return tokens.length > MAX_TOKENS ? tokens.slice(0, MAX_TOKENS) : tokens;
+}
+
+// ── Built-in steps ──────────────────────────────────────────────────
+
+var NUMBER_JOINERS = { and: true, y: true, et: true, und: true };
+
+function _numbersStep(tokens, ctx) {
+  var words = ctx.numberWords;
+  var out = [];
+  for (var i = 0; i < tokens.length; i++) {
+    if (!_has(words, tokens[i])) {
+      out.push(tokens[i]);
+      continue;
+    }
+    var value = words[tokens[i]];
+    // "three hundred"
+    if (value < 100 && words[tokens[i + 1]] === 100 && _has(words, tokens[i + 1])) {
+      value *= 100;
+      i++;
+    }
+    // "hundred five", "hundred and five"
+    if (value >= 100 && value % 100 === 0) {
+      var j = i + 1;
+      if (_has(NUMBER_JOINERS, tokens[j]) && _has(words, tokens[j + 1])) j++;
+      if (_has(words, tokens[j]) && words[tokens[j]] < 100) {
+        value += words[tokens[j]];
+        i = j;
+      }
+    }
+    // "twenty one"
+    var unit = tokens[i + 1];
+    if (value % 100 >= 20 && value % 10 === 0 && _has(words, unit) && words[unit] >= 1 && words[unit] <= 9) {
+      value += words[unit];
+      i++;
+    }
+    out.push(String(value));
+  }
+  return out;
+}
+
+function _stopWordsStep(tokens, ctx) {
+  var stop = ctx.stopWords;
+  return tokens.filter(function (t) { return !_has(stop, t); });
+}
+
+function _stemStep(tokens, ctx) {
+  return ctx.stem ? tokens.map(ctx.stem) : tokens;
+}
+
+function _synonymsStep(tokens, ctx) {
+  var index = ctx.lexicon.synonyms;
+  var out = [];
+  var i = 0;
+  while (i < tokens.length) {
+    var matched = false;
+    for (var n = Math.min(ctx.lexicon.maxPhrase, tokens.length - i); n >= 1; n--) {
+      var phrase = tokens.slice(i, i + n).join(" ");
+      if (_has(index, phrase)) {
+        var canonical = index[phrase];
+        if (canonical !== phrase) ctx.replaced[canonical] = (ctx.replaced[canonical] || []).concat(phrase);
+        out.push(canonical);
+        i += n;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) out.push(tokens[i++]);
+  }
+  return out;
+}
+
+var BUILTIN_STEPS = {
+  numbers: _numbersStep,
+  stopWords: _stopWordsStep,
+  stem: _stemStep,
+  synonyms: _synonymsStep
+};
+
+// ── Factory ─────────────────────────────────────────────────────────
+
+/**
+ * Create an answer normalizer.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.locale="en"]        - Default locale
+ * @param {Array<string|Function>} [options.steps] - Pipeline after tokenizing
+ *   (default ["numbers", "stopWords", "stem", "synonyms"]); functions get
+ *   `(tokens, ctx)` and return the new token array
+ * @param {Object} [options.lexicon]      - locale → { canonical: { synonyms, hypernyms } | string[] }
+ * @param {Object} [options.stopWords]    - locale → string[] (added to the built-ins)
+ * @param {Object} [options.numberWords]  - locale → { word: number }
+ * @param {Object} [options.stemmers]     - locale → function(word) → stem
+ * @param {boolean} [options.builtins=true] - Include the bundled locale data
+ * @returns {Object} Normalizer instance
+ */
+function createAnswerNormalizer(options) {
+  options = options || {};
+  var defaultLocale = typeof options.locale === "string" ? options.locale : "en";
+  var builtins = options.builtins !== false;
+
+  var steps = (options.steps || DEFAULT_STEPS).map(function (step) {
+    if (typeof step === "function") return { name: step.name || "custom", fn: step };
+    if (typeof step === "string" && _has(BUILTIN_STEPS, step)) return { name: step, fn: BUILTIN_STEPS[step] };
+    throw new TypeError("AnswerNormalizer: unknown step " + JSON.stringify(step));
+  });
+  var synonymsAt = -1;
+  steps.forEach(function (s, i) { if (s.fn === _synonymsStep) synonymsAt = i; });
+
+  var stopWords = Object.create(null);     // locale → set
+  var numberWords = Object.create(null);   // locale → map
+  var stemmers = Object.create(null);      // locale → fn
+  var rawLexicon = Object.create(null);    // locale → canonical → { synonyms, hypernyms }
+  var compiled = Object.create(null);      // locale → compiled lexicon (cleared on change)
+
+  function _mergeInto(target, locale, values) {
+    if (!target[locale]) target[locale] = Object.create(null);
+    Object.keys(values).forEach(function (k) { target[locale][k] = values[k]; });
+  }
+
+  /**
+   * Add stop words for a locale.
+   * @param {string} locale
+   * @param {string[]} words
+   */
+  function addStopWords(locale, words) {
+    if (!Array.isArray(words)) throw new TypeError("AnswerNormalizer: stop words must be an array");
+    var set = {};
+    words.forEach(function (w) { tokenize(w).forEach(function (t) { set[t] = true; }); });
+    _mergeInto(stopWords, locale, set);
+    compiled = Object.create(null);
+  }
+
+  /**
+   * Add lexicon entries for a locale.  An entry is either a synonym list
+   * or `{ synonyms, hypernyms }`.
+   *
+   * @param {string} locale
+   * @param {Object} entries - canonical → string[] | { synonyms, hypernyms }
+   */
+  function addLexicon(locale, entries) {
+    if (!entries || typeof entries !== "object") throw new TypeError("AnswerNormalizer: lexicon entries must be an object");
+    if (!rawLexicon[locale]) rawLexicon[locale] = Object.create(null);
+    Object.keys(entries).forEach(function (canonical) {
+      var e = entries[canonical];
+      var synonyms = Array.isArray(e) ? e : (e && e.synonyms) || [];
+      var hypernyms = Array.isArray(e) ? [] : (e && e.hypernyms) || [];
+      var prev = rawLexicon[locale][canonical] || { synonyms: [], hypernyms: [] };
+      rawLexicon[locale][canonical] = {
+        synonyms: prev.synonyms.concat(synonyms.map(String)),
+        hypernyms: prev.hypernyms.concat(hypernyms.map(String))
+      };
+    });
+    compiled = Object.create(null);
+  }
+
+  if (builtins) {
+    Object.keys(STOP_WORDS).forEach(function (l) { addStopWords(l, STOP_WORDS[l]); });
+    Object.keys(NUMBER_WORDS).forEach(function (l) { _mergeInto(numberWords, l, NUMBER_WORDS[l]); });
+    Object.keys(LEXICON).forEach(function (l) { addLexicon(l, LEXICON[l]); });
+    stemmers.en = stemEnglish;
+  }
+  ["stopWords", "numberWords", "stemmers", "lexicon"].forEach(function (key) {
+    var byLocale = options[key];
+    if (!byLocale) return;
+    if (typeof byLocale !== "object") throw new TypeError("AnswerNormalizer: " + key + " must be an object keyed by locale");
+    Object.keys(byLocale).forEach(function (l) {
+      if (key === "stopWords") addStopWords(l, byLocale[l]);
+      else if (key === "numberWords") _mergeInto(numberWords, l, byLocale[l]);
+      else if (key === "stemmers") {
+        if (typeof byLocale[l] !== "function") throw new TypeError("AnswerNormalizer: stemmers." + l + " must be a function");
+        stemmers[l] = byLocale[l];
+      } else addLexicon(l, byLocale[l]);
+    });
+  });
+
+  var EMPTY_LEXICON = { synonyms: Object.create(null), hypernyms: Object.create(null), maxPhrase: 1 };
+
+  function _context(locale) {
+    return {
+      locale: locale,
+      stopWords: stopWords[locale] || Object.create(null),
+      numberWords: numberWords[locale] || Object.create(null),
+      stem: stemmers[locale] || null,
+      lexicon: EMPTY_LEXICON,
+      replaced: Object.create(null)
+    };
+  }
+
+  function _run(text, ctx, until) {
+    var tokens = tokenize(text);
+    for (var i = 0; i < until; i++) {
+      tokens = steps[i].fn(tokens, ctx);
+      if (!Array.isArray(tokens)) throw new TypeError("AnswerNormalizer: step " + steps[i].name + " must return an array");
+    }
+    return tokens;
+  }
+
+  // Lexicon terms go through the steps that precede "synonyms", so they
+  // meet answer tokens in the same form
+  function _lexicon(locale) {
+    if (compiled[locale]) return compiled[locale];
+    var raw = rawLexicon[locale];
+    if (!raw || synonymsAt === -1) return (compiled[locale] = EMPTY_LEXICON);
+    var ctx = _context(locale);
+    var out = { synonyms: Object.create(null), hypernyms: Object.create(null), maxPhrase: 1 };
+    function prep(term) {
+      var t = _run(term, ctx, synonymsAt);
+      if (t.length > MAX_PHRASE_TOKENS) t = t.slice(0, MAX_PHRASE_TOKENS);
+      if (t.length > out.maxPhrase) out.maxPhrase = t.length;
+      return t.join(" ");
+    }
+    Object.keys(raw).forEach(function (canonical) {
+      var key = prep(canonical);
+      if (!key) return;
+      out.synonyms[key] = key;
+      raw[canonical].synonyms.forEach(function (s) {
+        var p = prep(s);
+        if (p && !_has(out.synonyms, p)) out.synonyms[p] = key;
+      });
+      raw[canonical].hypernyms.forEach(function (h) {
+        var p = prep(h);
+        if (!p) return;
+        if (!out.hypernyms[p]) out.hypernyms[p] = [];
+        if (out.hypernyms[p].indexOf(key) === -1) out.hypernyms[p].push(key);
+      });
+    });
+    compiled[locale] = out;
+    return out;
+  }
+
+  /**
+   * Run the full pipeline.
+   *
+   * @param {string} text
+   * @param {Object} [opts]
+   * @param {string} [opts.locale]
+   * @returns {{ locale: string, text: string, tokens: string[], replaced: Object }}
+   *   `replaced` maps each canonical token to the terms the lexicon folded into it
+   */
+  function normalize(text, opts) {
+    var locale = (opts && typeof opts.locale === "string") ? opts.locale : defaultLocale;
+    var ctx = _context(locale);
+    ctx.lexicon = _lexicon(locale);
+    var tokens = _run(text, ctx, steps.length);
+    return { locale: locale, text: String(text == null ? "" : text), tokens: tokens, replaced: Object.assign({}, ctx.replaced) };
+  }
+
+  /**
+   * Normalized tokens for a text.
+   * @param {string} text
+   * @param {Object} [opts] - { locale }
+   * @returns {string[]}
+   */
+  function tokens(text, opts) {
+    return normalize(text, opts).tokens;
+  }
+
+  /**
+   * Jaccard overlap of the normalized token sets.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @param {Object} [opts] - { locale }
+   * @returns {number} 0–1
+   */
+  function similarity(a, b, opts) {
+    var ta = tokens(a, opts);
+    var tb = tokens(b, opts);
+    if (ta.length === 0 || tb.length === 0) return 0;
+    var setA = Object.create(null);
+    var sizeA = 0;
+    ta.forEach(function (t) { if (!setA[t]) { setA[t] = true; sizeA++; } });
+    var setB = Object.create(null);
+    var sizeB = 0;
+    var shared = 0;
+    tb.forEach(function (t) {
+      if (setB[t]) return;
+      setB[t] = true;
+      sizeB++;
+      if (setA[t]) shared++;
+    });
+    return shared / (sizeA + sizeB - shared);
+  }
+
+  // First word of the original text that normalizes to each token, so
+  // reports show "table" rather than the stem "tabl"
+  function _surfaceForms(norm) {
+    var out = Object.create(null);
+    var ctx = _context(norm.locale);
+    ctx.lexicon = _lexicon(norm.locale);
+    tokenize(norm.text).forEach(function (word) {
+      var t = _run(word, ctx, steps.length);
+      if (t.length === 1 && !out[t[0]]) out[t[0]] = word;
+    });
+    return out;
+  }
+
+  function _conceptList(concepts) {
+    if (Array.isArray(concepts)) {
+      return concepts.map(function (c) {
+        var terms = Array.isArray(c) ? c : [c];
+        return { name: String(terms[0]), terms: terms };
+      });
+    }
+    if (concepts && typeof concepts === "object") {
+      return Object.keys(concepts).map(function (name) {
+        var c = concepts[name];
+        return { name: name, terms: Array.isArray(c) ? c : [c] };
+      });
+    }
+    throw new TypeError("AnswerNormalizer: concepts must be an array or an object of term lists");
+  }
+
+  /**
+   * Check which accepted-concept sets an answer covers.  Each concept is
+   * a list of alternative terms (words or short phrases); a term matches
+   * when all of its normalized tokens occur in the answer, or — with
+   * `allowHypernyms` — when the answer names a hypernym of it.  Without
+   * `allowHypernyms` a hypernym only shows up in `hypernymMatches`, so
+   * "animal" alone does not stand in for "cat".
+   *
+   * @param {string|Object} answer - Text, or the result of normalize()
+   * @param {Array<string|string[]>|Object<string, string[]>} concepts
+   * @param {Object} [opts]
+   * @param {string} [opts.locale]
+   * @param {boolean} [opts.allowHypernyms=false]
+   * @returns {{ matched: Array<{concept, term, token, via}>, missing: string[],
+   *   score: number, hypernymMatches: Array<{concept, term, token, via}>,
+   *   unmatchedTerms: string[] }} `via` is "term", "synonym" or "hypernym";
+   *   `hypernymMatches` lists missing concepts the answer only named a
+   *   hypernym of; `unmatchedTerms` are the answer's words (as typed) that
+   *   no concept used
+   */
+  function matchConcepts(answer, concepts, opts) {
+    opts = opts || {};
+    var norm = answer && typeof answer === "object" && Array.isArray(answer.tokens) ? answer : normalize(answer, opts);
+    var locale = norm.locale;
+    var lex = _lexicon(locale);
+    var allowHypernyms = opts.allowHypernyms === true;
+    var present = Object.create(null);
+    norm.tokens.forEach(function (t) { present[t] = true; });
+    var used = Object.create(null);
+
+    var matched = [];
+    var missing = [];
+    var hypernymMatches = [];
+    _conceptList(concepts).forEach(function (concept) {
+      var hit = null;
+      var broader = null;
+      for (var i = 0; i < concept.terms.length && !hit; i++) {
+        var termTokens = tokens(String(concept.terms[i]), { locale: locale });
+        if (termTokens.length === 0) continue;
+        if (termTokens.every(function (t) { return present[t]; })) {
+          var via = termTokens.some(function (t) { return norm.replaced[t]; }) ? "synonym" : "term";
+          hit = { concept: concept.name, term: String(concept.terms[i]), token: termTokens.join(" "), via: via };
+          termTokens.forEach(function (t) { used[t] = true; });
+        } else if (!broader && termTokens.length === 1) {
+          var answerTokens = Object.keys(present);
+          for (var j = 0; j < answerTokens.length; j++) {
+            var under = lex.hypernyms[answerTokens[j]];
+            if (under && under.indexOf(termTokens[0]) !== -1) {
+              broader = { concept: concept.name, term: String(concept.terms[i]), token: answerTokens[j], via: "hypernym" };
+              break;
+            }
+          }
+        }
+      }
+      if (!hit && broader && allowHypernyms) {
+        hit = broader;
+        used[broader.token] = true;
+      }
+      if (hit) matched.push(hit);
+      else {
+        missing.push(concept.name);
+        if (broader) hypernymMatches.push(broader);
+      }
+    });
+
+    var total = matched.length + missing.length;
+    var surface = typeof norm.text === "string" ? _surfaceForms(norm) : Object.create(null);
+    return {
+      matched: matched,
+      missing: missing,
+      score: total === 0 ? 0 : matched.length / total,
+      hypernymMatches: hypernymMatches,
+      unmatchedTerms: norm.tokens
+        .filter(function (t, i, arr) { return !used[t] && arr.indexOf(t) === i; })
+        .map(function (t) { return surface[t] || t; })
+    };
+  }
+
+  return {
+    normalize: normalize,
+    tokens: tokens,
+    similarity: similarity,
+    matchConcepts: matchConcepts,
+    addLexicon: addLexicon,
+    addStopWords: addStopWords,
+    /** @returns {string[]} Step names in pipeline order */
+    steps: function () { return steps.map(function (s) { return s.name; }); }
+  };
+}
+
+module.exports = {
+  createAnswerNormalizer: createAnswerNormalizer,
+  stemEnglish: stemEnglish,
+  tokenize: tokenize,
+  DEFAULT_STEPS: DEFAULT_STEPS
+};
@@ -0,0 +1,457 @@
+"use strict";
+
+/**
+ * automation-probes.js — versioned headless/automation probe suite.
+ *
+ * The browser half, collectAutomationProbes(), records raw observations
+ * of the page environment; it makes no decisions. The server half,
+ * evaluateAutomationProbes(), turns a report into per-probe verdicts
+ * with a confidence each, so thresholds can change without shipping a
+ * new script. Probes (PROBE_SUITE_VERSION 1):
+ *
+ *   webdriver             navigator.webdriver set, deleted or re-defined
+ *   automationGlobals     ChromeDriver / Selenium / PhantomJS / Nightmare /
+ *                         Playwright / Puppeteer globals
+ *   cdpRuntime            an Error's stack read while being logged — the
+ *                         Chrome DevTools Protocol Runtime domain serialises
+ *                         console arguments (also true with DevTools open)
+ *   nativeFunctions       APIs stealth plugins patch that no longer look native
+ *   navigatorConsistency  HeadlessChrome UA, Chrome without window.chrome,
+ *                         fake PluginArray, empty languages, zero-size window
+ *   permissions           Notification.permission vs permissions.query()
+ *   iframeContentWindow   srcdoc iframe whose contentWindow is proxied or
+ *                         differs from the parent
+ *   renderTiming          requestAnimationFrame cadence: no frames, frames
+ *                         faster than any display, or perfectly regular
+ *
+ * A report is client-supplied and can be forged; a bot that sends a
+ * clean one still has to pass the behavioural checks. Treat detections
+ * as evidence, never a missing report as a pass.
+ *
+ *   // browser
+ *   var report = await collectAutomationProbes();
+ *   // server
+ *   var verdict = evaluateAutomationProbes(report, { disabled: ["cdpRuntime"] });
+ *   // → { version, supported, score, detected, probes: { id: { detected, confidence, reasons } } }
+ *
+ * @module gif-captcha/automation-probes
+ */
+
+var PROBE_SUITE_VERSION = 1;
+
+/** Probe ids with the confidence of their strongest finding. */
+var AUTOMATION_PROBES = [
+  { id: "webdriver", confidence: 0.95 },
+  { id: "automationGlobals", confidence: 0.95 },
+  { id: "cdpRuntime", confidence: 0.7 },
+  { id: "nativeFunctions", confidence: 0.7 },
+  { id: "navigatorConsistency", confidence: 0.9 },
+  { id: "permissions", confidence: 0.6 },
+  { id: "iframeContentWindow", confidence: 0.9 },
+  { id: "renderTiming", confidence: 0.4 }
+];
+
+var PROBE_IDS = AUTOMATION_PROBES.map(function (p) { return p.id; });
+
+var AUTOMATION_GLOBALS = [
+  "_phantom", "callPhantom", "__nightmare", "_selenium", "callSelenium",
+  "_Selenium_IDE_Recorder", "__webdriver_evaluate", "__selenium_evaluate",
+  "__webdriver_script_fn", "__driver_evaluate", "__fxdriver_evaluate",
+  "__webdriver_unwrapped", "__selenium_unwrapped", "__driver_unwrapped",
+  "domAutomation", "domAutomationController", "__playwright__binding__",
+  "__pwInitScripts", "__puppeteer_evaluation_script__"
+];
+
+// ChromeDriver's injected cache ("cdc_…Array", "$cdc_…") and old wdc_ keys
+var DRIVER_KEY_RE = /^\$?(cdc|wdc)_[A-Za-z0-9]+_?/;
+
+var NATIVE_RE = /\{\s*\[native code\]\s*\}\s*$/;
+
+var MAX_LIST = 32;
+var MAX_INTERVALS = 64;
+var DEFAULT_FRAMES = 10;
+var DEFAULT_TIMEOUT_MS = 1000;
+
+// ── Collection (browser) ────────────────────────────────────────────
+
+function _try(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    return { error: String(e && e.name || "Error") };
+  }
+}
+
+function _fnSource(win, fn) {
+  return win.Function.prototype.toString.call(fn);
+}
+
+function _probeWebdriver(win) {
+  var nav = win.navigator;
+  var proto = Object.getPrototypeOf(nav);
+  var desc = proto && Object.getOwnPropertyDescriptor(proto, "webdriver");
+  return {
+    value: nav.webdriver === undefined ? null : nav.webdriver,
+    present: "webdriver" in nav,
+    own: Object.prototype.hasOwnProperty.call(nav, "webdriver"),
+    nativeGetter: desc && typeof desc.get === "function" ? NATIVE_RE.test(_fnSource(win, desc.get)) : null
+  };
+}
+
+function _probeGlobals(win) {
+  var found = [];
+  AUTOMATION_GLOBALS.forEach(function (name) {
+    if (name in win) found.push(name);
+  });
+  var driverKeys = [];
+  [win, win.document].forEach(function (obj) {
+    if (!obj) return;
+    Object.getOwnPropertyNames(obj).forEach(function (name) {
+      if (DRIVER_KEY_RE.test(name) && driverKeys.length < MAX_LIST) driverKeys.push(name);
+    });
+  });
+  return { globals: found, driverKeys: driverKeys };
+}
+
+function _probeCdp(win) {
+  if (!win.console || typeof win.console.debug !== "function") return { supported: false };
+  var accessed = false;
+  var err = new win.Error("");
+  Object.defineProperty(err, "stack", {
+    configurable: true,
+    get: function () {
+      accessed = true;
+      return "";
+    }
+  });
+  win.console.debug(err);
+  return { supported: true, stackAccessed: accessed };
+}
+
+function _probeNative(win) {
+  var targets = {
+    "Function.prototype.toString": function () { return win.Function.prototype.toString; },
+    "permissions.query": function () { return win.navigator.permissions && win.navigator.permissions.query; },
+    "HTMLCanvasElement.toDataURL": function () { return win.HTMLCanvasElement && win.HTMLCanvasElement.prototype.toDataURL; },
+    "WebGLRenderingContext.getParameter": function () {
+      return win.WebGLRenderingContext && win.WebGLRenderingContext.prototype.getParameter;
+    },
+    "Navigator.webdriver": function () {
+      var d = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(win.navigator), "webdriver");
+      return d && d.get;
+    },
+    "Navigator.plugins": function () {
+      var d = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(win.navigator), "plugins");
+      return d && d.get;
+    },
+    "Navigator.languages": function () {
+      var d = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(win.navigator), "languages");
+      return d && d.get;
+    }
+  };
+  var patched = [];
+  var checked = 0;
+  Object.keys(targets).forEach(function (name) {
+    var fn;
+    try { fn = targets[name](); } catch (e) { fn = null; }
+    if (typeof fn !== "function") return;
+    checked++;
+    // Built-in methods have no own prototype; plain function replacements do
+    if (!NATIVE_RE.test(_fnSource(win, fn)) || Object.prototype.hasOwnProperty.call(fn, "prototype")) {
+      patched.push(name);
+    }
+  });
+  return { checked: checked, patched: patched };
+}
+
+function _probeNavigator(win) {
+  var nav = win.navigator;
+  var plugins = nav.plugins;
+  return {
+    userAgent: String(nav.userAgent || ""),
+    plugins: plugins ? plugins.length : null,
+    pluginArray: plugins ? Object.prototype.toString.call(plugins) === "[object PluginArray]" : null,
+    languages: nav.languages ? nav.languages.length : null,
+    hasChrome: typeof win.chrome === "object" && win.chrome !== null,
+    outerWidth: typeof win.outerWidth === "number" ? win.outerWidth : null,
+    outerHeight: typeof win.outerHeight === "number" ? win.outerHeight : null
+  };
+}
+
+function _probePermissions(win) {
+  var nav = win.navigator;
+  if (!win.Notification || !nav.permissions || typeof nav.permissions.query !== "function") {
+    return Promise.resolve({ supported: false });
+  }
+  var notification = String(win.Notification.permission);
+  return Promise.resolve(nav.permissions.query({ name: "notifications" })).then(function (status) {
+    return { supported: true, notification: notification, query: String(status && status.state) };
+  });
+}
+
+function _probeIframe(win) {
+  var doc = win.document;
+  if (!doc || !doc.body || typeof doc.createElement !== "function") return { available: false };
+  var frame = doc.createElement("iframe");
+  frame.srcdoc = "<!doctype html>";
+  if (frame.style) frame.style.display = "none";
+  doc.body.appendChild(frame);
+  try {
+    var cw = frame.contentWindow;
+    if (!cw) return { available: false };
+    return {
+      available: true,
+      sameWindow: cw === win,
+      selfMatches: cw.self === cw,
+      framesMatch: cw.frames === cw,
+      hasChrome: typeof cw.chrome === "object" && cw.chrome !== null,
+      parentHasChrome: typeof win.chrome === "object" && win.chrome !== null,
+      webdriver: cw.navigator && cw.navigator.webdriver === true,
+      userAgentMatches: !!cw.navigator && cw.navigator.userAgent === win.navigator.userAgent
+    };
+  } finally {
+    doc.body.removeChild(frame);
+  }
+}
+
+function _probeRenderTiming(win, frames, timeoutMs) {
+  var doc = win.document;
+  var visibility = doc && doc.visibilityState ? String(doc.visibilityState) : null;
+  if (typeof win.requestAnimationFrame !== "function") {
+    return Promise.resolve({ supported: false, visibility: visibility });
+  }
+  return new Promise(function (resolve) {
+    var stamps = [];
+    var done = false;
+    var timer = setTimeout(function () { finish(true); }, timeoutMs);
+    function finish(timedOut) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      var intervals = [];
+      for (var i = 1; i < stamps.length; i++) intervals.push(Math.round((stamps[i] - stamps[i - 1]) * 10) / 10);
+      resolve({ supported: true, visibility: visibility, frames: intervals.length, intervals: intervals, timedOut: timedOut });
+    }
+    function step(ts) {
+      if (done) return;
+      stamps.push(typeof ts === "number" ? ts : Date.now());
+      if (stamps.length > frames) finish(false);
+      else win.requestAnimationFrame(step);
+    }
+    win.requestAnimationFrame(step);
+  });
+}
+
+/**
+ * Run the probe suite in the browser.
+ *
+ * Never rejects: a probe that throws reports `{ error }` and one still
+ * pending after `timeoutMs` reports `{ error: "Timeout" }`.
+ *
+ * @param {Object} [options]
+ * @param {Window} [options.window=window]
+ * @param {string[]} [options.disabled] - Probe ids to skip
+ * @param {number} [options.frames=10] - Animation frames to time
+ * @param {number} [options.timeoutMs=1000]
+ * @returns {Promise<{ version: number, probes: Object, collectedAt: number, durationMs: number }>}
+ */
+function collectAutomationProbes(options) {
+  options = options || {};
+  var win = options.window || (typeof window !== "undefined" ? window : null);
+  if (!win || !win.navigator) return Promise.reject(new TypeError("collectAutomationProbes: no window"));
+  var disabled = options.disabled || [];
+  var frames = typeof options.frames === "number" && options.frames > 0 ? Math.min(options.frames, MAX_INTERVALS) : DEFAULT_FRAMES;
+  var timeoutMs = typeof options.timeoutMs === "number" && options.timeoutMs > 0 ? options.timeoutMs : DEFAULT_TIMEOUT_MS;
+  var started = Date.now();
+
+  var runners = {
+    webdriver: function () { return _probeWebdriver(win); },
+    automationGlobals: function () { return _probeGlobals(win); },
+    cdpRuntime: function () { return _probeCdp(win); },
+    nativeFunctions: function () { return _probeNative(win); },
+    navigatorConsistency: function () { return _probeNavigator(win); },
+    permissions: function () { return _probePermissions(win); },
+    iframeContentWindow: function () { return _probeIframe(win); },
+    renderTiming: function () { return _probeRenderTiming(win, frames, timeoutMs); }
+  };
+
+  var probes = {};
+  var pending = PROBE_IDS.filter(function (id) { return disabled.indexOf(id) === -1; }).map(function (id) {
+    var out = _try(runners[id]);
+    if (!out || typeof out.then !== "function") {
+      probes[id] = out;
+      return null;
+    }
+    var timer;
+    var timeout = new Promise(function (resolve) {
+      timer = setTimeout(function () { resolve({ error: "Timeout" }); }, timeoutMs + 50);
+    });
+    return Promise.race([out.then(null, function (e) { return { error: String(e && e.name || "Error") }; }), timeout])
+      .then(function (value) {
+        clearTimeout(timer);
+        probes[id] = value;
+      });
+  });
+
+  return Promise.all(pending).then(function () {
+    var now = Date.now();
+    return { version: PROBE_SUITE_VERSION, probes: probes, collectedAt: now, durationMs: now - started };
+  });
+}
+
+// ── Evaluation (server) ─────────────────────────────────────────────
+
+function _names(list) {
+  return Array.isArray(list)
+    ? list.slice(0, MAX_LIST).filter(function (n) { return typeof n === "string"; })
+    : [];
+}
+
+function _count(v) {
+  return typeof v === "number" && isFinite(v) ? v : null;
+}
+
+function _isChromeUa(ua) {
+  return /\b(Chrome|Chromium)\/\d+/.test(ua) && !/\b(Edg|OPR|SamsungBrowser)\//.test(ua);
+}
+
+function _isMobileUa(ua) {
+  return /\b(Android|Mobile|iPhone|iPad)\b/.test(ua);
+}
+
+var EVALUATORS = {
+  webdriver: function (o, add) {
+    if (o.value === true) add("webdriver-true", 0.95);
+    if (o.own === true) add("webdriver-own-property", 0.8);
+    if (o.nativeGetter === false) add("webdriver-patched-getter", 0.8);
+    if (o.present === false) add("webdriver-deleted", 0.5);
+  },
+
+  automationGlobals: function (o, add) {
+    var globals = _names(o.globals).filter(function (n) { return AUTOMATION_GLOBALS.indexOf(n) !== -1; });
+    var keys = _names(o.driverKeys).filter(function (n) { return DRIVER_KEY_RE.test(n); });
+    if (globals.length) add("automation-globals:" + globals.join(","), 0.95);
+    if (keys.length) add("driver-keys", 0.95);
+  },
+
+  cdpRuntime: function (o, add) {
+    if (o.supported === false) return null;
+    if (o.stackAccessed === true) add("console-serialized", 0.7);
+  },
+
+  nativeFunctions: function (o, add) {
+    var patched = _names(o.patched);
+    if (patched.length) add("patched:" + patched.join(","), patched.length > 1 ? 0.7 : 0.5);
+  },
+
+  navigatorConsistency: function (o, add) {
+    var ua = typeof o.userAgent === "string" ? o.userAgent : "";
+    var chromeDesktop = _isChromeUa(ua) && !_isMobileUa(ua);
+    if (/HeadlessChrome|PhantomJS|Electron\//.test(ua)) add("headless-user-agent", 0.9);
+    if (_isChromeUa(ua) && !/CriOS/.test(ua) && o.hasChrome === false) add("chrome-object-missing", 0.6);
+    if (o.pluginArray === false) add("fake-plugin-array", 0.7);
+    if (chromeDesktop && _count(o.plugins) === 0) add("no-plugins", 0.5);
+    if (_count(o.languages) === 0) add("no-languages", 0.6);
+    if (_count(o.outerWidth) === 0 && _count(o.outerHeight) === 0) add("zero-outer-size", 0.6);
+  },
+
+  permissions: function (o, add) {
+    if (o.supported === false) return null;
+    if (o.notification === "denied" && o.query === "prompt") add("notification-permission-mismatch", 0.6);
+  },
+
+  iframeContentWindow: function (o, add) {
+    if (o.available === false) return null;
+    if (o.sameWindow === true) add("iframe-is-parent", 0.9);
+    if (o.selfMatches === false || o.framesMatch === false) add("iframe-window-proxied", 0.8);
+    if (o.webdriver === true) add("iframe-webdriver", 0.9);
+    if (o.userAgentMatches === false) add("iframe-user-agent-mismatch", 0.8);
+    if (o.parentHasChrome === true && o.hasChrome === false) add("iframe-chrome-missing", 0.6);
+  },
+
+  renderTiming: function (o, add) {
+    if (o.supported === false || o.visibility === "hidden") return null;
+    var intervals = Array.isArray(o.intervals)
+      ? o.intervals.slice(0, MAX_INTERVALS).filter(function (v) { return typeof v === "number" && isFinite(v); })
+      : [];
+    if (!intervals.length) {
+      if (o.timedOut === true) add("no-animation-frames", 0.4);
+      return;
+    }
+    var sorted = intervals.slice().sort(function (a, b) { return a - b; });
+    var median = sorted[Math.floor(sorted.length / 2)];
+    if (median < 4) add("frames-too-fast", 0.4);
+    if (intervals.length >= 8 && sorted[0] === sorted[sorted.length - 1]) add("frames-perfectly-regular", 0.3);
+  }
+};
+
+/**
+ * Evaluate a collectAutomationProbes() report.
+ *
+ * Each enabled probe gets `{ detected, confidence, reasons }`;
+ * `detected` is null when the probe is missing from the report, errored
+ * or does not apply (e.g. no Permissions API). `score` (0-100) combines
+ * the detections as independent evidence: 100 × (1 − Π(1 − confidence)).
+ * Reports from a newer suite version are `supported: false` with score 0.
+ *
+ * @param {Object} report
+ * @param {Object} [options]
+ * @param {string[]} [options.disabled] - Probe ids to ignore
+ * @returns {{ version: number, supported: boolean, score: number, detected: string[],
+ *   probes: Object<string, { detected: boolean|null, confidence: number, reasons: string[], disabled?: boolean }> }}
+ */
+function evaluateAutomationProbes(report, options) {
+  options = options || {};
+  var disabled = options.disabled || [];
+  if (!Array.isArray(disabled)) throw new TypeError("disabled must be an array of probe ids");
+  disabled.forEach(function (id) {
+    if (PROBE_IDS.indexOf(id) === -1) throw new RangeError("Unknown automation probe: " + id);
+  });
+
+  var version = report && typeof report.version === "number" ? report.version : null;
+  var supported = version !== null && version >= 1 && version <= PROBE_SUITE_VERSION;
+  var observed = supported && report.probes && typeof report.probes === "object" ? report.probes : {};
+  var probes = {};
+  var detected = [];
+  var clean = 1;
+
+  AUTOMATION_PROBES.forEach(function (probe) {
+    if (disabled.indexOf(probe.id) !== -1) {
+      probes[probe.id] = { detected: null, confidence: 0, reasons: [], disabled: true };
+      return;
+    }
+    var o = observed[probe.id];
+    var out = { detected: null, confidence: 0, reasons: [] };
+    probes[probe.id] = out;
+    if (!o || typeof o !== "object" || o.error) return;
+    var applies = EVALUATORS[probe.id](o, function (reason, confidence) {
+      out.reasons.push(reason);
+      out.confidence = Math.max(out.confidence, Math.min(confidence, probe.confidence));
+    });
+    if (applies === null) return;
+    out.detected = out.reasons.length > 0;
+    if (out.detected) {
+      detected.push(probe.id);
+      clean *= 1 - out.confidence;
+    }
+  });
+
+  return {
+    version: version,
+    supported: supported,
+    score: Math.round((1 - clean) * 1000) / 10,
+    detected: detected,
+    probes: probes
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PROBE_SUITE_VERSION: PROBE_SUITE_VERSION,
+    AUTOMATION_PROBES: AUTOMATION_PROBES,
+    collectAutomationProbes: collectAutomationProbes,
+    evaluateAutomationProbes: evaluateAutomationProbes
+  };
+} else if (typeof window !== "undefined") {
+  window.collectAutomationProbes = collectAutomationProbes;
+}
@@ -6,12 +6,18 @@
  * from bots. Works client-side to augment CAPTCHA challenges with
  * passive behavioral signals.
  *
+ * On touch screens and pen tablets, pointer events (pressure, contact
+ * size, tilt, multi-touch) and device-motion samples give the mobile
+ * equivalent: swipe velocity profiles, tap offsets from their targets,
+ * and the small device jolt a real finger causes on touch-down.
+ *
  * @module gif-captcha/behavioral-biometrics
  */
 
 "use strict";
 
 var _sharedUtils = require("./shared-utils");
+var _keystrokeDynamics = require("./keystroke-dynamics");
 var mean = _sharedUtils._mean;
 var stddev = _sharedUtils._stddev;
 
@@ -42,6 +48,37 @@ function entropy(arr) {
   return h;
 }
 
+function cv(arr) {
+  var m = mean(arr);
+  return arr.length > 1 && m > 0 ? stddev(arr) / m : 0;
+}
+
+function distinctCount(arr) {
+  var seen = Object.create(null);
+  var n = 0;
+  for (var i = 0; i < arr.length; i++) {
+    if (!seen[arr[i]]) { seen[arr[i]] = true; n++; }
+  }
+  return n;
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+function num(v) {
+  return typeof v === "number" && isFinite(v) ? v : null;
+}
+
+// Pointer Events and Touch Events names → phases.
+var POINTER_PHASES = {
+  down: "down", move: "move", up: "up", cancel: "cancel",
+  pointerdown: "down", pointermove: "move", pointerup: "up", pointercancel: "cancel",
+  touchstart: "down", touchmove: "move", touchend: "up", touchcancel: "cancel"
+};
+
+var MOUSE_BUTTONS = ["left", "middle", "right"];
+
 // ── Behavioral Biometrics Analyzer ──────────────────────────────────
 
 /**
@@ -54,6 +91,8 @@ function entropy(arr) {
  * @param {number} [options.minClickEvents=2]      Min click events for analysis
  * @param {number} [options.minKeystrokeEvents=3]  Min keystroke events for analysis
  * @param {boolean} [options.collectKeystrokes=false] Whether to collect keystroke timing
+ * @param {number} [options.minTouchStrokes=3]    Min touch/pen strokes (taps, swipes) for analysis
+ * @param {number} [options.tapSlopPx=10]          Max movement for a stroke to count as a tap
  * @returns {Object} Analyzer instance
  */
 function createBehavioralBiometrics(options) {
@@ -64,12 +103,16 @@ function createBehavioralBiometrics(options) {
   var minClicks = (opts.minClickEvents != null && opts.minClickEvents > 0) ? opts.minClickEvents : 2;
   var minKeystrokes = (opts.minKeystrokeEvents != null && opts.minKeystrokeEvents > 0) ? opts.minKeystrokeEvents : 3;
   var collectKeystrokes = !!opts.collectKeystrokes;
+  var minTouchStrokes = (opts.minTouchStrokes != null && opts.minTouchStrokes > 0) ? opts.minTouchStrokes : 3;
+  var tapSlop = (opts.tapSlopPx != null && opts.tapSlopPx >= 0) ? opts.tapSlopPx : 10;
 
   // Event buffers
   var mouseEvents = [];
   var clickEvents = [];
   var keystrokeEvents = [];
   var scrollEvents = [];
+  var pointerEvents = [];
+  var motionEvents = [];
 
   // ── Recording ─────────────────────────────────────────────────
 
@@ -104,17 +147,21 @@ function createBehavioralBiometrics(options) {
   }
 
   /**
-   * Record a keystroke timing event (only timing, not the key itself).
+   * Record a keystroke timing event. Only the key's class (hand, digit,
+   * space, correction, ...) is kept, never the key itself.
    * @param {number} duration - Key hold duration in ms
-   * @param {number} [timestamp]
+   * @param {number} [timestamp] - Key-down time
+   * @param {string} [key] - KeyboardEvent `code` or `key`, or a key class
    */
-  function recordKeystroke(duration, timestamp) {
+  function recordKeystroke(duration, timestamp, key) {
     if (!collectKeystrokes) return;
     if (keystrokeEvents.length >= maxEvents) return;
-    keystrokeEvents.push({
+    var event = {
       duration: duration,
       t: timestamp != null ? timestamp : Date.now()
-    });
+    };
+    if (key != null) event.keyClass = _keystrokeDynamics.keyClass(key);
+    keystrokeEvents.push(event);
   }
 
   /**
@@ -130,6 +177,84 @@ function createBehavioralBiometrics(options) {
     });
   }
 
+  /**
+   * Record a pointer event. Takes the fields of a DOM PointerEvent (so a
+   * raw event can be passed straight from a listener), or a plain object
+   * mapped from a Touch:
+   *
+   *   type         "down" | "move" | "up" | "cancel" (or "pointerdown",
+   *                "touchstart", ...)
+   *   pointerId    Distinguishes simultaneous contacts (Touch.identifier)
+   *   pointerType  "touch" | "pen" | "mouse" (default "touch")
+   *   x, y         Or clientX/clientY
+   *   pressure     0–1 (Touch.force)
+   *   width/height Contact size, px (2 × Touch.radiusX/radiusY)
+   *   tiltX/tiltY  Pen tilt, degrees
+   *   t            Or timeStamp; defaults to Date.now()
+   *
+   * Mouse pointers go to the mouse and click channels instead.
+   *
+   * @param {Object} event
+   * @param {Object} [target] - Bounding box of the element hit, as
+   *   { x, y, width, height } or a DOMRect, for tap-offset analysis
+   */
+  function recordPointer(event, target) {
+    if (!event || typeof event !== "object") return;
+    var phase = POINTER_PHASES[event.type];
+    if (!phase) return;
+    var x = num(event.x != null ? event.x : event.clientX);
+    var y = num(event.y != null ? event.y : event.clientY);
+    if (x === null || y === null) return;
+    var t = num(event.t != null ? event.t : event.timeStamp);
+    if (t === null) t = Date.now();
+    var kind = event.pointerType || "touch";
+
+    if (kind === "mouse") {
+      if (phase === "move") recordMouseMove(x, y, t);
+      else if (phase === "down") recordClick(x, y, MOUSE_BUTTONS[event.button] || "left", t);
+      return;
+    }
+    if (pointerEvents.length >= maxEvents) return;
+    var rect = null;
+    if (target && num(target.width) > 0 && num(target.height) > 0) {
+      rect = {
+        x: target.x != null ? target.x : target.left,
+        y: target.y != null ? target.y : target.top,
+        width: target.width,
+        height: target.height
+      };
+    }
+    pointerEvents.push({
+      phase: phase,
+      id: event.pointerId != null ? event.pointerId : 0,
+      kind: kind,
+      x: x, y: y, t: t,
+      pressure: num(event.pressure),
+      width: num(event.width),
+      height: num(event.height),
+      tiltX: num(event.tiltX),
+      tiltY: num(event.tiltY),
+      target: rect
+    });
+  }
+
+  /**
+   * Record a device-motion sample: { x, y, z, t } in m/s², or a
+   * DeviceMotionEvent (acceleration, falling back to
+   * accelerationIncludingGravity; timeStamp).
+   * @param {Object} event
+   */
+  function recordMotion(event) {
+    if (!event || typeof event !== "object" || motionEvents.length >= maxEvents) return;
+    var a = event;
+    if (event.acceleration && num(event.acceleration.x) !== null) a = event.acceleration;
+    else if (event.accelerationIncludingGravity) a = event.accelerationIncludingGravity;
+    var x = num(a.x), y = num(a.y), z = num(a.z);
+    if (x === null || y === null || z === null) return;
+    var t = num(event.t != null ? event.t : event.timeStamp);
+    motionEvents.push({ x: x, y: y, z: z, t: t !== null ? t : Date.now() });
+  }
+
   // ── Mouse Analysis ────────────────────────────────────────────
 
   function analyzeMouseMovement() {
@@ -299,7 +424,13 @@ function createBehavioralBiometrics(options) {
     }
     var rangeScore = durations.length > 0 ? inRange / durations.length : 0;
 
-    var overall = (durationScore * 0.35 + intervalScore * 0.35 + rangeScore * 0.3);
+    // 4. Flight times depend on the key-class pair (needs key classes)
+    var dynamics = _keystrokeDynamics.analyzeKeystrokeDynamics(keystrokeEvents);
+    var pairing = dynamics.pairing;
+
+    var overall = pairing
+      ? (durationScore * 0.25 + intervalScore * 0.25 + rangeScore * 0.2 + pairing.score * 0.3)
+      : (durationScore * 0.35 + intervalScore * 0.35 + rangeScore * 0.3);
 
     return {
       sufficient: true,
@@ -309,7 +440,10 @@ function createBehavioralBiometrics(options) {
         durationMean: Math.round(mean(durations) * 100) / 100,
         durationCV: Math.round(durationCV * 1000) / 1000,
         intervalCV: Math.round(intervalCV * 1000) / 1000,
-        humanRangeRatio: Math.round(rangeScore * 1000) / 1000
+        humanRangeRatio: Math.round(rangeScore * 1000) / 1000,
+        digraphPairing: pairing ? pairing.score : null,
+        rolloverRate: dynamics.rollover.rate,
+        correctionRate: dynamics.corrections.rate
       }
     };
   }
@@ -357,6 +491,261 @@ function createBehavioralBiometrics(options) {
     };
   }
 
+  // ── Touch / Pen Analysis ──────────────────────────────────────
+
+  // Group pointer events into strokes (down → moves → up) per pointerId.
+  function _strokes() {
+    var open = Object.create(null);
+    var openCount = 0;
+    var strokes = [];
+    var multiTouch = 0;
+    function close(id, cancelled) {
+      open[id].cancelled = cancelled;
+      strokes.push(open[id]);
+      delete open[id];
+      openCount--;
+    }
+    for (var i = 0; i < pointerEvents.length; i++) {
+      var e = pointerEvents[i];
+      if (e.phase === "down") {
+        if (open[e.id]) close(e.id, true);
+        if (openCount >= 1) multiTouch++;
+        open[e.id] = { kind: e.kind, points: [e], target: e.target, cancelled: false };
+        openCount++;
+      } else if (open[e.id]) {
+        open[e.id].points.push(e);
+        if (e.phase !== "move") close(e.id, e.phase === "cancel");
+      }
+    }
+    Object.keys(open).forEach(function (id) { close(id, false); });
+    strokes.sort(function (a, b) { return a.points[0].t - b.points[0].t; });
+    return { strokes: strokes, multiTouch: multiTouch };
+  }
+
+  function _strokeGeometry(stroke) {
+    var pts = stroke.points;
+    var path = 0;
+    var speeds = [];
+    var speedTimes = [];
+    for (var i = 1; i < pts.length; i++) {
+      var d = Math.sqrt(Math.pow(pts[i].x - pts[i - 1].x, 2) + Math.pow(pts[i].y - pts[i - 1].y, 2));
+      var dt = pts[i].t - pts[i - 1].t;
+      path += d;
+      // A lift reported at the last move position is not a stop.
+      if (d === 0 && i === pts.length - 1) continue;
+      if (dt > 0) {
+        speeds.push(d / dt);
+        speedTimes.push(pts[i].t);
+      }
+    }
+    var first = pts[0], last = pts[pts.length - 1];
+    return {
+      duration: last.t - first.t,
+      displacement: Math.sqrt(Math.pow(last.x - first.x, 2) + Math.pow(last.y - first.y, 2)),
+      path: path,
+      speeds: speeds,
+      speedTimes: speedTimes
+    };
+  }
+
+  // Real digitizers report varying pressure and contact size; synthetic
+  // touches carry constants. Constant pressure alone is common on real
+  // phones (no force sensor), so it only counts as neutral.
+  function _sensorScore(samples, multiTouch) {
+    var pressures = [], sizes = [], tilts = [], pens = 0;
+    for (var i = 0; i < samples.length; i++) {
+      var e = samples[i];
+      if (e.pressure !== null) pressures.push(e.pressure);
+      if (e.width !== null && e.height !== null) sizes.push(e.width * e.height);
+      if (e.kind === "pen") {
+        pens++;
+        if (e.tiltX !== null && e.tiltY !== null) tilts.push(e.tiltX * 1000 + e.tiltY);
+      }
+    }
+    var parts = [];
+    var pressureCV = cv(pressures);
+    var sizeCV = cv(sizes);
+    if (pressures.length > 0) parts.push(distinctCount(pressures) > 2 ? Math.min(pressureCV / 0.1, 1) : 0.5);
+    if (sizes.length > 0) parts.push(distinctCount(sizes) > 2 ? Math.min(sizeCV / 0.1, 1) : 0.2);
+    if (pens > 0) parts.push(distinctCount(tilts) > 2 ? 1 : 0.2);
+    var score = parts.length > 0 ? mean(parts) : 0.4;
+    if (multiTouch > 0) score = Math.min(1, score + 0.2);
+    return { score: score, pressureCV: pressureCV, contactSizeCV: sizeCV };
+  }
+
+  // Human swipes speed up and slow down along a slightly curved path;
+  // scripted swipes interpolate at constant speed in a straight line.
+  function _swipeScore(swipes) {
+    var scores = [], cvs = [], peaks = [], straightness = [];
+    for (var i = 0; i < swipes.length; i++) {
+      var g = swipes[i];
+      var speedCV = cv(g.speeds);
+      var peakIdx = 0;
+      for (var k = 1; k < g.speeds.length; k++) if (g.speeds[k] > g.speeds[peakIdx]) peakIdx = k;
+      var peak = g.duration > 0 ? (g.speedTimes[peakIdx] - g.speedTimes[0]) / g.duration : 0;
+      var straight = g.displacement > 0 ? g.path / g.displacement : 1;
+      cvs.push(speedCV);
+      peaks.push(peak);
+      straightness.push(straight);
+      scores.push(Math.min(speedCV / 0.4, 1) * 0.5 +
+        Math.min((straight - 1) / 0.01, 1) * 0.25 +
+        Math.min(peak / 0.1, 1) * 0.25);
+    }
+    return {
+      score: mean(scores),
+      velocityCV: mean(cvs),
+      peakPosition: mean(peaks),
+      straightness: mean(straightness)
+    };
+  }
+
+  // Fingers land off-centre by varying amounts and hold for varying
+  // times; automation taps dead centre with zero or fixed duration.
+  function _tapScore(taps) {
+    var durations = [], offsets = [], dxs = [], dys = [], centred = 0, zero = 0;
+    for (var i = 0; i < taps.length; i++) {
+      var tap = taps[i];
+      durations.push(tap.duration);
+      if (tap.duration <= 0) zero++;
+      var target = tap.stroke.target;
+      if (target) {
+        var p = tap.stroke.points[0];
+        var nx = (p.x - (target.x + target.width / 2)) / (target.width / 2);
+        var ny = (p.y - (target.y + target.height / 2)) / (target.height / 2);
+        dxs.push(nx);
+        dys.push(ny);
+        offsets.push(Math.sqrt(nx * nx + ny * ny));
+        if (Math.abs(nx) < 0.02 && Math.abs(ny) < 0.02) centred++;
+      }
+    }
+    var durationCV = cv(durations);
+    var zeroRatio = zero / taps.length;
+    var spread = dxs.length > 1 ? Math.sqrt(Math.pow(stddev(dxs), 2) + Math.pow(stddev(dys), 2)) : null;
+    var centreRatio = offsets.length > 0 ? centred / offsets.length : null;
+    var score;
+    if (spread !== null) {
+      score = Math.min(spread / 0.15, 1) * 0.35 + (1 - centreRatio) * 0.25 +
+        Math.min(durationCV / 0.3, 1) * 0.25 + (1 - zeroRatio) * 0.15;
+    } else {
+      score = Math.min(durationCV / 0.3, 1) * 0.6 + (1 - zeroRatio) * 0.4;
+    }
+    return {
+      score: score,
+      durationMean: mean(durations),
+      durationCV: durationCV,
+      offsetMean: offsets.length > 0 ? mean(offsets) : null,
+      offsetSpread: spread,
+      centreRatio: centreRatio
+    };
+  }
+
+  // A finger landing jolts the device: accelerometer jitter rises just
+  // after each touch-down. Emulators report flat or uncorrelated motion.
+  function _motionScore(downTimes) {
+    if (motionEvents.length < 10) return null;
+    var mags = [];
+    for (var i = 0; i < motionEvents.length; i++) {
+      var m = motionEvents[i];
+      mags.push(Math.sqrt(m.x * m.x + m.y * m.y + m.z * m.z));
+    }
+    var noise = stddev(mags);
+    var near = [], far = [];
+    for (var j = 1; j < motionEvents.length; j++) {
+      var jitter = Math.abs(mags[j] - mags[j - 1]);
+      var t = motionEvents[j].t;
+      var close = false;
+      for (var k = 0; k < downTimes.length; k++) {
+        if (t >= downTimes[k] - 50 && t <= downTimes[k] + 200) { close = true; break; }
+      }
+      (close ? near : far).push(jitter);
+    }
+    var ratio = 1;
+    if (near.length > 0 && far.length > 0) {
+      var farMean = mean(far);
+      ratio = farMean > 0 ? mean(near) / farMean : (mean(near) > 0 ? 3 : 1);
+    }
+    ratio = Math.min(ratio, 3);
+    var score = noise > 0 ? 0.3 + 0.7 * Math.max(0, Math.min((ratio - 1) / 0.5, 1)) : 0;
+    return { score: score, samples: motionEvents.length, noise: noise, jitterRatio: ratio };
+  }
+
+  /**
+   * Analyze touch and pen input: digitizer richness (pressure, contact
+   * size, tilt, multi-touch), swipe velocity profiles, tap offsets from
+   * their targets and tap durations, and device-motion jitter around
+   * touch-downs. Components without data drop out and the rest are
+   * re-weighted.
+   * @returns {Object} { sufficient, score, eventCount, metrics }
+   */
+  function analyzeTouch() {
+    var grouped = _strokes();
+    var strokes = grouped.strokes;
+    if (strokes.length < minTouchStrokes) {
+      return { sufficient: false, score: 0 };
+    }
+
+    var taps = [], swipes = [], kinds = {}, downTimes = [], samples = [];
+    for (var i = 0; i < strokes.length; i++) {
+      var s = strokes[i];
+      kinds[s.kind] = (kinds[s.kind] || 0) + 1;
+      downTimes.push(s.points[0].t);
+      for (var p = 0; p < s.points.length; p++) samples.push(s.points[p]);
+      if (s.cancelled) continue;
+      var g = _strokeGeometry(s);
+      if (g.path <= tapSlop) taps.push({ stroke: s, duration: g.duration });
+      else if (g.displacement >= 30 && g.speeds.length >= 3) swipes.push(g);
+    }
+
+    var sensor = _sensorScore(samples, grouped.multiTouch);
+    var swipe = swipes.length > 0 ? _swipeScore(swipes) : null;
+    var tap = taps.length >= 2 ? _tapScore(taps) : null;
+    var motion = _motionScore(downTimes);
+
+    var parts = [[sensor.score, 0.2]];
+    if (swipe) parts.push([swipe.score, 0.3]);
+    if (tap) parts.push([tap.score, 0.3]);
+    if (motion) parts.push([motion.score, 0.2]);
+    var total = 0, weighted = 0;
+    for (var w = 0; w < parts.length; w++) {
+      weighted += parts[w][0] * parts[w][1];
+      total += parts[w][1];
+    }
+
+    function r(v) { return v === null || v === undefined ? null : round3(v); }
+
+    return {
+      sufficient: true,
+      score: round3(weighted / total),
+      eventCount: pointerEvents.length,
+      metrics: {
+        strokes: strokes.length,
+        taps: taps.length,
+        swipes: swipes.length,
+        multiTouch: grouped.multiTouch,
+        pointerTypes: kinds,
+        pressureCV: r(sensor.pressureCV),
+        contactSizeCV: r(sensor.contactSizeCV),
+        swipeVelocityCV: swipe ? r(swipe.velocityCV) : null,
+        swipePeakPosition: swipe ? r(swipe.peakPosition) : null,
+        swipeStraightness: swipe ? r(swipe.straightness) : null,
+        tapDurationMean: tap ? r(tap.durationMean) : null,
+        tapDurationCV: tap ? r(tap.durationCV) : null,
+        tapOffsetMean: tap ? r(tap.offsetMean) : null,
+        tapOffsetSpread: tap ? r(tap.offsetSpread) : null,
+        tapCentreRatio: tap ? r(tap.centreRatio) : null,
+        motionSamples: motionEvents.length,
+        motionNoise: motion ? r(motion.noise) : null,
+        touchJitterRatio: motion ? r(motion.jitterRatio) : null
+      },
+      components: {
+        sensor: round3(sensor.score),
+        swipes: swipe ? round3(swipe.score) : null,
+        taps: tap ? round3(tap.score) : null,
+        motion: motion ? round3(motion.score) : null
+      }
+    };
+  }
+
   // ── Combined Analysis ─────────────────────────────────────────
 
   /**
@@ -368,14 +757,17 @@ function createBehavioralBiometrics(options) {
     var clicks = analyzeClicks();
     var keystrokes = analyzeKeystrokes();
     var scrolls = analyzeScrolls();
+    var touch = analyzeTouch();
 
     var signals = [];
     var weights = [];
+    var channels = [];
 
-    if (mouse.sufficient) { signals.push(mouse.score); weights.push(0.4); }
-    if (clicks.sufficient) { signals.push(clicks.score); weights.push(0.25); }
-    if (keystrokes.sufficient) { signals.push(keystrokes.score); weights.push(0.2); }
-    if (scrolls.sufficient) { signals.push(scrolls.score); weights.push(0.15); }
+    if (mouse.sufficient) { signals.push(mouse.score); weights.push(0.4); channels.push("mouse"); }
+    if (clicks.sufficient) { signals.push(clicks.score); weights.push(0.25); channels.push("clicks"); }
+    if (keystrokes.sufficient) { signals.push(keystrokes.score); weights.push(0.2); channels.push("keystrokes"); }
+    if (scrolls.sufficient) { signals.push(scrolls.score); weights.push(0.15); channels.push("scrolls"); }
+    if (touch.sufficient) { signals.push(touch.score); weights.push(0.4); channels.push("touch"); }
 
     var combined = 0;
     if (signals.length > 0) {
@@ -390,20 +782,22 @@ function createBehavioralBiometrics(options) {
       score: combined,
       isLikelyHuman: combined >= humanThreshold,
       signalCount: signals.length,
+      channels: channels,
       signals: {
         mouse: mouse,
         clicks: clicks,
         keystrokes: keystrokes,
-        scrolls: scrolls
+        scrolls: scrolls,
+        touch: touch
       },
       threshold: humanThreshold,
-      totalEvents: mouseEvents.length + clickEvents.length + keystrokeEvents.length + scrollEvents.length
+      totalEvents: _totalEvents()
     };
   }
 
   /**
    * Get a compact risk assessment.
-   * @returns {Object} { risk: 'low'|'medium'|'high', score, reason }
+   * @returns {Object} { risk: 'low'|'medium'|'high', score, reason, signalCount, channels }
    */
   function getRiskLevel() {
     var result = analyze();
@@ -427,7 +821,8 @@ function createBehavioralBiometrics(options) {
       risk: risk,
       score: result.score,
       reason: reason,
-      signalCount: result.signalCount
+      signalCount: result.signalCount,
+      channels: result.channels
     };
   }
 
@@ -439,6 +834,13 @@ function createBehavioralBiometrics(options) {
     clickEvents.length = 0;
     keystrokeEvents.length = 0;
     scrollEvents.length = 0;
+    pointerEvents.length = 0;
+    motionEvents.length = 0;
+  }
+
+  function _totalEvents() {
+    return mouseEvents.length + clickEvents.length + keystrokeEvents.length + scrollEvents.length +
+      pointerEvents.length + motionEvents.length;
   }
 
   /**
@@ -451,10 +853,22 @@ function createBehavioralBiometrics(options) {
       clicks: clickEvents.length,
       keystrokes: keystrokeEvents.length,
       scrolls: scrollEvents.length,
-      total: mouseEvents.length + clickEvents.length + keystrokeEvents.length + scrollEvents.length
+      pointer: pointerEvents.length,
+      motion: motionEvents.length,
+      total: _totalEvents()
     };
   }
 
+  /**
+   * Typist profile of the recorded keystrokes (key-class statistics
+   * only), for createBotDetector().setTypingProfile or
+   * keystroke-dynamics mergeTypingProfiles.
+   * @returns {Object|null} null when keystrokes are not collected
+   */
+  function getTypingProfile() {
+    return collectKeystrokes ? _keystrokeDynamics.buildTypingProfile(keystrokeEvents) : null;
+  }
+
   /**
    * Export collected events for server-side verification.
    * @returns {Object} Serializable event data
@@ -465,6 +879,16 @@ function createBehavioralBiometrics(options) {
       clicks: clickEvents.slice(),
       keystrokes: collectKeystrokes ? keystrokeEvents.slice() : [],
       scrolls: scrollEvents.slice(),
+      // Same shape recordPointer takes: replay with recordPointer(e, e.target).
+      pointer: pointerEvents.map(function (e) {
+        return {
+          type: e.phase, pointerId: e.id, pointerType: e.kind,
+          x: e.x, y: e.y, t: e.t,
+          pressure: e.pressure, width: e.width, height: e.height,
+          tiltX: e.tiltX, tiltY: e.tiltY, target: e.target
+        };
+      }),
+      motion: motionEvents.slice(),
       exportedAt: Date.now()
     };
   }
@@ -474,14 +898,18 @@ function createBehavioralBiometrics(options) {
     recordClick: recordClick,
     recordKeystroke: recordKeystroke,
     recordScroll: recordScroll,
+    recordPointer: recordPointer,
+    recordMotion: recordMotion,
     analyze: analyze,
     analyzeMouseMovement: analyzeMouseMovement,
     analyzeClicks: analyzeClicks,
     analyzeKeystrokes: analyzeKeystrokes,
     analyzeScrolls: analyzeScrolls,
+    analyzeTouch: analyzeTouch,
     getRiskLevel: getRiskLevel,
     getEventCounts: getEventCounts,
     exportEvents: exportEvents,
+    getTypingProfile: getTypingProfile,
     reset: reset
   };
 }
@@ -19,12 +19,29 @@
  *   const csv     = log.exportCSV();
  *   const json    = log.exportJSON();
  *
+ * Tamper evidence: every entry carries `seq`, `prevHash` (the previous
+ * entry's hash) and `hash` (SHA-256 over its canonical JSON), plus an
+ * HMAC-SHA256 `sig` when `hmacKey` is set, so editing, reordering or
+ * dropping an entry breaks the chain and `verify()` names the first bad
+ * link. History is only ever removed from the front, behind a (signed)
+ * checkpoint that becomes the chain's trusted base; entries removed from
+ * the middle by `purge()` are listed by hash in the chained
+ * `admin.purge` record that removed them.
+ *
+ *   const log = createAuditLog({ hmacKey: process.env.AUDIT_KEY, checkpointEvery: 1000,
+ *                                sink: createJsonlAuditSink({ dir: '/var/log/captcha-audit' }) });
+ *   log.verify();   // → { valid: true, checked: 1234, firstBroken: null, ... }
+ *
  * @module captcha-audit-log
  */
 
 "use strict";
 
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
 var csvUtils = require("./csv-utils");
+var verifyChainOfCustody = require("./session-evidence-bundler").verifyChainOfCustody;
 
 /**
  * Known event types for validation.
@@ -47,6 +64,7 @@ const VALID_EVENTS = [
   'admin.export',
   'webhook.sent',
   'webhook.failed',
+  'evidence.anchored',
 ];
 
 /**
@@ -78,28 +96,174 @@ const DEFAULT_SEVERITY_MAP = {
   'admin.export': SEVERITY.INFO,
   'webhook.sent': SEVERITY.DEBUG,
   'webhook.failed': SEVERITY.ERROR,
+  'evidence.anchored': SEVERITY.INFO,
 };
 
+/** prevHash of the first entry in a log. */
+const GENESIS_HASH = '0'.repeat(64);
+
 let _nextId = 1;
 
+// ── Hashing ─────────────────────────────────────────────────────────
+
+/**
+ * JSON with object keys sorted at every level, so the same entry always
+ * hashes the same way regardless of property order.
+ */
+function _canonical(value) {
+  return JSON.stringify(value, (key, v) => {
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      const sorted = {};
+      for (const k of Object.keys(v).sort()) sorted[k] = v[k];
+      return sorted;
+    }
+    return v;
+  });
+}
+
+function _sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function _hmac(key, text) {
+  return crypto.createHmac('sha256', key).update(text).digest('hex');
+}
+
+function _safeEqualHex(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/** Hash over every entry field except `hash` and `sig`. */
+function _entryHash(e) {
+  return _sha256(_canonical({
+    id: e.id,
+    seq: e.seq,
+    timestamp: e.timestamp,
+    event: e.event,
+    severity: e.severity,
+    data: e.data,
+    actor: e.actor,
+    correlationId: e.correlationId,
+    anchor: e.anchor,
+    imported: e.imported,
+    prevHash: e.prevHash,
+  }));
+}
+
+function _checkpointPayload(cp) {
+  return _canonical({ seq: cp.seq, hash: cp.hash, timestamp: cp.timestamp });
+}
+
 /**
  * Create an audit log entry.
  * @param {string} event
  * @param {Object} data
  * @param {Object} opts
+ * @param {Object} link - { seq, prevHash, hmacKey, imported }
  * @returns {Object}
  */
-function createEntry(event, data, opts) {
+function createEntry(event, data, opts, link) {
   const now = opts.now || Date.now();
-  return Object.freeze({
+  const entry = {
     id: _nextId++,
+    seq: link.seq,
     timestamp: now,
     event,
     severity: opts.severity || DEFAULT_SEVERITY_MAP[event] || SEVERITY.INFO,
     data: data ? Object.freeze({ ...data }) : Object.freeze({}),
     actor: opts.actor || null,
     correlationId: opts.correlationId || null,
+    anchor: typeof opts.anchor === 'string' ? opts.anchor : null,
+    imported: !!link.imported,
+    prevHash: link.prevHash,
+  };
+  entry.hash = _entryHash(entry);
+  entry.sig = link.hmacKey ? _hmac(link.hmacKey, entry.hash) : null;
+  return Object.freeze(entry);
+}
+
+// ── Verification ────────────────────────────────────────────────────
+
+/**
+ * Verify a hash chain of audit entries.
+ *
+ * Walks the entries in order and reports the first broken link. Gaps in
+ * `seq` are accepted only where a later `admin.purge` entry in the chain
+ * lists the removed entry's hash (`data.removed`).
+ *
+ * @param {Object[]|Object} input - Entries array, or { base, entries, checkpoints }
+ *   as produced by log.exportChain() / readAuditSegments()
+ * @param {Object} [options]
+ * @param {string|Buffer} [options.hmacKey] - Check entry and checkpoint signatures
+ * @param {Object} [options.base] - Trusted starting point { seq, hash, timestamp, sig }
+ * @returns {{ valid: boolean, checked: number, head: Object|null, base: Object|null,
+ *   firstBroken: Object|null }} firstBroken = { index, seq, id, reason }; reasons:
+ *   "base_signature_invalid", "seq_gap", "prev_hash_mismatch", "hash_mismatch",
+ *   "signature_missing", "signature_invalid", "checkpoint_mismatch"
+ */
+function verifyAuditChain(input, options = {}) {
+  const list = Array.isArray(input) ? input : (input && Array.isArray(input.entries) ? input.entries : []);
+  const base = options.base || (!Array.isArray(input) && input && input.base) || null;
+  const checkpoints = (!Array.isArray(input) && input && Array.isArray(input.checkpoints)) ? input.checkpoints : [];
+  const hmacKey = options.hmacKey || null;
+
+  const result = (firstBroken, checked) => ({
+    valid: !firstBroken,
+    checked,
+    head: list.length && checked === list.length
+      ? { seq: list[list.length - 1].seq, hash: list[list.length - 1].hash }
+      : (base && checked === 0 && !list.length ? { seq: base.seq, hash: base.hash } : null),
+    base: base ? { seq: base.seq, hash: base.hash } : null,
+    firstBroken,
   });
+
+  if (base && hmacKey && !_safeEqualHex(base.sig, _hmac(hmacKey, _checkpointPayload(base)))) {
+    return result({ index: -1, seq: base.seq, id: null, reason: 'base_signature_invalid' }, 0);
+  }
+
+  // Hashes vouched for by purge records: seq → hash
+  const vouched = new Map();
+  for (const e of list) {
+    if (e && e.event === 'admin.purge' && e.data && Array.isArray(e.data.removed)) {
+      for (const r of e.data.removed) vouched.set(r.seq, r.hash);
+    }
+  }
+
+  let prevHash = base ? base.hash : GENESIS_HASH;
+  let expectedSeq = base ? base.seq + 1 : 1;
+  const hashesBySeq = new Map();
+
+  for (let i = 0; i < list.length; i++) {
+    const e = list[i];
+    const broken = (reason) => result({ index: i, seq: e && e.seq, id: e && e.id, reason }, i);
+    if (!e || typeof e.seq !== 'number') return broken('seq_gap');
+    while (expectedSeq < e.seq && vouched.has(expectedSeq)) {
+      prevHash = vouched.get(expectedSeq);
+      expectedSeq++;
+    }
+    if (e.seq !== expectedSeq) return broken('seq_gap');
+    if (e.prevHash !== prevHash) return broken('prev_hash_mismatch');
+    if (_entryHash(e) !== e.hash) return broken('hash_mismatch');
+    if (hmacKey) {
+      if (!e.sig) return broken('signature_missing');
+      if (!_safeEqualHex(e.sig, _hmac(hmacKey, e.hash))) return broken('signature_invalid');
+    }
+    hashesBySeq.set(e.seq, e.hash);
+    prevHash = e.hash;
+    expectedSeq++;
+  }
+
+  for (const cp of checkpoints) {
+    const known = hashesBySeq.get(cp.seq);
+    const sigOk = !hmacKey || _safeEqualHex(cp.sig, _hmac(hmacKey, _checkpointPayload(cp)));
+    if ((known !== undefined && known !== cp.hash) || !sigOk) {
+      const idx = list.findIndex(e => e.seq === cp.seq);
+      return result({ index: idx, seq: cp.seq, id: idx >= 0 ? list[idx].id : null, reason: 'checkpoint_mismatch' }, list.length);
+    }
+  }
+
+  return result(null, list.length);
 }
 
 /**
@@ -116,6 +280,10 @@ var csvEscape = csvUtils.csvEscape;
  * @param {number} [options.retentionMs=0]    - Auto-purge entries older than this (0 = no auto-purge)
  * @param {boolean} [options.strictEvents=false] - Reject unknown event types
  * @param {Function} [options.onRecord]       - Callback on each record
+ * @param {string|Buffer} [options.hmacKey]   - Sign entries and checkpoints with HMAC-SHA256
+ * @param {number} [options.checkpointEvery=0] - Take a checkpoint every N entries (0 = manual only)
+ * @param {Object} [options.sink]             - Durable sink, e.g. createJsonlAuditSink(); the
+ *   chain resumes from the sink's last entry
  * @returns {Object}
  */
 function createAuditLog(options = {}) {
@@ -123,23 +291,86 @@ function createAuditLog(options = {}) {
   const retentionMs = Math.max(0, options.retentionMs || 0);
   const strictEvents = options.strictEvents || false;
   const onRecord = typeof options.onRecord === 'function' ? options.onRecord : null;
+  const hmacKey = options.hmacKey || null;
+  const checkpointEvery = Math.max(0, Math.floor(options.checkpointEvery || 0));
+  const sink = options.sink || null;
+  if (sink && typeof sink.write !== 'function') {
+    throw new TypeError('Audit sink must implement write(record)');
+  }
 
   /** @type {Object[]} */
   let entries = [];
+  /** Trusted starting point once history has been pruned: { seq, hash, timestamp, sig } */
+  let base = null;
+  /** Checkpoints at or after `base`, oldest first. */
+  let checkpointList = [];
+  let headSeq = 0;
+  let headHash = GENESIS_HASH;
+
+  function _makeCheckpoint(seq, hash) {
+    const cp = { seq, hash, timestamp: Date.now(), sig: null };
+    if (hmacKey) cp.sig = _hmac(hmacKey, _checkpointPayload(cp));
+    return Object.freeze(cp);
+  }
+
+  function _headCheckpoint() {
+    const cp = _makeCheckpoint(headSeq, headHash);
+    checkpointList.push(cp);
+    return cp;
+  }
+
+  // Resume the chain from a durable sink
+  const tail = sink && typeof sink.tail === 'function' ? sink.tail() : null;
+  if (tail) {
+    headSeq = tail.seq;
+    headHash = tail.hash;
+    base = _headCheckpoint();
+    sink.write(Object.assign({ type: 'checkpoint' }, base));
+  }
+  if (sink && typeof sink.bind === 'function') {
+    // Segment rotation starts each new file with a checkpoint of the head
+    sink.bind({ checkpoint: _headCheckpoint });
+  }
+
+  /**
+   * Drop the first `count` entries behind a checkpoint at the last one.
+   */
+  function _dropPrefix(count) {
+    if (count <= 0) return 0;
+    const last = entries[count - 1];
+    base = checkpointList.find(cp => cp.seq === last.seq) || _makeCheckpoint(last.seq, last.hash);
+    entries = entries.slice(count);
+    checkpointList = checkpointList.filter(cp => cp.seq >= base.seq);
+    return count;
+  }
 
   /**
-   * Purge entries exceeding maxEntries or retention policy.
+   * Purge entries exceeding maxEntries or retention policy.  Only the
+   * oldest run of entries is dropped, so the chain stays intact.
    */
   function _enforce() {
     if (retentionMs > 0) {
       const cutoff = Date.now() - retentionMs;
-      entries = entries.filter(e => e.timestamp >= cutoff);
+      let n = 0;
+      while (n < entries.length && entries[n].timestamp < cutoff) n++;
+      _dropPrefix(n);
     }
     if (entries.length > maxEntries) {
-      entries = entries.slice(entries.length - maxEntries);
+      _dropPrefix(entries.length - maxEntries);
     }
   }
 
+  function _append(event, data, opts, imported) {
+    const entry = createEntry(event, data, opts, { seq: headSeq + 1, prevHash: headHash, hmacKey, imported });
+    // Write before advancing the head: a segment rotation checkpoints the previous head
+    if (sink) sink.write(Object.assign({ type: 'entry' }, entry));
+    entries.push(entry);
+    headSeq = entry.seq;
+    headHash = entry.hash;
+    if (checkpointEvery > 0 && headSeq % checkpointEvery === 0) checkpoint();
+    return entry;
+  }
+
   /**
    * Record an audit event.
    * @param {string} event - Event type (e.g. 'captcha.solved')
@@ -157,8 +388,7 @@ function createAuditLog(options = {}) {
     if (opts.severity && !Object.values(SEVERITY).includes(opts.severity)) {
       throw new Error(`Invalid severity: ${opts.severity}`);
     }
-    const entry = createEntry(event, data, opts);
-    entries.push(entry);
+    const entry = _append(event, data, opts, false);
     _enforce();
     if (onRecord) {
       try { onRecord(entry); } catch (_) { /* swallow callback errors */ }
@@ -320,7 +550,9 @@ function createAuditLog(options = {}) {
   }
 
   /**
-   * Import entries from a JSON string (merge).
+   * Import entries from a JSON string.  Imported entries are appended to
+   * the chain as new links (flagged `imported: true`, original
+   * timestamps kept); existing history is never rewritten.
    * @param {string} jsonStr
    * @returns {number} Number of entries imported
    */
@@ -346,17 +578,15 @@ function createAuditLog(options = {}) {
       // Validate severity if present
       const sev = item.severity && Object.values(SEVERITY).includes(item.severity)
         ? item.severity : SEVERITY.INFO;
-      const entry = Object.freeze({
-        id: _nextId++,
-        timestamp: item.timestamp,
-        event: item.event,
-        severity: sev,
-        data: item.data && typeof item.data === 'object' && !Array.isArray(item.data)
-          ? Object.freeze({ ...item.data }) : Object.freeze({}),
-        actor: typeof item.actor === 'string' ? item.actor : null,
-        correlationId: typeof item.correlationId === 'string' ? item.correlationId : null,
-      });
-      entries.push(entry);
+      _append(item.event,
+        item.data && typeof item.data === 'object' && !Array.isArray(item.data) ? item.data : null,
+        {
+          now: item.timestamp,
+          severity: sev,
+          actor: typeof item.actor === 'string' ? item.actor : null,
+          correlationId: typeof item.correlationId === 'string' ? item.correlationId : null,
+          anchor: typeof item.anchor === 'string' ? item.anchor : null,
+        }, true);
       count++;
     }
     _enforce();
@@ -365,27 +595,148 @@ function createAuditLog(options = {}) {
 
   /**
    * Purge entries matching filters, or all if no filters.
+   *
+   * The leading run of matches is cut behind a checkpoint; matches further
+   * in are listed by `{ seq, hash }` in the `admin.purge` entry recorded
+   * afterwards, which keeps the chain verifiable.  Earlier `admin.purge`
+   * entries are only removed with the leading run.
+   *
    * @param {Object} [filters] - event, before (timestamp)
    * @returns {number} Number of entries purged
    */
   function purge(filters = {}) {
-    const before = entries.length;
-    if (!filters.event && filters.before == null) {
-      entries = [];
-    } else {
-      entries = entries.filter(e => {
-        if (filters.event && e.event === filters.event) return false;
-        if (filters.before != null && e.timestamp < filters.before) return false;
-        return true;
-      });
-    }
-    const purged = before - entries.length;
+    const all = !filters.event && filters.before == null;
+    const matches = e => all ||
+      (filters.event && e.event === filters.event) ||
+      (filters.before != null && e.timestamp < filters.before);
+
+    let lead = 0;
+    while (lead < entries.length && matches(entries[lead])) lead++;
+    const removed = [];
+    const kept = [];
+    for (let i = lead; i < entries.length; i++) {
+      const e = entries[i];
+      if (e.event !== 'admin.purge' && matches(e)) removed.push({ seq: e.seq, hash: e.hash });
+      else kept.push(e);
+    }
+    _dropPrefix(lead);
+    entries = kept;
+
+    const purged = lead + removed.length;
     if (purged > 0) {
-      record('admin.purge', { purgedCount: purged, filters });
+      const data = { purgedCount: purged, filters };
+      if (removed.length) data.removed = removed;
+      record('admin.purge', data);
     }
     return purged;
   }
 
+  // ── Chain ───────────────────────────────────────────────────────
+
+  /**
+   * Take a checkpoint of the current head: `{ seq, hash, timestamp, sig }`
+   * (sig is an HMAC when hmacKey is set).  Entries up to a checkpoint can
+   * later be pruned with prune().
+   * @returns {Object|null} The checkpoint, or null for an empty chain
+   */
+  function checkpoint() {
+    if (headSeq === 0) return null;
+    const last = checkpointList[checkpointList.length - 1];
+    if (last && last.seq === headSeq) return last;
+    const cp = _headCheckpoint();
+    if (sink) sink.write(Object.assign({ type: 'checkpoint' }, cp));
+    return cp;
+  }
+
+  /**
+   * Drop entries up to and including the newest checkpoint (or the
+   * newest checkpoint at or below `throughSeq`).  That checkpoint becomes
+   * the chain's base.
+   * @param {Object} [opts]
+   * @param {number} [opts.throughSeq]
+   * @returns {number} Number of entries removed
+   */
+  function prune(opts = {}) {
+    const limit = opts.throughSeq != null ? opts.throughSeq : Infinity;
+    let target = null;
+    for (const cp of checkpointList) {
+      if (cp.seq <= limit && (!base || cp.seq > base.seq)) target = cp;
+    }
+    if (!target) return 0;
+    let n = 0;
+    while (n < entries.length && entries[n].seq <= target.seq) n++;
+    entries = entries.slice(n);
+    base = target;
+    checkpointList = checkpointList.filter(cp => cp.seq >= base.seq);
+    return n;
+  }
+
+  /**
+   * Verify the in-memory chain from its base to the head.
+   * @returns {Object} See verifyAuditChain()
+   */
+  function verify() {
+    _enforce();
+    return verifyAuditChain({ base, entries, checkpoints: checkpointList }, { hmacKey });
+  }
+
+  /**
+   * Record an `evidence.anchored` entry pointing at a SessionEvidenceBundler
+   * report's chain-of-custody hash.
+   * @param {Object|string} report - bundle() output, its chainOfCustody, or the hash itself
+   * @param {Object} [opts] - actor, correlationId, now
+   * @returns {Object} The entry
+   */
+  function anchor(report, opts = {}) {
+    const custody = typeof report === 'string' ? { sha256Hash: report }
+      : (report && report.chainOfCustody) || report || {};
+    if (typeof custody.sha256Hash !== 'string' || !/^[0-9a-f]{64}$/.test(custody.sha256Hash)) {
+      throw new Error('anchor() needs a report with a chainOfCustody.sha256Hash');
+    }
+    const data = { sha256Hash: custody.sha256Hash };
+    if (custody.bundlerVersion) data.bundlerVersion = custody.bundlerVersion;
+    if (custody.generatedAt) data.generatedAt = custody.generatedAt;
+    if (report && report.summary) {
+      data.sessionId = report.summary.sessionId;
+      data.verdict = report.verdict;
+    }
+    return record('evidence.anchored', data, Object.assign({}, opts, { anchor: custody.sha256Hash }));
+  }
+
+  /**
+   * Check that a bundler report is unmodified and anchored in an intact chain.
+   * @param {Object} report - bundle() output
+   * @returns {{ valid: boolean, reason?: string, entry?: Object }}
+   *   reasons: "report_tampered", "not_anchored", "chain_broken"
+   */
+  function verifyAnchor(report) {
+    const custody = verifyChainOfCustody(report);
+    if (!custody.valid) return { valid: false, reason: 'report_tampered' };
+    _enforce();
+    const entry = entries.find(e => e.anchor === custody.expected);
+    if (!entry) return { valid: false, reason: 'not_anchored' };
+    if (!verify().valid) return { valid: false, reason: 'chain_broken', entry };
+    return { valid: true, entry };
+  }
+
+  /**
+   * Export the chain with its base and checkpoints for offline
+   * verification with verifyAuditChain().
+   * @returns {string} JSON { version, base, checkpoints, entries }
+   */
+  function exportChain() {
+    _enforce();
+    return JSON.stringify({ version: 1, base, checkpoints: checkpointList, entries }, null, 2);
+  }
+
+  /**
+   * Current head of the chain.
+   * @returns {{ seq: number, hash: string }}
+   */
+  function head() {
+    return { seq: headSeq, hash: headHash };
+  }
+
   /**
    * Get the total number of entries.
    * @returns {number}
@@ -416,9 +767,192 @@ function createAuditLog(options = {}) {
     purge,
     size,
     all,
+    checkpoint,
+    checkpoints: () => checkpointList.slice(),
+    prune,
+    verify,
+    anchor,
+    verifyAnchor,
+    exportChain,
+    head,
     VALID_EVENTS,
     SEVERITY,
   };
 }
 
-module.exports = { createAuditLog, VALID_EVENTS, SEVERITY };
+// ── JSON-lines sink ─────────────────────────────────────────────────
+
+function _segmentName(prefix, index) {
+  return `${prefix}-${String(index).padStart(6, '0')}.jsonl`;
+}
+
+function _listSegments(dir, prefix) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const re = new RegExp('^' + prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '-(\\d{6,})\\.jsonl$');
+  return names
+    .map(n => { const m = re.exec(n); return m ? { index: parseInt(m[1], 10), file: path.join(dir, n) } : null; })
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index);
+}
+
+function _readLines(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: invalid JSON line`);
+    }
+  });
+}
+
+/**
+ * Create an append-only JSON-lines sink for createAuditLog().  Each line
+ * is `{ type: "entry" | "checkpoint" | "segment", ... }`.  Segments rotate
+ * by size or entry count; every new segment starts with a `segment`
+ * header and a checkpoint of the chain head, so old segments can be
+ * archived or deleted without losing verifiability.
+ *
+ * @param {Object} options
+ * @param {string} options.dir                       - Directory for segment files
+ * @param {string} [options.prefix='audit']          - File name prefix (<prefix>-000001.jsonl)
+ * @param {number} [options.maxSegmentBytes=5242880] - Rotate before a segment exceeds this size
+ * @param {number} [options.maxSegmentEntries=0]     - Rotate after this many entries (0 = no limit)
+ * @param {number} [options.maxSegments=0]           - Delete the oldest segments beyond this count (0 = keep all)
+ * @returns {{ write: Function, bind: Function, tail: Function, segments: Function }}
+ */
+function createJsonlAuditSink(options = {}) {
+  if (typeof options.dir !== 'string' || !options.dir) {
+    throw new TypeError('createJsonlAuditSink: options.dir is required');
+  }
+  const dir = options.dir;
+  const prefix = options.prefix || 'audit';
+  const maxSegmentBytes = options.maxSegmentBytes > 0 ? options.maxSegmentBytes : 5 * 1024 * 1024;
+  const maxSegmentEntries = options.maxSegmentEntries > 0 ? Math.floor(options.maxSegmentEntries) : 0;
+  const maxSegments = options.maxSegments > 0 ? Math.floor(options.maxSegments) : 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  let binding = null;
+  let current = null; // { index, file, bytes, entries }
+  let lastEntry = null;
+
+  const existing = _listSegments(dir, prefix);
+  if (existing.length) {
+    const last = existing[existing.length - 1];
+    const lines = _readLines(last.file);
+    current = { index: last.index, file: last.file, bytes: fs.statSync(last.file).size, entries: 0 };
+    for (const rec of lines) {
+      if (rec.type === 'entry') {
+        current.entries++;
+        lastEntry = { seq: rec.seq, hash: rec.hash };
+      }
+    }
+    if (!lastEntry) {
+      for (let i = existing.length - 2; i >= 0 && !lastEntry; i--) {
+        const recs = _readLines(existing[i].file).filter(r => r.type === 'entry');
+        if (recs.length) lastEntry = { seq: recs[recs.length - 1].seq, hash: recs[recs.length - 1].hash };
+      }
+    }
+  }
+
+  function _append(rec) {
+    const line = JSON.stringify(rec) + '\n';
+    fs.appendFileSync(current.file, line);
+    current.bytes += Buffer.byteLength(line);
+  }
+
+  function _rotate(next) {
+    const index = current ? current.index + 1 : 1;
+    current = { index, file: path.join(dir, _segmentName(prefix, index)), bytes: 0, entries: 0 };
+    _append({ type: 'segment', index, startSeq: next.seq, prevHash: next.prevHash, createdAt: Date.now() });
+    if (binding && lastEntry) {
+      _append(Object.assign({ type: 'checkpoint' }, binding.checkpoint()));
+    }
+    if (maxSegments > 0) {
+      const all = _listSegments(dir, prefix);
+      for (let i = 0; i < all.length - maxSegments; i++) fs.unlinkSync(all[i].file);
+    }
+  }
+
+  /**
+   * Append one record; entries may trigger rotation first.
+   * @param {Object} rec
+   */
+  function write(rec) {
+    if (rec.type === 'entry') {
+      const line = Buffer.byteLength(JSON.stringify(rec)) + 1;
+      const full = current && current.entries > 0 &&
+        (current.bytes + line > maxSegmentBytes || (maxSegmentEntries > 0 && current.entries >= maxSegmentEntries));
+      if (!current || full) _rotate(rec);
+      _append(rec);
+      current.entries++;
+      lastEntry = { seq: rec.seq, hash: rec.hash };
+    } else if (current) {
+      _append(rec);
+    }
+  }
+
+  return {
+    write,
+    /** Called by createAuditLog to supply head checkpoints at rotation. */
+    bind: (b) => { binding = b; },
+    /** Last written entry `{ seq, hash }`, or null. */
+    tail: () => (lastEntry ? Object.assign({}, lastEntry) : null),
+    /** Segment file paths, oldest first. */
+    segments: () => _listSegments(dir, prefix).map(s => s.file),
+  };
+}
+
+/**
+ * Read JSON-lines segments back for verification.  When the oldest
+ * segments have been deleted, the checkpoint at the start of the first
+ * remaining segment is returned as `base`.
+ *
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {string} [options.prefix='audit']
+ * @returns {{ base: Object|null, entries: Object[], checkpoints: Object[], segments: string[] }}
+ */
+function readAuditSegments(dir, options = {}) {
+  const segs = _listSegments(dir, options.prefix || 'audit');
+  const entries = [];
+  const checkpoints = [];
+  let base = null;
+  let header = null;
+  const strip = (rec) => { const out = Object.assign({}, rec); delete out.type; return out; };
+
+  segs.forEach((seg, si) => {
+    for (const rec of _readLines(seg.file)) {
+      if (rec.type === 'segment') {
+        if (si === 0) header = rec;
+      } else if (rec.type === 'entry') {
+        entries.push(strip(rec));
+      } else if (rec.type === 'checkpoint') {
+        const cp = strip(rec);
+        if (!entries.length && header && header.startSeq > 1 && cp.seq === header.startSeq - 1) base = cp;
+        else checkpoints.push(cp);
+      }
+    }
+  });
+  // A resumed log may begin its first segment with a checkpoint of the prior head
+  if (!base && entries.length && entries[0].seq > 1) {
+    base = checkpoints.find(cp => cp.seq === entries[0].seq - 1) || null;
+  }
+  return { base, entries, checkpoints, segments: segs.map(s => s.file) };
+}
+
+module.exports = {
+  createAuditLog,
+  createJsonlAuditSink,
+  readAuditSegments,
+  verifyAuditChain,
+  GENESIS_HASH,
+  VALID_EVENTS,
+  SEVERITY,
+};
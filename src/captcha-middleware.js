@@ -0,0 +1,188 @@
+"use strict";
+
+/**
+ * createCaptchaMiddleware — Connect-style `(req, res, next)` guard that
+ * demands a valid createTokenVerifier token before a route runs.
+ *
+ * The token is looked up, in order, in a request header, a cookie and a
+ * form/body field.  It is verified against the client IP; on success the
+ * verification result is attached as `req.captcha` and `next()` is called,
+ * otherwise the request is answered with 403 and a machine-readable
+ * reason (the verifyToken reason code, e.g. "token_expired").
+ *
+ * With a `trustEngine` (createTrustScoreEngine) the client is scored
+ * first and only asked for a token when the score falls at or below the
+ * engine's challenge threshold; clients at or below the block threshold
+ * are refused outright.
+ *
+ * Works with Express, Connect, Fastify's middie and plain `http` handlers:
+ * responses are written with `res.statusCode` / `res.setHeader` / `res.end`.
+ *
+ * When the verifier keeps its replay nonces in a shared store
+ * (`createTokenVerifier({ store })`), tokens are checked with
+ * verifyTokenAsync; store errors, and errors thrown by onReject or a
+ * synchronous downstream handler, are passed to `next(err)`.
+ *
+ * @example
+ *   var verifier = gifCaptcha.createTokenVerifier({ secret: process.env.CAPTCHA_SECRET });
+ *   app.post("/signup", gifCaptcha.createCaptchaMiddleware({ verifier: verifier }), handler);
+ */
+
+var DEFAULT_HEADER = "x-captcha-token";
+var DEFAULT_COOKIE = "captcha_token";
+var DEFAULT_FIELD = "captchaToken";
+
+// ── Token / IP extraction ───────────────────────────────────────────
+
+function _parseCookie(header, name) {
+  if (typeof header !== "string" || !header) return null;
+  var parts = header.split(";");
+  for (var i = 0; i < parts.length; i++) {
+    var eq = parts[i].indexOf("=");
+    if (eq === -1) continue;
+    if (parts[i].slice(0, eq).trim() !== name) continue;
+    var raw = parts[i].slice(eq + 1).trim();
+    if (raw.charAt(0) === '"' && raw.charAt(raw.length - 1) === '"') raw = raw.slice(1, -1);
+    try {
+      return decodeURIComponent(raw);
+    } catch (e) {
+      return raw;
+    }
+  }
+  return null;
+}
+
+function _str(v) {
+  return typeof v === "string" && v.length > 0 ? v : null;
+}
+
+/**
+ * Find the CAPTCHA token on a request.
+ *
+ * @param {Object} req
+ * @param {Object} [sources] - { header, cookie, field }; set any to false to skip it
+ * @returns {{ token: string|null, source: string|null }}
+ */
+function extractToken(req, sources) {
+  sources = sources || {};
+  var headerName = sources.header === false ? null : String(sources.header || DEFAULT_HEADER).toLowerCase();
+  var cookieName = sources.cookie === false ? null : (sources.cookie || DEFAULT_COOKIE);
+  var fieldName = sources.field === false ? null : (sources.field || DEFAULT_FIELD);
+  var headers = (req && req.headers) || {};
+
+  if (headerName) {
+    var h = _str(headers[headerName]);
+    if (h) return { token: h, source: "header" };
+  }
+  if (cookieName) {
+    var c = _str(req.cookies && req.cookies[cookieName]) || _str(_parseCookie(headers.cookie, cookieName));
+    if (c) return { token: c, source: "cookie" };
+  }
+  if (fieldName && req.body && typeof req.body === "object") {
+    var f = _str(req.body[fieldName]);
+    if (f) return { token: f, source: "field" };
+  }
+  return { token: null, source: null };
+}
+
+function _clientIp(req, trustProxy) {
+  if (trustProxy) {
+    var xff = req.headers && req.headers["x-forwarded-for"];
+    if (typeof xff === "string" && xff.length > 0) return xff.split(",")[0].trim();
+  }
+  if (typeof req.ip === "string" && req.ip) return req.ip;
+  return (req.socket && req.socket.remoteAddress) || (req.connection && req.connection.remoteAddress) || "unknown";
+}
+
+function _reject(res, status, body) {
+  var payload = JSON.stringify(body);
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(payload);
+}
+
+// ── Factory ─────────────────────────────────────────────────────────
+
+/**
+ * Create a CAPTCHA-token guard middleware.
+ *
+ * @param {Object} options
+ * @param {Object} options.verifier            - createTokenVerifier instance
+ * @param {string|false} [options.header="x-captcha-token"] - Request header carrying the token
+ * @param {string|false} [options.cookie="captcha_token"]   - Cookie carrying the token
+ * @param {string|false} [options.field="captchaToken"]     - Parsed body field carrying the token
+ * @param {boolean} [options.trustProxy=false] - Take the client IP from X-Forwarded-For
+ * @param {Function} [options.getIp]           - function(req) → client IP (overrides trustProxy)
+ * @param {Object} [options.trustEngine]       - createTrustScoreEngine instance; enables trust-gated mode
+ * @param {Function} [options.getClientId]     - function(req) → trust engine client id (default: client IP)
+ * @param {Function} [options.getSignals]      - function(req) → manual signals for trustEngine.evaluate()
+ * @param {Function} [options.onReject]        - function(req, res, result) — custom rejection response
+ * @returns {Function} (req, res, next) middleware
+ */
+function createCaptchaMiddleware(options) {
+  options = options || {};
+  var verifier = options.verifier;
+  if (!verifier || typeof verifier.verifyToken !== "function") {
+    throw new TypeError("createCaptchaMiddleware: options.verifier must be a createTokenVerifier instance");
+  }
+  var trustEngine = options.trustEngine || null;
+  if (trustEngine && typeof trustEngine.evaluate !== "function") {
+    throw new TypeError("createCaptchaMiddleware: options.trustEngine must be a createTrustScoreEngine instance");
+  }
+
+  var sources = { header: options.header, cookie: options.cookie, field: options.field };
+  var getIp = typeof options.getIp === "function"
+    ? options.getIp
+    : function (req) { return _clientIp(req, options.trustProxy === true); };
+  var getClientId = typeof options.getClientId === "function" ? options.getClientId : getIp;
+  var getSignals = typeof options.getSignals === "function" ? options.getSignals : null;
+  var onReject = typeof options.onReject === "function" ? options.onReject : null;
+  var useAsync = typeof verifier.verifyTokenAsync === "function" && typeof verifier.getStats === "function" &&
+    verifier.getStats().sharedStore === true;
+
+  function _fail(req, res, result) {
+    req.captcha = result;
+    if (onReject) return onReject(req, res, result);
+    var body = { error: "captcha_failed", reason: result.reason };
+    if (result.trust) body.action = result.trust.action;
+    _reject(res, 403, body);
+  }
+
+  return function captchaMiddleware(req, res, next) {
+    var ip = getIp(req);
+    var trust = null;
+
+    if (trustEngine) {
+      var evaluation = trustEngine.evaluate(String(getClientId(req)), getSignals ? getSignals(req) : undefined);
+      trust = { score: evaluation.score, action: evaluation.action };
+      if (evaluation.action === "block") {
+        return _fail(req, res, { valid: false, reason: "trust_blocked", trust: trust });
+      }
+      if (evaluation.action !== "challenge") {
+        req.captcha = { valid: true, skipped: true, trust: trust };
+        return next();
+      }
+    }
+
+    var found = extractToken(req, sources);
+    function finish(result) {
+      result.source = found.source;
+      if (trust) result.trust = trust;
+      if (!result.valid) return _fail(req, res, result);
+
+      req.captcha = result;
+      next();
+    }
+
+    if (useAsync) {
+      return verifier.verifyTokenAsync(found.token, { ip: ip }).then(finish).catch(function (err) { next(err); });
+    }
+    finish(verifier.verifyToken(found.token, { ip: ip }));
+  };
+}
+
+module.exports = {
+  createCaptchaMiddleware: createCaptchaMiddleware,
+  extractToken: extractToken
+};
@@ -1,12 +1,18 @@
 /**
  * CaptchaRateLimiter — Multi-algorithm rate limiting for CAPTCHA requests.
  *
- * Provides per-key rate limiting with three algorithms:
+ * Provides per-key rate limiting with four algorithms:
  *   - **Sliding window**: Counts requests in a rolling time window
  *   - **Token bucket**: Allows bursts up to a capacity, refills at a steady rate
  *   - **Leaky bucket**: Smooths request flow, rejects when queue is full
+ *   - **GCRA**: Generic cell rate algorithm — token-bucket behaviour from a
+ *     single theoretical-arrival time per key, so memory per key is constant
  *
  * Keys are typically IP addresses, session IDs, or user fingerprints.
+ * With `tiers`, one check() charges several buckets derived from the key
+ * (the address, its /24 or /64 network, a global bucket) so rotating
+ * through a proxy range or an IPv6 prefix does not buy fresh limits.
+ * Whitelists and bans accept CIDR ranges as well as exact keys.
  * No external dependencies — pure JavaScript, no timers, no I/O.
  *
  * @example
@@ -25,11 +31,39 @@
  *     refillRate: 2   // tokens per second
  *   });
  *
+ *   // GCRA: 100 requests/minute, bursts of 20, weighted costs
+ *   var gcra = createCaptchaRateLimiter({
+ *     algorithm: 'gcra', windowMs: 60000, maxRequests: 100, burst: 20
+ *   });
+ *   gcra.consume('api-key-1', 5).headers; // { "RateLimit-Limit": "20", ... }
+ *
+ *   // Per-address, per-network and global limits in one check()
+ *   var tiered = createCaptchaRateLimiter({
+ *     algorithm: 'token-bucket',
+ *     tiers: [
+ *       { scope: 'ip', capacity: 20 },
+ *       { scope: 'prefix', ipv4Prefix: 24, ipv6Prefix: 64, capacity: 100 },
+ *       { scope: 'global', capacity: 5000, refillRate: 500 }
+ *     ]
+ *   });
+ *   tiered.check('2001:db8::7').tier; // null, or the name of the tier that tripped
+ *
+ *   // Soft limit: over-limit keys may pay with proof-of-work instead
+ *   var soft = createCaptchaRateLimiter({
+ *     softLimit: { proofOfWork: createProofOfWork() }
+ *   });
+ *   var r = soft.check(ip);
+ *   // r.allowed === false && r.challenge → client solves, then:
+ *   soft.redeem(ip, { prefix: r.challenge.prefix, nonce: nonce });
+ *
  * @module captcha-rate-limiter
  */
 
 "use strict";
 
+var stateStore = require("./state-store");
+var ipUtils = require("./ip-utils");
+
 // ── Defaults ────────────────────────────────────────────────────────
 
 var DEFAULT_WINDOW_MS = 60000;       // 1 minute
@@ -42,11 +76,22 @@ var DEFAULT_CLEANUP_INTERVAL = 300;  // every 300 checks
 var DEFAULT_MAX_KEYS = 50000;
 var DEFAULT_BAN_DURATION_MS = 300000; // 5 min ban
 var DEFAULT_BAN_THRESHOLD = 3;       // strikes before ban
+var DEFAULT_SOFT_DIFFICULTY_PER_LIMIT = 4; // extra bits per limit's worth of overflow
+var DEFAULT_SOFT_DIFFICULTY_RANGE = 8;     // maxDifficulty = base + this
 
 var ALGORITHMS = Object.create(null);
 ALGORITHMS["sliding-window"] = true;
 ALGORITHMS["token-bucket"] = true;
 ALGORITHMS["leaky-bucket"] = true;
+ALGORITHMS["gcra"] = true;
+
+var TIER_SCOPES = Object.create(null);
+TIER_SCOPES.key = true;     // the key exactly as given
+TIER_SCOPES.ip = true;      // the canonical address (falls back to the raw key)
+TIER_SCOPES.prefix = true;  // the address's network; non-address keys skip it
+TIER_SCOPES.global = true;  // one bucket shared by every key
+
+var TIER_LIMIT_OPTIONS = ["windowMs", "maxRequests", "burst", "capacity", "refillRate", "leakRate", "queueSize"];
 
 // ── Helpers ─────────────────────────────────────────────────────────
 
@@ -116,15 +161,41 @@ function _evictOldest(store, maxKeys) {
   return evictSet.length;
 }
 
+/**
+ * Normalise options.softLimit; null when soft limiting is off.
+ */
+function _softLimitConfig(raw) {
+  if (!raw) return null;
+  var pow = raw.proofOfWork;
+  if (!pow || typeof pow.issue !== "function" || typeof pow.verify !== "function") {
+    throw new Error("softLimit.proofOfWork must be a createProofOfWork() instance");
+  }
+  var base = raw.baseDifficulty > 0
+    ? raw.baseDifficulty
+    : (typeof pow.getDifficulty === "function" ? pow.getDifficulty() : 16);
+  var maxDifficulty = raw.maxDifficulty > 0 ? raw.maxDifficulty : base + DEFAULT_SOFT_DIFFICULTY_RANGE;
+  if (maxDifficulty < base) {
+    throw new Error("softLimit.maxDifficulty must be >= baseDifficulty");
+  }
+  return {
+    pow: pow,
+    baseDifficulty: base,
+    difficultyPerLimit: typeof raw.difficultyPerLimit === "number" && raw.difficultyPerLimit >= 0
+      ? raw.difficultyPerLimit : DEFAULT_SOFT_DIFFICULTY_PER_LIMIT,
+    maxDifficulty: maxDifficulty
+  };
+}
+
 // ── Factory ─────────────────────────────────────────────────────────
 
 /**
  * Create a rate limiter instance.
  *
  * @param {Object} [options]
- * @param {string} [options.algorithm='sliding-window'] - Algorithm: 'sliding-window' | 'token-bucket' | 'leaky-bucket'
- * @param {number} [options.windowMs=60000] - Window size in ms (sliding-window)
- * @param {number} [options.maxRequests=10] - Max requests per window (sliding-window)
+ * @param {string} [options.algorithm='sliding-window'] - Algorithm: 'sliding-window' | 'token-bucket' | 'leaky-bucket' | 'gcra'
+ * @param {number} [options.windowMs=60000] - Window size in ms (sliding-window, gcra)
+ * @param {number} [options.maxRequests=10] - Max requests per window (sliding-window, gcra)
+ * @param {number} [options.burst=maxRequests] - Requests allowed back to back (gcra)
  * @param {number} [options.capacity=20] - Token bucket capacity
  * @param {number} [options.refillRate=2] - Token refill rate (tokens/sec)
  * @param {number} [options.leakRate=1] - Leak rate (requests/sec, leaky-bucket)
@@ -134,6 +205,22 @@ function _evictOldest(store, maxKeys) {
  * @param {boolean} [options.enableBans=false] - Auto-ban after repeated violations
  * @param {number} [options.banThreshold=3] - Consecutive rejections before ban
  * @param {number} [options.banDurationMs=300000] - Ban duration in ms
+ * @param {Object} [options.store] - Shared state store (see state-store.js); counters, strikes
+ *   and auto-bans then live there and checkAsync() must be used
+ * @param {string} [options.storePrefix='gc:rl:'] - Key prefix inside the store
+ * @param {Object[]} [options.tiers] - Composite policy: buckets checked together on
+ *   every check(). Each tier is { name?, scope: 'key'|'ip'|'prefix'|'global',
+ *   ipv4Prefix=24, ipv6Prefix=64 } plus any of windowMs, maxRequests, capacity,
+ *   refillRate, leakRate, queueSize overriding the limiter-wide values
+ * @param {Object} [options.softLimit] - Escalate over-limit requests to proof-of-work
+ *   instead of a hard reject (check() / checkAsync() only)
+ * @param {Object} options.softLimit.proofOfWork - createProofOfWork() instance; challenges
+ *   are bound to the limiter key through its per-IP binding
+ * @param {number} [options.softLimit.baseDifficulty] - Difficulty for the first overflow
+ *   (default: the instance's getDifficulty())
+ * @param {number} [options.softLimit.difficultyPerLimit=4] - Extra bits per limit's worth
+ *   of unpaid overflow
+ * @param {number} [options.softLimit.maxDifficulty] - Ceiling (default: base + 8)
  * @returns {Object} Rate limiter instance
  */
 function createCaptchaRateLimiter(options) {
@@ -142,7 +229,7 @@ function createCaptchaRateLimiter(options) {
   var algorithm = options.algorithm || "sliding-window";
   if (!ALGORITHMS[algorithm]) {
     throw new Error("Unknown algorithm: " + algorithm +
-      ". Use: sliding-window, token-bucket, or leaky-bucket");
+      ". Use: sliding-window, token-bucket, leaky-bucket, or gcra");
   }
 
   // Sliding window config
@@ -157,12 +244,22 @@ function createCaptchaRateLimiter(options) {
   var leakRate = options.leakRate || DEFAULT_LEAK_RATE;
   var queueSize = options.queueSize || DEFAULT_QUEUE_SIZE;
 
+  // GCRA config: one request "costs" emissionMs of the key's timeline, and
+  // the timeline may run up to burst requests ahead of the clock
+  var burst = options.burst || maxRequests;
+  var emissionMs = windowMs / maxRequests;
+  var toleranceMs = emissionMs * burst;
+
   // Shared config
   var maxKeys = options.maxKeys || DEFAULT_MAX_KEYS;
   var cleanupInterval = options.cleanupInterval || DEFAULT_CLEANUP_INTERVAL;
   var enableBans = !!options.enableBans;
   var banThreshold = options.banThreshold || DEFAULT_BAN_THRESHOLD;
   var banDurationMs = options.banDurationMs || DEFAULT_BAN_DURATION_MS;
+  var sharedStore = options.store ? stateStore.validateStateStore(options.store, "createCaptchaRateLimiter") : null;
+  var storePrefix = typeof options.storePrefix === "string" ? options.storePrefix : "gc:rl:";
+  var softLimit = _softLimitConfig(options.softLimit);
+  var tiers = options.tiers ? _buildTiers(options.tiers) : null;
 
   // State
   var store = Object.create(null);       // per-key rate state
@@ -174,6 +271,16 @@ function createCaptchaRateLimiter(options) {
   var totalBanned = 0;
   var evictions = 0;
 
+  // Soft-limit state: overflows since the key was last under its limit,
+  // and challenges issued but not yet paid, failed or expired
+  var overflows = Object.create(null);    // key → { count, lastAt }
+  var softPending = Object.create(null);  // prefix → { key, expiresAt }
+  var softStats = { challenged: 0, paid: 0, failed: 0, abandoned: 0, hardRejected: 0 };
+
+  // CIDR entries in `bans` and `whitelist`, parsed: [{ key, cidr }]
+  var banRanges = [];
+  var whitelistRanges = [];
+
   // ── Shared Helpers ──────────────────────────────────────────────
 
   /**
@@ -194,24 +301,77 @@ function createCaptchaRateLimiter(options) {
    * @returns {Object|null} Ban result object if banned, null otherwise
    */
   function _checkBanStatus(key, now) {
-    if (!enableBans || !bans[key]) return null;
+    if (!enableBans) return null;
+    var ban = _findBan(key, now);
+    if (!ban) return null;
+    return { banned: true, expiresAt: ban.expiresAt, retryAfterMs: ban.expiresAt - now };
+  }
+
+  /**
+   * The live ban covering a key: an exact ban, else a CIDR ban containing
+   * the key's address. Expired bans met on the way are removed.
+   * @param {string} key
+   * @param {number} now
+   * @returns {Object|null} The ban entry
+   */
+  function _findBan(key, now) {
     var ban = bans[key];
-    if (now < ban.expiresAt) {
-      return { banned: true, expiresAt: ban.expiresAt, retryAfterMs: ban.expiresAt - now };
+    if (ban) {
+      if (now < ban.expiresAt) return ban;
+      delete bans[key];
+      delete strikes[key];
+      if (key.indexOf("/") !== -1) _rebuildRanges();
+    }
+    if (!banRanges.length) return null;
+    var addr = ipUtils.parseIp(key);
+    if (!addr) return null;
+    for (var i = 0; i < banRanges.length; i++) {
+      if (!ipUtils.cidrContains(banRanges[i].cidr, addr)) continue;
+      var range = bans[banRanges[i].key];
+      if (range && now < range.expiresAt) return range;
     }
-    // Ban expired — clean up
-    delete bans[key];
-    delete strikes[key];
     return null;
   }
 
+  /** Canonical form for list keys: CIDR ranges are normalised, other keys kept. */
+  function _listKey(key) {
+    if (typeof key === "string" && key.indexOf("/") !== -1) {
+      var cidr = ipUtils.parseCidr(key);
+      if (cidr) return ipUtils.formatCidr(cidr);
+    }
+    return key;
+  }
+
+  function _rangesOf(map) {
+    var out = [];
+    var keys = Object.keys(map);
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i].indexOf("/") === -1) continue;
+      var cidr = ipUtils.parseCidr(keys[i]);
+      if (cidr) out.push({ key: keys[i], cidr: cidr });
+    }
+    return out;
+  }
+
+  function _rebuildRanges() {
+    banRanges = _rangesOf(bans);
+    whitelistRanges = _rangesOf(whitelist);
+  }
+
   /**
    * Check if a key is whitelisted (fast-path bypass).
    * @param {string} key
    * @returns {boolean}
    */
   function _isWhitelisted(key) {
-    return !!whitelist[key];
+    if (whitelist[key]) return true;
+    if (!whitelistRanges.length) return false;
+    var addr = ipUtils.parseIp(key);
+    if (!addr) return false;
+    for (var i = 0; i < whitelistRanges.length; i++) {
+      if (ipUtils.cidrContains(whitelistRanges[i].cidr, addr)) return true;
+    }
+    return false;
   }
 
   /**
@@ -455,12 +615,73 @@ function createCaptchaRateLimiter(options) {
     };
   }
 
+  // ── GCRA ────────────────────────────────────────────────────────
+  // The only per-key state is the theoretical arrival time (TAT): when the
+  // key's timeline would be empty again. A request of cost n pushes the TAT
+  // n emission intervals forward and is allowed if the result stays within
+  // the burst tolerance of now. Retry-after and reset fall out exactly.
+
+  /** RateLimit-* / Retry-After header values (seconds, rounded up). */
+  function _gcraHeaders(result) {
+    var headers = {
+      "RateLimit-Limit": String(burst),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(Math.ceil(result.resetAfterMs / 1000))
+    };
+    if (!result.allowed && isFinite(result.retryAfterMs)) {
+      headers["Retry-After"] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+    }
+    return headers;
+  }
+
+  /**
+   * Evaluate a cost against a key's TAT; mutates the entry only when
+   * `commit` is set and the request fits.
+   */
+  function _gcra(key, now, cost, commit) {
+    var entry = store[key];
+    var tat = entry && entry.tat > now ? entry.tat : now;
+    var newTat = tat + cost * emissionMs;
+    var allowAt = newTat - toleranceMs;
+    var result;
+    if (allowAt > now) {
+      result = {
+        allowed: false,
+        remaining: Math.max(0, Math.floor((now - (tat - toleranceMs)) / emissionMs)),
+        // A cost larger than the burst can never fit
+        retryAfterMs: cost > burst ? Infinity : Math.ceil(allowAt - now),
+        resetAfterMs: Math.ceil(tat - now)
+      };
+    } else {
+      if (commit) {
+        if (!entry) entry = store[key] = { tat: 0, lastSeen: now };
+        entry.tat = newTat;
+      }
+      result = {
+        allowed: true,
+        remaining: Math.floor((now - allowAt) / emissionMs),
+        retryAfterMs: 0,
+        resetAfterMs: Math.ceil(newTat - now)
+      };
+    }
+    if (entry && commit) entry.lastSeen = now;
+    result.limit = burst;
+    result.emissionIntervalMs = emissionMs;
+    result.headers = _gcraHeaders(result);
+    return result;
+  }
+
+  function _checkGcra(key, now) {
+    return _gcra(key, now, 1, true);
+  }
+
   // ── Dispatch ────────────────────────────────────────────────────
 
   var checkers = Object.create(null);
   checkers["sliding-window"] = _checkSlidingWindow;
   checkers["token-bucket"] = _checkTokenBucket;
   checkers["leaky-bucket"] = _checkLeakyBucket;
+  checkers["gcra"] = _checkGcra;
 
   // ── Public API ──────────────────────────────────────────────────
 
@@ -472,6 +693,7 @@ function createCaptchaRateLimiter(options) {
    * @returns {Object} Result with allowed, remaining, retryAfterMs, etc.
    */
   function check(key, now) {
+    _assertLocal("check");
     _validateKey(key);
     if (_isWhitelisted(key)) return _whitelistResult(key);
     now = now || Date.now();
@@ -490,19 +712,23 @@ function createCaptchaRateLimiter(options) {
     }
 
     // Run algorithm check
-    var result = checkers[algorithm](key, now);
+    var result = tiers ? _checkTiers(key, now, 1) : checkers[algorithm](key, now);
+
+    result.algorithm = algorithm;
+    result.key = key;
 
     // Track bans / stats
     if (!result.allowed) {
       totalRejected++;
-      _trackRejection(key, now, result);
+      if (!softLimit || !_offerChallenge(key, now, result, _issueChallenge(key, now))) {
+        _trackRejection(key, now, result);
+      }
     } else {
       totalAllowed++;
       _clearStrikes(key);
+      delete overflows[key];
     }
 
-    result.algorithm = algorithm;
-    result.key = key;
     return result;
   }
 
@@ -524,6 +750,7 @@ function createCaptchaRateLimiter(options) {
    * @returns {Object} Result for the batch
    */
   function consume(key, count, now) {
+    _assertLocal("consume");
     if (count < 1 || !Number.isFinite(count)) {
       throw new Error("Count must be a positive finite number");
     }
@@ -539,6 +766,40 @@ function createCaptchaRateLimiter(options) {
       return _banRejectionResult(banResult, key, count);
     }
 
+    if (tiers) {
+      var tiered = _checkTiers(key, now, count);
+      tiered.algorithm = algorithm;
+      tiered.key = key;
+      tiered.requested = count;
+      if (!tiered.allowed) {
+        tiered.consumed = 0;
+        totalRejected++;
+        _trackRejection(key, now, tiered);
+      } else {
+        tiered.consumed = count;
+        totalAllowed++;
+        _clearStrikes(key);
+      }
+      return tiered;
+    }
+
+    // ── O(1) path for GCRA: count is the request's weight ──
+    if (algorithm === "gcra") {
+      var g = _gcra(key, now, count, true);
+      g.consumed = g.allowed ? count : 0;
+      g.requested = count;
+      g.algorithm = algorithm;
+      g.key = key;
+      if (!g.allowed) {
+        totalRejected++;
+        _trackRejection(key, now, g);
+      } else {
+        totalAllowed++;
+        _clearStrikes(key);
+      }
+      return g;
+    }
+
     // ── O(1) path for token-bucket ──
     if (algorithm === "token-bucket") {
       var entry = _refreshTokenBucket(key, now);
@@ -605,6 +866,405 @@ function createCaptchaRateLimiter(options) {
     return lastResult;
   }
 
+  // ── Tiers ───────────────────────────────────────────────────────
+  // Each tier is a private limiter over derived keys. A check first peeks
+  // every tier and only charges them when all have room, so a request the
+  // /24 tier refuses does not also use up the address's own bucket. With
+  // a shared store the tiers are charged in order instead (see checkAsync).
+
+  function _buildTiers(specs) {
+    if (!Array.isArray(specs) || !specs.length) {
+      throw new Error("tiers must be a non-empty array");
+    }
+    var seen = Object.create(null);
+    return specs.map(function (spec) {
+      if (!spec || !TIER_SCOPES[spec.scope]) {
+        throw new Error("Tier scope must be one of: key, ip, prefix, global");
+      }
+      var name = spec.name || spec.scope;
+      if (seen[name]) throw new Error("Duplicate tier name: " + name);
+      seen[name] = true;
+      var subOptions = {
+        algorithm: algorithm,
+        maxKeys: maxKeys,
+        cleanupInterval: cleanupInterval,
+        store: sharedStore || undefined,
+        storePrefix: storePrefix + "tier:" + name + ":"
+      };
+      TIER_LIMIT_OPTIONS.forEach(function (opt) {
+        subOptions[opt] = spec[opt] != null ? spec[opt] : options[opt];
+      });
+      return {
+        name: name,
+        scope: spec.scope,
+        ipv4Prefix: spec.ipv4Prefix != null ? spec.ipv4Prefix : 24,
+        ipv6Prefix: spec.ipv6Prefix != null ? spec.ipv6Prefix : 64,
+        limiter: createCaptchaRateLimiter(subOptions)
+      };
+    });
+  }
+
+  /** [{ tier, key }] for the tiers that apply to `key`. */
+  function _tierPlan(key) {
+    var addr = ipUtils.parseIp(key);
+    var plan = [];
+    for (var i = 0; i < tiers.length; i++) {
+      var t = tiers[i];
+      var k;
+      if (t.scope === "key") k = key;
+      else if (t.scope === "ip") k = addr ? ipUtils.formatIp(addr.bytes) : key;
+      else if (t.scope === "prefix") k = addr ? ipUtils.networkKey(addr, addr.version === 4 ? t.ipv4Prefix : t.ipv6Prefix) : null;
+      else k = "*";
+      if (k !== null) plan.push({ tier: t, key: k });
+    }
+    return plan;
+  }
+
+  function _tierSummary(plan, results) {
+    return plan.map(function (step, i) {
+      return { name: step.tier.name, key: step.key, remaining: results[i].remaining };
+    });
+  }
+
+  /** Reject with the tripping tier's own result, decorated with its name. */
+  function _tierRejection(step, result) {
+    delete result.algorithm;
+    delete result.key;
+    result.tier = step.tier.name;
+    result.tierKey = step.key;
+    return result;
+  }
+
+  function _combineTierResults(plan, results) {
+    var tightest = 0;
+    for (var i = 1; i < results.length; i++) {
+      if (results[i].remaining < results[tightest].remaining) tightest = i;
+    }
+    var out = Object.assign({}, results[tightest]);
+    delete out.algorithm;
+    delete out.key;
+    delete out.consumed;
+    delete out.requested;
+    out.tier = null;
+    out.tiers = _tierSummary(plan, results);
+    return out;
+  }
+
+  function _checkTiers(key, now, count) {
+    var plan = _tierPlan(key);
+    var i, step;
+    for (i = 0; i < plan.length; i++) {
+      step = plan[i];
+      if (step.tier.limiter.peek(step.key, now).remaining < count) {
+        var refused = count === 1
+          ? step.tier.limiter.check(step.key, now)
+          : step.tier.limiter.consume(step.key, count, now);
+        return _tierRejection(step, refused);
+      }
+    }
+    var results = [];
+    for (i = 0; i < plan.length; i++) {
+      step = plan[i];
+      results.push(count === 1
+        ? step.tier.limiter.check(step.key, now)
+        : step.tier.limiter.consume(step.key, count, now));
+    }
+    return _combineTierResults(plan, results);
+  }
+
+  function _checkTiersAsync(key, now) {
+    var plan = _tierPlan(key);
+    var results = [];
+    function next(i) {
+      if (i === plan.length) return Promise.resolve(_combineTierResults(plan, results));
+      var step = plan[i];
+      return step.tier.limiter.checkAsync(step.key, now).then(function (r) {
+        if (!r.allowed) return _tierRejection(step, r);
+        results.push(r);
+        return next(i + 1);
+      });
+    }
+    return next(0);
+  }
+
+  /** Tier keys that belong to this key alone (key / ip scopes). */
+  function _ownTierKeys(key) {
+    return _tierPlan(key).filter(function (step) {
+      return step.tier.scope === "key" || step.tier.scope === "ip";
+    });
+  }
+
+  // ── Soft Limit ──────────────────────────────────────────────────
+  // An over-limit check() gets a proof-of-work challenge on the result
+  // instead of a bare rejection. Difficulty grows with the key's unpaid
+  // overflow relative to its limit, so a busy NAT pays a little and a
+  // flood pays exponentially more. redeem() admits the request without
+  // charging the bucket. Strikes are only recorded for hard rejections
+  // and failed solutions, so soft-limited keys are not auto-banned.
+
+  function _limitSize() {
+    if (algorithm === "token-bucket") return capacity;
+    if (algorithm === "leaky-bucket") return queueSize;
+    if (algorithm === "gcra") return burst;
+    return maxRequests;
+  }
+
+  function _overflowDifficulty(key, now) {
+    var o = overflows[key];
+    if (!o || now - o.lastAt > _stateTtlMs()) o = overflows[key] = { count: 0, lastAt: now };
+    o.count++;
+    o.lastAt = now;
+    var extra = Math.floor((o.count - 1) / _limitSize() * softLimit.difficultyPerLimit);
+    return Math.min(softLimit.maxDifficulty, softLimit.baseDifficulty + extra);
+  }
+
+  /** Issue via the sync PoW API; null when it refuses (per-key or global cap). */
+  function _issueChallenge(key, now) {
+    var difficulty = _overflowDifficulty(key, now);
+    try {
+      return softLimit.pow.issue({ ip: key, difficulty: difficulty });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function _offerChallenge(key, now, result, challenge) {
+    if (!challenge) {
+      softStats.hardRejected++;
+      return false;
+    }
+    softPending[challenge.prefix] = { key: key, expiresAt: challenge.expiresAt };
+    softStats.challenged++;
+    result.softLimited = true;
+    result.challenge = challenge;
+    result.overflow = overflows[key].count;
+    result.reason = "Proof of work required";
+    return true;
+  }
+
+  function _sweepSoftPending() {
+    // Challenge expiry is on the PoW instance's clock, not the caller's `now`
+    var wall = Date.now();
+    var prefixes = Object.keys(softPending);
+    for (var i = 0; i < prefixes.length; i++) {
+      if (softPending[prefixes[i]].expiresAt <= wall) {
+        delete softPending[prefixes[i]];
+        softStats.abandoned++;
+      }
+    }
+  }
+
+  function _redeemPrecheck(key, solution) {
+    if (!softLimit) throw new Error("redeem: softLimit is not enabled");
+    _validateKey(key);
+    if (!solution || typeof solution.prefix !== "string" || typeof solution.nonce !== "string") {
+      throw new Error("redeem: solution must be { prefix, nonce }");
+    }
+  }
+
+  /**
+   * Record a PoW verdict against the soft-limit stats. Only outcomes that
+   * consume the challenge settle it; unknown or replayed prefixes leave any
+   * local entry to expire into `abandoned`.
+   */
+  function _settleRedeem(key, solution, verdict) {
+    var pending = softPending[solution.prefix];
+    var settles = verdict.valid || verdict.reason === "insufficient_work" || verdict.reason === "expired";
+    if (pending && pending.key === key && settles) {
+      delete softPending[solution.prefix];
+      if (verdict.reason === "insufficient_work") softStats.failed++;
+      else if (verdict.reason === "expired") softStats.abandoned++;
+    }
+    var result = {
+      allowed: verdict.valid,
+      paid: verdict.valid,
+      reason: verdict.reason,
+      hash: verdict.hash,
+      solveMs: verdict.solveMs,
+      algorithm: algorithm,
+      key: key
+    };
+    if (verdict.valid) {
+      softStats.paid++;
+      var o = overflows[key];
+      if (o && --o.count <= 0) delete overflows[key];
+      return result;
+    }
+    result.remaining = 0;
+    return result;
+  }
+
+  /**
+   * Pay for an over-limit request with a solved proof-of-work challenge
+   * from a soft-limited check() result. A valid solution admits the
+   * request without charging the key's bucket.
+   *
+   * @param {string} key - The key the challenge was issued to
+   * @param {Object} solution - { prefix, nonce }
+   * @param {number} [now] - Current timestamp (default: Date.now())
+   * @returns {Object} { allowed, paid, reason, hash, solveMs, algorithm, key }
+   * @throws {Error} If softLimit is not configured or the arguments are malformed
+   */
+  function redeem(key, solution, now) {
+    _redeemPrecheck(key, solution);
+    now = now || Date.now();
+    var verdict = softLimit.pow.verify({ prefix: solution.prefix, nonce: solution.nonce, ip: key });
+    var result = _settleRedeem(key, solution, verdict);
+    if (!result.allowed) _trackRejection(key, now, result);
+    return result;
+  }
+
+  /**
+   * Promise-returning redeem(); uses the PoW instance's verifyAsync(),
+   * so it works when that instance shares a store with other replicas.
+   *
+   * @param {string} key
+   * @param {Object} solution - { prefix, nonce }
+   * @param {number} [now]
+   * @returns {Promise<Object>} Same shape as redeem()
+   */
+  function redeemAsync(key, solution, now) {
+    try {
+      _redeemPrecheck(key, solution);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    now = now || Date.now();
+    return softLimit.pow.verifyAsync({ prefix: solution.prefix, nonce: solution.nonce, ip: key }).then(function (verdict) {
+      var result = _settleRedeem(key, solution, verdict);
+      if (result.allowed) return result;
+      if (!sharedStore) {
+        _trackRejection(key, now, result);
+        return result;
+      }
+      return _sharedTrackRejection(key, now, result);
+    });
+  }
+
+  // ── Shared Store ────────────────────────────────────────────────
+  // Each key's algorithm state is loaded from the store into `store`,
+  // run through the same checker as check(), and written back with
+  // compare-and-set, so replicas sharing the store enforce one limit.
+  // Strikes and auto-bans are store keys with TTLs. ban(), unban(),
+  // peek() and the stats act on process-local state only.
+
+  function _assertLocal(method) {
+    if (sharedStore) {
+      throw new Error(method + ": a shared store is configured; use checkAsync");
+    }
+  }
+
+  /** How long an untouched entry can matter before it is equivalent to a fresh one. */
+  function _stateTtlMs() {
+    if (algorithm === "token-bucket") return Math.ceil(capacity / refillRate * 1000) + 1000;
+    if (algorithm === "leaky-bucket") return Math.ceil(queueSize / leakRate * 1000) + 1000;
+    if (algorithm === "gcra") return Math.ceil(toleranceMs) + 1000;
+    return windowMs + 1000;
+  }
+
+  function _sharedBanStatus(key, now) {
+    if (!enableBans) return Promise.resolve(null);
+    return sharedStore.get(storePrefix + "ban:" + key).then(function (ban) {
+      if (!ban || now >= ban.expiresAt) return null;
+      return { banned: true, expiresAt: ban.expiresAt, retryAfterMs: ban.expiresAt - now };
+    });
+  }
+
+  function _sharedTrackRejection(key, now, result) {
+    if (!enableBans) return Promise.resolve(result);
+    var strikeKey = storePrefix + "strikes:" + key;
+    return sharedStore.incr(strikeKey, 1, { ttlMs: banDurationMs }).then(function (count) {
+      if (count < banThreshold) return result;
+      var ban = { expiresAt: now + banDurationMs, bannedAt: now };
+      return sharedStore.set(storePrefix + "ban:" + key, ban, { ttlMs: banDurationMs }).then(function () {
+        return sharedStore.del(strikeKey);
+      }).then(function () {
+        totalBanned++;
+        result.banned = true;
+        result.banExpiresAt = ban.expiresAt;
+        result.reason = "Banned after " + banThreshold + " consecutive rejections";
+        return result;
+      });
+    });
+  }
+
+  /**
+   * Promise-returning check(). With `options.store` the per-key state
+   * is shared by every limiter using the same store and prefix. Tiers
+   * are then charged one after another, so when a later tier refuses,
+   * the earlier ones have already counted the request.
+   *
+   * @param {string} key - Identifier (IP, session ID, fingerprint)
+   * @param {number} [now] - Current timestamp (default: Date.now())
+   * @returns {Promise<Object>} Same result shape as check()
+   */
+  function checkAsync(key, now) {
+    if (!sharedStore) return Promise.resolve().then(function () { return check(key, now); });
+    try {
+      _validateKey(key);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    if (_isWhitelisted(key)) return Promise.resolve(_whitelistResult(key));
+    now = now || Date.now();
+    checkCount++;
+
+    return _sharedBanStatus(key, now).then(function (banResult) {
+      if (banResult) {
+        totalRejected++;
+        return _banRejectionResult(banResult, key);
+      }
+      var checked = tiers ? _checkTiersAsync(key, now) : stateStore.updateWithRetry(sharedStore, storePrefix + "state:" + key, function (entry) {
+        if (entry) store[key] = entry;
+        try {
+          var result = checkers[algorithm](key, now);
+          return { value: store[key], result: result };
+        } finally {
+          delete store[key];
+        }
+      }, { ttlMs: _stateTtlMs() });
+      return checked.then(function (result) {
+        result.algorithm = algorithm;
+        result.key = key;
+        if (!result.allowed) {
+          totalRejected++;
+          if (!softLimit) return _sharedTrackRejection(key, now, result);
+          var difficulty = _overflowDifficulty(key, now);
+          return softLimit.pow.issueAsync({ ip: key, difficulty: difficulty }).then(null, function () {
+            return null;
+          }).then(function (challenge) {
+            return _offerChallenge(key, now, result, challenge) ? result : _sharedTrackRejection(key, now, result);
+          });
+        }
+        totalAllowed++;
+        delete overflows[key];
+        if (!enableBans) return result;
+        return sharedStore.del(storePrefix + "strikes:" + key).then(function () { return result; });
+      });
+    });
+  }
+
+  /**
+   * Promise-returning reset(): clears a key's shared counters, strikes
+   * and ban (and any local state).
+   *
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  function resetAsync(key) {
+    reset(key);
+    if (!sharedStore) return Promise.resolve();
+    var pending = [
+      sharedStore.del(storePrefix + "state:" + key),
+      sharedStore.del(storePrefix + "strikes:" + key),
+      sharedStore.del(storePrefix + "ban:" + key)
+    ];
+    if (tiers) {
+      _ownTierKeys(key).forEach(function (step) { pending.push(step.tier.limiter.resetAsync(step.key)); });
+    }
+    return Promise.all(pending).then(function () {});
+  }
+
   /**
    * Peek at rate limit status for a key without consuming a request.
    *
@@ -622,6 +1282,23 @@ function createCaptchaRateLimiter(options) {
       return { allowed: false, banned: true, retryAfterMs: banResult.retryAfterMs };
     }
 
+    if (tiers) {
+      var plan = _tierPlan(key);
+      var peeks = plan.map(function (step) { return step.tier.limiter.peek(step.key, now); });
+      for (var t = 0; t < peeks.length; t++) {
+        if (!peeks[t].allowed) return Object.assign(peeks[t], { tier: plan[t].tier.name, tierKey: plan[t].key });
+      }
+      return _combineTierResults(plan, peeks);
+    }
+
+    if (algorithm === "gcra") {
+      // Report what is available now, before this request, like the other algorithms
+      var g = _gcra(key, now, 1, false);
+      if (g.allowed) g.remaining += 1;
+      delete g.headers;
+      return g;
+    }
+
     var entry = store[key];
     if (!entry) {
       // No history — would be allowed
@@ -674,9 +1351,9 @@ function createCaptchaRateLimiter(options) {
   }
 
   /**
-   * Manually ban a key.
+   * Manually ban a key, or every address in a CIDR range ("203.0.113.0/24").
    *
-   * @param {string} key - Identifier
+   * @param {string} key - Identifier or CIDR range
    * @param {number} [durationMs] - Ban duration (default: banDurationMs)
    * @param {number} [now] - Current timestamp
    */
@@ -684,44 +1361,46 @@ function createCaptchaRateLimiter(options) {
     _validateKey(key);
     now = now || Date.now();
     durationMs = durationMs || banDurationMs;
+    key = _listKey(key);
     bans[key] = { expiresAt: now + durationMs, bannedAt: now };
     totalBanned++;
+    if (key.indexOf("/") !== -1) _rebuildRanges();
   }
 
   /**
-   * Manually unban a key.
+   * Manually unban a key or a CIDR range. Unbanning one address does not
+   * lift a range ban covering it.
    *
-   * @param {string} key - Identifier
+   * @param {string} key - Identifier or CIDR range
    * @returns {boolean} Whether the key was banned
    */
   function unban(key) {
+    key = _listKey(key);
     if (bans[key]) {
       delete bans[key];
       delete strikes[key];
+      if (key.indexOf("/") !== -1) _rebuildRanges();
       return true;
     }
     return false;
   }
 
   /**
-   * Check if a key is currently banned.
+   * Check if a key is currently banned, directly or by a CIDR range ban.
    *
-   * @param {string} key - Identifier
+   * @param {string} key - Identifier, address or CIDR range
    * @param {number} [now] - Current timestamp
    * @returns {boolean}
    */
   function isBanned(key, now) {
-    if (!bans[key]) return false;
+    if (typeof key !== "string" || !key) return false;
     now = now || Date.now();
-    if (now >= bans[key].expiresAt) {
-      delete bans[key];
-      return false;
-    }
-    return true;
+    return !!_findBan(_listKey(key), now);
   }
 
   /**
-   * Reset rate limit state for a specific key.
+   * Reset rate limit state for a specific key. With tiers this clears its
+   * key- and ip-scoped buckets; shared network and global buckets are kept.
    *
    * @param {string} key - Identifier
    * @returns {boolean} Whether the key existed
@@ -731,6 +1410,12 @@ function createCaptchaRateLimiter(options) {
     delete store[key];
     delete bans[key];
     delete strikes[key];
+    delete overflows[key];
+    if (tiers && typeof key === "string") {
+      _ownTierKeys(key).forEach(function (step) {
+        if (step.tier.limiter.reset(step.key)) existed = true;
+      });
+    }
     return existed;
   }
 
@@ -746,12 +1431,19 @@ function createCaptchaRateLimiter(options) {
     totalBanned = 0;
     checkCount = 0;
     evictions = 0;
+    overflows = Object.create(null);
+    softPending = Object.create(null);
+    softStats = { challenged: 0, paid: 0, failed: 0, abandoned: 0, hardRejected: 0 };
+    banRanges = [];
+    if (tiers) tiers.forEach(function (t) { t.limiter.resetAll(); });
   }
 
   /**
    * Get aggregate statistics.
    *
-   * @returns {Object} Stats: tracked keys, bans, requests, rejection rate
+   * @returns {Object} Stats: tracked keys, bans, requests, rejection rate, and
+   *   with softLimit a `softLimit` block: { challenged, paid, failed, abandoned,
+   *   pending, hardRejected, paidRate }
    */
   function getStats() {
     var keyCount = Object.keys(store).length;
@@ -767,11 +1459,32 @@ function createCaptchaRateLimiter(options) {
       totalBanned: totalBanned,
       rejectionRate: total > 0 ? totalRejected / total : 0,
       evictions: evictions,
+      softLimit: softLimit ? _softLimitStats() : null,
+      tiers: tiers ? tiers.map(function (t) {
+        var ts = t.limiter.getStats();
+        return { name: t.name, scope: t.scope, trackedKeys: ts.trackedKeys, totalRejected: ts.totalRejected };
+      }) : null,
       config: algorithm === "sliding-window"
         ? { windowMs: windowMs, maxRequests: maxRequests }
         : algorithm === "token-bucket"
           ? { capacity: capacity, refillRate: refillRate }
-          : { queueSize: queueSize, leakRate: leakRate }
+          : algorithm === "gcra"
+            ? { windowMs: windowMs, maxRequests: maxRequests, burst: burst, emissionIntervalMs: emissionMs }
+            : { queueSize: queueSize, leakRate: leakRate }
+    };
+  }
+
+  function _softLimitStats() {
+    _sweepSoftPending();
+    var settled = softStats.paid + softStats.failed + softStats.abandoned;
+    return {
+      challenged: softStats.challenged,
+      paid: softStats.paid,
+      failed: softStats.failed,
+      abandoned: softStats.abandoned,
+      pending: Object.keys(softPending).length,
+      hardRejected: softStats.hardRejected,
+      paidRate: settled > 0 ? softStats.paid / settled : 0
     };
   }
 
@@ -784,9 +1497,15 @@ function createCaptchaRateLimiter(options) {
    *
    * @param {number} [limit=20] - Max keys to return
    * @param {string} [sortBy='recent'] - Sort: 'recent' | 'active' | 'strikes'
+   * @param {string} [tierName] - With tiers: which tier's buckets to list (default: the first)
    * @returns {Array} Top keys with their current state
    */
-  function getTopKeys(limit, sortBy) {
+  function getTopKeys(limit, sortBy, tierName) {
+    if (tiers) {
+      var tier = tiers[0];
+      for (var ti = 0; ti < tiers.length; ti++) if (tiers[ti].name === tierName) tier = tiers[ti];
+      return tier.limiter.getTopKeys(limit, sortBy);
+    }
     limit = limit || 20;
     sortBy = sortBy || "recent";
 
@@ -799,6 +1518,8 @@ function createCaptchaRateLimiter(options) {
         info.requestCount = e.timestamps ? e.timestamps.length - (e.startIdx || 0) : 0;
       } else if (algorithm === "token-bucket") {
         info.tokens = Math.floor(e.tokens || 0);
+      } else if (algorithm === "gcra") {
+        info.tat = e.tat;
       } else {
         info.queueLevel = Math.floor(e.water || 0);
       }
@@ -809,6 +1530,7 @@ function createCaptchaRateLimiter(options) {
 
     function _sortValue(info) {
       if (sortBy === "active") {
+        if (algorithm === "gcra") return info.tat; // furthest-ahead timeline = busiest
         return info.requestCount || info.queueLevel || (capacity - (info.tokens || 0));
       } else if (sortBy === "strikes") {
         return info.strikes;
@@ -871,34 +1593,39 @@ function createCaptchaRateLimiter(options) {
   var whitelist = Object.create(null);
 
   /**
-   * Add key to whitelist.
+   * Add key or CIDR range ("10.0.0.0/8", "2001:db8::/32") to whitelist.
    * @param {string} key
    */
   function whitelistAdd(key) {
     _validateKey(key);
+    key = _listKey(key);
     whitelist[key] = true;
+    if (key.indexOf("/") !== -1) _rebuildRanges();
   }
 
   /**
-   * Remove key from whitelist.
+   * Remove key or CIDR range from whitelist.
    * @param {string} key
    * @returns {boolean}
    */
   function whitelistRemove(key) {
+    key = _listKey(key);
     if (whitelist[key]) {
       delete whitelist[key];
+      if (key.indexOf("/") !== -1) _rebuildRanges();
       return true;
     }
     return false;
   }
 
   /**
-   * Check if key is whitelisted.
+   * Check if key is whitelisted, directly or by a CIDR range.
    * @param {string} key
    * @returns {boolean}
    */
   function isWhitelisted(key) {
-    return !!whitelist[key];
+    if (typeof key !== "string" || !key) return false;
+    return _isWhitelisted(_listKey(key));
   }
 
   // ── Cleanup ───────────────────────────────────────────────────
@@ -914,6 +1641,15 @@ function createCaptchaRateLimiter(options) {
         delete strikes[banKeys[i]];
       }
     }
+    if (banRanges.length) _rebuildRanges();
+
+    // GCRA entries whose TAT has passed are identical to no entry at all
+    if (algorithm === "gcra") {
+      var gcraKeys = Object.keys(store);
+      for (var g = 0; g < gcraKeys.length; g++) {
+        if (store[gcraKeys[g]].tat <= now) delete store[gcraKeys[g]];
+      }
+    }
 
     // Evict stale entries (sliding window: no timestamps in window)
     if (algorithm === "sliding-window") {
@@ -927,6 +1663,8 @@ function createCaptchaRateLimiter(options) {
       }
     }
 
+    if (softLimit) _sweepSoftPending();
+
     // LRU eviction if over maxKeys
     var removed = _evictOldest(store, maxKeys);
     evictions += removed;
@@ -945,6 +1683,7 @@ function createCaptchaRateLimiter(options) {
       bans: JSON.parse(JSON.stringify(bans)),
       strikes: JSON.parse(JSON.stringify(strikes)),
       stats: { totalAllowed: totalAllowed, totalRejected: totalRejected, totalBanned: totalBanned },
+      tiers: tiers ? tiers.reduce(function (acc, t) { acc[t.name] = t.limiter.exportState(); return acc; }, {}) : undefined,
       exportedAt: Date.now()
     };
   }
@@ -1010,6 +1749,12 @@ function createCaptchaRateLimiter(options) {
       totalRejected += Number(state.stats.totalRejected) || 0;
       totalBanned += Number(state.stats.totalBanned) || 0;
     }
+    if (tiers && state.tiers && typeof state.tiers === "object") {
+      tiers.forEach(function (t) {
+        if (state.tiers[t.name]) count += t.limiter.importState(state.tiers[t.name]);
+      });
+    }
+    _rebuildRanges();
     return count;
   }
 
@@ -1017,12 +1762,16 @@ function createCaptchaRateLimiter(options) {
 
   return {
     check: check,
+    checkAsync: checkAsync,
     consume: consume,
     peek: peek,
     ban: ban,
     unban: unban,
     isBanned: isBanned,
     reset: reset,
+    resetAsync: resetAsync,
+    redeem: redeem,
+    redeemAsync: redeemAsync,
     resetAll: resetAll,
     getStats: getStats,
     getTopKeys: getTopKeys,
@@ -0,0 +1,615 @@
+"use strict";
+
+/**
+ * CaptchaServer — built-in HTTP challenge/verify server.
+ *
+ * Wires the library's serving primitives together behind a small JSON
+ * API so deployments don't each hand-roll the same glue:
+ *
+ *   createCaptchaRateLimiter   → per-client-IP limits on issue/answer
+ *   createSessionManager       → multi-challenge sessions + difficulty escalation
+ *   createChallengePoolManager → pre-rendered challenges per difficulty tier
+ *   createTokenVerifier        → signed pass tokens for backend verification
+ *
+ * Challenges come from createChallengeTemplateEngine rendered to GIF
+ * (see challenge-frame-renderer), so every issued challenge has image
+ * bytes the server can stream.
+ *
+ * Routes (relative to `server.basePath`, default "/captcha"):
+ *
+ *   POST /challenge          { sessionId? } → { sessionId, challengeId, question, gifUrl, ... }
+ *   GET  /challenge/:id.gif  → image/gif
+ *   POST /answer             { sessionId, challengeId, answer, signals? } → { correct, done, passed, token? }
+ *   POST /verify             { token, ip? } → { valid, reason?, payload? }
+ *   GET  /health             → pool / session / limiter stats
+ *   GET  /jwks.json          → public keys for EdDSA tokens (see createTokenVerifier)
+ *   GET  /widget.js          → the <gif-captcha> element bundle (see gif-captcha-element.js)
+ *
+ * Each /challenge response carries a one-time `jsToken` from
+ * createBotDetector; clients that send `signals` (the passive signals
+ * createBotDetector().analyze() reads, plus that jsToken) with their
+ * answer are screened, and a bot verdict fails the answer with 403.
+ * The signals may instead arrive sealed as `{ envelope }` (see
+ * telemetry-packer.js), keyed by that jsToken.
+ *
+ * /verify checks a token against the caller's address: the socket peer,
+ * or X-Forwarded-For with `server.trustProxy`. A backend verifying on a
+ * user's behalf sets `server.verifySecret` and sends it as
+ * `Authorization: Bearer <secret>`; only then is a body `ip` (the end
+ * user's address) honoured, and unauthenticated /verify calls get 401.
+ *
+ * Bodies may be JSON or application/x-www-form-urlencoded.  Errors are
+ * JSON `{ error: "<code>" }` with a matching HTTP status.
+ *
+ * With a shared state store (`config.store`, or `config.stateStore` in a
+ * JSON config) sessions, token nonces and rate-limit counters are shared
+ * by every replica using it. Issued challenges and their answers stay in
+ * process, so /challenge, its GIF and /answer must reach the same replica
+ * (sticky routing); /verify can go anywhere.
+ *
+ * @example
+ *   var server = createCaptchaServer({ secret: process.env.CAPTCHA_SECRET });
+ *   server.listen(8080, "127.0.0.1", function () { ... });
+ *
+ * @module gif-captcha/captcha-server
+ */
+
+var crypto = require("crypto");
+var fs = require("fs");
+var http = require("http");
+var nodePath = require("path");
+var querystring = require("querystring");
+
+var gifCaptcha = require("./index");
+var createChallengePoolManager = require("./challenge-pool-manager").createChallengePoolManager;
+var createChallengeTemplateEngine = require("./challenge-template-engine").createChallengeTemplateEngine;
+var createCaptchaRateLimiter = require("./captcha-rate-limiter").createCaptchaRateLimiter;
+var stateStore = require("./state-store");
+
+// ── Defaults ────────────────────────────────────────────────────────
+
+var DEFAULT_BASE_PATH = "/captcha";
+var DEFAULT_MAX_BODY_BYTES = 16384;
+var DEFAULT_MAX_ISSUED = 10000;
+var DEFAULT_POOL_TARGET = 10;
+var DEFAULT_POOL_MIN = 3;
+
+// Pool tier → template difficulty filter
+var TIERS = ["easy", "medium", "hard"];
+var TIER_FILTERS = {
+  easy: { maxDifficulty: 1 },
+  medium: { minDifficulty: 2, maxDifficulty: 2 },
+  hard: { minDifficulty: 3 }
+};
+
+// ── Config ──────────────────────────────────────────────────────────
+
+function _section(config, name) {
+  var s = config[name];
+  return s && typeof s === "object" && !Array.isArray(s) ? s : {};
+}
+
+/**
+ * Normalize a server config object.  Accepts the sections documented
+ * on createCaptchaServer() as well as the `challenge.poolSize`,
+ * `session.ttlMs` and `rateLimit.ipWhitelist` keys written by
+ * `gif-captcha config-export`.
+ *
+ * @param {Object} config
+ * @returns {Object} Normalized config
+ * @throws {Error} If neither a token secret nor a keyring is configured
+ */
+function normalizeServerConfig(config) {
+  config = config && typeof config === "object" ? config : {};
+  var server = _section(config, "server");
+  var token = Object.assign({}, _section(config, "token"));
+  var session = Object.assign({}, _section(config, "session"));
+  var pool = Object.assign({}, _section(config, "pool"));
+  var challenge = _section(config, "challenge");
+
+  if (!token.secret && config.secret) token.secret = config.secret;
+  var hasKeys = Array.isArray(token.keys) && token.keys.length > 0;
+  if (!hasKeys && (!token.secret || typeof token.secret !== "string")) {
+    throw new Error("CaptchaServer: a token secret is required (config.secret, token.secret or token.keys)");
+  }
+
+  if (session.sessionTimeoutMs == null && typeof session.ttlMs === "number") {
+    session.sessionTimeoutMs = session.ttlMs;
+  }
+
+  if (pool.targetSize == null) {
+    pool.targetSize = typeof challenge.poolSize === "number"
+      ? Math.max(1, Math.ceil(challenge.poolSize / TIERS.length))
+      : DEFAULT_POOL_TARGET;
+  }
+  if (pool.minSize == null) pool.minSize = Math.min(DEFAULT_POOL_MIN, pool.targetSize);
+  if (pool.priorityReserve == null) pool.priorityReserve = 0;
+
+  var store = null;
+  if (config.store) {
+    store = stateStore.validateStateStore(config.store, "CaptchaServer");
+  } else if (config.stateStore) {
+    var spec = _section(config, "stateStore");
+    if (spec.type === "file") {
+      store = stateStore.createFileStore({ path: spec.path, lockTimeoutMs: spec.lockTimeoutMs, staleLockMs: spec.staleLockMs });
+    } else if (spec.type === "memory") {
+      store = stateStore.createMemoryStore({ maxKeys: spec.maxKeys });
+    } else {
+      throw new Error("CaptchaServer: stateStore.type must be \"memory\" or \"file\"");
+    }
+  }
+
+  var basePath = typeof server.basePath === "string" ? server.basePath.replace(/\/+$/, "") : DEFAULT_BASE_PATH;
+  if (basePath && basePath.charAt(0) !== "/") basePath = "/" + basePath;
+
+  return {
+    server: {
+      port: typeof server.port === "number" ? server.port : 8080,
+      host: typeof server.host === "string" ? server.host : "127.0.0.1",
+      basePath: basePath,
+      trustProxy: server.trustProxy === true,
+      maxBodyBytes: server.maxBodyBytes > 0 ? server.maxBodyBytes : DEFAULT_MAX_BODY_BYTES,
+      maxIssued: server.maxIssued > 0 ? server.maxIssued : DEFAULT_MAX_ISSUED,
+      corsOrigin: typeof server.corsOrigin === "string" ? server.corsOrigin : null,
+      verifySecret: typeof server.verifySecret === "string" && server.verifySecret ? server.verifySecret : null
+    },
+    token: token,
+    session: session,
+    pool: pool,
+    rateLimit: Object.assign({}, _section(config, "rateLimit")),
+    render: Object.assign({}, _section(config, "render")),
+    botDetection: Object.assign({}, _section(config, "botDetection")),
+    store: store
+  };
+}
+
+// ── HTTP helpers ────────────────────────────────────────────────────
+
+function _send(res, status, body, headers) {
+  var payload = JSON.stringify(body);
+  var h = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Cache-Control": "no-store",
+    "X-Content-Type-Options": "nosniff"
+  };
+  if (headers) Object.assign(h, headers);
+  res.writeHead(status, h);
+  res.end(payload);
+}
+
+function _readBody(req, limit, cb) {
+  var chunks = [];
+  var size = 0;
+  var done = false;
+  req.on("data", function (chunk) {
+    if (done) return;
+    size += chunk.length;
+    if (size > limit) {
+      done = true;
+      cb({ status: 413, error: "payload_too_large" });
+      req.resume();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", function () {
+    if (done) return;
+    done = true;
+    var raw = Buffer.concat(chunks).toString("utf8");
+    if (!raw) return cb(null, {});
+    var type = String(req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (type === "application/x-www-form-urlencoded") {
+      return cb(null, Object.assign(Object.create(null), querystring.parse(raw)));
+    }
+    try {
+      var parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        return cb({ status: 400, error: "invalid_body" });
+      }
+      cb(null, parsed);
+    } catch (e) {
+      cb({ status: 400, error: "invalid_json" });
+    }
+  });
+  req.on("error", function () {
+    if (done) return;
+    done = true;
+    cb({ status: 400, error: "invalid_body" });
+  });
+}
+
+var _widgetScript = null;
+
+/**
+ * The browser bundle served at /widget.js: createI18n, the automation
+ * probe collector, the telemetry packer and the <gif-captcha> element in
+ * one IIFE that defines the element on load.
+ *
+ * @returns {string} JavaScript source
+ */
+function buildWidgetScript() {
+  if (_widgetScript === null) {
+    var files = ["i18n.js", "automation-probes.js", "telemetry-packer.js", "keystroke-dynamics.js", "gif-captcha-element.js"];
+    var parts = files.map(function (file) {
+      return fs.readFileSync(nodePath.join(__dirname, file), "utf8").replace(/^"use strict";\s*/, "");
+    });
+    _widgetScript = "/*! gif-captcha widget */\n(function () {\n\"use strict\";\n" + parts.join("\n") + "\n})();\n";
+  }
+  return _widgetScript;
+}
+
+function _tierFor(difficulty) {
+  if (difficulty >= 70) return "hard";
+  if (difficulty >= 40) return "medium";
+  return "easy";
+}
+
+// ── Factory ─────────────────────────────────────────────────────────
+
+/**
+ * Create a CAPTCHA HTTP server.
+ *
+ * @param {Object} config
+ * @param {string} [config.secret]        - Token signing secret (or token.secret / token.keys)
+ * @param {Object} [config.server]        - { port, host, basePath, trustProxy, maxBodyBytes, maxIssued, corsOrigin,
+ *                                          verifySecret }
+ * @param {Object} [config.token]         - createTokenVerifier options
+ * @param {Object} [config.session]       - createSessionManager options
+ * @param {Object} [config.pool]          - createChallengePoolManager options (factory is supplied)
+ * @param {Object} [config.rateLimit]     - createCaptchaRateLimiter options
+ * @param {Object} [config.render]        - GIF render options (width, height, frameCount, ...)
+ * @param {Object} [config.botDetection]  - createBotDetector options, plus `enabled` (default true)
+ *                                          and `required` (reject answers without signals)
+ * @param {Object} [config.store]         - Shared state store instance (see state-store.js)
+ * @param {Object} [config.stateStore]    - Or build one: { type: "memory" } | { type: "file", path }
+ * @returns {Object} { handler, listen, close, warmUp, components, config }
+ */
+function createCaptchaServer(config) {
+  var cfg = normalizeServerConfig(config);
+  var srv = cfg.server;
+
+  var engine = createChallengeTemplateEngine({
+    render: cfg.render,
+    pendingTtlMs: (cfg.pool.maxAge || 300000) + (cfg.session.sessionTimeoutMs || 300000)
+  });
+  var pool = createChallengePoolManager(Object.assign({}, cfg.pool, {
+    tiers: TIERS,
+    factory: function (tier) {
+      return engine.generate(Object.assign({ render: true }, TIER_FILTERS[tier]));
+    }
+  }));
+  var shared = cfg.store ? { store: cfg.store } : {};
+  var sessions = gifCaptcha.createSessionManager(Object.assign({}, cfg.session, shared));
+  var limiter = createCaptchaRateLimiter(Object.assign({}, cfg.rateLimit, shared));
+  if (Array.isArray(cfg.rateLimit.ipWhitelist)) {
+    cfg.rateLimit.ipWhitelist.forEach(function (ip) { limiter.whitelistAdd(String(ip)); });
+  }
+  var tokens = gifCaptcha.createTokenVerifier(Object.assign({}, cfg.token, shared));
+  var botCfg = cfg.botDetection;
+  var detector = botCfg.enabled === false ? null : gifCaptcha.createBotDetector(botCfg);
+
+  // challengeId → { challenge, sessionId, issuedAt }; insertion-ordered for eviction
+  var issued = new Map();
+  // sessionId → challengeId of its one unanswered challenge
+  var outstanding = new Map();
+  var httpServer = null;
+
+  function _clientIp(req) {
+    if (srv.trustProxy) {
+      var xff = req.headers["x-forwarded-for"];
+      if (typeof xff === "string" && xff.length > 0) return xff.split(",")[0].trim();
+    }
+    return (req.socket && req.socket.remoteAddress) || "unknown";
+  }
+
+  function _remember(challenge, sessionId) {
+    if (issued.size >= srv.maxIssued) {
+      _forget(issued.keys().next().value);
+    }
+    issued.set(challenge.id, { challenge: challenge, sessionId: sessionId, issuedAt: Date.now() });
+    outstanding.set(sessionId, challenge.id);
+  }
+
+  function _forget(challengeId) {
+    var entry = issued.get(challengeId);
+    if (!entry) return;
+    issued.delete(challengeId);
+    if (outstanding.get(entry.sessionId) === challengeId) outstanding.delete(entry.sessionId);
+  }
+
+  // A session holds one challenge at a time. Asking for another withdraws
+  // the unanswered one and counts it as a wrong answer, so a client cannot
+  // keep drawing questions until it gets one it can solve.
+  function _withdrawOutstanding(sessionId, info) {
+    var entry = issued.get(outstanding.get(sessionId));
+    if (!entry) return Promise.resolve(info);
+    _forget(entry.challenge.id);
+    return sessions.submitResponseAsync(sessionId, false, Date.now() - entry.issuedAt).then(function (result) {
+      if (result.error) return { error: result.error };
+      if (result.done) return { error: "session_" + (result.passed ? "passed" : "failed") };
+      return sessions.getSessionAsync(sessionId);
+    });
+  }
+
+  // Resolves true (and answers 429) when the client is over its limit
+  function _rateLimited(res, ip) {
+    return limiter.checkAsync(ip).then(function (r) {
+      if (r.allowed) return false;
+      // GCRA results carry exact RateLimit-* headers; pass them through
+      _send(res, 429, { error: "rate_limited", retryAfterMs: r.retryAfterMs },
+        Object.assign({}, r.headers, { "Retry-After": String(Math.max(1, Math.ceil(r.retryAfterMs / 1000))) }));
+      return true;
+    });
+  }
+
+  // ── Route handlers ──────────────────────────────────────────────
+
+  function _issueChallenge(req, res, body) {
+    var ip = _clientIp(req);
+    var sessionId = typeof body.sessionId === "string" ? body.sessionId : null;
+
+    return _rateLimited(res, ip).then(function (limited) {
+      if (limited) return;
+      var ready = sessionId
+        ? sessions.getSessionAsync(sessionId).then(function (state) {
+          if (!state) return _send(res, 404, { error: "session_not_found" });
+          if (state.status !== "active") return _send(res, 409, { error: "session_" + state.status });
+          return state;
+        })
+        : sessions.startSessionAsync({ ip: ip }).then(function (started) {
+          sessionId = started.sessionId;
+          return sessions.getSessionAsync(sessionId);
+        });
+
+      return ready.then(function (info) {
+        return info ? _withdrawOutstanding(sessionId, info) : info;
+      }).then(function (info) {
+        if (!info) return;
+        if (info.error) return _send(res, info.error === "session_not_found" ? 404 : 409, { error: info.error });
+        var challenge = pool.take(_tierFor(info.currentDifficulty));
+        pool.replenish();
+        if (!challenge || !challenge.gif) return _send(res, 503, { error: "pool_exhausted" });
+        _remember(challenge, sessionId);
+
+        var out = {
+          sessionId: sessionId,
+          challengeId: challenge.id,
+          question: challenge.question,
+          answerType: challenge.answerType,
+          gifUrl: srv.basePath + "/challenge/" + challenge.id + ".gif",
+          width: challenge.gif.width,
+          height: challenge.gif.height,
+          regions: challenge.gif.regions,
+          challengeIndex: info.challengeIndex,
+          totalChallenges: info.totalChallenges,
+          expiresInMs: info.remainingMs
+        };
+        if (detector) out.jsToken = detector.getJsToken(sessionId);
+        _send(res, 200, out);
+      });
+    });
+  }
+
+  function _serveGif(req, res, challengeId) {
+    var entry = issued.get(challengeId);
+    if (!entry) return _send(res, 404, { error: "unknown_challenge" });
+    var bytes = entry.challenge.gif.bytes;
+    res.writeHead(200, {
+      "Content-Type": "image/gif",
+      "Content-Length": bytes.length,
+      "Cache-Control": "no-store",
+      "X-Content-Type-Options": "nosniff"
+    });
+    res.end(req.method === "HEAD" ? undefined : bytes);
+  }
+
+  function _submitAnswer(req, res, body) {
+    var ip = _clientIp(req);
+
+    return _rateLimited(res, ip).then(function (limited) {
+      if (limited) return;
+      if (typeof body.sessionId !== "string" || typeof body.challengeId !== "string" || body.answer == null) {
+        return _send(res, 400, { error: "missing_fields" });
+      }
+      var entry = issued.get(body.challengeId);
+      if (!entry || entry.sessionId !== body.sessionId) {
+        return _send(res, 404, { error: "unknown_challenge" });
+      }
+      _forget(body.challengeId);
+
+      var hasSignals = body.signals && typeof body.signals === "object" && !Array.isArray(body.signals);
+      if (detector && botCfg.required === true && !hasSignals) {
+        return _send(res, 400, { error: "missing_signals" });
+      }
+      if (detector && hasSignals) {
+        var analysis = detector.analyze(Object.assign({}, body.signals, { sessionId: body.sessionId }));
+        if (analysis.isBot) {
+          // Counts as a failed response so repeat offenders exhaust the session
+          return sessions.submitResponseAsync(body.sessionId, false, Date.now() - entry.issuedAt).then(function () {
+            _send(res, 403, { error: "bot_detected" });
+          });
+        }
+      }
+
+      var verdict = engine.validate(body.challengeId, String(body.answer));
+      var correct = !!(verdict && verdict.correct);
+      return sessions.submitResponseAsync(body.sessionId, correct, Date.now() - entry.issuedAt).then(function (result) {
+        if (result.error) {
+          return _send(res, result.error === "session_not_found" ? 404 : 409, { error: result.error });
+        }
+        var out = { correct: correct, done: result.done, passed: result.passed };
+        if (!(result.done && result.passed)) return _send(res, 200, out);
+
+        return sessions.getSessionAsync(body.sessionId).then(function (state) {
+          var issuedToken = tokens.issueToken({
+            sessionId: body.sessionId,
+            score: result.passRate,
+            difficulty: state ? state.currentDifficulty : 0,
+            ip: ip
+          });
+          out.token = issuedToken.token;
+          out.expiresAt = issuedToken.expiresAt;
+          _send(res, 200, out);
+        });
+      });
+    });
+  }
+
+  // True when the request carries `Authorization: Bearer <verifySecret>`
+  function _verifyAuthorized(req) {
+    var m = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ""));
+    if (!m) return false;
+    var given = Buffer.from(m[1], "utf8");
+    var expected = Buffer.from(srv.verifySecret, "utf8");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  function _verify(req, res, body) {
+    if (srv.verifySecret && !_verifyAuthorized(req)) return _send(res, 401, { error: "unauthorized" });
+    if (typeof body.token !== "string") return _send(res, 400, { error: "missing_token" });
+    // Only an authenticated backend may vouch for someone else's address
+    var ip = srv.verifySecret && typeof body.ip === "string" && body.ip ? body.ip : _clientIp(req);
+    return tokens.verifyTokenAsync(body.token, { ip: ip }).then(function (result) {
+      _send(res, 200, result);
+    });
+  }
+
+  function _health(req, res) {
+    _send(res, 200, {
+      status: "ok",
+      pool: pool.health(),
+      sessions: sessions.getStats(),
+      sharedStore: !!cfg.store,
+      rateLimit: limiter.getStats(),
+      tokens: tokens.getStats(),
+      issuedChallenges: issued.size
+    });
+  }
+
+  // ── Dispatcher ──────────────────────────────────────────────────
+
+  /**
+   * Node `http` request handler.  Can be mounted on an existing server.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  function handler(req, res) {
+    if (srv.corsOrigin) {
+      res.setHeader("Access-Control-Allow-Origin", srv.corsOrigin);
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    }
+    var path = String(req.url || "").split("?")[0];
+    if (srv.basePath) {
+      if (path.indexOf(srv.basePath + "/") !== 0) return _send(res, 404, { error: "not_found" });
+      path = path.slice(srv.basePath.length);
+    }
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    var gifMatch = /^\/challenge\/([A-Za-z0-9_-]{1,64})\.gif$/.exec(path);
+    if (gifMatch) {
+      if (req.method !== "GET" && req.method !== "HEAD") return _send(res, 405, { error: "method_not_allowed" });
+      return _serveGif(req, res, gifMatch[1]);
+    }
+    if (path === "/health") {
+      if (req.method !== "GET") return _send(res, 405, { error: "method_not_allowed" });
+      return _health(req, res);
+    }
+    if (path === "/jwks.json") {
+      if (req.method !== "GET") return _send(res, 405, { error: "method_not_allowed" });
+      return _send(res, 200, tokens.getJwks(), { "Cache-Control": "public, max-age=300" });
+    }
+    if (path === "/widget.js") {
+      if (req.method !== "GET" && req.method !== "HEAD") return _send(res, 405, { error: "method_not_allowed" });
+      var script = buildWidgetScript();
+      res.writeHead(200, {
+        "Content-Type": "application/javascript; charset=utf-8",
+        "Content-Length": Buffer.byteLength(script),
+        "Cache-Control": "public, max-age=300",
+        "X-Content-Type-Options": "nosniff"
+      });
+      return res.end(req.method === "HEAD" ? undefined : script);
+    }
+
+    var routes = { "/challenge": _issueChallenge, "/answer": _submitAnswer, "/verify": _verify };
+    var route = Object.prototype.hasOwnProperty.call(routes, path) ? routes[path] : null;
+    if (!route) return _send(res, 404, { error: "not_found" });
+    if (req.method !== "POST") return _send(res, 405, { error: "method_not_allowed" });
+
+    _readBody(req, srv.maxBodyBytes, function (err, body) {
+      if (err) return _send(res, err.status, { error: err.error });
+      Promise.resolve().then(function () {
+        return route(req, res, body);
+      }).catch(function () {
+        if (!res.headersSent) _send(res, 500, { error: "internal_error" });
+      });
+    });
+  }
+
+  /**
+   * Pre-fill every pool tier.
+   * @returns {Object} tier → number generated
+   */
+  function warmUp() {
+    return pool.warmUp();
+  }
+
+  /**
+   * Warm the pool and start listening.
+   *
+   * @param {number} [port]   - Defaults to config.server.port
+   * @param {string} [host]   - Defaults to config.server.host
+   * @param {Function} [cb]   - Called with the bound address once listening
+   * @returns {http.Server}
+   */
+  function listen(port, host, cb) {
+    if (httpServer) throw new Error("CaptchaServer: already listening");
+    warmUp();
+    httpServer = http.createServer(handler);
+    httpServer.listen(port != null ? port : srv.port, host || srv.host, function () {
+      if (cb) cb(httpServer.address());
+    });
+    return httpServer;
+  }
+
+  /**
+   * Stop listening.
+   * @param {Function} [cb]
+   */
+  function close(cb) {
+    if (!httpServer) {
+      if (cb) cb();
+      return;
+    }
+    var s = httpServer;
+    httpServer = null;
+    s.close(cb);
+  }
+
+  return {
+    handler: handler,
+    listen: listen,
+    close: close,
+    warmUp: warmUp,
+    components: {
+      engine: engine,
+      pool: pool,
+      sessions: sessions,
+      rateLimiter: limiter,
+      tokenVerifier: tokens,
+      botDetector: detector
+    },
+    config: cfg
+  };
+}
+
+module.exports = {
+  createCaptchaServer: createCaptchaServer,
+  normalizeServerConfig: normalizeServerConfig,
+  buildWidgetScript: buildWidgetScript
+};
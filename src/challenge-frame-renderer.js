@@ -0,0 +1,752 @@
+"use strict";
+
+/**
+ * ChallengeFrameRenderer — draws ChallengeTemplateEngine challenges as
+ * animated frames and encodes them to GIF bytes.
+ *
+ * Each built-in template type (color_shape, sequence, counting,
+ * odd_one_out, spatial, temporal) has a compositor that turns the
+ * template's generated params into a list of RGB frames.  Drawing is done
+ * with a tiny software rasterizer (rects, circles, ellipses, polygons and
+ * a 3×5 bitmap font) so no canvas or native module is required.
+ *
+ * Every frame gets per-frame motion (bobbing, drifting, pulsing) plus
+ * random speckle noise, so consecutive frames never share identical
+ * pixels and a single screenshot is less useful to a solver.
+ *
+ * Usage:
+ *   var r = renderChallengeGif("color_shape", params, { rng: rng });
+ *   r.bytes      // GIF89a bytes (Buffer under Node)
+ *   r.frames     // [{ index, delayMs }]
+ *   r.regions    // click targets for position/index answers, or null
+ *
+ * @module gif-captcha/challenge-frame-renderer
+ */
+
+var _secureRandom = require("./crypto-utils").secureRandom;
+var createGifEncoder = require("./gif-encoder").createGifEncoder;
+
+var DEFAULT_WIDTH = 240;
+var DEFAULT_HEIGHT = 160;
+var DEFAULT_FRAME_COUNT = 8;
+var DEFAULT_FRAME_DELAY_MS = 150;
+var TEMPORAL_FRAME_DELAY_MS = 700;
+var DEFAULT_NOISE = 0.01;
+
+// ── Colors ──────────────────────────────────────────────────────────
+
+var BACKGROUND = [236, 230, 214];
+var OUTLINE = [40, 40, 48];
+var NEUTRAL = [150, 150, 160];
+var GRID = [214, 206, 188];
+
+var COLOR_RGB = {
+  red: [220, 40, 40],
+  blue: [40, 90, 220],
+  green: [40, 170, 60],
+  yellow: [245, 210, 40],
+  purple: [140, 60, 190],
+  orange: [245, 140, 30],
+  pink: [245, 130, 190],
+  cyan: [40, 200, 220],
+  brown: [130, 80, 40],
+  gray: [128, 128, 128],
+  white: [255, 255, 255],
+  black: [20, 20, 20]
+};
+
+var NOISE_LEVELS = [[90, 90, 90], [180, 180, 180], [210, 200, 180]];
+
+// ── 3×5 bitmap font (digits and the punctuation sequences need) ─────
+
+var FONT = {
+  "0": ["111", "101", "101", "101", "111"],
+  "1": ["010", "110", "010", "010", "111"],
+  "2": ["111", "001", "111", "100", "111"],
+  "3": ["111", "001", "111", "001", "111"],
+  "4": ["101", "101", "111", "001", "001"],
+  "5": ["111", "100", "111", "001", "111"],
+  "6": ["111", "100", "111", "101", "111"],
+  "7": ["111", "001", "010", "010", "010"],
+  "8": ["111", "101", "111", "101", "111"],
+  "9": ["111", "101", "111", "001", "111"],
+  "?": ["111", "001", "011", "000", "010"],
+  ",": ["000", "000", "000", "010", "100"],
+  "-": ["000", "000", "111", "000", "000"],
+  " ": ["000", "000", "000", "000", "000"]
+};
+
+// ── Raster ──────────────────────────────────────────────────────────
+
+/**
+ * Create an RGB raster with simple fill primitives.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} [background] - [r, g, b]
+ * @returns {Object} Raster { width, height, pixels, setPixel, fillRect, fillCircle, fillEllipse, fillPolygon, drawText, textWidth }
+ */
+function createRaster(width, height, background) {
+  var bg = background || BACKGROUND;
+  var pixels = new Uint8Array(width * height * 3);
+  for (var i = 0; i < pixels.length; i += 3) {
+    pixels[i] = bg[0]; pixels[i + 1] = bg[1]; pixels[i + 2] = bg[2];
+  }
+
+  function setPixel(x, y, c) {
+    x = Math.round(x); y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    var p = (y * width + x) * 3;
+    pixels[p] = c[0]; pixels[p + 1] = c[1]; pixels[p + 2] = c[2];
+  }
+
+  function getPixel(x, y) {
+    var p = (y * width + x) * 3;
+    return [pixels[p], pixels[p + 1], pixels[p + 2]];
+  }
+
+  function fillRect(x, y, w, h, c) {
+    var x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+    var x1 = Math.min(width, Math.round(x + w)), y1 = Math.min(height, Math.round(y + h));
+    for (var yy = y0; yy < y1; yy++) {
+      for (var xx = x0; xx < x1; xx++) {
+        var p = (yy * width + xx) * 3;
+        pixels[p] = c[0]; pixels[p + 1] = c[1]; pixels[p + 2] = c[2];
+      }
+    }
+  }
+
+  function fillEllipse(cx, cy, rx, ry, c) {
+    if (rx <= 0 || ry <= 0) return;
+    var y0 = Math.max(0, Math.floor(cy - ry)), y1 = Math.min(height - 1, Math.ceil(cy + ry));
+    for (var yy = y0; yy <= y1; yy++) {
+      var dy = (yy + 0.5 - cy) / ry;
+      if (dy * dy > 1) continue;
+      var half = rx * Math.sqrt(1 - dy * dy);
+      var xa = Math.max(0, Math.ceil(cx - half - 0.5));
+      var xb = Math.min(width - 1, Math.floor(cx + half - 0.5));
+      for (var xx = xa; xx <= xb; xx++) {
+        var p = (yy * width + xx) * 3;
+        pixels[p] = c[0]; pixels[p + 1] = c[1]; pixels[p + 2] = c[2];
+      }
+    }
+  }
+
+  function fillCircle(cx, cy, r, c) {
+    fillEllipse(cx, cy, r, r, c);
+  }
+
+  // Even-odd scanline fill sampled at pixel centers
+  function fillPolygon(points, c) {
+    if (!points || points.length < 3) return;
+    var minY = Infinity, maxY = -Infinity;
+    for (var i = 0; i < points.length; i++) {
+      if (points[i][1] < minY) minY = points[i][1];
+      if (points[i][1] > maxY) maxY = points[i][1];
+    }
+    var y0 = Math.max(0, Math.floor(minY)), y1 = Math.min(height - 1, Math.ceil(maxY));
+    for (var yy = y0; yy <= y1; yy++) {
+      var sy = yy + 0.5;
+      var xs = [];
+      for (var a = 0, b = points.length - 1; a < points.length; b = a++) {
+        var ya = points[a][1], yb = points[b][1];
+        if ((ya <= sy && yb > sy) || (yb <= sy && ya > sy)) {
+          xs.push(points[a][0] + (sy - ya) / (yb - ya) * (points[b][0] - points[a][0]));
+        }
+      }
+      xs.sort(function (m, n) { return m - n; });
+      for (var k = 0; k + 1 < xs.length; k += 2) {
+        var xa = Math.max(0, Math.ceil(xs[k] - 0.5));
+        var xb = Math.min(width - 1, Math.floor(xs[k + 1] - 0.5));
+        for (var xx = xa; xx <= xb; xx++) {
+          var p = (yy * width + xx) * 3;
+          pixels[p] = c[0]; pixels[p + 1] = c[1]; pixels[p + 2] = c[2];
+        }
+      }
+    }
+  }
+
+  function textWidth(text, scale) {
+    return text.length * 4 * scale - scale;
+  }
+
+  function drawText(text, x, y, scale, c) {
+    text = String(text);
+    for (var i = 0; i < text.length; i++) {
+      var glyph = FONT[text[i]] || FONT["?"];
+      for (var row = 0; row < 5; row++) {
+        for (var col = 0; col < 3; col++) {
+          if (glyph[row][col] === "1") {
+            fillRect(x + (i * 4 + col) * scale, y + row * scale, scale, scale, c);
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    width: width,
+    height: height,
+    pixels: pixels,
+    setPixel: setPixel,
+    getPixel: getPixel,
+    fillRect: fillRect,
+    fillCircle: fillCircle,
+    fillEllipse: fillEllipse,
+    fillPolygon: fillPolygon,
+    drawText: drawText,
+    textWidth: textWidth
+  };
+}
+
+// ── Shapes ──────────────────────────────────────────────────────────
+
+function _regular(cx, cy, r, n, rot) {
+  var pts = [];
+  for (var i = 0; i < n; i++) {
+    var a = rot + i * 2 * Math.PI / n;
+    pts.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+  }
+  return pts;
+}
+
+function _star(cx, cy, r, rot) {
+  var pts = [];
+  for (var i = 0; i < 10; i++) {
+    var rr = i % 2 === 0 ? r : r * 0.45;
+    var a = rot + i * Math.PI / 5;
+    pts.push([cx + rr * Math.cos(a), cy + rr * Math.sin(a)]);
+  }
+  return pts;
+}
+
+function _fillShape(raster, shape, cx, cy, size, color) {
+  var r = size / 2;
+  var up = -Math.PI / 2;
+  switch (shape) {
+    case "circle": raster.fillCircle(cx, cy, r, color); break;
+    case "oval": raster.fillEllipse(cx, cy, r, r * 0.62, color); break;
+    case "square": raster.fillRect(cx - r * 0.8, cy - r * 0.8, r * 1.6, r * 1.6, color); break;
+    case "rectangle": raster.fillRect(cx - r, cy - r * 0.55, r * 2, r * 1.1, color); break;
+    case "triangle": raster.fillPolygon(_regular(cx, cy + r * 0.15, r * 1.05, 3, up), color); break;
+    case "diamond":
+      raster.fillPolygon([[cx, cy - r], [cx + r * 0.68, cy], [cx, cy + r], [cx - r * 0.68, cy]], color);
+      break;
+    case "pentagon": raster.fillPolygon(_regular(cx, cy, r, 5, up), color); break;
+    case "hexagon": raster.fillPolygon(_regular(cx, cy, r, 6, 0), color); break;
+    case "star": raster.fillPolygon(_star(cx, cy, r * 1.1, up), color); break;
+    case "heart":
+      raster.fillCircle(cx - r * 0.45, cy - r * 0.25, r * 0.5, color);
+      raster.fillCircle(cx + r * 0.45, cy - r * 0.25, r * 0.5, color);
+      raster.fillPolygon([[cx - r * 0.93, cy - r * 0.1], [cx + r * 0.93, cy - r * 0.1], [cx, cy + r * 0.9]], color);
+      break;
+    default: raster.fillRect(cx - r * 0.7, cy - r * 0.7, r * 1.4, r * 1.4, color);
+  }
+}
+
+/**
+ * Draw a named shape with a dark outline.
+ *
+ * @param {Object} raster - From createRaster()
+ * @param {string} shape  - circle, square, triangle, star, diamond, hexagon, pentagon, oval, rectangle, heart
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} size   - Approximate bounding size in pixels
+ * @param {number[]} color - [r, g, b]
+ */
+function drawShape(raster, shape, cx, cy, size, color) {
+  _fillShape(raster, shape, cx, cy, size + 4, OUTLINE);
+  _fillShape(raster, shape, cx, cy, size, color);
+}
+
+// ── Object pictograms ──────────────────────────────────────────────
+
+function _tinted(tint, c) { return tint || c; }
+
+var OBJECT_ICONS = {
+  cat: function (R, x, y, s, t) {
+    var c = _tinted(t, [150, 150, 150]);
+    R.fillPolygon([[x - s * 0.4, y - s * 0.1], [x - s * 0.3, y - s * 0.5], [x - s * 0.1, y - s * 0.25]], c);
+    R.fillPolygon([[x + s * 0.4, y - s * 0.1], [x + s * 0.3, y - s * 0.5], [x + s * 0.1, y - s * 0.25]], c);
+    R.fillCircle(x, y, s * 0.35, c);
+    R.fillCircle(x - s * 0.12, y - s * 0.05, s * 0.05, OUTLINE);
+    R.fillCircle(x + s * 0.12, y - s * 0.05, s * 0.05, OUTLINE);
+  },
+  dog: function (R, x, y, s, t) {
+    var c = _tinted(t, [170, 120, 70]);
+    R.fillCircle(x, y, s * 0.33, c);
+    R.fillEllipse(x - s * 0.33, y + s * 0.05, s * 0.1, s * 0.25, OUTLINE);
+    R.fillEllipse(x + s * 0.33, y + s * 0.05, s * 0.1, s * 0.25, OUTLINE);
+    R.fillCircle(x, y + s * 0.12, s * 0.07, OUTLINE);
+  },
+  bird: function (R, x, y, s, t) {
+    var c = _tinted(t, [60, 110, 220]);
+    R.fillEllipse(x, y, s * 0.35, s * 0.22, c);
+    R.fillPolygon([[x + s * 0.33, y - s * 0.05], [x + s * 0.5, y], [x + s * 0.33, y + s * 0.05]], [245, 160, 30]);
+    R.fillPolygon([[x - s * 0.1, y], [x + s * 0.1, y], [x - s * 0.15, y - s * 0.35]], OUTLINE);
+  },
+  tree: function (R, x, y, s, t) {
+    R.fillRect(x - s * 0.07, y, s * 0.14, s * 0.45, [120, 75, 35]);
+    R.fillCircle(x, y - s * 0.1, s * 0.32, _tinted(t, [40, 150, 60]));
+  },
+  car: function (R, x, y, s, t) {
+    var c = _tinted(t, [210, 50, 50]);
+    R.fillRect(x - s * 0.45, y - s * 0.05, s * 0.9, s * 0.25, c);
+    R.fillRect(x - s * 0.25, y - s * 0.25, s * 0.5, s * 0.22, c);
+    R.fillCircle(x - s * 0.25, y + s * 0.22, s * 0.1, OUTLINE);
+    R.fillCircle(x + s * 0.25, y + s * 0.22, s * 0.1, OUTLINE);
+  },
+  house: function (R, x, y, s, t) {
+    R.fillRect(x - s * 0.3, y - s * 0.05, s * 0.6, s * 0.45, _tinted(t, [220, 190, 140]));
+    R.fillPolygon([[x - s * 0.42, y - s * 0.05], [x + s * 0.42, y - s * 0.05], [x, y - s * 0.45]], [180, 50, 40]);
+    R.fillRect(x - s * 0.07, y + s * 0.15, s * 0.14, s * 0.25, OUTLINE);
+  },
+  flower: function (R, x, y, s, t) {
+    R.fillRect(x - s * 0.03, y, s * 0.06, s * 0.45, [40, 150, 60]);
+    var c = _tinted(t, [245, 120, 180]);
+    for (var i = 0; i < 5; i++) {
+      var a = i * 2 * Math.PI / 5;
+      R.fillCircle(x + Math.cos(a) * s * 0.17, y - s * 0.1 + Math.sin(a) * s * 0.17, s * 0.12, c);
+    }
+    R.fillCircle(x, y - s * 0.1, s * 0.09, [245, 210, 40]);
+  },
+  ball: function (R, x, y, s, t) {
+    R.fillCircle(x, y, s * 0.3, _tinted(t, [240, 90, 60]));
+    R.fillRect(x - s * 0.3, y - s * 0.04, s * 0.6, s * 0.08, [255, 255, 255]);
+  },
+  fish: function (R, x, y, s, t) {
+    var c = _tinted(t, [245, 140, 30]);
+    R.fillEllipse(x, y, s * 0.3, s * 0.18, c);
+    R.fillPolygon([[x - s * 0.25, y], [x - s * 0.48, y - s * 0.18], [x - s * 0.48, y + s * 0.18]], c);
+    R.fillCircle(x + s * 0.15, y - s * 0.04, s * 0.04, OUTLINE);
+  },
+  butterfly: function (R, x, y, s, t) {
+    var c = _tinted(t, [150, 70, 200]);
+    R.fillEllipse(x - s * 0.2, y - s * 0.12, s * 0.18, s * 0.15, c);
+    R.fillEllipse(x + s * 0.2, y - s * 0.12, s * 0.18, s * 0.15, c);
+    R.fillEllipse(x - s * 0.15, y + s * 0.15, s * 0.12, s * 0.11, c);
+    R.fillEllipse(x + s * 0.15, y + s * 0.15, s * 0.12, s * 0.11, c);
+    R.fillRect(x - s * 0.03, y - s * 0.25, s * 0.06, s * 0.5, OUTLINE);
+  },
+  cloud: function (R, x, y, s, t) {
+    var c = _tinted(t, [250, 250, 252]);
+    R.fillEllipse(x, y + s * 0.05, s * 0.42, s * 0.15, OUTLINE);
+    R.fillCircle(x - s * 0.18, y, s * 0.17, c);
+    R.fillCircle(x + s * 0.05, y - s * 0.08, s * 0.22, c);
+    R.fillCircle(x + s * 0.25, y + s * 0.02, s * 0.15, c);
+    R.fillEllipse(x, y + s * 0.05, s * 0.4, s * 0.12, c);
+  },
+  sun: function (R, x, y, s, t) {
+    var c = _tinted(t, [245, 200, 30]);
+    for (var i = 0; i < 8; i++) {
+      var a = i * Math.PI / 4;
+      R.fillCircle(x + Math.cos(a) * s * 0.38, y + Math.sin(a) * s * 0.38, s * 0.06, c);
+    }
+    R.fillCircle(x, y, s * 0.26, c);
+  }
+};
+
+/**
+ * Draw an object pictogram (cat, dog, bird, tree, car, house, flower,
+ * ball, fish, butterfly, cloud, sun).
+ *
+ * @param {Object} raster
+ * @param {string} object
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} size
+ * @param {number[]} [tint] - Override the icon's main color
+ */
+function drawObject(raster, object, cx, cy, size, tint) {
+  var icon = OBJECT_ICONS[object];
+  if (!icon) {
+    drawShape(raster, "circle", cx, cy, size * 0.6, tint || NEUTRAL);
+    return;
+  }
+  icon(raster, cx, cy, size, tint);
+}
+
+// ── Layout & effects ───────────────────────────────────────────────
+
+function _grid(count, width, height, margin) {
+  var cols = Math.max(1, Math.ceil(Math.sqrt(count * width / height)));
+  var rows = Math.max(1, Math.ceil(count / cols));
+  var cw = (width - 2 * margin) / cols;
+  var ch = (height - 2 * margin) / rows;
+  var cells = [];
+  for (var i = 0; i < count; i++) {
+    var col = i % cols, row = Math.floor(i / cols);
+    cells.push({
+      x: Math.round(margin + col * cw),
+      y: Math.round(margin + row * ch),
+      w: Math.round(cw),
+      h: Math.round(ch)
+    });
+  }
+  return cells;
+}
+
+function _center(cell) {
+  return [cell.x + cell.w / 2, cell.y + cell.h / 2];
+}
+
+function _shuffle(arr, rng) {
+  var copy = arr.slice();
+  for (var i = copy.length - 1; i > 0; i--) {
+    var j = Math.floor(rng() * (i + 1));
+    var tmp = copy[i]; copy[i] = copy[j]; copy[j] = tmp;
+  }
+  return copy;
+}
+
+function _speckle(raster, rng, density) {
+  var n = Math.floor(raster.width * raster.height * density);
+  for (var i = 0; i < n; i++) {
+    raster.setPixel(
+      Math.floor(rng() * raster.width),
+      Math.floor(rng() * raster.height),
+      NOISE_LEVELS[Math.floor(rng() * NOISE_LEVELS.length)]
+    );
+  }
+}
+
+function _colorOf(name) {
+  return COLOR_RGB[name] || NEUTRAL;
+}
+
+// ── Per-template compositors ───────────────────────────────────────
+// Each compositor receives (params, ctx) and returns
+// { frames: [Raster...], delayMs, regions }.
+
+var COMPOSITORS = {
+  color_shape: function (params, ctx) {
+    var items = (params.distractors || []).slice();
+    var pos = params.target ? params.target.position : 0;
+    items.splice(Math.min(pos, items.length), 0, { color: params.target.color, shape: params.target.shape });
+    var cells = _grid(items.length, ctx.width, ctx.height, 6);
+    var phases = items.map(function () { return ctx.rng() * 2 * Math.PI; });
+    var frames = [];
+    for (var f = 0; f < ctx.frameCount; f++) {
+      var R = ctx.raster();
+      for (var i = 0; i < items.length; i++) {
+        var c = _center(cells[i]);
+        var size = Math.min(cells[i].w, cells[i].h) * 0.55;
+        var bob = Math.sin(phases[i] + f * 2 * Math.PI / ctx.frameCount) * size * 0.15;
+        drawShape(R, items[i].shape, c[0], c[1] + bob, size, _colorOf(items[i].color));
+      }
+      frames.push(R);
+    }
+    return { frames: frames, regions: cells.map(function (cell, i) { return _region(String(i), cell); }) };
+  },
+
+  sequence: function (params, ctx) {
+    var tokens = (params.shown || []).map(String).concat(["?"]);
+    var frames = [];
+    for (var f = 0; f < ctx.frameCount; f++) {
+      var R = ctx.raster();
+      var visible = Math.min(tokens.length, f + 1);
+      var text = tokens.slice(0, visible).join(", ");
+      var full = tokens.join(", ");
+      var scale = Math.max(1, Math.floor(Math.min(
+        (ctx.width - 16) / (full.length * 4),
+        (ctx.height - 16) / 5
+      )));
+      var tw = R.textWidth(full, scale);
+      var x = Math.round((ctx.width - tw) / 2);
+      var y = Math.round((ctx.height - 5 * scale) / 2 + (ctx.rng() - 0.5) * scale * 2);
+      R.drawText(text, x, y, scale, OUTLINE);
+      frames.push(R);
+    }
+    return { frames: frames, regions: null };
+  },
+
+  counting: function (params, ctx) {
+    var placed = [];
+    for (var t = 0; t < (params.targetCount || 0); t++) placed.push(params.target);
+    var others = params.others || [];
+    for (var o = 0; o < others.length; o++) {
+      for (var k = 0; k < others[o].count; k++) placed.push(others[o].object);
+    }
+    var cells = _shuffle(_grid(Math.ceil(placed.length * 1.25), ctx.width, ctx.height, 4), ctx.rng);
+    var drift = placed.map(function () {
+      return [(ctx.rng() - 0.5) * 2, (ctx.rng() - 0.5) * 2, ctx.rng() * 2 * Math.PI];
+    });
+    var frames = [];
+    for (var f = 0; f < ctx.frameCount; f++) {
+      var R = ctx.raster();
+      for (var i = 0; i < placed.length; i++) {
+        var cell = cells[i];
+        var c = _center(cell);
+        var size = Math.min(cell.w, cell.h) * 0.85;
+        var phase = drift[i][2] + f * 2 * Math.PI / ctx.frameCount;
+        drawObject(R, placed[i],
+          c[0] + Math.sin(phase) * drift[i][0] * size * 0.1,
+          c[1] + Math.cos(phase) * drift[i][1] * size * 0.1,
+          size);
+      }
+      frames.push(R);
+    }
+    return { frames: frames, regions: null };
+  },
+
+  odd_one_out: function (params, ctx) {
+    var items = params.items || [];
+    var colorsGroup = params.category === "colors";
+    var cells = _grid(items.length, ctx.width, ctx.height, 6);
+    var frames = [];
+    for (var f = 0; f < ctx.frameCount; f++) {
+      var R = ctx.raster();
+      for (var i = 0; i < items.length; i++) {
+        var c = _center(cells[i]);
+        var size = Math.min(cells[i].w, cells[i].h) * 0.55;
+        var pulse = 1 + 0.08 * Math.sin(f * 2 * Math.PI / ctx.frameCount + i);
+        var isColor = Object.prototype.hasOwnProperty.call(COLOR_RGB, items[i]);
+        if (isColor) {
+          // A color name is shown as a paint swatch; in a shapes group it
+          // is the odd one, in a colors group it is a member.
+          drawShape(R, colorsGroup ? "circle" : "square", c[0], c[1], size * pulse, _colorOf(items[i]));
+        } else {
+          drawShape(R, items[i], c[0], c[1], size * pulse, NEUTRAL);
+        }
+      }
+      frames.push(R);
+    }
+    return { frames: frames, regions: cells.map(function (cell, i) { return _region(String(i), cell); }) };
+  },
+
+  spatial: function (params, ctx) {
+    var POS = ["top-left", "top-center", "top-right",
+               "middle-left", "center", "middle-right",
+               "bottom-left", "bottom-center", "bottom-right"];
+    // Strict 3×3 layout regardless of aspect ratio
+    var cw = ctx.width / 3, ch = ctx.height / 3;
+    var cells = POS.map(function (_, i) {
+      return { x: Math.round((i % 3) * cw), y: Math.round(Math.floor(i / 3) * ch), w: Math.round(cw), h: Math.round(ch) };
+    });
+    var entries = [{ object: params.target.object, position: params.target.position }]
+      .concat(params.others || []);
+    var frames = [];
+    for (var f = 0; f < ctx.frameCount; f++) {
+      var R = ctx.raster();
+      R.fillRect(cw, 0, 1, ctx.height, GRID);
+      R.fillRect(cw * 2, 0, 1, ctx.height, GRID);
+      R.fillRect(0, ch, ctx.width, 1, GRID);
+      R.fillRect(0, ch * 2, ctx.width, 1, GRID);
+      for (var i = 0; i < entries.length; i++) {
+        var idx = POS.indexOf(entries[i].position);
+        if (idx === -1) continue;
+        var c = _center(cells[idx]);
+        var size = Math.min(cw, ch) * (0.7 + 0.06 * Math.sin(f * 2 * Math.PI / ctx.frameCount + i));
+        drawObject(R, entries[i].object, c[0], c[1], size);
+      }
+      frames.push(R);
+    }
+    return { frames: frames, regions: POS.map(function (p, i) { return _region(p, cells[i]); }) };
+  },
+
+  temporal: function (params, ctx) {
+    var list = params.frames || [];
+    var subject = params.subject;
+    var event = params.event;
+    var tintKeys = Object.keys(COLOR_RGB);
+    var frames = [];
+    for (var f = 0; f < list.length; f++) {
+      var isTarget = f === params.targetFrame;
+      var R = ctx.raster(isTarget && event === "flashes" ? [255, 245, 150] : null);
+      var cx = ctx.width / 2, cy = ctx.height / 2 + 6;
+      var size = Math.min(ctx.width, ctx.height) * 0.55;
+      var obj = isTarget ? subject : String(list[f].description || "").split(" is still")[0];
+
+      if (!isTarget) {
+        drawObject(R, obj, cx, cy, size);
+      } else if (event === "moves left" || event === "moves right") {
+        var dir = event === "moves left" ? -1 : 1;
+        var nx = cx + dir * ctx.width * 0.22;
+        for (var m = 1; m <= 3; m++) {
+          R.fillRect(nx - dir * size * (0.35 + m * 0.12), cy - size * 0.3 + m * size * 0.15, size * 0.08, 2, OUTLINE);
+        }
+        drawObject(R, obj, nx, cy, size);
+      } else if (event === "grows" || event === "shrinks") {
+        drawObject(R, obj, cx, cy, size * (event === "grows" ? 1.5 : 0.45));
+      } else if (event === "changes color") {
+        drawObject(R, obj, cx, cy, size, COLOR_RGB[tintKeys[Math.floor(ctx.rng() * tintKeys.length)]]);
+      } else if (event === "rotates") {
+        drawObject(R, obj, cx, cy, size);
+        _flipVertical(R, cx - size / 2, cy - size / 2, size, size);
+      } else if (event === "disappears") {
+        drawObject(R, obj, cx, cy, size);
+        _fade(R, cx - size / 2, cy - size / 2, size, size);
+      } else {
+        drawObject(R, obj, cx, cy, size);
+        if (event === "appears") {
+          for (var s = 0; s < 6; s++) {
+            var a = s * Math.PI / 3;
+            R.fillCircle(cx + Math.cos(a) * size * 0.55, cy + Math.sin(a) * size * 0.55, 2, [245, 200, 30]);
+          }
+        }
+      }
+      // Frame label — the answer format is the 0-based frame index
+      R.fillRect(2, 2, R.textWidth(String(f), 3) + 6, 21, [255, 255, 255]);
+      R.drawText(String(f), 5, 5, 3, OUTLINE);
+      frames.push(R);
+    }
+    return { frames: frames, regions: null, delayMs: ctx.temporalDelayMs };
+  }
+};
+
+function _region(answer, cell) {
+  return { answer: answer, x: cell.x, y: cell.y, width: cell.w, height: cell.h };
+}
+
+function _flipVertical(R, x, y, w, h) {
+  var x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+  var x1 = Math.min(R.width, Math.round(x + w)), y1 = Math.min(R.height, Math.round(y + h));
+  for (var yy = 0; yy < Math.floor((y1 - y0) / 2); yy++) {
+    for (var xx = x0; xx < x1; xx++) {
+      var top = R.getPixel(xx, y0 + yy);
+      var bottom = R.getPixel(xx, y1 - 1 - yy);
+      R.setPixel(xx, y0 + yy, bottom);
+      R.setPixel(xx, y1 - 1 - yy, top);
+    }
+  }
+}
+
+function _fade(R, x, y, w, h) {
+  var x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+  var x1 = Math.min(R.width, Math.round(x + w)), y1 = Math.min(R.height, Math.round(y + h));
+  for (var yy = y0; yy < y1; yy++) {
+    for (var xx = x0 + (yy % 2); xx < x1; xx += 2) R.setPixel(xx, yy, BACKGROUND);
+  }
+}
+
+// ── Public API ──────────────────────────────────────────────────────
+
+/**
+ * Whether a built-in compositor exists for a template name.
+ *
+ * @param {string} templateName
+ * @returns {boolean}
+ */
+function hasRenderer(templateName) {
+  return Object.prototype.hasOwnProperty.call(COMPOSITORS, templateName);
+}
+
+function _renderContext(options) {
+  options = options || {};
+  var width = Number.isInteger(options.width) && options.width >= 32 ? options.width : DEFAULT_WIDTH;
+  var height = Number.isInteger(options.height) && options.height >= 32 ? options.height : DEFAULT_HEIGHT;
+  return {
+    width: width,
+    height: height,
+    frameCount: Number.isInteger(options.frameCount) && options.frameCount > 0
+      ? Math.min(options.frameCount, 60) : DEFAULT_FRAME_COUNT,
+    frameDelayMs: options.frameDelayMs > 0 ? options.frameDelayMs : DEFAULT_FRAME_DELAY_MS,
+    temporalDelayMs: options.frameDelayMs > 0 ? options.frameDelayMs : TEMPORAL_FRAME_DELAY_MS,
+    noise: typeof options.noise === "number" && options.noise >= 0 ? Math.min(options.noise, 0.2) : DEFAULT_NOISE,
+    loop: typeof options.loop === "number" ? options.loop : 0,
+    rng: typeof options.rng === "function" ? options.rng : _secureRandom,
+    raster: function (bg) { return createRaster(width, height, bg || undefined); }
+  };
+}
+
+/**
+ * Render a built-in template's params to raw RGB frames.
+ *
+ * @param {string} templateName - One of the built-in template names
+ * @param {Object} params       - Params produced by the template's generate()
+ * @param {Object} [options]
+ * @param {number} [options.width=240]
+ * @param {number} [options.height=160]
+ * @param {number} [options.frameCount=8]    - Ignored by temporal (one frame per scene)
+ * @param {number} [options.frameDelayMs=150] - Temporal defaults to 700ms
+ * @param {number} [options.noise=0.01]       - Speckle density (0..0.2)
+ * @param {Function} [options.rng]            - () → [0, 1); defaults to crypto RNG
+ * @returns {{width: number, height: number, frames: Array<{pixels: Uint8Array, delayMs: number}>, regions: Array|null}}
+ */
+function renderChallengeFrames(templateName, params, options) {
+  if (!hasRenderer(templateName)) {
+    throw new Error("No renderer for template \"" + templateName + "\"");
+  }
+  if (!params || typeof params !== "object") {
+    throw new TypeError("params must be an object");
+  }
+  var ctx = _renderContext(options);
+  var out = COMPOSITORS[templateName](params, ctx);
+  var delay = out.delayMs || ctx.frameDelayMs;
+  return {
+    width: ctx.width,
+    height: ctx.height,
+    frames: out.frames.map(function (R) {
+      _speckle(R, ctx.rng, ctx.noise);
+      return { pixels: R.pixels, delayMs: delay };
+    }),
+    regions: out.regions
+  };
+}
+
+/**
+ * Encode rendered frames (from renderChallengeFrames or a custom
+ * template renderer) as an animated GIF.
+ *
+ * @param {{width: number, height: number, frames: Array, regions?: Array}} rendered
+ * @param {Object} [options]
+ * @param {number} [options.loop=0] - 0 = forever, -1 = once
+ * @returns {Object} { bytes, mimeType, width, height, frameCount, durationMs, loop, frames, regions }
+ */
+function encodeRenderedFrames(rendered, options) {
+  options = options || {};
+  if (!rendered || !Array.isArray(rendered.frames) || rendered.frames.length === 0) {
+    throw new TypeError("rendered.frames must be a non-empty array");
+  }
+  var loop = typeof options.loop === "number" ? options.loop : 0;
+  var enc = createGifEncoder({ width: rendered.width, height: rendered.height, loop: loop });
+  var meta = [];
+  var duration = 0;
+  for (var i = 0; i < rendered.frames.length; i++) {
+    var fr = rendered.frames[i];
+    var delay = fr.delayMs > 0 ? fr.delayMs : DEFAULT_FRAME_DELAY_MS;
+    enc.addFrame(fr.pixels, { delayMs: delay });
+    meta.push({ index: i, delayMs: delay });
+    duration += delay;
+  }
+  return {
+    bytes: enc.finish(),
+    mimeType: "image/gif",
+    width: rendered.width,
+    height: rendered.height,
+    frameCount: meta.length,
+    durationMs: duration,
+    loop: loop,
+    frames: meta,
+    regions: rendered.regions || null
+  };
+}
+
+/**
+ * Render a built-in template's params straight to GIF bytes.
+ *
+ * @param {string} templateName
+ * @param {Object} params
+ * @param {Object} [options] - Same as renderChallengeFrames() plus `loop`
+ * @returns {Object} { bytes, mimeType, width, height, frameCount, durationMs, loop, frames, regions }
+ */
+function renderChallengeGif(templateName, params, options) {
+  return encodeRenderedFrames(renderChallengeFrames(templateName, params, options), options);
+}
+
+// ── UMD export ──────────────────────────────────────────────────────
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    renderChallengeFrames: renderChallengeFrames,
+    renderChallengeGif: renderChallengeGif,
+    encodeRenderedFrames: encodeRenderedFrames,
+    hasRenderer: hasRenderer,
+    createRaster: createRaster,
+    drawShape: drawShape,
+    drawObject: drawObject,
+    COLOR_RGB: COLOR_RGB
+  };
+} else if (typeof window !== "undefined") {
+  window.renderChallengeGif = renderChallengeGif;
+}
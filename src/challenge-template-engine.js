@@ -22,6 +22,10 @@
  *   var challenge = engine.generate();  // random from all templates
  *   var result = engine.validate(challenge.id, userAnswer);
  *
+ *   // Animated GIF bytes for the challenge (see challenge-frame-renderer)
+ *   var rendered = engine.generate({ render: true });
+ *   rendered.gif.bytes;   // GIF89a Buffer
+ *
  * @module gif-captcha/challenge-template-engine
  */
 
@@ -29,6 +33,7 @@
 // Challenge generation must be unpredictable — if an attacker can predict
 // which template/parameters will be generated, they can pre-compute answers.
 var _secureRandom = require('./crypto-utils').secureRandom;
+var _renderer = require('./challenge-frame-renderer');
 
 // ── Deterministic PRNG (xorshift32) for reproducible generation ─────
 
@@ -343,6 +348,8 @@ function _builtinTemplates() {
  * @param {number}  [options.pendingTtlMs=300000]  - Pending challenge TTL (5 min)
  * @param {number}  [options.seed]                 - PRNG seed for reproducibility
  * @param {number}  [options.maxHistory=1000]      - Max completed challenge history
+ * @param {Object}  [options.render]               - Default render options for generate({ render: true })
+ *                                                   (width, height, frameCount, frameDelayMs, noise, loop)
  * @returns {Object} Engine instance
  */
 function createChallengeTemplateEngine(options) {
@@ -351,6 +358,7 @@ function createChallengeTemplateEngine(options) {
   var maxPending = options.maxPending > 0 ? options.maxPending : 10000;
   var pendingTtlMs = options.pendingTtlMs > 0 ? options.pendingTtlMs : 300000;
   var maxHistory = options.maxHistory > 0 ? options.maxHistory : 1000;
+  var renderDefaults = options.render && typeof options.render === "object" ? options.render : {};
 
   var rng = typeof options.seed === "number"
     ? _xorshift32(options.seed)
@@ -404,6 +412,9 @@ function createChallengeTemplateEngine(options) {
    * @param {number} [template.parameterSpace] - Approximate # of unique combos
    * @param {Function} template.generate   - function(rng) → params
    * @param {Function} template.validate   - function(params, answer) → boolean
+   * @param {Function} [template.render]   - function(params, ctx) → { frames: [{pixels, delayMs}], regions? };
+   *   ctx has width, height, frameCount, frameDelayMs, rng and the
+   *   createRaster/drawShape/drawObject helpers. Needed for generate({ render: true }).
    * @returns {boolean} true if registered
    */
   function registerTemplate(template) {
@@ -411,6 +422,7 @@ function createChallengeTemplateEngine(options) {
     if (!template.name || typeof template.name !== "string") return false;
     if (typeof template.generate !== "function") return false;
     if (typeof template.validate !== "function") return false;
+    if (template.render !== undefined && typeof template.render !== "function") return false;
 
     _registerInternal(template.name, {
       name: template.name,
@@ -419,7 +431,8 @@ function createChallengeTemplateEngine(options) {
       difficulty: template.difficulty > 0 ? template.difficulty : 1,
       parameterSpace: template.parameterSpace || 0,
       generate: template.generate,
-      validate: template.validate
+      validate: template.validate,
+      render: template.render || null
     });
     return true;
   }
@@ -462,12 +475,22 @@ function createChallengeTemplateEngine(options) {
    * @param {number} [opts.minDifficulty] - Minimum difficulty filter
    * @param {number} [opts.maxDifficulty] - Maximum difficulty filter
    * @param {string} [opts.clientId]     - Client identifier for tracking
+   * @param {boolean|Object} [opts.render] - Render the challenge to an animated GIF and attach it
+   *   as `challenge.gif` ({ bytes, mimeType, width, height, frameCount, durationMs, frames, regions }).
+   *   Pass an object to override the engine's render defaults. Random selection only
+   *   considers templates that can be rendered.
    * @returns {Object|null} Challenge object {id, templateName, question, params, createdAt} or null
+   * @throws {Error} If opts.render is set and the named template has no renderer
    */
   function generate(opts) {
     opts = opts || {};
     if (templateNames.length === 0) return null;
 
+    if (opts.render && opts.templateName && templates[opts.templateName] &&
+        !_canRender(opts.templateName)) {
+      throw new Error("Template \"" + opts.templateName + "\" has no renderer");
+    }
+
     // Evict oldest pending if at capacity
     if (pendingCount >= maxPending) {
       _cleanupExpired();
@@ -490,6 +513,10 @@ function createChallengeTemplateEngine(options) {
     if (!name || !templates[name]) {
       var candidates = templateNames.slice();
 
+      if (opts.render) {
+        candidates = candidates.filter(_canRender);
+      }
+
       if (opts.category) {
         candidates = candidates.filter(function (n) {
           return templates[n].category === opts.category;
@@ -525,7 +552,7 @@ function createChallengeTemplateEngine(options) {
 
     stats[name].generated++;
 
-    return {
+    var challenge = {
       id: id,
       templateName: name,
       category: tmpl.category,
@@ -536,6 +563,42 @@ function createChallengeTemplateEngine(options) {
       displayData: _extractDisplayData(params),
       createdAt: pending[id].createdAt
     };
+    if (opts.render) {
+      challenge.gif = _render(tmpl, params, opts.render);
+    }
+    return challenge;
+  }
+
+  // ── Rendering ───────────────────────────────────────────────────
+
+  function _canRender(name) {
+    return !!(templates[name] && (templates[name].render || _renderer.hasRenderer(name)));
+  }
+
+  function _render(tmpl, params, renderOpts) {
+    var ro = Object.assign({}, renderDefaults, typeof renderOpts === "object" ? renderOpts : {});
+    ro.rng = rng;
+    if (!tmpl.render) {
+      return _renderer.renderChallengeGif(tmpl.name, params, ro);
+    }
+    var width = Number.isInteger(ro.width) && ro.width > 0 ? ro.width : 240;
+    var height = Number.isInteger(ro.height) && ro.height > 0 ? ro.height : 160;
+    var out = tmpl.render(params, {
+      width: width,
+      height: height,
+      frameCount: Number.isInteger(ro.frameCount) && ro.frameCount > 0 ? ro.frameCount : 8,
+      frameDelayMs: ro.frameDelayMs > 0 ? ro.frameDelayMs : 150,
+      rng: rng,
+      createRaster: _renderer.createRaster,
+      drawShape: _renderer.drawShape,
+      drawObject: _renderer.drawObject
+    });
+    return _renderer.encodeRenderedFrames({
+      width: width,
+      height: height,
+      frames: out && out.frames,
+      regions: out && out.regions
+    }, ro);
   }
 
   /**
@@ -52,9 +52,52 @@ function csvRow(fields) {
   return parts.join(",");
 }
 
+/**
+ * Parse CSV text into rows of string fields (RFC 4180 quoting: fields
+ * may be wrapped in double quotes, with "" for a literal quote, and may
+ * then contain commas and newlines). Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function csvParse(text) {
+  var rows = [];
+  var row = [];
+  var field = "";
+  var quoted = false;
+  var i = 0;
+  text = String(text);
+  while (i < text.length) {
+    var ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') { quoted = false; i++; continue; }
+      field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === "") { quoted = true; i++; continue; }
+    if (ch === ",") { row.push(field); field = ""; i++; continue; }
+    if (ch === "\r" || ch === "\n") {
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+      field = "";
+      i += ch === "\r" && text[i + 1] === "\n" ? 2 : 1;
+      continue;
+    }
+    field += ch;
+    i++;
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+  return rows;
+}
+
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     csvEscape: csvEscape,
     csvRow: csvRow,
+    csvParse: csvParse,
   };
 }
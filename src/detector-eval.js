@@ -0,0 +1,594 @@
+/**
+ * detector-eval — threshold-free metrics for comparing bot detectors.
+ *
+ * Every function takes parallel arrays of bot scores (higher = more
+ * bot-like) and labels (1 = bot, 0 = human). "False reject" follows the
+ * CAPTCHA sense: a human flagged as a bot, so FRR is the false-positive
+ * rate and FAR (bots let through) is the miss rate.
+ *
+ * createDetectorEvaluator replays labelled sessions through the built-in
+ * detectors and reports these metrics side by side; formatEvalReport
+ * renders that report for the `gif-captcha eval` CLI.
+ *
+ * @module detector-eval
+ */
+
+"use strict";
+
+var _shared = require("./shared-utils");
+var _detectorModel = require("./detector-model");
+var createBotMimicryDetector = require("./bot-mimicry-detector").createBotMimicryDetector;
+var createResponseTimeProfiler = require("./response-time-profiler").createResponseTimeProfiler;
+var createBehavioralBiometrics = require("./behavioral-biometrics").createBehavioralBiometrics;
+var createBotSignatureDatabase = require("./bot-signature-database").createBotSignatureDatabase;
+
+var _posOpt = _shared._posOpt;
+var _clamp = _shared._clamp;
+var _now = _shared._now;
+
+function _round(v) {
+  return Math.round(v * 1e6) / 1e6;
+}
+
+function _counts(labels) {
+  var pos = 0;
+  for (var i = 0; i < labels.length; i++) if (labels[i] === 1) pos++;
+  return { pos: pos, neg: labels.length - pos };
+}
+
+/**
+ * Sweep every distinct score as a threshold, highest first. Each point
+ * flags samples with score >= threshold; the first point (threshold
+ * null) flags nothing.
+ */
+function _sweep(scores, labels) {
+  var idx = scores.map(function (_, i) { return i; });
+  idx.sort(function (a, b) { return scores[b] - scores[a]; });
+  var points = [{ threshold: null, tp: 0, fp: 0 }];
+  var tp = 0, fp = 0;
+  for (var i = 0; i < idx.length;) {
+    var s = scores[idx[i]];
+    while (i < idx.length && scores[idx[i]] === s) {
+      if (labels[idx[i]] === 1) tp++; else fp++;
+      i++;
+    }
+    points.push({ threshold: s, tp: tp, fp: fp });
+  }
+  return points;
+}
+
+/**
+ * Evenly thin a curve to at most `max` points, keeping both ends.
+ */
+function _thin(points, max) {
+  if (!(max >= 2) || points.length <= max) return points;
+  var out = [];
+  var step = (points.length - 1) / (max - 1);
+  for (var i = 0; i < max; i++) out.push(points[Math.round(i * step)]);
+  return out;
+}
+
+/**
+ * ROC curve.
+ *
+ * @param {number[]} scores
+ * @param {number[]} labels - 1 = bot, 0 = human
+ * @param {number} [maxPoints] - Thin the curve to this many points
+ * @returns {Array<{ threshold: number|null, tpr: number, fpr: number }>}
+ *   From (0,0) to (1,1); empty when only one class is present
+ */
+function rocCurve(scores, labels, maxPoints) {
+  var c = _counts(labels);
+  if (c.pos === 0 || c.neg === 0) return [];
+  var points = _sweep(scores, labels).map(function (p) {
+    return { threshold: p.threshold, tpr: _round(p.tp / c.pos), fpr: _round(p.fp / c.neg) };
+  });
+  return _thin(points, maxPoints);
+}
+
+/**
+ * Precision–recall curve (bot = positive class).
+ *
+ * @param {number[]} scores
+ * @param {number[]} labels
+ * @param {number} [maxPoints]
+ * @returns {Array<{ threshold: number, precision: number, recall: number }>}
+ */
+function prCurve(scores, labels, maxPoints) {
+  var c = _counts(labels);
+  if (c.pos === 0) return [];
+  var points = _sweep(scores, labels).slice(1).map(function (p) {
+    return { threshold: p.threshold, precision: _round(p.tp / (p.tp + p.fp)), recall: _round(p.tp / c.pos) };
+  });
+  return _thin(points, maxPoints);
+}
+
+/**
+ * Average precision: precision summed over each recall step.
+ * @returns {number|null} null without bots
+ */
+function averagePrecision(scores, labels) {
+  var c = _counts(labels);
+  if (c.pos === 0) return null;
+  var ap = 0;
+  var prevTp = 0;
+  _sweep(scores, labels).forEach(function (p) {
+    if (p.tp > prevTp) {
+      ap += (p.tp - prevTp) / c.pos * (p.tp / (p.tp + p.fp));
+      prevTp = p.tp;
+    }
+  });
+  return _round(ap);
+}
+
+/**
+ * Lowest threshold whose false-reject rate stays within `targetFrr`,
+ * i.e. the one that catches the most bots without rejecting more
+ * humans than allowed.
+ *
+ * @param {number[]} scores
+ * @param {number[]} labels
+ * @param {number} [targetFrr=0.01] - Allowed fraction of humans flagged
+ * @returns {{ threshold: number|null, frr: number, far: number, recall: number,
+ *   tp: number, fp: number, tn: number, fn: number }|null}
+ *   threshold null means no cut-off meets the target short of flagging
+ *   nobody; null without both classes
+ */
+function thresholdForFrr(scores, labels, targetFrr) {
+  if (typeof targetFrr !== "number") targetFrr = 0.01;
+  var c = _counts(labels);
+  if (c.pos === 0 || c.neg === 0) return null;
+  var best = null;
+  var points = _sweep(scores, labels);
+  for (var i = 0; i < points.length; i++) {
+    if (points[i].fp / c.neg <= targetFrr + 1e-12) best = points[i];
+    else break;
+  }
+  return {
+    threshold: best.threshold,
+    frr: _round(best.fp / c.neg),
+    far: _round((c.pos - best.tp) / c.pos),
+    recall: _round(best.tp / c.pos),
+    tp: best.tp,
+    fp: best.fp,
+    tn: c.neg - best.fp,
+    fn: c.pos - best.tp
+  };
+}
+
+/**
+ * Full report for one score column: confusion matrix at a fixed
+ * threshold, AUC, average precision, the target-FRR operating point and
+ * both curves.
+ *
+ * @param {number[]} scores
+ * @param {number[]} labels
+ * @param {Object} [opts]
+ * @param {number} [opts.threshold=0.5]
+ * @param {number} [opts.targetFrr=0.01]
+ * @param {number} [opts.maxCurvePoints=200] - 0 keeps every point
+ * @returns {Object}
+ */
+function scoreReport(scores, labels, opts) {
+  opts = opts || {};
+  var threshold = typeof opts.threshold === "number" ? opts.threshold : 0.5;
+  var maxPoints = opts.maxCurvePoints === 0 ? 0 : (opts.maxCurvePoints > 0 ? opts.maxCurvePoints : 200);
+  var confusion = _detectorModel.evaluateBinary(scores, labels, threshold);
+  var auc = confusion.auc;
+  delete confusion.auc;
+  confusion.threshold = threshold;
+  confusion.frr = confusion.fp + confusion.tn > 0 ? _round(confusion.fp / (confusion.fp + confusion.tn)) : 0;
+  confusion.far = confusion.tp + confusion.fn > 0 ? _round(confusion.fn / (confusion.tp + confusion.fn)) : 0;
+  return {
+    n: scores.length,
+    auc: auc,
+    averagePrecision: averagePrecision(scores, labels),
+    confusion: confusion,
+    operatingPoint: thresholdForFrr(scores, labels, typeof opts.targetFrr === "number" ? opts.targetFrr : 0.01),
+    roc: rocCurve(scores, labels, maxPoints),
+    pr: prCurve(scores, labels, maxPoints)
+  };
+}
+
+function _pct(v) {
+  return v == null ? "-" : (v * 100).toFixed(1) + "%";
+}
+
+function _num(v) {
+  return v == null ? "-" : v.toFixed(3);
+}
+
+function _pad(s, w) {
+  s = String(s);
+  while (s.length < w) s += " ";
+  return s;
+}
+
+/**
+ * Render a createDetectorEvaluator report as a plain-text table.
+ *
+ * @param {Object} report - createDetectorEvaluator().evaluate() result
+ * @returns {string}
+ */
+function formatEvalReport(report) {
+  var lines = [];
+  lines.push("");
+  lines.push("  Detector evaluation: " + report.samples + " samples (" + report.bots + " bots, " +
+    report.humans + " humans), target FRR " + _pct(report.targetFrr));
+  lines.push("");
+  var cols = [16, 9, 7, 7, 22, 10, 8, 8];
+  lines.push("  " + [
+    _pad("Detector", cols[0]), _pad("Coverage", cols[1]), _pad("AUC", cols[2]), _pad("AP", cols[3]),
+    _pad("TP/FP/TN/FN @" + report.threshold, cols[4]), _pad("Thr@FRR", cols[5]), _pad("Recall", cols[6]), "FRR"
+  ].join(""));
+
+  function row(name, r, coverage) {
+    var op = r.operatingPoint;
+    var c = r.confusion;
+    lines.push("  " + [
+      _pad(name, cols[0]),
+      _pad(_pct(coverage), cols[1]),
+      _pad(_num(r.auc), cols[2]),
+      _pad(_num(r.averagePrecision), cols[3]),
+      _pad(c.tp + "/" + c.fp + "/" + c.tn + "/" + c.fn, cols[4]),
+      _pad(op ? (op.threshold === null ? "none" : _num(op.threshold)) : "-", cols[5]),
+      _pad(op ? _pct(op.recall) : "-", cols[6]),
+      op ? _pct(op.frr) : "-"
+    ].join(""));
+  }
+
+  Object.keys(report.detectors).forEach(function (name) {
+    var d = report.detectors[name];
+    row(name, d, d.coverage);
+  });
+  if (report.ensemble) row("ensemble", report.ensemble, 1);
+
+  if (report.contribution) {
+    lines.push("");
+    lines.push("  Contribution (ensemble without each detector)");
+    lines.push("  " + _pad("Detector", cols[0]) + _pad("AUC w/o", 10) + _pad("AUC gain", 10) + "Recall gain @FRR");
+    Object.keys(report.contribution).forEach(function (name) {
+      var c = report.contribution[name];
+      lines.push("  " + _pad(name, cols[0]) + _pad(_num(c.aucWithout), 10) +
+        _pad(c.aucGain == null ? "-" : (c.aucGain >= 0 ? "+" : "") + c.aucGain.toFixed(3), 10) +
+        (c.recallGain == null ? "-" : (c.recallGain >= 0 ? "+" : "") + (c.recallGain * 100).toFixed(1) + "%"));
+    });
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+// ── Detector Evaluator ──────────────────────────────────────────────
+
+function _xorshift32(seed) {
+  var state = seed | 0 || 1;
+  return function () {
+    state ^= state << 13;
+    state ^= state >> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 4294967296;
+  };
+}
+
+/** Built-in detectors createDetectorEvaluator can replay, in report order. */
+var EVAL_DETECTORS = ["botDetector", "mimicry", "responseTime", "biometrics", "signatures"];
+
+// classifySession classes mapped onto a bot score; anomaly risk breaks ties.
+var RESPONSE_TIME_CLASS_SCORES = { human: 0, uncertain: 0.4, suspicious: 0.6, solver_farm: 0.8, bot: 1 };
+
+/**
+ * Build a fresh scorer for one built-in detector. Each returns a bot
+ * score in [0, 1], or null when the sample lacks the data it needs.
+ */
+function _evalScorer(name, opts) {
+  opts = opts || {};
+  if (name === "botDetector") {
+    // Required lazily: index.js loads this module before it defines createBotDetector
+    var detector = require("./index").createBotDetector(opts);
+    return function (s) {
+      return s.signals ? Math.round(detector.analyze(s.signals).score * 10) / 1000 : null;
+    };
+  }
+  if (name === "mimicry") {
+    var mimicry = createBotMimicryDetector(opts);
+    return function (s, sid) {
+      if (!Array.isArray(s.solves) || s.solves.length === 0) return null;
+      s.solves.forEach(function (e) {
+        mimicry.recordEvent({
+          sessionId: sid, sourceId: s.sourceId, solved: e.solved,
+          solveTimeMs: e.responseTimeMs, difficulty: e.difficulty, timestamp: e.timestamp,
+        });
+      });
+      var r = mimicry.analyzeSession(sid);
+      return r.error ? null : r.mimicryScore / 100;
+    };
+  }
+  if (name === "responseTime") {
+    var clock = 0;
+    var profiler = createResponseTimeProfiler(Object.assign({}, opts, { now: function () { return clock; } }));
+    return function (s, sid) {
+      if (!Array.isArray(s.solves) || s.solves.length < 2) return null;
+      s.solves.forEach(function (e) {
+        clock = typeof e.timestamp === "number" ? e.timestamp : clock + (e.responseTimeMs || 0);
+        profiler.record({
+          sessionId: sid, responseTimeMs: e.responseTimeMs, solved: !!e.solved,
+          type: e.type, difficulty: e.difficulty,
+        });
+      });
+      var c = profiler.classifySession(sid);
+      if (!(c.classification in RESPONSE_TIME_CLASS_SCORES)) return null;
+      var risk = profiler.detectAnomalies(sid).riskScore;
+      return Math.round((0.75 * RESPONSE_TIME_CLASS_SCORES[c.classification] + 0.25 * risk / 100) * 1000) / 1000;
+    };
+  }
+  if (name === "biometrics") {
+    return function (s) {
+      var ev = s.biometrics;
+      if (!ev) return null;
+      var bio = createBehavioralBiometrics(Object.assign({ collectKeystrokes: true }, opts));
+      (ev.mouse || []).forEach(function (e) { bio.recordMouseMove(e.x, e.y, e.t); });
+      (ev.clicks || []).forEach(function (e) { bio.recordClick(e.x, e.y, e.button, e.t); });
+      (ev.keystrokes || []).forEach(function (e) { bio.recordKeystroke(e.duration, e.t, e.keyClass); });
+      (ev.scrolls || []).forEach(function (e) { bio.recordScroll(e.deltaY, e.t); });
+      (ev.pointer || []).forEach(function (e) { bio.recordPointer(e, e.target); });
+      (ev.motion || []).forEach(function (e) { bio.recordMotion(e); });
+      var r = bio.analyze();
+      return r.signalCount > 0 ? Math.round((1 - r.score) * 1000) / 1000 : null;
+    };
+  }
+  if (name === "signatures") {
+    var db = createBotSignatureDatabase(opts);
+    return function (s) {
+      if (!s.profile) return null;
+      var m = db.matchSession(s.profile, { threshold: 0, topN: 1 });
+      return m.topMatch ? m.topMatch.similarity : 0;
+    };
+  }
+  throw new RangeError("createDetectorEvaluator: unknown detector \"" + name + "\"");
+}
+
+/**
+ * Creates a harness that replays labelled sessions through several bot
+ * detectors and compares them on the same data.
+ *
+ * Each sample carries whatever inputs the detectors need, plus a label:
+ *
+ *   - `signals`     createBotDetector().analyze() input   → botDetector
+ *   - `solves`      [{ responseTimeMs, solved, timestamp?, difficulty?, type? }]
+ *                   → mimicry (recordEvent/analyzeSession) and
+ *                     responseTime (record/classifySession)
+ *   - `biometrics`  createBehavioralBiometrics().exportEvents() shape → biometrics
+ *   - `profile`     createBotSignatureDatabase session profile → signatures
+ *
+ * A detector abstains on samples missing its input; its metrics cover
+ * only the samples it scored (see `coverage`). evaluate() reports, per
+ * detector, a confusion matrix at a fixed threshold, ROC and PR curves,
+ * ROC AUC, average precision and the best threshold for a target
+ * false-reject rate (humans flagged). With two or more detectors it also
+ * stacks them in a cross-validated logistic ensemble (abstentions scored
+ * 0.5) and measures how much the ensemble loses when each detector is
+ * dropped — that detector's contribution over the others.
+ *
+ * ```js
+ * var evaluator = createDetectorEvaluator({ detectors: ['botDetector', 'responseTime'] });
+ * evaluator.addBatch(labelledSessions);
+ * var report = evaluator.evaluate({ targetFrr: 0.01 });
+ * report.detectors.botDetector.operatingPoint; // { threshold, recall, frr, far, ... }
+ * report.contribution.responseTime.aucGain;
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {Array<string|{ name: string, score: function(Object): ?number }>} [options.detectors]
+ *   Built-in names (EVAL_DETECTORS, the default) or custom scorers
+ * @param {Object} [options.detectorOptions] - Factory options keyed by detector name
+ * @param {number} [options.maxSamples=100000] - Oldest samples drop first
+ * @returns {Object} Evaluator instance
+ */
+function createDetectorEvaluator(options) {
+  options = options || {};
+  var maxSamples = Math.floor(_posOpt(options.maxSamples, 100000));
+  var detectorOptions = options.detectorOptions || {};
+  var defaultDetectors = options.detectors || EVAL_DETECTORS;
+  var samples = [];
+
+  function _label(label) {
+    if (label === "bot" || label === 1 || label === true) return 1;
+    if (label === "human" || label === 0 || label === false) return 0;
+    throw new TypeError("createDetectorEvaluator: label must be \"bot\" or \"human\"");
+  }
+
+  function _scorers(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new TypeError("createDetectorEvaluator: detectors must be a non-empty array");
+    }
+    var seen = Object.create(null);
+    return list.map(function (d) {
+      var entry = typeof d === "string"
+        ? { name: d, score: _evalScorer(d, detectorOptions[d]) }
+        : d;
+      if (!entry || typeof entry.name !== "string" || typeof entry.score !== "function") {
+        throw new TypeError("createDetectorEvaluator: custom detectors need a name and a score function");
+      }
+      if (seen[entry.name]) throw new RangeError("createDetectorEvaluator: duplicate detector \"" + entry.name + "\"");
+      seen[entry.name] = true;
+      return entry;
+    });
+  }
+
+  /**
+   * Add one labelled sample.
+   * @param {Object} sample - { label, id?, sourceId?, signals?, solves?, biometrics?, profile? }
+   * @returns {number} Sample count
+   */
+  function add(sample) {
+    if (!sample || typeof sample !== "object") throw new TypeError("createDetectorEvaluator: sample must be an object");
+    samples.push({ sample: sample, y: _label(sample.label) });
+    if (samples.length > maxSamples) samples.splice(0, samples.length - maxSamples);
+    return samples.length;
+  }
+
+  /**
+   * Add many labelled samples.
+   * @param {Object[]} list
+   * @returns {number} Sample count
+   */
+  function addBatch(list) {
+    if (!Array.isArray(list)) throw new TypeError("createDetectorEvaluator: addBatch expects an array");
+    for (var i = 0; i < list.length; i++) add(list[i]);
+    return samples.length;
+  }
+
+  // Out-of-fold ensemble probabilities for the given score columns.
+  function _stack(columns, y, folds, seed) {
+    var n = y.length;
+    var X = [];
+    for (var i = 0; i < n; i++) {
+      X.push(columns.map(function (col) { return col[i] === null ? 0.5 : col[i]; }));
+    }
+    var names = columns.map(function (_, k) { return "d" + k; });
+    var fold = new Array(n);
+    var rng = _xorshift32(seed);
+    [0, 1].forEach(function (cls) {
+      var group = [];
+      for (var g = 0; g < n; g++) if (y[g] === cls) group.push(g);
+      for (var s = group.length - 1; s > 0; s--) {
+        var j = Math.floor(rng() * (s + 1));
+        var t = group[s]; group[s] = group[j]; group[j] = t;
+      }
+      group.forEach(function (idx, pos) { fold[idx] = pos % folds; });
+    });
+    var out = new Array(n);
+    for (var f = 0; f < folds; f++) {
+      var trX = [], trY = [], test = [];
+      for (var r = 0; r < n; r++) {
+        if (fold[r] === f) test.push(r);
+        else { trX.push(X[r]); trY.push(y[r]); }
+      }
+      var model = _detectorModel.fitLogistic(trX, trY, names);
+      var predict = _detectorModel.compileModel(model, names);
+      test.forEach(function (idx) { out[idx] = Math.round(predict(X[idx]) * 1e6) / 1e6; });
+    }
+    return { probs: out, model: _detectorModel.fitLogistic(X, y, names) };
+  }
+
+  /**
+   * Replay every sample through the detectors and compare them.
+   *
+   * @param {Object} [opts]
+   * @param {Array} [opts.detectors] - Override the constructor's list
+   * @param {number} [opts.threshold=0.5] - Cut-off for the confusion matrices
+   * @param {number} [opts.targetFrr=0.01] - False-reject budget for operatingPoint
+   * @param {number} [opts.maxCurvePoints=200] - 0 keeps every ROC/PR point
+   * @param {number} [opts.folds=5] - Cross-validation folds for the ensemble
+   * @param {number} [opts.seed=1] - Fold assignment seed
+   * @returns {{ samples: number, bots: number, humans: number, threshold: number,
+   *   targetFrr: number, detectors: Object, ensemble: Object|null,
+   *   contribution: Object|null, generatedAt: string }}
+   * @throws {RangeError} Without at least one bot and one human sample
+   */
+  function evaluate(opts) {
+    opts = opts || {};
+    var bots = 0;
+    for (var b = 0; b < samples.length; b++) bots += samples[b].y;
+    if (bots === 0 || bots === samples.length) {
+      throw new RangeError("createDetectorEvaluator: need at least one bot and one human sample");
+    }
+    var reportOpts = {
+      threshold: typeof opts.threshold === "number" ? opts.threshold : 0.5,
+      targetFrr: typeof opts.targetFrr === "number" ? _clamp(opts.targetFrr, 0, 1) : 0.01,
+      maxCurvePoints: opts.maxCurvePoints,
+    };
+    var scorers = _scorers(opts.detectors || defaultDetectors);
+    var y = samples.map(function (s) { return s.y; });
+
+    var columns = scorers.map(function (sc) {
+      return samples.map(function (s, i) {
+        var v = sc.score(s.sample, s.sample.id != null ? String(s.sample.id) : "eval-" + i);
+        return typeof v === "number" && isFinite(v) ? _clamp(v, 0, 1) : null;
+      });
+    });
+
+    var detectors = {};
+    scorers.forEach(function (sc, k) {
+      var scores = [], labels = [];
+      columns[k].forEach(function (v, i) {
+        if (v !== null) { scores.push(v); labels.push(y[i]); }
+      });
+      var r = scoreReport(scores, labels, reportOpts);
+      r.coverage = Math.round(scores.length / samples.length * 1e6) / 1e6;
+      r.abstained = samples.length - scores.length;
+      detectors[sc.name] = r;
+    });
+
+    var ensemble = null;
+    var contribution = null;
+    var folds = Math.min(Math.floor(_posOpt(opts.folds, 5)), bots, samples.length - bots);
+    if (scorers.length > 1 && folds >= 2) {
+      var seed = typeof opts.seed === "number" ? opts.seed : 1;
+      var full = _stack(columns, y, folds, seed);
+      ensemble = scoreReport(full.probs, y, reportOpts);
+      ensemble.detectors = scorers.map(function (sc) { return sc.name; });
+      ensemble.weights = {};
+      scorers.forEach(function (sc, k) { ensemble.weights[sc.name] = full.model.weights[k]; });
+      ensemble.folds = folds;
+
+      contribution = {};
+      scorers.forEach(function (sc, k) {
+        var rest = columns.filter(function (_, j) { return j !== k; });
+        var without = scoreReport(_stack(rest, y, folds, seed).probs, y, reportOpts);
+        var op = ensemble.operatingPoint;
+        var opWithout = without.operatingPoint;
+        contribution[sc.name] = {
+          standaloneAuc: detectors[sc.name].auc,
+          aucWithout: without.auc,
+          aucGain: ensemble.auc !== null && without.auc !== null
+            ? Math.round((ensemble.auc - without.auc) * 1e6) / 1e6 : null,
+          recallGain: op && opWithout ? Math.round((op.recall - opWithout.recall) * 1e6) / 1e6 : null,
+        };
+      });
+    }
+
+    return {
+      samples: samples.length,
+      bots: bots,
+      humans: samples.length - bots,
+      threshold: reportOpts.threshold,
+      targetFrr: reportOpts.targetFrr,
+      detectors: detectors,
+      ensemble: ensemble,
+      contribution: contribution,
+      generatedAt: new Date(_now()).toISOString(),
+    };
+  }
+
+  function getStats() {
+    var bots = 0;
+    for (var i = 0; i < samples.length; i++) bots += samples[i].y;
+    return { samples: samples.length, bots: bots, humans: samples.length - bots };
+  }
+
+  function clear() {
+    samples = [];
+  }
+
+  return {
+    add: add,
+    addBatch: addBatch,
+    evaluate: evaluate,
+    getStats: getStats,
+    clear: clear,
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    rocCurve: rocCurve,
+    prCurve: prCurve,
+    averagePrecision: averagePrecision,
+    thresholdForFrr: thresholdForFrr,
+    scoreReport: scoreReport,
+    formatEvalReport: formatEvalReport,
+    EVAL_DETECTORS: EVAL_DETECTORS,
+    createDetectorEvaluator: createDetectorEvaluator
+  };
+}
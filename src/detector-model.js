@@ -0,0 +1,367 @@
+/**
+ * detector-model — trainable scoring models for createBotDetector.
+ *
+ * Two model families over a fixed, named feature vector:
+ *
+ *   logistic  L2-regularised logistic regression on standardised
+ *             features, fitted by full-batch gradient descent.
+ *   stumps    Gradient-boosted decision stumps (depth-1 trees) under
+ *             log loss, with Newton leaf values and shrinkage.
+ *
+ * Models are plain JSON, so a model trained offline by
+ * createDetectorTrainer can be stored and loaded with
+ * `createBotDetector({ model })`. Fitting is deterministic: the same
+ * samples and options always give the same model.
+ *
+ * @module detector-model
+ */
+
+"use strict";
+
+var MODEL_VERSION = 1;
+var MODEL_TYPES = ["logistic", "stumps"];
+
+function _sigmoid(z) {
+  if (z >= 0) return 1 / (1 + Math.exp(-z));
+  var e = Math.exp(z);
+  return e / (1 + e);
+}
+
+function _round(v) {
+  return Math.round(v * 1e6) / 1e6;
+}
+
+// ── Logistic regression ─────────────────────────────────────────────
+
+/**
+ * Fit L2-regularised logistic regression.
+ *
+ * @param {number[][]} X - Rows of feature values
+ * @param {number[]} y - 1 = bot, 0 = human
+ * @param {string[]} featureNames
+ * @param {Object} [opts]
+ * @param {number} [opts.epochs=500]
+ * @param {number} [opts.learningRate=0.5]
+ * @param {number} [opts.l2=0.001]
+ * @returns {Object} Model JSON
+ */
+function fitLogistic(X, y, featureNames, opts) {
+  opts = opts || {};
+  var epochs = opts.epochs > 0 ? Math.floor(opts.epochs) : 500;
+  var lr = opts.learningRate > 0 ? opts.learningRate : 0.5;
+  var l2 = opts.l2 >= 0 ? opts.l2 : 0.001;
+  var n = X.length;
+  var d = featureNames.length;
+
+  var mean = [];
+  var std = [];
+  for (var j = 0; j < d; j++) {
+    var m = 0;
+    for (var i = 0; i < n; i++) m += X[i][j];
+    m /= n;
+    var v = 0;
+    for (var i2 = 0; i2 < n; i2++) v += (X[i2][j] - m) * (X[i2][j] - m);
+    var s = Math.sqrt(v / n);
+    mean.push(m);
+    std.push(s > 1e-12 ? s : 1);
+  }
+  var Z = X.map(function (row) {
+    return row.map(function (x, k) { return (x - mean[k]) / std[k]; });
+  });
+
+  var w = [];
+  for (var z = 0; z < d; z++) w.push(0);
+  var b = 0;
+  for (var e = 0; e < epochs; e++) {
+    var gw = w.map(function (wk) { return l2 * wk; });
+    var gb = 0;
+    for (var r = 0; r < n; r++) {
+      var t = b;
+      for (var c = 0; c < d; c++) t += w[c] * Z[r][c];
+      var err = _sigmoid(t) - y[r];
+      gb += err / n;
+      for (var c2 = 0; c2 < d; c2++) gw[c2] += err * Z[r][c2] / n;
+    }
+    b -= lr * gb;
+    for (var u = 0; u < d; u++) w[u] -= lr * gw[u];
+  }
+
+  return {
+    version: MODEL_VERSION,
+    type: "logistic",
+    features: featureNames.slice(),
+    mean: mean.map(_round),
+    std: std.map(_round),
+    weights: w.map(_round),
+    bias: _round(b)
+  };
+}
+
+// ── Gradient-boosted stumps ─────────────────────────────────────────
+
+function _candidateSplits(sortedVals, maxThresholds) {
+  var uniq = [];
+  for (var i = 0; i < sortedVals.length; i++) {
+    if (i === 0 || sortedVals[i] !== sortedVals[i - 1]) uniq.push(sortedVals[i]);
+  }
+  var out = [];
+  if (uniq.length < 2) return out;
+  var step = Math.max(1, (uniq.length - 1) / maxThresholds);
+  for (var p = 0; p < uniq.length - 1; p += step) {
+    var k = Math.floor(p);
+    out.push((uniq[k] + uniq[k + 1]) / 2);
+  }
+  return out;
+}
+
+/**
+ * Fit gradient-boosted decision stumps under log loss.
+ *
+ * @param {number[][]} X
+ * @param {number[]} y - 1 = bot, 0 = human
+ * @param {string[]} featureNames
+ * @param {Object} [opts]
+ * @param {number} [opts.rounds=100]
+ * @param {number} [opts.learningRate=0.3]
+ * @param {number} [opts.maxThresholds=32] - Candidate splits per feature
+ * @param {number} [opts.lambda=1] - Leaf-value regularisation
+ * @returns {Object} Model JSON (with `gains` per feature for importance)
+ */
+function fitStumps(X, y, featureNames, opts) {
+  opts = opts || {};
+  var rounds = opts.rounds > 0 ? Math.floor(opts.rounds) : 100;
+  var lr = opts.learningRate > 0 ? opts.learningRate : 0.3;
+  var maxThresholds = opts.maxThresholds > 0 ? Math.floor(opts.maxThresholds) : 32;
+  var lambda = opts.lambda >= 0 ? opts.lambda : 1;
+  var n = X.length;
+  var d = featureNames.length;
+
+  var pos = 0;
+  for (var i = 0; i < n; i++) pos += y[i];
+  var prior = Math.min(Math.max(pos / n, 1e-3), 1 - 1e-3);
+  var bias = Math.log(prior / (1 - prior));
+
+  var splits = [];
+  for (var j = 0; j < d; j++) {
+    var col = X.map(function (row) { return row[j]; }).sort(function (a, b) { return a - b; });
+    splits.push(_candidateSplits(col, maxThresholds));
+  }
+
+  var F = [];
+  for (var f = 0; f < n; f++) F.push(bias);
+  var stumps = [];
+  var gains = featureNames.map(function () { return 0; });
+
+  for (var r = 0; r < rounds; r++) {
+    var g = [];
+    var h = [];
+    var G = 0;
+    var H = 0;
+    for (var q = 0; q < n; q++) {
+      var p = _sigmoid(F[q]);
+      g.push(y[q] - p);
+      h.push(Math.max(p * (1 - p), 1e-6));
+      G += g[q];
+      H += h[q];
+    }
+    var parentScore = G * G / (H + lambda);
+
+    var best = null;
+    for (var c = 0; c < d; c++) {
+      for (var s = 0; s < splits[c].length; s++) {
+        var t = splits[c][s];
+        var GL = 0;
+        var HL = 0;
+        for (var k = 0; k < n; k++) {
+          if (X[k][c] <= t) { GL += g[k]; HL += h[k]; }
+        }
+        var GR = G - GL;
+        var HR = H - HL;
+        var gain = GL * GL / (HL + lambda) + GR * GR / (HR + lambda) - parentScore;
+        if (!best || gain > best.gain) {
+          best = { feature: c, threshold: t, gain: gain, left: GL / (HL + lambda), right: GR / (HR + lambda) };
+        }
+      }
+    }
+    if (!best || best.gain <= 1e-9) break;
+
+    var stump = {
+      feature: featureNames[best.feature],
+      threshold: _round(best.threshold),
+      left: _round(lr * best.left),
+      right: _round(lr * best.right)
+    };
+    stumps.push(stump);
+    gains[best.feature] += best.gain;
+    for (var u = 0; u < n; u++) {
+      F[u] += X[u][best.feature] <= stump.threshold ? stump.left : stump.right;
+    }
+  }
+
+  return {
+    version: MODEL_VERSION,
+    type: "stumps",
+    features: featureNames.slice(),
+    bias: _round(bias),
+    stumps: stumps,
+    gains: gains.map(_round)
+  };
+}
+
+// ── Prediction ──────────────────────────────────────────────────────
+
+/**
+ * Validate a model against the features a caller can supply and return
+ * a scoring function over vectors in the caller's feature order.
+ *
+ * @param {Object} model - Model JSON (or its JSON string)
+ * @param {string[]} featureNames - Order of the vectors passed to the result
+ * @returns {function(number[]): number} Bot probability in [0, 1]
+ * @throws {TypeError} On a malformed model or an unknown feature
+ */
+function compileModel(model, featureNames) {
+  if (typeof model === "string") model = JSON.parse(model);
+  if (!model || typeof model !== "object") throw new TypeError("detector-model: model must be an object");
+  if (model.version !== MODEL_VERSION) throw new TypeError("detector-model: unsupported model version " + model.version);
+  if (MODEL_TYPES.indexOf(model.type) === -1) throw new TypeError("detector-model: unknown model type " + JSON.stringify(model.type));
+  if (!Array.isArray(model.features)) throw new TypeError("detector-model: model.features must be an array");
+
+  function indexOf(name) {
+    var idx = featureNames.indexOf(name);
+    if (idx === -1) throw new TypeError("detector-model: unknown feature " + JSON.stringify(name));
+    return idx;
+  }
+  function num(v, what) {
+    if (typeof v !== "number" || !isFinite(v)) throw new TypeError("detector-model: " + what + " must be a finite number");
+    return v;
+  }
+
+  var bias = num(model.bias, "bias");
+
+  if (model.type === "logistic") {
+    var d = model.features.length;
+    if (!Array.isArray(model.weights) || model.weights.length !== d ||
+        !Array.isArray(model.mean) || model.mean.length !== d ||
+        !Array.isArray(model.std) || model.std.length !== d) {
+      throw new TypeError("detector-model: weights, mean and std must match features");
+    }
+    var idx = model.features.map(indexOf);
+    var w = model.weights.map(function (v) { return num(v, "weight"); });
+    var mu = model.mean.map(function (v) { return num(v, "mean"); });
+    var sd = model.std.map(function (v) { return num(v, "std") || 1; });
+    return function (vec) {
+      var t = bias;
+      for (var i = 0; i < d; i++) t += w[i] * (vec[idx[i]] - mu[i]) / sd[i];
+      return _sigmoid(t);
+    };
+  }
+
+  if (!Array.isArray(model.stumps)) throw new TypeError("detector-model: model.stumps must be an array");
+  var stumps = model.stumps.map(function (s) {
+    return {
+      idx: indexOf(s.feature),
+      threshold: num(s.threshold, "threshold"),
+      left: num(s.left, "leaf"),
+      right: num(s.right, "leaf")
+    };
+  });
+  return function (vec) {
+    var t = bias;
+    for (var i = 0; i < stumps.length; i++) {
+      t += vec[stumps[i].idx] <= stumps[i].threshold ? stumps[i].left : stumps[i].right;
+    }
+    return _sigmoid(t);
+  };
+}
+
+/**
+ * Per-feature importance, largest first: |weight| on the standardised
+ * scale for logistic models, total split gain for stumps.
+ *
+ * @param {Object} model
+ * @returns {Array<{ feature: string, importance: number }>}
+ */
+function featureImportance(model) {
+  var vals = model.type === "logistic"
+    ? model.weights.map(Math.abs)
+    : (model.gains || model.features.map(function (f) {
+      return model.stumps.filter(function (s) { return s.feature === f; }).length;
+    }));
+  var total = 0;
+  for (var i = 0; i < vals.length; i++) total += vals[i];
+  return model.features.map(function (f, k) {
+    return { feature: f, importance: total > 0 ? _round(vals[k] / total) : 0 };
+  }).sort(function (a, b) { return b.importance - a.importance; });
+}
+
+// ── Metrics ─────────────────────────────────────────────────────────
+
+/**
+ * ROC AUC by the rank-sum (Mann–Whitney) statistic, ties averaged.
+ * @returns {number|null} null when only one class is present
+ */
+function _auc(scores, labels) {
+  var idx = scores.map(function (_, i) { return i; });
+  idx.sort(function (a, b) { return scores[a] - scores[b]; });
+  var ranks = new Array(scores.length);
+  for (var i = 0; i < idx.length;) {
+    var j = i;
+    while (j + 1 < idx.length && scores[idx[j + 1]] === scores[idx[i]]) j++;
+    var avg = (i + j) / 2 + 1;
+    for (var k = i; k <= j; k++) ranks[idx[k]] = avg;
+    i = j + 1;
+  }
+  var nPos = 0;
+  var rankSum = 0;
+  for (var r = 0; r < labels.length; r++) {
+    if (labels[r] === 1) { nPos++; rankSum += ranks[r]; }
+  }
+  var nNeg = labels.length - nPos;
+  if (nPos === 0 || nNeg === 0) return null;
+  return (rankSum - nPos * (nPos + 1) / 2) / (nPos * nNeg);
+}
+
+/**
+ * Binary classification metrics with "bot" as the positive class.
+ *
+ * @param {number[]} probs - Predicted bot probabilities
+ * @param {number[]} labels - 1 = bot, 0 = human
+ * @param {number} [threshold=0.5]
+ * @returns {{ n: number, tp: number, fp: number, tn: number, fn: number,
+ *   precision: number, recall: number, f1: number, accuracy: number, auc: number|null }}
+ */
+function evaluateBinary(probs, labels, threshold) {
+  if (threshold == null) threshold = 0.5;
+  var tp = 0, fp = 0, tn = 0, fn = 0;
+  for (var i = 0; i < probs.length; i++) {
+    var predicted = probs[i] >= threshold ? 1 : 0;
+    if (predicted === 1 && labels[i] === 1) tp++;
+    else if (predicted === 1) fp++;
+    else if (labels[i] === 1) fn++;
+    else tn++;
+  }
+  var precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  var recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  var auc = _auc(probs, labels);
+  return {
+    n: probs.length,
+    tp: tp, fp: fp, tn: tn, fn: fn,
+    precision: _round(precision),
+    recall: _round(recall),
+    f1: precision + recall > 0 ? _round(2 * precision * recall / (precision + recall)) : 0,
+    accuracy: probs.length > 0 ? _round((tp + tn) / probs.length) : 0,
+    auc: auc === null ? null : _round(auc)
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MODEL_VERSION: MODEL_VERSION,
+    MODEL_TYPES: MODEL_TYPES,
+    fitLogistic: fitLogistic,
+    fitStumps: fitStumps,
+    compileModel: compileModel,
+    featureImportance: featureImportance,
+    evaluateBinary: evaluateBinary
+  };
+}
@@ -13,6 +13,10 @@
 
 "use strict";
 
+var _mmdb = require("./mmdb-reader");
+var _ipList = require("./ip-list");
+var _ipUtils = require("./ip-utils");
+
 // ── Haversine distance (km) ─────────────────────────────────────────
 
 function _haversineKm(lat1, lon1, lat2, lon2) {
@@ -30,12 +34,83 @@ function _haversineKm(lat1, lon1, lat2, lon2) {
 var DEFAULT_HIGH_RISK = ["CN", "RU", "KP", "IR", "NG", "VN", "PK", "BD"];
 var DEFAULT_MEDIUM_RISK = ["BR", "IN", "ID", "PH", "UA", "RO", "TH", "EG"];
 
+// Cloud and hosting networks whose addresses are server egress, not
+// residential or mobile users. Merged with options.datacenterAsns.
+var DEFAULT_DATACENTER_ASNS = [
+  16509, 14618,   // Amazon AWS
+  8075,           // Microsoft Azure
+  15169, 396982,  // Google Cloud
+  31898,          // Oracle Cloud
+  36351,          // IBM Cloud (SoftLayer)
+  45102, 37963,   // Alibaba Cloud
+  132203, 45090,  // Tencent Cloud
+  14061,          // DigitalOcean
+  63949,          // Akamai Connected Cloud (Linode)
+  20473,          // Vultr (Choopa)
+  16276,          // OVHcloud
+  24940,          // Hetzner
+  12876,          // Scaleway
+  51167,          // Contabo
+  9009,           // M247
+  60068, 212238,  // Datacamp / CDN77
+  8100,           // QuadraNet
+  46606,          // Unified Layer
+  26496           // GoDaddy
+];
+
 // ── Thresholds ──────────────────────────────────────────────────────
 
 var IMPOSSIBLE_TRAVEL_SPEED_KMH = 900;
 var SUSPICIOUS_TRAVEL_SPEED_KMH = 300;
 var VELOCITY_WINDOW_MS = 3600000; // 1 hour
 
+// ── Geo database helpers ────────────────────────────────────────────
+
+function _asnNumber(asn) {
+  if (typeof asn === "string") asn = Number(asn.replace(/^AS/i, ""));
+  return typeof asn === "number" && asn >= 0 && asn % 1 === 0 ? asn : null;
+}
+
+function _buildAsnSet(defaults, extra) {
+  var set = Object.create(null);
+  var all = defaults.concat(extra || []);
+  for (var i = 0; i < all.length; i++) {
+    var n = _asnNumber(all[i]);
+    if (n === null) throw new TypeError("GeoRiskScorer: invalid ASN " + JSON.stringify(all[i]));
+    set[n] = true;
+  }
+  return set;
+}
+
+function _buildGeoReaders(geoip) {
+  if (!geoip) return [];
+  var list = Array.isArray(geoip) ? geoip : [geoip];
+  return list.map(function (r) {
+    if (typeof r === "string") return _mmdb.openMmdb(r);
+    if (!r || typeof r.lookup !== "function") {
+      throw new TypeError("GeoRiskScorer: geoip entries must be readers with lookup(ip) or .mmdb paths");
+    }
+    return r;
+  });
+}
+
+function _listsOpt(lists, label) {
+  if (lists == null) return [];
+  if (!Array.isArray(lists)) lists = [lists];
+  for (var i = 0; i < lists.length; i++) {
+    if (!lists[i] || typeof lists[i].lookup !== "function") {
+      throw new TypeError("GeoRiskScorer: " + label + " entries must be IP lists with lookup(ip)");
+    }
+  }
+  return lists;
+}
+
+// Range lists take CIDRs, and addresses added with expiry or a source
+function _isRangeAdd(ip, opts) {
+  if (typeof ip !== "string" || !_ipUtils.parseCidr(ip)) return false;
+  return ip.indexOf("/") !== -1 || !!opts;
+}
+
 /**
  * Create a geo-risk scorer instance.
  *
@@ -47,6 +122,17 @@ var VELOCITY_WINDOW_MS = 3600000; // 1 hour
  * @param {number}   [options.velocityWindowMs=3600000]
  * @param {number}   [options.maxHistory=500]
  * @param {Object}   [options.thresholds]
+ * @param {Object|Object[]|string|string[]} [options.geoip] - MaxMind DB
+ *   reader(s) from mmdb-reader (or .mmdb paths) used to fill in country,
+ *   coordinates, ASN and anonymizer flags from `meta.ip`. Pass a City and
+ *   an ASN database together; earlier ones win where both have a field.
+ * @param {Array<number|string>} [options.datacenterAsns] - Extra hosting
+ *   ASNs (12345 or "AS12345") flagged as datacenter egress
+ * @param {boolean}  [options.defaultDatacenterAsns=true] - Include
+ *   DEFAULT_DATACENTER_ASNS
+ * @param {Object|Object[]} [options.blockLists] - Shared createIpList()
+ *   instances (e.g. feed files) checked after blockIP() entries
+ * @param {Object|Object[]} [options.allowLists] - Same, for allowIP()
  * @returns {Object} GeoRiskScorer instance
  */
 function createGeoRiskScorer(options) {
@@ -83,10 +169,22 @@ function createGeoRiskScorer(options) {
   var _allowedIPCount = 0;
   var maxBlockedIPs = options.maxBlockedIPs || 10000;
   var maxAllowedIPs = options.maxAllowedIPs || 10000;
+  var _blockRanges = _ipList.createIpList({ name: "blocklist" });
+  var _allowRanges = _ipList.createIpList({ name: "allowlist" });
+  var _blockLists = [_blockRanges].concat(_listsOpt(options.blockLists, "blockLists"));
+  var _allowLists = [_allowRanges].concat(_listsOpt(options.allowLists, "allowLists"));
+
+  var _geoReaders = _buildGeoReaders(options.geoip);
+  var _datacenterAsns = _buildAsnSet(
+    options.defaultDatacenterAsns === false ? [] : DEFAULT_DATACENTER_ASNS,
+    options.datacenterAsns
+  );
 
   var _totalScored = 0;
   var _totalBlocked = 0;
   var _totalChallenged = 0;
+  var _totalEnriched = 0;
+  var _totalDatacenterFlagged = 0;
 
   // ── Helpers ──────────────────────────────────────────────────────
 
@@ -144,7 +242,10 @@ function createGeoRiskScorer(options) {
     var s = 0;
     var parts = [];
     if (meta.isProxy) { s += 0.35; parts.push("proxy"); }
-    if (meta.isDatacenter) { s += 0.3; parts.push("datacenter"); }
+    if (meta.isDatacenter) {
+      s += 0.3;
+      parts.push(meta.asn != null && _datacenterAsns[meta.asn] ? "datacenter (AS" + meta.asn + ")" : "datacenter");
+    }
     if (meta.isTor) { s += 0.4; parts.push("Tor"); }
     if (meta.isVpn) { s += 0.25; parts.push("VPN"); }
     if (s === 0) return { name: "proxy_none", score: 0, detail: "No proxy signals" };
@@ -205,6 +306,58 @@ function createGeoRiskScorer(options) {
     return null;
   }
 
+  // ── Enrichment ───────────────────────────────────────────────────
+
+  function _enrich(meta) {
+    var out = {};
+    for (var k in meta) out[k] = meta[k];
+    var added = null;
+
+    if (meta.ip && _geoReaders.length > 0) {
+      for (var i = 0; i < _geoReaders.length; i++) {
+        var fields = _mmdb.extractGeoFields(_geoReaders[i].lookup(meta.ip));
+        for (var f in fields) {
+          if (out[f] == null) {
+            out[f] = fields[f];
+            (added || (added = {}))[f] = fields[f];
+          }
+        }
+      }
+    }
+
+    if (out.isDatacenter == null && out.asn != null && _datacenterAsns[out.asn]) {
+      out.isDatacenter = true;
+      (added || (added = {})).isDatacenter = true;
+    }
+    return { meta: out, added: added };
+  }
+
+  /**
+   * Fill in geo fields the caller left out: database lookups on `meta.ip`,
+   * then the datacenter ASN list. Caller-supplied fields always win.
+   * Returns a new object; `meta` is not modified.
+   */
+  function enrich(meta) {
+    if (!meta) throw new Error("GeoRiskScorer: meta object required");
+    return _enrich(meta).meta;
+  }
+
+  // ── Range lists ──────────────────────────────────────────────────
+
+  // Allow ranges win over block ranges, as exact allowIP() wins over blockIP()
+  function _rangeMatch(ip) {
+    var m = null;
+    for (var a = 0; !m && a < _allowLists.length; a++) m = _allowLists[a].lookup(ip);
+    if (m) { m.list = "allowlist"; return m; }
+    for (var b = 0; !m && b < _blockLists.length; b++) m = _blockLists[b].lookup(ip);
+    if (m) { m.list = "blocklist"; return m; }
+    return null;
+  }
+
+  function _matchDetail(ip, m) {
+    return ip + " in " + m.network + " (" + m.source + ")";
+  }
+
   // ── Main Scoring ─────────────────────────────────────────────────
 
   function score(meta) {
@@ -218,6 +371,20 @@ function createGeoRiskScorer(options) {
     if (meta.ip && _blockedIPs[meta.ip]) {
       return { score: 1, level: "critical", factors: [{ name: "ip_blocklisted", score: 1, detail: meta.ip }], action: "block" };
     }
+    var listed = meta.ip ? _rangeMatch(meta.ip) : null;
+    if (listed && listed.list === "allowlist") {
+      return { score: 0, level: "low", factors: [{ name: "ip_allowlisted", score: 0, detail: _matchDetail(meta.ip, listed) }], action: "allow", listMatch: listed };
+    }
+    if (listed) {
+      return { score: 1, level: "critical", factors: [{ name: "ip_blocklisted", score: 1, detail: _matchDetail(meta.ip, listed) }], action: "block", listMatch: listed };
+    }
+
+    var e = _enrich(meta);
+    meta = e.meta;
+    if (e.added) {
+      _totalEnriched++;
+      if (e.added.isDatacenter) _totalDatacenterFlagged++;
+    }
 
     factors.push(_countryRiskFactor(meta.country));
     factors.push(_proxyFactor(meta));
@@ -260,7 +427,9 @@ function createGeoRiskScorer(options) {
     if (action === "block") _totalBlocked++;
     if (action === "challenge") _totalChallenged++;
 
-    return { score: Math.round(composite * 1000) / 1000, level: level, factors: factors, action: action };
+    var result = { score: Math.round(composite * 1000) / 1000, level: level, factors: factors, action: action };
+    if (e.added) result.enriched = e.added;
+    return result;
   }
 
   // ── Region Stats ─────────────────────────────────────────────────
@@ -291,7 +460,16 @@ function createGeoRiskScorer(options) {
 
   // ── IP Management ────────────────────────────────────────────────
 
-  function blockIP(ip) {
+  /**
+   * Block an address. CIDRs, and addresses given with options
+   * ({ source, expiresAt, ttlMs, comment }), go into the range list.
+   */
+  function blockIP(ip, opts) {
+    if (_isRangeAdd(ip, opts)) {
+      _blockRanges.add(ip, opts);
+      _allowRanges.remove(ip);
+      return;
+    }
     if (!_blockedIPs[ip]) {
       if (_blockedIPCount >= maxBlockedIPs) {
         // Evict oldest 10% to make room (CWE-400 prevention)
@@ -306,7 +484,12 @@ function createGeoRiskScorer(options) {
       _blockedIPCount++;
     }
   }
-  function allowIP(ip) {
+  function allowIP(ip, opts) {
+    if (_isRangeAdd(ip, opts)) {
+      _allowRanges.add(ip, opts);
+      _blockRanges.remove(ip);
+      return;
+    }
     if (!_allowedIPs[ip]) {
       if (_allowedIPCount >= maxAllowedIPs) {
         var keys = Object.keys(_allowedIPs);
@@ -322,12 +505,33 @@ function createGeoRiskScorer(options) {
   }
   function unblockIP(ip) {
     if (_blockedIPs[ip]) { delete _blockedIPs[ip]; _blockedIPCount--; }
+    _blockRanges.remove(ip);
   }
   function unallowIP(ip) {
     if (_allowedIPs[ip]) { delete _allowedIPs[ip]; _allowedIPCount--; }
+    _allowRanges.remove(ip);
+  }
+  function isBlocked(ip) {
+    if (_blockedIPs[ip]) return true;
+    var m = _rangeMatch(ip);
+    return m !== null && m.list === "blocklist";
+  }
+  function isAllowed(ip) {
+    if (_allowedIPs[ip]) return true;
+    var m = _rangeMatch(ip);
+    return m !== null && m.list === "allowlist";
+  }
+
+  /**
+   * Which list entry decides an address, or null.
+   * @param {string} ip
+   * @returns {{ list: string, network: string, source: string, expiresAt: number|null, comment: string|null, addedAt: number }|null}
+   */
+  function getListMatch(ip) {
+    if (_allowedIPs[ip]) return { list: "allowlist", network: ip, source: "manual", expiresAt: null, comment: null, addedAt: null };
+    if (_blockedIPs[ip]) return { list: "blocklist", network: ip, source: "manual", expiresAt: null, comment: null, addedAt: null };
+    return _rangeMatch(ip);
   }
-  function isBlocked(ip) { return !!_blockedIPs[ip]; }
-  function isAllowed(ip) { return !!_allowedIPs[ip]; }
 
   // ── Batch Scoring ────────────────────────────────────────────────
 
@@ -352,7 +556,12 @@ function createGeoRiskScorer(options) {
       trackedSessions: Object.keys(_sessionGeo).length,
       regionCount: Object.keys(_regionStats).length,
       blockedIPs: Object.keys(_blockedIPs).length,
-      allowedIPs: Object.keys(_allowedIPs).length
+      allowedIPs: Object.keys(_allowedIPs).length,
+      blockedRanges: _blockRanges.size(),
+      allowedRanges: _allowRanges.size(),
+      geoDatabases: _geoReaders.length,
+      enriched: _totalEnriched,
+      datacenterFlagged: _totalDatacenterFlagged
     };
   }
 
@@ -368,13 +577,19 @@ function createGeoRiskScorer(options) {
     _blockedIPCount = 0;
     _allowedIPs = Object.create(null);
     _allowedIPCount = 0;
+    _blockRanges.clear();
+    _allowRanges.clear();
     _totalScored = 0;
     _totalBlocked = 0;
     _totalChallenged = 0;
+    _totalEnriched = 0;
+    _totalDatacenterFlagged = 0;
   }
 
   return {
     score: score,
+    enrich: enrich,
+    isDatacenterAsn: function (asn) { return !!_datacenterAsns[_asnNumber(asn)]; },
     scoreBatch: scoreBatch,
     recordAttempt: recordAttempt,
     getRegionStats: getRegionStats,
@@ -384,6 +599,9 @@ function createGeoRiskScorer(options) {
     unallowIP: unallowIP,
     isBlocked: isBlocked,
     isAllowed: isAllowed,
+    getListMatch: getListMatch,
+    blockRanges: _blockRanges,
+    allowRanges: _allowRanges,
     summary: summary,
     reset: reset
   };
@@ -395,3 +613,4 @@ exports.createGeoRiskScorer = createGeoRiskScorer;
 exports._haversineKm = _haversineKm;
 exports.DEFAULT_HIGH_RISK = DEFAULT_HIGH_RISK;
 exports.DEFAULT_MEDIUM_RISK = DEFAULT_MEDIUM_RISK;
+exports.DEFAULT_DATACENTER_ASNS = DEFAULT_DATACENTER_ASNS;
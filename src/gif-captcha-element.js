@@ -0,0 +1,677 @@
+"use strict";
+
+/**
+ * gif-captcha-element.js — `<gif-captcha>` Web Component.
+ *
+ * A drop-in widget for the `gif-captcha serve` API (captcha-server.js):
+ * it fetches a challenge, shows the GIF (with retry), collects the
+ * passive signals createBotDetector().analyze() expects and submits them
+ * with the answer.
+ *
+ *   <script src="/captcha/widget.js"></script>
+ *   <form method="post" action="/signup">
+ *     <gif-captcha endpoint="/captcha" name="captcha-token"></gif-captcha>
+ *   </form>
+ *
+ * Attributes:
+ *   endpoint        API base path or URL (default "/captcha")
+ *   name            Form field that receives the pass token (default "gif-captcha-token")
+ *   locale          createI18n locale (default: the page's <html lang>)
+ *   reduced-motion  "true" | "false" | unset = follow prefers-reduced-motion;
+ *                   when reduced, the first frame is shown with a play button
+ *   honeypot-field  Hidden trap field name (default "hp_url", one of the
+ *                   bot detector's default honeypot fields)
+ *   manual          Don't load a challenge until reload() is called
+ *
+ * Events (bubbling, composed CustomEvents):
+ *   verified  { token, expiresAt, sessionId }
+ *   failed    { reason, done, sessionId }   reason: "wrong" | "session_failed" | server error code
+ *   expired   { reason, token? }            reason: "challenge" | "session" | "token"
+ *
+ * Keyboard: Enter submits a typed answer; click-target challenges render
+ * their regions as buttons navigable with the arrow keys.
+ *
+ * Served as one script (with createI18n) at `GET <basePath>/widget.js`; in
+ * a bundler use `require("gif-captcha/element")` and call
+ * defineGifCaptchaElement().
+ *
+ * On connect the element also runs the automation probe suite
+ * (automation-probes.js) and, once it has finished, submits the report
+ * as `signals.automation`. Where Web Crypto is available the signals are
+ * sent sealed as `{ envelope }` (telemetry-packer.js) under the
+ * challenge's jsToken.
+ *
+ * @module gif-captcha/element
+ */
+
+// In the /widget.js bundle the companion scripts publish their factories
+// on the global object; under CommonJS they are required.
+function _globalFunction(name) {
+  var g = typeof globalThis !== "undefined" ? globalThis : (typeof window !== "undefined" ? window : null);
+  return g && typeof g[name] === "function" ? g[name] : null;
+}
+
+var _createI18n = (typeof module !== "undefined" && module.exports && typeof require === "function")
+  ? require("./i18n").createI18n
+  : _globalFunction("createI18n");
+var _createTelemetryPacker = (typeof module !== "undefined" && module.exports && typeof require === "function")
+  ? require("./telemetry-packer").createTelemetryPacker
+  : _globalFunction("createTelemetryPacker");
+var _collectAutomationProbes = (typeof module !== "undefined" && module.exports && typeof require === "function")
+  ? require("./automation-probes").collectAutomationProbes
+  : _globalFunction("collectAutomationProbes");
+var _keyClass = (typeof module !== "undefined" && module.exports && typeof require === "function")
+  ? require("./keystroke-dynamics").keyClass
+  : _globalFunction("keyClass");
+
+var GIF_MAX_RETRIES = 2;
+var GIF_RETRY_DELAY_MS = 1500;
+var MAX_MOUSE_POINTS = 150;
+var MAX_KEYSTROKES = 50;
+var MAX_SCROLL_POINTS = 50;
+var MOUSE_SAMPLE_MS = 16;
+var CLICK_ANSWER_TYPES = { position: true, index: true };
+
+// ── Signal collection ───────────────────────────────────────────────
+
+/**
+ * Collects the passive signals createBotDetector().analyze() reads:
+ * mouseMovements, keystrokes, scrollEvents, timeOnPageMs and
+ * firstInteractionMs. Keys are recorded only by class (keyClass() from
+ * keystroke-dynamics.js: hand, digit, space, correction, ...) with their
+ * timing, never as typed text.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.startedAt] - Page/widget start time (ms)
+ * @returns {Object} Collector
+ */
+function createSignalCollector(options) {
+  options = options || {};
+  var startedAt = typeof options.startedAt === "number" ? options.startedAt : Date.now();
+  var mouse = [];
+  var keys = [];
+  var pendingKeys = Object.create(null);
+  var scroll = [];
+  var firstInteractionAt = null;
+
+  function _interact(t) {
+    if (firstInteractionAt === null) firstInteractionAt = t;
+  }
+
+  function _push(list, item, max) {
+    list.push(item);
+    if (list.length > max) list.shift();
+  }
+
+  return {
+    pointerMove: function (x, y, t) {
+      var last = mouse[mouse.length - 1];
+      if (last && t - last.t < MOUSE_SAMPLE_MS) return;
+      _interact(t);
+      _push(mouse, { x: Math.round(x), y: Math.round(y), t: t }, MAX_MOUSE_POINTS);
+    },
+    keyDown: function (code, t) {
+      _interact(t);
+      if (pendingKeys[code] === undefined) pendingKeys[code] = t;
+    },
+    keyUp: function (code, t) {
+      var downAt = pendingKeys[code];
+      if (downAt === undefined) return;
+      delete pendingKeys[code];
+      // Only the key's class (hand, digit, space, ...) leaves the page, never what was typed
+      _push(keys, { keyClass: _keyClass ? _keyClass(code) : "other", downAt: downAt, upAt: t }, MAX_KEYSTROKES);
+    },
+    scroll: function (y, t) {
+      _interact(t);
+      _push(scroll, { y: Math.round(y), t: t }, MAX_SCROLL_POINTS);
+    },
+    interact: _interact,
+    /**
+     * @param {number} now
+     * @param {Object} [extra] - Merged in (jsToken, honeypotValues)
+     * @returns {Object} Signals for createBotDetector().analyze()
+     */
+    snapshot: function (now, extra) {
+      var out = {
+        mouseMovements: mouse.slice(),
+        keystrokes: keys.slice(),
+        scrollEvents: scroll.slice(),
+        timeOnPageMs: Math.max(0, now - startedAt),
+        firstInteractionMs: firstInteractionAt === null ? null : firstInteractionAt - startedAt
+      };
+      if (extra) Object.keys(extra).forEach(function (k) { out[k] = extra[k]; });
+      return out;
+    }
+  };
+}
+
+// ── Element ─────────────────────────────────────────────────────────
+
+var STYLE =
+  ":host{display:inline-block;font:14px/1.4 system-ui,sans-serif;color:inherit}" +
+  ".box{display:flex;flex-direction:column;gap:8px;padding:12px;border:1px solid #8884;border-radius:8px;max-width:360px}" +
+  ".stage{position:relative;line-height:0;min-height:48px}" +
+  ".stage img,.stage canvas{max-width:100%;height:auto;border-radius:4px}" +
+  ".regions{position:absolute;inset:0}" +
+  ".regions button{position:absolute;background:transparent;border:2px solid transparent;border-radius:4px;cursor:pointer;padding:0}" +
+  ".regions button:focus-visible,.regions button:hover{border-color:#1a73e8;outline:none}" +
+  ".row{display:flex;gap:6px}" +
+  ".row input{flex:1;min-width:0;padding:6px}" +
+  ".hp{position:absolute;left:-9999px;width:1px;height:1px;overflow:hidden}" +
+  ".status{min-height:1.4em}" +
+  "[hidden]{display:none!important}";
+
+function _buildClass(win) {
+  var doc = win.document;
+
+  class GifCaptchaElement extends win.HTMLElement {
+    static get observedAttributes() { return ["locale", "reduced-motion"]; }
+
+    constructor() {
+      super();
+      this._i18n = _createI18n ? _createI18n() : null;
+      this._challenge = null;
+      this._sessionId = null;
+      this._token = null;
+      this._timers = [];
+      this._collector = null;
+      this._automation = null;
+      this._packer = null;
+      this._listeners = [];
+      this._playing = false;
+      this._internals = typeof this.attachInternals === "function" && win.ElementInternals &&
+        typeof win.ElementInternals.prototype.setFormValue === "function" ? this.attachInternals() : null;
+    }
+
+    static get formAssociated() { return true; }
+
+    /** createI18n instance used for UI strings; assign to use custom catalogs. */
+    get i18n() { return this._i18n; }
+    set i18n(value) {
+      this._i18n = value;
+      this._applyLocale();
+    }
+
+    /** Current pass token, or null. */
+    get token() { return this._token; }
+
+    connectedCallback() {
+      if (!this.shadowRoot) this._render();
+      this._collector = createSignalCollector({ startedAt: Date.now() });
+      this._collectProbes();
+      this._listen(doc, "mousemove", function (e) { this._collector.pointerMove(e.pageX, e.pageY, Date.now()); });
+      this._listen(doc, "pointerdown", function () { this._collector.interact(Date.now()); });
+      this._listen(win, "scroll", function () { this._collector.scroll(win.scrollY || 0, Date.now()); });
+      this._applyLocale();
+      if (!this.hasAttribute("manual")) this.reload();
+    }
+
+    disconnectedCallback() {
+      this._listeners.forEach(function (l) { l.target.removeEventListener(l.type, l.fn); });
+      this._listeners = [];
+      this._clearTimers();
+    }
+
+    attributeChangedCallback(name) {
+      if (!this.shadowRoot) return;
+      if (name === "locale") this._applyLocale();
+      if (name === "reduced-motion") this._applyMotion();
+    }
+
+    // ── Public API ──────────────────────────────────────────────
+
+    /** Discard any token and load a fresh challenge in a new session. */
+    reload() {
+      this._sessionId = null;
+      this._setToken(null);
+      return this._loadChallenge();
+    }
+
+    /** Alias of reload() for form reset handlers. */
+    reset() { return this.reload(); }
+
+    /**
+     * Submit an answer for the current challenge.
+     * @param {string} answer
+     * @returns {Promise<Object>} Server response
+     */
+    submit(answer) {
+      var self = this;
+      var ch = this._challenge;
+      if (!ch) return Promise.reject(new Error("gif-captcha: no challenge loaded"));
+      this._status(this._t("verifying"));
+      var extra = { jsToken: ch.jsToken, honeypotValues: this._honeypotValues() };
+      if (this._automation) extra.automation = this._automation;
+      var signals = this._collector.snapshot(Date.now(), extra);
+      return this._seal(ch, signals).then(function (sealed) {
+        return self._post("/answer", {
+          sessionId: ch.sessionId,
+          challengeId: ch.challengeId,
+          answer: String(answer),
+          signals: sealed
+        });
+      }).then(function (res) {
+        var body = res.body;
+        if (!res.ok) return self._serverError(body.error || "error", res.status);
+        if (body.token) {
+          self._challenge = null;
+          self._clearTimers();
+          self._setToken(body.token);
+          self._showSolved();
+          self._emit("verified", { token: body.token, expiresAt: body.expiresAt, sessionId: ch.sessionId });
+          if (body.expiresAt) {
+            self._after(Math.max(0, body.expiresAt - Date.now()), function () {
+              var expiredToken = self._token;
+              self._setToken(null);
+              self._emit("expired", { reason: "token", token: expiredToken });
+              self.reload();
+            });
+          }
+          return body;
+        }
+        if (!body.correct) {
+          self._emit("failed", { reason: body.done ? "session_failed" : "wrong", done: !!body.done, sessionId: ch.sessionId });
+          self._status(self._t("error.wrong"));
+        }
+        if (body.done) {
+          self._sessionId = null;
+        }
+        return self._loadChallenge(true).then(function () { return body; });
+      });
+    }
+
+    // ── Rendering ───────────────────────────────────────────────
+
+    _render() {
+      var root = this.attachShadow({ mode: "open" });
+      var style = doc.createElement("style");
+      style.textContent = STYLE;
+      root.appendChild(style);
+
+      var box = this._el("div", "box");
+      box.setAttribute("role", "group");
+      this._box = box;
+      this._question = this._el("p", "question");
+      this._question.id = "q";
+      this._stage = this._el("div", "stage");
+      this._regions = this._el("div", "regions");
+      this._regions.setAttribute("role", "radiogroup");
+      this._regions.setAttribute("aria-labelledby", "q");
+      this._regions.addEventListener("keydown", this._onRegionKey.bind(this));
+      this._motionBtn = this._el("button", "motion");
+      this._motionBtn.type = "button";
+      this._motionBtn.hidden = true;
+      this._motionBtn.addEventListener("click", this._toggleAnimation.bind(this));
+
+      var row = this._el("form", "row");
+      this._input = this._el("input", "answer");
+      this._input.setAttribute("autocomplete", "off");
+      this._input.setAttribute("aria-describedby", "q");
+      this._submitBtn = this._el("button", "submit");
+      this._submitBtn.type = "submit";
+      row.appendChild(this._input);
+      row.appendChild(this._submitBtn);
+      row.addEventListener("submit", function (e) {
+        e.preventDefault();
+        if (this._input.value.trim()) this.submit(this._input.value.trim()).catch(function () {});
+      }.bind(this));
+      this._input.addEventListener("keydown", function (e) { this._collector.keyDown(e.code || e.key, Date.now()); }.bind(this));
+      this._input.addEventListener("keyup", function (e) { this._collector.keyUp(e.code || e.key, Date.now()); }.bind(this));
+      this._answerRow = row;
+
+      this._reloadBtn = this._el("button", "reload");
+      this._reloadBtn.type = "button";
+      this._reloadBtn.addEventListener("click", function () { this.reload(); }.bind(this));
+
+      // Trap field: invisible to people and assistive tech, filled by naive bots
+      this._honeypot = this._el("input", "hp");
+      this._honeypot.tabIndex = -1;
+      this._honeypot.setAttribute("aria-hidden", "true");
+      this._honeypot.setAttribute("autocomplete", "off");
+
+      this._statusEl = this._el("div", "status");
+      this._statusEl.setAttribute("role", "status");
+      this._statusEl.setAttribute("aria-live", "polite");
+
+      [this._question, this._stage, this._motionBtn, this._answerRow, this._reloadBtn, this._honeypot, this._statusEl]
+        .forEach(function (n) { box.appendChild(n); });
+      root.appendChild(box);
+    }
+
+    _el(tag, className) {
+      var el = doc.createElement(tag);
+      if (className) el.className = className;
+      return el;
+    }
+
+    _t(key, vars) {
+      return this._i18n ? this._i18n.t(key, vars) : key;
+    }
+
+    _applyLocale() {
+      if (!this._box) return;
+      var locale = this.getAttribute("locale") || (doc.documentElement.lang || "").split("-")[0];
+      if (this._i18n && locale) this._i18n.setLocale(locale);
+      this._box.setAttribute("aria-label", this._t("accessibility.label"));
+      this._input.setAttribute("aria-label", this._t("answer.label"));
+      this._input.placeholder = this._t("answer.label");
+      this._submitBtn.textContent = this._t("submit");
+      this._reloadBtn.textContent = this._t("reload");
+      this._updateMotionLabel();
+      var buttons = this._regions.querySelectorAll("button");
+      for (var i = 0; i < buttons.length; i++) {
+        buttons[i].setAttribute("aria-label", this._t("answer.option", { n: i + 1 }));
+      }
+    }
+
+    _status(text) {
+      this._statusEl.textContent = text;
+    }
+
+    _emit(type, detail) {
+      this.dispatchEvent(new win.CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+    }
+
+    _listen(target, type, fn) {
+      var bound = fn.bind(this);
+      target.addEventListener(type, bound, { passive: true });
+      this._listeners.push({ target: target, type: type, fn: bound });
+    }
+
+    _after(ms, fn) {
+      this._timers.push(win.setTimeout(fn, ms));
+    }
+
+    _clearTimers() {
+      this._timers.forEach(function (id) { win.clearTimeout(id); });
+      this._timers = [];
+    }
+
+    _honeypotValues() {
+      var out = {};
+      out[this.getAttribute("honeypot-field") || "hp_url"] = this._honeypot.value;
+      return out;
+    }
+
+    _collectProbes() {
+      var self = this;
+      if (!_collectAutomationProbes || this._automation) return;
+      _collectAutomationProbes({ window: win }).then(function (report) {
+        self._automation = report;
+      }, function () {});
+    }
+
+    // Seal the signals under the challenge's jsToken where Web Crypto is
+    // available (secure contexts); otherwise they go as plain JSON.
+    _seal(ch, signals) {
+      var webCrypto = win.crypto;
+      if (!_createTelemetryPacker || !ch.jsToken || !webCrypto || !webCrypto.subtle) return Promise.resolve(signals);
+      if (!this._packer || this._packer.token !== ch.jsToken) {
+        this._packer = {
+          token: ch.jsToken,
+          packer: _createTelemetryPacker({ token: ch.jsToken, sessionId: ch.sessionId, crypto: webCrypto })
+        };
+      }
+      return this._packer.packer.seal(signals).then(function (envelope) {
+        return { envelope: envelope };
+      }, function () {
+        return signals;
+      });
+    }
+
+    _setToken(token) {
+      this._token = token;
+      if (this._internals) {
+        this._internals.setFormValue(token);
+        return;
+      }
+      // Fallback: a hidden input in the light DOM so plain forms submit the token
+      var name = this.getAttribute("name") || "gif-captcha-token";
+      var hidden = this.querySelector("input[data-gif-captcha-token]");
+      if (!hidden) {
+        hidden = doc.createElement("input");
+        hidden.type = "hidden";
+        hidden.setAttribute("data-gif-captcha-token", "");
+        this.appendChild(hidden);
+      }
+      hidden.name = name;
+      hidden.value = token || "";
+    }
+
+    // ── Networking ──────────────────────────────────────────────
+
+    _url(route) {
+      var base = (this.getAttribute("endpoint") || "/captcha").replace(/\/+$/, "");
+      return base + route;
+    }
+
+    _post(route, body) {
+      return win.fetch(this._url(route), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "same-origin",
+        body: JSON.stringify(body)
+      }).then(function (res) {
+        return res.json().catch(function () { return {}; }).then(function (json) {
+          return { ok: res.ok, status: res.status, body: json || {} };
+        });
+      });
+    }
+
+    _loadChallenge(keepStatus) {
+      var self = this;
+      this._clearTimers();
+      this._challenge = null;
+      if (!keepStatus) this._status(this._t("loading"));
+      this._answerRow.hidden = true;
+      this._regions.textContent = "";
+      return this._post("/challenge", this._sessionId ? { sessionId: this._sessionId } : {}).then(function (res) {
+        if (!res.ok) {
+          if (res.status === 404 || res.status === 409) {
+            // Session gone on the server: start over
+            self._sessionId = null;
+            if (res.body.error === "session_expired") self._emit("expired", { reason: "session" });
+          }
+          return self._serverError(res.body.error || "error", res.status);
+        }
+        var ch = res.body;
+        self._challenge = ch;
+        self._sessionId = ch.sessionId;
+        self._question.textContent = ch.question || self._t("instructions");
+        self._showGif(ch, 0);
+        self._showAnswer(ch);
+        if (!keepStatus) self._status("");
+        if (ch.expiresInMs > 0) {
+          self._after(ch.expiresInMs, function () {
+            self._challenge = null;
+            self._sessionId = null;
+            self._answerRow.hidden = true;
+            self._regions.textContent = "";
+            self._status(self._t("error.expired"));
+            self._emit("expired", { reason: "challenge" });
+          });
+        }
+        return ch;
+      }, function () {
+        self._status(self._t("error.generic"));
+        self._emit("failed", { reason: "network", done: false, sessionId: self._sessionId });
+      });
+    }
+
+    _serverError(code, status) {
+      var key = status === 429 ? "error.tooMany" : (status === 403 ? "error.blocked" : "error.generic");
+      this._status(this._t(key));
+      this._emit("failed", { reason: code, done: true, sessionId: this._sessionId });
+      return { error: code };
+    }
+
+    // ── Challenge display ───────────────────────────────────────
+
+    _showGif(ch, attempt) {
+      var self = this;
+      var img = doc.createElement("img");
+      img.alt = this._t("gif.alt");
+      if (ch.width) img.width = ch.width;
+      if (ch.height) img.height = ch.height;
+      img.onload = function () {
+        if (self._challenge === ch) self._applyMotion();
+      };
+      img.onerror = function () {
+        if (self._challenge !== ch) return;
+        if (attempt < GIF_MAX_RETRIES) {
+          self._status(self._t("loading"));
+          self._after(GIF_RETRY_DELAY_MS, function () { self._showGif(ch, attempt + 1); });
+          return;
+        }
+        self._status(self._t("error.generic"));
+      };
+      var src = ch.gifUrl || "";
+      // The server returns a path under its basePath; resolve it against a cross-origin endpoint
+      var endpoint = this.getAttribute("endpoint") || "";
+      if (src.charAt(0) === "/" && /^https?:\/\//.test(endpoint)) src = new win.URL(src, endpoint).href;
+      if (attempt > 0) src += (src.indexOf("?") === -1 ? "?" : "&") + "retry=" + attempt;
+      this._img = img;
+      this._stage.textContent = "";
+      this._stage.appendChild(img);
+      this._stage.appendChild(this._regions);
+      img.src = src;
+    }
+
+    _showAnswer(ch) {
+      this._regions.textContent = "";
+      if (CLICK_ANSWER_TYPES[ch.answerType] && Array.isArray(ch.regions) && ch.regions.length && ch.width && ch.height) {
+        this._answerRow.hidden = true;
+        var self = this;
+        ch.regions.forEach(function (r, i) {
+          var b = doc.createElement("button");
+          b.type = "button";
+          b.setAttribute("role", "radio");
+          b.setAttribute("aria-checked", "false");
+          b.setAttribute("aria-label", self._t("answer.option", { n: i + 1 }));
+          b.tabIndex = i === 0 ? 0 : -1;
+          b.style.left = (r.x / ch.width * 100) + "%";
+          b.style.top = (r.y / ch.height * 100) + "%";
+          b.style.width = (r.width / ch.width * 100) + "%";
+          b.style.height = (r.height / ch.height * 100) + "%";
+          b.addEventListener("click", function () {
+            b.setAttribute("aria-checked", "true");
+            self.submit(r.answer).catch(function () {});
+          });
+          self._regions.appendChild(b);
+        });
+        return;
+      }
+      this._answerRow.hidden = false;
+      this._input.value = "";
+      this._input.inputMode = ch.answerType === "number" || ch.answerType === "frame_index" ? "numeric" : "text";
+    }
+
+    _onRegionKey(e) {
+      var buttons = Array.prototype.slice.call(this._regions.querySelectorAll("button"));
+      var i = buttons.indexOf(this.shadowRoot.activeElement);
+      if (i === -1) return;
+      var next = null;
+      if (e.key === "ArrowRight" || e.key === "ArrowDown") next = (i + 1) % buttons.length;
+      else if (e.key === "ArrowLeft" || e.key === "ArrowUp") next = (i - 1 + buttons.length) % buttons.length;
+      else if (e.key === "Home") next = 0;
+      else if (e.key === "End") next = buttons.length - 1;
+      if (next === null) return;
+      e.preventDefault();
+      buttons[i].tabIndex = -1;
+      buttons[next].tabIndex = 0;
+      buttons[next].focus();
+    }
+
+    _showSolved() {
+      this._stage.textContent = "";
+      this._question.textContent = "";
+      this._answerRow.hidden = true;
+      this._motionBtn.hidden = true;
+      this._status(this._t("success"));
+    }
+
+    // ── Reduced motion ──────────────────────────────────────────
+
+    _reducedMotion() {
+      var attr = this.getAttribute("reduced-motion");
+      if (attr === "true" || attr === "") return true;
+      if (attr === "false") return false;
+      return !!(win.matchMedia && win.matchMedia("(prefers-reduced-motion: reduce)").matches);
+    }
+
+    _applyMotion() {
+      var img = this._img;
+      if (!img || !img.parentNode) return;
+      var reduced = this._reducedMotion();
+      this._motionBtn.hidden = !reduced;
+      if (!reduced) {
+        this._playing = true;
+        this._showStill(false);
+        return;
+      }
+      this._playing = false;
+      this._showStill(true);
+      this._updateMotionLabel();
+    }
+
+    // Draw the current (first) frame of the GIF to a canvas in place of the animated image
+    _showStill(still) {
+      var img = this._img;
+      if (!still) {
+        if (this._still && this._still.parentNode) this._still.parentNode.replaceChild(img, this._still);
+        return;
+      }
+      if (!this._still) this._still = doc.createElement("canvas");
+      var canvas = this._still;
+      canvas.width = img.naturalWidth || img.width;
+      canvas.height = img.naturalHeight || img.height;
+      canvas.setAttribute("role", "img");
+      canvas.setAttribute("aria-label", img.alt);
+      var ctx = canvas.getContext && canvas.getContext("2d");
+      if (ctx) ctx.drawImage(img, 0, 0);
+      if (img.parentNode) img.parentNode.replaceChild(canvas, img);
+    }
+
+    _toggleAnimation() {
+      this._playing = !this._playing;
+      this._showStill(!this._playing);
+      this._updateMotionLabel();
+    }
+
+    _updateMotionLabel() {
+      if (!this._motionBtn) return;
+      this._motionBtn.textContent = this._t(this._playing ? "animation.pause" : "animation.play");
+      this._motionBtn.setAttribute("aria-pressed", this._playing ? "true" : "false");
+    }
+  }
+
+  return GifCaptchaElement;
+}
+
+/**
+ * Register the element (idempotent).
+ *
+ * @param {string} [tagName="gif-captcha"]
+ * @param {Window} [win=window]
+ * @returns {Function|null} The element class, or null without custom element support
+ */
+function defineGifCaptchaElement(tagName, win) {
+  win = win || (typeof window !== "undefined" ? window : null);
+  tagName = tagName || "gif-captcha";
+  if (!win || !win.customElements || !win.HTMLElement) return null;
+  var existing = win.customElements.get(tagName);
+  if (existing) return existing;
+  var Ctor = _buildClass(win);
+  win.customElements.define(tagName, Ctor);
+  return Ctor;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    defineGifCaptchaElement: defineGifCaptchaElement,
+    createSignalCollector: createSignalCollector
+  };
+} else if (typeof window !== "undefined") {
+  window.GifCaptchaElement = defineGifCaptchaElement();
+  window.createGifCaptchaSignalCollector = createSignalCollector;
+}
@@ -0,0 +1,429 @@
+"use strict";
+
+/**
+ * GifEncoder — pure-JS animated GIF89a encoder.
+ *
+ * Turns a list of RGB/RGBA frames into GIF bytes with no native
+ * dependencies, so challenge images can be produced on any Node host
+ * (or in a browser) without canvas/ImageMagick bindings.
+ *
+ * Pipeline:
+ *   1. Palette quantization — exact palette when the frames use at most
+ *      `maxColors` distinct colors (the common case for rendered
+ *      challenges), otherwise weighted median-cut.
+ *   2. Pixel → palette index mapping (nearest color, memoized).
+ *   3. Variable-width LZW compression (up to 12-bit codes) packed into
+ *      255-byte data sub-blocks.
+ *   4. Container: header, global color table, NETSCAPE2.0 loop extension,
+ *      per-frame graphic control extension (delay) and image descriptor.
+ *
+ * All frames share a single global color table; alpha is ignored.
+ *
+ * Usage:
+ *   var enc = createGifEncoder({ width: 120, height: 80, loop: 0 });
+ *   enc.addFrame(rgbPixels, { delayMs: 200 });
+ *   enc.addFrame(rgbPixels2, { delayMs: 200 });
+ *   var bytes = enc.finish();   // Buffer in Node, Uint8Array elsewhere
+ *
+ * @module gif-captcha/gif-encoder
+ */
+
+var MAX_DIMENSION = 65535;
+var MAX_LZW_CODES = 4096;
+
+// ── Byte output ─────────────────────────────────────────────────────
+
+function _ByteWriter() {
+  this.buf = new Uint8Array(4096);
+  this.len = 0;
+}
+
+_ByteWriter.prototype._grow = function (extra) {
+  if (this.len + extra <= this.buf.length) return;
+  var size = this.buf.length * 2;
+  while (size < this.len + extra) size *= 2;
+  var next = new Uint8Array(size);
+  next.set(this.buf.subarray(0, this.len));
+  this.buf = next;
+};
+
+_ByteWriter.prototype.byte = function (b) {
+  this._grow(1);
+  this.buf[this.len++] = b & 0xff;
+};
+
+_ByteWriter.prototype.u16 = function (v) {
+  this.byte(v & 0xff);
+  this.byte((v >> 8) & 0xff);
+};
+
+_ByteWriter.prototype.ascii = function (s) {
+  for (var i = 0; i < s.length; i++) this.byte(s.charCodeAt(i));
+};
+
+_ByteWriter.prototype.bytes = function (arr) {
+  this._grow(arr.length);
+  this.buf.set(arr, this.len);
+  this.len += arr.length;
+};
+
+_ByteWriter.prototype.result = function () {
+  var out = this.buf.slice(0, this.len);
+  if (typeof Buffer !== "undefined" && typeof Buffer.from === "function") {
+    return Buffer.from(out.buffer, out.byteOffset, out.length);
+  }
+  return out;
+};
+
+// ── Palette quantization ────────────────────────────────────────────
+
+function _channels(pixels, width, height) {
+  var n = width * height;
+  if (pixels.length === n * 3) return 3;
+  if (pixels.length === n * 4) return 4;
+  throw new RangeError(
+    "frame pixel buffer must hold width*height*3 (RGB) or width*height*4 (RGBA) bytes, got " +
+    pixels.length
+  );
+}
+
+function _histogram(frames) {
+  var counts = new Map();
+  for (var f = 0; f < frames.length; f++) {
+    var px = frames[f].pixels;
+    var ch = frames[f].channels;
+    for (var i = 0; i < px.length; i += ch) {
+      var key = (px[i] << 16) | (px[i + 1] << 8) | px[i + 2];
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function _medianCut(entries, maxColors) {
+  // entries: [{ r, g, b, n }]
+  var boxes = [entries];
+  while (boxes.length < maxColors) {
+    // Split the box with the widest channel range (weighted by population)
+    var bestIdx = -1, bestScore = 0, bestChannel = "r";
+    for (var b = 0; b < boxes.length; b++) {
+      var box = boxes[b];
+      if (box.length < 2) continue;
+      var lo = { r: 255, g: 255, b: 255 }, hi = { r: 0, g: 0, b: 0 }, pop = 0;
+      for (var i = 0; i < box.length; i++) {
+        var e = box[i];
+        if (e.r < lo.r) lo.r = e.r; if (e.r > hi.r) hi.r = e.r;
+        if (e.g < lo.g) lo.g = e.g; if (e.g > hi.g) hi.g = e.g;
+        if (e.b < lo.b) lo.b = e.b; if (e.b > hi.b) hi.b = e.b;
+        pop += e.n;
+      }
+      var ranges = { r: hi.r - lo.r, g: hi.g - lo.g, b: hi.b - lo.b };
+      var channel = ranges.r >= ranges.g && ranges.r >= ranges.b ? "r"
+        : (ranges.g >= ranges.b ? "g" : "b");
+      var score = ranges[channel] * Math.log(pop + 1);
+      if (score > bestScore) { bestScore = score; bestIdx = b; bestChannel = channel; }
+    }
+    if (bestIdx === -1) break;
+
+    var target = boxes[bestIdx].slice();
+    var ch = bestChannel;
+    target.sort(function (x, y) { return x[ch] - y[ch]; });
+    var total = 0;
+    for (var t = 0; t < target.length; t++) total += target[t].n;
+    var acc = 0, cut = 1;
+    for (var k = 0; k < target.length - 1; k++) {
+      acc += target[k].n;
+      if (acc >= total / 2) { cut = k + 1; break; }
+      cut = k + 1;
+    }
+    boxes.splice(bestIdx, 1, target.slice(0, cut), target.slice(cut));
+  }
+
+  return boxes.map(function (bx) {
+    var r = 0, g = 0, bl = 0, n = 0;
+    for (var i = 0; i < bx.length; i++) {
+      r += bx[i].r * bx[i].n; g += bx[i].g * bx[i].n; bl += bx[i].b * bx[i].n; n += bx[i].n;
+    }
+    return [Math.round(r / n), Math.round(g / n), Math.round(bl / n)];
+  });
+}
+
+/**
+ * Build a palette (≤ maxColors entries) covering the given frames.
+ *
+ * @param {Array<{pixels: Uint8Array, width: number, height: number}>} frames
+ * @param {number} [maxColors=256] - 2..256
+ * @returns {Array<number[]>} Palette as [[r, g, b], ...]
+ */
+function quantizePalette(frames, maxColors) {
+  maxColors = maxColors > 0 ? Math.min(256, Math.max(2, Math.floor(maxColors))) : 256;
+  var prepared = frames.map(function (f) {
+    return { pixels: f.pixels, channels: f.channels || _channels(f.pixels, f.width, f.height) };
+  });
+  var counts = _histogram(prepared);
+  var entries = [];
+  counts.forEach(function (n, key) {
+    entries.push({ r: (key >> 16) & 0xff, g: (key >> 8) & 0xff, b: key & 0xff, n: n });
+  });
+  if (entries.length <= maxColors) {
+    // Most frequent first keeps the background at index 0 in practice
+    entries.sort(function (a, b) { return b.n - a.n; });
+    return entries.map(function (e) { return [e.r, e.g, e.b]; });
+  }
+  return _medianCut(entries, maxColors);
+}
+
+function _indexFrame(pixels, channels, palette, cache) {
+  var n = pixels.length / channels;
+  var out = new Uint8Array(n);
+  for (var i = 0, p = 0; i < n; i++, p += channels) {
+    var key = (pixels[p] << 16) | (pixels[p + 1] << 8) | pixels[p + 2];
+    var idx = cache.get(key);
+    if (idx === undefined) {
+      var best = 0, bestDist = Infinity;
+      for (var c = 0; c < palette.length; c++) {
+        var dr = palette[c][0] - pixels[p];
+        var dg = palette[c][1] - pixels[p + 1];
+        var db = palette[c][2] - pixels[p + 2];
+        var d = dr * dr + dg * dg + db * db;
+        if (d < bestDist) { bestDist = d; best = c; if (d === 0) break; }
+      }
+      idx = best;
+      cache.set(key, idx);
+    }
+    out[i] = idx;
+  }
+  return out;
+}
+
+// ── LZW ─────────────────────────────────────────────────────────────
+
+/**
+ * LZW-compress palette indices as GIF image data (without the leading
+ * minimum-code-size byte and without sub-block framing).
+ *
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize - 2..8
+ * @returns {Uint8Array}
+ */
+function lzwEncode(indices, minCodeSize) {
+  var clearCode = 1 << minCodeSize;
+  var eoiCode = clearCode + 1;
+  var codeSize = minCodeSize + 1;
+  var nextCode = eoiCode + 1;
+  var table = new Map();
+
+  var out = new _ByteWriter();
+  var cur = 0, curBits = 0;
+
+  function emit(code) {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8) {
+      out.byte(cur & 0xff);
+      cur >>>= 8;
+      curBits -= 8;
+    }
+  }
+
+  emit(clearCode);
+  if (indices.length === 0) {
+    emit(eoiCode);
+    if (curBits > 0) out.byte(cur & 0xff);
+    return out.buf.slice(0, out.len);
+  }
+
+  var prefix = indices[0];
+  for (var i = 1; i < indices.length; i++) {
+    var k = indices[i];
+    var key = (prefix << 8) | k;
+    var code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === MAX_LZW_CODES) {
+      emit(clearCode);
+      table.clear();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) out.byte(cur & 0xff);
+  return out.buf.slice(0, out.len);
+}
+
+// ── Encoder factory ─────────────────────────────────────────────────
+
+/**
+ * Create an animated GIF encoder.
+ *
+ * @param {Object} options
+ * @param {number} options.width            - Canvas width in pixels (1..65535)
+ * @param {number} options.height           - Canvas height in pixels (1..65535)
+ * @param {number} [options.loop=0]         - 0 = loop forever, n = repeat n times, -1 = play once (no loop extension)
+ * @param {number} [options.maxColors=256]  - Palette size cap (2..256)
+ * @param {number} [options.defaultDelayMs=100] - Delay for frames added without one
+ * @returns {Object} Encoder with addFrame(), frameCount(), finish()
+ */
+function createGifEncoder(options) {
+  options = options || {};
+  var width = options.width;
+  var height = options.height;
+  if (!Number.isInteger(width) || width < 1 || width > MAX_DIMENSION) {
+    throw new RangeError("width must be an integer in 1.." + MAX_DIMENSION);
+  }
+  if (!Number.isInteger(height) || height < 1 || height > MAX_DIMENSION) {
+    throw new RangeError("height must be an integer in 1.." + MAX_DIMENSION);
+  }
+  var loop = typeof options.loop === "number" ? Math.floor(options.loop) : 0;
+  if (loop > 65535) loop = 65535;
+  var maxColors = options.maxColors > 0 ? options.maxColors : 256;
+  var defaultDelayMs = options.defaultDelayMs >= 0 ? options.defaultDelayMs : 100;
+
+  var frames = [];
+  var finished = false;
+
+  /**
+   * Queue a frame.
+   *
+   * @param {Uint8Array|Uint8ClampedArray|number[]} pixels - RGB or RGBA, row-major
+   * @param {Object} [opts]
+   * @param {number} [opts.delayMs] - Display time for this frame
+   */
+  function addFrame(pixels, opts) {
+    if (finished) throw new Error("encoder already finished");
+    if (!pixels || typeof pixels.length !== "number") {
+      throw new TypeError("pixels must be an array-like of bytes");
+    }
+    opts = opts || {};
+    frames.push({
+      pixels: pixels,
+      width: width,
+      height: height,
+      channels: _channels(pixels, width, height),
+      delayMs: opts.delayMs >= 0 ? opts.delayMs : defaultDelayMs
+    });
+  }
+
+  function frameCount() {
+    return frames.length;
+  }
+
+  /**
+   * Encode all queued frames.
+   *
+   * @returns {Uint8Array} GIF bytes (a Buffer when running under Node)
+   */
+  function finish() {
+    if (finished) throw new Error("encoder already finished");
+    if (frames.length === 0) throw new Error("at least one frame is required");
+    finished = true;
+
+    var palette = quantizePalette(frames, maxColors);
+    // Global color table size must be a power of two ≥ 2 (and ≥ 4 for LZW)
+    var tableBits = 1;
+    while ((1 << tableBits) < palette.length) tableBits++;
+    var minCodeSize = Math.max(2, tableBits);
+
+    var w = new _ByteWriter();
+    w.ascii("GIF89a");
+
+    // Logical screen descriptor
+    w.u16(width);
+    w.u16(height);
+    w.byte(0x80 | (7 << 4) | (tableBits - 1)); // global table, 8-bit color resolution
+    w.byte(0);  // background color index
+    w.byte(0);  // pixel aspect ratio
+
+    // Global color table
+    for (var c = 0; c < (1 << tableBits); c++) {
+      var rgb = palette[c] || [0, 0, 0];
+      w.byte(rgb[0]); w.byte(rgb[1]); w.byte(rgb[2]);
+    }
+
+    // NETSCAPE2.0 application extension — loop count
+    if (loop >= 0) {
+      w.byte(0x21); w.byte(0xff); w.byte(11);
+      w.ascii("NETSCAPE2.0");
+      w.byte(3); w.byte(1); w.u16(loop); w.byte(0);
+    }
+
+    var cache = new Map();
+    for (var f = 0; f < frames.length; f++) {
+      var frame = frames[f];
+      var indices = _indexFrame(frame.pixels, frame.channels, palette, cache);
+
+      // Graphic control extension — delay in centiseconds, disposal = none
+      w.byte(0x21); w.byte(0xf9); w.byte(4);
+      w.byte(1 << 2);
+      w.u16(Math.max(2, Math.round(frame.delayMs / 10)));
+      w.byte(0);
+      w.byte(0);
+
+      // Image descriptor (full canvas, uses global table, not interlaced)
+      w.byte(0x2c);
+      w.u16(0); w.u16(0);
+      w.u16(width); w.u16(height);
+      w.byte(0);
+
+      // Image data in ≤255-byte sub-blocks
+      w.byte(minCodeSize);
+      var data = lzwEncode(indices, minCodeSize);
+      for (var off = 0; off < data.length; off += 255) {
+        var chunk = data.subarray(off, Math.min(off + 255, data.length));
+        w.byte(chunk.length);
+        w.bytes(chunk);
+      }
+      w.byte(0);
+    }
+
+    w.byte(0x3b); // trailer
+    frames = [];
+    return w.result();
+  }
+
+  return {
+    addFrame: addFrame,
+    frameCount: frameCount,
+    finish: finish
+  };
+}
+
+/**
+ * Convenience wrapper: encode a frame list in one call.
+ *
+ * @param {Array<{pixels: Uint8Array, delayMs?: number}>} frames
+ * @param {Object} options - Same as createGifEncoder()
+ * @returns {Uint8Array} GIF bytes
+ */
+function encodeGif(frames, options) {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new TypeError("frames must be a non-empty array");
+  }
+  var enc = createGifEncoder(options);
+  for (var i = 0; i < frames.length; i++) {
+    enc.addFrame(frames[i].pixels, { delayMs: frames[i].delayMs });
+  }
+  return enc.finish();
+}
+
+// ── UMD export ──────────────────────────────────────────────────────
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createGifEncoder: createGifEncoder,
+    encodeGif: encodeGif,
+    quantizePalette: quantizePalette,
+    lzwEncode: lzwEncode
+  };
+} else if (typeof window !== "undefined") {
+  window.createGifEncoder = createGifEncoder;
+}
@@ -0,0 +1,402 @@
+/**
+ * http-fingerprint — server-side request fingerprinting from raw headers.
+ *
+ * Browser-reported signals can all be set from JavaScript; the shape of
+ * the HTTP request itself is harder to fake. From the raw request
+ * headers this derives:
+ *
+ *   - a header-order fingerprint (names in the order sent) and the
+ *     browser family whose ordering it matches;
+ *   - a header-casing fingerprint (HTTP/1.x clients keep their own
+ *     casing; HTTP/2 and HTTP/3 are lowercase);
+ *   - parsed `Sec-CH-UA*` client hints;
+ *
+ * and checks them against the declared User-Agent and the
+ * JS-reported platform. Each inconsistency is a finding with a stable
+ * code, used by createClientFingerprinter as a bot signal.
+ *
+ * Pass Node's `req.rawHeaders` to keep order and casing; `req.headers`
+ * has neither. Proxies and CDNs that rewrite headers will change both,
+ * so compare fingerprints taken behind the same edge.
+ *
+ * @module http-fingerprint
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+
+// Pairs [a, b]: where both are sent, a comes before b.
+var ORDER_RULES = {
+  chromium: [
+    ["sec-ch-ua", "user-agent"],
+    ["user-agent", "accept"],
+    ["accept", "accept-encoding"],
+    ["sec-fetch-site", "accept-encoding"],
+    ["accept-encoding", "accept-language"]
+  ],
+  firefox: [
+    ["host", "user-agent"],
+    ["user-agent", "accept"],
+    ["accept", "accept-language"],
+    ["accept-language", "accept-encoding"],
+    ["sec-fetch-dest", "sec-fetch-site"]
+  ],
+  webkit: [
+    ["accept", "user-agent"],
+    ["accept-language", "user-agent"],
+    ["user-agent", "accept-encoding"]
+  ]
+};
+
+var ENGINE_ORDER = { blink: "chromium", gecko: "firefox", webkit: "webkit" };
+
+// Brands a Chromium browser lists in Sec-CH-UA, by UA family.
+var EXPECTED_BRANDS = {
+  chrome: ["Google Chrome", "Chromium"],
+  edge: ["Microsoft Edge"],
+  opera: ["Opera"],
+  samsung: ["Samsung Internet"]
+};
+
+// Sec-CH-UA is sent by default from Chromium 89.
+var CLIENT_HINTS_SINCE = 89;
+
+var BROWSER_HEADERS = ["accept", "accept-language", "accept-encoding"];
+
+function _hash(str) {
+  return crypto.createHash("sha256").update(str).digest("hex").slice(0, 12);
+}
+
+/**
+ * Normalise headers to `[{ name, lower, value }]` in the order sent.
+ * Accepts Node's flat `rawHeaders` array, an array of [name, value]
+ * pairs, or a plain object (insertion order). HTTP/2 pseudo-headers
+ * (":method") are dropped.
+ *
+ * @param {Array|Object} headers
+ * @returns {Array<{ name: string, lower: string, value: string }>}
+ */
+function normalizeHeaders(headers) {
+  var pairs = [];
+  if (Array.isArray(headers)) {
+    if (headers.length && Array.isArray(headers[0])) {
+      pairs = headers;
+    } else {
+      for (var i = 0; i + 1 < headers.length; i += 2) pairs.push([headers[i], headers[i + 1]]);
+    }
+  } else if (headers && typeof headers === "object") {
+    pairs = Object.keys(headers).map(function (k) { return [k, headers[k]]; });
+  }
+  var out = [];
+  pairs.forEach(function (p) {
+    var name = String(p[0] == null ? "" : p[0]);
+    if (!name || name.charAt(0) === ":") return;
+    var value = Array.isArray(p[1]) ? p[1].join(", ") : String(p[1] == null ? "" : p[1]);
+    out.push({ name: name, lower: name.toLowerCase(), value: value });
+  });
+  return out;
+}
+
+function _casing(name) {
+  if (name === name.toLowerCase()) return "lower";
+  if (/^[A-Z][a-z0-9]*(-[A-Z][a-z0-9]*)*$/.test(name)) return "canonical";
+  if (name === name.toUpperCase()) return "upper";
+  return "mixed";
+}
+
+function _unquote(s) {
+  s = s.trim();
+  return s.charAt(0) === "\"" && s.charAt(s.length - 1) === "\"" ? s.slice(1, -1).replace(/\\(.)/g, "$1") : s;
+}
+
+/**
+ * Parse a Sec-CH-UA brand list: `"Chromium";v="124", "Not-A.Brand";v="99"`.
+ * @param {string} value
+ * @returns {Array<{ brand: string, version: string }>}
+ */
+function parseBrandList(value) {
+  if (typeof value !== "string" || !value.trim()) return [];
+  var out = [];
+  var re = /\s*("(?:[^"\\]|\\.)*"|[^,;]+)((?:\s*;\s*[^,;=]+=\s*(?:"(?:[^"\\]|\\.)*"|[^,;]*))*)\s*(?:,|$)/g;
+  var m;
+  while ((m = re.exec(value)) && m[0] !== "") {
+    var version = "";
+    var params = m[2].split(";");
+    for (var i = 0; i < params.length; i++) {
+      var kv = params[i].split("=");
+      if (kv[0].trim() === "v" && kv.length > 1) version = _unquote(kv.slice(1).join("="));
+    }
+    out.push({ brand: _unquote(m[1]), version: version });
+  }
+  return out;
+}
+
+/**
+ * Parse the `Sec-CH-UA*` client hints.
+ * @param {Array|Object} headers - See normalizeHeaders
+ * @returns {{ present: boolean, brands: Array, fullVersionList: Array, mobile: boolean|null,
+ *   platform: string|null, platformVersion: string|null, arch: string|null,
+ *   bitness: string|null, model: string|null }}
+ */
+function parseClientHints(headers) {
+  var h = Object.create(null);
+  normalizeHeaders(headers).forEach(function (e) { h[e.lower] = e.value; });
+  function str(name) {
+    return h[name] != null ? _unquote(h[name]) : null;
+  }
+  var mobile = h["sec-ch-ua-mobile"];
+  return {
+    present: h["sec-ch-ua"] != null,
+    brands: parseBrandList(h["sec-ch-ua"]),
+    fullVersionList: parseBrandList(h["sec-ch-ua-full-version-list"]),
+    mobile: mobile == null ? null : mobile.trim() === "?1",
+    platform: str("sec-ch-ua-platform"),
+    platformVersion: str("sec-ch-ua-platform-version"),
+    arch: str("sec-ch-ua-arch"),
+    bitness: str("sec-ch-ua-bitness"),
+    model: str("sec-ch-ua-model")
+  };
+}
+
+/**
+ * Coarse User-Agent parse: browser family and engine, major version,
+ * platform (named as Sec-CH-UA-Platform names it) and mobile.
+ *
+ * @param {string} ua
+ * @returns {{ family: string, engine: string|null, major: number|null, platform: string|null,
+ *   mobile: boolean, headless: boolean, browser: boolean }}
+ *   family is chrome, edge, opera, samsung, firefox, safari, bot, tool or other
+ */
+function parseUserAgent(ua) {
+  ua = typeof ua === "string" ? ua : "";
+  var family = "other";
+  var major = null;
+  var m;
+  if (/bot\b|crawl|spider|slurp/i.test(ua)) family = "bot";
+  else if (/^(curl|wget|python|go-http-client|java\/|okhttp|axios|node-fetch|undici|libwww|scrapy|postmanruntime)/i.test(ua) ||
+    /python-requests|aiohttp|httpclient/i.test(ua)) family = "tool";
+  else if ((m = /Edg(?:A|iOS)?\/(\d+)/.exec(ua))) family = "edge";
+  else if ((m = /OPR\/(\d+)/.exec(ua))) family = "opera";
+  else if ((m = /SamsungBrowser\/(\d+)/.exec(ua))) family = "samsung";
+  else if ((m = /(?:HeadlessChrome|Chrome|CriOS)\/(\d+)/.exec(ua))) family = "chrome";
+  else if ((m = /(?:Firefox|FxiOS)\/(\d+)/.exec(ua))) family = "firefox";
+  else if ((m = /Version\/(\d+)[^ ]* (?:Mobile\/\S+ )?Safari\//.exec(ua))) family = "safari";
+  if (m && m[1]) major = parseInt(m[1], 10);
+
+  var platform = null;
+  if (/Windows NT/.test(ua)) platform = "Windows";
+  else if (/iPhone|iPad|iPod/.test(ua)) platform = "iOS";
+  else if (/Android/.test(ua)) platform = "Android";
+  else if (/CrOS/.test(ua)) platform = "Chrome OS";
+  else if (/Macintosh|Mac OS X/.test(ua)) platform = "macOS";
+  else if (/Linux|X11/.test(ua)) platform = "Linux";
+
+  var browser = ["chrome", "edge", "opera", "samsung", "firefox", "safari"].indexOf(family) !== -1;
+  var engine = null;
+  // Every iOS browser is WebKit underneath.
+  if (browser) {
+    engine = platform === "iOS" || family === "safari" ? "webkit" : (family === "firefox" ? "gecko" : "blink");
+  }
+  return {
+    family: family,
+    engine: engine,
+    major: major,
+    platform: platform,
+    mobile: /Mobi|iPhone|iPod/.test(ua),
+    headless: /HeadlessChrome/.test(ua),
+    browser: browser
+  };
+}
+
+/**
+ * Map a JS `navigator.platform` (or userAgentData.platform) value to
+ * the Sec-CH-UA-Platform vocabulary.
+ * @param {string} platform
+ * @returns {string|null}
+ */
+function normalizePlatform(platform) {
+  if (typeof platform !== "string" || !platform) return null;
+  if (/^(Windows|Win)/i.test(platform)) return "Windows";
+  if (/iPhone|iPad|iPod|^iOS$/i.test(platform)) return "iOS";
+  if (/^Mac/i.test(platform) || /^macOS$/i.test(platform)) return "macOS";
+  if (/Android/i.test(platform)) return "Android";
+  if (/CrOS|Chrome OS/i.test(platform)) return "Chrome OS";
+  if (/Linux|X11/i.test(platform)) return "Linux";
+  return null;
+}
+
+// Platforms that legitimately report differently: Android and Chrome OS
+// report "Linux ..." in navigator.platform; iPadOS asks for desktop
+// sites as "MacIntel".
+var PLATFORM_ALIASES = {
+  Linux: ["Android", "Chrome OS"],
+  macOS: ["iOS"]
+};
+
+function _platformsAgree(a, b) {
+  if (!a || !b || a === b) return true;
+  return (PLATFORM_ALIASES[a] || []).indexOf(b) !== -1 || (PLATFORM_ALIASES[b] || []).indexOf(a) !== -1;
+}
+
+function _orderCheck(order, family) {
+  var rules = ORDER_RULES[family];
+  var applicable = 0, violations = 0;
+  for (var i = 0; i < rules.length; i++) {
+    var a = order.indexOf(rules[i][0]);
+    var b = order.indexOf(rules[i][1]);
+    if (a === -1 || b === -1) continue;
+    applicable++;
+    if (a > b) violations++;
+  }
+  return { applicable: applicable, violations: violations };
+}
+
+/**
+ * Fingerprint a request from its raw headers and check it for
+ * consistency with the declared User-Agent and JS-reported signals.
+ *
+ * Finding codes:
+ *
+ *   user-agent-mismatch            JS userAgent differs from the header
+ *   header-order-mismatch          Order contradicts the UA's browser engine
+ *   header-casing-mismatch         Casing no browser sends
+ *   missing-browser-headers        Browser UA without Accept/-Language/-Encoding
+ *   client-hints-missing           Chromium ≥ 89 UA without Sec-CH-UA
+ *   client-hints-unexpected        Sec-CH-UA from a non-Chromium UA
+ *   client-hints-headless          HeadlessChrome brand
+ *   client-hints-brand-mismatch    Brands or version disagree with the UA
+ *   client-hints-platform-mismatch Sec-CH-UA-Platform disagrees with the UA or JS platform
+ *   client-hints-mobile-mismatch   Sec-CH-UA-Mobile disagrees with the UA
+ *   platform-mismatch              JS platform disagrees with the UA
+ *
+ * @param {Array|Object} headers - See normalizeHeaders
+ * @param {Object} [opts]
+ * @param {string} [opts.httpVersion] - "1.0", "1.1", "2" or "3"; casing is
+ *   only checked for HTTP/1.x
+ * @param {boolean} [opts.secure=true] - Request arrived over HTTPS
+ *   (client hints are only sent to secure origins)
+ * @param {string} [opts.userAgent] - JS-reported navigator.userAgent
+ * @param {string} [opts.platform] - JS-reported navigator.platform
+ * @returns {{ order: string[], orderHash: string, casing: string, casingHash: string,
+ *   fingerprint: string, orderFamily: string|null, userAgent: Object,
+ *   clientHints: Object, findings: Array<{ code: string, detail: string }>, consistent: boolean }}
+ */
+function analyzeRequestHeaders(headers, opts) {
+  opts = opts || {};
+  var list = normalizeHeaders(headers);
+  var order = list.map(function (e) { return e.lower; });
+  var shapes = list.map(function (e) { return _casing(e.name); });
+  var byName = Object.create(null);
+  list.forEach(function (e) { if (byName[e.lower] == null) byName[e.lower] = e.value; });
+
+  var casing = "none";
+  if (shapes.length) {
+    casing = shapes.every(function (s) { return s === shapes[0]; }) ? shapes[0] : "mixed";
+  }
+  var orderHash = _hash(order.join(","));
+  var casingHash = _hash(list.map(function (e) { return e.name; }).join(","));
+
+  var headerUa = byName["user-agent"] || "";
+  var ua = parseUserAgent(headerUa);
+  var hints = parseClientHints(list.map(function (e) { return [e.name, e.value]; }));
+  var jsPlatform = normalizePlatform(opts.platform);
+  var findings = [];
+  function find(code, detail) {
+    findings.push({ code: code, detail: detail });
+  }
+
+  if (typeof opts.userAgent === "string" && opts.userAgent && headerUa && opts.userAgent !== headerUa) {
+    find("user-agent-mismatch", "navigator.userAgent differs from the User-Agent header");
+  }
+
+  // Order: the family with no violations and the most rules satisfied.
+  var orderFamily = null;
+  var best = 0;
+  Object.keys(ORDER_RULES).forEach(function (f) {
+    var c = _orderCheck(order, f);
+    if (c.violations === 0 && c.applicable >= 2 && c.applicable > best) {
+      best = c.applicable;
+      orderFamily = f;
+    }
+  });
+  if (ua.browser) {
+    var expected = ENGINE_ORDER[ua.engine];
+    var check = _orderCheck(order, expected);
+    if (check.applicable >= 2 && check.violations > 0) {
+      find("header-order-mismatch", ua.family + " user agent, " + (orderFamily || "unknown") + " header order");
+    }
+    var missing = BROWSER_HEADERS.filter(function (n) { return byName[n] == null; });
+    if (missing.length) find("missing-browser-headers", "no " + missing.join(", "));
+  }
+
+  // Casing: HTTP/2+ is lowercase by spec; browsers on HTTP/1.x send
+  // canonical names (Chromium's sec-ch-ua* excepted).
+  var http1 = /^1(\.|$)/.test(String(opts.httpVersion || ""));
+  var odd = shapes.filter(function (s) { return s === "upper" || s === "mixed"; }).length;
+  if (odd > 0 || (http1 && ua.browser && list.length >= 3 && casing === "lower")) {
+    find("header-casing-mismatch", odd > 0 ? odd + " header name(s) in unusual case" : "all-lowercase HTTP/1.x request from a browser");
+  }
+
+  // Client hints against the UA.
+  var secure = opts.secure !== false;
+  if (ua.engine === "blink" && ua.major >= CLIENT_HINTS_SINCE && secure && !hints.present) {
+    find("client-hints-missing", ua.family + " " + ua.major + " without Sec-CH-UA");
+  }
+  if (hints.present && ua.engine && ua.engine !== "blink") {
+    find("client-hints-unexpected", "Sec-CH-UA from a " + ua.family + " user agent");
+  }
+  if (hints.present) {
+    var brandNames = hints.brands.map(function (b) { return b.brand; });
+    if (brandNames.indexOf("HeadlessChrome") !== -1) {
+      find("client-hints-headless", "HeadlessChrome brand");
+    }
+    var wanted = EXPECTED_BRANDS[ua.family];
+    if (wanted && ua.engine === "blink") {
+      var brand = null;
+      for (var i = 0; i < hints.brands.length && !brand; i++) {
+        if (wanted.indexOf(hints.brands[i].brand) !== -1) brand = hints.brands[i];
+      }
+      if (!brand) {
+        find("client-hints-brand-mismatch", ua.family + " user agent, brands " + brandNames.join(", "));
+      } else if (ua.major !== null && parseInt(brand.version, 10) !== ua.major) {
+        find("client-hints-brand-mismatch", brand.brand + " " + brand.version + " vs user agent " + ua.major);
+      }
+    }
+    if (hints.platform && ua.platform && !_platformsAgree(hints.platform, ua.platform)) {
+      find("client-hints-platform-mismatch", "Sec-CH-UA-Platform " + hints.platform + ", user agent " + ua.platform);
+    } else if (hints.platform && jsPlatform && !_platformsAgree(hints.platform, jsPlatform)) {
+      find("client-hints-platform-mismatch", "Sec-CH-UA-Platform " + hints.platform + ", navigator.platform " + jsPlatform);
+    }
+    if (hints.mobile !== null && ua.platform && hints.mobile !== ua.mobile) {
+      find("client-hints-mobile-mismatch", "Sec-CH-UA-Mobile " + (hints.mobile ? "?1" : "?0") + ", user agent " + (ua.mobile ? "mobile" : "desktop"));
+    }
+  }
+  if (jsPlatform && ua.platform && !_platformsAgree(jsPlatform, ua.platform)) {
+    find("platform-mismatch", "navigator.platform " + jsPlatform + ", user agent " + ua.platform);
+  }
+
+  return {
+    order: order,
+    orderHash: orderHash,
+    casing: casing,
+    casingHash: casingHash,
+    fingerprint: _hash(orderHash + "|" + casingHash + "|" + ua.family + "|" + (hints.present ? 1 : 0)),
+    orderFamily: orderFamily,
+    userAgent: ua,
+    clientHints: hints,
+    findings: findings,
+    consistent: findings.length === 0
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    normalizeHeaders: normalizeHeaders,
+    parseBrandList: parseBrandList,
+    parseClientHints: parseClientHints,
+    parseUserAgent: parseUserAgent,
+    normalizePlatform: normalizePlatform,
+    analyzeRequestHeaders: analyzeRequestHeaders
+  };
+}
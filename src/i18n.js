@@ -49,7 +49,15 @@ function createI18n(options) {
       "attempts.remaining":  "Attempts remaining: {count}",
       "difficulty.easy":     "Easy",
       "difficulty.medium":   "Medium",
-      "difficulty.hard":     "Hard"
+      "difficulty.hard":     "Hard",
+      "answer.label":        "Your answer",
+      "answer.option":       "Option {n}",
+      "reload":              "New challenge",
+      "verifying":           "Verifying…",
+      "error.expired":       "This challenge has expired. Load a new one.",
+      "gif.alt":             "Animated CAPTCHA challenge",
+      "animation.play":      "Play animation",
+      "animation.pause":     "Pause animation"
     },
     es: {
       "instructions":        "Selecciona la imagen correcta para demostrar que eres humano.",
@@ -69,7 +77,15 @@ function createI18n(options) {
       "attempts.remaining":  "Intentos restantes: {count}",
       "difficulty.easy":     "Fácil",
       "difficulty.medium":   "Medio",
-      "difficulty.hard":     "Difícil"
+      "difficulty.hard":     "Difícil",
+      "answer.label":        "Tu respuesta",
+      "answer.option":       "Opción {n}",
+      "reload":              "Nuevo desafío",
+      "verifying":           "Verificando…",
+      "error.expired":       "Este desafío ha caducado. Carga uno nuevo.",
+      "gif.alt":             "Desafío CAPTCHA animado",
+      "animation.play":      "Reproducir animación",
+      "animation.pause":     "Pausar animación"
     },
     fr: {
       "instructions":        "Sélectionnez la bonne image pour prouver que vous êtes humain.",
@@ -89,7 +105,15 @@ function createI18n(options) {
       "attempts.remaining":  "Tentatives restantes : {count}",
       "difficulty.easy":     "Facile",
       "difficulty.medium":   "Moyen",
-      "difficulty.hard":     "Difficile"
+      "difficulty.hard":     "Difficile",
+      "answer.label":        "Votre réponse",
+      "answer.option":       "Option {n}",
+      "reload":              "Nouveau défi",
+      "verifying":           "Vérification…",
+      "error.expired":       "Ce défi a expiré. Chargez-en un nouveau.",
+      "gif.alt":             "Défi CAPTCHA animé",
+      "animation.play":      "Lire l'animation",
+      "animation.pause":     "Mettre l'animation en pause"
     },
     de: {
       "instructions":        "Wählen Sie das richtige Bild, um zu beweisen, dass Sie ein Mensch sind.",
@@ -109,7 +133,15 @@ function createI18n(options) {
       "attempts.remaining":  "Verbleibende Versuche: {count}",
       "difficulty.easy":     "Leicht",
       "difficulty.medium":   "Mittel",
-      "difficulty.hard":     "Schwer"
+      "difficulty.hard":     "Schwer",
+      "answer.label":        "Ihre Antwort",
+      "answer.option":       "Option {n}",
+      "reload":              "Neue Aufgabe",
+      "verifying":           "Wird überprüft…",
+      "error.expired":       "Diese Aufgabe ist abgelaufen. Laden Sie eine neue.",
+      "gif.alt":             "Animierte CAPTCHA-Aufgabe",
+      "animation.play":      "Animation abspielen",
+      "animation.pause":     "Animation anhalten"
     },
     pt: {
       "instructions":        "Selecione a imagem correta para provar que você é humano.",
@@ -329,6 +361,9 @@ function createI18n(options) {
 }
 
 
-
-module.exports = { createI18n: createI18n };
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { createI18n: createI18n };
+} else if (typeof window !== "undefined") {
+  window.createI18n = createI18n;
+}
 
@@ -49,6 +49,22 @@ try {
   // Not available in this environment (e.g. browser bundle without polyfill).
 }
 
+// Compact JWS helpers for createTokenVerifier (HS256 / EdDSA keyring).
+var _jws = require("./jws");
+var _stateStore = require("./state-store");
+var _stateSnapshotManager = require("./state-snapshot-manager");
+var _verificationPipeline = require("./verification-pipeline");
+var _answerNormalizer = require("./answer-normalizer");
+var _ipUtils = require("./ip-utils");
+var _ipList = require("./ip-list");
+var _detectorModel = require("./detector-model");
+var _detectorEval = require("./detector-eval");
+var _keystrokeDynamics = require("./keystroke-dynamics");
+var _httpFingerprint = require("./http-fingerprint");
+var _automationProbes = require("./automation-probes");
+var _telemetryPacker = require("./telemetry-packer");
+var _telemetryEnvelope = require("./telemetry-envelope");
+
 
 // ── Challenge Set Analyzer ──────────────────────────────────────────
 
@@ -522,8 +538,13 @@ function createDifficultyCalibrator(challenges, opts) {
 
   /**
    * Record a response for a challenge.
+   *
+   * `validation` may carry the semantic validateAnswer() result for the
+   * response; its near-miss flag, missing concepts and unmatched terms
+   * feed getNearMisses().
+   *
    * @param {string} challengeId
-   * @param {{ timeMs: number, correct: boolean, skipped?: boolean }} response
+   * @param {{ timeMs: number, correct: boolean, skipped?: boolean, validation?: Object }} response
    */
   function recordResponse(challengeId, response) {
     if (!challengeId || typeof challengeId !== "string") {
@@ -564,14 +585,68 @@ function createDifficultyCalibrator(challenges, opts) {
       }
     }
 
-    bucket.push({
+    var entry = {
       timeMs: response.timeMs,
       correct: response.correct,
       skipped: Boolean(response.skipped),
-    });
+    };
+    var v = response.validation;
+    if (v && typeof v === "object" && typeof v.nearMiss === "boolean") {
+      entry.nearMiss = v.nearMiss;
+      entry.missingConcepts = Array.isArray(v.missingConcepts) ? v.missingConcepts.slice(0, 20) : [];
+      entry.unmatchedTerms = !response.correct && Array.isArray(v.unmatchedTerms) ? v.unmatchedTerms.slice(0, 20) : [];
+    }
+    bucket.push(entry);
     _totalCount++;
   }
 
+  function _topCounts(counts, limit, key) {
+    return Object.keys(counts)
+      .sort(function (a, b) { return counts[b] - counts[a] || (a < b ? -1 : 1); })
+      .slice(0, limit)
+      .map(function (k) {
+        var row = { count: counts[k] };
+        row[key] = k;
+        return row;
+      });
+  }
+
+  /**
+   * Summarize near-miss answers for a challenge: failed responses that
+   * were one concept (or about half the overlap) short.  Concepts humans
+   * keep missing and the words they used instead point at lexicon or
+   * concept-set gaps.
+   *
+   * @param {string} challengeId
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Rows per list
+   * @returns {{ analyzed: number, nearMisses: number, nearMissRate: number,
+   *             missingConcepts: Array<{ concept: string, count: number }>,
+   *             unmatchedTerms: Array<{ term: string, count: number }> }|null}
+   *   null when no response for the challenge carried a semantic validation
+   */
+  function getNearMisses(challengeId, options) {
+    var limit = options && options.limit > 0 ? Math.floor(options.limit) : 10;
+    var data = (_responses[challengeId] || []).filter(function (r) { return r.nearMiss !== undefined; });
+    if (data.length === 0) return null;
+    var nearMisses = 0;
+    var concepts = Object.create(null);
+    var terms = Object.create(null);
+    data.forEach(function (r) {
+      if (!r.nearMiss) return;
+      nearMisses++;
+      r.missingConcepts.forEach(function (c) { concepts[c] = (concepts[c] || 0) + 1; });
+      r.unmatchedTerms.forEach(function (t) { terms[t] = (terms[t] || 0) + 1; });
+    });
+    return {
+      analyzed: data.length,
+      nearMisses: nearMisses,
+      nearMissRate: nearMisses / data.length,
+      missingConcepts: _topCounts(concepts, limit, "concept"),
+      unmatchedTerms: _topCounts(terms, limit, "term"),
+    };
+  }
+
   /**
    * Record multiple responses at once.
    * @param {Array<{ challengeId: string, timeMs: number, correct: boolean, skipped?: boolean }>} responses
@@ -869,6 +944,7 @@ function createDifficultyCalibrator(challenges, opts) {
     recordResponse: recordResponse,
     recordBatch: recordBatch,
     getStats: getStats,
+    getNearMisses: getNearMisses,
     calibrateDifficulty: calibrateDifficulty,
     calibrateAll: calibrateAll,
     findOutliers: findOutliers,
@@ -1455,6 +1531,9 @@ function createSecurityScorer(challenges) {
  * @param {number} [options.baseDifficulty=30] - Starting difficulty (0-100)
  * @param {number} [options.maxDifficulty=95] - Maximum difficulty cap (0-100)
  * @param {number} [options.maxSessions=1000] - Maximum concurrent sessions before cleanup
+ * @param {Object} [options.store] - Shared state store (see state-store.js); sessions then live
+ *   there and the *Async methods must be used
+ * @param {string} [options.storePrefix="gc:sess:"] - Key prefix inside the store
  * @returns {Object} Session manager instance
  */
 function createSessionManager(options) {
@@ -1472,6 +1551,8 @@ function createSessionManager(options) {
   var maxDifficulty = (typeof options.maxDifficulty === "number" && options.maxDifficulty >= 0 && options.maxDifficulty <= 100)
     ? options.maxDifficulty : 95;
   var maxSessions = Math.floor(_posOpt(options.maxSessions, 1000));
+  var sharedStore = options.store ? _stateStore.validateStateStore(options.store, "createSessionManager") : null;
+  var storePrefix = typeof options.storePrefix === "string" ? options.storePrefix : "gc:sess:";
 
   // Internal state: Map<sessionId, SessionState>
   // Use null-prototype object to prevent prototype pollution via
@@ -1517,15 +1598,20 @@ function createSessionManager(options) {
    * @returns {{ sessionId: string, difficulty: number, challengeIndex: number, totalChallenges: number }}
    */
   function startSession(metadata) {
+    _assertLocal("startSession");
     // Cleanup if we're at capacity
     if (sessionCount >= maxSessions) {
       _cleanup();
     }
 
     var id = _generateId();
-    var now = _now();
+    sessions[id] = _newSession(metadata, _now());
+    sessionCount++;
+    return _started(id);
+  }
 
-    sessions[id] = {
+  function _newSession(metadata, now) {
+    return {
       status: "active",
       createdAt: now,
       completedAt: null,
@@ -1534,8 +1620,9 @@ function createSessionManager(options) {
       currentDifficulty: baseDifficulty,
       metadata: metadata || {},
     };
-    sessionCount++;
+  }
 
+  function _started(id) {
     return {
       sessionId: id,
       difficulty: baseDifficulty,
@@ -1544,6 +1631,12 @@ function createSessionManager(options) {
     };
   }
 
+  function _assertLocal(method) {
+    if (sharedStore) {
+      throw new Error(method + ": a shared store is configured; use " + method + "Async");
+    }
+  }
+
   /**
    * Submit a challenge response for a session.
    *
@@ -1553,10 +1646,16 @@ function createSessionManager(options) {
    * @returns {{ done: boolean, passed: boolean|null, nextDifficulty: number|null, challengeIndex: number, correctCount: number, totalAnswered: number }}
    */
   function submitResponse(sessionId, correct, responseTimeMs) {
+    _assertLocal("submitResponse");
     var session = sessions[sessionId];
     if (!session) {
       return { error: "session_not_found" };
     }
+    return _applyResponse(session, correct, responseTimeMs);
+  }
+
+  // Record one answer on a session record (mutates it).
+  function _applyResponse(session, correct, responseTimeMs) {
     if (session.status !== "active") {
       return { error: "session_" + session.status };
     }
@@ -1629,9 +1728,13 @@ function createSessionManager(options) {
    * @returns {Object|null} Session state or null if not found
    */
   function getSession(sessionId) {
+    _assertLocal("getSession");
     var session = sessions[sessionId];
     if (!session) return null;
+    return _describe(sessionId, session);
+  }
 
+  function _describe(sessionId, session) {
     // Check timeout for active sessions
     if (session.status === "active" && _now() - session.createdAt > sessionTimeoutMs) {
       session.status = "expired";
@@ -1674,6 +1777,7 @@ function createSessionManager(options) {
    * @returns {boolean} True if invalidated, false if not found
    */
   function invalidateSession(sessionId) {
+    _assertLocal("invalidateSession");
     var session = sessions[sessionId];
     if (!session) return false;
     if (session.status === "active") {
@@ -1683,8 +1787,93 @@ function createSessionManager(options) {
     return true;
   }
 
+  // ── Shared-store variants ──
+  // Sessions are stored whole under storePrefix + sessionId and updated
+  // with compare-and-set, so any replica can serve any step of a session.
+  // Records live for twice the session timeout, like the local cleanup.
+
+  function _storeKey(sessionId) {
+    if (typeof sessionId !== "string" || !sessionId) {
+      throw new TypeError("sessionId must be a non-empty string");
+    }
+    return storePrefix + sessionId;
+  }
+
+  /**
+   * Promise-returning startSession; writes the session to `options.store`
+   * when one is configured.
+   *
+   * @param {Object} [metadata]
+   * @returns {Promise<{ sessionId: string, difficulty: number, challengeIndex: number, totalChallenges: number }>}
+   */
+  function startSessionAsync(metadata) {
+    if (!sharedStore) return Promise.resolve().then(function () { return startSession(metadata); });
+    var id = _generateId();
+    return sharedStore.set(_storeKey(id), _newSession(metadata, _now()), { ttlMs: sessionTimeoutMs * 2 })
+      .then(function () { return _started(id); });
+  }
+
   /**
-   * Get aggregate statistics across all sessions.
+   * Promise-returning submitResponse. With a shared store the answer is
+   * recorded atomically, so concurrent submissions for one session
+   * cannot both count.
+   *
+   * @param {string} sessionId
+   * @param {boolean} correct
+   * @param {number} [responseTimeMs]
+   * @returns {Promise<Object>} Same shape as submitResponse
+   */
+  function submitResponseAsync(sessionId, correct, responseTimeMs) {
+    if (!sharedStore) {
+      return Promise.resolve().then(function () { return submitResponse(sessionId, correct, responseTimeMs); });
+    }
+    return Promise.resolve().then(function () {
+      return _stateStore.updateWithRetry(sharedStore, _storeKey(sessionId), function (session) {
+        if (!session) return { result: { error: "session_not_found" } };
+        var wasActive = session.status === "active";
+        var result = _applyResponse(session, correct, responseTimeMs);
+        return { value: wasActive ? session : undefined, result: result };
+      }, { ttlMs: sessionTimeoutMs * 2 });
+    });
+  }
+
+  /**
+   * Promise-returning getSession.
+   *
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  function getSessionAsync(sessionId) {
+    if (!sharedStore) return Promise.resolve().then(function () { return getSession(sessionId); });
+    return Promise.resolve().then(function () {
+      return sharedStore.get(_storeKey(sessionId));
+    }).then(function (session) {
+      return session ? _describe(sessionId, session) : null;
+    });
+  }
+
+  /**
+   * Promise-returning invalidateSession.
+   *
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  function invalidateSessionAsync(sessionId) {
+    if (!sharedStore) return Promise.resolve().then(function () { return invalidateSession(sessionId); });
+    return Promise.resolve().then(function () {
+      return _stateStore.updateWithRetry(sharedStore, _storeKey(sessionId), function (session) {
+        if (!session) return { result: false };
+        if (session.status !== "active") return { result: true };
+        session.status = "cancelled";
+        session.completedAt = _now();
+        return { value: session, result: true };
+      }, { ttlMs: sessionTimeoutMs * 2 });
+    });
+  }
+
+  /**
+   * Get aggregate statistics across all sessions held in this process
+   * (sessions in a shared store are not included).
    *
    * @returns {Object} Stats summary
    */
@@ -1743,6 +1932,7 @@ function createSessionManager(options) {
       baseDifficulty: baseDifficulty,
       maxDifficulty: maxDifficulty,
       maxSessions: maxSessions,
+      sharedStore: !!sharedStore,
     };
   }
 
@@ -1751,6 +1941,10 @@ function createSessionManager(options) {
     submitResponse: submitResponse,
     getSession: getSession,
     invalidateSession: invalidateSession,
+    startSessionAsync: startSessionAsync,
+    submitResponseAsync: submitResponseAsync,
+    getSessionAsync: getSessionAsync,
+    invalidateSessionAsync: invalidateSessionAsync,
     getStats: getStats,
     getConfig: getConfig,
   };
@@ -2310,6 +2504,31 @@ function createResponseAnalyzer(opts) {
 
 // ── Honeypot & Bot Behavior Detector ────────────────────────────────
 
+/**
+ * Named feature vector behind createBotDetector, in order. Sub-scores
+ * are scaled to 0-1; counts and durations are log1p-compressed so a
+ * model trained on them is not dominated by a few very long sessions.
+ */
+var BOT_DETECTOR_FEATURES = [
+  "honeypot",
+  "mouse_score",
+  "keystroke_score",
+  "timing_score",
+  "scroll_score",
+  "js_score",
+  "mouse_count_log",
+  "mouse_entropy",
+  "keystroke_count_log",
+  "keystroke_hold_log",
+  "keystroke_interval_var_log",
+  "time_on_page_log",
+  "first_interaction_log",
+  "scroll_count_log",
+  "keystroke_pairing",
+  "automation_score",
+  "envelope_risk"
+];
+
 /**
  * Creates a honeypot and behavioral analysis system for detecting bots.
  *
@@ -2320,12 +2539,20 @@ function createResponseAnalyzer(opts) {
  *   humans leave empty. Configurable field names and trap types.
  * - **Interaction fingerprinting**: Mouse movement entropy, click patterns,
  *   and scroll behavior that bots typically lack or fake poorly.
- * - **Keystroke dynamics**: Typing speed, rhythm variance, and key-hold
- *   patterns that are difficult to simulate realistically.
+ * - **Keystroke dynamics**: Typing speed, rhythm variance, key-hold
+ *   patterns, and digraph flight times by key class (see
+ *   keystroke-dynamics), which flat replayed timing does not reproduce.
+ * - **Typist profiles**: Per-user digraph/hold statistics to recognise
+ *   the same typist across sessions.
  * - **Timing analysis**: Time-to-first-interaction, total solve time, and
  *   pacing consistency across challenge steps.
  * - **JavaScript verification**: Checks that JS executed (bots sometimes
  *   submit forms without running page scripts).
+ * - **Automation probes**: Headless/WebDriver/CDP artifacts reported by
+ *   the browser half of automation-probes (`signals.automation`).
+ * - **Telemetry envelopes**: Signals sealed by telemetry-packer under a
+ *   key derived from the JS token (`signals.envelope`); tampered,
+ *   replayed or reordered batches are a risk factor of their own.
  * - **Behavior scoring**: Weighted composite score (0-100) from all signals
  *   with configurable thresholds for flag/block decisions.
  *
@@ -2364,6 +2591,23 @@ function createResponseAnalyzer(opts) {
  *   Composite score at or above which the submission is flagged as bot.
  * @param {number} [options.suspiciousThreshold=40]
  *   Score at or above which the submission is flagged as suspicious.
+ * @param {Object|string} [options.model]
+ *   Trained model JSON from createDetectorTrainer. When set, the
+ *   composite score is the model's bot probability × 100 instead of the
+ *   fixed signal weights; honeypots stay decisive.
+ * @param {number} [options.maxTypingProfiles=10000]
+ *   Typist profiles kept in memory; least recently used are evicted.
+ * @param {number} [options.typingMatchThreshold=1]
+ *   Max profile distance that still counts as the same typist.
+ * @param {string[]} [options.disabledProbes=[]]
+ *   Automation probe ids (see AUTOMATION_PROBES) to ignore.
+ * @param {boolean} [options.requireEnvelope=false]
+ *   Treat signals that arrive without a telemetry envelope as a
+ *   decoding failure (`envelope_missing`).
+ * @param {number} [options.envelopeTtlMs=1800000]
+ *   How long after getJsToken() a session's envelopes still open.
+ * @param {number} [options.maxEnvelopeBytes=65536]
+ *   Longest envelope string accepted.
  * @returns {Object} Bot detector instance
  */
 function createBotDetector(options) {
@@ -2384,6 +2628,26 @@ function createBotDetector(options) {
     ? options.botThreshold : 60;
   var suspiciousThreshold = typeof options.suspiciousThreshold === 'number'
     ? options.suspiciousThreshold : 40;
+  var model = options.model
+    ? (typeof options.model === 'string' ? JSON.parse(options.model) : options.model)
+    : null;
+  var _predict = model ? _detectorModel.compileModel(model, BOT_DETECTOR_FEATURES) : null;
+  var maxTypingProfiles = typeof options.maxTypingProfiles === 'number' && options.maxTypingProfiles > 0
+    ? options.maxTypingProfiles : 10000;
+  var typingMatchThreshold = typeof options.typingMatchThreshold === 'number'
+    ? options.typingMatchThreshold : 1;
+  var disabledProbes = Array.isArray(options.disabledProbes) ? options.disabledProbes.slice() : [];
+  // Validate the probe ids up front rather than on the first report
+  _automationProbes.evaluateAutomationProbes(null, { disabled: disabledProbes });
+  var requireEnvelope = options.requireEnvelope === true;
+  var envelopeTtlMs = typeof options.envelopeTtlMs === 'number' && options.envelopeTtlMs > 0
+    ? options.envelopeTtlMs : 1800000;
+  var maxEnvelopeBytes = typeof options.maxEnvelopeBytes === 'number' && options.maxEnvelopeBytes > 0
+    ? options.maxEnvelopeBytes : 65536;
+
+  // Typist profiles by user id (class statistics only, no key text)
+  var _typingProfiles = Object.create(null);
+  var _typingOrder = new LruTracker();
 
   // JS verification token - must be retrieved by client-side JS
   var _jsTokens = Object.create(null);
@@ -2394,6 +2658,14 @@ function createBotDetector(options) {
   /** JS tokens expire after 5 minutes (300 000 ms). */
   var JS_TOKEN_TTL_MS = 300000;
 
+  // Telemetry envelope state by session: { token, key, next, createdAt }.
+  // Outlives the one-time JS token so later batches still open.
+  var _envelopes = Object.create(null);
+  var _envelopeOrder = new LruTracker();
+
+  /** Envelope failures that mean the batch was forged or re-sent. */
+  var ENVELOPE_INTEGRITY_ERRORS = ['tampered', 'replayed', 'reordered'];
+
   /**
    * Purge expired JS tokens and enforce capacity limit.
    * Called on every getJsToken() to prevent unbounded memory growth.
@@ -2429,6 +2701,10 @@ function createBotDetector(options) {
    * Tokens expire after 5 minutes. A maximum of 10 000 tokens are held
    * in memory; oldest are evicted when the limit is reached.
    *
+   * The token is also the key material for the session's telemetry
+   * envelopes (telemetry-packer); issuing a new one restarts their
+   * sequence at 0.
+   *
    * @param {string} [sessionId] - Optional session identifier for binding
    * @returns {string} Token string to include in form submission
    */
@@ -2441,9 +2717,84 @@ function createBotDetector(options) {
       token += secureRandomInt(36).toString(36);
     }
     _jsTokens[id] = { token: token, createdAt: Date.now() };
+    if (_envelopes[id]) {
+      _envelopeOrder.touch(id);
+    } else {
+      _envelopeOrder.push(id);
+      while (_envelopeOrder.length > JS_TOKEN_MAX) delete _envelopes[_envelopeOrder.evictOldest()];
+    }
+    // The key is derived on first use; a new token restarts the sequence
+    _envelopes[id] = { token: token, key: null, next: 0, createdAt: Date.now() };
     return token;
   }
 
+  /**
+   * Open a telemetry envelope sealed by telemetry-packer for this
+   * session. Each session's envelopes must arrive in sequence, starting
+   * at 0 after each getJsToken(); an accepted envelope cannot be opened
+   * again.
+   *
+   * Errors: `malformed`, `unsupported_version`, `too_large`, `tampered`,
+   * `unknown_session` (no token issued, evicted or older than
+   * envelopeTtlMs), `replayed` (sequence already used) and `reordered`
+   * (a later sequence number arrived first).
+   *
+   * @param {string} envelope
+   * @param {string} [sessionId] - As passed to getJsToken()
+   * @returns {{ ok: boolean, seq: number|null, error?: string, sentAt?: number|null, signals?: Object }}
+   */
+  function openEnvelope(envelope, sessionId) {
+    return _openEnvelope(envelope, sessionId, true);
+  }
+
+  function _openEnvelope(envelope, sessionId, commit) {
+    var id = sessionId || '_default';
+    var state = _envelopes[id];
+    if (state && Date.now() - state.createdAt > envelopeTtlMs) {
+      delete _envelopes[id];
+      _envelopeOrder.remove(id);
+      state = null;
+    }
+    if (!state) return { ok: false, error: 'unknown_session', seq: _telemetryEnvelope.envelopeSequence(envelope) };
+    if (!state.key) state.key = _telemetryEnvelope.deriveTelemetryKey(state.token, id);
+    var opened = _telemetryEnvelope.openTelemetryEnvelope(envelope, state.key, id, { maxBytes: maxEnvelopeBytes });
+    if (!opened.ok) return opened;
+    if (opened.seq < state.next) return { ok: false, error: 'replayed', seq: opened.seq };
+    if (opened.seq > state.next) return { ok: false, error: 'reordered', seq: opened.seq };
+    if (commit) state.next++;
+    return opened;
+  }
+
+  /**
+   * Replace sealed signals with the envelope's contents. sessionId and
+   * userId always come from the caller, never from the client.
+   * @private
+   */
+  function _resolveEnvelope(signals, commit) {
+    if (signals.envelope === undefined) {
+      return {
+        signals: signals,
+        envelope: requireEnvelope ? { ok: false, error: 'missing', seq: null } : null,
+      };
+    }
+    var opened = _openEnvelope(signals.envelope, signals.sessionId, commit);
+    if (!opened.ok) return { signals: signals, envelope: opened };
+    var unpacked = Object.assign({}, opened.signals);
+    delete unpacked.envelope;
+    delete unpacked.sessionId;
+    delete unpacked.userId;
+    if (signals.sessionId !== undefined) unpacked.sessionId = signals.sessionId;
+    if (signals.userId !== undefined) unpacked.userId = signals.userId;
+    return { signals: unpacked, envelope: opened };
+  }
+
+  /** 0 for an opened envelope, 100 for a forged or re-sent one, 75 otherwise. */
+  function _envelopeRisk(envelope) {
+    if (!envelope) return null;
+    if (envelope.ok) return 0;
+    return ENVELOPE_INTEGRITY_ERRORS.indexOf(envelope.error) !== -1 ? 100 : 75;
+  }
+
   /**
    * Verify a submitted JS token.
    *
@@ -2582,17 +2933,24 @@ function createBotDetector(options) {
   /**
    * Analyze keystroke dynamics.
    * Humans have variable inter-key intervals and key-hold durations;
-   * bots tend to be perfectly uniform or impossibly fast.
+   * bots tend to be perfectly uniform or impossibly fast. Flight times
+   * that do not depend on the key-class pair at all (a flat replayed
+   * distribution) are flagged too.
    *
    * @param {Array<{key: string, downAt: number, upAt: number}>} keystrokes
-   *   Keystroke events with key-down and key-up timestamps.
-   * @returns {{ score: number, count: number, avgHoldMs: number, intervalVariance: number, flags: string[] }}
+   *   Keystroke events with key-down and key-up timestamps. `code` or
+   *   `keyClass` may stand in for `key` so clients need not send text.
+   * @returns {{ score: number, count: number, avgHoldMs: number, intervalVariance: number,
+   *   digraphPairing: number|null, rolloverRate: number, correctionRate: number, flags: string[] }}
    */
   function analyzeKeystrokes(keystrokes) {
     var flags = [];
 
     if (!Array.isArray(keystrokes) || keystrokes.length === 0) {
-      return { score: 50, count: 0, avgHoldMs: 0, intervalVariance: 0, flags: ['no_keystroke_data'] };
+      return {
+        score: 50, count: 0, avgHoldMs: 0, intervalVariance: 0,
+        digraphPairing: null, rolloverRate: 0, correctionRate: 0, flags: ['no_keystroke_data'],
+      };
     }
 
     // Key-hold durations (how long each key is pressed)
@@ -2655,11 +3013,21 @@ function createBotDetector(options) {
       flags.push('simulated_variance');
     }
 
+    // Flight times unrelated to the key-class pair = replayed timing
+    var dynamics = _keystrokeDynamics.analyzeKeystrokeDynamics(keystrokes);
+    if (dynamics.pairing && dynamics.pairing.score === 0) {
+      score += 20;
+      flags.push('flat_digraph_timing');
+    }
+
     return {
       score: Math.min(100, score),
       count: keystrokes.length,
       avgHoldMs: Math.round(avgHold),
       intervalVariance: Math.round(intervalVariance),
+      digraphPairing: dynamics.pairing ? dynamics.pairing.score : null,
+      rolloverRate: dynamics.rollover.rate,
+      correctionRate: dynamics.corrections.rate,
       flags: flags,
     };
   }
@@ -2758,6 +3126,93 @@ function createBotDetector(options) {
     };
   }
 
+  /**
+   * Evaluate an automation probe report from the browser
+   * (collectAutomationProbes). Detections of confidence 0.9 or more are
+   * decisive: analyze() scores them at least botThreshold.
+   *
+   * @param {Object} [report] - signals.automation
+   * @returns {{ present: boolean, score: number, version: number|null, detected: string[],
+   *   decisive: boolean, probes: Object|null, flags: string[] }}
+   */
+  function analyzeAutomation(report) {
+    if (!report || typeof report !== 'object') {
+      return { present: false, score: 0, version: null, detected: [], decisive: false, probes: null, flags: [] };
+    }
+    var evaluated = _automationProbes.evaluateAutomationProbes(report, { disabled: disabledProbes });
+    if (!evaluated.supported) {
+      return {
+        present: false, score: 0, version: evaluated.version, detected: [], decisive: false, probes: null,
+        flags: ['automation_unsupported_version'],
+      };
+    }
+    return {
+      present: true,
+      score: evaluated.score,
+      version: evaluated.version,
+      detected: evaluated.detected,
+      decisive: evaluated.detected.some(function (id) { return evaluated.probes[id].confidence >= 0.9; }),
+      probes: evaluated.probes,
+      flags: evaluated.detected.map(function (id) { return 'automation:' + id; }),
+    };
+  }
+
+  function _featureVector(honeypot, mouse, keys, timing, scroll, jsScore, automation, envelopeRisk, signals) {
+    var first = signals.firstInteractionMs;
+    return [
+      honeypot.clean ? 0 : 1,
+      mouse.score / 100,
+      keys.score / 100,
+      timing.score / 100,
+      scroll.score / 100,
+      jsScore / 100,
+      Math.log1p(mouse.count),
+      mouse.entropy / 3,
+      Math.log1p(keys.count),
+      Math.log1p(keys.avgHoldMs),
+      Math.log1p(keys.intervalVariance),
+      Math.log1p(timing.timeOnPageMs / 1000),
+      typeof first === 'number' && first > 0 ? Math.log1p(first / 1000) : 0,
+      Math.log1p(scroll.count),
+      keys.digraphPairing === null ? 0.5 : keys.digraphPairing,
+      automation.present ? automation.score / 100 : 0.5,
+      envelopeRisk === null ? 0.5 : envelopeRisk / 100,
+    ];
+  }
+
+  /**
+   * Compute the feature vector analyze() feeds a trained model, without
+   * side effects. JS tokens are not verified here (they are one-time);
+   * pass `signals.jsVerified` (recorded when the session was analysed)
+   * for labelled training data, otherwise a submitted token counts as
+   * unknown and a missing one as "no token". A telemetry envelope is
+   * opened without advancing its session's sequence.
+   *
+   * @param {Object} signals - As analyze()
+   * @returns {{ names: string[], values: number[] }}
+   */
+  function extractFeatures(signals) {
+    var resolved = _resolveEnvelope(signals || {}, false);
+    signals = resolved.signals;
+    var jsScore = typeof signals.jsVerified === 'boolean'
+      ? (signals.jsVerified ? 0 : 80)
+      : 50;
+    return {
+      names: BOT_DETECTOR_FEATURES.slice(),
+      values: _featureVector(
+        analyzeHoneypots(signals.honeypotValues),
+        analyzeMouseMovements(signals.mouseMovements),
+        analyzeKeystrokes(signals.keystrokes),
+        analyzeTiming(signals.timeOnPageMs, signals.firstInteractionMs),
+        analyzeScroll(signals.scrollEvents),
+        jsScore,
+        analyzeAutomation(signals.automation),
+        _envelopeRisk(resolved.envelope),
+        signals
+      ),
+    };
+  }
+
   /**
    * Run full behavioral analysis and produce a composite bot score.
    *
@@ -2770,6 +3225,13 @@ function createBotDetector(options) {
    * @param {string} [signals.jsToken] - JS verification token
    * @param {string} [signals.sessionId] - Session ID for token binding
    * @param {Array} [signals.scrollEvents] - Scroll events
+   * @param {string} [signals.userId] - Compare keystrokes against this
+   *   user's typist profile (see enrollTypist); adds `typist` to the result
+   * @param {Object} [signals.automation] - collectAutomationProbes() report;
+   *   adds `automation` to the result and the breakdown
+   * @param {string} [signals.envelope] - telemetry-packer envelope holding
+   *   the other signals (see openEnvelope); adds `envelope` to the result
+   *   and the breakdown
    * @returns {{
    *   score: number,
    *   isBot: boolean,
@@ -2781,8 +3243,12 @@ function createBotDetector(options) {
    * }}
    */
   function analyze(signals) {
-    signals = signals || {};
+    var resolved = _resolveEnvelope(signals || {}, true);
+    signals = resolved.signals;
+    var envelope = resolved.envelope;
+    var envelopeRisk = _envelopeRisk(envelope);
     var allFlags = [];
+    if (envelope && !envelope.ok) allFlags.push('envelope_' + envelope.error);
 
     // Analyze each signal type
     var honeypot = analyzeHoneypots(signals.honeypotValues);
@@ -2790,6 +3256,7 @@ function createBotDetector(options) {
     var keys = analyzeKeystrokes(signals.keystrokes);
     var timing = analyzeTiming(signals.timeOnPageMs, signals.firstInteractionMs);
     var scroll = analyzeScroll(signals.scrollEvents);
+    var automation = analyzeAutomation(signals.automation);
 
     // JS token verification
     var jsValid = false;
@@ -2808,6 +3275,7 @@ function createBotDetector(options) {
     allFlags = allFlags.concat(keys.flags);
     allFlags = allFlags.concat(timing.flags);
     allFlags = allFlags.concat(scroll.flags);
+    allFlags = allFlags.concat(automation.flags);
 
     // Honeypot is decisive - any filled field = instant bot
     if (!honeypot.clean) {
@@ -2829,22 +3297,35 @@ function createBotDetector(options) {
       };
     }
 
-    // Weighted composite score
-    // Weights reflect how reliable each signal is
-    var weights = {
-      mouse: 0.25,
-      keystrokes: 0.25,
-      timing: 0.20,
-      jsVerification: 0.15,
-      scroll: 0.15,
-    };
+    var composite;
+    var probability = null;
+    if (_predict) {
+      probability = _predict(_featureVector(honeypot, mouse, keys, timing, scroll, jsScore, automation, envelopeRisk, signals));
+      composite = probability * 100;
+    } else {
+      // Weighted composite score
+      // Weights reflect how reliable each signal is
+      var weights = {
+        mouse: 0.25,
+        keystrokes: 0.25,
+        timing: 0.20,
+        jsVerification: 0.15,
+        scroll: 0.15,
+      };
 
-    var composite =
-      mouse.score * weights.mouse +
-      keys.score * weights.keystrokes +
-      timing.score * weights.timing +
-      jsScore * weights.jsVerification +
-      scroll.score * weights.scroll;
+      composite =
+        mouse.score * weights.mouse +
+        keys.score * weights.keystrokes +
+        timing.score * weights.timing +
+        jsScore * weights.jsVerification +
+        scroll.score * weights.scroll;
+      // Probe reports are optional, so they blend in rather than take a weight
+      if (automation.present) composite = composite * 0.75 + automation.score * 0.25;
+    }
+    if (automation.decisive) composite = Math.max(composite, botThreshold);
+    // A batch that fails to open is a risk factor regardless of its contents
+    if (envelopeRisk === 100) composite = Math.max(composite, botThreshold);
+    else if (envelopeRisk === 75) composite = Math.max(composite, suspiciousThreshold);
 
     composite = Math.round(composite * 10) / 10;
 
@@ -2852,7 +3333,7 @@ function createBotDetector(options) {
     var isSuspicious = composite >= suspiciousThreshold;
     var verdict = isBot ? 'bot' : (isSuspicious ? 'suspicious' : 'human');
 
-    return {
+    var result = {
       score: composite,
       isBot: isBot,
       isSuspicious: isSuspicious,
@@ -2868,6 +3349,81 @@ function createBotDetector(options) {
         jsVerification: jsScore,
       },
     };
+    if (_predict) {
+      result.model = { type: model.type, probability: Math.round(probability * 10000) / 10000 };
+    }
+    if (envelope) {
+      result.breakdown.envelope = envelopeRisk;
+      result.envelope = envelope.ok ? { ok: true, seq: envelope.seq } : { ok: false, seq: envelope.seq, error: envelope.error };
+    }
+    if (automation.present) {
+      result.breakdown.automation = automation.score;
+      result.automation = { version: automation.version, detected: automation.detected, probes: automation.probes };
+    }
+    if (signals.userId != null && _typingProfiles[signals.userId]) {
+      result.typist = matchTypist(signals.userId, signals.keystrokes);
+      if (result.typist.sufficient && !result.typist.match) allFlags.push('typist_mismatch');
+    }
+    return result;
+  }
+
+  // ── Typist profiles ──
+
+  /**
+   * Fold a session's keystrokes into a user's typist profile.
+   *
+   * @param {string} userId
+   * @param {Array} keystrokes - As analyze()
+   * @returns {Object} The updated profile
+   */
+  function enrollTypist(userId, keystrokes) {
+    var session = _keystrokeDynamics.buildTypingProfile(keystrokes);
+    var existing = _typingProfiles[userId];
+    return setTypingProfile(userId, existing ? _keystrokeDynamics.mergeTypingProfiles(existing, session) : session);
+  }
+
+  /**
+   * Compare keystrokes against a user's typist profile.
+   *
+   * @param {string} userId
+   * @param {Array} keystrokes
+   * @returns {{ sufficient: boolean, distance: number|null, similarity: number|null,
+   *   match: boolean|null, sharedFeatures: number }|null} null without a profile
+   */
+  function matchTypist(userId, keystrokes) {
+    var profile = _typingProfiles[userId];
+    if (!profile) return null;
+    _typingOrder.touch(userId);
+    return _keystrokeDynamics.compareTypingProfiles(profile, keystrokes || [], { threshold: typingMatchThreshold });
+  }
+
+  /**
+   * Get a copy of a user's typist profile (plain JSON, for persistence).
+   * @param {string} userId
+   * @returns {Object|null}
+   */
+  function getTypingProfile(userId) {
+    var profile = _typingProfiles[userId];
+    return profile ? JSON.parse(JSON.stringify(profile)) : null;
+  }
+
+  /**
+   * Load a stored typist profile.
+   * @param {string} userId
+   * @param {Object} profile - From getTypingProfile or keystroke-dynamics
+   * @returns {Object} The stored profile
+   */
+  function setTypingProfile(userId, profile) {
+    // Merging with an empty profile validates and copies it.
+    profile = _keystrokeDynamics.mergeTypingProfiles(profile, _keystrokeDynamics.buildTypingProfile([]));
+    if (!_typingProfiles[userId]) {
+      _typingOrder.push(userId);
+      while (_typingOrder.length > maxTypingProfiles) delete _typingProfiles[_typingOrder.evictOldest()];
+    } else {
+      _typingOrder.touch(userId);
+    }
+    _typingProfiles[userId] = profile;
+    return profile;
   }
 
   /**
@@ -2891,81 +3447,498 @@ function createBotDetector(options) {
       minKeystrokeVariance: minKeystrokeVariance,
       botThreshold: botThreshold,
       suspiciousThreshold: suspiciousThreshold,
+      model: model ? model.type : null,
+      maxTypingProfiles: maxTypingProfiles,
+      typingMatchThreshold: typingMatchThreshold,
+      disabledProbes: disabledProbes.slice(),
+      requireEnvelope: requireEnvelope,
+      envelopeTtlMs: envelopeTtlMs,
+      maxEnvelopeBytes: maxEnvelopeBytes,
     };
   }
 
   return {
     analyze: analyze,
+    extractFeatures: extractFeatures,
     analyzeHoneypots: analyzeHoneypots,
     analyzeMouseMovements: analyzeMouseMovements,
     analyzeKeystrokes: analyzeKeystrokes,
     analyzeTiming: analyzeTiming,
     analyzeScroll: analyzeScroll,
+    analyzeAutomation: analyzeAutomation,
     getJsToken: getJsToken,
+    openEnvelope: openEnvelope,
     getHoneypotFields: getHoneypotFields,
     getConfig: getConfig,
+    enrollTypist: enrollTypist,
+    matchTypist: matchTypist,
+    getTypingProfile: getTypingProfile,
+    setTypingProfile: setTypingProfile,
+  };
+}
+
+
+// ── Detector Trainer ────────────────────────────────────────────────
+
+function _xorshift32(seed) {
+  var state = seed | 0 || 1;
+  return function () {
+    state ^= state << 13;
+    state ^= state >> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Creates a trainer that fits createBotDetector's scoring model from
+ * labelled sessions.
+ *
+ * Samples are the same signal objects analyze() takes, labelled "bot" or
+ * "human". train() splits them (stratified, seeded) into training and
+ * held-out sets, fits a logistic-regression or gradient-boosted-stump
+ * model over the detector's feature vector (BOT_DETECTOR_FEATURES), and
+ * reports precision, recall, F1 and ROC AUC on both sets. The returned
+ * model is JSON that `createBotDetector({ model })` loads.
+ *
+ * ```js
+ * var trainer = gifCaptcha.createDetectorTrainer();
+ * labelled.forEach(function (s) { trainer.add(s.signals, s.isBot ? 'bot' : 'human'); });
+ * var run = trainer.train({ algorithm: 'stumps', testFraction: 0.25 });
+ * run.metrics.test; // { precision, recall, f1, accuracy, auc, tp, fp, tn, fn, n }
+ * fs.writeFileSync('bot-model.json', JSON.stringify(run.model));
+ * var detector = gifCaptcha.createBotDetector({ model: run.model });
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.detector] - Detector whose extractFeatures()
+ *   is used; defaults to createBotDetector(options.detectorOptions)
+ * @param {Object} [options.detectorOptions]
+ * @param {number} [options.maxSamples=100000] - Oldest samples drop first
+ * @returns {Object} Trainer instance
+ */
+function createDetectorTrainer(options) {
+  options = options || {};
+  var detector = options.detector || createBotDetector(options.detectorOptions);
+  if (typeof detector.extractFeatures !== 'function') {
+    throw new TypeError('createDetectorTrainer: detector must provide extractFeatures()');
+  }
+  var maxSamples = Math.floor(_posOpt(options.maxSamples, 100000));
+  var samples = [];
+
+  function _label(label) {
+    if (label === 'bot' || label === 1 || label === true) return 1;
+    if (label === 'human' || label === 0 || label === false) return 0;
+    throw new TypeError('createDetectorTrainer: label must be "bot" or "human"');
+  }
+
+  /**
+   * Add one labelled session.
+   *
+   * @param {Object} signals - As createBotDetector().analyze()
+   * @param {string|number|boolean} label - "bot" / 1 / true or "human" / 0 / false
+   * @returns {number} Sample count
+   */
+  function add(signals, label) {
+    var y = _label(label);
+    samples.push({ x: detector.extractFeatures(signals).values, y: y });
+    if (samples.length > maxSamples) samples.splice(0, samples.length - maxSamples);
+    return samples.length;
+  }
+
+  /**
+   * Add many labelled sessions.
+   * @param {Array<{ signals: Object, label: string }>} list
+   * @returns {number} Sample count
+   */
+  function addBatch(list) {
+    if (!Array.isArray(list)) throw new TypeError('createDetectorTrainer: addBatch expects an array');
+    for (var i = 0; i < list.length; i++) add(list[i].signals, list[i].label);
+    return samples.length;
+  }
+
+  function _split(testFraction, seed) {
+    var rng = _xorshift32(seed);
+    var train = [];
+    var test = [];
+    [0, 1].forEach(function (cls) {
+      var group = samples.filter(function (s) { return s.y === cls; });
+      for (var i = group.length - 1; i > 0; i--) {
+        var j = Math.floor(rng() * (i + 1));
+        var t = group[i]; group[i] = group[j]; group[j] = t;
+      }
+      var nTest = testFraction > 0 ? Math.max(1, Math.round(group.length * testFraction)) : 0;
+      test = test.concat(group.slice(0, nTest));
+      train = train.concat(group.slice(nTest));
+    });
+    return { train: train, test: test };
+  }
+
+  function _metrics(predict, set, threshold) {
+    if (set.length === 0) return null;
+    var probs = set.map(function (s) { return predict(s.x); });
+    return _detectorModel.evaluateBinary(probs, set.map(function (s) { return s.y; }), threshold);
+  }
+
+  /**
+   * Fit a model.
+   *
+   * @param {Object} [opts]
+   * @param {string} [opts.algorithm="logistic"] - "logistic" or "stumps"
+   * @param {number} [opts.testFraction=0.25] - Held out per class; 0 trains on everything
+   * @param {number} [opts.seed=1] - Split seed
+   * @param {number} [opts.threshold=0.5] - Bot probability cut-off for the reported metrics
+   * @param {number} [opts.epochs] / [opts.learningRate] / [opts.l2] - Logistic settings
+   * @param {number} [opts.rounds] / [opts.maxThresholds] / [opts.lambda] - Stump settings
+   * @returns {{ model: Object, algorithm: string, trainSize: number, testSize: number,
+   *   metrics: { train: Object, test: Object|null }, importance: Array<{ feature: string, importance: number }> }}
+   * @throws {RangeError} With fewer than two training samples of either class
+   */
+  function train(opts) {
+    opts = opts || {};
+    var algorithm = opts.algorithm || 'logistic';
+    if (_detectorModel.MODEL_TYPES.indexOf(algorithm) === -1) {
+      throw new RangeError('createDetectorTrainer: unknown algorithm "' + algorithm + '"');
+    }
+    var testFraction = typeof opts.testFraction === 'number' ? _clamp(opts.testFraction, 0, 0.9) : 0.25;
+    var split = _split(testFraction, typeof opts.seed === 'number' ? opts.seed : 1);
+
+    var bots = 0;
+    for (var i = 0; i < split.train.length; i++) bots += split.train[i].y;
+    if (bots < 2 || split.train.length - bots < 2) {
+      throw new RangeError('createDetectorTrainer: need at least two bot and two human training samples');
+    }
+
+    var X = split.train.map(function (s) { return s.x; });
+    var y = split.train.map(function (s) { return s.y; });
+    var model = algorithm === 'stumps'
+      ? _detectorModel.fitStumps(X, y, BOT_DETECTOR_FEATURES, opts)
+      : _detectorModel.fitLogistic(X, y, BOT_DETECTOR_FEATURES, opts);
+    model.trainedAt = new Date(_now()).toISOString();
+    model.samples = split.train.length;
+
+    var predict = _detectorModel.compileModel(model, BOT_DETECTOR_FEATURES);
+    var threshold = typeof opts.threshold === 'number' ? opts.threshold : 0.5;
+    return {
+      model: model,
+      algorithm: algorithm,
+      trainSize: split.train.length,
+      testSize: split.test.length,
+      metrics: {
+        train: _metrics(predict, split.train, threshold),
+        test: _metrics(predict, split.test, threshold),
+      },
+      importance: _detectorModel.featureImportance(model),
+    };
+  }
+
+  /**
+   * Score a model against labelled sessions (or all added samples).
+   *
+   * @param {Object} model - Model JSON
+   * @param {Array<{ signals: Object, label: string }>} [list]
+   * @param {number} [threshold=0.5]
+   * @returns {Object|null} As train().metrics.test
+   */
+  function evaluate(model, list, threshold) {
+    var predict = _detectorModel.compileModel(model, BOT_DETECTOR_FEATURES);
+    var set = Array.isArray(list)
+      ? list.map(function (s) { return { x: detector.extractFeatures(s.signals).values, y: _label(s.label) }; })
+      : samples;
+    return _metrics(predict, set, threshold);
+  }
+
+  function getStats() {
+    var bots = 0;
+    for (var i = 0; i < samples.length; i++) bots += samples[i].y;
+    return { samples: samples.length, bots: bots, humans: samples.length - bots, features: BOT_DETECTOR_FEATURES.slice() };
+  }
+
+  function clear() {
+    samples = [];
+  }
+
+  return {
+    add: add,
+    addBatch: addBatch,
+    train: train,
+    evaluate: evaluate,
+    getStats: getStats,
+    clear: clear,
   };
 }
 
 
 // ~~ Token Verifier ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
 
+var TOKEN_KEY_STATUSES = { active: true, pending: true, retiring: true, retired: true };
+
 /**
  * Create a stateless token verifier for CAPTCHA completion tokens.
  *
- * Issues HMAC-signed tokens when a session passes, which can be
+ * Issues signed tokens when a session passes, which can be
  * verified server-side without shared session state. Similar to
  * how reCAPTCHA / hCaptcha issue signed verification tokens.
  *
  * Tokens encode: sessionId, timestamp, difficulty, score, IP hash.
- * They are signed with HMAC-SHA256 and expire after a configurable TTL.
+ *
+ * Two formats are supported:
+ *
+ *   - "jws" — compact JWS (`header.payload.signature`) signed with HS256
+ *     or EdDSA (Ed25519), with a `kid` header and standard JWT claims
+ *     (`sub`, `iat`, `exp`, `jti`, optional `iss`/`aud`). Any stock JWT
+ *     library can verify these given the key (or the JWKS from getJwks()).
+ *     Keys live in a keyring; each key is "active" (signs and verifies —
+ *     exactly one), "pending" (verifies only, with no expiry: another
+ *     instance's next key, staged ahead of its rotation), "retiring"
+ *     (verifies only; becomes retired once every token it could have
+ *     signed has expired) or "retired" (rejected).
+ *     rotateKey() swaps the signing key with no downtime.
+ *   - "legacy" — the original `payload.hexHmac` format keyed by `secret`.
+ *     Used when only `secret` is given. Whenever `secret` is set, legacy
+ *     tokens still verify, so a deployment can switch to JWS without
+ *     invalidating outstanding tokens.
  *
  * Requires Node.js crypto module.
  *
  * @param {Object} options
- * @param {string} options.secret - HMAC signing secret (min 16 chars)
+ * @param {string} [options.secret] - Legacy HMAC signing secret (min 16 chars); required unless `keys` is given
+ * @param {Object[]} [options.keys] - Keyring: [{ kid, alg: "HS256"|"EdDSA", secret | privateKey | publicKey, status }];
+ *   with several keys, those without a status are "pending"
+ * @param {string} [options.format] - "jws" or "legacy" (default: "jws" when `keys` is given, else "legacy")
+ * @param {string} [options.kid="default"] - Key ID for `secret` when format is "jws" and no `keys` are given
+ * @param {string} [options.issuer] - `iss` claim to emit and require (JWS only)
+ * @param {string} [options.audience] - `aud` claim to emit and require (JWS only)
+ * @param {string} [options.ipHashSecret] - Salt for IP binding hashes (required for EdDSA keys when bindIp)
+ * @param {number} [options.retiringGraceMs] - How long a retiring key keeps verifying (default tokenTtlMs + 30s)
  * @param {number} [options.tokenTtlMs=300000] - Token validity window (default 5 min)
  * @param {number} [options.maxTokenUses=1] - Max times a token can be verified (0 = unlimited)
  * @param {boolean} [options.bindIp=true] - Bind token to originating IP
  * @param {number} [options.maxUsedTokens=10000] - Max used-token nonces to track
+ * @param {Object} [options.store] - Shared state store for replay nonces; verifyTokenAsync must then be used
+ * @param {string} [options.storePrefix="gc:nonce:"] - Key prefix inside the store
  * @returns {Object} Token verifier instance
  */
 function createTokenVerifier(options) {
   options = options || {};
 
-  if (!options.secret || typeof options.secret !== 'string') {
-    throw new Error('Token verifier requires a secret string');
-  }
-  if (options.secret.length < 16) {
-    throw new Error('Secret must be at least 16 characters');
+  var hasKeys = Array.isArray(options.keys) && options.keys.length > 0;
+  if (!hasKeys || options.secret !== undefined) {
+    if (!options.secret || typeof options.secret !== 'string') {
+      throw new Error('Token verifier requires a secret string');
+    }
+    if (options.secret.length < 16) {
+      throw new Error('Secret must be at least 16 characters');
+    }
   }
   if (!_crypto || typeof _crypto.createHmac !== 'function') {
     throw new Error('Token verifier requires Node.js crypto module');
   }
 
-  var secret = options.secret;
+  var secret = options.secret || null;
+  var format = options.format || (hasKeys ? 'jws' : 'legacy');
+  if (format !== 'jws' && format !== 'legacy') {
+    throw new Error('format must be "jws" or "legacy"');
+  }
+  if (format === 'legacy' && hasKeys) {
+    throw new Error('keys require format "jws"');
+  }
   var tokenTtlMs = _posOpt(options.tokenTtlMs, 300000);
   var maxTokenUses = _nnOpt(options.maxTokenUses, 1);
   var bindIp = options.bindIp !== false;
   var maxUsedTokens = _posOpt(options.maxUsedTokens, 10000);
+  var issuer = typeof options.issuer === 'string' ? options.issuer : null;
+  var audience = typeof options.audience === 'string' ? options.audience : null;
+  var ipHashSecret = typeof options.ipHashSecret === 'string' && options.ipHashSecret ? options.ipHashSecret : null;
+  var retiringGraceMs = _nnOpt(options.retiringGraceMs, tokenTtlMs + 30000);
+  var sharedStore = options.store ? _stateStore.validateStateStore(options.store, 'createTokenVerifier') : null;
+  var storePrefix = typeof options.storePrefix === 'string' ? options.storePrefix : 'gc:nonce:';
 
   var usedNonces = Object.create(null);
   var usedNonceCount = 0;
   var usedNonceList = [];
 
+  // kid → { key, status, addedAt, retiringSince }
+  var keyring = Object.create(null);
+  var activeKid = null;
+
   function _hmac(data) {
     return _crypto.createHmac('sha256', secret).update(data).digest('hex');
   }
 
-  function _hashIp(ip) {
+  function _hashIp(ip, salt) {
     if (!ip || typeof ip !== 'string') return 'none';
-    return _crypto.createHash('sha256').update(ip + ':' + secret).digest('hex').substring(0, 16);
+    return _crypto.createHash('sha256').update(ip + ':' + (salt || secret)).digest('hex').substring(0, 16);
+  }
+
+  function _ipSalt(key) {
+    return ipHashSecret || key.secret;
   }
 
   function _generateNonce() {
     return _crypto.randomBytes(12).toString('hex');
   }
 
+  // ── Keyring ──
+
+  function _addKey(def, status) {
+    if (!TOKEN_KEY_STATUSES[status]) {
+      throw new Error('Key status must be active, pending, retiring, or retired');
+    }
+    var key = _jws.normalizeKey(def);
+    if (keyring[key.kid]) {
+      throw new Error('Duplicate key id: ' + key.kid);
+    }
+    if (bindIp && !_ipSalt(key)) {
+      throw new Error('EdDSA key ' + key.kid + ' requires options.ipHashSecret when bindIp is enabled');
+    }
+    if (status === 'active' && !key.secret && !key.privateKey) {
+      throw new Error('Active key ' + key.kid + ' needs signing material (secret or privateKey)');
+    }
+    var now = Date.now();
+    keyring[key.kid] = { key: key, status: status, addedAt: now, retiringSince: status === 'retiring' ? now : null };
+    return keyring[key.kid];
+  }
+
+  function _status(entry) {
+    if (entry.status === 'retiring' && Date.now() - entry.retiringSince > retiringGraceMs) {
+      entry.status = 'retired';
+    }
+    return entry.status;
+  }
+
+  function _activate(kid) {
+    if (activeKid && activeKid !== kid) {
+      keyring[activeKid].status = 'retiring';
+      keyring[activeKid].retiringSince = Date.now();
+    }
+    var entry = keyring[kid];
+    entry.status = 'active';
+    entry.retiringSince = null;
+    activeKid = kid;
+  }
+
+  if (format === 'jws') {
+    var initialKeys = hasKeys
+      ? options.keys
+      : [{ kid: typeof options.kid === 'string' && options.kid ? options.kid : 'default', alg: 'HS256', secret: secret, status: 'active' }];
+    for (var ki = 0; ki < initialKeys.length; ki++) {
+      var def = initialKeys[ki] || {};
+      var st = def.status || (initialKeys.length === 1 ? 'active' : 'pending');
+      if (st === 'active' && activeKid) {
+        throw new Error('Keyring must have exactly one active key');
+      }
+      _addKey(def, st);
+      if (st === 'active') activeKid = def.kid;
+    }
+    if (!activeKid) {
+      throw new Error('Keyring must have exactly one active key');
+    }
+  }
+
+  /**
+   * Add a key to the keyring. Keys default to "pending" (verify-only, no
+   * grace clock), which is how a verifier learns another instance's next
+   * key ahead of rotation. Adding a key as "active" demotes the current
+   * signer.
+   *
+   * @param {Object} def - { kid, alg, secret | privateKey | publicKey, status? }
+   * @returns {{ kid: string, alg: string, status: string }}
+   */
+  function addKey(def) {
+    if (format !== 'jws') throw new Error('addKey requires format "jws"');
+    var status = (def && def.status) || 'pending';
+    var entry = _addKey(def, status === 'active' ? 'pending' : status);
+    if (status === 'active') _activate(entry.key.kid);
+    return { kid: entry.key.kid, alg: entry.key.alg, status: entry.status };
+  }
+
+  /**
+   * Rotate the signing key: `def` becomes active and the current active
+   * key moves to "retiring", so tokens it signed keep verifying until
+   * they expire.
+   *
+   * @param {Object} def - New key { kid, alg, secret | privateKey }
+   * @returns {{ activeKid: string, retiringKid: string|null }}
+   */
+  function rotateKey(def) {
+    if (format !== 'jws') throw new Error('rotateKey requires format "jws"');
+    var previous = activeKid;
+    var entry = _addKey(def, 'pending');
+    _activate(entry.key.kid);
+    return { activeKid: activeKid, retiringKid: previous };
+  }
+
+  /**
+   * Change a key's status. Activating a key demotes the current active
+   * key to "retiring"; the active key itself can only be replaced, not
+   * demoted directly, so the verifier always has a signer.
+   *
+   * @param {string} kid
+   * @param {string} status - "active", "pending", "retiring" or "retired"
+   * @returns {boolean} false if the kid is unknown
+   */
+  function setKeyStatus(kid, status) {
+    if (!TOKEN_KEY_STATUSES[status]) {
+      throw new Error('Key status must be active, pending, retiring, or retired');
+    }
+    var entry = keyring[kid];
+    if (!entry) return false;
+    if (status === 'active') {
+      if (!entry.key.secret && !entry.key.privateKey) {
+        throw new Error('Key ' + kid + ' has no signing material');
+      }
+      _activate(kid);
+      return true;
+    }
+    if (kid === activeKid) {
+      throw new Error('Cannot demote the active key; activate or rotate to another key first');
+    }
+    entry.status = status;
+    entry.retiringSince = status === 'retiring' ? Date.now() : null;
+    return true;
+  }
+
+  /**
+   * Remove a non-active key from the keyring.
+   * @param {string} kid
+   * @returns {boolean}
+   */
+  function removeKey(kid) {
+    if (!keyring[kid]) return false;
+    if (kid === activeKid) throw new Error('Cannot remove the active key');
+    delete keyring[kid];
+    return true;
+  }
+
+  /**
+   * List keyring entries (no key material).
+   * @returns {Array<{ kid: string, alg: string, status: string, addedAt: number, retiringSince: number|null }>}
+   */
+  function listKeys() {
+    return Object.keys(keyring).map(function (kid) {
+      var e = keyring[kid];
+      return { kid: kid, alg: e.key.alg, status: _status(e), addedAt: e.addedAt, retiringSince: e.retiringSince };
+    });
+  }
+
+  /**
+   * Public JWK Set for the EdDSA keys that still verify, for publishing
+   * at a `.well-known/jwks.json`-style endpoint. HS256 keys are never
+   * included.
+   * @returns {{ keys: Object[] }}
+   */
+  function getJwks() {
+    var out = [];
+    Object.keys(keyring).forEach(function (kid) {
+      var e = keyring[kid];
+      if (_status(e) === 'retired') return;
+      var jwk = _jws.publicJwk(e.key);
+      if (jwk) out.push(jwk);
+    });
+    return { keys: out };
+  }
+
   /**
    * Purge nonces whose tokens have already expired.
    * Expired nonces can never appear in a valid token (expiry is checked
@@ -3026,7 +3999,7 @@ function createTokenVerifier(options) {
    * @param {number} params.difficulty - Difficulty level used
    * @param {string} [params.ip] - Client IP (hashed into token if bindIp)
    * @param {Object} [params.metadata] - Extra claims to embed (max 10 keys, primitives only)
-   * @returns {{ token: string, expiresAt: number }}
+   * @returns {{ token: string, expiresAt: number, kid?: string }}
    */
   function issueToken(params) {
     params = params || {};
@@ -3040,35 +4013,57 @@ function createTokenVerifier(options) {
       throw new Error('difficulty must be a non-negative number');
     }
 
-    var now = Date.now();
-    var nonce = _generateNonce();
-    var ipHash = bindIp ? _hashIp(params.ip) : 'unbound';
-
-    var payload = {
-      sid: params.sessionId,
-      scr: Math.round(params.score * 1000) / 1000,
-      dif: params.difficulty,
-      iph: ipHash,
-      iat: now,
-      exp: now + tokenTtlMs,
-      non: nonce,
-    };
-
+    var meta = null;
     if (params.metadata && typeof params.metadata === 'object') {
       var metaKeys = Object.keys(params.metadata);
       if (metaKeys.length > 10) {
         throw new Error('metadata cannot have more than 10 keys');
       }
-      payload.meta = Object.create(null);
+      meta = Object.create(null);
       for (var i = 0; i < metaKeys.length; i++) {
         var k = metaKeys[i];
         var v = params.metadata[k];
         if (typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean') {
-          payload.meta[k] = v;
+          meta[k] = v;
         }
       }
     }
 
+    var now = Date.now();
+    var nonce = _generateNonce();
+
+    if (format === 'jws') {
+      var signer = keyring[activeKid].key;
+      var iat = Math.floor(now / 1000);
+      var claims = {};
+      if (issuer) claims.iss = issuer;
+      if (audience) claims.aud = audience;
+      claims.sub = params.sessionId;
+      claims.iat = iat;
+      claims.exp = iat + Math.ceil(tokenTtlMs / 1000);
+      claims.jti = nonce;
+      claims.scr = Math.round(params.score * 1000) / 1000;
+      claims.dif = params.difficulty;
+      claims.iph = bindIp ? _hashIp(params.ip, _ipSalt(signer)) : 'unbound';
+      if (meta) claims.meta = meta;
+      return {
+        token: _jws.sign(claims, signer, { typ: 'JWT' }),
+        expiresAt: claims.exp * 1000,
+        kid: signer.kid,
+      };
+    }
+
+    var payload = {
+      sid: params.sessionId,
+      scr: Math.round(params.score * 1000) / 1000,
+      dif: params.difficulty,
+      iph: bindIp ? _hashIp(params.ip) : 'unbound',
+      iat: now,
+      exp: now + tokenTtlMs,
+      non: nonce,
+    };
+    if (meta) payload.meta = meta;
+
     var payloadStr = JSON.stringify(payload);
     var payloadB64 = Buffer.from(payloadStr).toString('base64url');
     var signature = _hmac(payloadB64);
@@ -3079,28 +4074,39 @@ function createTokenVerifier(options) {
     };
   }
 
-  /**
-   * Verify a previously issued token.
-   *
-   * Checks signature, expiry, IP binding, and replay protection.
-   *
-   * @param {string} token - The token string to verify
-   * @param {Object} [context]
-   * @param {string} [context.ip] - Client IP to check against binding
-   * @returns {{ valid: boolean, reason?: string, payload?: Object }}
-   */
-  function verifyToken(token, context) {
-    context = context || {};
+  // Local replay check; the async path swaps in one backed by the shared store.
+  function _localReplay(nonce) {
+    if (_recordNonce(nonce) > maxTokenUses) {
+      return { valid: false, reason: 'token_already_used' };
+    }
+    return null;
+  }
 
-    if (!token || typeof token !== 'string') {
-      return { valid: false, reason: 'missing_token' };
+  // Shared tail of both formats: expiry, skew, IP binding, replay.
+  function _checkClaims(c, context, replay) {
+    var now = Date.now();
+    if (now > c.exp) {
+      return { valid: false, reason: 'token_expired' };
+    }
+
+    if (c.iat > now + 30000) {
+      return { valid: false, reason: 'token_from_future' };
+    }
+
+    if (bindIp && c.iph !== 'unbound' && c.iph !== 'none') {
+      var contextIpHash = _hashIp(context.ip, c.ipSalt);
+      if (c.iph !== contextIpHash) {
+        return { valid: false, reason: 'ip_mismatch' };
+      }
     }
 
-    var parts = token.split('.');
-    if (parts.length !== 2) {
-      return { valid: false, reason: 'malformed_token' };
+    if (maxTokenUses > 0) {
+      return replay(c.nonce, c.exp);
     }
+    return null;
+  }
 
+  function _verifyLegacy(parts, context, replay) {
     var payloadB64 = parts[0];
     var signature = parts[1];
 
@@ -3141,28 +4147,8 @@ function createTokenVerifier(options) {
       return { valid: false, reason: 'incomplete_payload' };
     }
 
-    var now = Date.now();
-    if (now > payload.exp) {
-      return { valid: false, reason: 'token_expired' };
-    }
-
-    if (payload.iat > now + 30000) {
-      return { valid: false, reason: 'token_from_future' };
-    }
-
-    if (bindIp && payload.iph !== 'unbound' && payload.iph !== 'none') {
-      var contextIpHash = _hashIp(context.ip);
-      if (payload.iph !== contextIpHash) {
-        return { valid: false, reason: 'ip_mismatch' };
-      }
-    }
-
-    if (maxTokenUses > 0) {
-      var uses = _recordNonce(payload.non);
-      if (uses > maxTokenUses) {
-        return { valid: false, reason: 'token_already_used' };
-      }
-    }
+    var failure = _checkClaims({ exp: payload.exp, iat: payload.iat, iph: payload.iph, nonce: payload.non, ipSalt: secret }, context, replay);
+    if (failure) return failure;
 
     return {
       valid: true,
@@ -3177,6 +4163,122 @@ function createTokenVerifier(options) {
     };
   }
 
+  function _verifyJws(token, context, replay) {
+    var decoded = _jws.decode(token);
+    if (!decoded) {
+      return { valid: false, reason: 'malformed_token' };
+    }
+    var kid = decoded.header.kid;
+    var entry = typeof kid === 'string' ? keyring[kid] : undefined;
+    if (!entry) {
+      return { valid: false, reason: 'unknown_kid' };
+    }
+    if (_status(entry) === 'retired') {
+      return { valid: false, reason: 'key_retired' };
+    }
+
+    var checked = _jws.verify(decoded, entry.key);
+    if (!checked.valid) {
+      return { valid: false, reason: checked.reason };
+    }
+    var c = checked.claims;
+    if (typeof c.sub !== 'string' || !c.sub || typeof c.iat !== 'number' || typeof c.exp !== 'number' ||
+        typeof c.jti !== 'string' || !c.jti) {
+      return { valid: false, reason: 'incomplete_payload' };
+    }
+    if (issuer && c.iss !== issuer) {
+      return { valid: false, reason: 'issuer_mismatch' };
+    }
+    if (audience && !(c.aud === audience || (Array.isArray(c.aud) && c.aud.indexOf(audience) !== -1))) {
+      return { valid: false, reason: 'audience_mismatch' };
+    }
+
+    // JWT NumericDates are seconds; exp is exclusive
+    var failure = _checkClaims({
+      exp: c.exp * 1000 - 1, iat: c.iat * 1000, iph: c.iph, nonce: c.jti, ipSalt: _ipSalt(entry.key),
+    }, context, replay);
+    if (failure) return failure;
+
+    return {
+      valid: true,
+      payload: {
+        sessionId: c.sub,
+        score: c.scr,
+        difficulty: c.dif,
+        issuedAt: c.iat * 1000,
+        expiresAt: c.exp * 1000,
+        metadata: c.meta || {},
+        kid: kid,
+      },
+    };
+  }
+
+  /**
+   * Verify a previously issued token (JWS or legacy format).
+   *
+   * Checks signature, expiry, IP binding, and replay protection; JWS
+   * tokens are also checked against the keyring (`kid`, key status,
+   * algorithm) and the configured issuer/audience.
+   *
+   * @param {string} token - The token string to verify
+   * @param {Object} [context]
+   * @param {string} [context.ip] - Client IP to check against binding
+   * @returns {{ valid: boolean, reason?: string, payload?: Object }}
+   * @throws {Error} When a shared store is configured (use verifyTokenAsync)
+   */
+  function verifyToken(token, context) {
+    if (sharedStore) {
+      throw new Error('verifyToken: a shared store is configured; use verifyTokenAsync');
+    }
+    return _verify(token, context || {}, _localReplay);
+  }
+
+  function _verify(token, context, replay) {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, reason: 'missing_token' };
+    }
+
+    var parts = token.split('.');
+    if (parts.length === 3 && format === 'jws') {
+      return _verifyJws(token, context, replay);
+    }
+    if (parts.length === 2 && secret) {
+      return _verifyLegacy(parts, context, replay);
+    }
+    return { valid: false, reason: 'malformed_token' };
+  }
+
+  /**
+   * Promise-returning verifyToken. With `options.store` the replay check
+   * is an atomic `incr` on the shared store, so a token redeemed on one
+   * replica is rejected on every other; without a store it resolves to
+   * the verifyToken result.
+   *
+   * @param {string} token
+   * @param {Object} [context] - { ip }
+   * @returns {Promise<{ valid: boolean, reason?: string, payload?: Object }>}
+   */
+  function verifyTokenAsync(token, context) {
+    context = context || {};
+    if (!sharedStore) {
+      return Promise.resolve().then(function () { return verifyToken(token, context); });
+    }
+    var pending = null;
+    var result = _verify(token, context, function (nonce, expMs) {
+      pending = { nonce: nonce, expMs: expMs };
+      return null;
+    });
+    if (!result.valid || !pending) return Promise.resolve(result);
+    // Keep the nonce until the token could no longer pass the expiry check
+    var ttlMs = Math.max(1, pending.expMs - Date.now()) + 30000;
+    return sharedStore.incr(storePrefix + pending.nonce, 1, { ttlMs: ttlMs }).then(function (uses) {
+      if (uses > maxTokenUses) {
+        return { valid: false, reason: 'token_already_used' };
+      }
+      return result;
+    });
+  }
+
   /**
    * Convenience: issue token from a session manager result.
    *
@@ -3206,7 +4308,7 @@ function createTokenVerifier(options) {
 
   /**
    * Get current verifier stats.
-   * @returns {{ trackedNonces: number, maxCapacity: number, tokenTtlMs: number, maxUses: number, ipBound: boolean }}
+   * @returns {{ trackedNonces: number, maxCapacity: number, tokenTtlMs: number, maxUses: number, ipBound: boolean, format: string, activeKid: string|null, keyCount: number, sharedStore: boolean }}
    */
   function getStats() {
     return {
@@ -3215,6 +4317,10 @@ function createTokenVerifier(options) {
       tokenTtlMs: tokenTtlMs,
       maxUses: maxTokenUses,
       ipBound: bindIp,
+      format: format,
+      activeKid: activeKid,
+      keyCount: Object.keys(keyring).length,
+      sharedStore: !!sharedStore,
     };
   }
 
@@ -3230,9 +4336,16 @@ function createTokenVerifier(options) {
   return {
     issueToken: issueToken,
     verifyToken: verifyToken,
+    verifyTokenAsync: verifyTokenAsync,
     issueFromSession: issueFromSession,
     getStats: getStats,
     clearUsedTokens: clearUsedTokens,
+    addKey: addKey,
+    rotateKey: rotateKey,
+    setKeyStatus: setKeyStatus,
+    removeKey: removeKey,
+    listKeys: listKeys,
+    getJwks: getJwks,
   };
 }
 
@@ -3245,6 +4358,11 @@ function createTokenVerifier(options) {
  * Tracks solve/fail history per identifier (IP, device fingerprint, etc.),
  * computes trust scores, supports allowlists/blocklists, and decays
  * reputation over time to prevent stale entries.
+ *
+ * Besides exact identifiers, the lists take IPv4/IPv6 CIDRs with expiry
+ * and a source label. `options.blockLists` / `options.allowLists` accept
+ * shared createIpList() instances (e.g. feed files under watchFile()),
+ * consulted after the tracker's own entries.
  */
 function createReputationTracker(options) {
   options = options || {};
@@ -3268,6 +4386,13 @@ function createReputationTracker(options) {
   var blocklist = Object.create(null);
   var entryCount = 0;
 
+  // CIDR ranges and expiring entries live in radix-tree lists; shared
+  // feed-backed lists (options.blockLists / allowLists) are consulted too
+  var blockRanges = _ipList.createIpList({ name: "blocklist", now: _now });
+  var allowRanges = _ipList.createIpList({ name: "allowlist", now: _now });
+  var externalBlockLists = _listsOpt(options.blockLists, "blockLists");
+  var externalAllowLists = _listsOpt(options.allowLists, "allowLists");
+
   // O(1) LRU eviction tracker (replaces array + indexOf + splice)
   var evictionOrder = new LruTracker();
 
@@ -3285,6 +4410,48 @@ function createReputationTracker(options) {
     return initialScore + (entry.score - initialScore) * decayFactor;
   }
 
+  function _listsOpt(lists, label) {
+    if (lists == null) return [];
+    if (!Array.isArray(lists)) lists = [lists];
+    for (var i = 0; i < lists.length; i++) {
+      if (!lists[i] || typeof lists[i].lookup !== "function") {
+        throw new TypeError("createReputationTracker: " + label + " entries must be IP lists with lookup(ip)");
+      }
+    }
+    return lists;
+  }
+
+  function _rangeMatch(list, id) {
+    var hit = list.lookup(id);
+    if (!hit) return null;
+    return { list: list.name, entry: hit.network, source: hit.source, expiresAt: hit.expiresAt, comment: hit.comment };
+  }
+
+  /**
+   * Find the list entry that decides an identifier, if any. Exact
+   * identifiers are checked before ranges, and blocks before allows at
+   * each level, so an operator's exact allow overrides a blocked feed range.
+   *
+   * @returns {{ list: string, entry: string, source: string, expiresAt: number|null, comment: string|null }|null}
+   */
+  function _match(id) {
+    if (blocklist[id]) return { list: "blocklist", entry: id, source: "manual", expiresAt: null, comment: null };
+    if (allowlist[id]) return { list: "allowlist", entry: id, source: "manual", expiresAt: null, comment: null };
+    var m = _rangeMatch(blockRanges, id);
+    for (var b = 0; !m && b < externalBlockLists.length; b++) m = _rangeMatch(externalBlockLists[b], id);
+    if (m) { m.list = "blocklist"; return m; }
+    m = _rangeMatch(allowRanges, id);
+    for (var a = 0; !m && a < externalAllowLists.length; a++) m = _rangeMatch(externalAllowLists[a], id);
+    if (m) { m.list = "allowlist"; return m; }
+    return null;
+  }
+
+  // Range lists take CIDRs, and addresses added with expiry or a source
+  function _isRangeAdd(id, opts) {
+    if (!_ipUtils.parseCidr(id)) return false;
+    return id.indexOf("/") !== -1 || !!opts;
+  }
+
   function _ensureEntry(identifier) {
     var id = String(identifier);
     if (!entries[id]) {
@@ -3353,10 +4520,11 @@ function createReputationTracker(options) {
    */
   function recordSolve(identifier) {
     var id = String(identifier);
-    if (blocklist[id]) {
+    var listed = _match(id);
+    if (listed && listed.list === "blocklist") {
       return { score: 0, classification: "blocked" };
     }
-    if (allowlist[id]) {
+    if (listed) {
       return { score: 1, classification: "trusted" };
     }
     var entry = _ensureEntry(id);
@@ -3381,10 +4549,11 @@ function createReputationTracker(options) {
    */
   function recordFail(identifier) {
     var id = String(identifier);
-    if (blocklist[id]) {
+    var listed = _match(id);
+    if (listed && listed.list === "blocklist") {
       return { score: 0, classification: "blocked" };
     }
-    if (allowlist[id]) {
+    if (listed) {
       return { score: 1, classification: "trusted" };
     }
     var entry = _ensureEntry(id);
@@ -3409,10 +4578,11 @@ function createReputationTracker(options) {
    */
   function recordTimeout(identifier) {
     var id = String(identifier);
-    if (blocklist[id]) {
+    var listed = _match(id);
+    if (listed && listed.list === "blocklist") {
       return { score: 0, classification: "blocked" };
     }
-    if (allowlist[id]) {
+    if (listed) {
       return { score: 1, classification: "trusted" };
     }
     var entry = _ensureEntry(id);
@@ -3428,16 +4598,20 @@ function createReputationTracker(options) {
   /**
    * Get the current reputation for an identifier.
    *
+   * Listed identifiers carry `listMatch`: which list and entry decided
+   * them (`{ list, entry, source, expiresAt, comment }`).
+   *
    * @param {string} identifier
-   * @returns {{ score: number, classification: string, solves: number, fails: number, timeouts: number, totalAttempts: number, firstSeen: number, lastActivity: number } | null}
+   * @returns {{ score: number, classification: string, solves: number, fails: number, timeouts: number, totalAttempts: number, firstSeen: number, lastActivity: number, listMatch?: Object } | null}
    */
   function getReputation(identifier) {
     var id = String(identifier);
-    if (blocklist[id]) {
-      return { score: 0, classification: "blocked", solves: 0, fails: 0, timeouts: 0, totalAttempts: 0, firstSeen: 0, lastActivity: 0 };
+    var listed = _match(id);
+    if (listed && listed.list === "blocklist") {
+      return { score: 0, classification: "blocked", solves: 0, fails: 0, timeouts: 0, totalAttempts: 0, firstSeen: 0, lastActivity: 0, listMatch: listed };
     }
-    if (allowlist[id]) {
-      return { score: 1, classification: "trusted", solves: 0, fails: 0, timeouts: 0, totalAttempts: 0, firstSeen: 0, lastActivity: 0 };
+    if (listed) {
+      return { score: 1, classification: "trusted", solves: 0, fails: 0, timeouts: 0, totalAttempts: 0, firstSeen: 0, lastActivity: 0, listMatch: listed };
     }
     if (!entries[id]) return null;
     var entry = entries[id];
@@ -3458,15 +4632,16 @@ function createReputationTracker(options) {
    * Check if an identifier should be challenged, trusted, or blocked.
    *
    * @param {string} identifier
-   * @returns {{ action: string, score: number, reason: string }}
+   * @returns {{ action: string, score: number, reason: string, listMatch?: Object }}
    */
   function getAction(identifier) {
     var id = String(identifier);
-    if (blocklist[id]) {
-      return { action: "block", score: 0, reason: "blocklisted" };
+    var listed = _match(id);
+    if (listed && listed.list === "blocklist") {
+      return { action: "block", score: 0, reason: "blocklisted", listMatch: listed };
     }
-    if (allowlist[id]) {
-      return { action: "allow", score: 1, reason: "allowlisted" };
+    if (listed) {
+      return { action: "allow", score: 1, reason: "allowlisted", listMatch: listed };
     }
     if (!entries[id]) {
       return { action: "challenge", score: initialScore, reason: "unknown_identifier" };
@@ -3498,10 +4673,19 @@ function createReputationTracker(options) {
   /**
    * Add an identifier to the allowlist (always trusted).
    *
+   * CIDRs ("10.0.0.0/8"), and addresses given with options, go into the
+   * range list, where they can expire and carry a source label.
+   *
    * @param {string} identifier
+   * @param {Object} [opts] - { source, expiresAt, ttlMs, comment }
    */
-  function addToAllowlist(identifier) {
+  function addToAllowlist(identifier, opts) {
     var id = String(identifier);
+    if (_isRangeAdd(id, opts)) {
+      allowRanges.add(id, opts);
+      blockRanges.remove(id);
+      return;
+    }
     allowlist[id] = true;
     // Remove from blocklist if present
     delete blocklist[id];
@@ -3511,50 +4695,62 @@ function createReputationTracker(options) {
    * Add an identifier to the blocklist (always blocked).
    *
    * @param {string} identifier
+   * @param {Object} [opts] - As addToAllowlist
    */
-  function addToBlocklist(identifier) {
+  function addToBlocklist(identifier, opts) {
     var id = String(identifier);
+    if (_isRangeAdd(id, opts)) {
+      blockRanges.add(id, opts);
+      allowRanges.remove(id);
+      return;
+    }
     blocklist[id] = true;
     // Remove from allowlist if present
     delete allowlist[id];
   }
 
   /**
-   * Remove an identifier from the allowlist.
+   * Remove an identifier or range from the allowlist.
    *
    * @param {string} identifier
    */
   function removeFromAllowlist(identifier) {
-    delete allowlist[String(identifier)];
+    var id = String(identifier);
+    delete allowlist[id];
+    allowRanges.remove(id);
   }
 
   /**
-   * Remove an identifier from the blocklist.
+   * Remove an identifier or range from the blocklist.
    *
    * @param {string} identifier
    */
   function removeFromBlocklist(identifier) {
-    delete blocklist[String(identifier)];
+    var id = String(identifier);
+    delete blocklist[id];
+    blockRanges.remove(id);
   }
 
   /**
-   * Check if an identifier is on the allowlist.
+   * Check if an identifier is allowed by an exact entry or a range.
    *
    * @param {string} identifier
    * @returns {boolean}
    */
   function isAllowlisted(identifier) {
-    return allowlist[String(identifier)] === true;
+    var m = _match(String(identifier));
+    return m !== null && m.list === "allowlist";
   }
 
   /**
-   * Check if an identifier is on the blocklist.
+   * Check if an identifier is blocked by an exact entry or a range.
    *
    * @param {string} identifier
    * @returns {boolean}
    */
   function isBlocklisted(identifier) {
-    return blocklist[String(identifier)] === true;
+    var m = _match(String(identifier));
+    return m !== null && m.list === "blocklist";
   }
 
   /**
@@ -3585,7 +4781,9 @@ function createReputationTracker(options) {
   /**
    * Get aggregate statistics about tracked reputations.
    *
-   * @returns {{ trackedCount: number, allowlistCount: number, blocklistCount: number, classifications: { trusted: number, neutral: number, suspicious: number, dangerous: number }, averageScore: number }}
+   * Range counts include the shared blockLists / allowLists.
+   *
+   * @returns {{ trackedCount: number, allowlistCount: number, blocklistCount: number, allowRangeCount: number, blockRangeCount: number, classifications: { trusted: number, neutral: number, suspicious: number, dangerous: number }, averageScore: number }}
    */
   function getStats() {
     var classifications = { trusted: 0, neutral: 0, suspicious: 0, dangerous: 0 };
@@ -3602,10 +4800,16 @@ function createReputationTracker(options) {
     for (var a in allowlist) { allowlistCount++; }
     var blocklistCount = 0;
     for (var b in blocklist) { blocklistCount++; }
+    var allowRangeCount = allowRanges.size();
+    for (var ar = 0; ar < externalAllowLists.length; ar++) allowRangeCount += externalAllowLists[ar].size();
+    var blockRangeCount = blockRanges.size();
+    for (var br = 0; br < externalBlockLists.length; br++) blockRangeCount += externalBlockLists[br].size();
     return {
       trackedCount: count,
       allowlistCount: allowlistCount,
       blocklistCount: blocklistCount,
+      allowRangeCount: allowRangeCount,
+      blockRangeCount: blockRangeCount,
       classifications: classifications,
       averageScore: count > 0 ? totalScore / count : 0,
     };
@@ -3627,12 +4831,15 @@ function createReputationTracker(options) {
   }
 
   /**
-   * Clear all reputation data, allowlists, and blocklists.
+   * Clear all reputation data, allowlists, and blocklists. Shared
+   * blockLists / allowLists passed in options are left alone.
    */
   function reset() {
     entries = Object.create(null);
     allowlist = Object.create(null);
     blocklist = Object.create(null);
+    allowRanges.clear();
+    blockRanges.clear();
     entryCount = 0;
     evictionOrder.clear();
   }
@@ -3640,7 +4847,7 @@ function createReputationTracker(options) {
   /**
    * Export all reputation data for persistence.
    *
-   * @returns {{ entries: Object, allowlist: string[], blocklist: string[] }}
+   * @returns {{ entries: Object, allowlist: string[], blocklist: string[], allowRanges: Object[], blockRanges: Object[] }}
    */
   function exportData() {
     var exportedEntries = Object.create(null);
@@ -3665,13 +4872,15 @@ function createReputationTracker(options) {
       entries: exportedEntries,
       allowlist: allowArr,
       blocklist: blockArr,
+      allowRanges: allowRanges.exportState(),
+      blockRanges: blockRanges.exportState(),
     };
   }
 
   /**
    * Import previously exported reputation data.
    *
-   * @param {{ entries?: Object, allowlist?: string[], blocklist?: string[] }} data
+   * @param {{ entries?: Object, allowlist?: string[], blocklist?: string[], allowRanges?: Object[], blockRanges?: Object[] }} data
    */
   function importData(data) {
     if (!data || typeof data !== "object") return;
@@ -3712,6 +4921,8 @@ function createReputationTracker(options) {
         }
       }
     }
+    allowRanges.importState(data.allowRanges);
+    blockRanges.importState(data.blockRanges);
   }
 
   return {
@@ -3733,6 +4944,8 @@ function createReputationTracker(options) {
     reset: reset,
     exportData: exportData,
     importData: importData,
+    allowRanges: allowRanges,
+    blockRanges: blockRanges,
   };
 }
 
@@ -4318,7 +5531,8 @@ function createChallengeRouter(options) {
  * - Sliding window counters (not fixed buckets) for smooth limiting
  * - Progressive delay calculation based on request pressure
  * - Burst detection with configurable thresholds
- * - Client allowlist/blocklist
+ * - Client allowlist/blocklist (exact IDs or CIDR ranges)
+ * - Extra tiers (per-address, per-network, global) checked with the per-client limit
  * - Automatic cleanup of expired entries (LRU eviction)
  * - State export/import for persistence
  * - Batch check for multiple clients
@@ -4331,8 +5545,12 @@ function createChallengeRouter(options) {
  * @param {number} [options.maxDelay=30000]          - Maximum progressive delay in ms
  * @param {number} [options.baseDelay=1000]          - Base delay for progressive calculation
  * @param {number} [options.maxClients=10000]        - Max tracked clients (LRU eviction)
- * @param {string[]} [options.allowlist=[]]          - Client IDs that bypass limiting
- * @param {string[]} [options.blocklist=[]]          - Client IDs always blocked
+ * @param {string[]} [options.allowlist=[]]          - Client IDs or CIDR ranges that bypass limiting
+ * @param {string[]} [options.blocklist=[]]          - Client IDs or CIDR ranges always blocked
+ * @param {Object[]} [options.tiers]                 - Extra limits charged on every check, each
+ *   { name?, scope: 'ip'|'prefix'|'global', ipv4Prefix=24, ipv6Prefix=64 } plus optional
+ *   windowMs / maxRequests / burstThreshold / burstWindowMs (tier bursts are off by default).
+ *   Results then carry `tier`: null, "client" (the per-client limit) or the tripping tier's name
  * @returns {Object} Rate limiter instance
  */
 function createRateLimiter(options) {
@@ -4349,8 +5567,15 @@ function createRateLimiter(options) {
   // Sets for O(1) lookup
   var allowSet = Object.create(null);
   var blockSet = Object.create(null);
-  (options.allowlist || []).forEach(function (id) { allowSet[id] = true; });
-  (options.blocklist || []).forEach(function (id) { blockSet[id] = true; });
+  (options.allowlist || []).forEach(function (id) { allowSet[_listKey(id)] = true; });
+  (options.blocklist || []).forEach(function (id) { blockSet[_listKey(id)] = true; });
+
+  // Parsed CIDR entries of allowSet / blockSet
+  var allowRanges = [];
+  var blockRanges = [];
+  _rebuildRanges();
+
+  var tiers = options.tiers ? _buildTiers(options.tiers) : null;
 
   // clientId -> { timestamps: number[], lastAccess: number }
   var clients = Object.create(null);
@@ -4363,6 +5588,104 @@ function createRateLimiter(options) {
   var totalBlocked = 0;
   var totalBursts = 0;
 
+  function _listKey(id) {
+    if (typeof id === "string" && id.indexOf("/") !== -1) {
+      var cidr = _ipUtils.parseCidr(id);
+      if (cidr) return _ipUtils.formatCidr(cidr);
+    }
+    return id;
+  }
+
+  function _rangesOf(set) {
+    return Object.keys(set).filter(function (id) { return id.indexOf("/") !== -1; })
+      .map(function (id) { return _ipUtils.parseCidr(id); })
+      .filter(Boolean);
+  }
+
+  function _rebuildRanges() {
+    allowRanges = _rangesOf(allowSet);
+    blockRanges = _rangesOf(blockSet);
+  }
+
+  /** Exact membership, or the client's address inside a listed range. */
+  function _listed(set, ranges, clientId) {
+    if (set[clientId]) return true;
+    if (!ranges.length) return false;
+    var addr = _ipUtils.parseIp(clientId);
+    if (!addr) return false;
+    for (var i = 0; i < ranges.length; i++) {
+      if (_ipUtils.cidrContains(ranges[i], addr)) return true;
+    }
+    return false;
+  }
+
+  function _buildTiers(specs) {
+    if (!Array.isArray(specs) || !specs.length) {
+      throw new Error("tiers must be a non-empty array");
+    }
+    var seen = { client: true };
+    return specs.map(function (spec) {
+      if (!spec || (spec.scope !== "ip" && spec.scope !== "prefix" && spec.scope !== "global")) {
+        throw new Error("Tier scope must be one of: ip, prefix, global");
+      }
+      var name = spec.name || spec.scope;
+      if (seen[name]) throw new Error("Duplicate tier name: " + name);
+      seen[name] = true;
+      return {
+        name: name,
+        scope: spec.scope,
+        ipv4Prefix: spec.ipv4Prefix != null ? spec.ipv4Prefix : 24,
+        ipv6Prefix: spec.ipv6Prefix != null ? spec.ipv6Prefix : 64,
+        limiter: createRateLimiter({
+          windowMs: _posOpt(spec.windowMs, windowMs),
+          maxRequests: _posOpt(spec.maxRequests, maxRequests),
+          burstThreshold: _posOpt(spec.burstThreshold, Infinity),
+          burstWindowMs: _posOpt(spec.burstWindowMs, burstWindowMs),
+          maxDelay: maxDelay,
+          baseDelay: baseDelay,
+          maxClients: maxClients,
+        }),
+      };
+    });
+  }
+
+  /** [{ tier, key }] for the tiers that apply to a client ID. */
+  function _tierPlan(clientId) {
+    var addr = _ipUtils.parseIp(clientId);
+    var plan = [];
+    tiers.forEach(function (t) {
+      var key;
+      if (t.scope === "ip") key = addr ? _ipUtils.formatIp(addr.bytes) : clientId;
+      else if (t.scope === "prefix") key = addr ? _ipUtils.networkKey(addr, addr.version === 4 ? t.ipv4Prefix : t.ipv6Prefix) : null;
+      else key = "*";
+      if (key !== null) plan.push({ tier: t, key: key });
+    });
+    return plan;
+  }
+
+  /**
+   * Fold tier results into the per-client result. Every tier records the
+   * attempt, as the per-client limit does; the first refusal wins.
+   */
+  function _applyTiers(base, results, plan) {
+    if (!base.allowed) {
+      base.tier = "client";
+      return base;
+    }
+    for (var i = 0; i < results.length; i++) {
+      if (!results[i].allowed) {
+        results[i].tier = plan[i].tier.name;
+        results[i].tierKey = plan[i].key;
+        return results[i];
+      }
+    }
+    for (var j = 0; j < results.length; j++) {
+      base.remaining = Math.min(base.remaining, results[j].remaining);
+    }
+    base.tier = null;
+    return base;
+  }
+
   /**
    * Remove expired timestamps from a client's record.
    * Uses in-place splice instead of slice to avoid allocating a new array
@@ -4476,7 +5799,8 @@ function createRateLimiter(options) {
    * @param {number} [opts.now]      - Current timestamp (for testing)
    * @param {boolean} [opts.dryRun]  - If true, don't record the attempt
    * @returns {{ allowed: boolean, remaining: number, resetMs: number,
-   *             delay: number, burst: boolean, reason: string, retryAfter: number }}
+   *             delay: number, burst: boolean, reason: string, retryAfter: number,
+   *             tier?: string|null, tierKey?: string }} `tier` only when tiers are configured
    */
   function check(clientId, opts) {
     opts = opts || {};
@@ -4485,7 +5809,7 @@ function createRateLimiter(options) {
     totalChecks++;
 
     // Allowlist bypass
-    if (allowSet[clientId]) {
+    if (_listed(allowSet, allowRanges, clientId)) {
       totalAllowed++;
       return {
         allowed: true,
@@ -4499,7 +5823,7 @@ function createRateLimiter(options) {
     }
 
     // Blocklist reject
-    if (blockSet[clientId]) {
+    if (_listed(blockSet, blockRanges, clientId)) {
       totalBlocked++;
       return {
         allowed: false,
@@ -4543,21 +5867,15 @@ function createRateLimiter(options) {
 
     var retryAfter = isLimited ? Math.max(delay, resetMs > 0 ? Math.min(resetMs, windowMs) : windowMs) : 0;
 
-    if (isLimited) {
-      totalLimited++;
-      return {
-        allowed: false,
-        remaining: 0,
-        resetMs: resetMs,
-        delay: delay,
-        burst: isBurst,
-        reason: isBurst ? "burst_detected" : "rate_limited",
-        retryAfter: retryAfter,
-      };
-    }
-
-    totalAllowed++;
-    return {
+    var result = isLimited ? {
+      allowed: false,
+      remaining: 0,
+      resetMs: resetMs,
+      delay: delay,
+      burst: isBurst,
+      reason: isBurst ? "burst_detected" : "rate_limited",
+      retryAfter: retryAfter,
+    } : {
       allowed: true,
       remaining: Math.max(0, maxRequests - currentCount),
       resetMs: resetMs,
@@ -4566,6 +5884,16 @@ function createRateLimiter(options) {
       reason: "ok",
       retryAfter: 0,
     };
+
+    if (tiers) {
+      var plan = _tierPlan(clientId);
+      var tierResults = plan.map(function (step) { return step.tier.limiter.check(step.key, opts); });
+      result = _applyTiers(result, tierResults, plan);
+    }
+
+    if (result.allowed) totalAllowed++;
+    else totalLimited++;
+    return result;
   }
 
   /**
@@ -4592,28 +5920,46 @@ function createRateLimiter(options) {
     opts = opts || {};
     var now = (opts.now != null ? opts.now : Date.now());
 
-    if (allowSet[clientId]) {
+    if (_listed(allowSet, allowRanges, clientId)) {
       return { count: 0, remaining: maxRequests, burst: false, limited: false };
     }
-    if (blockSet[clientId]) {
+    if (_listed(blockSet, blockRanges, clientId)) {
       return { count: 0, remaining: 0, burst: false, limited: true };
     }
 
     var record = clients[clientId];
+    var status;
     if (!record) {
-      return { count: 0, remaining: maxRequests, burst: false, limited: false };
+      status = { count: 0, remaining: maxRequests, burst: false, limited: false };
+    } else {
+      pruneTimestamps(record, now);
+      var count = record.timestamps.length;
+      var burstCount = countInWindow(record.timestamps, now, burstWindowMs);
+      status = {
+        count: count,
+        remaining: Math.max(0, maxRequests - count),
+        burst: burstCount >= burstThreshold,
+        limited: count >= maxRequests || burstCount >= burstThreshold,
+      };
     }
+    if (!tiers) return status;
 
-    pruneTimestamps(record, now);
-    var count = record.timestamps.length;
-    var burstCount = countInWindow(record.timestamps, now, burstWindowMs);
-
-    return {
-      count: count,
-      remaining: Math.max(0, maxRequests - count),
-      burst: burstCount >= burstThreshold,
-      limited: count >= maxRequests || burstCount >= burstThreshold,
-    };
+    if (status.limited) {
+      status.tier = "client";
+      return status;
+    }
+    var plan = _tierPlan(clientId);
+    for (var i = 0; i < plan.length; i++) {
+      var p = plan[i].tier.limiter.peek(plan[i].key, { now: now });
+      if (p.limited) {
+        p.tier = plan[i].tier.name;
+        p.tierKey = plan[i].key;
+        return p;
+      }
+      status.remaining = Math.min(status.remaining, p.remaining);
+    }
+    status.tier = null;
+    return status;
   }
 
   /**
@@ -4628,36 +5974,43 @@ function createRateLimiter(options) {
   }
 
   /**
-   * Add client(s) to allowlist.
+   * Add client(s) or CIDR range(s) to allowlist.
    * @param {string|string[]} ids
    */
   function allow(ids) {
     var arr = Array.isArray(ids) ? ids : [ids];
     arr.forEach(function (id) {
+      id = _listKey(id);
       allowSet[id] = true;
       delete blockSet[id];
     });
+    _rebuildRanges();
   }
 
   /**
-   * Add client(s) to blocklist.
+   * Add client(s) or CIDR range(s) to blocklist.
    * @param {string|string[]} ids
    */
   function block(ids) {
     var arr = Array.isArray(ids) ? ids : [ids];
     arr.forEach(function (id) {
+      id = _listKey(id);
       blockSet[id] = true;
       delete allowSet[id];
     });
+    _rebuildRanges();
   }
 
   /**
-   * Remove client from both allowlist and blocklist.
+   * Remove a client or CIDR range from both allowlist and blocklist.
+   * Unlisting one address does not lift a range that covers it.
    * @param {string} clientId
    */
   function unlist(clientId) {
+    clientId = _listKey(clientId);
     delete allowSet[clientId];
     delete blockSet[clientId];
+    _rebuildRanges();
   }
 
   /**
@@ -4665,7 +6018,7 @@ function createRateLimiter(options) {
    * @returns {Object}
    */
   function getStats() {
-    return {
+    var stats = {
       totalChecks: totalChecks,
       totalAllowed: totalAllowed,
       totalLimited: totalLimited,
@@ -4676,6 +6029,13 @@ function createRateLimiter(options) {
       blocklistSize: Object.keys(blockSet).length,
       limitRate: totalChecks > 0 ? totalLimited / totalChecks : 0,
     };
+    if (tiers) {
+      stats.tiers = tiers.map(function (t) {
+        var ts = t.limiter.getStats();
+        return { name: t.name, scope: t.scope, activeClients: ts.activeClients, totalLimited: ts.totalLimited };
+      });
+    }
+    return stats;
   }
 
   /**
@@ -4695,6 +6055,7 @@ function createRateLimiter(options) {
       allowlist: Object.keys(allowSet),
       blocklist: Object.keys(blockSet),
       stats: getStats(),
+      tiers: tiers ? tiers.reduce(function (acc, t) { acc[t.name] = t.limiter.exportState(); return acc; }, {}) : undefined,
     };
   }
 
@@ -4725,6 +6086,12 @@ function createRateLimiter(options) {
       blockSet = Object.create(null);
       state.blocklist.forEach(function (id) { blockSet[id] = true; });
     }
+    _rebuildRanges();
+    if (tiers && state.tiers && typeof state.tiers === "object") {
+      tiers.forEach(function (t) {
+        if (state.tiers[t.name]) t.limiter.importState(state.tiers[t.name]);
+      });
+    }
   }
 
   /**
@@ -4765,6 +6132,7 @@ function createRateLimiter(options) {
     totalLimited = 0;
     totalBlocked = 0;
     totalBursts = 0;
+    if (tiers) tiers.forEach(function (t) { t.limiter.reset(); });
   }
 
   /**
@@ -4772,7 +6140,7 @@ function createRateLimiter(options) {
    * @returns {Object}
    */
   function getConfig() {
-    return {
+    var config = {
       windowMs: windowMs,
       maxRequests: maxRequests,
       burstThreshold: burstThreshold,
@@ -4781,6 +6149,16 @@ function createRateLimiter(options) {
       baseDelay: baseDelay,
       maxClients: maxClients,
     };
+    if (tiers) {
+      config.tiers = tiers.map(function (t) {
+        var c = t.limiter.getConfig();
+        return {
+          name: t.name, scope: t.scope, ipv4Prefix: t.ipv4Prefix, ipv6Prefix: t.ipv6Prefix,
+          windowMs: c.windowMs, maxRequests: c.maxRequests,
+        };
+      });
+    }
+    return config;
   }
 
   return {
@@ -4810,6 +6188,9 @@ function createRateLimiter(options) {
  *
  * Works server-side: the caller collects signals from the client and
  * passes them in. The fingerprinter handles hashing, storage, and analysis.
+ * Passing the raw request headers as well (`meta.headers`) adds header
+ * order/casing fingerprints and Sec-CH-UA client-hint consistency checks
+ * (see http-fingerprint), which are harder to spoof from JavaScript.
  *
  * @param {Object} [options]
  * @param {number} [options.maxFingerprints=10000] - Max stored fingerprints (LRU)
@@ -5029,9 +6410,11 @@ function createClientFingerprinter(options) {
   /**
    * Check signals against known bot patterns.
    * @param {Object} signals - Normalized signals
+   * @param {Object} [http] - analyzeRequestHeaders() result; each
+   *   consistency finding is added by its code
    * @returns {string[]} Matched bot pattern labels
    */
-  function detectBotSignals(signals) {
+  function detectBotSignals(signals, http) {
     var matches = [];
     for (var i = 0; i < botPatterns.length; i++) {
       var bp = botPatterns[i];
@@ -5040,13 +6423,42 @@ function createClientFingerprinter(options) {
         matches.push(bp.label);
       }
     }
+    if (http) {
+      for (var j = 0; j < http.findings.length; j++) {
+        if (matches.indexOf(http.findings[j].code) === -1) matches.push(http.findings[j].code);
+      }
+    }
     return matches;
   }
 
+  /**
+   * Fingerprint the HTTP request and check it against the declared
+   * User-Agent and the JS-reported signals.
+   * @param {Array|Object} headers - Raw headers (Node `req.rawHeaders`
+   *   keeps order and casing)
+   * @param {Object} [rawSignals] - Client signals (userAgent, platform)
+   * @param {Object} [meta] - { httpVersion, secure }
+   * @returns {Object} analyzeRequestHeaders() result
+   */
+  function fingerprintRequest(headers, rawSignals, meta) {
+    var raw = rawSignals || {};
+    var m = meta || {};
+    return _httpFingerprint.analyzeRequestHeaders(headers, {
+      httpVersion: m.httpVersion,
+      secure: m.secure,
+      userAgent: raw.userAgent,
+      platform: raw.platform,
+    });
+  }
+
   /**
    * Process a fingerprint: normalize, hash, store, detect.
    * @param {Object} rawSignals - Raw signals from client
    * @param {Object} [meta] - Optional metadata (ip, sessionId, etc.)
+   * @param {Array|Object} [meta.headers] - Raw request headers; adds `http`
+   *   to the result and its findings to botSignals
+   * @param {string} [meta.httpVersion] - e.g. req.httpVersion
+   * @param {boolean} [meta.secure=true] - Request arrived over HTTPS
    * @returns {Object} Fingerprint result
    */
   function identify(rawSignals, meta) {
@@ -5080,7 +6492,8 @@ function createClientFingerprinter(options) {
     storeOrder.touch(hash);
 
     recordIpChange(m.ip, hash, now);
-    var botSignals = detectBotSignals(signals);
+    var http = m.headers ? fingerprintRequest(m.headers, rawSignals, m) : null;
+    var botSignals = detectBotSignals(signals, http);
     var identityCheck = checkIdentityChanges(m.ip);
 
     var riskScore = 0;
@@ -5089,7 +6502,7 @@ function createClientFingerprinter(options) {
     if (isNew && m.ip && ipHistory[m.ip] && ipHistory[m.ip].length > 2) riskScore += 10;
     riskScore = Math.min(riskScore, 100);
 
-    return {
+    var result = {
       fingerprintHash: hash,
       isNew: isNew,
       visits: entry.visits,
@@ -5101,6 +6514,17 @@ function createClientFingerprinter(options) {
       riskScore: riskScore,
       riskLevel: riskScore >= 60 ? "high" : riskScore >= 30 ? "medium" : "low",
     };
+    if (http) {
+      result.http = {
+        fingerprint: http.fingerprint,
+        orderHash: http.orderHash,
+        casingHash: http.casingHash,
+        orderFamily: http.orderFamily,
+        clientHints: http.clientHints,
+        findings: http.findings,
+      };
+    }
+    return result;
   }
 
   /**
@@ -5237,6 +6661,7 @@ function createClientFingerprinter(options) {
 
   return {
     identify: identify,
+    fingerprintRequest: fingerprintRequest,
     findSimilar: findSimilar,
     getFingerprint: getFingerprint,
     getStats: getStats,
@@ -8949,6 +10374,7 @@ var createConfigValidator = require("./config-validator").createConfigValidator;
 var createChallengeAnalytics = require("./config-validator").createChallengeAnalytics;
 // ── Geo Risk Scorer (extracted to ./geo-risk-scorer.js) ─────────────
 var createGeoRiskScorer = require("./geo-risk-scorer").createGeoRiskScorer;
+var _mmdbReader = require("./mmdb-reader");
 
 /* The full createGeoRiskScorer implementation (including _haversineKm,
    DEFAULT_HIGH_RISK, DEFAULT_MEDIUM_RISK, and threshold constants) has
@@ -8956,29 +10382,72 @@ var createGeoRiskScorer = require("./geo-risk-scorer").createGeoRiskScorer;
 
 // ── Proof of Work ───────────────────────────────────────────────────
 
+var POW_DEFAULTS = {
+  sha256: { difficulty: 16, minDifficulty: 8, maxDifficulty: 28 },
+  scrypt: { difficulty: 6, minDifficulty: 2, maxDifficulty: 16 }
+};
+
+// Browser hashes/second used by estimateCost(); the scrypt figure is for the
+// pure-JS solver at N·r·p = POW_SCRYPT_REFERENCE_COST on a mid-range laptop
+var POW_HASH_RATES = { sha256: 1000000, scrypt: 100 };
+var POW_SCRYPT_REFERENCE_COST = 1024 * 8 * 1;
+var POW_MAX_NONCE_LENGTH = 128;
+
+function _powScryptParams(raw) {
+  var o = raw || {};
+  var prm = {
+    N: o.N == null ? 1024 : o.N,
+    r: o.r == null ? 8 : o.r,
+    p: o.p == null ? 1 : o.p,
+    keyLen: o.keyLen == null ? 32 : o.keyLen
+  };
+  if (!Number.isInteger(prm.N) || prm.N < 2 || (prm.N & (prm.N - 1)) !== 0 || prm.N > 1048576) {
+    throw new RangeError('createProofOfWork: scrypt.N must be a power of 2 between 2 and 2^20');
+  }
+  if (!Number.isInteger(prm.r) || prm.r < 1 || !Number.isInteger(prm.p) || prm.p < 1 ||
+      !Number.isInteger(prm.keyLen) || prm.keyLen < 16 || prm.keyLen > 64) {
+    throw new RangeError('createProofOfWork: scrypt.r and scrypt.p must be positive integers and keyLen 16-64');
+  }
+  return prm;
+}
+
 /**
  * Create a Hashcash-style proof-of-work challenge gate.
  *
  * Requires clients to find a nonce such that
- *   SHA-256(prefix + ":" + nonce)
+ *   SHA-256(prefix + ":" + nonce)                      (algorithm "sha256")
+ *   scrypt(nonce, salt = prefix, N, r, p, keyLen)      (algorithm "scrypt")
  * has at least `difficulty` leading zero bits.  Server issues challenges
  * in O(1), client solves in O(2^difficulty), server verifies in O(1).
  *
+ * The scrypt mode is memory-hard: every attempt touches 128·N·r bytes,
+ * so GPU and ASIC farms lose most of their advantage over a browser and
+ * a much lower difficulty buys the same wall-clock cost.  Browsers solve
+ * either kind with solveProofOfWork() from pow-solver.js.
+ *
  * This adds an economic cost to every CAPTCHA attempt, deterring large-
  * scale bot farms and automated solvers.  Typical difficulty of 16-20
  * takes 50-500 ms on a modern browser, negligible for humans but
  * expensive at scale for attackers.
  *
  * Options:
- *   difficulty          {number}  Leading zero bits required (default 16)
+ *   algorithm           {string}  "sha256" (default) or "scrypt"
+ *   scrypt              {Object}  scrypt cost { N: 1024, r: 8, p: 1, keyLen: 32 }
+ *   hashRates           {Object}  Client hashes/second assumed by estimateCost(), per
+ *                                 algorithm (defaults { sha256: 1e6, scrypt: 100 }; the
+ *                                 scrypt rate is for N·r·p = 8192 and scales inversely)
+ *   difficulty          {number}  Leading zero bits required (default 16, scrypt 6)
  *   challengeTtlMs      {number}  Challenge expiry (default 60 000 ms)
  *   maxPendingPerIp     {number}  Max concurrent challenges per IP (default 10)
  *   maxPending          {number}  Global pending-challenge cap (default 50 000)
  *   adaptiveDifficulty  {boolean} Auto-scale difficulty based on solve rate (default false)
  *   targetSolveMs       {number}  Adaptive: target solve time (default 200 ms)
- *   minDifficulty       {number}  Adaptive: floor (default 8)
- *   maxDifficulty       {number}  Adaptive: ceiling (default 28)
+ *   minDifficulty       {number}  Adaptive: floor (default 8, scrypt 2)
+ *   maxDifficulty       {number}  Adaptive: ceiling (default 28, scrypt 16)
  *   adjustWindowSize    {number}  Adaptive: rolling window size (default 50)
+ *   store               {Object}  Shared state store (see state-store.js); issueAsync /
+ *                                 verifyAsync must then be used
+ *   storePrefix         {string}  Key prefix inside the store (default "gc:pow:")
  *
  * @param {Object} [options]
  * @returns {Object} Proof-of-work challenge manager
@@ -8990,20 +10459,30 @@ function createProofOfWork(options) {
     throw new Error('Proof-of-work requires Node.js crypto module');
   }
 
-  var difficulty = _posOpt(opts.difficulty, 16);
+  var algorithm = opts.algorithm || 'sha256';
+  if (!POW_DEFAULTS[algorithm]) {
+    throw new TypeError('createProofOfWork: algorithm must be "sha256" or "scrypt"');
+  }
+  var isScrypt = algorithm === 'scrypt';
+  var scryptParams = isScrypt ? _powScryptParams(opts.scrypt) : null;
+  var hashRates = Object.assign({}, POW_HASH_RATES, opts.hashRates);
+
+  var difficulty = _posOpt(opts.difficulty, POW_DEFAULTS[algorithm].difficulty);
   var challengeTtlMs = _posOpt(opts.challengeTtlMs, 60000);
   var maxPendingPerIp = _posOpt(opts.maxPendingPerIp, 10);
   var maxPending = _posOpt(opts.maxPending, 50000);
   var adaptiveDifficulty = !!opts.adaptiveDifficulty;
   var targetSolveMs = _posOpt(opts.targetSolveMs, 200);
-  var minDifficulty = _posOpt(opts.minDifficulty, 8);
-  var maxDifficulty = _posOpt(opts.maxDifficulty, 28);
+  var minDifficulty = _posOpt(opts.minDifficulty, POW_DEFAULTS[algorithm].minDifficulty);
+  var maxDifficulty = _posOpt(opts.maxDifficulty, POW_DEFAULTS[algorithm].maxDifficulty);
   var adjustWindowSize = _posOpt(opts.adjustWindowSize, 50);
+  var sharedStore = opts.store ? _stateStore.validateStateStore(opts.store, 'createProofOfWork') : null;
+  var storePrefix = typeof opts.storePrefix === 'string' ? opts.storePrefix : 'gc:pow:';
 
   // Current effective difficulty (may change if adaptive)
   var effectiveDifficulty = difficulty;
 
-  // Pending challenges: prefixHex → { ip, difficulty, issuedAt }
+  // Pending challenges: prefixHex → { ip, difficulty, issuedAt, algorithm, params? }
   var _pending = Object.create(null);
   var _pendingCount = 0;
   var _pendingByIp = Object.create(null); // ip → count
@@ -9033,6 +10512,38 @@ function createProofOfWork(options) {
     return _crypto.randomBytes(16).toString('hex');
   }
 
+  /**
+   * Hash one attempt under the algorithm recorded for its challenge.
+   * Entries issued before the algorithm was stored are SHA-256.
+   */
+  function _hashFor(entry, prefix, nonce) {
+    if (entry.algorithm === 'scrypt') {
+      var prm = entry.params;
+      return _crypto.scryptSync(nonce, prefix, prm.keyLen, {
+        N: prm.N, r: prm.r, p: prm.p, maxmem: 256 * prm.N * prm.r * prm.p + 1048576
+      }).toString('hex');
+    }
+    return _sha256hex(prefix + ':' + nonce);
+  }
+
+  function _newEntry(ip, diff, now) {
+    var entry = { ip: ip, difficulty: diff, issuedAt: now, algorithm: algorithm };
+    if (isScrypt) entry.params = Object.assign({}, scryptParams);
+    return entry;
+  }
+
+  function _challengeFor(prefix, entry) {
+    var out = { prefix: prefix, difficulty: entry.difficulty, algorithm: algorithm, expiresAt: entry.issuedAt + challengeTtlMs };
+    if (entry.params) out.params = Object.assign({}, entry.params);
+    return out;
+  }
+
+  function _hashRate(algo, params) {
+    if (algo !== 'scrypt') return hashRates.sha256;
+    var prm = params || scryptParams || _powScryptParams();
+    return hashRates.scrypt * POW_SCRYPT_REFERENCE_COST / (prm.N * prm.r * prm.p);
+  }
+
   /**
    * Count leading zero bits in a hex hash string.
    * Each hex digit represents 4 bits: '0' = 4 zeros, '1' = 3, etc.
@@ -9114,10 +10625,12 @@ function createProofOfWork(options) {
    * @param {Object} [params]
    * @param {string} [params.ip]        Client IP for per-IP limiting
    * @param {number} [params.difficulty] Override difficulty for this challenge
-   * @returns {{ prefix: string, difficulty: number, algorithm: string, expiresAt: number }}
+   * @returns {{ prefix: string, difficulty: number, algorithm: string, params?: Object, expiresAt: number }}
+   *   `params` ({ N, r, p, keyLen }) is present for scrypt challenges
    * @throws {Error} If IP has too many pending challenges or global cap exceeded
    */
   function issue(params) {
+    _assertLocal('issue');
     params = params || {};
     var ip = params.ip || null;
 
@@ -9144,23 +10657,14 @@ function createProofOfWork(options) {
     var diff = params.difficulty || effectiveDifficulty;
     var now = Date.now();
 
-    _pending[prefix] = {
-      ip: ip,
-      difficulty: diff,
-      issuedAt: now
-    };
+    _pending[prefix] = _newEntry(ip, diff, now);
     _pendingCount++;
     if (ip) {
       _pendingByIp[ip] = (_pendingByIp[ip] || 0) + 1;
     }
     _issued++;
 
-    return {
-      prefix: prefix,
-      difficulty: diff,
-      algorithm: 'sha256',
-      expiresAt: now + challengeTtlMs
-    };
+    return _challengeFor(prefix, _pending[prefix]);
   }
 
   /**
@@ -9173,10 +10677,16 @@ function createProofOfWork(options) {
    * @returns {{ valid: boolean, reason: string, hash: string|null, leadingZeros: number, solveMs: number|null }}
    */
   function verify(params) {
+    _assertLocal('verify');
     if (!params || typeof params.prefix !== 'string' || typeof params.nonce !== 'string') {
       _rejected++;
       return { valid: false, reason: 'missing_params', hash: null, leadingZeros: 0, solveMs: null };
     }
+    // Solvers emit short base-36 nonces; refuse to feed scrypt megabytes
+    if (params.nonce.length > POW_MAX_NONCE_LENGTH) {
+      _rejected++;
+      return { valid: false, reason: 'invalid_nonce', hash: null, leadingZeros: 0, solveMs: null };
+    }
 
     var prefix = params.prefix;
     var nonce = params.nonce;
@@ -9213,8 +10723,7 @@ function createProofOfWork(options) {
     }
 
     // Compute and check hash
-    var data = prefix + ':' + nonce;
-    var hash = _sha256hex(data);
+    var hash = _hashFor(entry, prefix, nonce);
     var zeros = _countLeadingZeroBits(hash);
     var requiredDiff = entry.difficulty;
     var solveMs = now - entry.issuedAt;
@@ -9250,19 +10759,142 @@ function createProofOfWork(options) {
     };
   }
 
+  function _assertLocal(method) {
+    if (sharedStore) {
+      throw new Error(method + ': a shared store is configured; use ' + method + 'Async');
+    }
+  }
+
+  // ── Shared-store variants ──────────────────────────────────────
+  // Keys: c:<prefix> pending challenge, u:<prefix> redeemed marker,
+  // ip:<ip> pending count. A challenge is claimed by compare-and-set
+  // deleting c:<prefix>, so only one replica can accept a solution.
+  // maxPending is a per-process cap and is not enforced here.
+
+  function _rejectAsync(reason, hash, zeros, solveMs) {
+    _rejected++;
+    if (reason === 'replay') _replayBlocked++;
+    return { valid: false, reason: reason, hash: hash || null, leadingZeros: zeros || 0, solveMs: solveMs == null ? null : solveMs };
+  }
+
+  /**
+   * Promise-returning issue(). With `options.store` the challenge and the
+   * per-IP pending count are kept in the store so any replica can verify.
+   *
+   * @param {Object} [params] - { ip, difficulty }
+   * @returns {Promise<{ prefix: string, difficulty: number, algorithm: string, params?: Object, expiresAt: number }>}
+   */
+  function issueAsync(params) {
+    if (!sharedStore) return Promise.resolve().then(function () { return issue(params); });
+    params = params || {};
+    var ip = params.ip || null;
+    var prefix = _randomPrefix();
+    var diff = params.difficulty || effectiveDifficulty;
+    var now = Date.now();
+
+    var reserve = ip
+      ? sharedStore.incr(storePrefix + 'ip:' + ip, 1, { ttlMs: challengeTtlMs }).then(function (count) {
+        if (count > maxPendingPerIp) {
+          return sharedStore.incr(storePrefix + 'ip:' + ip, -1).then(function () {
+            throw new Error('Too many pending challenges for this IP (max ' + maxPendingPerIp + ')');
+          });
+        }
+      })
+      : Promise.resolve();
+
+    var entry = _newEntry(ip, diff, now);
+    return reserve.then(function () {
+      return sharedStore.set(storePrefix + 'c:' + prefix, entry, { ttlMs: challengeTtlMs });
+    }).then(function () {
+      _issued++;
+      return _challengeFor(prefix, entry);
+    });
+  }
+
+  /**
+   * Promise-returning verify(). With `options.store` a solution is
+   * accepted at most once across every replica sharing the store.
+   *
+   * @param {Object} params - { prefix, nonce, ip }
+   * @returns {Promise<{ valid: boolean, reason: string, hash: string|null, leadingZeros: number, solveMs: number|null }>}
+   */
+  function verifyAsync(params) {
+    if (!sharedStore) return Promise.resolve().then(function () { return verify(params); });
+    if (!params || typeof params.prefix !== 'string' || typeof params.nonce !== 'string' || !params.prefix) {
+      return Promise.resolve(_rejectAsync('missing_params'));
+    }
+    if (params.nonce.length > POW_MAX_NONCE_LENGTH) {
+      return Promise.resolve(_rejectAsync('invalid_nonce'));
+    }
+    var prefix = params.prefix;
+    var ip = params.ip || null;
+    var pendingKey = storePrefix + 'c:' + prefix;
+
+    function release(entry) {
+      return entry.ip ? sharedStore.incr(storePrefix + 'ip:' + entry.ip, -1) : Promise.resolve();
+    }
+
+    return sharedStore.get(pendingKey).then(function (entry) {
+      if (!entry) {
+        return sharedStore.get(storePrefix + 'u:' + prefix).then(function (used) {
+          return _rejectAsync(used ? 'replay' : 'unknown_challenge');
+        });
+      }
+      var now = Date.now();
+      if (now - entry.issuedAt > challengeTtlMs) {
+        return sharedStore.compareAndSet(pendingKey, entry, null).then(function () {
+          _expired++;
+          return _rejectAsync('expired');
+        });
+      }
+      if (entry.ip && ip && entry.ip !== ip) {
+        return _rejectAsync('ip_mismatch');
+      }
+
+      var hash = _hashFor(entry, prefix, params.nonce);
+      var zeros = _countLeadingZeroBits(hash);
+      var solveMs = now - entry.issuedAt;
+
+      // Claim the challenge; losing the race means another replica redeemed it
+      return sharedStore.compareAndSet(pendingKey, entry, null).then(function (claimed) {
+        if (!claimed) return _rejectAsync('replay');
+        return release(entry).then(function () {
+          if (zeros < entry.difficulty) {
+            return _rejectAsync('insufficient_work', hash, zeros, solveMs);
+          }
+          return sharedStore.set(storePrefix + 'u:' + prefix, true, { ttlMs: challengeTtlMs }).then(function () {
+            _verified++;
+            if (adaptiveDifficulty) {
+              _updateAdaptiveDifficulty(solveMs);
+            }
+            return { valid: true, reason: 'ok', hash: hash, leadingZeros: zeros, solveMs: solveMs };
+          });
+        });
+      });
+    });
+  }
+
   /**
-   * Solve a challenge (utility for testing and client-side use).
-   * Iterates nonces until SHA-256(prefix:nonce) has enough leading zeros.
+   * Solve a challenge (utility for testing and server-side clients).
+   * Iterates nonces until the challenge hash has enough leading zeros.
+   * Browsers should use solveProofOfWork() from pow-solver.js instead.
    *
-   * @param {string} prefix     The challenge prefix
-   * @param {number} diff       Required leading zero bits
+   * @param {string|Object} prefix  The challenge prefix, or an issue() result
+   * @param {number} [diff]         Required leading zero bits (taken from the
+   *                                challenge object when one is passed)
    * @returns {{ nonce: string, hash: string, iterations: number }}
    */
   function solve(prefix, diff) {
+    var entry = { algorithm: algorithm, params: scryptParams };
+    if (prefix && typeof prefix === 'object') {
+      entry = { algorithm: prefix.algorithm || 'sha256', params: prefix.params ? _powScryptParams(prefix.params) : scryptParams };
+      if (diff == null) diff = prefix.difficulty;
+      prefix = prefix.prefix;
+    }
+    if (entry.algorithm === 'scrypt' && !entry.params) entry.params = _powScryptParams();
     for (var i = 0; i < 100000000; i++) {
       var nonce = i.toString(36);
-      var data = prefix + ':' + nonce;
-      var hash = _sha256hex(data);
+      var hash = _hashFor(entry, prefix, nonce);
       if (_countLeadingZeroBits(hash) >= diff) {
         return { nonce: nonce, hash: hash, iterations: i + 1 };
       }
@@ -9271,24 +10903,53 @@ function createProofOfWork(options) {
   }
 
   /**
-   * Estimate average iterations required for a given difficulty.
+   * Estimate the client-side cost of a difficulty, calibrated per algorithm.
+   *
+   * Scrypt rates scale with N·r·p, so passing the instance's params (or
+   * another set) gives the matching estimate.  With `targetMs` the result
+   * also carries the difficulty whose expected solve time is closest to
+   * that target without exceeding it.
    *
    * @param {number} [diff] Difficulty (defaults to current effective)
-   * @returns {{ difficulty: number, expectedIterations: number, estimatedMs: string }}
-   */
-  function estimateCost(diff) {
+   * @param {Object} [options]
+   * @param {string} [options.algorithm] - Defaults to the instance algorithm
+   * @param {Object} [options.params] - scrypt { N, r, p, keyLen }
+   * @param {number} [options.hashesPerSecond] - Override the calibrated rate
+   * @param {number} [options.targetMs] - Solve-time budget for recommendedDifficulty
+   * @returns {{ difficulty: number, algorithm: string, expectedIterations: number,
+   *   hashesPerSecond: number, expectedMs: number, estimatedMs: string,
+   *   memoryBytes: number, params: Object|null, recommendedDifficulty?: number }}
+   */
+  function estimateCost(diff, options) {
+    var o = options || {};
     var d = diff || effectiveDifficulty;
+    var algo = o.algorithm || algorithm;
+    if (!POW_DEFAULTS[algo]) {
+      throw new TypeError('estimateCost: algorithm must be "sha256" or "scrypt"');
+    }
+    var prm = algo === 'scrypt' ? (o.params ? _powScryptParams(o.params) : scryptParams || _powScryptParams()) : null;
+    var rate = o.hashesPerSecond > 0 ? o.hashesPerSecond : _hashRate(algo, prm);
     var expected = Math.pow(2, d);
+    var expectedMs = expected / rate * 1000;
     var ms;
-    if (expected < 1000) ms = '< 1ms';
-    else if (expected < 100000) ms = '~' + Math.round(expected / 1000) + 'ms';
-    else if (expected < 10000000) ms = '~' + Math.round(expected / 100000) / 10 + 's';
-    else ms = '~' + Math.round(expected / 1000000) + 's';
-    return {
+    if (expectedMs < 1) ms = '< 1ms';
+    else if (expectedMs < 100) ms = '~' + Math.round(expectedMs) + 'ms';
+    else if (expectedMs < 10000) ms = '~' + Math.round(expectedMs / 100) / 10 + 's';
+    else ms = '~' + Math.round(expectedMs / 1000) + 's';
+    var result = {
       difficulty: d,
+      algorithm: algo,
       expectedIterations: expected,
-      estimatedMs: ms
+      hashesPerSecond: rate,
+      expectedMs: expectedMs,
+      estimatedMs: ms,
+      memoryBytes: prm ? 128 * prm.N * prm.r : 0,
+      params: prm
     };
+    if (o.targetMs > 0) {
+      result.recommendedDifficulty = Math.max(1, Math.floor(Math.log2(o.targetMs / 1000 * rate)));
+    }
+    return result;
   }
 
   /**
@@ -9314,7 +10975,7 @@ function createProofOfWork(options) {
   /**
    * Get summary statistics.
    *
-   * @returns {{ issued: number, verified: number, rejected: number, expired: number, replayBlocked: number, pending: number, difficulty: number, adaptiveEnabled: boolean }}
+   * @returns {{ issued: number, verified: number, rejected: number, expired: number, replayBlocked: number, pending: number, difficulty: number, algorithm: string, adaptiveEnabled: boolean }}
    */
   function summary() {
     return {
@@ -9325,6 +10986,7 @@ function createProofOfWork(options) {
       replayBlocked: _replayBlocked,
       pending: _pendingCount,
       difficulty: effectiveDifficulty,
+      algorithm: algorithm,
       adaptiveEnabled: adaptiveDifficulty
     };
   }
@@ -9350,6 +11012,8 @@ function createProofOfWork(options) {
   return {
     issue: issue,
     verify: verify,
+    issueAsync: issueAsync,
+    verifyAsync: verifyAsync,
     solve: solve,
     estimateCost: estimateCost,
     getDifficulty: getDifficulty,
@@ -9583,6 +11247,7 @@ var createSessionReplay = require("./captcha-session-replay").createSessionRepla
 var createComplianceReporter = require("./compliance-reporter").createComplianceReporter;
 var createABExperimentRunner = require("./ab-experiment-runner").createABExperimentRunner;
 var createTrustScoreEngine = require("./trust-score-engine").createTrustScoreEngine;
+var _captchaMiddleware = require("./captcha-middleware");
 
 // ── Previously orphaned modules - now wired into public API ─────────
 var createAdaptiveDifficultyTuner = require("./adaptive-difficulty-tuner").createAdaptiveDifficultyTuner;
@@ -9592,6 +11257,9 @@ var createAccessibilityAnalyzer = require("./captcha-accessibility-analyzer").cr
 var createAnomalyDetector = require("./captcha-anomaly-detector").createAnomalyDetector;
 var _auditLogModule = require("./captcha-audit-log");
 var createAuditLog = _auditLogModule.createAuditLog;
+var createJsonlAuditSink = _auditLogModule.createJsonlAuditSink;
+var verifyAuditChain = _auditLogModule.verifyAuditChain;
+var readAuditSegments = _auditLogModule.readAuditSegments;
 var createCapacityPlanner = require("./captcha-capacity-planner").createCapacityPlanner;
 var createExportFormatter = require("./captcha-export-formatter").createExportFormatter;
 var _fatigueModule = require("./captcha-fatigue-detector");
@@ -9608,6 +11276,8 @@ var createCaptchaTrafficAnalyzer = require("./captcha-traffic-analyzer").createC
 var createChallengeDecayManager = require("./challenge-decay-manager").createChallengeDecayManager;
 var _diversityModule = require("./challenge-diversity-analyzer");
 var createChallengeTemplateEngine = require("./challenge-template-engine").createChallengeTemplateEngine;
+var _frameRenderer = require("./challenge-frame-renderer");
+var _gifEncoder = require("./gif-encoder");
 var _csvUtils = require("./csv-utils");
 var createResponseTimeProfiler = require("./response-time-profiler").createResponseTimeProfiler;
 var createSessionRiskAggregator = require("./session-risk-aggregator").createSessionRiskAggregator;
@@ -9638,6 +11308,7 @@ var BotBehavioralEconomicsEngine = _botBehavioralEconomics.BotBehavioralEconomic
 var createBotCapabilityProfiler = require("./bot-capability-profiler").createBotCapabilityProfiler;
 var createBotCollectiveIntelDetector = require("./bot-collective-intel").createBotCollectiveIntelDetector;
 var createBotMimicryDetector = require("./bot-mimicry-detector").createBotMimicryDetector;
+var _agentSimulator = require("./agent-simulator");
 var CaptchaReplayDetector = require("./captcha-replay-detector").CaptchaReplayDetector;
 var createCaptchaROIAdvisor = require("./captcha-roi-advisor").createCaptchaROIAdvisor;
 var _coevolutionModule = require("./challenge-coevolution-engine");
@@ -9661,6 +11332,7 @@ var gifCaptcha = {
   loadGifWithRetry: loadGifWithRetry,
   textSimilarity: textSimilarity,
   validateAnswer: validateAnswer,
+  createAnswerNormalizer: _answerNormalizer.createAnswerNormalizer,
   createChallenge: createChallenge,
   pickChallenges: pickChallenges,
   createAttemptTracker: createAttemptTracker,
@@ -9673,11 +11345,33 @@ var gifCaptcha = {
   createPoolManager: createPoolManager,
   createResponseAnalyzer: createResponseAnalyzer,
   createBotDetector: createBotDetector,
+  createDetectorTrainer: createDetectorTrainer,
+  BOT_DETECTOR_FEATURES: BOT_DETECTOR_FEATURES,
+  KEY_CLASSES: _keystrokeDynamics.KEY_CLASSES,
+  analyzeKeystrokeDynamics: _keystrokeDynamics.analyzeKeystrokeDynamics,
+  buildTypingProfile: _keystrokeDynamics.buildTypingProfile,
+  mergeTypingProfiles: _keystrokeDynamics.mergeTypingProfiles,
+  compareTypingProfiles: _keystrokeDynamics.compareTypingProfiles,
+  PROBE_SUITE_VERSION: _automationProbes.PROBE_SUITE_VERSION,
+  AUTOMATION_PROBES: _automationProbes.AUTOMATION_PROBES,
+  evaluateAutomationProbes: _automationProbes.evaluateAutomationProbes,
+  createTelemetryPacker: _telemetryPacker.createTelemetryPacker,
+  openTelemetryEnvelope: _telemetryEnvelope.openTelemetryEnvelope,
+  deriveTelemetryKey: _telemetryEnvelope.deriveTelemetryKey,
+  createDetectorEvaluator: _detectorEval.createDetectorEvaluator,
+  EVAL_DETECTORS: _detectorEval.EVAL_DETECTORS,
+  formatEvalReport: _detectorEval.formatEvalReport,
+  createAgentSimulator: _agentSimulator.createAgentSimulator,
+  AGENT_TYPES: _agentSimulator.AGENT_TYPES,
   createTokenVerifier: createTokenVerifier,
   createReputationTracker: createReputationTracker,
+  createIpList: _ipList.createIpList,
+  parseIpFeed: _ipList.parseIpFeed,
   createChallengeRouter: createChallengeRouter,
   createRateLimiter: createRateLimiter,
   createClientFingerprinter: createClientFingerprinter,
+  analyzeRequestHeaders: _httpFingerprint.analyzeRequestHeaders,
+  parseClientHints: _httpFingerprint.parseClientHints,
   createIncidentCorrelator: createIncidentCorrelator,
   createAdaptiveTimeout: createAdaptiveTimeout,
   createAuditTrail: createAuditTrail,
@@ -9688,6 +11382,14 @@ var gifCaptcha = {
   createComplianceReporter: createComplianceReporter,
   createMetricsAggregator: createMetricsAggregator,
   createTrustScoreEngine: createTrustScoreEngine,
+  createCaptchaMiddleware: _captchaMiddleware.createCaptchaMiddleware,
+  extractCaptchaToken: _captchaMiddleware.extractToken,
+  createMemoryStore: _stateStore.createMemoryStore,
+  createFileStore: _stateStore.createFileStore,
+  validateStateStore: _stateStore.validateStateStore,
+  updateStateWithRetry: _stateStore.updateWithRetry,
+  createStateSnapshotManager: _stateSnapshotManager.createStateSnapshotManager,
+  createVerificationPipeline: _verificationPipeline.createVerificationPipeline,
   GIF_MAX_RETRIES: GIF_MAX_RETRIES,
   GIF_RETRY_DELAY_MS: GIF_RETRY_DELAY_MS,
   createEventEmitter: createEventEmitter,
@@ -9696,6 +11398,8 @@ var gifCaptcha = {
   createConfigValidator: createConfigValidator,
   createChallengeAnalytics: createChallengeAnalytics,
   createGeoRiskScorer: createGeoRiskScorer,
+  createMmdbReader: _mmdbReader.createMmdbReader,
+  openMmdb: _mmdbReader.openMmdb,
   createProofOfWork: createProofOfWork,
   createDeviceCohortAnalyzer: createDeviceCohortAnalyzer,
   createHoneypotInjector: createHoneypotInjector,
@@ -9709,6 +11413,9 @@ var gifCaptcha = {
   createAccessibilityAnalyzer: createAccessibilityAnalyzer,
   createAnomalyDetector: createAnomalyDetector,
   createAuditLog: createAuditLog,
+  createJsonlAuditSink: createJsonlAuditSink,
+  verifyAuditChain: verifyAuditChain,
+  readAuditSegments: readAuditSegments,
   createCapacityPlanner: createCapacityPlanner,
   createExportFormatter: createExportFormatter,
   createCaptchaFatigueDetector: createCaptchaFatigueDetector,
@@ -9726,6 +11433,10 @@ var gifCaptcha = {
   simpsonsIndex: _diversityModule.simpsonsIndex,
   giniSimpson: _diversityModule.giniSimpson,
   createChallengeTemplateEngine: createChallengeTemplateEngine,
+  renderChallengeGif: _frameRenderer.renderChallengeGif,
+  renderChallengeFrames: _frameRenderer.renderChallengeFrames,
+  createGifEncoder: _gifEncoder.createGifEncoder,
+  encodeGif: _gifEncoder.encodeGif,
   csvEscape: _csvUtils.csvEscape,
   csvRow: _csvUtils.csvRow,
   createResponseTimeProfiler: createResponseTimeProfiler,
@@ -0,0 +1,488 @@
+/**
+ * ip-list — IPv4/IPv6 CIDR allow/block lists backed by a binary radix tree.
+ *
+ * Each list holds networks ("10.0.0.0/8", "2001:db8::/32", or a bare
+ * address as a single host) with an optional expiry, a source label
+ * (which feed or operator added it) and a free-text comment. A lookup
+ * walks the address bits once and returns the most specific live entry,
+ * so a million-entry feed costs at most 32 or 128 steps per check.
+ *
+ * Feeds load from plain text (one network per line, "#" or ";"
+ * comments, as in Spamhaus DROP or FireHOL), CSV (a header row naming a
+ * network/cidr/ip column and optional expires, comment and source
+ * columns) or JSON (an array of strings or entry objects). Reloading a
+ * source replaces everything that source added, so entries dropped from a
+ * feed disappear on the next load.
+ *
+ * @example
+ *   var ipList = require("./ip-list");
+ *   var drop = ipList.createIpList({ name: "blocklist" });
+ *   drop.loadFile("/etc/gif-captcha/drop.txt", { source: "spamhaus-drop" });
+ *   drop.watchFile("/etc/gif-captcha/drop.txt", { source: "spamhaus-drop", intervalMs: 300000 });
+ *   drop.lookup("192.0.2.44");
+ *   // → { list: "blocklist", network: "192.0.2.0/24", source: "spamhaus-drop",
+ *   //     expiresAt: null, comment: "SBL123", addedAt: 1700000000000 }
+ *
+ * @module ip-list
+ */
+
+"use strict";
+
+var _ipUtils = require("./ip-utils");
+var _csv = require("./csv-utils");
+
+var DEFAULT_WATCH_INTERVAL_MS = 60000;
+var FEED_FORMATS = ["text", "csv", "json"];
+var CSV_NETWORK_COLUMNS = ["network", "cidr", "ip", "range", "prefix"];
+var CSV_EXPIRES_COLUMNS = ["expires", "expires_at", "expiresat", "expiry"];
+var CSV_COMMENT_COLUMNS = ["comment", "reason", "note", "description"];
+
+function _toTime(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number") return isFinite(v) ? v : null;
+  var n = Number(v);
+  if (isFinite(n) && String(v).trim() !== "") return n;
+  var t = Date.parse(v);
+  return isNaN(t) ? null : t;
+}
+
+// ── Feed parsing ────────────────────────────────────────────────────
+
+function _parseText(text) {
+  var out = [];
+  var lines = String(text).split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    var cut = line.search(/[#;]/);
+    var comment = cut === -1 ? "" : line.slice(cut + 1).trim();
+    var body = (cut === -1 ? line : line.slice(0, cut)).trim();
+    if (!body) continue;
+    out.push({ network: body.split(/[\s,]+/)[0], comment: comment || null, line: i + 1 });
+  }
+  return out;
+}
+
+function _column(header, names) {
+  for (var i = 0; i < header.length; i++) {
+    if (names.indexOf(header[i]) !== -1) return i;
+  }
+  return -1;
+}
+
+function _parseCsv(text) {
+  var rows = _csv.csvParse(text);
+  if (rows.length === 0) return [];
+  var header = rows[0].map(function (h) { return h.trim().toLowerCase(); });
+  var netCol = _column(header, CSV_NETWORK_COLUMNS);
+  var start = 1;
+  if (netCol === -1) {
+    // Headerless: first column is the network
+    netCol = 0;
+    start = 0;
+    header = [];
+  }
+  var expCol = _column(header, CSV_EXPIRES_COLUMNS);
+  var comCol = _column(header, CSV_COMMENT_COLUMNS);
+  var srcCol = _column(header, ["source"]);
+  var out = [];
+  for (var i = start; i < rows.length; i++) {
+    var r = rows[i];
+    var net = (r[netCol] || "").trim();
+    if (!net || net[0] === "#") continue;
+    out.push({
+      network: net,
+      expiresAt: expCol !== -1 ? _toTime((r[expCol] || "").trim()) : null,
+      comment: comCol !== -1 && r[comCol] ? r[comCol].trim() : null,
+      source: srcCol !== -1 && r[srcCol] ? r[srcCol].trim() : null,
+      line: i + 1
+    });
+  }
+  return out;
+}
+
+function _parseJson(text) {
+  var data = typeof text === "string" ? JSON.parse(text) : text;
+  if (data && !Array.isArray(data)) data = data.entries || data.networks || data.prefixes;
+  if (!Array.isArray(data)) throw new TypeError("ip-list: JSON feed must be an array or { entries: [...] }");
+  return data.map(function (item, i) {
+    if (typeof item === "string") return { network: item, line: i + 1 };
+    item = item || {};
+    return {
+      network: item.network || item.cidr || item.ip || item.prefix || "",
+      expiresAt: _toTime(item.expiresAt != null ? item.expiresAt : item.expires),
+      comment: item.comment || item.reason || null,
+      source: item.source || null,
+      line: i + 1
+    };
+  });
+}
+
+/**
+ * Parse a feed into entry descriptors without adding them anywhere.
+ *
+ * @param {string} text
+ * @param {string} format - "text", "csv" or "json"
+ * @returns {Array<{ network: string, expiresAt?: number|null, comment?: string|null, source?: string|null, line: number }>}
+ * @throws {RangeError} On an unknown format
+ * @throws {SyntaxError} On malformed JSON
+ */
+function parseIpFeed(text, format) {
+  if (format === "text") return _parseText(text);
+  if (format === "csv") return _parseCsv(text);
+  if (format === "json") return _parseJson(text);
+  throw new RangeError("ip-list: unknown feed format " + JSON.stringify(format) + " (expected " + FEED_FORMATS.join(", ") + ")");
+}
+
+function _formatForPath(path) {
+  if (/\.json$/i.test(path)) return "json";
+  if (/\.csv$/i.test(path)) return "csv";
+  return "text";
+}
+
+// ── List ────────────────────────────────────────────────────────────
+
+/**
+ * Create a CIDR list.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name="list"] - Reported as `list` on matches
+ * @param {Array<string|Object>} [options.entries] - Initial entries
+ * @param {Function} [options.now=Date.now] - Clock for expiry checks
+ * @returns {Object} IP list
+ */
+function createIpList(options) {
+  options = options || {};
+  var name = options.name || "list";
+  var clock = typeof options.now === "function" ? options.now : Date.now;
+
+  var roots = { 4: {}, 6: {} };
+  var byNetwork = new Map();
+
+  function _bit(bytes, i) {
+    return (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+  }
+
+  function _node(cidr, create) {
+    var node = roots[cidr.version];
+    for (var i = 0; i < cidr.prefix && node; i++) {
+      var b = _bit(cidr.bytes, i);
+      if (!node[b] && create) node[b] = {};
+      node = node[b];
+    }
+    return node || null;
+  }
+
+  function _publish(e) {
+    return {
+      list: name,
+      network: e.network,
+      source: e.source,
+      expiresAt: e.expiresAt,
+      comment: e.comment,
+      addedAt: e.addedAt
+    };
+  }
+
+  function _live(e, now) {
+    return e.expiresAt === null || e.expiresAt > now;
+  }
+
+  /**
+   * Add or replace a network.
+   *
+   * @param {string} network - CIDR or bare address
+   * @param {Object} [opts]
+   * @param {string} [opts.source="manual"]
+   * @param {number|string} [opts.expiresAt] - Epoch ms or date string
+   * @param {number} [opts.ttlMs] - Alternative to expiresAt
+   * @param {string} [opts.comment]
+   * @returns {Object} The stored entry
+   * @throws {TypeError} When `network` is not an address or CIDR
+   */
+  function add(network, opts) {
+    opts = opts || {};
+    var cidr = _ipUtils.parseCidr(network);
+    if (!cidr) throw new TypeError("ip-list: invalid network " + JSON.stringify(network));
+    var now = clock();
+    var expiresAt = opts.ttlMs > 0 ? now + opts.ttlMs : _toTime(opts.expiresAt);
+    var key = _ipUtils.formatCidr(cidr);
+    var entry = {
+      network: key,
+      source: opts.source || "manual",
+      expiresAt: expiresAt,
+      comment: opts.comment || null,
+      addedAt: now
+    };
+    _node(cidr, true).entry = entry;
+    byNetwork.set(key, entry);
+    return _publish(entry);
+  }
+
+  /**
+   * Remove a network (exact match on the normalised CIDR).
+   * @param {string} network
+   * @returns {boolean} true if it was present
+   */
+  function remove(network) {
+    var cidr = _ipUtils.parseCidr(network);
+    if (!cidr) return false;
+    var key = _ipUtils.formatCidr(cidr);
+    if (!byNetwork.has(key)) return false;
+    var node = _node(cidr, false);
+    if (node) delete node.entry;
+    byNetwork.delete(key);
+    return true;
+  }
+
+  /**
+   * Find the most specific live entry containing an address.
+   *
+   * @param {string} ip - Address, or a CIDR to match as its network address
+   * @param {number} [now]
+   * @returns {Object|null} `{ list, network, source, expiresAt, comment, addedAt }`
+   */
+  function lookup(ip, now) {
+    var addr = _ipUtils.parseIp(ip) || _ipUtils.parseCidr(ip);
+    if (!addr) return null;
+    if (now == null) now = clock();
+    var bits = addr.bytes.length * 8;
+    var node = roots[addr.version];
+    var best = null;
+    for (var i = 0; node; i++) {
+      if (node.entry && _live(node.entry, now)) best = node.entry;
+      if (i === bits) break;
+      node = node[_bit(addr.bytes, i)];
+    }
+    return best ? _publish(best) : null;
+  }
+
+  function contains(ip, now) {
+    return lookup(ip, now) !== null;
+  }
+
+  /**
+   * Drop every entry added by `source`.
+   * @param {string} source
+   * @returns {number} Entries removed
+   */
+  function removeSource(source) {
+    var keys = [];
+    byNetwork.forEach(function (e, k) { if (e.source === source) keys.push(k); });
+    keys.forEach(remove);
+    return keys.length;
+  }
+
+  /**
+   * Add parsed feed entries under one source, replacing that source's
+   * previous entries. Invalid lines are skipped and reported.
+   *
+   * @param {Array} items - From parseIpFeed()
+   * @param {Object} [opts] - { source, ttlMs, expiresAt } applied to items without their own
+   * @returns {{ source: string, added: number, removed: number, invalid: Array<{ line: number, value: string }> }}
+   */
+  function replaceSource(items, opts) {
+    opts = opts || {};
+    var source = opts.source || "feed";
+    var valid = [];
+    var invalid = [];
+    for (var i = 0; i < items.length; i++) {
+      var it = items[i];
+      if (_ipUtils.parseCidr(it.network)) valid.push(it);
+      else invalid.push({ line: it.line, value: String(it.network) });
+    }
+    var removed = removeSource(source);
+    for (var j = 0; j < valid.length; j++) {
+      add(valid[j].network, {
+        source: valid[j].source || source,
+        expiresAt: valid[j].expiresAt != null ? valid[j].expiresAt : opts.expiresAt,
+        ttlMs: valid[j].expiresAt != null ? undefined : opts.ttlMs,
+        comment: valid[j].comment
+      });
+    }
+    return { source: source, added: valid.length, removed: removed, invalid: invalid };
+  }
+
+  /**
+   * Parse feed text and replace `opts.source` with its entries.
+   *
+   * @param {string} text
+   * @param {Object} [opts] - { format="text", source, ttlMs, expiresAt }
+   * @returns {Object} As replaceSource()
+   */
+  function load(text, opts) {
+    opts = opts || {};
+    return replaceSource(parseIpFeed(text, opts.format || "text"), opts);
+  }
+
+  /**
+   * Read a feed file (format from opts.format or the extension:
+   * .json, .csv, anything else is text) and load it. The source label
+   * defaults to the path.
+   *
+   * @param {string} path
+   * @param {Object} [opts] - As load()
+   * @returns {Object} As replaceSource()
+   */
+  function loadFile(path, opts) {
+    opts = opts || {};
+    var fs = require("fs");
+    var text = fs.readFileSync(path, "utf8");
+    return load(text, {
+      format: opts.format || _formatForPath(path),
+      source: opts.source || path,
+      ttlMs: opts.ttlMs,
+      expiresAt: opts.expiresAt
+    });
+  }
+
+  /**
+   * Reload a feed file periodically. The file is re-read only when its
+   * size or mtime changed; a read or parse failure keeps the previous
+   * entries and is passed to `onError`. The timer is unref'd.
+   *
+   * @param {string} path
+   * @param {Object} [opts] - As loadFile(), plus:
+   * @param {number} [opts.intervalMs=60000]
+   * @param {Function} [opts.onReload] - Called with the load result
+   * @param {Function} [opts.onError] - Called with the error
+   * @returns {{ reload: function(): Promise, stop: function() }}
+   */
+  function watchFile(path, opts) {
+    opts = opts || {};
+    var fs = require("fs");
+    var intervalMs = opts.intervalMs > 0 ? opts.intervalMs : DEFAULT_WATCH_INTERVAL_MS;
+    var lastStamp = null;
+    var running = null;
+
+    function check(force) {
+      if (running) return running;
+      running = fs.promises.stat(path).then(function (st) {
+        var stamp = st.size + ":" + st.mtimeMs;
+        if (!force && stamp === lastStamp) return null;
+        return fs.promises.readFile(path, "utf8").then(function (text) {
+          var result = load(text, {
+            format: opts.format || _formatForPath(path),
+            source: opts.source || path,
+            ttlMs: opts.ttlMs,
+            expiresAt: opts.expiresAt
+          });
+          lastStamp = stamp;
+          if (opts.onReload) opts.onReload(result);
+          return result;
+        });
+      }).catch(function (err) {
+        if (opts.onError) opts.onError(err);
+        return null;
+      }).then(function (result) {
+        running = null;
+        return result;
+      });
+      return running;
+    }
+
+    var timer = setInterval(function () { check(false); }, intervalMs);
+    if (timer && typeof timer.unref === "function") timer.unref();
+
+    return {
+      reload: function () { return check(true); },
+      stop: function () { clearInterval(timer); }
+    };
+  }
+
+  /**
+   * Remove expired entries. Lookups already ignore them; this frees memory.
+   * @param {number} [now]
+   * @returns {number} Entries removed
+   */
+  function prune(now) {
+    if (now == null) now = clock();
+    var keys = [];
+    byNetwork.forEach(function (e, k) { if (!_live(e, now)) keys.push(k); });
+    keys.forEach(remove);
+    return keys.length;
+  }
+
+  /**
+   * All entries (including expired ones not yet pruned).
+   * @param {Object} [filter] - { source }
+   * @returns {Object[]}
+   */
+  function list(filter) {
+    var out = [];
+    byNetwork.forEach(function (e) {
+      if (filter && filter.source && e.source !== filter.source) return;
+      out.push(_publish(e));
+    });
+    return out;
+  }
+
+  function size() {
+    return byNetwork.size;
+  }
+
+  function clear() {
+    roots = { 4: {}, 6: {} };
+    byNetwork.clear();
+  }
+
+  /**
+   * Summary counts per source.
+   * @returns {{ name: string, size: number, sources: Object<string, number> }}
+   */
+  function getStats() {
+    var sources = Object.create(null);
+    byNetwork.forEach(function (e) { sources[e.source] = (sources[e.source] || 0) + 1; });
+    return { name: name, size: byNetwork.size, sources: sources };
+  }
+
+  function exportState() {
+    return list().map(function (e) {
+      return { network: e.network, source: e.source, expiresAt: e.expiresAt, comment: e.comment, addedAt: e.addedAt };
+    });
+  }
+
+  function importState(entries) {
+    if (!Array.isArray(entries)) return;
+    for (var i = 0; i < entries.length; i++) {
+      var e = entries[i];
+      if (!e || !_ipUtils.parseCidr(e.network)) continue;
+      var stored = add(e.network, { source: e.source, expiresAt: e.expiresAt, comment: e.comment });
+      if (typeof e.addedAt === "number") byNetwork.get(stored.network).addedAt = e.addedAt;
+    }
+  }
+
+  if (options.entries) {
+    for (var i = 0; i < options.entries.length; i++) {
+      var e = options.entries[i];
+      if (typeof e === "string") add(e);
+      else add(e.network, e);
+    }
+  }
+
+  return {
+    name: name,
+    add: add,
+    remove: remove,
+    lookup: lookup,
+    contains: contains,
+    removeSource: removeSource,
+    replaceSource: replaceSource,
+    load: load,
+    loadFile: loadFile,
+    watchFile: watchFile,
+    prune: prune,
+    list: list,
+    size: size,
+    clear: clear,
+    getStats: getStats,
+    exportState: exportState,
+    importState: importState
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createIpList: createIpList,
+    parseIpFeed: parseIpFeed
+  };
+}
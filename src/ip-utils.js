@@ -0,0 +1,245 @@
+/**
+ * ip-utils — IPv4/IPv6 address and CIDR helpers.
+ *
+ * Parses addresses into byte arrays (4 bytes for IPv4, 16 for IPv6) so
+ * that prefix masking and containment work the same for both families.
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4, so a
+ * dual-stack socket address lands in the same bucket as the plain one.
+ *
+ * @example
+ *   var ipUtils = require("./ip-utils");
+ *   ipUtils.networkKey("2001:db8:1:2:3:4:5:6", 64); // "2001:db8:1:2::/64"
+ *   ipUtils.networkKey("198.51.100.7", 24);          // "198.51.100.0/24"
+ *   ipUtils.cidrContains(ipUtils.parseCidr("10.0.0.0/8"), "10.1.2.3"); // true
+ *
+ * No external dependencies — pure JavaScript.
+ *
+ * @module ip-utils
+ */
+
+"use strict";
+
+// ── Parsing ─────────────────────────────────────────────────────────
+
+function _parseIPv4(str) {
+  var parts = str.split(".");
+  if (parts.length !== 4) return null;
+  var bytes = [];
+  for (var i = 0; i < 4; i++) {
+    if (!/^\d{1,3}$/.test(parts[i])) return null;
+    var n = parseInt(parts[i], 10);
+    if (n > 255 || (parts[i].length > 1 && parts[i][0] === "0")) return null;
+    bytes.push(n);
+  }
+  return bytes;
+}
+
+function _parseIPv6(str) {
+  var zone = str.indexOf("%");
+  if (zone !== -1) str = str.slice(0, zone);
+  if (str.length < 2 || !/^[0-9a-fA-F:.]+$/.test(str)) return null;
+
+  // Embedded IPv4 tail (::ffff:1.2.3.4, 64:ff9b::1.2.3.4)
+  var tail = null;
+  var lastColon = str.lastIndexOf(":");
+  if (str.indexOf(".", lastColon) !== -1) {
+    tail = _parseIPv4(str.slice(lastColon + 1));
+    if (!tail) return null;
+    str = str.slice(0, lastColon + 1) + "0:0";
+  }
+
+  var halves = str.split("::");
+  if (halves.length > 2) return null;
+  var head = halves[0] ? halves[0].split(":") : [];
+  var rest = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  var groups = head.length + rest.length;
+  if (halves.length === 1 ? groups !== 8 : groups > 7) return null;
+
+  var words = head.slice();
+  for (var z = 0; z < 8 - groups; z++) words.push("0");
+  words = words.concat(rest);
+
+  var bytes = [];
+  for (var i = 0; i < 8; i++) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(words[i])) return null;
+    var w = parseInt(words[i], 16);
+    bytes.push(w >> 8, w & 0xff);
+  }
+  if (tail) {
+    bytes[12] = tail[0]; bytes[13] = tail[1]; bytes[14] = tail[2]; bytes[15] = tail[3];
+  }
+  return bytes;
+}
+
+function _isMappedIPv4(bytes) {
+  for (var i = 0; i < 10; i++) if (bytes[i] !== 0) return false;
+  return bytes[10] === 0xff && bytes[11] === 0xff;
+}
+
+/**
+ * Parse an IPv4 or IPv6 address.
+ *
+ * Accepts bracketed IPv6 ("[::1]") and zone ids ("fe80::1%eth0").
+ * IPv4-mapped IPv6 addresses are returned as IPv4.
+ *
+ * @param {string} str
+ * @returns {{ version: number, bytes: number[] }|null} null when not an address
+ */
+function parseIp(str) {
+  if (typeof str !== "string" || !str) return null;
+  if (str[0] === "[" && str[str.length - 1] === "]") str = str.slice(1, -1);
+  if (str.indexOf(":") === -1) {
+    var v4 = _parseIPv4(str);
+    return v4 ? { version: 4, bytes: v4 } : null;
+  }
+  var v6 = _parseIPv6(str);
+  if (!v6) return null;
+  if (_isMappedIPv4(v6)) return { version: 4, bytes: v6.slice(12) };
+  return { version: 6, bytes: v6 };
+}
+
+/**
+ * Zero every bit after the first `prefixLen`.
+ * @param {number[]} bytes
+ * @param {number} prefixLen
+ * @returns {number[]} New array
+ */
+function maskBytes(bytes, prefixLen) {
+  var out = bytes.slice();
+  for (var i = 0; i < out.length; i++) {
+    var keep = Math.max(0, Math.min(8, prefixLen - i * 8));
+    out[i] &= keep === 0 ? 0 : (0xff << (8 - keep)) & 0xff;
+  }
+  return out;
+}
+
+/**
+ * Parse CIDR notation ("10.0.0.0/8", "2001:db8::/32"). A bare address is
+ * a single-host range (/32 or /128). Host bits are cleared.
+ *
+ * @param {string} str
+ * @returns {{ version: number, bytes: number[], prefix: number }|null}
+ */
+function parseCidr(str) {
+  if (typeof str !== "string" || !str) return null;
+  var slash = str.indexOf("/");
+  var addr = parseIp(slash === -1 ? str : str.slice(0, slash));
+  if (!addr) return null;
+  var bits = addr.bytes.length * 8;
+  var prefix = bits;
+  if (slash !== -1) {
+    var p = str.slice(slash + 1);
+    if (!/^\d{1,3}$/.test(p)) return null;
+    prefix = parseInt(p, 10);
+    // "::ffff:10.0.0.0/104" is written against the 128-bit form
+    if (addr.version === 4 && str.indexOf(":") !== -1) prefix -= 96;
+    if (prefix < 0 || prefix > bits) return null;
+  }
+  return { version: addr.version, bytes: maskBytes(addr.bytes, prefix), prefix: prefix };
+}
+
+// ── Formatting ──────────────────────────────────────────────────────
+
+/**
+ * Canonical text form: dotted quad, or RFC 5952 IPv6 (lower case, the
+ * longest run of two or more zero groups compressed to "::").
+ *
+ * @param {number[]} bytes - 4 or 16 bytes
+ * @returns {string}
+ */
+function formatIp(bytes) {
+  if (bytes.length === 4) return bytes.join(".");
+  var words = [];
+  for (var i = 0; i < 16; i += 2) words.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+
+  var bestStart = -1, bestLen = 0;
+  for (var s = 0; s < 8; s++) {
+    if (words[s] !== "0") continue;
+    var e = s;
+    while (e < 8 && words[e] === "0") e++;
+    if (e - s > bestLen) { bestStart = s; bestLen = e - s; }
+    s = e;
+  }
+  if (bestLen < 2) return words.join(":");
+  return words.slice(0, bestStart).join(":") + "::" + words.slice(bestStart + bestLen).join(":");
+}
+
+/**
+ * Canonical form of an address string, or null if it is not one.
+ * @param {string} str
+ * @returns {string|null}
+ */
+function normalizeIp(str) {
+  var addr = parseIp(str);
+  return addr ? formatIp(addr.bytes) : null;
+}
+
+/**
+ * The network an address belongs to, as a CIDR string usable as a key.
+ *
+ * @param {string} ip
+ * @param {number} prefixLen - Applied to IPv4 or IPv6 as given; pass the
+ *   family-appropriate length (e.g. 24 for IPv4, 64 for IPv6)
+ * @returns {string|null} e.g. "198.51.100.0/24"; null if `ip` is not an address
+ */
+function networkKey(ip, prefixLen) {
+  var addr = typeof ip === "string" ? parseIp(ip) : ip;
+  if (!addr) return null;
+  var bits = addr.bytes.length * 8;
+  var p = Math.max(0, Math.min(bits, prefixLen));
+  return formatIp(maskBytes(addr.bytes, p)) + "/" + p;
+}
+
+// ── Matching ────────────────────────────────────────────────────────
+
+/**
+ * Whether a parsed CIDR contains an address.
+ *
+ * @param {Object} cidr - From parseCidr()
+ * @param {string|Object} ip - Address string or parseIp() result
+ * @returns {boolean}
+ */
+function cidrContains(cidr, ip) {
+  var addr = typeof ip === "string" ? parseIp(ip) : ip;
+  if (!cidr || !addr || addr.version !== cidr.version) return false;
+  var full = cidr.prefix >> 3;
+  for (var i = 0; i < full; i++) {
+    if (addr.bytes[i] !== cidr.bytes[i]) return false;
+  }
+  var rem = cidr.prefix & 7;
+  if (rem === 0) return true;
+  var mask = (0xff << (8 - rem)) & 0xff;
+  return (addr.bytes[full] & mask) === cidr.bytes[full];
+}
+
+/**
+ * Format a parsed CIDR back to its canonical string.
+ * @param {Object} cidr - From parseCidr()
+ * @returns {string}
+ */
+function formatCidr(cidr) {
+  return formatIp(cidr.bytes) + "/" + cidr.prefix;
+}
+
+/**
+ * True for strings written as a range ("a.b.c.d/n", "x::/n").
+ * @param {string} str
+ * @returns {boolean}
+ */
+function isCidr(str) {
+  return typeof str === "string" && str.indexOf("/") !== -1 && parseCidr(str) !== null;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseIp: parseIp,
+    parseCidr: parseCidr,
+    formatIp: formatIp,
+    formatCidr: formatCidr,
+    normalizeIp: normalizeIp,
+    networkKey: networkKey,
+    maskBytes: maskBytes,
+    cidrContains: cidrContains,
+    isCidr: isCidr
+  };
+}
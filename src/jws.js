@@ -0,0 +1,197 @@
+/**
+ * jws.js — Compact JWS (RFC 7515) signing and verification helpers.
+ *
+ * Supports the two algorithms createTokenVerifier issues:
+ *
+ *   HS256  — HMAC-SHA256 with a shared secret
+ *   EdDSA  — Ed25519 signatures (RFC 8037) via node:crypto KeyObjects
+ *
+ * Tokens are standard `header.payload.signature` strings, so any stock
+ * JWT/JWS library can verify them given the same key (or, for EdDSA,
+ * the public JWK from `publicJwk()`).
+ *
+ * The helpers never pick an algorithm from the token itself: callers
+ * resolve the key first (by `kid`) and pass it in, and verification
+ * fails when the header `alg` does not match the key's algorithm.
+ *
+ * @module gif-captcha/jws
+ */
+
+"use strict";
+
+var _crypto;
+try { _crypto = require("crypto"); } catch (e) { _crypto = null; }
+
+var ALGORITHMS = { HS256: true, EdDSA: true };
+
+// ── Key normalization ───────────────────────────────────────────────
+
+/**
+ * Validate and normalize a signing key definition.
+ *
+ * @param {Object} def
+ * @param {string} def.kid                - Key ID placed in the JWS header
+ * @param {string} [def.alg="HS256"]      - "HS256" or "EdDSA"
+ * @param {string} [def.secret]           - HS256 secret (min 16 chars)
+ * @param {string|Object} [def.privateKey] - EdDSA private key (PEM or KeyObject); omit for verify-only
+ * @param {string|Object} [def.publicKey]  - EdDSA public key (PEM or KeyObject); derived from privateKey if omitted
+ * @returns {{ kid: string, alg: string, secret: string|null, privateKey: Object|null, publicKey: Object|null }}
+ * @throws {Error} On missing or invalid key material
+ */
+function normalizeKey(def) {
+  if (!_crypto || typeof _crypto.createHmac !== "function") {
+    throw new Error("JWS requires Node.js crypto module");
+  }
+  if (!def || typeof def !== "object") throw new TypeError("Key definition must be an object");
+  if (typeof def.kid !== "string" || !def.kid || def.kid.length > 128) {
+    throw new Error("Key requires a kid string (1-128 chars)");
+  }
+  var alg = def.alg || "HS256";
+  if (!ALGORITHMS[alg]) throw new Error("Unsupported alg: " + alg + " (use HS256 or EdDSA)");
+
+  if (alg === "HS256") {
+    if (typeof def.secret !== "string" || def.secret.length < 16) {
+      throw new Error("HS256 key " + def.kid + " requires a secret of at least 16 characters");
+    }
+    return { kid: def.kid, alg: alg, secret: def.secret, privateKey: null, publicKey: null };
+  }
+
+  var privateKey = def.privateKey ? _toKeyObject(def.privateKey, "private") : null;
+  var publicKey = def.publicKey ? _toKeyObject(def.publicKey, "public")
+    : (privateKey ? _crypto.createPublicKey(privateKey) : null);
+  if (!publicKey) throw new Error("EdDSA key " + def.kid + " requires a privateKey or publicKey");
+  if (publicKey.asymmetricKeyType !== "ed25519") {
+    throw new Error("EdDSA key " + def.kid + " must be an Ed25519 key");
+  }
+  return { kid: def.kid, alg: alg, secret: null, privateKey: privateKey, publicKey: publicKey };
+}
+
+function _toKeyObject(key, type) {
+  if (key && typeof key === "object" && typeof key.asymmetricKeyType === "string") {
+    if (type === "private" && key.type !== "private") throw new Error("Expected a private key");
+    return key;
+  }
+  if (key && typeof key === "object" && key.kty) {
+    return type === "private"
+      ? _crypto.createPrivateKey({ key: key, format: "jwk" })
+      : _crypto.createPublicKey({ key: key, format: "jwk" });
+  }
+  return type === "private" ? _crypto.createPrivateKey(key) : _crypto.createPublicKey(key);
+}
+
+// ── Encoding ────────────────────────────────────────────────────────
+
+function _b64json(obj) {
+  return Buffer.from(JSON.stringify(obj), "utf8").toString("base64url");
+}
+
+function _parseB64json(part) {
+  if (!/^[A-Za-z0-9_-]*$/.test(part)) return null;
+  try {
+    var v = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+    return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function _signingInput(headerB64, payloadB64) {
+  return Buffer.from(headerB64 + "." + payloadB64, "ascii");
+}
+
+/**
+ * Sign a claims object as a compact JWS.
+ *
+ * @param {Object} claims - JSON-serializable payload
+ * @param {Object} key    - Normalized key (see normalizeKey) with signing material
+ * @param {Object} [extraHeader] - Additional protected header fields (e.g. { typ: "JWT" })
+ * @returns {string} header.payload.signature
+ */
+function sign(claims, key, extraHeader) {
+  var header = Object.assign({ alg: key.alg, kid: key.kid }, extraHeader || {});
+  header.alg = key.alg;
+  header.kid = key.kid;
+  var headerB64 = _b64json(header);
+  var payloadB64 = _b64json(claims);
+  var input = _signingInput(headerB64, payloadB64);
+  var sig;
+  if (key.alg === "HS256") {
+    sig = _crypto.createHmac("sha256", key.secret).update(input).digest();
+  } else {
+    if (!key.privateKey) throw new Error("Key " + key.kid + " has no private key and cannot sign");
+    sig = _crypto.sign(null, input, key.privateKey);
+  }
+  return headerB64 + "." + payloadB64 + "." + sig.toString("base64url");
+}
+
+/**
+ * Split a compact JWS and decode its header without verifying it.
+ *
+ * @param {string} token
+ * @returns {{ header: Object, headerB64: string, payloadB64: string, signatureB64: string }|null}
+ */
+function decode(token) {
+  if (typeof token !== "string") return null;
+  var parts = token.split(".");
+  if (parts.length !== 3 || !/^[A-Za-z0-9_-]+$/.test(parts[2])) return null;
+  var header = _parseB64json(parts[0]);
+  if (!header) return null;
+  return { header: header, headerB64: parts[0], payloadB64: parts[1], signatureB64: parts[2] };
+}
+
+/**
+ * Verify a decoded JWS against a key.
+ *
+ * @param {Object} decoded - Result of decode()
+ * @param {Object} key     - Normalized key
+ * @returns {{ valid: boolean, reason?: string, claims?: Object }}
+ *   reasons: "alg_mismatch", "invalid_signature", "corrupt_payload"
+ */
+function verify(decoded, key) {
+  if (decoded.header.alg !== key.alg) return { valid: false, reason: "alg_mismatch" };
+  var input = _signingInput(decoded.headerB64, decoded.payloadB64);
+  var sig = Buffer.from(decoded.signatureB64, "base64url");
+  var ok = false;
+  try {
+    if (key.alg === "HS256") {
+      var expected = _crypto.createHmac("sha256", key.secret).update(input).digest();
+      if (sig.length === expected.length) {
+        ok = _crypto.timingSafeEqual(sig, expected);
+      } else {
+        // Same work on length mismatch so timing doesn't leak the length
+        _crypto.timingSafeEqual(expected, expected);
+      }
+    } else {
+      ok = _crypto.verify(null, input, key.publicKey, sig);
+    }
+  } catch (e) {
+    ok = false;
+  }
+  if (!ok) return { valid: false, reason: "invalid_signature" };
+  var claims = _parseB64json(decoded.payloadB64);
+  if (!claims) return { valid: false, reason: "corrupt_payload" };
+  return { valid: true, claims: claims };
+}
+
+/**
+ * Public JWK (RFC 8037 OKP) for an EdDSA key, suitable for a JWKS
+ * endpoint. Returns null for HS256 keys, whose secret must never be
+ * published.
+ *
+ * @param {Object} key - Normalized key
+ * @returns {Object|null} { kty, crv, x, kid, alg, use }
+ */
+function publicJwk(key) {
+  if (key.alg !== "EdDSA") return null;
+  var jwk = key.publicKey.export({ format: "jwk" });
+  return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, kid: key.kid, alg: "EdDSA", use: "sig" };
+}
+
+module.exports = {
+  ALGORITHMS: Object.keys(ALGORITHMS),
+  normalizeKey: normalizeKey,
+  sign: sign,
+  decode: decode,
+  verify: verify,
+  publicJwk: publicJwk
+};
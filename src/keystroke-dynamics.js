@@ -0,0 +1,404 @@
+/**
+ * keystroke-dynamics — digraph/trigraph timing keyed by key class.
+ *
+ * Keys are reduced to coarse classes (which hand, digit, space,
+ * punctuation, correction, ...) as soon as they are seen, so timing
+ * models never hold typed content. On top of the classes:
+ *
+ *   - Digraph and trigraph flight times (key-down to key-down) per
+ *     class pair/triple. Real typists are faster across hands than
+ *     within one and slow down around spaces; bots that replay a flat,
+ *     human-looking interval distribution show no such dependence.
+ *   - Rollover: the next key goes down before the previous comes up.
+ *   - Corrections: backspace/delete rate, burst length and the pause
+ *     before a correction.
+ *   - Typing profiles: mergeable per-user statistics, compared with a
+ *     scaled Manhattan distance to recognise the same typist across
+ *     sessions.
+ *
+ * Used by createBotDetector and createBehavioralBiometrics; the
+ * `<gif-captcha>` widget bundles it to classify keys before sending them.
+ *
+ * @module keystroke-dynamics
+ */
+
+"use strict";
+
+/** Key classes, in a stable order. */
+var KEY_CLASSES = [
+  "left", "right", "digit", "space", "punct",
+  "correction", "enter", "modifier", "navigation", "other"
+];
+
+var PROFILE_VERSION = 1;
+
+// Letters by the hand that types them on a QWERTY layout.
+var LEFT_LETTERS = "qwertasdfgzxcvb";
+
+var NAMED_KEYS = {
+  " ": "space", Space: "space", Spacebar: "space",
+  Backspace: "correction", Delete: "correction",
+  Enter: "enter", NumpadEnter: "enter", Tab: "navigation",
+  Shift: "modifier", ShiftLeft: "modifier", ShiftRight: "modifier",
+  Control: "modifier", ControlLeft: "modifier", ControlRight: "modifier",
+  Alt: "modifier", AltLeft: "modifier", AltRight: "modifier", AltGraph: "modifier",
+  Meta: "modifier", MetaLeft: "modifier", MetaRight: "modifier", CapsLock: "modifier",
+  ArrowLeft: "navigation", ArrowRight: "navigation", ArrowUp: "navigation", ArrowDown: "navigation",
+  Home: "navigation", End: "navigation", PageUp: "navigation", PageDown: "navigation"
+};
+
+// Pauses longer than this are thinking, not typing rhythm.
+var MAX_FLIGHT_MS = 2000;
+
+/**
+ * Map a key to its class. Takes a KeyboardEvent `code` ("KeyA",
+ * "Digit1"), a `key` value ("a", "Backspace") or an existing class
+ * name, which is returned unchanged.
+ *
+ * @param {string} key
+ * @returns {string} One of KEY_CLASSES
+ */
+function keyClass(key) {
+  if (typeof key !== "string" || key === "") return "other";
+  if (KEY_CLASSES.indexOf(key) !== -1) return key;
+  if (NAMED_KEYS[key]) return NAMED_KEYS[key];
+  var letter = null;
+  if (/^Key[A-Z]$/.test(key)) letter = key.charAt(3).toLowerCase();
+  else if (key.length === 1 && /[a-z]/i.test(key)) letter = key.toLowerCase();
+  if (letter) return LEFT_LETTERS.indexOf(letter) !== -1 ? "left" : "right";
+  if (/^(Digit|Numpad)[0-9]$/.test(key) || (key.length === 1 && key >= "0" && key <= "9")) return "digit";
+  if (key.length === 1) return "punct";
+  return "other";
+}
+
+/**
+ * Normalise keystroke events to `{ cls, down, up }`, sorted by key-down
+ * time. Accepts createBotDetector events (`{ key | code | keyClass,
+ * downAt, upAt }`) and createBehavioralBiometrics events
+ * (`{ keyClass, t, duration }`, t being key-down). Events without a
+ * usable key-down time are dropped.
+ *
+ * @param {Array<Object>} keystrokes
+ * @returns {Array<{ cls: string, down: number, up: number|null }>}
+ */
+function normalizeKeystrokes(keystrokes) {
+  if (!Array.isArray(keystrokes)) return [];
+  var out = [];
+  for (var i = 0; i < keystrokes.length; i++) {
+    var k = keystrokes[i];
+    if (!k || typeof k !== "object") continue;
+    var down = typeof k.downAt === "number" ? k.downAt : k.t;
+    if (typeof down !== "number" || !isFinite(down)) continue;
+    var up = typeof k.upAt === "number" ? k.upAt
+      : (typeof k.duration === "number" ? down + k.duration : null);
+    out.push({
+      cls: keyClass(k.keyClass != null ? k.keyClass : (k.code != null ? k.code : k.key)),
+      down: down,
+      up: up !== null && up >= down ? up : null
+    });
+  }
+  out.sort(function (a, b) { return a.down - b.down; });
+  return out;
+}
+
+// ── Running statistics (Welford, mergeable) ─────────────────────────
+
+function _stat() {
+  return { n: 0, mean: 0, m2: 0 };
+}
+
+function _push(s, v) {
+  s.n++;
+  var d = v - s.mean;
+  s.mean += d / s.n;
+  s.m2 += d * (v - s.mean);
+}
+
+function _merge(a, b) {
+  if (!a || a.n === 0) return b ? { n: b.n, mean: b.mean, m2: b.m2 } : _stat();
+  if (!b || b.n === 0) return { n: a.n, mean: a.mean, m2: a.m2 };
+  var n = a.n + b.n;
+  var d = b.mean - a.mean;
+  return { n: n, mean: a.mean + d * b.n / n, m2: a.m2 + b.m2 + d * d * a.n * b.n / n };
+}
+
+function _sd(s) {
+  return s.n > 1 ? Math.sqrt(s.m2 / (s.n - 1)) : 0;
+}
+
+function _add(map, key, v) {
+  if (!map[key]) map[key] = _stat();
+  _push(map[key], v);
+}
+
+function _round(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+// One pass over normalised events: grouped flight and hold statistics
+// plus the raw per-digraph flights for the pairing test.
+function _collect(events) {
+  var digraphs = Object.create(null);
+  var trigraphs = Object.create(null);
+  var holds = Object.create(null);
+  var flights = [];
+  var rollovers = 0;
+  var corrections = 0;
+  var correctionRuns = 0;
+  var intoCorrection = [];
+  for (var i = 0; i < events.length; i++) {
+    var e = events[i];
+    if (e.up !== null) _add(holds, e.cls, e.up - e.down);
+    if (e.cls === "correction") {
+      corrections++;
+      if (i === 0 || events[i - 1].cls !== "correction") correctionRuns++;
+    }
+    if (i === 0) continue;
+    var prev = events[i - 1];
+    if (prev.up !== null && e.down < prev.up) rollovers++;
+    var flight = e.down - prev.down;
+    if (flight > MAX_FLIGHT_MS) continue;
+    if (e.cls === "correction" && prev.cls !== "correction") intoCorrection.push(flight);
+    var pair = prev.cls + ">" + e.cls;
+    _add(digraphs, pair, flight);
+    flights.push({ pair: pair, flight: flight });
+    if (i >= 2 && events[i - 1].down - events[i - 2].down <= MAX_FLIGHT_MS) {
+      _add(trigraphs, events[i - 2].cls + ">" + pair, e.down - events[i - 2].down);
+    }
+  }
+  return {
+    digraphs: digraphs,
+    trigraphs: trigraphs,
+    holds: holds,
+    flights: flights,
+    rollovers: rollovers,
+    corrections: corrections,
+    correctionRuns: correctionRuns,
+    intoCorrection: intoCorrection
+  };
+}
+
+/**
+ * How much of the flight-time variance the digraph class explains (η²),
+ * against what chance alone gives for that many groups. Only digraphs
+ * seen at least `minGroup` times take part.
+ */
+function _pairing(flights, minGroup) {
+  var groups = Object.create(null);
+  flights.forEach(function (f) {
+    (groups[f.pair] = groups[f.pair] || []).push(f.flight);
+  });
+  var used = [];
+  Object.keys(groups).forEach(function (k) {
+    if (groups[k].length >= minGroup) used.push(groups[k]);
+  });
+  var n = 0, sum = 0;
+  used.forEach(function (g) { g.forEach(function (v) { n++; sum += v; }); });
+  if (used.length < 2 || n < 20) return null;
+  var grand = sum / n;
+  var between = 0, total = 0;
+  used.forEach(function (g) {
+    var m = 0;
+    g.forEach(function (v) { m += v; });
+    m /= g.length;
+    between += g.length * (m - grand) * (m - grand);
+    g.forEach(function (v) { total += (v - grand) * (v - grand); });
+  });
+  var eta2 = total > 0 ? between / total : 0;
+  var chance = (used.length - 1) / (n - 1);
+  return {
+    eta2: _round(eta2),
+    chance: _round(chance),
+    groups: used.length,
+    samples: n,
+    score: _round(Math.max(0, Math.min((eta2 - chance) / 0.08, 1)))
+  };
+}
+
+function _summary(map) {
+  var out = {};
+  Object.keys(map).sort().forEach(function (k) {
+    out[k] = { n: map[k].n, mean: _round(map[k].mean), sd: _round(_sd(map[k])) };
+  });
+  return out;
+}
+
+function _median(arr) {
+  if (arr.length === 0) return 0;
+  var s = arr.slice().sort(function (a, b) { return a - b; });
+  var mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Digraph/trigraph, rollover and correction analysis of one session.
+ *
+ * @param {Array<Object>} keystrokes - See normalizeKeystrokes
+ * @param {Object} [opts]
+ * @param {number} [opts.minGroup=3] - Samples a digraph needs to take
+ *   part in the pairing test
+ * @returns {{
+ *   count: number,
+ *   digraphs: Object, trigraphs: Object, holds: Object,
+ *   rollover: { count: number, rate: number },
+ *   corrections: { count: number, rate: number, meanBurst: number, prePauseRatio: number|null },
+ *   pairing: { eta2: number, chance: number, groups: number, samples: number, score: number }|null
+ * }} Grouped stats are `{ n, mean, sd }` keyed by "left>right" etc.;
+ *   pairing is null until at least two digraphs have enough samples
+ */
+function analyzeKeystrokeDynamics(keystrokes, opts) {
+  opts = opts || {};
+  var minGroup = opts.minGroup > 0 ? opts.minGroup : 3;
+  var events = normalizeKeystrokes(keystrokes);
+  var c = _collect(events);
+  var median = _median(c.flights.map(function (f) { return f.flight; }));
+  var intoMean = c.intoCorrection.length
+    ? c.intoCorrection.reduce(function (a, b) { return a + b; }, 0) / c.intoCorrection.length
+    : 0;
+  return {
+    count: events.length,
+    digraphs: _summary(c.digraphs),
+    trigraphs: _summary(c.trigraphs),
+    holds: _summary(c.holds),
+    rollover: {
+      count: c.rollovers,
+      rate: events.length > 1 ? _round(c.rollovers / (events.length - 1)) : 0
+    },
+    corrections: {
+      count: c.corrections,
+      rate: events.length ? _round(c.corrections / events.length) : 0,
+      meanBurst: c.correctionRuns ? _round(c.corrections / c.correctionRuns) : 0,
+      prePauseRatio: c.intoCorrection.length && median > 0 ? _round(intoMean / median) : null
+    },
+    pairing: _pairing(c.flights, minGroup)
+  };
+}
+
+// ── Typing profiles ─────────────────────────────────────────────────
+
+function _emptyProfile() {
+  return {
+    version: PROFILE_VERSION,
+    sessions: 0,
+    keystrokes: 0,
+    rollovers: 0,
+    corrections: 0,
+    digraphs: {},
+    trigraphs: {},
+    holds: {}
+  };
+}
+
+/**
+ * Build a typing profile from one session. Profiles hold only class
+ * statistics and are plain JSON, so they can be stored and merged.
+ *
+ * @param {Array<Object>} keystrokes - See normalizeKeystrokes
+ * @returns {Object} Profile
+ */
+function buildTypingProfile(keystrokes) {
+  var events = normalizeKeystrokes(keystrokes);
+  var c = _collect(events);
+  var p = _emptyProfile();
+  p.sessions = events.length ? 1 : 0;
+  p.keystrokes = events.length;
+  p.rollovers = c.rollovers;
+  p.corrections = c.corrections;
+  ["digraphs", "trigraphs", "holds"].forEach(function (k) {
+    Object.keys(c[k]).forEach(function (key) { p[k][key] = c[k][key]; });
+  });
+  return p;
+}
+
+function _checkProfile(p) {
+  if (!p || typeof p !== "object" || p.version !== PROFILE_VERSION) {
+    throw new TypeError("keystroke-dynamics: unsupported typing profile");
+  }
+}
+
+/**
+ * Combine two profiles (e.g. a stored one and a new session's).
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object} New profile
+ */
+function mergeTypingProfiles(a, b) {
+  _checkProfile(a);
+  _checkProfile(b);
+  var p = _emptyProfile();
+  p.sessions = a.sessions + b.sessions;
+  p.keystrokes = a.keystrokes + b.keystrokes;
+  p.rollovers = a.rollovers + b.rollovers;
+  p.corrections = a.corrections + b.corrections;
+  ["digraphs", "trigraphs", "holds"].forEach(function (k) {
+    var keys = Object.keys(a[k]).concat(Object.keys(b[k]));
+    keys.forEach(function (key) {
+      if (!p[k][key]) p[k][key] = _merge(a[k][key], b[k][key]);
+    });
+  });
+  return p;
+}
+
+/**
+ * Compare a session against a stored profile with the scaled Manhattan
+ * distance: the mean, over digraph and hold features both sides have
+ * seen often enough, of |session mean − profile mean| / profile sd.
+ *
+ * @param {Object} profile - Stored typing profile
+ * @param {Object|Array<Object>} sample - Profile or keystrokes to test
+ * @param {Object} [opts]
+ * @param {number} [opts.minSamples=3] - Samples a feature needs in the profile
+ * @param {number} [opts.minSampleCount=2] - Samples a feature needs in the session
+ * @param {number} [opts.minFeatures=3] - Shared features needed for a verdict
+ * @param {number} [opts.threshold=1] - Max distance that still matches
+ * @returns {{ sufficient: boolean, distance: number|null, similarity: number|null,
+ *   match: boolean|null, sharedFeatures: number }}
+ */
+function compareTypingProfiles(profile, sample, opts) {
+  opts = opts || {};
+  _checkProfile(profile);
+  if (Array.isArray(sample)) sample = buildTypingProfile(sample);
+  _checkProfile(sample);
+  var minSamples = opts.minSamples > 0 ? opts.minSamples : 3;
+  var minSampleCount = opts.minSampleCount > 0 ? opts.minSampleCount : 2;
+  var minFeatures = opts.minFeatures > 0 ? opts.minFeatures : 3;
+  var threshold = typeof opts.threshold === "number" ? opts.threshold : 1;
+
+  var total = 0, shared = 0;
+  ["digraphs", "holds"].forEach(function (k) {
+    Object.keys(profile[k]).forEach(function (key) {
+      var ref = profile[k][key];
+      var got = sample[k][key];
+      if (ref.n < minSamples || !got || got.n < minSampleCount) return;
+      // Floor the spread so a very consistent typist is not rejected
+      // over a few milliseconds.
+      total += Math.abs(got.mean - ref.mean) / Math.max(_sd(ref), 15);
+      shared++;
+    });
+  });
+  if (shared < minFeatures) {
+    return { sufficient: false, distance: null, similarity: null, match: null, sharedFeatures: shared };
+  }
+  var distance = total / shared;
+  return {
+    sufficient: true,
+    distance: _round(distance),
+    similarity: _round(Math.exp(-distance)),
+    match: distance <= threshold,
+    sharedFeatures: shared
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    KEY_CLASSES: KEY_CLASSES,
+    keyClass: keyClass,
+    normalizeKeystrokes: normalizeKeystrokes,
+    analyzeKeystrokeDynamics: analyzeKeystrokeDynamics,
+    buildTypingProfile: buildTypingProfile,
+    mergeTypingProfiles: mergeTypingProfiles,
+    compareTypingProfiles: compareTypingProfiles
+  };
+} else if (typeof window !== "undefined") {
+  window.keyClass = keyClass;
+}
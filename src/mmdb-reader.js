@@ -0,0 +1,391 @@
+/**
+ * mmdb-reader — offline IP → geo/ASN lookups from MaxMind DB files.
+ *
+ * Reads the MaxMind DB binary format (v2) used by GeoLite2 / GeoIP2
+ * Country, City and ASN databases and by DB-IP's free "lite" downloads,
+ * so the geo scorer can resolve `meta.ip` itself instead of relying on
+ * the caller to supply country, coordinates and network owner.
+ *
+ * File layout, briefly: a binary search tree keyed on address bits, a
+ * 16-byte separator, a data section of typed values (maps, strings,
+ * numbers, pointers back into the section), and a metadata map located
+ * after the "\xAB\xCD\xEFMaxMind.com" marker near the end of the file.
+ *
+ * @example
+ *   var mmdb = require("./mmdb-reader");
+ *   var city = mmdb.openMmdb("/var/lib/GeoIP/GeoLite2-City.mmdb");
+ *   city.lookup("81.2.69.160");
+ *   // → { country: { iso_code: "GB", ... }, location: { latitude: 51.5, ... }, ... }
+ *   mmdb.extractGeoFields(city.lookup("81.2.69.160"));
+ *   // → { country: "GB", city: "London", lat: 51.5142, lon: -0.0931 }
+ *
+ * No external dependencies — pure JavaScript.
+ *
+ * @module mmdb-reader
+ */
+
+"use strict";
+
+var _ipUtils = require("./ip-utils");
+
+var METADATA_MARKER = [0xab, 0xcd, 0xef, 0x4d, 0x61, 0x78, 0x4d, 0x69, 0x6e, 0x64, 0x2e, 0x63, 0x6f, 0x6d];
+var METADATA_MAX_SIZE = 128 * 1024;
+var DATA_SECTION_SEPARATOR_SIZE = 16;
+var DEFAULT_CACHE_SIZE = 4096;
+var MAX_DECODE_DEPTH = 32;
+
+// Data section field types (MaxMind DB spec §"Output Data Section")
+var T_EXTENDED = 0;
+var T_POINTER = 1;
+var T_UTF8 = 2;
+var T_DOUBLE = 3;
+var T_BYTES = 4;
+var T_UINT16 = 5;
+var T_UINT32 = 6;
+var T_MAP = 7;
+var T_INT32 = 8;
+var T_UINT64 = 9;
+var T_UINT128 = 10;
+var T_ARRAY = 11;
+var T_BOOLEAN = 14;
+var T_FLOAT = 15;
+
+var _utf8 = typeof TextDecoder !== "undefined" ? new TextDecoder("utf-8") : null;
+
+function _corrupt(msg) {
+  return new Error("mmdb-reader: invalid database (" + msg + ")");
+}
+
+function _findMetadataStart(buf) {
+  var stop = Math.max(0, buf.length - METADATA_MAX_SIZE);
+  var m = METADATA_MARKER;
+  for (var i = buf.length - m.length; i >= stop; i--) {
+    var j = 0;
+    while (j < m.length && buf[i + j] === m[j]) j++;
+    if (j === m.length) return i + m.length;
+  }
+  return -1;
+}
+
+// ── Data section decoder ────────────────────────────────────────────
+
+/**
+ * Decoder over one region of the file. `base` is where pointers are
+ * measured from: the data section start, or the metadata start.
+ */
+function _createDecoder(buf, base) {
+  var view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+
+  function _uint(off, size) {
+    var n = 0;
+    for (var i = 0; i < size; i++) n = n * 256 + buf[off + i];
+    return n;
+  }
+
+  function _bigUint(off, size) {
+    if (size <= 6) return _uint(off, size);
+    var n = BigInt(0);
+    for (var i = 0; i < size; i++) n = (n << BigInt(8)) | BigInt(buf[off + i]);
+    return n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n;
+  }
+
+  function _string(off, size) {
+    if (_utf8) return _utf8.decode(buf.subarray(off, off + size));
+    return Buffer.from(buf.buffer, buf.byteOffset + off, size).toString("utf8");
+  }
+
+  function _pointer(ctrl, off) {
+    var ss = (ctrl >> 3) & 3;
+    var vvv = ctrl & 7;
+    if (ss === 0) return { target: vvv * 256 + buf[off], next: off + 1 };
+    if (ss === 1) return { target: vvv * 65536 + _uint(off, 2) + 2048, next: off + 2 };
+    if (ss === 2) return { target: vvv * 16777216 + _uint(off, 3) + 526336, next: off + 3 };
+    return { target: _uint(off, 4), next: off + 4 };
+  }
+
+  // Returns { value, next } where next is the offset after the field.
+  function decode(off, depth) {
+    if (depth > MAX_DECODE_DEPTH) throw _corrupt("nesting too deep");
+    if (off >= buf.length) throw _corrupt("offset past end of file");
+    var ctrl = buf[off++];
+    var type = ctrl >> 5;
+
+    if (type === T_POINTER) {
+      var p = _pointer(ctrl, off);
+      // A pointer's target is decoded in place; decoding continues after
+      // the pointer itself, not after the pointed-to value.
+      var target = decode(base + p.target, depth + 1);
+      return { value: target.value, next: p.next };
+    }
+
+    if (type === T_EXTENDED) {
+      type = 7 + buf[off++];
+      if (type < 8) throw _corrupt("bad extended type");
+    }
+
+    var size = ctrl & 0x1f;
+    if (size === 29) size = 29 + buf[off++];
+    else if (size === 30) { size = 285 + _uint(off, 2); off += 2; }
+    else if (size === 31) { size = 65821 + _uint(off, 3); off += 3; }
+
+    switch (type) {
+      case T_UTF8:
+        return { value: _string(off, size), next: off + size };
+      case T_DOUBLE:
+        if (size !== 8) throw _corrupt("double of size " + size);
+        return { value: view.getFloat64(off, false), next: off + 8 };
+      case T_FLOAT:
+        if (size !== 4) throw _corrupt("float of size " + size);
+        return { value: view.getFloat32(off, false), next: off + 4 };
+      case T_BYTES:
+        return { value: buf.slice(off, off + size), next: off + size };
+      case T_UINT16:
+      case T_UINT32:
+        return { value: _uint(off, size), next: off + size };
+      case T_UINT64:
+      case T_UINT128:
+        return { value: _bigUint(off, size), next: off + size };
+      case T_INT32:
+        var v = _uint(off, size);
+        if (size === 4 && v >= 0x80000000) v -= 0x100000000;
+        return { value: v, next: off + size };
+      case T_BOOLEAN:
+        return { value: size !== 0, next: off };
+      case T_MAP:
+        var obj = {};
+        for (var k = 0; k < size; k++) {
+          var key = decode(off, depth + 1);
+          var val = decode(key.next, depth + 1);
+          obj[key.value] = val.value;
+          off = val.next;
+        }
+        return { value: obj, next: off };
+      case T_ARRAY:
+        var arr = [];
+        for (var a = 0; a < size; a++) {
+          var item = decode(off, depth + 1);
+          arr.push(item.value);
+          off = item.next;
+        }
+        return { value: arr, next: off };
+      default:
+        throw _corrupt("unsupported field type " + type);
+    }
+  }
+
+  return { decode: decode };
+}
+
+// ── Reader ──────────────────────────────────────────────────────────
+
+/**
+ * Create a reader over an in-memory MaxMind DB.
+ *
+ * @param {Uint8Array|Buffer} buffer - Whole .mmdb file contents
+ * @param {Object} [options]
+ * @param {number} [options.cacheSize=4096] - Decoded records kept per data
+ *   offset; many addresses share one record, so this saves most decoding
+ * @returns {{ metadata: Object, lookup: Function, lookupWithPrefix: Function, getStats: Function }}
+ * @throws {TypeError} When `buffer` is not a Uint8Array
+ * @throws {Error} When the file is not a MaxMind DB or is truncated
+ */
+function createMmdbReader(buffer, options) {
+  if (!(buffer instanceof Uint8Array)) {
+    throw new TypeError("createMmdbReader: buffer must be a Buffer or Uint8Array");
+  }
+  options = options || {};
+  var cacheSize = options.cacheSize >= 0 ? options.cacheSize : DEFAULT_CACHE_SIZE;
+
+  var metaStart = _findMetadataStart(buffer);
+  if (metaStart === -1) throw _corrupt("metadata marker not found");
+  var metadata = _createDecoder(buffer, metaStart).decode(metaStart, 0).value;
+  if (!metadata || typeof metadata !== "object") throw _corrupt("metadata is not a map");
+  if (metadata.binary_format_major_version !== 2) {
+    throw _corrupt("unsupported format version " + metadata.binary_format_major_version);
+  }
+
+  var nodeCount = metadata.node_count;
+  var recordSize = metadata.record_size;
+  var ipVersion = metadata.ip_version;
+  if (recordSize !== 24 && recordSize !== 28 && recordSize !== 32) {
+    throw _corrupt("unsupported record size " + recordSize);
+  }
+  if (ipVersion !== 4 && ipVersion !== 6) throw _corrupt("bad ip_version " + ipVersion);
+
+  var nodeBytes = recordSize / 4;
+  var treeSize = nodeCount * nodeBytes;
+  var dataStart = treeSize + DATA_SECTION_SEPARATOR_SIZE;
+  if (dataStart > metaStart) throw _corrupt("search tree larger than file");
+  var data = _createDecoder(buffer, dataStart);
+
+  var _cache = new Map();
+  var _lookups = 0;
+  var _hits = 0;
+  var _cacheHits = 0;
+
+  function _record(node, bit) {
+    var off = node * nodeBytes;
+    var b = buffer;
+    if (recordSize === 24) {
+      off += bit * 3;
+      return b[off] * 65536 + b[off + 1] * 256 + b[off + 2];
+    }
+    if (recordSize === 28) {
+      if (bit === 0) return ((b[off + 3] & 0xf0) >> 4) * 16777216 + b[off] * 65536 + b[off + 1] * 256 + b[off + 2];
+      return (b[off + 3] & 0x0f) * 16777216 + b[off + 4] * 65536 + b[off + 5] * 256 + b[off + 6];
+    }
+    off += bit * 4;
+    return b[off] * 16777216 + b[off + 1] * 65536 + b[off + 2] * 256 + b[off + 3];
+  }
+
+  // In an IPv6 tree IPv4 addresses live under ::/96; walk there once.
+  var ipv4Start = 0;
+  if (ipVersion === 6) {
+    for (var d = 0; d < 96 && ipv4Start < nodeCount; d++) ipv4Start = _record(ipv4Start, 0);
+  }
+
+  function _resolve(pointer) {
+    var off = pointer - nodeCount - DATA_SECTION_SEPARATOR_SIZE;
+    if (off < 0 || dataStart + off >= metaStart) throw _corrupt("record points outside data section");
+    if (_cache.has(off)) { _cacheHits++; return _cache.get(off); }
+    var value = data.decode(dataStart + off, 0).value;
+    if (cacheSize > 0) {
+      if (_cache.size >= cacheSize) _cache.delete(_cache.keys().next().value);
+      _cache.set(off, value);
+    }
+    return value;
+  }
+
+  /**
+   * Look up an address and report the network it matched.
+   *
+   * @param {string} ip
+   * @returns {{ data: Object|null, prefixLength: number, network: string }|null}
+   *   null when `ip` is not an address or is IPv6 in an IPv4-only database;
+   *   `data` is null when the address is in no network
+   */
+  function lookupWithPrefix(ip) {
+    var addr = _ipUtils.parseIp(ip);
+    if (!addr) return null;
+    if (addr.version === 6 && ipVersion === 4) return null;
+    _lookups++;
+
+    var bits = addr.bytes.length * 8;
+    var node = addr.version === 4 && ipVersion === 6 ? ipv4Start : 0;
+    var depth = 0;
+    while (depth < bits && node < nodeCount) {
+      var bit = (addr.bytes[depth >> 3] >> (7 - (depth & 7))) & 1;
+      node = _record(node, bit);
+      depth++;
+    }
+    var result = null;
+    if (node > nodeCount) {
+      result = _resolve(node);
+      _hits++;
+    } else if (node < nodeCount) {
+      throw _corrupt("search tree deeper than address");
+    }
+    return { data: result, prefixLength: depth, network: _ipUtils.networkKey(addr, depth) };
+  }
+
+  /**
+   * Look up an address.
+   * @param {string} ip
+   * @returns {Object|null} The decoded record, or null when not found
+   */
+  function lookup(ip) {
+    var r = lookupWithPrefix(ip);
+    return r ? r.data : null;
+  }
+
+  function getStats() {
+    return {
+      databaseType: metadata.database_type,
+      ipVersion: ipVersion,
+      nodeCount: nodeCount,
+      recordSize: recordSize,
+      buildEpoch: metadata.build_epoch,
+      lookups: _lookups,
+      found: _hits,
+      cacheHits: _cacheHits,
+      cached: _cache.size
+    };
+  }
+
+  return {
+    metadata: metadata,
+    lookup: lookup,
+    lookupWithPrefix: lookupWithPrefix,
+    getStats: getStats
+  };
+}
+
+/**
+ * Read a .mmdb file from disk and create a reader over it. The whole file
+ * is loaded into memory (a GeoLite2-City file is about 60 MB).
+ *
+ * @param {string} path
+ * @param {Object} [options] - As createMmdbReader
+ * @returns {Object} Reader
+ */
+function openMmdb(path, options) {
+  if (typeof path !== "string" || !path) throw new TypeError("openMmdb: path is required");
+  var fs = require("fs");
+  return createMmdbReader(fs.readFileSync(path), options);
+}
+
+// ── Record → risk meta ──────────────────────────────────────────────
+
+function _name(names, lang) {
+  if (!names || typeof names !== "object") return undefined;
+  return names[lang] || names.en;
+}
+
+/**
+ * Flatten a GeoIP2 / GeoLite2 record (Country, City, ASN or Anonymous IP
+ * schema) into the fields createGeoRiskScorer reads. Fields the record
+ * does not carry are left out.
+ *
+ * @param {Object|null} record - From reader.lookup()
+ * @param {string} [lang="en"] - Preferred language for place names
+ * @returns {{ country?: string, city?: string, lat?: number, lon?: number,
+ *   asn?: number, asOrg?: string, isProxy?: boolean, isDatacenter?: boolean,
+ *   isTor?: boolean, isVpn?: boolean }}
+ */
+function extractGeoFields(record, lang) {
+  var out = {};
+  if (!record || typeof record !== "object") return out;
+  lang = lang || "en";
+
+  var country = record.country || record.registered_country;
+  if (country && country.iso_code) out.country = country.iso_code;
+  var city = _name(record.city && record.city.names, lang);
+  if (city) out.city = city;
+  var loc = record.location;
+  if (loc && typeof loc.latitude === "number" && typeof loc.longitude === "number") {
+    out.lat = loc.latitude;
+    out.lon = loc.longitude;
+  }
+
+  // ASN databases put these at the top level; Enterprise/Insights under traits
+  var traits = record.traits || {};
+  var asn = record.autonomous_system_number != null ? record.autonomous_system_number : traits.autonomous_system_number;
+  if (typeof asn === "number") out.asn = asn;
+  var org = record.autonomous_system_organization || traits.autonomous_system_organization;
+  if (org) out.asOrg = org;
+
+  function flag(name) { return record[name] === true || traits[name] === true; }
+  if (flag("is_anonymous_proxy") || flag("is_public_proxy") || flag("is_residential_proxy")) out.isProxy = true;
+  if (flag("is_hosting_provider")) out.isDatacenter = true;
+  if (flag("is_tor_exit_node")) out.isTor = true;
+  if (flag("is_anonymous_vpn")) out.isVpn = true;
+  return out;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createMmdbReader: createMmdbReader,
+    openMmdb: openMmdb,
+    extractGeoFields: extractGeoFields
+  };
+}
@@ -0,0 +1,504 @@
+"use strict";
+
+/**
+ * pow-solver.js — client-side solver for createProofOfWork challenges.
+ *
+ * Finds a nonce whose hash has `difficulty` leading zero bits, for both
+ * puzzle algorithms createProofOfWork can issue:
+ *
+ *   sha256   SHA-256(prefix + ":" + nonce)
+ *   scrypt   scrypt(password = nonce, salt = prefix, N, r, p, keyLen)
+ *
+ * Hashing is pure JavaScript (no SubtleCrypto: it has no scrypt and its
+ * per-call promise overhead dominates short SHA-256 inputs).  In browsers
+ * the search runs in a Web Worker built from this file's own source, so
+ * the page stays responsive; where workers are unavailable (CSP without
+ * `worker-src blob:`, Node, old browsers) it runs on the calling thread
+ * in short time slices.
+ *
+ *   var ch = await fetch("/pow").then(r => r.json());   // pow.issue() output
+ *   var ctl = new AbortController();
+ *   var sol = await solveProofOfWork(ch, {
+ *     signal: ctl.signal,
+ *     onProgress: function (p) { bar.value = p.iterations / p.expectedIterations; }
+ *   });
+ *   // → { nonce, hash, iterations, elapsedMs, hashesPerSecond, usedWorker }
+ *
+ * @module gif-captcha/pow-solver
+ */
+
+var DEFAULT_PROGRESS_INTERVAL_MS = 250;
+var DEFAULT_MAX_ITERATIONS = 100000000;
+var SLICE_MS = 16;
+
+// Everything the worker needs lives in this one function so its source
+// can be shipped to a Blob worker with Function#toString.
+function _powCore() {
+  var K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]);
+  var W = new Uint32Array(64);
+
+  function utf8(str) {
+    if (typeof TextEncoder !== "undefined") return new TextEncoder().encode(str);
+    var s = unescape(encodeURIComponent(str));
+    var out = new Uint8Array(s.length);
+    for (var i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+    return out;
+  }
+
+  function sha256(msg) {
+    var len = msg.length;
+    var padded = new Uint8Array(((len + 9 + 63) >> 6) << 6);
+    padded.set(msg);
+    padded[len] = 0x80;
+    var bits = len * 8;
+    var end = padded.length;
+    padded[end - 4] = bits >>> 24;
+    padded[end - 3] = bits >>> 16;
+    padded[end - 2] = bits >>> 8;
+    padded[end - 1] = bits;
+    padded[end - 5] = Math.floor(len / 0x20000000);
+
+    var h0 = 0x6a09e667, h1 = 0xbb67ae85, h2 = 0x3c6ef372, h3 = 0xa54ff53a;
+    var h4 = 0x510e527f, h5 = 0x9b05688c, h6 = 0x1f83d9ab, h7 = 0x5be0cd19;
+    for (var off = 0; off < end; off += 64) {
+      var i, t1, t2;
+      for (i = 0; i < 16; i++) {
+        var j = off + i * 4;
+        W[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3];
+      }
+      for (i = 16; i < 64; i++) {
+        var x = W[i - 15], y = W[i - 2];
+        var s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        var s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+      }
+      var a = h0, b = h1, c = h2, d = h3, e = h4, f = h5, g = h6, h = h7;
+      for (i = 0; i < 64; i++) {
+        t1 = (h + (((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))) +
+          ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+        t2 = ((((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))) +
+          ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      h0 = (h0 + a) | 0; h1 = (h1 + b) | 0; h2 = (h2 + c) | 0; h3 = (h3 + d) | 0;
+      h4 = (h4 + e) | 0; h5 = (h5 + f) | 0; h6 = (h6 + g) | 0; h7 = (h7 + h) | 0;
+    }
+    var out = new Uint8Array(32);
+    [h0, h1, h2, h3, h4, h5, h6, h7].forEach(function (v, k) {
+      out[k * 4] = v >>> 24; out[k * 4 + 1] = v >>> 16; out[k * 4 + 2] = v >>> 8; out[k * 4 + 3] = v;
+    });
+    return out;
+  }
+
+  function hmacSha256(key, msg) {
+    if (key.length > 64) key = sha256(key);
+    var inner = new Uint8Array(64 + msg.length);
+    var outer = new Uint8Array(64 + 32);
+    for (var i = 0; i < 64; i++) {
+      var k = i < key.length ? key[i] : 0;
+      inner[i] = k ^ 0x36;
+      outer[i] = k ^ 0x5c;
+    }
+    inner.set(msg, 64);
+    outer.set(sha256(inner), 64);
+    return sha256(outer);
+  }
+
+  // PBKDF2-HMAC-SHA256 with one iteration, which is all scrypt needs
+  function pbkdf2Once(password, salt, dkLen) {
+    var out = new Uint8Array(dkLen);
+    var block = new Uint8Array(salt.length + 4);
+    block.set(salt);
+    for (var i = 1, pos = 0; pos < dkLen; i++, pos += 32) {
+      block[salt.length] = i >>> 24;
+      block[salt.length + 1] = i >>> 16;
+      block[salt.length + 2] = i >>> 8;
+      block[salt.length + 3] = i;
+      var u = hmacSha256(password, block);
+      out.set(u.subarray(0, Math.min(32, dkLen - pos)), pos);
+    }
+    return out;
+  }
+
+  function salsa208(B, x) {
+    var i;
+    for (i = 0; i < 16; i++) x[i] = B[i];
+    for (i = 0; i < 8; i += 2) {
+      var u;
+      u = x[0] + x[12]; x[4] ^= (u << 7) | (u >>> 25);
+      u = x[4] + x[0]; x[8] ^= (u << 9) | (u >>> 23);
+      u = x[8] + x[4]; x[12] ^= (u << 13) | (u >>> 19);
+      u = x[12] + x[8]; x[0] ^= (u << 18) | (u >>> 14);
+      u = x[5] + x[1]; x[9] ^= (u << 7) | (u >>> 25);
+      u = x[9] + x[5]; x[13] ^= (u << 9) | (u >>> 23);
+      u = x[13] + x[9]; x[1] ^= (u << 13) | (u >>> 19);
+      u = x[1] + x[13]; x[5] ^= (u << 18) | (u >>> 14);
+      u = x[10] + x[6]; x[14] ^= (u << 7) | (u >>> 25);
+      u = x[14] + x[10]; x[2] ^= (u << 9) | (u >>> 23);
+      u = x[2] + x[14]; x[6] ^= (u << 13) | (u >>> 19);
+      u = x[6] + x[2]; x[10] ^= (u << 18) | (u >>> 14);
+      u = x[15] + x[11]; x[3] ^= (u << 7) | (u >>> 25);
+      u = x[3] + x[15]; x[7] ^= (u << 9) | (u >>> 23);
+      u = x[7] + x[3]; x[11] ^= (u << 13) | (u >>> 19);
+      u = x[11] + x[7]; x[15] ^= (u << 18) | (u >>> 14);
+      u = x[0] + x[3]; x[1] ^= (u << 7) | (u >>> 25);
+      u = x[1] + x[0]; x[2] ^= (u << 9) | (u >>> 23);
+      u = x[2] + x[1]; x[3] ^= (u << 13) | (u >>> 19);
+      u = x[3] + x[2]; x[0] ^= (u << 18) | (u >>> 14);
+      u = x[5] + x[4]; x[6] ^= (u << 7) | (u >>> 25);
+      u = x[6] + x[5]; x[7] ^= (u << 9) | (u >>> 23);
+      u = x[7] + x[6]; x[4] ^= (u << 13) | (u >>> 19);
+      u = x[4] + x[7]; x[5] ^= (u << 18) | (u >>> 14);
+      u = x[10] + x[9]; x[11] ^= (u << 7) | (u >>> 25);
+      u = x[11] + x[10]; x[8] ^= (u << 9) | (u >>> 23);
+      u = x[8] + x[11]; x[9] ^= (u << 13) | (u >>> 19);
+      u = x[9] + x[8]; x[10] ^= (u << 18) | (u >>> 14);
+      u = x[15] + x[14]; x[12] ^= (u << 7) | (u >>> 25);
+      u = x[12] + x[15]; x[13] ^= (u << 9) | (u >>> 23);
+      u = x[13] + x[12]; x[14] ^= (u << 13) | (u >>> 19);
+      u = x[14] + x[13]; x[15] ^= (u << 18) | (u >>> 14);
+    }
+    for (i = 0; i < 16; i++) B[i] = (B[i] + x[i]) | 0;
+  }
+
+  // BlockMix(B) → Y, on 32r-word blocks
+  function blockMix(B, Y, r, X, tmp) {
+    var i, j;
+    for (j = 0; j < 16; j++) X[j] = B[(2 * r - 1) * 16 + j];
+    for (i = 0; i < 2 * r; i++) {
+      for (j = 0; j < 16; j++) X[j] ^= B[i * 16 + j];
+      salsa208(X, tmp);
+      var dst = ((i & 1) * r + (i >> 1)) * 16;
+      for (j = 0; j < 16; j++) Y[dst + j] = X[j];
+    }
+  }
+
+  function scrypt(password, salt, N, r, p, dkLen) {
+    var blockWords = 32 * r;
+    var B = pbkdf2Once(password, salt, p * 128 * r);
+    var X = new Uint32Array(blockWords);
+    var Y = new Uint32Array(blockWords);
+    var V = new Uint32Array(blockWords * N);
+    var T = new Uint32Array(16);
+    var tmp = new Uint32Array(16);
+    for (var q = 0; q < p; q++) {
+      var base = q * 128 * r;
+      var i, k;
+      for (k = 0; k < blockWords; k++) {
+        var o = base + k * 4;
+        X[k] = B[o] | (B[o + 1] << 8) | (B[o + 2] << 16) | (B[o + 3] << 24);
+      }
+      for (i = 0; i < N; i++) {
+        V.set(X, i * blockWords);
+        blockMix(X, Y, r, T, tmp);
+        X.set(Y);
+      }
+      for (i = 0; i < N; i++) {
+        var jv = (X[(2 * r - 1) * 16] & (N - 1)) * blockWords;
+        for (k = 0; k < blockWords; k++) X[k] ^= V[jv + k];
+        blockMix(X, Y, r, T, tmp);
+        X.set(Y);
+      }
+      for (k = 0; k < blockWords; k++) {
+        var w = X[k], ob = base + k * 4;
+        B[ob] = w; B[ob + 1] = w >>> 8; B[ob + 2] = w >>> 16; B[ob + 3] = w >>> 24;
+      }
+    }
+    return pbkdf2Once(password, B, dkLen);
+  }
+
+  function leadingZeroBits(bytes) {
+    var bits = 0;
+    for (var i = 0; i < bytes.length; i++) {
+      if (bytes[i] === 0) { bits += 8; continue; }
+      var v = bytes[i];
+      while (!(v & 0x80)) { bits++; v <<= 1; }
+      break;
+    }
+    return bits;
+  }
+
+  function toHex(bytes) {
+    var s = "";
+    for (var i = 0; i < bytes.length; i++) s += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    return s;
+  }
+
+  function hashNonce(challenge, nonce) {
+    if (challenge.algorithm === "scrypt") {
+      var prm = challenge.params || {};
+      return scrypt(utf8(nonce), utf8(challenge.prefix), prm.N, prm.r, prm.p, prm.keyLen);
+    }
+    return sha256(utf8(challenge.prefix + ":" + nonce));
+  }
+
+  // Try nonces from `start` until one solves the challenge or `until()` says stop
+  function search(challenge, start, until) {
+    var diff = challenge.difficulty;
+    for (var i = start; ; i++) {
+      var nonce = i.toString(36);
+      var hash = hashNonce(challenge, nonce);
+      if (leadingZeroBits(hash) >= diff) {
+        return { found: true, nonce: nonce, hash: toHex(hash), next: i + 1 };
+      }
+      if (((i - start) & 63) === 63 || challenge.algorithm === "scrypt") {
+        if (until(i + 1)) return { found: false, next: i + 1 };
+      }
+    }
+  }
+
+  return {
+    sha256: sha256,
+    scrypt: scrypt,
+    utf8: utf8,
+    toHex: toHex,
+    hashNonce: hashNonce,
+    leadingZeroBits: leadingZeroBits,
+    search: search
+  };
+}
+
+// Worker entry point; `core` is _powCore() evaluated inside the worker
+function _powWorkerMain(scope, core) {
+  scope.onmessage = function (e) {
+    var msg = e.data || {};
+    if (msg.type !== "solve") return;
+    var ch = msg.challenge;
+    var started = Date.now();
+    var lastReport = started;
+    var result = core.search(ch, 0, function (iterations) {
+      var now = Date.now();
+      if (now - lastReport >= msg.progressIntervalMs) {
+        lastReport = now;
+        scope.postMessage({ type: "progress", iterations: iterations, elapsedMs: now - started });
+      }
+      return iterations >= msg.maxIterations;
+    });
+    if (result.found) {
+      scope.postMessage({ type: "done", nonce: result.nonce, hash: result.hash, iterations: result.next, elapsedMs: Date.now() - started });
+    } else {
+      scope.postMessage({ type: "exhausted", iterations: result.next });
+    }
+  };
+}
+
+var _core = null;
+function _getCore() {
+  if (!_core) _core = _powCore();
+  return _core;
+}
+
+/**
+ * JavaScript source for the solver's Web Worker.
+ * @returns {string}
+ */
+function buildWorkerSource() {
+  return "\"use strict\";\n(" + _powWorkerMain.toString() + ")(self, (" + _powCore.toString() + ")());\n";
+}
+
+/**
+ * Hash one nonce the way createProofOfWork().verify() does.
+ *
+ * @param {Object} challenge - { prefix, algorithm, params? }
+ * @param {string} nonce
+ * @returns {string} Hex digest
+ */
+function hashProofOfWork(challenge, nonce) {
+  var core = _getCore();
+  return core.toHex(core.hashNonce(challenge, String(nonce)));
+}
+
+function _validateChallenge(ch) {
+  if (!ch || typeof ch.prefix !== "string" || !ch.prefix) {
+    throw new TypeError("solveProofOfWork: challenge.prefix must be a non-empty string");
+  }
+  if (typeof ch.difficulty !== "number" || ch.difficulty < 0 || ch.difficulty > 64) {
+    throw new RangeError("solveProofOfWork: challenge.difficulty must be between 0 and 64");
+  }
+  var algorithm = ch.algorithm || "sha256";
+  if (algorithm !== "sha256" && algorithm !== "scrypt") {
+    throw new TypeError("solveProofOfWork: unsupported algorithm " + JSON.stringify(algorithm));
+  }
+  var out = { prefix: ch.prefix, difficulty: ch.difficulty, algorithm: algorithm };
+  if (algorithm === "scrypt") {
+    var p = ch.params || {};
+    if (!(p.N > 1) || (p.N & (p.N - 1)) !== 0 || !(p.r > 0) || !(p.p > 0) || !(p.keyLen > 0)) {
+      throw new TypeError("solveProofOfWork: scrypt challenges need params { N (power of 2), r, p, keyLen }");
+    }
+    out.params = { N: p.N, r: p.r, p: p.p, keyLen: p.keyLen };
+  }
+  return out;
+}
+
+function _abortError() {
+  var err = new Error("Proof-of-work cancelled");
+  err.name = "AbortError";
+  return err;
+}
+
+function _workerAvailable(scope) {
+  return !!(scope && typeof scope.Worker === "function" && typeof scope.Blob === "function" &&
+    scope.URL && typeof scope.URL.createObjectURL === "function");
+}
+
+/**
+ * Solve a proof-of-work challenge.
+ *
+ * @param {Object} challenge - createProofOfWork().issue() output: { prefix, difficulty, algorithm, params? }
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { iterations, elapsedMs,
+ *   hashesPerSecond, expectedIterations } about every progressIntervalMs
+ * @param {AbortSignal} [options.signal] - Cancels the search (rejects with an AbortError)
+ * @param {boolean} [options.worker=true] - Use a Web Worker when the environment allows
+ * @param {number} [options.progressIntervalMs=250]
+ * @param {number} [options.maxIterations=100000000]
+ * @returns {Promise<{ nonce: string, hash: string, iterations: number, elapsedMs: number,
+ *   hashesPerSecond: number, usedWorker: boolean }>}
+ */
+function solveProofOfWork(challenge, options) {
+  options = options || {};
+  var ch;
+  try {
+    ch = _validateChallenge(challenge);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  var signal = options.signal || null;
+  if (signal && signal.aborted) return Promise.reject(_abortError());
+  var onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
+  var intervalMs = options.progressIntervalMs > 0 ? options.progressIntervalMs : DEFAULT_PROGRESS_INTERVAL_MS;
+  var maxIterations = options.maxIterations > 0 ? options.maxIterations : DEFAULT_MAX_ITERATIONS;
+  var expected = Math.pow(2, ch.difficulty);
+  var scope = typeof self !== "undefined" ? self : (typeof window !== "undefined" ? window : null);
+  var useWorker = options.worker !== false && _workerAvailable(scope);
+
+  function progress(iterations, elapsedMs) {
+    if (!onProgress) return;
+    onProgress({
+      iterations: iterations,
+      elapsedMs: elapsedMs,
+      hashesPerSecond: elapsedMs > 0 ? Math.round(iterations / elapsedMs * 1000) : 0,
+      expectedIterations: expected
+    });
+  }
+
+  function finish(iterations, elapsedMs, nonce, hash, worker) {
+    return {
+      nonce: nonce,
+      hash: hash,
+      iterations: iterations,
+      elapsedMs: elapsedMs,
+      hashesPerSecond: elapsedMs > 0 ? Math.round(iterations / elapsedMs * 1000) : iterations,
+      usedWorker: worker
+    };
+  }
+
+  return new Promise(function (resolve, reject) {
+    var onAbort = null;
+
+    function cleanup() {
+      if (signal && onAbort) signal.removeEventListener("abort", onAbort);
+    }
+
+    if (useWorker) {
+      var url = scope.URL.createObjectURL(new scope.Blob([buildWorkerSource()], { type: "text/javascript" }));
+      var worker;
+      try {
+        worker = new scope.Worker(url);
+      } catch (e) {
+        // Blob workers blocked (CSP): fall through to the in-thread search
+        scope.URL.revokeObjectURL(url);
+        useWorker = false;
+      }
+      if (useWorker) {
+        var stop = function () {
+          worker.terminate();
+          scope.URL.revokeObjectURL(url);
+          cleanup();
+        };
+        onAbort = function () { stop(); reject(_abortError()); };
+        if (signal) signal.addEventListener("abort", onAbort);
+        worker.onmessage = function (e) {
+          var msg = e.data || {};
+          if (msg.type === "progress") return progress(msg.iterations, msg.elapsedMs);
+          stop();
+          if (msg.type === "done") resolve(finish(msg.iterations, msg.elapsedMs, msg.nonce, msg.hash, true));
+          else reject(new Error("Could not solve challenge within " + maxIterations + " iterations"));
+        };
+        worker.onerror = function (e) {
+          stop();
+          reject(new Error("Proof-of-work worker failed: " + ((e && e.message) || "unknown error")));
+        };
+        worker.postMessage({ type: "solve", challenge: ch, progressIntervalMs: intervalMs, maxIterations: maxIterations });
+        return;
+      }
+    }
+
+    // In-thread search in ~16 ms slices so timers, events and abort still run
+    var core = _getCore();
+    var started = Date.now();
+    var lastReport = started;
+    var next = 0;
+    var timer = null;
+    var cancelled = false;
+    onAbort = function () {
+      cancelled = true;
+      if (timer !== null) clearTimeout(timer);
+      cleanup();
+      reject(_abortError());
+    };
+    if (signal) signal.addEventListener("abort", onAbort);
+
+    function slice() {
+      timer = null;
+      if (cancelled) return;
+      var sliceEnd = Date.now() + SLICE_MS;
+      var result;
+      try {
+        result = core.search(ch, next, function (iterations) {
+          return iterations >= maxIterations || Date.now() >= sliceEnd;
+        });
+      } catch (err) {
+        cleanup();
+        return reject(err);
+      }
+      next = result.next;
+      var now = Date.now();
+      if (result.found) {
+        cleanup();
+        return resolve(finish(next, now - started, result.nonce, result.hash, false));
+      }
+      if (next >= maxIterations) {
+        cleanup();
+        return reject(new Error("Could not solve challenge within " + maxIterations + " iterations"));
+      }
+      if (now - lastReport >= intervalMs) {
+        lastReport = now;
+        progress(next, now - started);
+      }
+      timer = setTimeout(slice, 0);
+    }
+    timer = setTimeout(slice, 0);
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    solveProofOfWork: solveProofOfWork,
+    hashProofOfWork: hashProofOfWork,
+    buildWorkerSource: buildWorkerSource
+  };
+} else if (typeof window !== "undefined") {
+  window.solveProofOfWork = solveProofOfWork;
+  window.hashProofOfWork = hashProofOfWork;
+}
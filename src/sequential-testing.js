@@ -0,0 +1,315 @@
+"use strict";
+
+/**
+ * sequential-testing — statistics for experiments that are looked at
+ * before they finish.
+ *
+ * A fixed-horizon test analysed repeatedly rejects far more often than
+ * its nominal alpha. Two ways to peek safely:
+ *
+ *   group-sequential  Lan-DeMets alpha spending: each look at information
+ *                     fraction t may spend alpha(t) - alpha(t_prev); the
+ *                     boundaries come from recursive numerical
+ *                     integration of the joint distribution of the
+ *                     z-statistics (Jennison & Turnbull, ch. 19).
+ *   msprt             mixture sequential probability ratio test (Johari
+ *                     et al., "Always valid inference"): a p-value and
+ *                     confidence interval that stay valid however often
+ *                     and whenever they are read.
+ *
+ * Both work on the difference of two proportions with the normal
+ * approximation; createABExperimentRunner applies them variant vs
+ * control.
+ *
+ * @module sequential-testing
+ */
+
+var SQRT2 = Math.SQRT2;
+var INV_SQRT_2PI = 0.3989422804014327;
+
+/** Named alpha-spending functions. */
+var SPENDING_PLANS = ["obrien-fleming", "pocock", "linear"];
+
+/**
+ * Complementary error function with fractional error below 1.2e-7
+ * everywhere (Numerical Recipes erfcc), so far tails stay accurate.
+ * @private
+ */
+function _erfc(x) {
+  var z = Math.abs(x);
+  var t = 1 / (1 + 0.5 * z);
+  var r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+/**
+ * Standard normal upper tail P(Z > x).
+ * @param {number} x
+ * @returns {number}
+ */
+function normalTail(x) {
+  return 0.5 * _erfc(x / SQRT2);
+}
+
+function _density(x) {
+  return INV_SQRT_2PI * Math.exp(-0.5 * x * x);
+}
+
+/**
+ * Standard normal quantile (Acklam's approximation plus one Newton step).
+ * @param {number} p - In (0, 1)
+ * @returns {number}
+ */
+function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) {
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+    throw new RangeError("p must be in [0, 1]");
+  }
+  var a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  var b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155211809];
+  var c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  var d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  var x;
+  var q;
+  if (p < 0.02425) {
+    q = Math.sqrt(-2 * Math.log(p));
+    x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  } else if (p > 1 - 0.02425) {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  } else {
+    q = p - 0.5;
+    var r = q * q;
+    x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+  // Newton step on the lower-tail CDF, 1 - normalTail(x)
+  var err = (p < 0.5 ? normalTail(-x) : 1 - normalTail(x)) - p;
+  return x - err / _density(x);
+}
+
+/**
+ * Validate an alpha-spending plan: "obrien-fleming", "pocock", "linear"
+ * or `{ power: rho }` (Kim-DeMets alpha * t^rho).
+ *
+ * @param {string|Object} plan
+ * @throws {Error} On anything else
+ */
+function validateSpendingPlan(plan) {
+  if (typeof plan === "string" && SPENDING_PLANS.indexOf(plan) !== -1) return;
+  if (plan && typeof plan === "object" && typeof plan.power === "number" && plan.power > 0) return;
+  throw new Error("spending must be one of " + SPENDING_PLANS.join(", ") + " or { power: rho > 0 }");
+}
+
+/**
+ * Cumulative alpha a plan allows to be spent by information fraction t.
+ *
+ * @param {string|Object} plan - See validateSpendingPlan
+ * @param {number} t - Information fraction
+ * @param {number} alpha - Total two-sided alpha
+ * @returns {number}
+ */
+function alphaSpent(plan, t, alpha) {
+  if (t <= 0) return 0;
+  if (t >= 1) return alpha;
+  // Two-sided Lan-DeMets: alpha/2 spent per side, 2 - 2 * Phi(z_{1-alpha/4} / sqrt(t)) each
+  if (plan === "obrien-fleming") return 4 * normalTail(normalQuantile(1 - alpha / 4) / Math.sqrt(t));
+  if (plan === "pocock") return alpha * Math.log(1 + (Math.E - 1) * t);
+  if (plan === "linear") return alpha * t;
+  return alpha * Math.pow(t, plan.power);
+}
+
+// Simpson grid on [-h, h] with at least 161 points and spacing no wider
+// than a third of the next step's standard deviation.
+function _grid(half, stepSd) {
+  var n = Math.max(161, Math.ceil((2 * half) / (stepSd / 3)) + 1);
+  n = Math.min(n, 2001);
+  if (n % 2 === 0) n++;
+  var h = (2 * half) / (n - 1);
+  var xs = new Array(n);
+  var ws = new Array(n);
+  for (var i = 0; i < n; i++) {
+    xs[i] = -half + i * h;
+    ws[i] = (h / 3) * (i === 0 || i === n - 1 ? 1 : (i % 2 ? 4 : 2));
+  }
+  return { xs: xs, ws: ws };
+}
+
+/**
+ * Two-sided efficacy boundaries (z scale) for looks at increasing
+ * information fractions, each spending `spends[k]` of alpha. A look that
+ * spends nothing gets an infinite boundary.
+ *
+ * @param {number[]} fractions - Increasing, in (0, 1]
+ * @param {number[]} spends - Incremental alpha per look
+ * @returns {number[]} Boundaries
+ */
+function groupSequentialBoundaries(fractions, spends) {
+  var bounds = [];
+  var mass = null; // { xs, ps }: probability mass on the score scale S = Z * sqrt(t)
+  for (var k = 0; k < fractions.length; k++) {
+    var t = fractions[k];
+    var sd = Math.sqrt(t);
+    var c;
+    var stepSd;
+    if (k === 0) {
+      c = spends[0] > 0 ? normalQuantile(1 - spends[0] / 2) : Infinity;
+      stepSd = sd;
+    } else {
+      stepSd = Math.sqrt(t - fractions[k - 1]);
+      c = spends[k] > 0 ? _solveBoundary(mass, sd, stepSd, spends[k]) : Infinity;
+    }
+    bounds.push(c);
+    if (k === fractions.length - 1) break;
+    // Mass that continues past this look, on a grid over (-c sd, c sd)
+    var nextSd = Math.sqrt(fractions[k + 1] - t);
+    var g = _grid(Math.min(c, 8) * sd, nextSd);
+    var ps = new Array(g.xs.length);
+    for (var j = 0; j < g.xs.length; j++) {
+      var f = 0;
+      if (k === 0) {
+        f = _density(g.xs[j] / sd) / sd;
+      } else {
+        for (var i = 0; i < mass.xs.length; i++) {
+          f += mass.ps[i] * _density((g.xs[j] - mass.xs[i]) / stepSd) / stepSd;
+        }
+      }
+      ps[j] = f * g.ws[j];
+    }
+    mass = { xs: g.xs, ps: ps };
+  }
+  return bounds;
+}
+
+function _crossing(mass, sd, stepSd, c) {
+  var p = 0;
+  for (var i = 0; i < mass.xs.length; i++) {
+    p += mass.ps[i] * (normalTail((c * sd - mass.xs[i]) / stepSd) + normalTail((c * sd + mass.xs[i]) / stepSd));
+  }
+  return p;
+}
+
+function _solveBoundary(mass, sd, stepSd, spend) {
+  var lo = 0;
+  var hi = 40;
+  if (_crossing(mass, sd, stepSd, lo) <= spend) return 0;
+  for (var it = 0; it < 40; it++) {
+    var mid = (lo + hi) / 2;
+    if (_crossing(mass, sd, stepSd, mid) > spend) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Conditional power of reaching |Z| >= finalBoundary at t = 1, given z at
+ * fraction t and assuming the observed drift continues.
+ *
+ * @param {number} z
+ * @param {number} t - In (0, 1)
+ * @param {number} finalBoundary
+ * @returns {number}
+ */
+function conditionalPower(z, t, finalBoundary) {
+  if (t >= 1) return Math.abs(z) >= finalBoundary ? 1 : 0;
+  var s = z * Math.sqrt(t);
+  var mean = s + (s / t) * (1 - t);
+  var sd = Math.sqrt(1 - t);
+  return normalTail((finalBoundary - mean) / sd) + normalTail((finalBoundary + mean) / sd);
+}
+
+/**
+ * Mixture SPRT for the difference of two proportions, with a normal
+ * N(0, mixtureSd^2) mixing distribution over the true difference.
+ *
+ * @param {number} n1 - Control trials
+ * @param {number} s1 - Control successes
+ * @param {number} n2 - Variant trials
+ * @param {number} s2 - Variant successes
+ * @param {number} mixtureSd
+ * @param {number} alpha - For the confidence interval
+ * @returns {{ difference: number, variance: number, logLikelihoodRatio: number, pValue: number,
+ *   confidenceInterval: number[] }} pValue and interval for this look alone; intersect
+ *   across looks (min p-value, intersected intervals) for always-valid ones
+ */
+function msprtProportions(n1, s1, n2, s2, mixtureSd, alpha) {
+  var p1 = n1 > 0 ? s1 / n1 : 0;
+  var p2 = n2 > 0 ? s2 / n2 : 0;
+  var diff = p2 - p1;
+  var v = (n1 > 0 ? p1 * (1 - p1) / n1 : 0) + (n2 > 0 ? p2 * (1 - p2) / n2 : 0);
+  // No variance yet (all-or-nothing rates): no evidence either way
+  if (!(v > 0)) return { difference: diff, variance: 0, logLikelihoodRatio: 0, pValue: 1, confidenceInterval: [-1, 1] };
+  var tau2 = mixtureSd * mixtureSd;
+  var logLr = 0.5 * Math.log(v / (v + tau2)) + (diff * diff * tau2) / (2 * v * (v + tau2));
+  var half = Math.sqrt((v * (v + tau2) / tau2) * (Math.log((v + tau2) / v) - 2 * Math.log(alpha)));
+  return {
+    difference: diff,
+    variance: v,
+    logLikelihoodRatio: logLr,
+    pValue: Math.min(1, Math.exp(-logLr)),
+    confidenceInterval: [diff - half, diff + half]
+  };
+}
+
+/**
+ * Render rows of z-statistics against symmetric boundaries as text.
+ * Each row: `{ label, bound, z }`; bound is null for a look that spends
+ * no alpha, z null for a look not taken yet. `|` marks ±bound, `:` zero
+ * and `*` the observed z.
+ *
+ * @param {Object[]} rows
+ * @param {number} [width=41]
+ * @returns {string[]} Lines, axis first
+ */
+function boundaryChart(rows, width) {
+  width = width || 41;
+  var range = 3;
+  function bounded(r) { return typeof r.bound === "number" && isFinite(r.bound); }
+  rows.forEach(function (r) {
+    if (bounded(r)) range = Math.max(range, Math.min(r.bound, 8));
+    if (typeof r.z === "number") range = Math.max(range, Math.min(Math.abs(r.z), 8));
+  });
+  range = Math.ceil(range);
+  function col(x) {
+    var c = Math.round(((x + range) / (2 * range)) * (width - 1));
+    return c < 0 ? 0 : (c > width - 1 ? width - 1 : c);
+  }
+  var labelWidth = 0;
+  rows.forEach(function (r) { labelWidth = Math.max(labelWidth, r.label.length); });
+  var pad = new Array(labelWidth + 1).join(" ");
+  var axis = new Array(width + 1).join(" ").split("");
+  var lo = "-" + range;
+  var hi = "+" + range;
+  for (var i = 0; i < lo.length; i++) axis[i] = lo[i];
+  axis[col(0)] = "0";
+  for (var j = 0; j < hi.length; j++) axis[width - hi.length + j] = hi[j];
+  var lines = [pad + "  " + axis.join("")];
+  rows.forEach(function (r) {
+    var cells = new Array(width + 1).join(" ").split("");
+    cells[col(0)] = ":";
+    if (bounded(r)) {
+      cells[col(-r.bound)] = "|";
+      cells[col(r.bound)] = "|";
+    }
+    if (typeof r.z === "number") cells[col(r.z)] = "*";
+    lines.push(((r.label + pad).slice(0, labelWidth) + "  " + cells.join("")).replace(/\s+$/, ""));
+  });
+  return lines;
+}
+
+module.exports = {
+  SPENDING_PLANS: SPENDING_PLANS,
+  normalTail: normalTail,
+  normalQuantile: normalQuantile,
+  validateSpendingPlan: validateSpendingPlan,
+  alphaSpent: alphaSpent,
+  groupSequentialBoundaries: groupSequentialBoundaries,
+  conditionalPower: conditionalPower,
+  msprtProportions: msprtProportions,
+  boundaryChart: boundaryChart
+};
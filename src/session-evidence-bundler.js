@@ -481,6 +481,36 @@ function _grade(evidence, session) {
 // Public: bundle()
 // ---------------------------------------------------------------------------
 
+// Canonical hash over evidence + playbook + insights + summary fields (excl generatedAt for stability across clocks? -> include it; user passes fixed now for determinism tests).
+function _custodyHash(report) {
+  return _sha256(_stableStringify({
+    summary: report.summary,
+    verdict: report.verdict,
+    evidence: report.evidence,
+    playbook: report.playbook,
+    insights: report.insights,
+    riskAppetite: report.riskAppetite,
+    bundlerVersion: report.bundlerVersion,
+  }));
+}
+
+/**
+ * Recompute a report's chain-of-custody hash and compare it with the
+ * recorded one. Any edit to the summary, verdict, evidence, playbook or
+ * insights after bundling makes the report invalid.
+ *
+ * @param {Object} report - Output of bundle()
+ * @returns {{ valid: boolean, expected: string|null, actual: string|null }}
+ */
+function verifyChainOfCustody(report) {
+  if (!_isObj(report) || !_isObj(report.chainOfCustody)) {
+    return { valid: false, expected: null, actual: null };
+  }
+  var actual = _custodyHash(report);
+  var expected = report.chainOfCustody.sha256Hash || null;
+  return { valid: actual === expected, expected: expected, actual: actual };
+}
+
 function _bundleImpl(session, options) {
   options = options || {};
   var risk = _normRisk(options.riskAppetite);
@@ -529,18 +559,8 @@ function _bundleImpl(session, options) {
     bundlerVersion: BUNDLER_VERSION,
   };
 
-  // Canonical hash over evidence + playbook + insights + summary fields (excl generatedAt for stability across clocks? -> include it; user passes fixed now for determinism tests).
-  var canonical = _stableStringify({
-    summary: summary,
-    verdict: verdict,
-    evidence: evidence,
-    playbook: playbook,
-    insights: insights,
-    riskAppetite: risk,
-    bundlerVersion: BUNDLER_VERSION,
-  });
   report.chainOfCustody = {
-    sha256Hash: _sha256(canonical),
+    sha256Hash: _custodyHash(report),
     bundlerVersion: BUNDLER_VERSION,
     generatedAt: generatedAt,
     signalCount: totalSignals,
@@ -662,6 +682,10 @@ function createSessionEvidenceBundler(globalOpts) {
       if (!merged.dryRun) {
         history.unshift(report);
         if (history.length > historyLimit) history.length = historyLimit;
+        // Anchor the custody hash in a hash-chained audit log (captcha-audit-log)
+        if (merged.auditLog && typeof merged.auditLog.anchor === "function") {
+          merged.auditLog.anchor(report);
+        }
         _notify();
       }
       return report;
@@ -701,5 +725,6 @@ function createSessionEvidenceBundler(globalOpts) {
 
 module.exports = {
   createSessionEvidenceBundler: createSessionEvidenceBundler,
+  verifyChainOfCustody: verifyChainOfCustody,
   BUNDLER_VERSION: BUNDLER_VERSION,
 };
@@ -193,6 +193,7 @@ LruTracker.prototype.fromArray = function (arr) {
 // and in crypto-utils.js — see issue #91.
 
 var _cryptoUtils = require('./crypto-utils');
+var createAnswerNormalizer = require('./answer-normalizer').createAnswerNormalizer;
 var secureRandomInt = _cryptoUtils.secureRandomInt;
 
 // Keep _crypto reference for other shared-utils consumers (_constantTimeEqual)
@@ -636,15 +637,37 @@ function textSimilarity(a, b) {
   return intersection / (uniqueA + uniqueB - intersection);
 }
 
+var _defaultNormalizer = null;
+
 /**
  * Validate a user's CAPTCHA answer against the expected answer.
  *
+ * By default answers are compared by plain word overlap.  Passing
+ * `semantic`, `normalizer` or `concepts` switches to the answer-normalizer
+ * pipeline (stemming, number words, stop words, synonyms), so "A kitten
+ * jumps onto the sofa" matches "cat jumping on couch".  With `concepts`
+ * the answer passes when it covers enough of the challenge's accepted
+ * concept sets and is not padded with unrelated words: at most
+ * `maxUnmatchedRatio` of its distinct terms may go unused by the concepts,
+ * unless its overlap score with `expectedAnswer` reaches `threshold`.
+ *
  * @param {string} userAnswer - The user's response
  * @param {string} expectedAnswer - The correct/expected answer
  * @param {Object} [options] - Validation options
  * @param {number} [options.threshold=0.3] - Minimum similarity score to pass
  * @param {string[]} [options.requiredKeywords] - Words that must appear in the answer
- * @returns {{ passed: boolean, score: number, hasKeywords: boolean }}
+ * @param {boolean} [options.semantic=false] - Use the shared default normalizer
+ * @param {Object} [options.normalizer] - A createAnswerNormalizer() instance
+ * @param {string} [options.locale] - Normalizer locale
+ * @param {Array|Object} [options.concepts] - Accepted-concept sets (see createAnswerNormalizer().matchConcepts)
+ * @param {number} [options.minConcepts] - Concepts required to pass (default: all)
+ * @param {number} [options.maxUnmatchedRatio=0.6] - Share of distinct answer terms the concepts may leave unused
+ * @param {boolean} [options.allowHypernyms=false] - Let "animal" satisfy "cat"
+ *   (otherwise it only makes the answer a near miss)
+ * @returns {{ passed: boolean, score: number, hasKeywords: boolean }} In
+ *   semantic mode also `tokens`, `nearMiss`, and with concepts
+ *   `matchedConcepts`, `missingConcepts`, `conceptScore`, `unmatchedTerms`
+ *   and `reason: "unmatched_terms"` when padding sank a covered answer
  */
 function validateAnswer(userAnswer, expectedAnswer, options) {
   options = options || {};
@@ -657,6 +680,10 @@ function validateAnswer(userAnswer, expectedAnswer, options) {
     return { passed: false, score: 0, hasKeywords: false, reason: "answer_too_long" };
   }
 
+  if (options.semantic || options.normalizer || options.concepts) {
+    return _validateSemantic(userAnswer, expectedAnswer, options, threshold, requiredKeywords);
+  }
+
   var score = textSimilarity(userAnswer, expectedAnswer);
   var lowerAnswer = String(userAnswer || "").toLowerCase();
   var hasKeywords = requiredKeywords.length === 0 ||
@@ -671,6 +698,59 @@ function validateAnswer(userAnswer, expectedAnswer, options) {
   };
 }
 
+function _validateSemantic(userAnswer, expectedAnswer, options, threshold, requiredKeywords) {
+  var normalizer = options.normalizer;
+  if (!normalizer) {
+    if (!_defaultNormalizer) _defaultNormalizer = createAnswerNormalizer();
+    normalizer = _defaultNormalizer;
+  }
+  var opts = { locale: options.locale, allowHypernyms: options.allowHypernyms };
+  var answer = normalizer.normalize(userAnswer == null ? "" : userAnswer, opts);
+  var score = expectedAnswer ? normalizer.similarity(userAnswer || "", expectedAnswer, opts) : 0;
+
+  var present = Object.create(null);
+  answer.tokens.forEach(function (t) { present[t] = true; });
+  var hasKeywords = requiredKeywords.length === 0 ||
+    requiredKeywords.some(function (kw) {
+      var kwTokens = normalizer.tokens(kw, opts);
+      return kwTokens.length > 0 && kwTokens.every(function (t) { return present[t]; });
+    });
+
+  var result = { passed: false, score: score, hasKeywords: hasKeywords, tokens: answer.tokens };
+  var accepted;
+  if (options.concepts) {
+    var cm = normalizer.matchConcepts(answer, options.concepts, opts);
+    var total = cm.matched.length + cm.missing.length;
+    var needed = options.minConcepts != null ? Math.min(options.minConcepts, total) : total;
+    var covered = total > 0 && cm.matched.length >= needed;
+    // A word list that happens to name the concepts is not a description:
+    // unless the answer also resembles the expected one, most of its
+    // distinct terms must be ones the concepts used.
+    var distinct = answer.tokens.filter(function (t, i, arr) { return arr.indexOf(t) === i; }).length;
+    var maxUnmatched = options.maxUnmatchedRatio != null ? options.maxUnmatchedRatio : 0.6;
+    var stuffed = distinct > 0 && cm.unmatchedTerms.length / distinct > maxUnmatched;
+    accepted = covered && (!stuffed || (expectedAnswer && score >= threshold));
+    var hypernymOnly = (cm.hypernymMatches || []).length;
+    result.matchedConcepts = cm.matched;
+    result.missingConcepts = cm.missing;
+    result.conceptScore = cm.score;
+    result.unmatchedTerms = cm.unmatchedTerms;
+    if (covered && !accepted) result.reason = "unmatched_terms";
+    // One concept short, a hypernym where a concept was expected, or no
+    // concept named but half the words right
+    result.nearMiss = !accepted && !covered && total > 0 && (
+      (cm.matched.length > 0 && cm.matched.length === needed - 1) ||
+      (hypernymOnly > 0 && cm.matched.length + hypernymOnly >= needed) ||
+      score >= threshold / 2);
+  } else {
+    accepted = score >= threshold;
+    result.nearMiss = !accepted && score > 0 && score >= threshold / 2;
+  }
+  result.passed = accepted && hasKeywords;
+  if (!hasKeywords && accepted) result.nearMiss = true;
+  return result;
+}
+
 // ── Challenge Builder ───────────────────────────────────────────────
 
 /**
@@ -684,6 +764,8 @@ function validateAnswer(userAnswer, expectedAnswer, options) {
  * @param {string} opts.humanAnswer - Expected human description
  * @param {string} [opts.aiAnswer] - Typical AI response (for comparison/scoring)
  * @param {string[]} [opts.keywords] - Keywords for fuzzy validation
+ * @param {Array|Object} [opts.concepts] - Accepted-concept sets for semantic validation
+ *   (pass as `validateAnswer(answer, challenge.humanAnswer, { concepts: challenge.concepts })`)
  * @returns {Object} A structured challenge object
  */
 function createChallenge(opts) {
@@ -704,6 +786,7 @@ function createChallenge(opts) {
     humanAnswer: opts.humanAnswer,
     aiAnswer: opts.aiAnswer || "",
     keywords: opts.keywords || [],
+    concepts: opts.concepts || null,
   });
 }
 
@@ -0,0 +1,417 @@
+"use strict";
+
+/**
+ * state-snapshot-manager.js — One versioned, checksummed snapshot for
+ * every stateful module.
+ *
+ * Many modules (router, reputation tracker, rate limiter, trust engine,
+ * rotation scheduler, genetics lab, …) expose exportState()/importState()
+ * (the reputation tracker: exportData()/importData()), each with its own
+ * shape and no version field. The snapshot manager registers instances
+ * by name and captures them together:
+ *
+ *   var snapshots = createStateSnapshotManager();
+ *   snapshots.register("trust", trustEngine, { version: 2, migrations: { 2: addDecayField } });
+ *   snapshots.register("limiter", rateLimiter);
+ *   snapshots.saveFile("/var/lib/gif-captcha/snapshot.json");   // on shutdown
+ *   snapshots.loadFile("/var/lib/gif-captcha/snapshot.json");   // on boot
+ *
+ * Snapshot format:
+ *
+ *   { format: "gif-captcha-snapshot", formatVersion: 1, createdAt,
+ *     modules: { <name>: { version, encoding: "object" | "json", state } },
+ *     checksum: sha256(canonical JSON of modules) }
+ *
+ * restore() replaces state rather than merging into it: many importers
+ * merge, so each module is cleared with its reset hook (resetAll() or
+ * reset(), or the `reset` option) before its state is imported. It is
+ * also all-or-nothing: the checksum, every module's schema version and
+ * every migration are checked before anything is imported, and if a
+ * module's import throws (or returns false) the modules already restored
+ * are cleared and re-imported from their pre-restore state.
+ *
+ * @module gif-captcha/state-snapshot-manager
+ */
+
+var crypto = require("crypto");
+
+var SNAPSHOT_FORMAT = "gif-captcha-snapshot";
+var SNAPSHOT_FORMAT_VERSION = 1;
+
+var NAME_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+function _canonical(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return "[" + value.map(function (v) { return v === undefined ? "null" : _canonical(v); }).join(",") + "]";
+  }
+  var keys = Object.keys(value).filter(function (k) { return value[k] !== undefined; }).sort();
+  return "{" + keys.map(function (k) { return JSON.stringify(k) + ":" + _canonical(value[k]); }).join(",") + "}";
+}
+
+/**
+ * Checksum over a snapshot's modules (independent of key order).
+ *
+ * @param {Object} modules - snapshot.modules
+ * @returns {string} Hex SHA-256
+ */
+function computeSnapshotChecksum(modules) {
+  return crypto.createHash("sha256").update(_canonical(modules)).digest("hex");
+}
+
+function _clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Run a module's migrations from `from` up to `to`.
+ * migrations[n] upgrades version n-1 state to version n.
+ */
+function _migrate(name, state, from, to, migrations) {
+  var current = state;
+  for (var v = from + 1; v <= to; v++) {
+    var step = migrations[v];
+    if (typeof step !== "function") {
+      throw new Error("StateSnapshotManager: no migration for \"" + name + "\" from v" + (v - 1) + " to v" + v);
+    }
+    current = step(current);
+    if (current === undefined) {
+      throw new Error("StateSnapshotManager: migration of \"" + name + "\" to v" + v + " returned nothing");
+    }
+  }
+  return current;
+}
+
+// First of the named methods the instance has, as function(instance, arg)
+function _method(instance, primary, fallback) {
+  var name = typeof instance[primary] === "function" ? primary
+    : (typeof instance[fallback] === "function" ? fallback : null);
+  return name ? function (inst, arg) { return inst[name](arg); } : null;
+}
+
+// ── Factory ─────────────────────────────────────────────────────────
+
+/**
+ * Create a snapshot manager.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock returning epoch ms (default Date.now)
+ * @returns {Object} Snapshot manager
+ */
+function createStateSnapshotManager(options) {
+  options = options || {};
+  var now = typeof options.now === "function" ? options.now : Date.now;
+
+  /** name → { instance, version, migrations, exportFn, importFn, resetFn } */
+  var modules = Object.create(null);
+  var order = [];
+
+  /**
+   * Register a module instance.
+   *
+   * @param {string} name - Key in the snapshot ([A-Za-z0-9_.:-], ≤ 64 chars)
+   * @param {Object} instance - Object with exportState()/importState() or
+   *   exportData()/importData(), unless overridden
+   * @param {Object} [opts]
+   * @param {number} [opts.version=1] - Current schema version of this module's state
+   * @param {Object} [opts.migrations] - { <n>: function(stateV(n-1)) → stateVn }
+   * @param {Function} [opts.exportState] - Override: function(instance) → state
+   * @param {Function} [opts.importState] - Override: function(instance, state) → result
+   * @param {Function|false} [opts.reset] - Override: function(instance) clearing all state
+   *   before an import. Defaults to instance.resetAll() or a no-argument instance.reset();
+   *   false for an importState() that already replaces state
+   * @returns {Object} This manager (chainable)
+   */
+  function register(name, instance, opts) {
+    opts = opts || {};
+    if (typeof name !== "string" || !NAME_RE.test(name)) {
+      throw new TypeError("StateSnapshotManager: invalid module name " + JSON.stringify(name));
+    }
+    if (modules[name]) {
+      throw new Error("StateSnapshotManager: module \"" + name + "\" is already registered");
+    }
+    if (!instance || typeof instance !== "object") {
+      throw new TypeError("StateSnapshotManager: instance for \"" + name + "\" must be an object");
+    }
+    var exportFn = typeof opts.exportState === "function" ? opts.exportState : _method(instance, "exportState", "exportData");
+    var importFn = typeof opts.importState === "function" ? opts.importState : _method(instance, "importState", "importData");
+    if (!exportFn || !importFn) {
+      throw new TypeError("StateSnapshotManager: \"" + name + "\" needs exportState() and importState()");
+    }
+    var resetFn = null;
+    if (typeof opts.reset === "function") {
+      resetFn = opts.reset;
+    } else if (opts.reset !== false) {
+      if (typeof instance.resetAll === "function") resetFn = function (inst) { inst.resetAll(); };
+      else if (typeof instance.reset === "function" && instance.reset.length === 0) resetFn = function (inst) { inst.reset(); };
+    }
+    var version = opts.version === undefined ? 1 : opts.version;
+    if (typeof version !== "number" || version < 1 || Math.floor(version) !== version) {
+      throw new RangeError("StateSnapshotManager: version for \"" + name + "\" must be a positive integer");
+    }
+    modules[name] = {
+      instance: instance,
+      version: version,
+      migrations: opts.migrations || {},
+      exportFn: exportFn,
+      importFn: importFn,
+      resetFn: resetFn
+    };
+    order.push(name);
+    return api;
+  }
+
+  /**
+   * Register several instances with default options.
+   *
+   * @param {Object} map - { name: instance }
+   * @returns {Object} This manager
+   */
+  function registerAll(map) {
+    Object.keys(map || {}).forEach(function (name) { register(name, map[name]); });
+    return api;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether the module was registered
+   */
+  function unregister(name) {
+    if (!modules[name]) return false;
+    delete modules[name];
+    order.splice(order.indexOf(name), 1);
+    return true;
+  }
+
+  function _exportOne(name) {
+    var m = modules[name];
+    var state = m.exportFn(m.instance);
+    // Some modules export a JSON string; keep it structured in the snapshot
+    if (typeof state === "string") {
+      var parsed;
+      try { parsed = JSON.parse(state); } catch (e) {
+        throw new Error("StateSnapshotManager: \"" + name + "\" exported a string that is not JSON");
+      }
+      return { version: m.version, encoding: "json", state: parsed };
+    }
+    return { version: m.version, encoding: "object", state: _clone(state) };
+  }
+
+  function _importOne(name, entry) {
+    var m = modules[name];
+    var state = entry.encoding === "json" ? JSON.stringify(entry.state) : _clone(entry.state);
+    if (m.resetFn) m.resetFn(m.instance);
+    var result = m.importFn(m.instance, state);
+    if (result === false) {
+      throw new Error("StateSnapshotManager: \"" + name + "\" rejected its state");
+    }
+    return result;
+  }
+
+  /**
+   * Capture every registered module (or a subset).
+   *
+   * @param {Object} [opts]
+   * @param {string[]} [opts.only] - Module names to include
+   * @returns {Object} Snapshot
+   */
+  function snapshot(opts) {
+    opts = opts || {};
+    var names = Array.isArray(opts.only) ? opts.only : order;
+    var out = {};
+    names.forEach(function (name) {
+      if (!modules[name]) throw new Error("StateSnapshotManager: unknown module \"" + name + "\"");
+      out[name] = _exportOne(name);
+    });
+    return {
+      format: SNAPSHOT_FORMAT,
+      formatVersion: SNAPSHOT_FORMAT_VERSION,
+      createdAt: new Date(now()).toISOString(),
+      modules: out,
+      checksum: computeSnapshotChecksum(out)
+    };
+  }
+
+  /**
+   * Check a snapshot and compute the migrated state for each registered
+   * module it contains, without importing anything.
+   *
+   * @param {Object|string} snap - Snapshot object or its JSON
+   * @returns {{ valid: boolean, errors: string[], plan: Object[], missing: string[], unknown: string[] }}
+   */
+  function validate(snap) {
+    var errors = [];
+    var plan = [];
+    var missing = [];
+    var unknown = [];
+    if (typeof snap === "string") {
+      try { snap = JSON.parse(snap); } catch (e) {
+        return { valid: false, errors: ["snapshot is not valid JSON"], plan: plan, missing: missing, unknown: unknown };
+      }
+    }
+    if (!snap || typeof snap !== "object" || snap.format !== SNAPSHOT_FORMAT) {
+      errors.push("not a " + SNAPSHOT_FORMAT);
+    } else if (snap.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+      errors.push("unsupported formatVersion " + snap.formatVersion);
+    } else if (!snap.modules || typeof snap.modules !== "object") {
+      errors.push("snapshot has no modules");
+    } else if (computeSnapshotChecksum(snap.modules) !== snap.checksum) {
+      errors.push("checksum mismatch");
+    }
+    if (errors.length) return { valid: false, errors: errors, plan: plan, missing: missing, unknown: unknown };
+
+    Object.keys(snap.modules).forEach(function (name) {
+      if (!modules[name]) unknown.push(name);
+    });
+    order.forEach(function (name) {
+      var entry = snap.modules[name];
+      if (!entry) { missing.push(name); return; }
+      var m = modules[name];
+      var from = entry.version;
+      if (typeof from !== "number" || from < 1) {
+        errors.push(name + ": invalid version");
+      } else if (from > m.version) {
+        errors.push(name + ": snapshot v" + from + " is newer than registered v" + m.version);
+      } else {
+        try {
+          var state = from === m.version ? entry.state : _migrate(name, _clone(entry.state), from, m.version, m.migrations);
+          plan.push({ name: name, from: from, to: m.version, entry: { version: m.version, encoding: entry.encoding, state: state } });
+        } catch (e) {
+          errors.push(name + ": " + e.message);
+        }
+      }
+    });
+    return { valid: errors.length === 0, errors: errors, plan: plan, missing: missing, unknown: unknown };
+  }
+
+  /**
+   * Restore a snapshot, all-or-nothing.
+   *
+   * @param {Object|string} snap - Snapshot object or its JSON
+   * @param {Object} [opts]
+   * @param {boolean} [opts.requireAll=false] - Fail if a registered module is absent from the snapshot
+   * @param {boolean} [opts.strict=false] - Fail if the snapshot has modules that are not registered
+   * @returns {{ restored: string[], migrated: Object[], missing: string[], unknown: string[] }}
+   * @throws {Error} With `.errors` when validation fails, or the import error after rollback
+   */
+  function restore(snap, opts) {
+    opts = opts || {};
+    var check = validate(snap);
+    var errors = check.errors.slice();
+    if (opts.requireAll && check.missing.length) errors.push("missing modules: " + check.missing.join(", "));
+    if (opts.strict && check.unknown.length) errors.push("unregistered modules: " + check.unknown.join(", "));
+    if (errors.length) {
+      var err = new Error("StateSnapshotManager: cannot restore snapshot — " + errors.join("; "));
+      err.errors = errors;
+      throw err;
+    }
+
+    // Back up everything we are about to touch so a failed import can be undone
+    var backups = {};
+    check.plan.forEach(function (p) { backups[p.name] = _exportOne(p.name); });
+
+    var done = [];
+    for (var i = 0; i < check.plan.length; i++) {
+      var p = check.plan[i];
+      try {
+        _importOne(p.name, p.entry);
+        done.push(p.name);
+      } catch (e) {
+        var rollbackErrors = [];
+        done.concat(p.name).forEach(function (name) {
+          try { _importOne(name, backups[name]); } catch (re) { rollbackErrors.push(name + ": " + re.message); }
+        });
+        var failure = new Error("StateSnapshotManager: restoring \"" + p.name + "\" failed (" + e.message +
+          "); " + (rollbackErrors.length ? "rollback incomplete" : "all modules rolled back"));
+        failure.module = p.name;
+        failure.cause = e;
+        failure.rollbackErrors = rollbackErrors;
+        throw failure;
+      }
+    }
+
+    return {
+      restored: done,
+      migrated: check.plan.filter(function (p) { return p.from !== p.to; })
+        .map(function (p) { return { name: p.name, from: p.from, to: p.to }; }),
+      missing: check.missing,
+      unknown: check.unknown
+    };
+  }
+
+  /**
+   * Write a snapshot to disk atomically (temp file + rename).
+   *
+   * @param {string} file
+   * @param {Object} [opts] - Passed to snapshot()
+   * @returns {Promise<Object>} The snapshot written
+   */
+  function saveFile(file, opts) {
+    var fs = require("fs");
+    var pathMod = require("path");
+    var cryptoUtils = require("./crypto-utils");
+    return Promise.resolve().then(function () {
+      var snap = snapshot(opts);
+      var target = pathMod.resolve(file);
+      var tmp = target + "." + process.pid + "." + cryptoUtils.secureRandomHex(6) + ".tmp";
+      return fs.promises.mkdir(pathMod.dirname(target), { recursive: true }).then(function () {
+        return fs.promises.writeFile(tmp, JSON.stringify(snap), "utf8");
+      }).then(function () {
+        return fs.promises.rename(tmp, target);
+      }).then(function () {
+        return snap;
+      }, function (err) {
+        return fs.promises.unlink(tmp).catch(function () {}).then(function () { throw err; });
+      });
+    });
+  }
+
+  /**
+   * Read a snapshot file and restore it.
+   *
+   * @param {string} file
+   * @param {Object} [opts] - Passed to restore(); `ignoreMissingFile` resolves null when absent
+   * @returns {Promise<Object|null>} restore() result
+   */
+  function loadFile(file, opts) {
+    opts = opts || {};
+    return require("fs").promises.readFile(file, "utf8").then(function (text) {
+      return restore(text, opts);
+    }, function (err) {
+      if (err.code === "ENOENT" && opts.ignoreMissingFile) return null;
+      throw err;
+    });
+  }
+
+  /**
+   * @returns {Object[]} Registered modules: { name, version }
+   */
+  function list() {
+    return order.map(function (name) { return { name: name, version: modules[name].version }; });
+  }
+
+  var api = {
+    register: register,
+    registerAll: registerAll,
+    unregister: unregister,
+    list: list,
+    snapshot: snapshot,
+    validate: function (snap) {
+      var r = validate(snap);
+      return { valid: r.valid, errors: r.errors, missing: r.missing, unknown: r.unknown };
+    },
+    restore: restore,
+    saveFile: saveFile,
+    loadFile: loadFile
+  };
+  return api;
+}
+
+module.exports = {
+  createStateSnapshotManager: createStateSnapshotManager,
+  computeSnapshotChecksum: computeSnapshotChecksum,
+  SNAPSHOT_FORMAT: SNAPSHOT_FORMAT,
+  SNAPSHOT_FORMAT_VERSION: SNAPSHOT_FORMAT_VERSION
+};
@@ -0,0 +1,327 @@
+"use strict";
+
+/**
+ * state-store-conformance.js — Behavioural test suite for state-store
+ * adapters.
+ *
+ * Any store passed as `options.store` to createSessionManager,
+ * createTokenVerifier, createProofOfWork or createCaptchaRateLimiter must
+ * pass these cases. Adapter authors run them from their own test file:
+ *
+ *   var conformance = require("gif-captcha/state-store-conformance");
+ *   conformance.runStoreConformance("redis", function () {
+ *     return createRedisStore({ url: process.env.REDIS_URL });
+ *   });
+ *
+ * With node:test (the default) each case becomes an `it()` inside a
+ * `describe()`; pass `{ describe, it }` to use another runner, or iterate
+ * CONFORMANCE_CASES directly. Every case works under a fresh random key
+ * prefix, so the suite can share a database with other data.
+ *
+ * TTL cases sleep for a few multiples of `ttlMs` (default 60 ms); raise it
+ * for stores with coarse expiry (e.g. Redis PX is fine, SQL sweepers may
+ * need seconds).
+ *
+ * @module gif-captcha/state-store-conformance
+ */
+
+var assert = require("assert");
+var cryptoUtils = require("./crypto-utils");
+var STORE_METHODS = require("./state-store").STORE_METHODS;
+
+function _sleep(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+function _rejects(promise, Type) {
+  return promise.then(function () {
+    throw new assert.AssertionError({ message: "expected promise to reject with " + Type.name });
+  }, function (err) {
+    assert.ok(err instanceof Type, "expected " + Type.name + ", got " + (err && err.name));
+  });
+}
+
+/**
+ * Conformance cases. Each `run(store, ctx)` returns a Promise; `ctx.key(name)`
+ * namespaces a key and `ctx.ttlMs` is the short TTL to exercise.
+ */
+var CONFORMANCE_CASES = [
+  {
+    name: "implements every interface method",
+    run: function (store) {
+      STORE_METHODS.forEach(function (m) {
+        assert.strictEqual(typeof store[m], "function", "missing " + m + "()");
+      });
+      return Promise.resolve();
+    }
+  },
+  {
+    name: "get returns null for missing keys",
+    run: function (store, ctx) {
+      return store.get(ctx.key("missing")).then(function (v) { assert.strictEqual(v, null); });
+    }
+  },
+  {
+    name: "set/get round-trips JSON values without sharing references",
+    run: function (store, ctx) {
+      var value = { a: 1, b: [true, "x", null], c: { d: 2.5 } };
+      return store.set(ctx.key("obj"), value).then(function () {
+        value.a = 99;
+        return store.get(ctx.key("obj"));
+      }).then(function (got) {
+        assert.deepStrictEqual(got, { a: 1, b: [true, "x", null], c: { d: 2.5 } });
+        got.a = 42;
+        return store.get(ctx.key("obj"));
+      }).then(function (again) {
+        assert.strictEqual(again.a, 1);
+        return Promise.all([store.set(ctx.key("n"), 0), store.set(ctx.key("s"), ""), store.set(ctx.key("f"), false)]);
+      }).then(function () {
+        return Promise.all([store.get(ctx.key("n")), store.get(ctx.key("s")), store.get(ctx.key("f"))]);
+      }).then(function (vals) {
+        assert.deepStrictEqual(vals, [0, "", false]);
+      });
+    }
+  },
+  {
+    name: "set overwrites and del reports whether the key existed",
+    run: function (store, ctx) {
+      var k = ctx.key("k");
+      return store.set(k, 1).then(function () { return store.set(k, 2); })
+        .then(function () { return store.get(k); })
+        .then(function (v) {
+          assert.strictEqual(v, 2);
+          return store.del(k);
+        })
+        .then(function (existed) {
+          assert.strictEqual(existed, true);
+          return store.del(k);
+        })
+        .then(function (existed) {
+          assert.strictEqual(existed, false);
+          return store.get(k);
+        })
+        .then(function (v) { assert.strictEqual(v, null); });
+    }
+  },
+  {
+    name: "set with ttlMs expires the key",
+    run: function (store, ctx) {
+      var k = ctx.key("ttl");
+      return store.set(k, "v", { ttlMs: ctx.ttlMs }).then(function () { return store.get(k); })
+        .then(function (v) {
+          assert.strictEqual(v, "v");
+          return _sleep(ctx.ttlMs * 3);
+        })
+        .then(function () { return store.get(k); })
+        .then(function (v) { assert.strictEqual(v, null); });
+    }
+  },
+  {
+    name: "set without ttlMs clears a previous TTL",
+    run: function (store, ctx) {
+      var k = ctx.key("persist");
+      return store.set(k, 1, { ttlMs: ctx.ttlMs }).then(function () { return store.set(k, 2); })
+        .then(function () { return _sleep(ctx.ttlMs * 3); })
+        .then(function () { return store.get(k); })
+        .then(function (v) { assert.strictEqual(v, 2); });
+    }
+  },
+  {
+    name: "incr creates, increments by any amount and returns the new value",
+    run: function (store, ctx) {
+      var k = ctx.key("ctr");
+      return store.incr(k).then(function (v) {
+        assert.strictEqual(v, 1);
+        return store.incr(k, 5);
+      }).then(function (v) {
+        assert.strictEqual(v, 6);
+        return store.incr(k, -2);
+      }).then(function (v) {
+        assert.strictEqual(v, 4);
+        return store.get(k);
+      }).then(function (v) { assert.strictEqual(v, 4); });
+    }
+  },
+  {
+    name: "incr sets the TTL only when it creates the key",
+    run: function (store, ctx) {
+      var k = ctx.key("ctr-ttl");
+      var fresh = ctx.key("ctr-fresh");
+      return store.incr(k, 1, { ttlMs: ctx.ttlMs }).then(function () {
+        return _sleep(Math.floor(ctx.ttlMs / 2));
+      }).then(function () {
+        return store.incr(k, 1, { ttlMs: ctx.ttlMs * 100 });
+      }).then(function (v) {
+        assert.strictEqual(v, 2);
+        return _sleep(ctx.ttlMs * 3);
+      }).then(function () {
+        return store.get(k);
+      }).then(function (v) {
+        assert.strictEqual(v, null, "second incr must not extend the TTL");
+        return store.incr(fresh, 1, { ttlMs: ctx.ttlMs });
+      }).then(function () {
+        return _sleep(ctx.ttlMs * 3);
+      }).then(function () {
+        return store.incr(fresh);
+      }).then(function (v) { assert.strictEqual(v, 1, "expired counter restarts from zero"); });
+    }
+  },
+  {
+    name: "incr rejects non-numeric values with TypeError",
+    run: function (store, ctx) {
+      var k = ctx.key("str");
+      return store.set(k, "abc").then(function () { return _rejects(store.incr(k), TypeError); });
+    }
+  },
+  {
+    name: "concurrent incr calls are atomic",
+    run: function (store, ctx) {
+      var k = ctx.key("race");
+      var calls = [];
+      for (var i = 0; i < 25; i++) calls.push(store.incr(k));
+      return Promise.all(calls).then(function (results) {
+        var sorted = results.slice().sort(function (a, b) { return a - b; });
+        for (var j = 0; j < sorted.length; j++) assert.strictEqual(sorted[j], j + 1);
+        return store.get(k);
+      }).then(function (v) { assert.strictEqual(v, 25); });
+    }
+  },
+  {
+    name: "expire sets a TTL on existing keys and reports missing ones",
+    run: function (store, ctx) {
+      var k = ctx.key("exp");
+      return store.expire(ctx.key("nope"), ctx.ttlMs).then(function (ok) {
+        assert.strictEqual(ok, false);
+        return store.set(k, 1);
+      }).then(function () {
+        return store.expire(k, ctx.ttlMs);
+      }).then(function (ok) {
+        assert.strictEqual(ok, true);
+        return _sleep(ctx.ttlMs * 3);
+      }).then(function () {
+        return store.get(k);
+      }).then(function (v) { assert.strictEqual(v, null); });
+    }
+  },
+  {
+    name: "compareAndSet with expected null only creates absent keys",
+    run: function (store, ctx) {
+      var k = ctx.key("cas-new");
+      return store.compareAndSet(k, null, { v: 1 }).then(function (ok) {
+        assert.strictEqual(ok, true);
+        return store.compareAndSet(k, null, { v: 2 });
+      }).then(function (ok) {
+        assert.strictEqual(ok, false);
+        return store.get(k);
+      }).then(function (v) { assert.deepStrictEqual(v, { v: 1 }); });
+    }
+  },
+  {
+    name: "compareAndSet swaps only when the current value matches",
+    run: function (store, ctx) {
+      var k = ctx.key("cas");
+      return store.set(k, { n: 1, list: [1, 2] }).then(function () {
+        return store.compareAndSet(k, { n: 2, list: [1, 2] }, { n: 3 });
+      }).then(function (ok) {
+        assert.strictEqual(ok, false);
+        return store.compareAndSet(k, { n: 1, list: [1, 2] }, { n: 3 });
+      }).then(function (ok) {
+        assert.strictEqual(ok, true);
+        return store.get(k);
+      }).then(function (v) { assert.deepStrictEqual(v, { n: 3 }); });
+    }
+  },
+  {
+    name: "compareAndSet with next null deletes the key",
+    run: function (store, ctx) {
+      var k = ctx.key("cas-del");
+      return store.set(k, "x").then(function () {
+        return store.compareAndSet(k, "x", null);
+      }).then(function (ok) {
+        assert.strictEqual(ok, true);
+        return store.get(k);
+      }).then(function (v) { assert.strictEqual(v, null); });
+    }
+  },
+  {
+    name: "compareAndSet applies ttlMs to the written value",
+    run: function (store, ctx) {
+      var k = ctx.key("cas-ttl");
+      return store.compareAndSet(k, null, 1, { ttlMs: ctx.ttlMs }).then(function () {
+        return _sleep(ctx.ttlMs * 3);
+      }).then(function () {
+        return store.get(k);
+      }).then(function (v) { assert.strictEqual(v, null); });
+    }
+  },
+  {
+    name: "concurrent compareAndSet from the same value has exactly one winner",
+    run: function (store, ctx) {
+      var k = ctx.key("cas-race");
+      return store.set(k, 0).then(function () {
+        var calls = [];
+        for (var i = 1; i <= 10; i++) calls.push(store.compareAndSet(k, 0, i));
+        return Promise.all(calls);
+      }).then(function (results) {
+        var winners = results.filter(Boolean).length;
+        assert.strictEqual(winners, 1);
+        return store.get(k).then(function (v) {
+          assert.strictEqual(v, results.indexOf(true) + 1);
+        });
+      });
+    }
+  },
+  {
+    name: "expired keys count as absent for compareAndSet",
+    run: function (store, ctx) {
+      var k = ctx.key("cas-expired");
+      return store.set(k, "old", { ttlMs: ctx.ttlMs }).then(function () {
+        return _sleep(ctx.ttlMs * 3);
+      }).then(function () {
+        return store.compareAndSet(k, "old", "new");
+      }).then(function (ok) {
+        assert.strictEqual(ok, false);
+        return store.compareAndSet(k, null, "new");
+      }).then(function (ok) { assert.strictEqual(ok, true); });
+    }
+  }
+];
+
+/**
+ * Register the conformance cases with a test runner.
+ *
+ * @param {string} name            - Adapter name for the describe() title
+ * @param {Function} createStore   - function() → store (or Promise of one); called per case
+ * @param {Object} [options]
+ * @param {Function} [options.describe] - Defaults to node:test describe
+ * @param {Function} [options.it]       - Defaults to node:test it
+ * @param {number} [options.ttlMs=60]   - Short TTL used by expiry cases
+ * @param {Function} [options.destroy]  - function(store) → Promise; called after each case
+ */
+function runStoreConformance(name, createStore, options) {
+  options = options || {};
+  var runner = options.describe && options.it ? options : require("node:test");
+  var ttlMs = options.ttlMs > 0 ? options.ttlMs : 60;
+  var destroy = typeof options.destroy === "function" ? options.destroy : null;
+
+  runner.describe("state-store conformance: " + name, function () {
+    CONFORMANCE_CASES.forEach(function (testCase) {
+      runner.it(testCase.name, function () {
+        var prefix = "conformance:" + cryptoUtils.secureRandomHex(8) + ":";
+        var ctx = { ttlMs: ttlMs, key: function (k) { return prefix + k; } };
+        return Promise.resolve(createStore()).then(function (store) {
+          return Promise.resolve(testCase.run(store, ctx)).then(function () {
+            if (destroy) return destroy(store);
+          }, function (err) {
+            return Promise.resolve(destroy && destroy(store)).then(function () { throw err; });
+          });
+        });
+      });
+    });
+  });
+}
+
+module.exports = {
+  CONFORMANCE_CASES: CONFORMANCE_CASES,
+  runStoreConformance: runStoreConformance
+};
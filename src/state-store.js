@@ -0,0 +1,347 @@
+"use strict";
+
+/**
+ * state-store.js — Pluggable async key/value state for multi-replica
+ * deployments.
+ *
+ * Session state, token nonces, proof-of-work challenges and rate-limit
+ * counters normally live in process-local objects, so two replicas each
+ * see half the traffic and replay protection / rate limits break. The
+ * modules that hold such state accept `options.store`, any object that
+ * implements this interface (every method returns a Promise):
+ *
+ *   get(key)                                 → value | null
+ *   set(key, value, { ttlMs }?)              → undefined
+ *   del(key)                                 → boolean (existed)
+ *   incr(key, by = 1, { ttlMs }?)            → number (new value; TTL set only when the key is created)
+ *   expire(key, ttlMs)                       → boolean (false if the key is absent)
+ *   compareAndSet(key, expected, next, { ttlMs }?) → boolean
+ *
+ * Values are JSON-serializable. compareAndSet succeeds only if the
+ * current value equals `expected` (JSON equality; `null` = absent) and
+ * then writes `next` (`null` deletes). Stores must make incr and
+ * compareAndSet atomic across every client sharing the store.
+ *
+ * Two reference implementations ship here — createMemoryStore (single
+ * process, for tests and development) and createFileStore (one JSON
+ * file guarded by a lock file, safe for several processes on one host).
+ * Third-party adapters (Redis, SQL, …) can be checked with
+ * state-store-conformance.js.
+ *
+ * @module gif-captcha/state-store
+ */
+
+var STORE_METHODS = ["get", "set", "del", "incr", "expire", "compareAndSet"];
+
+var DEFAULT_MAX_KEYS = 100000;
+var DEFAULT_MAX_RETRIES = 10;
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+/**
+ * Check that an object implements the state-store interface.
+ *
+ * @param {*} store
+ * @param {string} [owner] - Name used in the error message
+ * @returns {Object} The store
+ * @throws {TypeError} If a method is missing
+ */
+function validateStateStore(store, owner) {
+  var label = owner ? owner + ": " : "";
+  if (!store || typeof store !== "object") {
+    throw new TypeError(label + "store must be an object implementing " + STORE_METHODS.join("/"));
+  }
+  for (var i = 0; i < STORE_METHODS.length; i++) {
+    if (typeof store[STORE_METHODS[i]] !== "function") {
+      throw new TypeError(label + "store is missing " + STORE_METHODS[i] + "()");
+    }
+  }
+  return store;
+}
+
+function _serialize(value) {
+  if (value === undefined) throw new TypeError("StateStore: value must not be undefined");
+  return JSON.stringify(value);
+}
+
+function _ttl(opts) {
+  var t = opts && opts.ttlMs;
+  return typeof t === "number" && t > 0 && isFinite(t) ? t : null;
+}
+
+function _checkKey(key) {
+  if (typeof key !== "string" || key.length === 0) {
+    throw new TypeError("StateStore: key must be a non-empty string");
+  }
+}
+
+/**
+ * Read-modify-write a key with optimistic concurrency.
+ *
+ * `mutate(current)` receives a private copy of the stored value (or
+ * null) and returns `{ value, result }`: `value` is written with
+ * compareAndSet (omit it, or leave it undefined, to skip the write) and
+ * `result` resolves the returned promise. On a lost race the read and
+ * mutate are retried.
+ *
+ * @param {Object} store
+ * @param {string} key
+ * @param {Function} mutate - function(current) → { value?, result }
+ * @param {Object} [opts]
+ * @param {number} [opts.ttlMs]      - TTL for the written value
+ * @param {number} [opts.maxRetries=10]
+ * @returns {Promise<*>} The `result` from the winning attempt
+ */
+function updateWithRetry(store, key, mutate, opts) {
+  opts = opts || {};
+  var maxRetries = typeof opts.maxRetries === "number" && opts.maxRetries >= 0 ? opts.maxRetries : DEFAULT_MAX_RETRIES;
+  var attempt = 0;
+
+  function run() {
+    return store.get(key).then(function (current) {
+      var copy = current === null || current === undefined ? null : JSON.parse(JSON.stringify(current));
+      var out = mutate(copy) || {};
+      if (out.value === undefined) return out.result;
+      return store.compareAndSet(key, current === undefined ? null : current, out.value, { ttlMs: opts.ttlMs })
+        .then(function (ok) {
+          if (ok) return out.result;
+          if (++attempt > maxRetries) {
+            throw new Error("StateStore: too much contention on " + key);
+          }
+          return run();
+        });
+    });
+  }
+
+  return Promise.resolve().then(run);
+}
+
+// ── Entry table (shared by both reference stores) ───────────────────
+// entries: key → { v: serialized JSON, e: expiresAt | null }
+
+function _live(entries, key, now) {
+  var entry = entries.get(key);
+  if (!entry) return null;
+  if (entry.e !== null && entry.e <= now) {
+    entries.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+function _applyOp(entries, op, args, now) {
+  var key = args[0];
+  var entry = _live(entries, key, now);
+  var ttl, next;
+  switch (op) {
+    case "get":
+      return entry ? JSON.parse(entry.v) : null;
+    case "set":
+      ttl = _ttl(args[2]);
+      entries.delete(key);
+      entries.set(key, { v: _serialize(args[1]), e: ttl ? now + ttl : null });
+      return undefined;
+    case "del":
+      return entries.delete(key) && !!entry;
+    case "incr":
+      var by = args[1] === undefined ? 1 : args[1];
+      if (typeof by !== "number" || !isFinite(by)) throw new TypeError("StateStore: incr amount must be a finite number");
+      var base = 0;
+      if (entry) {
+        base = JSON.parse(entry.v);
+        if (typeof base !== "number") throw new TypeError("StateStore: value at " + key + " is not a number");
+      }
+      next = base + by;
+      ttl = _ttl(args[2]);
+      entries.set(key, { v: JSON.stringify(next), e: entry ? entry.e : (ttl ? now + ttl : null) });
+      return next;
+    case "expire":
+      if (!entry) return false;
+      ttl = args[1];
+      if (typeof ttl !== "number" || !(ttl > 0)) throw new TypeError("StateStore: ttlMs must be a positive number");
+      entry.e = now + ttl;
+      return true;
+    case "compareAndSet":
+      var expected = args[1] === undefined || args[1] === null ? null : _serialize(args[1]);
+      var current = entry ? entry.v : null;
+      if (current !== expected) return false;
+      if (args[2] === null) {
+        entries.delete(key);
+      } else {
+        ttl = _ttl(args[3]);
+        entries.delete(key);
+        entries.set(key, { v: _serialize(args[2]), e: ttl ? now + ttl : null });
+      }
+      return true;
+  }
+  throw new Error("StateStore: unknown operation " + op);
+}
+
+function _buildStore(execute, extra) {
+  var api = {};
+  STORE_METHODS.forEach(function (op) {
+    api[op] = function () {
+      var args = Array.prototype.slice.call(arguments);
+      return Promise.resolve().then(function () {
+        _checkKey(args[0]);
+        return execute(op, args);
+      });
+    };
+  });
+  return Object.assign(api, extra);
+}
+
+// ── Memory store ────────────────────────────────────────────────────
+
+/**
+ * In-process reference store. Values are stored serialized, so callers
+ * never share object references with the store (same semantics as a
+ * networked store).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxKeys=100000] - Cap; expired keys are swept, then oldest writes evicted
+ * @returns {Object} State store (+ size(), clear())
+ */
+function createMemoryStore(options) {
+  options = options || {};
+  var maxKeys = options.maxKeys > 0 ? Math.floor(options.maxKeys) : DEFAULT_MAX_KEYS;
+  var entries = new Map();
+
+  function _sweep(now) {
+    entries.forEach(function (entry, key) {
+      if (entry.e !== null && entry.e <= now) entries.delete(key);
+    });
+  }
+
+  function execute(op, args) {
+    var now = Date.now();
+    var result = _applyOp(entries, op, args, now);
+    if (entries.size > maxKeys) {
+      _sweep(now);
+      while (entries.size > maxKeys) entries.delete(entries.keys().next().value);
+    }
+    return result;
+  }
+
+  return _buildStore(execute, {
+    /** @returns {number} Stored keys (including not-yet-swept expired ones) */
+    size: function () { return entries.size; },
+    /** Remove every key. */
+    clear: function () { entries.clear(); return Promise.resolve(); }
+  });
+}
+
+// ── File store ──────────────────────────────────────────────────────
+
+/**
+ * File-backed reference store: one JSON file, rewritten atomically
+ * (temp file + rename) on every mutation, with a `<path>.lock` file
+ * serializing access between processes. Suited to single-host
+ * deployments and to surviving restarts; use a networked adapter for
+ * multiple hosts.
+ *
+ * @param {Object} options
+ * @param {string} options.path               - Data file path
+ * @param {number} [options.lockTimeoutMs=2000] - Give up acquiring the lock after this long
+ * @param {number} [options.staleLockMs=10000]  - Break locks older than this (crashed holder)
+ * @returns {Object} State store
+ */
+function createFileStore(options) {
+  options = options || {};
+  if (typeof options.path !== "string" || !options.path) {
+    throw new TypeError("createFileStore: options.path is required");
+  }
+  var fs = require("fs");
+  var pathMod = require("path");
+  var cryptoUtils = require("./crypto-utils");
+
+  var file = pathMod.resolve(options.path);
+  var lockFile = file + ".lock";
+  var lockTimeoutMs = options.lockTimeoutMs > 0 ? options.lockTimeoutMs : 2000;
+  var staleLockMs = options.staleLockMs > 0 ? options.staleLockMs : 10000;
+  var queue = Promise.resolve();
+
+  fs.mkdirSync(pathMod.dirname(file), { recursive: true });
+
+  function _delay(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
+  }
+
+  function _acquire(started) {
+    return fs.promises.open(lockFile, "wx").then(function (handle) {
+      return handle.close();
+    }, function (err) {
+      if (err.code !== "EEXIST") throw err;
+      return fs.promises.stat(lockFile).then(function (st) {
+        if (Date.now() - st.mtimeMs > staleLockMs) {
+          return fs.promises.unlink(lockFile).catch(function () {});
+        }
+      }, function () { /* released meanwhile */ }).then(function () {
+        if (Date.now() - started > lockTimeoutMs) {
+          throw new Error("FileStore: timed out waiting for lock " + lockFile);
+        }
+        return _delay(5 + cryptoUtils.secureRandomInt(10)).then(function () { return _acquire(started); });
+      });
+    });
+  }
+
+  function _release() {
+    return fs.promises.unlink(lockFile).catch(function () {});
+  }
+
+  function _load() {
+    return fs.promises.readFile(file, "utf8").then(function (text) {
+      var data = JSON.parse(text);
+      var entries = new Map();
+      var raw = data && data.entries ? data.entries : {};
+      Object.keys(raw).forEach(function (k) { entries.set(k, raw[k]); });
+      return entries;
+    }, function (err) {
+      if (err.code === "ENOENT") return new Map();
+      throw err;
+    });
+  }
+
+  function _save(entries, now) {
+    var out = Object.create(null);
+    entries.forEach(function (entry, key) {
+      if (entry.e === null || entry.e > now) out[key] = entry;
+    });
+    var tmp = file + "." + process.pid + "." + cryptoUtils.secureRandomHex(6) + ".tmp";
+    return fs.promises.writeFile(tmp, JSON.stringify({ version: 1, entries: out }), "utf8").then(function () {
+      return fs.promises.rename(tmp, file);
+    });
+  }
+
+  function execute(op, args) {
+    var run = function () {
+      return _acquire(Date.now()).then(function () {
+        return _load().then(function (entries) {
+          var now = Date.now();
+          var result = _applyOp(entries, op, args, now);
+          var mutated = op !== "get" && !(op === "compareAndSet" && result === false) &&
+            !(op === "expire" && result === false) && !(op === "del" && result === false);
+          return (mutated ? _save(entries, now) : Promise.resolve()).then(function () { return result; });
+        }).then(function (result) {
+          return _release().then(function () { return result; });
+        }, function (err) {
+          return _release().then(function () { throw err; });
+        });
+      });
+    };
+    // Serialize operations within this process so they don't contend for the lock file
+    var p = queue.then(run, run);
+    queue = p.catch(function () {});
+    return p;
+  }
+
+  return _buildStore(execute, { path: file });
+}
+
+module.exports = {
+  STORE_METHODS: STORE_METHODS,
+  validateStateStore: validateStateStore,
+  updateWithRetry: updateWithRetry,
+  createMemoryStore: createMemoryStore,
+  createFileStore: createFileStore
+};
@@ -0,0 +1,126 @@
+/**
+ * telemetry-envelope — server half of the signed, encrypted telemetry
+ * envelope (client half: telemetry-packer).
+ *
+ * Opens "gct1.<seq>.<iv>.<ciphertext+tag>" envelopes: checks the
+ * AES-256-GCM tag against the session id and sequence number, inflates
+ * and unpacks the signals. Sequence bookkeeping (replay and reordering)
+ * is the caller's: createBotDetector keeps the next expected number per
+ * session.
+ *
+ * Failures are returned, not thrown, each with a stable code:
+ *
+ *   malformed            not an envelope, or an undecodable plaintext
+ *   unsupported_version  an envelope prefix other than "gct1"
+ *   too_large            over maxBytes sealed or maxInflatedBytes opened
+ *   tampered             authentication failed: wrong key, session, seq
+ *                        or modified ciphertext
+ *
+ * @module telemetry-envelope
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+var zlib = require("zlib");
+var _packer = require("./telemetry-packer");
+
+var DEFAULT_MAX_BYTES = 65536;
+var DEFAULT_MAX_INFLATED_BYTES = 1048576;
+var TAG_BYTES = 16;
+
+var ENVELOPE_RE = /^([a-z0-9]+)\.(\d{1,9})\.([A-Za-z0-9_-]{16})\.([A-Za-z0-9_-]+)$/;
+
+/**
+ * Derive a session's envelope key from its JS token, as the packer does.
+ *
+ * @param {string} token - createBotDetector().getJsToken(sessionId)
+ * @param {string} [sessionId="_default"]
+ * @returns {Buffer} 32-byte AES-256-GCM key
+ */
+function deriveTelemetryKey(token, sessionId) {
+  if (typeof token !== "string" || !token) throw new TypeError("token must be a non-empty string");
+  var salt = sessionId != null ? String(sessionId) : "_default";
+  return Buffer.from(crypto.hkdfSync("sha256", token, salt, _packer.KEY_INFO, 32));
+}
+
+/**
+ * Read an envelope's sequence number without opening it.
+ *
+ * @param {string} envelope
+ * @returns {number|null}
+ */
+function envelopeSequence(envelope) {
+  var m = typeof envelope === "string" ? ENVELOPE_RE.exec(envelope) : null;
+  return m ? Number(m[2]) : null;
+}
+
+/**
+ * Authenticate and decode one envelope.
+ *
+ * @param {string} envelope
+ * @param {Buffer} key - deriveTelemetryKey(token, sessionId)
+ * @param {string} [sessionId="_default"]
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes=65536] - Longest envelope string accepted
+ * @param {number} [opts.maxInflatedBytes=1048576] - Largest decompressed plaintext
+ * @returns {{ ok: true, seq: number, sentAt: number|null, signals: Object }
+ *   | { ok: false, error: string, seq: number|null }}
+ */
+function openTelemetryEnvelope(envelope, key, sessionId, opts) {
+  opts = opts || {};
+  var maxBytes = typeof opts.maxBytes === "number" ? opts.maxBytes : DEFAULT_MAX_BYTES;
+  var maxInflated = typeof opts.maxInflatedBytes === "number" ? opts.maxInflatedBytes : DEFAULT_MAX_INFLATED_BYTES;
+  if (typeof envelope !== "string") return { ok: false, error: "malformed", seq: null };
+  if (envelope.length > maxBytes) return { ok: false, error: "too_large", seq: null };
+  var m = ENVELOPE_RE.exec(envelope);
+  if (!m) return { ok: false, error: "malformed", seq: null };
+  var seq = Number(m[2]);
+  if (m[1] !== _packer.ENVELOPE_PREFIX) return { ok: false, error: "unsupported_version", seq: seq };
+
+  var sealed = Buffer.from(m[4], "base64url");
+  if (sealed.length <= TAG_BYTES) return { ok: false, error: "malformed", seq: seq };
+  var plain;
+  try {
+    var decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(m[3], "base64url"));
+    decipher.setAAD(Buffer.from(_packer.envelopeAad(sessionId != null ? String(sessionId) : "_default", seq), "utf8"));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+    plain = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)), decipher.final()]);
+  } catch (e) {
+    return { ok: false, error: "tampered", seq: seq };
+  }
+
+  var body;
+  try {
+    if (plain[0] === _packer.FLAG_DEFLATE) {
+      body = zlib.inflateRawSync(plain.subarray(1), { maxOutputLength: maxInflated });
+    } else if (plain[0] === _packer.FLAG_RAW) {
+      body = plain.subarray(1);
+    } else {
+      return { ok: false, error: "malformed", seq: seq };
+    }
+  } catch (e) {
+    return { ok: false, error: e instanceof RangeError ? "too_large" : "malformed", seq: seq };
+  }
+  if (body.length > maxInflated) return { ok: false, error: "too_large", seq: seq };
+
+  try {
+    var payload = JSON.parse(body.toString("utf8"));
+    return {
+      ok: true,
+      seq: seq,
+      sentAt: typeof payload.t === "number" ? payload.t : null,
+      signals: _packer.unpackSignals(payload.d)
+    };
+  } catch (e) {
+    return { ok: false, error: "malformed", seq: seq };
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    deriveTelemetryKey: deriveTelemetryKey,
+    envelopeSequence: envelopeSequence,
+    openTelemetryEnvelope: openTelemetryEnvelope
+  };
+}
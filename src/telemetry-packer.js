@@ -0,0 +1,292 @@
+"use strict";
+
+/**
+ * telemetry-packer.js — client half of the signed, encrypted telemetry
+ * envelope.
+ *
+ * Seals a batch of bot-detector signals so they reach the server as an
+ * opaque, authenticated string instead of plain JSON:
+ *
+ *   1. pack      known signal names become short codes and event lists
+ *                become columns, integer columns delta-encoded;
+ *   2. compress  deflate-raw via CompressionStream, when available;
+ *   3. seal      AES-256-GCM under a key derived with HKDF-SHA-256 from
+ *                the session's createBotDetector().getJsToken() token,
+ *                with the session id and a sequence number as
+ *                additional data.
+ *
+ * Wire format: "gct1.<seq>.<iv>.<ciphertext+tag>" (base64url parts).
+ * The server (telemetry-envelope.js) rejects batches that are tampered
+ * with, replayed or out of order. The token is visible to page scripts,
+ * so this raises the cost of forging a "human" payload; it does not
+ * make forging impossible.
+ *
+ *   var packer = createTelemetryPacker({ token: ch.jsToken, sessionId: ch.sessionId });
+ *   var envelope = await packer.seal(signals);
+ *   fetch("/answer", { method: "POST", body: JSON.stringify({ signals: { envelope: envelope } }) });
+ *
+ * Needs SubtleCrypto (secure contexts; Node 19+ globally, or pass
+ * `crypto: require("crypto").webcrypto`).
+ *
+ * @module gif-captcha/telemetry-packer
+ */
+
+var ENVELOPE_VERSION = 1;
+var ENVELOPE_PREFIX = "gct1";
+var KEY_INFO = "gif-captcha telemetry v1";
+
+// Signal names packed to their index; others keep their name behind "~"
+var PACK_KEYS = [
+  "mouseMovements", "keystrokes", "scrollEvents", "timeOnPageMs",
+  "firstInteractionMs", "jsToken", "honeypotValues", "automation"
+];
+
+var COLUMNS = "\u0000";
+
+var FLAG_RAW = 0;
+var FLAG_DEFLATE = 1;
+
+// ── Packing ─────────────────────────────────────────────────────────
+
+function _isRecord(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function _sameKeys(a, b) {
+  if (a.length !== b.length) return false;
+  for (var i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+// [{t, x, y}, …] → { "\0": [cols, deltaFlags, columns] } when every item
+// is a flat record with the same keys; anything else is left as is.
+function _packList(list) {
+  if (!Array.isArray(list) || !list.length || !_isRecord(list[0])) return list;
+  var cols = Object.keys(list[0]);
+  for (var i = 0; i < list.length; i++) {
+    if (!_isRecord(list[i]) || !_sameKeys(Object.keys(list[i]), cols)) return list;
+    for (var c = 0; c < cols.length; c++) {
+      if (list[i][cols[c]] !== null && typeof list[i][cols[c]] === "object") return list;
+    }
+  }
+  var flags = [];
+  var columns = cols.map(function (col, ci) {
+    var values = list.map(function (item) { return item[col]; });
+    var ints = values.every(function (v) { return typeof v === "number" && Number.isSafeInteger(v); });
+    flags[ci] = ints ? 1 : 0;
+    if (!ints) return values;
+    return values.map(function (v, j) { return j ? v - values[j - 1] : v; });
+  });
+  var out = {};
+  out[COLUMNS] = [cols, flags, columns];
+  return out;
+}
+
+function _unpackList(value) {
+  if (!_isRecord(value) || !Array.isArray(value[COLUMNS])) return value;
+  var cols = value[COLUMNS][0];
+  var flags = value[COLUMNS][1];
+  var columns = value[COLUMNS][2];
+  if (!Array.isArray(cols) || !Array.isArray(flags) || !Array.isArray(columns) || columns.length !== cols.length) {
+    throw new TypeError("Malformed packed column list");
+  }
+  var n = columns.length ? columns[0].length : 0;
+  var list = [];
+  for (var i = 0; i < n; i++) list.push({});
+  cols.forEach(function (col, ci) {
+    var values = columns[ci];
+    if (!Array.isArray(values) || values.length !== n) throw new TypeError("Malformed packed column list");
+    var acc = 0;
+    for (var j = 0; j < n; j++) {
+      if (flags[ci] === 1) {
+        acc = j ? acc + values[j] : values[j];
+        list[j][col] = acc;
+      } else {
+        list[j][col] = values[j];
+      }
+    }
+  });
+  return list;
+}
+
+/**
+ * Compact, opaque encoding of a signals object (the plaintext of an
+ * envelope). Inverse: unpackSignals.
+ *
+ * @param {Object} signals
+ * @returns {Object}
+ */
+function packSignals(signals) {
+  var out = {};
+  Object.keys(signals || {}).forEach(function (name) {
+    var code = PACK_KEYS.indexOf(name);
+    out[code === -1 ? "~" + name : String(code)] = _packList(signals[name]);
+  });
+  return out;
+}
+
+/**
+ * @param {Object} packed - packSignals() output
+ * @returns {Object} Signals; unknown codes are dropped
+ * @throws {TypeError} On a malformed column list
+ */
+function unpackSignals(packed) {
+  if (!_isRecord(packed)) throw new TypeError("Packed signals must be an object");
+  var out = {};
+  Object.keys(packed).forEach(function (name) {
+    var key = name.charAt(0) === "~" ? name.slice(1) : (/^\d+$/.test(name) ? PACK_KEYS[Number(name)] : undefined);
+    if (key !== undefined && key !== "__proto__") out[key] = _unpackList(packed[name]);
+  });
+  return out;
+}
+
+/**
+ * Additional authenticated data for one envelope: binds it to the
+ * session and its position in the sequence.
+ *
+ * @param {string} sessionId
+ * @param {number} seq
+ * @returns {string}
+ */
+function envelopeAad(sessionId, seq) {
+  return ENVELOPE_PREFIX + "|" + sessionId + "|" + seq;
+}
+
+// ── Encoding helpers ────────────────────────────────────────────────
+
+function _utf8(str) {
+  if (typeof TextEncoder === "function") return new TextEncoder().encode(str);
+  var bin = unescape(encodeURIComponent(str));
+  var out = new Uint8Array(bin.length);
+  for (var i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+var B64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+function _base64url(bytes) {
+  var out = "";
+  for (var i = 0; i < bytes.length; i += 3) {
+    var n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    out += B64[(n >> 18) & 63] + B64[(n >> 12) & 63];
+    if (i + 1 < bytes.length) out += B64[(n >> 6) & 63];
+    if (i + 2 < bytes.length) out += B64[n & 63];
+  }
+  return out;
+}
+
+function _concat(chunks) {
+  var len = 0;
+  chunks.forEach(function (c) { len += c.length; });
+  var out = new Uint8Array(len);
+  var off = 0;
+  chunks.forEach(function (c) {
+    out.set(c, off);
+    off += c.length;
+  });
+  return out;
+}
+
+// Resolves with [flag, …body]; falls back to raw where deflate-raw is
+// unsupported.
+function _compress(bytes, enabled) {
+  var stream = null;
+  if (enabled && typeof CompressionStream === "function") {
+    try { stream = new CompressionStream("deflate-raw"); } catch (e) { stream = null; }
+  }
+  if (!stream) return Promise.resolve(_concat([new Uint8Array([FLAG_RAW]), bytes]));
+  var writer = stream.writable.getWriter();
+  writer.write(bytes);
+  writer.close();
+  var reader = stream.readable.getReader();
+  var chunks = [new Uint8Array([FLAG_DEFLATE])];
+  function pump() {
+    return reader.read().then(function (r) {
+      if (r.done) return _concat(chunks);
+      chunks.push(new Uint8Array(r.value));
+      return pump();
+    });
+  }
+  return pump();
+}
+
+// ── Packer ──────────────────────────────────────────────────────────
+
+/**
+ * Create a sealer for one session's telemetry. Each seal() takes the
+ * next sequence number; send envelopes in that order.
+ *
+ * @param {Object} options
+ * @param {string} options.token - createBotDetector().getJsToken(sessionId)
+ * @param {string} [options.sessionId="_default"] - As passed to getJsToken
+ * @param {Crypto} [options.crypto=globalThis.crypto] - Web Crypto implementation
+ * @param {boolean} [options.compress=true]
+ * @returns {{ seal: function(Object): Promise<string>, getSequence: function(): number }}
+ * @throws {TypeError} Without a token or SubtleCrypto
+ */
+function createTelemetryPacker(options) {
+  options = options || {};
+  if (typeof options.token !== "string" || !options.token) {
+    throw new TypeError("createTelemetryPacker: token is required");
+  }
+  var webCrypto = options.crypto || (typeof globalThis !== "undefined" ? globalThis.crypto : null);
+  if (!webCrypto || !webCrypto.subtle) throw new TypeError("createTelemetryPacker: SubtleCrypto is unavailable");
+  var subtle = webCrypto.subtle;
+  var token = options.token;
+  var sessionId = options.sessionId != null ? String(options.sessionId) : "_default";
+  var compress = options.compress !== false;
+  var seq = 0;
+  var keyPromise = null;
+
+  function _key() {
+    if (!keyPromise) {
+      keyPromise = subtle.importKey("raw", _utf8(token), "HKDF", false, ["deriveKey"]).then(function (base) {
+        return subtle.deriveKey(
+          { name: "HKDF", hash: "SHA-256", salt: _utf8(sessionId), info: _utf8(KEY_INFO) },
+          base,
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["encrypt"]
+        );
+      });
+    }
+    return keyPromise;
+  }
+
+  /**
+   * @param {Object} signals - As createBotDetector().analyze()
+   * @returns {Promise<string>} Envelope
+   */
+  function seal(signals) {
+    var n = seq++;
+    var iv = webCrypto.getRandomValues(new Uint8Array(12));
+    var body = _utf8(JSON.stringify({ t: Date.now(), d: packSignals(signals || {}) }));
+    return Promise.all([_key(), _compress(body, compress)]).then(function (r) {
+      return subtle.encrypt({ name: "AES-GCM", iv: iv, additionalData: _utf8(envelopeAad(sessionId, n)) }, r[0], r[1]);
+    }).then(function (sealed) {
+      return ENVELOPE_PREFIX + "." + n + "." + _base64url(iv) + "." + _base64url(new Uint8Array(sealed));
+    });
+  }
+
+  return {
+    seal: seal,
+    /** Sequence number the next seal() will use. */
+    getSequence: function () { return seq; }
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ENVELOPE_VERSION: ENVELOPE_VERSION,
+    ENVELOPE_PREFIX: ENVELOPE_PREFIX,
+    KEY_INFO: KEY_INFO,
+    FLAG_RAW: FLAG_RAW,
+    FLAG_DEFLATE: FLAG_DEFLATE,
+    createTelemetryPacker: createTelemetryPacker,
+    packSignals: packSignals,
+    unpackSignals: unpackSignals,
+    envelopeAad: envelopeAad
+  };
+} else if (typeof window !== "undefined") {
+  window.createTelemetryPacker = createTelemetryPacker;
+}
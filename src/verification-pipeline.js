@@ -0,0 +1,493 @@
+"use strict";
+
+/**
+ * verification-pipeline.js — Declarative chain of the verification
+ * modules.
+ *
+ * Stages run in the order they are declared. Each stage's output is
+ * stored on a shared context under the stage name, later stages and
+ * rules can read it, and every request gets a decision trace:
+ *
+ *   var pipeline = createVerificationPipeline({
+ *     stages: [
+ *       { name: "limit", type: "rateLimit", use: captchaRateLimiter },
+ *       { name: "geo", type: "geoRisk", use: geoRiskScorer },
+ *       { name: "bot", type: "botDetection", use: botDetector,
+ *         rules: [{ when: { path: "$.score", gte: 60 }, decision: "block", reason: "bot_score" }] },
+ *       { name: "risk", type: "sessionRisk", use: sessionRiskAggregator },
+ *       { name: "session", type: "session", use: sessionManager }
+ *     ]
+ *   });
+ *   pipeline.run({ ip: req.ip, sessionId: sid, behavior: body._behavioral }).then(function (result) {
+ *     // result.decision: "allow" | "challenge" | "block"; result.trace explains why
+ *   });
+ *
+ * Rules are data, not code: `{ when, decision, reason, stop }`. `when` is
+ * a condition over the context —
+ *
+ *   "bot.isBot"                     truthy path   ("!limit.allowed" = falsy)
+ *   { path: "geo.score", gte: 0.7 } comparison: eq ne gt gte lt lte in notIn includes exists truthy
+ *   { all: [...] } / { any: [...] } / { not: cond }
+ *
+ * — where `$.` refers to the current stage's output and `request.` to the
+ * request. A matched rule with `stop` (the default) ends the pipeline and
+ * its decision is final; with `stop: false` the decision is kept as
+ * tentative and the strictest tentative decision (block > challenge >
+ * allow) applies if no later rule stops the run. Built-in stage types
+ * come with default rules; a stage's own `rules` replace them.
+ *
+ * @module gif-captcha/verification-pipeline
+ */
+
+var DECISIONS = ["allow", "challenge", "block"];
+var SEVERITY = { allow: 0, challenge: 1, block: 2 };
+var RESERVED_NAMES = { request: true, decision: true };
+var ON_ERROR = ["continue", "allow", "challenge", "block"];
+
+// ── Built-in stage types ────────────────────────────────────────────
+
+function _call(instance, asyncName, syncName, args) {
+  var fn = typeof instance[asyncName] === "function" ? instance[asyncName] : instance[syncName];
+  return fn.apply(instance, args);
+}
+
+function _requestKey(ctx, stage) {
+  if (typeof stage.key === "function") return stage.key(ctx);
+  return ctx.request.ip || ctx.request.sessionId || "anonymous";
+}
+
+/**
+ * Adapters for the library's own modules. `call(instance, ctx, stage)`
+ * returns the stage output (or a Promise of it); `summary(output)` picks
+ * the fields shown in the trace; `riskSignal(output)` feeds a later
+ * `sessionRisk` stage.
+ */
+var STAGE_TYPES = {
+  rateLimit: {
+    methods: ["check"],
+    call: function (inst, ctx, stage) {
+      return _call(inst, "checkAsync", "check", [_requestKey(ctx, stage)]);
+    },
+    summary: function (o) { return { allowed: o.allowed, remaining: o.remaining, reason: o.reason }; },
+    rules: [{ when: "!$.allowed", decision: "block", reason: "rate_limited" }]
+  },
+  geoRisk: {
+    methods: ["score"],
+    call: function (inst, ctx) {
+      var r = ctx.request;
+      var meta = Object.assign({}, r.geo || {});
+      if (meta.ip === undefined) meta.ip = r.ip;
+      if (meta.country === undefined) meta.country = r.country;
+      if (meta.sessionId === undefined) meta.sessionId = r.sessionId;
+      return inst.score(meta);
+    },
+    summary: function (o) { return { score: o.score, level: o.level, action: o.action }; },
+    riskSignal: function (o) { return { module: "geo", score: o.score }; },
+    rules: [
+      { when: { path: "$.action", eq: "block" }, decision: "block", reason: "geo_risk" },
+      { when: { path: "$.action", eq: "challenge" }, decision: "challenge", reason: "geo_risk", stop: false }
+    ]
+  },
+  fingerprint: {
+    methods: ["identify"],
+    call: function (inst, ctx) {
+      var r = ctx.request;
+      return inst.identify(r.fingerprint || {}, { ip: r.ip, sessionId: r.sessionId });
+    },
+    summary: function (o) {
+      return { fingerprintHash: o.fingerprintHash, riskScore: o.riskScore, botSignals: o.botSignals };
+    },
+    riskSignal: function (o) { return { module: "fingerprint", score: o.riskScore / 100 }; },
+    rules: [{ when: { path: "$.riskLevel", eq: "high" }, decision: "challenge", reason: "fingerprint_risk", stop: false }]
+  },
+  botDetection: {
+    methods: ["analyze"],
+    call: function (inst, ctx) {
+      var signals = Object.assign({}, ctx.request.behavior || {});
+      if (signals.sessionId === undefined) signals.sessionId = ctx.request.sessionId;
+      return inst.analyze(signals);
+    },
+    summary: function (o) { return { score: o.score, verdict: o.verdict, flags: o.flags }; },
+    riskSignal: function (o) { return { module: "biometrics", score: o.score / 100 }; },
+    rules: [
+      { when: "$.isBot", decision: "block", reason: "bot_detected" },
+      { when: "$.isSuspicious", decision: "challenge", reason: "bot_suspected", stop: false }
+    ]
+  },
+  sessionRisk: {
+    methods: ["addSignal", "evaluate"],
+    call: function (inst, ctx, stage, pipelineStages) {
+      var sessionId = ctx.request.sessionId || _requestKey(ctx, stage);
+      // Feed the scores of earlier built-in stages into the aggregator
+      pipelineStages.forEach(function (s) {
+        var adapter = STAGE_TYPES[s.type];
+        if (s === stage || !adapter || !adapter.riskSignal || ctx[s.name] === undefined) return;
+        inst.addSignal(sessionId, adapter.riskSignal(ctx[s.name]));
+      });
+      return inst.evaluate(sessionId);
+    },
+    summary: function (o) { return { score: o.score, level: o.level, action: o.action }; },
+    rules: [
+      { when: { path: "$.action", eq: "block" }, decision: "block", reason: "session_risk" },
+      { when: { path: "$.action", in: ["challenge", "escalate"] }, decision: "challenge", reason: "session_risk", stop: false }
+    ]
+  },
+  route: {
+    methods: ["route"],
+    call: function (inst, ctx, stage) {
+      var r = ctx.request;
+      return inst.route(_requestKey(ctx, stage), {
+        country: r.country,
+        userAgent: r.userAgent,
+        isProxy: r.geo ? r.geo.isProxy : undefined,
+        custom: r.custom
+      });
+    },
+    summary: function (o) { return { action: o.action, difficulty: o.difficulty, reason: o.reason }; },
+    rules: [{ when: { path: "$.action", eq: "block" }, decision: "block", reason: "router_block" }]
+  },
+  session: {
+    methods: ["startSession"],
+    // Only open a CAPTCHA session when the request is going to be challenged
+    when: { path: "decision", eq: "challenge" },
+    call: function (inst, ctx) {
+      return _call(inst, "startSessionAsync", "startSession", [{ ip: ctx.request.ip }]);
+    },
+    summary: function (o) { return { sessionId: o.sessionId, difficulty: o.difficulty }; },
+    rules: []
+  },
+  token: {
+    methods: ["verifyToken"],
+    when: "request.token",
+    call: function (inst, ctx) {
+      return _call(inst, "verifyTokenAsync", "verifyToken", [ctx.request.token, { ip: ctx.request.ip }]);
+    },
+    summary: function (o) { return { valid: o.valid, reason: o.reason }; },
+    rules: [{ when: "$.valid", decision: "allow", reason: "valid_token" }]
+  }
+};
+
+// ── Conditions ──────────────────────────────────────────────────────
+
+var COMPARATORS = {
+  eq: function (v, x) { return v === x; },
+  ne: function (v, x) { return v !== x; },
+  gt: function (v, x) { return typeof v === "number" && v > x; },
+  gte: function (v, x) { return typeof v === "number" && v >= x; },
+  lt: function (v, x) { return typeof v === "number" && v < x; },
+  lte: function (v, x) { return typeof v === "number" && v <= x; },
+  "in": function (v, x) { return Array.isArray(x) && x.indexOf(v) !== -1; },
+  notIn: function (v, x) { return Array.isArray(x) && x.indexOf(v) === -1; },
+  includes: function (v, x) { return Array.isArray(v) && v.indexOf(x) !== -1; },
+  exists: function (v, x) { return (v !== undefined && v !== null) === !!x; },
+  truthy: function (v, x) { return !!v === !!x; }
+};
+
+function _resolve(ctx, output, path) {
+  var parts = path.split(".");
+  var cur;
+  if (parts[0] === "$") {
+    cur = output;
+    parts.shift();
+  } else {
+    cur = ctx;
+  }
+  for (var i = 0; i < parts.length; i++) {
+    if (cur === null || cur === undefined || typeof cur !== "object") return undefined;
+    if (!Object.prototype.hasOwnProperty.call(cur, parts[i])) return undefined;
+    cur = cur[parts[i]];
+  }
+  return cur;
+}
+
+/**
+ * Check that a condition only uses the supported forms.
+ * @throws {TypeError}
+ */
+function _validateCondition(cond, where) {
+  if (typeof cond === "string") {
+    if (!cond.replace(/^!/, "")) throw new TypeError(where + ": empty condition path");
+    return;
+  }
+  if (!cond || typeof cond !== "object") throw new TypeError(where + ": condition must be a string or object");
+  if (cond.all || cond.any) {
+    var list = cond.all || cond.any;
+    if (!Array.isArray(list)) throw new TypeError(where + ": all/any must be an array");
+    list.forEach(function (c) { _validateCondition(c, where); });
+    return;
+  }
+  if (cond.not !== undefined) return _validateCondition(cond.not, where);
+  if (typeof cond.path !== "string" || !cond.path) throw new TypeError(where + ": condition needs a path");
+  var ops = Object.keys(cond).filter(function (k) { return k !== "path"; });
+  if (ops.length === 0) throw new TypeError(where + ": condition on " + cond.path + " has no comparison");
+  ops.forEach(function (op) {
+    if (!COMPARATORS[op]) throw new TypeError(where + ": unknown comparison \"" + op + "\"");
+  });
+}
+
+function _test(cond, ctx, output) {
+  if (typeof cond === "string") {
+    var negate = cond.charAt(0) === "!";
+    var value = _resolve(ctx, output, negate ? cond.slice(1) : cond);
+    return negate ? !value : !!value;
+  }
+  if (cond.all) return cond.all.every(function (c) { return _test(c, ctx, output); });
+  if (cond.any) return cond.any.some(function (c) { return _test(c, ctx, output); });
+  if (cond.not !== undefined) return !_test(cond.not, ctx, output);
+  var v = _resolve(ctx, output, cond.path);
+  return Object.keys(cond).every(function (op) {
+    return op === "path" || COMPARATORS[op](v, cond[op]);
+  });
+}
+
+function _describe(cond) {
+  return typeof cond === "string" ? cond : JSON.stringify(cond);
+}
+
+// ── Factory ─────────────────────────────────────────────────────────
+
+function _normalizeRule(rule, where) {
+  if (!rule || typeof rule !== "object") throw new TypeError(where + ": rule must be an object");
+  _validateCondition(rule.when, where);
+  if (DECISIONS.indexOf(rule.decision) === -1) {
+    throw new TypeError(where + ": decision must be one of " + DECISIONS.join(", "));
+  }
+  return {
+    when: rule.when,
+    decision: rule.decision,
+    reason: typeof rule.reason === "string" && rule.reason ? rule.reason : rule.decision,
+    stop: rule.stop !== false
+  };
+}
+
+function _normalizeStage(stage, index, seen) {
+  var where = "VerificationPipeline: stage " + index;
+  if (!stage || typeof stage !== "object") throw new TypeError(where + " must be an object");
+  var name = stage.name;
+  if (typeof name !== "string" || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new TypeError(where + ": name must be an identifier");
+  }
+  where = "VerificationPipeline: stage \"" + name + "\"";
+  if (RESERVED_NAMES[name]) throw new TypeError(where + ": name is reserved");
+  if (seen[name]) throw new Error(where + ": duplicate stage name");
+  seen[name] = true;
+
+  var adapter = null;
+  if (stage.type !== undefined && stage.type !== "custom") {
+    adapter = STAGE_TYPES[stage.type];
+    if (!adapter) throw new TypeError(where + ": unknown type \"" + stage.type + "\"");
+    if (typeof stage.run !== "function") {
+      var inst = stage.use;
+      if (!inst || typeof inst !== "object") throw new TypeError(where + ": `use` must be a " + stage.type + " instance");
+      adapter.methods.forEach(function (m) {
+        if (typeof inst[m] !== "function") throw new TypeError(where + ": `use` has no " + m + "()");
+      });
+    }
+  } else if (typeof stage.run !== "function") {
+    throw new TypeError(where + ": custom stages need a run(ctx) function");
+  }
+
+  var onError = stage.onError === undefined ? "challenge" : stage.onError;
+  if (ON_ERROR.indexOf(onError) === -1) {
+    throw new TypeError(where + ": onError must be one of " + ON_ERROR.join(", "));
+  }
+  var when = stage.when !== undefined ? stage.when : (adapter ? adapter.when : undefined);
+  if (when !== undefined) _validateCondition(when, where);
+  var rules = Array.isArray(stage.rules) ? stage.rules : (adapter ? adapter.rules : []);
+
+  return {
+    name: name,
+    type: adapter ? stage.type : "custom",
+    use: stage.use,
+    run: typeof stage.run === "function" ? stage.run : null,
+    key: stage.key,
+    when: when,
+    onError: onError,
+    rules: rules.map(function (r) { return _normalizeRule(r, where); }),
+    adapter: adapter
+  };
+}
+
+/**
+ * Create a verification pipeline.
+ *
+ * @param {Object} config
+ * @param {Object[]} config.stages - In order; each
+ *   `{ name, type?, use?, run?, key?, when?, rules?, onError? }`:
+ *   - `type`: a STAGE_TYPES key (`rateLimit`, `geoRisk`, `fingerprint`,
+ *     `botDetection`, `sessionRisk`, `route`, `session`, `token`) with
+ *     `use` set to the module instance, or omitted for a custom stage
+ *     with `run(ctx)` (may return a Promise)
+ *   - `key(ctx)`: client key for rateLimit/route (default request.ip)
+ *   - `when`: condition; the stage is skipped when false
+ *   - `rules`: replace the type's default rules
+ *   - `onError`: "challenge" (default), "block", "allow" — stop with that
+ *     decision — or "continue"
+ * @param {string} [config.defaultDecision="allow"] - Decision when no rule matches
+ * @param {number} [config.maxTraces=100] - Recent results kept for recent()
+ * @returns {Object} Pipeline
+ */
+function createVerificationPipeline(config) {
+  config = config || {};
+  if (!Array.isArray(config.stages) || config.stages.length === 0) {
+    throw new TypeError("VerificationPipeline: config.stages must be a non-empty array");
+  }
+  var seen = Object.create(null);
+  var stages = config.stages.map(function (s, i) { return _normalizeStage(s, i, seen); });
+  var defaultDecision = config.defaultDecision === undefined ? "allow" : config.defaultDecision;
+  if (DECISIONS.indexOf(defaultDecision) === -1) {
+    throw new TypeError("VerificationPipeline: defaultDecision must be one of " + DECISIONS.join(", "));
+  }
+  var maxTraces = config.maxTraces > 0 ? Math.floor(config.maxTraces) : 100;
+
+  var recentResults = [];
+  var stats = { runs: 0, allow: 0, challenge: 0, block: 0, errors: 0, byReason: {} };
+
+  function _execute(stage, ctx) {
+    if (stage.run) return stage.run(ctx);
+    return stage.adapter.call(stage.use, ctx, stage, stages);
+  }
+
+  /**
+   * Run a request through the stages.
+   *
+   * @param {Object} request - e.g. { ip, sessionId, country, geo, fingerprint, behavior, token, userAgent }
+   * @returns {Promise<Object>} { decision, reason, stoppedAt, reasons, trace, context, durationMs }
+   */
+  function run(request) {
+    var started = Date.now();
+    var ctx = { request: request || {}, decision: null };
+    var trace = [];
+    var reasons = [];
+    var tentative = null;
+    var final = null;
+
+    function decide(stageName, rule) {
+      reasons.push({ stage: stageName, decision: rule.decision, reason: rule.reason, stop: rule.stop });
+      if (rule.stop) {
+        final = { decision: rule.decision, reason: rule.reason, stage: stageName };
+      } else if (!tentative || SEVERITY[rule.decision] > SEVERITY[tentative.decision]) {
+        tentative = { decision: rule.decision, reason: rule.reason, stage: stageName };
+      }
+      ctx.decision = final ? final.decision : tentative.decision;
+    }
+
+    function step(i) {
+      if (i >= stages.length || final) return Promise.resolve();
+      var stage = stages[i];
+      var t0 = Date.now();
+      var entry = { stage: stage.name, type: stage.type, status: "ok", durationMs: 0, summary: null, matched: [] };
+      trace.push(entry);
+
+      if (stage.when !== undefined && !_test(stage.when, ctx, undefined)) {
+        entry.status = "skipped";
+        entry.skippedBecause = _describe(stage.when);
+        return step(i + 1);
+      }
+
+      return Promise.resolve().then(function () {
+        return _execute(stage, ctx);
+      }).then(function (output) {
+        entry.durationMs = Date.now() - t0;
+        ctx[stage.name] = output;
+        if (stage.adapter && output && typeof output === "object") entry.summary = stage.adapter.summary(output);
+        for (var r = 0; r < stage.rules.length && !final; r++) {
+          var rule = stage.rules[r];
+          if (_test(rule.when, ctx, output)) {
+            entry.matched.push({ when: _describe(rule.when), decision: rule.decision, reason: rule.reason, stop: rule.stop });
+            decide(stage.name, rule);
+          }
+        }
+      }, function (err) {
+        entry.durationMs = Date.now() - t0;
+        entry.status = "error";
+        entry.error = err && err.message ? err.message : String(err);
+        stats.errors++;
+        if (stage.onError !== "continue") {
+          decide(stage.name, { decision: stage.onError, reason: "stage_error", stop: true });
+        }
+      }).then(function () {
+        return step(i + 1);
+      });
+    }
+
+    return step(0).then(function () {
+      var outcome = final || tentative || { decision: defaultDecision, reason: "no_rule_matched", stage: null };
+      var result = {
+        decision: outcome.decision,
+        reason: outcome.reason,
+        decidedBy: outcome.stage,
+        stoppedAt: final ? final.stage : null,
+        reasons: reasons,
+        trace: trace,
+        context: ctx,
+        durationMs: Date.now() - started
+      };
+      stats.runs++;
+      stats[result.decision]++;
+      stats.byReason[result.reason] = (stats.byReason[result.reason] || 0) + 1;
+      recentResults.push(result);
+      if (recentResults.length > maxTraces) recentResults.shift();
+      return result;
+    });
+  }
+
+  /**
+   * Human-readable trace of a run() result.
+   *
+   * @param {Object} result
+   * @returns {string}
+   */
+  function explain(result) {
+    var lines = [result.decision.toUpperCase() + " (" + result.reason +
+      (result.decidedBy ? ", by " + result.decidedBy : "") + ")"];
+    result.trace.forEach(function (t) {
+      var line = "  " + t.stage + " [" + t.type + "] " + t.status;
+      if (t.status === "skipped") line += " — " + t.skippedBecause;
+      if (t.status === "error") line += " — " + t.error;
+      if (t.summary) line += " " + JSON.stringify(t.summary);
+      lines.push(line);
+      t.matched.forEach(function (m) {
+        lines.push("    → " + m.decision + " (" + m.reason + ")" + (m.stop ? " stop" : "") + " when " + m.when);
+      });
+    });
+    return lines.join("\n");
+  }
+
+  return {
+    run: run,
+    explain: explain,
+    /** @returns {Object[]} Stage names, types, conditions and rules */
+    describe: function () {
+      return stages.map(function (s) {
+        return {
+          name: s.name,
+          type: s.type,
+          when: s.when === undefined ? null : s.when,
+          onError: s.onError,
+          rules: s.rules.map(function (r) { return Object.assign({}, r); })
+        };
+      });
+    },
+    /** @returns {Object[]} Most recent results, newest last */
+    recent: function (n) {
+      return typeof n === "number" ? recentResults.slice(-n) : recentResults.slice();
+    },
+    getStats: function () {
+      return {
+        runs: stats.runs,
+        allow: stats.allow,
+        challenge: stats.challenge,
+        block: stats.block,
+        errors: stats.errors,
+        byReason: Object.assign({}, stats.byReason)
+      };
+    }
+  };
+}
+
+module.exports = {
+  createVerificationPipeline: createVerificationPipeline,
+  STAGE_TYPES: STAGE_TYPES,
+  DECISIONS: DECISIONS
+};
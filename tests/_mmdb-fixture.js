@@ -0,0 +1,206 @@
+"use strict";
+
+/**
+ * Tiny MaxMind DB writer for tests.
+ *
+ * Builds a valid .mmdb buffer from a list of `{ network, data }` entries so
+ * mmdb-reader can be tested without shipping a real GeoLite2 download.
+ * Repeated strings are written once and referenced through pointers, like
+ * real databases do, so pointer decoding is exercised too.
+ *
+ *   var buf = buildMmdb([
+ *     { network: "81.2.69.0/24", data: { country: { iso_code: "GB" } } }
+ *   ], { recordSize: 28 });
+ *
+ * Value typing: non-negative integers → uint16/uint32, negative → int32,
+ * other numbers → double, bigint → uint64/uint128, Buffer → bytes,
+ * `{ $float: n }` → float.
+ */
+
+var ipUtils = require("../src/ip-utils");
+
+var MARKER = Buffer.from([0xab, 0xcd, 0xef]).toString("latin1") + "MaxMind.com";
+
+function _control(type, size) {
+  var head = [];
+  var ext = [];
+  if (size < 29) head.push(size);
+  else if (size < 285) { head.push(29); ext.push(size - 29); }
+  else if (size < 65821) { head.push(30); ext.push((size - 285) >> 8, (size - 285) & 0xff); }
+  else { var s = size - 65821; head.push(31); ext.push((s >> 16) & 0xff, (s >> 8) & 0xff, s & 0xff); }
+  if (type <= 7) return [(type << 5) | head[0]].concat(ext);
+  return [head[0], type - 7].concat(ext);
+}
+
+function _uintBytes(n, max) {
+  var out = [];
+  var big = BigInt(n);
+  while (big > BigInt(0)) { out.unshift(Number(big & BigInt(255))); big >>= BigInt(8); }
+  if (out.length > max) throw new Error("value too large");
+  return out;
+}
+
+function _pointer(p) {
+  if (p < 2048) return [0x20 | (p >> 8), p & 0xff];
+  if (p < 526336) { var a = p - 2048; return [0x28 | (a >> 16), (a >> 8) & 0xff, a & 0xff]; }
+  if (p < 134744064) { var b = p - 526336; return [0x30 | (b >> 24), (b >> 16) & 0xff, (b >> 8) & 0xff, b & 0xff]; }
+  return [0x38, (p >>> 24) & 0xff, (p >> 16) & 0xff, (p >> 8) & 0xff, p & 0xff];
+}
+
+function _createEncoder(dedupe) {
+  var out = [];
+  var strings = new Map();
+
+  function write(v) {
+    if (typeof v === "string") {
+      if (dedupe && strings.has(v)) { push(_pointer(strings.get(v))); return; }
+      if (dedupe) strings.set(v, out.length);
+      var bytes = Buffer.from(v, "utf8");
+      push(_control(2, bytes.length));
+      push(bytes);
+    } else if (typeof v === "boolean") {
+      push(_control(14, v ? 1 : 0));
+    } else if (typeof v === "bigint") {
+      var big = _uintBytes(v, 16);
+      push(_control(big.length > 8 ? 10 : 9, big.length));
+      push(big);
+    } else if (typeof v === "number") {
+      if (Number.isInteger(v) && v >= 0 && v <= 0xffffffff) {
+        var u = _uintBytes(v, 4);
+        push(_control(v <= 0xffff ? 5 : 6, u.length));
+        push(u);
+      } else if (Number.isInteger(v) && v < 0 && v >= -0x80000000) {
+        var i32 = Buffer.alloc(4);
+        i32.writeInt32BE(v);
+        push(_control(8, 4));
+        push(i32);
+      } else {
+        var d = Buffer.alloc(8);
+        d.writeDoubleBE(v);
+        push(_control(3, 8));
+        push(d);
+      }
+    } else if (Buffer.isBuffer(v)) {
+      push(_control(4, v.length));
+      push(v);
+    } else if (Array.isArray(v)) {
+      push(_control(11, v.length));
+      v.forEach(write);
+    } else if (v && typeof v.$float === "number") {
+      var f = Buffer.alloc(4);
+      f.writeFloatBE(v.$float);
+      push(_control(15, 4));
+      push(f);
+    } else if (v && typeof v === "object") {
+      var keys = Object.keys(v);
+      push(_control(7, keys.length));
+      keys.forEach(function (k) { write(k); write(v[k]); });
+    } else {
+      throw new Error("cannot encode " + v);
+    }
+  }
+
+  function push(bytes) { for (var i = 0; i < bytes.length; i++) out.push(bytes[i]); }
+
+  return { write: write, bytes: function () { return out; } };
+}
+
+function _networkBits(network, ipVersion) {
+  var cidr = ipUtils.parseCidr(network);
+  if (!cidr) throw new Error("bad network " + network);
+  var bits = [];
+  if (ipVersion === 6 && cidr.version === 4) for (var z = 0; z < 96; z++) bits.push(0);
+  if (ipVersion === 4 && cidr.version === 6) throw new Error("IPv6 network in IPv4 database");
+  for (var i = 0; i < cidr.prefix; i++) bits.push((cidr.bytes[i >> 3] >> (7 - (i & 7))) & 1);
+  return bits;
+}
+
+/**
+ * @param {Array<{ network: string, data: Object }>} entries
+ * @param {Object} [opts]
+ * @param {number} [opts.recordSize=24] - 24, 28 or 32
+ * @param {number} [opts.ipVersion=6]
+ * @param {string} [opts.databaseType="Test-City"]
+ * @param {Object} [opts.metadata] - Extra metadata fields
+ * @returns {Buffer}
+ */
+function buildMmdb(entries, opts) {
+  opts = opts || {};
+  var recordSize = opts.recordSize || 24;
+  var ipVersion = opts.ipVersion || 6;
+
+  // Binary trie; children are node objects, { leaf: index } or null
+  var root = { c: [null, null] };
+  var enc = _createEncoder(true);
+  var leafOffsets = [];
+  entries.forEach(function (e) {
+    var bits = _networkBits(e.network, ipVersion);
+    leafOffsets.push(enc.bytes().length);
+    enc.write(e.data);
+    var node = root;
+    for (var i = 0; i < bits.length - 1; i++) {
+      var next = node.c[bits[i]];
+      if (!next || next.leaf !== undefined) node.c[bits[i]] = next = { c: [next, next] };
+      node = next;
+    }
+    node.c[bits[bits.length - 1]] = { leaf: leafOffsets.length - 1 };
+  });
+
+  var nodes = [];
+  (function number(n) {
+    n.id = nodes.length;
+    nodes.push(n);
+    n.c.forEach(function (ch) { if (ch && ch.leaf === undefined && ch.id === undefined) number(ch); });
+  })(root);
+  var nodeCount = nodes.length;
+
+  function recordValue(ch) {
+    if (!ch) return nodeCount;
+    if (ch.leaf !== undefined) return nodeCount + 16 + leafOffsets[ch.leaf];
+    return ch.id;
+  }
+
+  var nodeBytes = recordSize / 4;
+  var tree = Buffer.alloc(nodeCount * nodeBytes);
+  nodes.forEach(function (n) {
+    var l = recordValue(n.c[0]);
+    var r = recordValue(n.c[1]);
+    var off = n.id * nodeBytes;
+    if (recordSize === 24) {
+      tree.writeUIntBE(l, off, 3);
+      tree.writeUIntBE(r, off + 3, 3);
+    } else if (recordSize === 28) {
+      tree.writeUIntBE(l & 0xffffff, off, 3);
+      tree[off + 3] = ((l >>> 24) << 4) | (r >>> 24);
+      tree.writeUIntBE(r & 0xffffff, off + 4, 3);
+    } else {
+      tree.writeUInt32BE(l, off);
+      tree.writeUInt32BE(r, off + 4);
+    }
+  });
+
+  var meta = _createEncoder(false);
+  var metadata = {
+    node_count: nodeCount,
+    record_size: recordSize,
+    ip_version: ipVersion,
+    database_type: opts.databaseType || "Test-City",
+    languages: ["en"],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: BigInt(1700000000),
+    description: { en: "gif-captcha test fixture" }
+  };
+  Object.assign(metadata, opts.metadata || {});
+  meta.write(metadata);
+
+  return Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    Buffer.from(enc.bytes()),
+    Buffer.from(MARKER, "latin1"),
+    Buffer.from(meta.bytes())
+  ]);
+}
+
+module.exports = { buildMmdb: buildMmdb };
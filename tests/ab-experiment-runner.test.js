@@ -376,3 +376,241 @@ test("variant with no variant name throws", function () {
     });
   }, /name/);
 });
+
+// ── Sequential testing ──
+
+var seq = require("../src/sequential-testing");
+
+function lcg(seed) {
+  return function () {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
+function planBoundaries(plan, fractions, alpha) {
+  var spends = [];
+  var prev = 0;
+  fractions.forEach(function (t) {
+    var cum = seq.alphaSpent(plan, t, alpha);
+    spends.push(cum - prev);
+    prev = cum;
+  });
+  return seq.groupSequentialBoundaries(fractions, spends);
+}
+
+// Feed n users into an experiment, succeeding with the given rate per arm;
+// analyze every `every` users and return the analyses taken.
+function feed(runner, id, rates, n, every, rnd, offset) {
+  var analyses = [];
+  for (var u = 0; u < n; u++) {
+    var user = id + "-u" + ((offset || 0) + u);
+    var v = runner.assignUser(id, user).variant;
+    runner.recordEvent(id, user, rnd() < rates[v] ? "solve" : "fail");
+    if (every && (u + 1) % every === 0) analyses.push(runner.analyzeExperiment(id));
+  }
+  return analyses;
+}
+
+test("alpha-spending boundaries match published values", function () {
+  var fractions = [0.2, 0.4, 0.6, 0.8, 1];
+  var pocock = planBoundaries("pocock", fractions, 0.05);
+  [2.438, 2.427, 2.410, 2.397, 2.386].forEach(function (c, i) {
+    assert.ok(Math.abs(pocock[i] - c) < 0.005, "pocock look " + (i + 1) + ": " + pocock[i]);
+  });
+  var obf = planBoundaries("obrien-fleming", fractions, 0.05);
+  [4.877, 3.357, 2.680, 2.290, 2.031].forEach(function (c, i) {
+    assert.ok(Math.abs(obf[i] - c) < 0.005, "obrien-fleming look " + (i + 1) + ": " + obf[i]);
+  });
+  assert.ok(Math.abs(seq.alphaSpent("obrien-fleming", 0.999999, 0.05) - 0.05) < 1e-4);
+  assert.equal(seq.alphaSpent({ power: 2 }, 0.5, 0.05), 0.0125);
+  assert.equal(seq.alphaSpent("linear", 1, 0.05), 0.05);
+  assert.throws(function () { seq.validateSpendingPlan("haybittle"); }, /spending/);
+});
+
+test("group-sequential boundaries hold type I error under repeated looks", function () {
+  var fractions = [0.2, 0.4, 0.6, 0.8, 1];
+  var bounds = planBoundaries("obrien-fleming", fractions, 0.05);
+  var rnd = lcg(2024);
+  var rejected = 0;
+  var paths = 20000;
+  for (var p = 0; p < paths; p++) {
+    var s = 0;
+    for (var k = 0; k < fractions.length; k++) {
+      var g = Math.sqrt(-2 * Math.log(rnd())) * Math.cos(2 * Math.PI * rnd());
+      s += g * Math.sqrt(0.2);
+      if (Math.abs(s / Math.sqrt(fractions[k])) >= bounds[k]) {
+        rejected++;
+        break;
+      }
+    }
+  }
+  assert.ok(Math.abs(rejected / paths - 0.05) < 0.006, "type I error " + rejected / paths);
+});
+
+test("sequential modes keep daily peeking from inflating false positives", function () {
+  function falsePositives(sequential) {
+    var rnd = lcg(12345);
+    var runner = createABExperimentRunner({ earlyStoppingEnabled: false });
+    var naive = 0;
+    var stopped = 0;
+    for (var e = 0; e < 40; e++) {
+      var id = "null-" + e;
+      runner.createExperiment(id, makeSpec({ targetSampleSize: 200, sequential: sequential }));
+      var analyses = feed(runner, id, { control: 0.5, "hard-dark": 0.5 }, 400, 40, rnd);
+      if (analyses.some(function (a) { return a.sufficientData && a.pValue < 0.05; })) naive++;
+      if (analyses.some(function (a) { return a.decision === "stop for efficacy"; })) stopped++;
+      runner.deleteExperiment(id);
+    }
+    return { naive: naive, stopped: stopped };
+  }
+  var gs = falsePositives({ looks: 5 });
+  var msprt = falsePositives({ method: "msprt" });
+  assert.ok(gs.naive >= 5, "naive peeking should over-reject: " + gs.naive);
+  assert.ok(gs.stopped <= 3, "group-sequential: " + gs.stopped);
+  assert.ok(msprt.stopped <= 3, "msprt: " + msprt.stopped);
+});
+
+test("group-sequential mode stops for efficacy and completes the experiment", function () {
+  var runner = createABExperimentRunner();
+  var results = [];
+  runner.onResult(function (id, analysis) { results.push(analysis); });
+  runner.createExperiment("gs", makeSpec({ targetSampleSize: 300, sequential: { looks: 4 } }));
+  feed(runner, "gs", { control: 0.4, "hard-dark": 0.7 }, 600, 0, lcg(99));
+  assert.equal(runner.getExperiment("gs").status, "completed");
+  assert.equal(results.length, 1);
+  var analysis = results[0];
+  assert.equal(analysis.decision, "stop for efficacy");
+  assert.equal(analysis.significant, true);
+  assert.equal(analysis.winner, "hard-dark");
+  assert.match(analysis.recommendation, /^Stop for efficacy/);
+  var c = analysis.sequential.comparisons[0];
+  assert.equal(c.decision, "stop for efficacy");
+  assert.ok(c.looks.length >= 1 && c.looks.length < 4);
+  var last = c.looks[c.looks.length - 1];
+  assert.ok(Math.abs(last.z) >= last.boundary);
+  assert.ok(c.confidenceInterval[0] > 0 && c.confidenceInterval[1] > c.confidenceInterval[0]);
+  assert.equal(analysis.sequential.spending, "obrien-fleming");
+});
+
+test("group-sequential mode stops for futility on low conditional power", function () {
+  var runner = createABExperimentRunner({ earlyStoppingEnabled: false, sequential: { looks: 4, futilityPower: 0.2 } });
+  runner.createExperiment("flat", makeSpec({ targetSampleSize: 200 }));
+  var analyses = feed(runner, "flat", { control: 0.5, "hard-dark": 0.5 }, 400, 20, lcg(7));
+  var final = analyses[analyses.length - 1];
+  assert.equal(final.decision, "stop for futility");
+  assert.equal(final.winner, null);
+  assert.equal(final.significant, false);
+  assert.match(final.recommendation, /^Stop for futility/);
+  var c = final.sequential.comparisons[0];
+  assert.ok(c.looks[c.looks.length - 1].informationFraction >= 0.5);
+  assert.ok(c.confidenceInterval[0] < 0 && c.confidenceInterval[1] > 0);
+  // Earlier analyses said "continue" until a look was due
+  assert.equal(analyses[0].decision, "continue");
+  assert.match(analyses[0].recommendation, /Insufficient data|^Continue/);
+});
+
+test("msprt p-values never increase and the interval covers the true difference", function () {
+  var runner = createABExperimentRunner({ earlyStoppingEnabled: false });
+  runner.createExperiment("m", makeSpec({ targetSampleSize: 1000, sequential: { method: "msprt" } }));
+  var analyses = feed(runner, "m", { control: 0.5, "hard-dark": 0.58 }, 1200, 30, lcg(3));
+  var prev = 1;
+  analyses.forEach(function (a) {
+    var c = a.sequential.comparisons[0];
+    assert.ok(c.pValue <= prev);
+    prev = c.pValue;
+    assert.ok(c.confidenceInterval[0] <= 0.08 && c.confidenceInterval[1] >= 0.08);
+  });
+  var final = analyses[analyses.length - 1];
+  assert.equal(final.sequential.method, "msprt");
+  assert.ok(final.decision === "stop for efficacy" || final.decision === "continue");
+  if (final.decision === "stop for efficacy") {
+    assert.ok(final.sequential.comparisons[0].pValue <= 0.05);
+    assert.equal(final.winner, "hard-dark");
+  }
+});
+
+test("msprt stops for futility at the maximum sample size", function () {
+  var runner = createABExperimentRunner({ minSampleSize: 10 });
+  runner.createExperiment("m", makeSpec({ sequential: { method: "msprt", maxSampleSize: 60 } }));
+  feed(runner, "m", { control: 0.5, "hard-dark": 0.5 }, 400, 0, lcg(11));
+  var info = runner.getExperiment("m");
+  assert.equal(info.status, "completed");
+  assert.equal(info.winner, null);
+  assert.equal(runner.analyzeExperiment("m").decision, "stop for futility");
+});
+
+test("sequential intervals that stop overlapping are flagged, not swapped", function () {
+  // 100 users per arm at a 50% solve rate, then the variant always solves
+  // and control always fails: the final interval misses the first look's.
+  function drift(sequential) {
+    var runner = createABExperimentRunner({ earlyStoppingEnabled: false });
+    runner.createExperiment("drift", makeSpec({ targetSampleSize: 400, sequential: sequential }));
+    var seen = { control: 0, "hard-dark": 0 };
+    var first = null;
+    for (var u = 0; u < 800; u++) {
+      var v = runner.assignUser("drift", "u" + u).variant;
+      var k = seen[v]++;
+      runner.recordEvent("drift", "u" + u, (k < 100 ? k % 2 === 0 : v === "hard-dark") ? "solve" : "fail");
+      if (u === 199) first = runner.analyzeExperiment("drift").sequential.comparisons[0];
+    }
+    return { first: first, last: runner.analyzeExperiment("drift").sequential.comparisons[0], report: runner.textReport("drift") };
+  }
+  [{ looks: 4, futilityPower: 0 }, { method: "msprt" }].forEach(function (sequential) {
+    var r = drift(sequential);
+    assert.equal(r.first.intervalEmpty, false);
+    assert.equal(r.last.decision, "stop for efficacy");
+    assert.equal(r.last.intervalEmpty, true);
+    assert.deepEqual(r.last.confidenceInterval, r.first.confidenceInterval);
+    assert.ok(r.last.confidenceInterval[0] <= r.last.confidenceInterval[1]);
+    assert.match(r.report, /intervals do not overlap/);
+  });
+});
+
+test("textReport shows the sequential boundary chart", function () {
+  var runner = createABExperimentRunner({ earlyStoppingEnabled: false });
+  runner.createExperiment("chart", makeSpec({ targetSampleSize: 200, sequential: { looks: 4, futilityPower: 0 } }));
+  feed(runner, "chart", { control: 0.5, "hard-dark": 0.55 }, 120, 20, lcg(5));
+  var report = runner.textReport("chart");
+  assert.match(report, /Sequential analysis: group-sequential \(obrien-fleming spending\), alpha=0\.05/);
+  assert.match(report, /Decision: continue/);
+  assert.match(report, /repeated CI \[/);
+  var rows = report.split("\n").filter(function (l) { return /^\s+(\d+|-)\s+\d+%/.test(l); });
+  assert.equal(rows.length, 4);
+  assert.ok(rows.every(function (l) { return (l.match(/\|/g) || []).length === 2 && l.indexOf(":") !== -1; }));
+  assert.ok(rows[0].indexOf("*") !== -1);
+  assert.equal(rows[3].indexOf("*"), -1);
+
+  runner.createExperiment("chart-m", makeSpec({ sequential: { method: "msprt" } }));
+  feed(runner, "chart-m", { control: 0.5, "hard-dark": 0.5 }, 120, 40, lcg(5));
+  var mReport = runner.textReport("chart-m");
+  assert.match(mReport, /ln\(1\/alpha\) = 3\.00/);
+  assert.match(mReport, /always-valid p=/);
+  assert.match(mReport, /\[[#.]{30}\]/);
+});
+
+test("sequential plans survive export and import", function () {
+  var runner = createABExperimentRunner({ earlyStoppingEnabled: false });
+  runner.createExperiment("x", makeSpec({ targetSampleSize: 200, sequential: { looks: [0.5, 1], spending: { power: 3 } } }));
+  feed(runner, "x", { control: 0.5, "hard-dark": 0.52 }, 220, 220, lcg(1));
+  var state = JSON.parse(JSON.stringify(runner.exportState()));
+  var restored = createABExperimentRunner({ earlyStoppingEnabled: false });
+  assert.equal(restored.importState(state), 1);
+  var before = runner.analyzeExperiment("x").sequential;
+  var after = restored.analyzeExperiment("x").sequential;
+  assert.deepEqual(after.spending, { power: 3 });
+  assert.deepEqual(after.looks, [0.5, 1]);
+  assert.deepEqual(after.comparisons, before.comparisons);
+});
+
+test("sequential options are validated", function () {
+  assert.throws(function () { createABExperimentRunner({ sequential: { method: "bayes" } }); }, /sequential method/);
+  var runner = createABExperimentRunner({ sequential: { looks: 3 } });
+  assert.throws(function () { runner.createExperiment("a", makeSpec({ sequential: { looks: [0.5, 0.9] } })); }, /end at 1/);
+  assert.throws(function () { runner.createExperiment("b", makeSpec({ sequential: { spending: "haybittle" } })); }, /spending/);
+  assert.throws(function () { runner.createExperiment("c", makeSpec({ sequential: { alpha: 2 } })); }, /alpha/);
+  runner.createExperiment("fixed", makeSpec({ sequential: false }));
+  assert.equal(runner.analyzeExperiment("fixed").sequential, undefined);
+  runner.createExperiment("default", makeSpec());
+  assert.deepEqual(runner.analyzeExperiment("default").sequential.looks, [1 / 3, 2 / 3, 1]);
+});
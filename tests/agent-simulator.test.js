@@ -0,0 +1,165 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+var assert = require("assert");
+var gifCaptcha = require("../src/index");
+var ipUtils = require("../src/ip-utils");
+var createAgentSimulator = require("../src/agent-simulator").createAgentSimulator;
+var AGENT_TYPES = require("../src/agent-simulator").AGENT_TYPES;
+
+function inPools(ip, cidrs) {
+  return cidrs.some(function (c) { return ipUtils.cidrContains(ipUtils.parseCidr(c), ip); });
+}
+
+function distinct(list, key) {
+  var seen = {};
+  list.forEach(function (s) { seen[s[key]] = true; });
+  return Object.keys(seen).length;
+}
+
+describe("createAgentSimulator", function () {
+  it("is deterministic for a seed", function () {
+    var a = createAgentSimulator({ seed: 42 }).generate(20);
+    var b = createAgentSimulator({ seed: 42 }).generate(20);
+    assert.deepStrictEqual(a, b);
+    assert.notDeepStrictEqual(createAgentSimulator({ seed: 43 }).generate(20), a);
+
+    var sim = createAgentSimulator({ seed: 42 });
+    sim.generate(5);
+    sim.reset();
+    assert.deepStrictEqual(sim.generate(20), a);
+  });
+
+  it("labels sessions with their actor type", function () {
+    var sessions = createAgentSimulator({ seed: 1 }).generate(140);
+    AGENT_TYPES.forEach(function (type) {
+      assert.ok(sessions.some(function (s) { return s.agent === type; }), type);
+    });
+    sessions.forEach(function (s) {
+      assert.strictEqual(s.label, s.agent.indexOf("human") === 0 ? "human" : "bot");
+    });
+    assert.deepStrictEqual(gifCaptcha.AGENT_TYPES, AGENT_TYPES);
+  });
+
+  it("honours the mix", function () {
+    var sim = createAgentSimulator({ seed: 2, mix: { "human-motor": 1 } });
+    assert.ok(sim.generate(10).every(function (s) { return s.agent === "human-motor"; }));
+    var bots = sim.generate(30, { mix: { "naive-script": 1, "farm-worker": 1 } });
+    assert.ok(bots.every(function (s) { return s.label === "bot"; }));
+    assert.strictEqual(sim.session("human").agent, "human");
+    assert.throws(function () { createAgentSimulator({ mix: { alien: 1 } }); }, RangeError);
+    assert.throws(function () { createAgentSimulator({ mix: { human: 0 } }); }, RangeError);
+    assert.throws(function () { createAgentSimulator({ mix: { human: -1 } }); }, TypeError);
+    assert.throws(function () { sim.session("alien"); }, RangeError);
+  });
+
+  it("produces well-formed signals on a simulated clock", function () {
+    var sim = createAgentSimulator({ seed: 3, solvesPerSession: 4 });
+    var prev = 0;
+    AGENT_TYPES.forEach(function (type) {
+      var s = sim.session(type);
+      assert.ok(s.startedAt > prev);
+      prev = s.startedAt;
+      assert.strictEqual(s.solves.length, 4);
+      for (var i = 1; i < s.solves.length; i++) assert.ok(s.solves[i].timestamp > s.solves[i - 1].timestamp);
+      var m = s.signals.mouseMovements;
+      for (var j = 1; j < m.length; j++) assert.ok(m[j].t > m[j - 1].t, type + " mouse time");
+      s.signals.keystrokes.forEach(function (k) { assert.ok(k.upAt >= k.downAt); });
+      assert.strictEqual(s.biometrics.keystrokes.length, s.signals.keystrokes.length);
+      assert.strictEqual(s.biometrics.clicks.length, 3);
+      assert.ok(s.signals.timeOnPageMs >= s.signals.firstInteractionMs);
+      assert.strictEqual(typeof s.profile.avgSolveTimeMs, "number");
+    });
+  });
+
+  it("gives each actor type its own tells", function () {
+    var sim = createAgentSimulator({ seed: 4 });
+    var naive = sim.session("naive-script");
+    assert.strictEqual(naive.signals.mouseMovements.length, 0);
+    assert.strictEqual(naive.signals.jsVerified, false);
+    assert.match(naive.userAgent, /python-requests|curl/);
+    var headless = sim.session("headless-browser");
+    assert.match(headless.userAgent, /HeadlessChrome/);
+    var hm = headless.signals.mouseMovements;
+    assert.strictEqual(hm[1].t - hm[0].t, 16);
+    assert.ok(sim.session("human-cognitive").profile.avgSolveTimeMs > naive.profile.avgSolveTimeMs);
+  });
+
+  it("churns IPs and fingerprints per actor type", function () {
+    var sim = createAgentSimulator({ seed: 5 });
+    var naive = sim.generate(20, { mix: { "naive-script": 1 } });
+    var mimic = sim.generate(20, { mix: { "timing-mimic": 1 } });
+    var humans = sim.generate(20, { mix: { human: 1 } });
+    assert.ok(distinct(naive, "ip") <= 2);
+    assert.ok(distinct(naive, "fingerprint") <= 2);
+    assert.ok(distinct(mimic, "fingerprint") >= 18);
+    assert.strictEqual(distinct(humans, "actorId"), 20);
+    naive.forEach(function (s) { assert.ok(inPools(s.ip, ["203.0.113.0/24"]), s.ip); });
+    humans.forEach(function (s) { assert.ok(inPools(s.ip, ["198.51.100.0/24", "2001:db8:100::/40"]), s.ip); });
+  });
+
+  it("accepts custom IP pools and profile overrides", function () {
+    var sim = createAgentSimulator({
+      seed: 6,
+      ipPools: { residential: ["10.20.0.0/16"] },
+      profiles: { human: { success: 0 } }
+    });
+    var s = sim.session("human");
+    assert.ok(inPools(s.ip, ["10.20.0.0/16"]));
+    assert.ok(s.solves.every(function (e) { return !e.solved; }));
+    assert.strictEqual(sim.getProfile("human").success, 0);
+    sim.getProfile("human").success = 1;
+    assert.strictEqual(sim.getProfile("human").success, 0);
+    assert.throws(function () { createAgentSimulator({ ipPools: { farm: ["nope"] } }); }, TypeError);
+  });
+});
+
+describe("run", function () {
+  it("drives real module instances and tallies flags per actor type", function () {
+    var sim = createAgentSimulator({ seed: 7 });
+    var custom = [];
+    var report = sim.run({
+      botDetector: gifCaptcha.createBotDetector(),
+      biometrics: gifCaptcha.createBehavioralBiometrics({ collectKeystrokes: true }),
+      responseTimeProfiler: gifCaptcha.createResponseTimeProfiler({ now: sim.now }),
+      mimicryDetector: gifCaptcha.createBotMimicryDetector(),
+      signatureDatabase: gifCaptcha.createBotSignatureDatabase(),
+      reputationTracker: gifCaptcha.createReputationTracker(),
+      userAgent: function (s) { custom.push(s.id); return { flagged: /HeadlessChrome|python|curl/.test(s.userAgent) }; }
+    }, { count: 140 });
+
+    assert.strictEqual(report.sessions.length, 140);
+    assert.strictEqual(custom.length, 140);
+    var sum = report.summary;
+    assert.strictEqual(sum.botDetector.bots.total + sum.botDetector.humans.total, 140);
+    assert.strictEqual(sum.botDetector.byAgent["naive-script"].rate, 1);
+    assert.strictEqual(sum.botDetector.humans.rate, 0);
+    assert.strictEqual(sum.biometrics.byAgent["headless-browser"].rate, 1);
+    assert.strictEqual(sum.biometrics.humans.rate, 0);
+    assert.strictEqual(sum.responseTimeProfiler.byAgent["headless-browser"].rate, 1);
+    assert.strictEqual(sum.userAgent.byAgent["timing-mimic"].rate, 0);
+    assert.strictEqual(sum.userAgent.humans.rate, 0);
+    var first = report.sessions[0];
+    assert.strictEqual(typeof first.outcomes.botDetector.result.score, "number");
+    assert.ok("mimicryScore" in first.outcomes.mimicryDetector.result);
+    assert.ok("action" in first.outcomes.reputationTracker.result);
+  });
+
+  it("replays given sessions and rejects unknown targets", function () {
+    var sim = createAgentSimulator({ seed: 8 });
+    var sessions = sim.generate(5);
+    var report = sim.run({ check: function () { return { flagged: true }; } }, { sessions: sessions });
+    assert.deepStrictEqual(report.sessions.map(function (r) { return r.id; }), sessions.map(function (s) { return s.id; }));
+    assert.strictEqual(report.summary.check.bots.flagged + report.summary.check.humans.flagged, 5);
+    assert.throws(function () { sim.run({}); }, TypeError);
+    assert.throws(function () { sim.run({ crystalBall: {} }); }, TypeError);
+  });
+
+  it("feeds createDetectorEvaluator directly", function () {
+    var ev = gifCaptcha.createDetectorEvaluator({ detectors: ["botDetector", "biometrics", "mimicry"] });
+    ev.addBatch(createAgentSimulator({ seed: 9 }).generate(120));
+    var report = ev.evaluate();
+    assert.ok(report.ensemble.auc >= 0.95, "auc " + report.ensemble.auc);
+    assert.ok(report.detectors.botDetector.auc >= 0.8);
+  });
+});
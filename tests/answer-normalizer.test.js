@@ -0,0 +1,120 @@
+/**
+ * Tests for answer-normalizer.js
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var gifCaptcha = require("../src/index");
+var { createAnswerNormalizer, stemEnglish, tokenize, DEFAULT_STEPS } = require("../src/answer-normalizer");
+
+describe("createAnswerNormalizer", function () {
+  it("is exported from the package entry point", function () {
+    assert.equal(gifCaptcha.createAnswerNormalizer, createAnswerNormalizer);
+  });
+
+  describe("pipeline", function () {
+    var n = createAnswerNormalizer();
+
+    it("tokenizes without punctuation, case or accents", function () {
+      assert.deepEqual(tokenize("Café's  NICE—really!"), ["cafe", "s", "nice", "really"]);
+      assert.equal(tokenize("x ".repeat(500)).length, 100);
+    });
+
+    it("turns the request example into the same canonical terms", function () {
+      assert.deepEqual(n.tokens("A kitten jumps onto the sofa!"), ["cat", "jump", "couch"]);
+      assert.deepEqual(n.tokens("cat jumping on couch"), ["cat", "jump", "couch"]);
+      assert.equal(n.similarity("A kitten jumps onto the sofa", "cat jumping on couch"), 1);
+      assert.equal(n.similarity("", "cat"), 0);
+    });
+
+    it("maps number words to digits", function () {
+      assert.deepEqual(n.tokens("twenty-one cats and three hundred and five dogs"), ["21", "cat", "305", "dog"]);
+      assert.deepEqual(n.tokens("one two three"), ["1", "2", "3"]);
+      assert.deepEqual(n.tokens("dos gatos y tres perros", { locale: "es" }), ["2", "gatos", "3", "perros"]);
+      assert.deepEqual(n.tokens("fünf Katzen", { locale: "de" }), ["5", "katzen"]);
+    });
+
+    it("stems regular and irregular English forms", function () {
+      var pairs = { running: "run", ran: "run", dances: "danc", danced: "danc", couches: "couch",
+        puppies: "puppy", cried: "cry", quickly: "quick", children: "child", glass: "glass", bus: "bus" };
+      Object.keys(pairs).forEach(function (w) { assert.equal(stemEnglish(w), pairs[w], w); });
+    });
+
+    it("reports the terms the lexicon folded in", function () {
+      var r = n.normalize("a puppy and a kitty");
+      assert.deepEqual(r.tokens, ["dog", "cat"]);
+      assert.deepEqual(r.replaced, { dog: ["puppy"], cat: ["kitty"] });
+      assert.equal(r.locale, "en");
+    });
+  });
+
+  describe("configuration", function () {
+    it("accepts custom steps, lexicons, stop words and stemmers", function () {
+      var n = createAnswerNormalizer({
+        locale: "xx",
+        builtins: false,
+        steps: ["stopWords", "stem", function upper(tokens) { return tokens.map(function (t) { return t.toUpperCase(); }); }],
+        stopWords: { xx: ["el"] },
+        stemmers: { xx: function (w) { return w.replace(/o$/, ""); } },
+      });
+      assert.deepEqual(n.steps(), ["stopWords", "stem", "upper"]);
+      assert.deepEqual(n.tokens("El gato"), ["GAT"]);
+      assert.deepEqual(createAnswerNormalizer({ builtins: false }).tokens("the cats"), ["the", "cats"]);
+    });
+
+    it("runs lexicon phrases through the same steps as answers", function () {
+      var n = createAnswerNormalizer({ lexicon: { en: { couch: ["living room sofa"], tv: { synonyms: ["television"], hypernyms: ["screen"] } } } });
+      assert.deepEqual(n.tokens("sitting on the living-room sofas"), ["sit", "couch"]);
+      n.addLexicon("es", { gato: ["minino"] });
+      assert.deepEqual(n.tokens("un minino", { locale: "es" }), ["gato"]);
+      n.addStopWords("en", ["sitting"]);
+      assert.deepEqual(n.tokens("sitting on the television"), ["tv"]);
+    });
+
+    it("rejects unknown steps and malformed locale data", function () {
+      assert.throws(function () { createAnswerNormalizer({ steps: ["lemmatize"] }); }, TypeError);
+      assert.throws(function () { createAnswerNormalizer({ stemmers: { en: "porter" } }); }, /must be a function/);
+      assert.throws(function () { createAnswerNormalizer().addStopWords("en", "the"); }, TypeError);
+      var bad = createAnswerNormalizer({ steps: [function () { return "x"; }] });
+      assert.throws(function () { bad.tokens("a"); }, /must return an array/);
+      assert.deepEqual(DEFAULT_STEPS, ["numbers", "stopWords", "stem", "synonyms"]);
+    });
+  });
+
+  describe("matchConcepts()", function () {
+    var n = createAnswerNormalizer();
+
+    it("matches terms, synonyms and hypernyms and lists what is missing", function () {
+      var concepts = { subject: ["cat", "dog"], action: "jump", place: ["couch"], object: ["ball"] };
+      var r = n.matchConcepts("Some animal bounces off the big sofa", concepts, { allowHypernyms: true });
+      assert.deepEqual(r.matched, [
+        { concept: "subject", term: "cat", token: "animal", via: "hypernym" },
+        { concept: "action", term: "jump", token: "jump", via: "synonym" },
+        { concept: "place", term: "couch", token: "couch", via: "synonym" },
+      ]);
+      assert.deepEqual(r.missing, ["object"]);
+      assert.equal(r.score, 0.75);
+      assert.deepEqual(r.unmatchedTerms, ["off", "big"]);
+      assert.deepEqual(r.hypernymMatches, []);
+      assert.deepEqual(n.matchConcepts("cats sitting on tables", ["cat"]).unmatchedTerms, ["sitting", "tables"]);
+    });
+
+    it("reports hypernyms as matches only when allowed", function () {
+      var r = n.matchConcepts("Some animal bounces off the big sofa", { subject: ["cat", "dog"], place: ["couch"] });
+      assert.deepEqual(r.missing, ["subject"]);
+      assert.deepEqual(r.hypernymMatches, [{ concept: "subject", term: "cat", token: "animal", via: "hypernym" }]);
+      assert.equal(r.score, 0.5);
+      assert.deepEqual(r.unmatchedTerms, ["animal", "bounces", "off", "big"]);
+      assert.deepEqual(n.matchConcepts("a dog", [["cat", "dog"]]).hypernymMatches, []);
+    });
+
+    it("accepts arrays of term lists and multi-word terms", function () {
+      var r = n.matchConcepts("the man rides a red bike", [["red bicycle"], "woman"], { allowHypernyms: false });
+      assert.deepEqual(r.matched.map(function (m) { return m.concept; }), ["red bicycle"]);
+      assert.deepEqual(r.missing, ["woman"]);
+      assert.throws(function () { n.matchConcepts("x", "cat"); }, TypeError);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Tests for automation-probes: every probe is collected from a fake
+ * browser window fixture (clean Chrome, then one automation artifact at
+ * a time), evaluated server-side, and fed to createBotDetector.
+ */
+var gifCaptcha = require('../src/index');
+var probes = require('../src/automation-probes');
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+var CHROME_UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+// Bound functions stringify as "[native code]" and have no prototype,
+// like real built-ins.
+function native(value) {
+  return function () { return value; }.bind(null);
+}
+
+function pluginArray(n) {
+  var list = { length: n };
+  list[Symbol.toStringTag] = 'PluginArray';
+  return list;
+}
+
+function makeNavigator(props) {
+  var proto = {};
+  Object.keys(props).forEach(function (name) {
+    Object.defineProperty(proto, name, { get: native(props[name]), configurable: true, enumerable: true });
+  });
+  return Object.create(proto);
+}
+
+/**
+ * A headed desktop Chrome. `frameMs(i)` gives the i-th animation frame
+ * interval; the default jitters around 60 Hz.
+ */
+function chromeWindow() {
+  var t = 1000;
+  var frame = 0;
+  var win = {
+    navigator: makeNavigator({
+      userAgent: CHROME_UA,
+      webdriver: false,
+      plugins: pluginArray(5),
+      languages: ['en-US', 'en'],
+      permissions: { query: native(Promise.resolve({ state: 'prompt' })) },
+    }),
+    chrome: { runtime: {} },
+    outerWidth: 1280,
+    outerHeight: 800,
+    Notification: { permission: 'default' },
+    HTMLCanvasElement: { prototype: { toDataURL: native('') } },
+    WebGLRenderingContext: { prototype: { getParameter: native(null) } },
+    Error: Error,
+    Function: Function,
+    console: { debug: function () {} },
+    frameMs: function (i) { return 16.7 + ((i * 7) % 5 - 2) * 0.3; },
+    requestAnimationFrame: function (cb) {
+      setTimeout(function () {
+        t += win.frameMs(frame++);
+        cb(t);
+      }, 0);
+    },
+  };
+  win.iframeWindow = function () {
+    var cw = { navigator: makeNavigator({ userAgent: win.navigator.userAgent, webdriver: false }), chrome: {} };
+    cw.self = cw;
+    cw.frames = cw;
+    return cw;
+  };
+  win.document = {
+    visibilityState: 'visible',
+    createElement: function () { return { style: {} }; },
+    body: {
+      appendChild: function (el) { el.contentWindow = win.iframeWindow(); },
+      removeChild: function () {},
+    },
+  };
+  return win;
+}
+
+// One automation artifact per probe, applied to a clean fixture.
+var AUTOMATED = {
+  webdriver: {
+    reason: 'webdriver-true',
+    apply: function (win) {
+      win.navigator = makeNavigator({ userAgent: CHROME_UA, webdriver: true, plugins: pluginArray(5), languages: ['en'] });
+    },
+  },
+  automationGlobals: {
+    reason: 'driver-keys',
+    apply: function (win) {
+      win.document.$cdc_asdjflasutopfhvcZLmcfl_ = {};
+    },
+  },
+  cdpRuntime: {
+    reason: 'console-serialized',
+    apply: function (win) {
+      win.console.debug = function (e) { return e.stack; };
+    },
+  },
+  nativeFunctions: {
+    reason: 'patched:HTMLCanvasElement.toDataURL',
+    apply: function (win) {
+      win.HTMLCanvasElement.prototype.toDataURL = function () { return 'data:,'; };
+    },
+  },
+  navigatorConsistency: {
+    reason: 'headless-user-agent',
+    apply: function (win) {
+      win.navigator = makeNavigator({
+        userAgent: CHROME_UA.replace('Chrome/', 'HeadlessChrome/'),
+        webdriver: false,
+        plugins: pluginArray(5),
+        languages: ['en-US'],
+      });
+    },
+  },
+  permissions: {
+    reason: 'notification-permission-mismatch',
+    apply: function (win) {
+      win.Notification.permission = 'denied';
+    },
+  },
+  iframeContentWindow: {
+    reason: 'iframe-is-parent',
+    apply: function (win) {
+      win.iframeWindow = function () { return win; };
+    },
+  },
+  renderTiming: {
+    reason: 'frames-perfectly-regular',
+    apply: function (win) {
+      win.frameMs = function () { return 16; };
+    },
+  },
+};
+
+function automated(id) {
+  var win = chromeWindow();
+  AUTOMATED[id].apply(win);
+  return win;
+}
+
+describe('collectAutomationProbes + evaluateAutomationProbes', function () {
+  test('a clean browser passes every probe', async function () {
+    var report = await probes.collectAutomationProbes({ window: chromeWindow() });
+    assert.strictEqual(report.version, probes.PROBE_SUITE_VERSION);
+    assert.strictEqual(typeof report.durationMs, 'number');
+    var result = probes.evaluateAutomationProbes(report);
+    assert.strictEqual(result.supported, true);
+    assert.strictEqual(result.score, 0);
+    assert.deepStrictEqual(result.detected, []);
+    probes.AUTOMATION_PROBES.forEach(function (p) {
+      assert.strictEqual(result.probes[p.id].detected, false, p.id);
+    });
+  });
+
+  test('the fixture set covers every probe', function () {
+    assert.deepStrictEqual(Object.keys(AUTOMATED).sort(), probes.AUTOMATION_PROBES.map(function (p) { return p.id; }).sort());
+  });
+
+  probes.AUTOMATION_PROBES.forEach(function (probe) {
+    test(probe.id + ' detects its fixture and can be disabled', async function () {
+      var report = await probes.collectAutomationProbes({ window: automated(probe.id) });
+      var result = probes.evaluateAutomationProbes(report);
+      var verdict = result.probes[probe.id];
+      assert.strictEqual(verdict.detected, true);
+      assert.ok(verdict.reasons.indexOf(AUTOMATED[probe.id].reason) !== -1, verdict.reasons.join());
+      assert.ok(verdict.confidence > 0 && verdict.confidence <= probe.confidence);
+      assert.deepStrictEqual(result.detected, [probe.id]);
+      assert.strictEqual(result.score, Math.round(verdict.confidence * 1000) / 10);
+
+      var off = probes.evaluateAutomationProbes(report, { disabled: [probe.id] });
+      assert.strictEqual(off.probes[probe.id].disabled, true);
+      assert.strictEqual(off.probes[probe.id].detected, null);
+      assert.strictEqual(off.score, 0);
+
+      var skipped = await probes.collectAutomationProbes({ window: automated(probe.id), disabled: [probe.id] });
+      assert.ok(!(probe.id in skipped.probes));
+    });
+  });
+
+  test('combines detections as independent evidence', async function () {
+    var win = automated('permissions');
+    AUTOMATED.cdpRuntime.apply(win);
+    var result = probes.evaluateAutomationProbes(await probes.collectAutomationProbes({ window: win }));
+    assert.deepStrictEqual(result.detected.sort(), ['cdpRuntime', 'permissions']);
+    assert.strictEqual(result.score, Math.round((1 - 0.3 * 0.4) * 1000) / 10);
+  });
+
+  test('missing, failed and inapplicable probes are inconclusive', async function () {
+    var win = chromeWindow();
+    delete win.Notification;
+    win.requestAnimationFrame = function () {};
+    Object.defineProperty(win, 'outerWidth', { get: function () { throw new Error('blocked'); } });
+    var report = await probes.collectAutomationProbes({ window: win, timeoutMs: 30 });
+    assert.deepStrictEqual(report.probes.permissions, { supported: false });
+    assert.strictEqual(report.probes.renderTiming.timedOut, true);
+    assert.strictEqual(report.probes.navigatorConsistency.error, 'Error');
+    delete report.probes.webdriver;
+
+    var result = probes.evaluateAutomationProbes(report);
+    assert.strictEqual(result.probes.permissions.detected, null);
+    assert.strictEqual(result.probes.navigatorConsistency.detected, null);
+    assert.strictEqual(result.probes.webdriver.detected, null);
+    assert.strictEqual(result.probes.renderTiming.detected, true);
+    assert.deepStrictEqual(result.probes.renderTiming.reasons, ['no-animation-frames']);
+  });
+
+  test('rejects unknown versions and probe ids', function () {
+    var future = probes.evaluateAutomationProbes({ version: probes.PROBE_SUITE_VERSION + 1, probes: { webdriver: { value: true } } });
+    assert.strictEqual(future.supported, false);
+    assert.strictEqual(future.score, 0);
+    assert.strictEqual(probes.evaluateAutomationProbes(null).supported, false);
+    assert.throws(function () { probes.evaluateAutomationProbes({}, { disabled: ['nope'] }); }, RangeError);
+    assert.throws(function () { probes.evaluateAutomationProbes({}, { disabled: 'webdriver' }); }, TypeError);
+  });
+
+  test('ignores names outside the known artifact lists', function () {
+    var result = probes.evaluateAutomationProbes({
+      version: 1,
+      probes: { automationGlobals: { globals: ['jQuery'], driverKeys: ['cdcFoo'] } },
+    });
+    assert.strictEqual(result.probes.automationGlobals.detected, false);
+  });
+});
+
+describe('createBotDetector automation signal', function () {
+  var human = {
+    mouseMovements: [{ x: 0, y: 0, t: 0 }, { x: 40, y: 13, t: 120 }, { x: 95, y: 60, t: 260 }, { x: 130, y: 71, t: 430 }],
+    timeOnPageMs: 12000,
+    firstInteractionMs: 1500,
+  };
+
+  test('decisive probes make an otherwise human session a bot', async function () {
+    var detector = gifCaptcha.createBotDetector();
+    var report = await probes.collectAutomationProbes({ window: automated('webdriver') });
+    var r = detector.analyze(Object.assign({ automation: report }, human));
+    assert.ok(r.flags.indexOf('automation:webdriver') !== -1);
+    assert.strictEqual(r.isBot, true);
+    assert.strictEqual(r.breakdown.automation, 95);
+    assert.deepStrictEqual(r.automation.detected, ['webdriver']);
+    assert.strictEqual(detector.analyze(human).isBot, false);
+  });
+
+  test('blends weaker evidence into the composite', async function () {
+    var detector = gifCaptcha.createBotDetector();
+    var base = detector.analyze(human);
+    assert.strictEqual(base.breakdown.automation, undefined);
+    assert.strictEqual(base.automation, undefined);
+
+    var clean = detector.analyze(Object.assign({ automation: await probes.collectAutomationProbes({ window: chromeWindow() }) }, human));
+    assert.strictEqual(clean.breakdown.automation, 0);
+    assert.ok(clean.score < base.score);
+
+    var weak = detector.analyze(Object.assign({ automation: await probes.collectAutomationProbes({ window: automated('renderTiming') }) }, human));
+    assert.ok(weak.flags.indexOf('automation:renderTiming') !== -1);
+    assert.ok(weak.score > clean.score && weak.isBot === false);
+  });
+
+  test('honours disabledProbes and flags unsupported reports', async function () {
+    var detector = gifCaptcha.createBotDetector({ disabledProbes: ['webdriver'] });
+    var report = await probes.collectAutomationProbes({ window: automated('webdriver') });
+    var r = detector.analyze(Object.assign({ automation: report }, human));
+    assert.strictEqual(r.isBot, false);
+    assert.deepStrictEqual(detector.getConfig().disabledProbes, ['webdriver']);
+    assert.deepStrictEqual(detector.analyzeAutomation({ version: 99 }).flags, ['automation_unsupported_version']);
+    assert.throws(function () { gifCaptcha.createBotDetector({ disabledProbes: ['nope'] }); }, RangeError);
+  });
+
+  test('adds automation_score to the feature vector', async function () {
+    var names = gifCaptcha.BOT_DETECTOR_FEATURES;
+    var detector = gifCaptcha.createBotDetector();
+    var report = await probes.collectAutomationProbes({ window: automated('webdriver') });
+    assert.strictEqual(detector.extractFeatures({ automation: report }).values[names.indexOf('automation_score')], 0.95);
+    assert.strictEqual(detector.extractFeatures({}).values[names.indexOf('automation_score')], 0.5);
+  });
+});
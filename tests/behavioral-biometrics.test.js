@@ -283,3 +283,178 @@ describe("exportEvents", function () {
     assert.equal(b.getEventCounts().mouse, 1);
   });
 });
+
+// Helpers for touch sessions. A seeded generator keeps the human session
+// reproducible; the scripted one taps dead centre with fixed hardware values.
+function seeded(seed) {
+  var s = seed;
+  return function () {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    return s / 0x7fffffff;
+  };
+}
+
+var BUTTON = { x: 100, y: 200, width: 120, height: 48 };
+
+function humanTouchSession(analyzer, rand, opts) {
+  opts = opts || {};
+  var t = 1000;
+  var downs = [];
+  for (var i = 0; i < 6; i++) {
+    var x = 160 + (rand() - 0.5) * 40;
+    var y = 228 + (rand() - 0.5) * 20;
+    downs.push(t);
+    analyzer.recordPointer({ type: "pointerdown", pointerId: i, pointerType: "touch", x: x, y: y, t: t,
+      pressure: 0.3 + rand() * 0.4, width: 20 + rand() * 10, height: 22 + rand() * 10 }, BUTTON);
+    analyzer.recordPointer({ type: "pointerup", pointerId: i, pointerType: "touch", x: x + rand(), y: y + rand(),
+      t: t + 60 + rand() * 120, pressure: 0.2, width: 18 + rand() * 8, height: 20 + rand() * 8 });
+    t += 800 + rand() * 900;
+  }
+  // An upward swipe that speeds up and slows down along a slight arc.
+  var sx = 200, sy = 600;
+  downs.push(t);
+  analyzer.recordPointer({ type: "down", pointerId: 10, x: sx, y: sy, t: t, pressure: 0.4, width: 25, height: 27 });
+  for (var k = 1; k <= 12; k++) {
+    sx += 1 + rand() * 2;
+    sy -= Math.sin(Math.PI * k / 13) * 30;
+    analyzer.recordPointer({ type: "move", pointerId: 10, x: sx, y: sy, t: t + k * 16,
+      pressure: 0.4 + rand() * 0.1, width: 25 + rand() * 3, height: 27 });
+  }
+  analyzer.recordPointer({ type: "up", pointerId: 10, x: sx, y: sy, t: t + 13 * 16 });
+  if (opts.motion) {
+    for (var m = 0; m < 200; m++) {
+      var mt = 1000 + m * 50;
+      var jolt = downs.some(function (d) { return mt >= d && mt <= d + 150; }) ? 0.6 : 0;
+      analyzer.recordMotion({ x: (rand() - 0.5) * 0.05 + jolt, y: (rand() - 0.5) * 0.05,
+        z: 9.81 + (rand() - 0.5) * 0.05 + jolt, t: mt });
+    }
+  }
+}
+
+function scriptedTouchSession(analyzer, opts) {
+  opts = opts || {};
+  var t = 1000;
+  for (var i = 0; i < 6; i++) {
+    analyzer.recordPointer({ type: "down", pointerId: 0, x: 160, y: 224, t: t, pressure: 1, width: 1, height: 1 }, BUTTON);
+    analyzer.recordPointer({ type: "up", pointerId: 0, x: 160, y: 224, t: t, pressure: 1, width: 1, height: 1 });
+    t += 500;
+  }
+  analyzer.recordPointer({ type: "down", pointerId: 0, x: 200, y: 600, t: t, pressure: 1, width: 1, height: 1 });
+  for (var k = 1; k <= 12; k++) {
+    analyzer.recordPointer({ type: "move", pointerId: 0, x: 200, y: 600 - k * 20, t: t + k * 16, pressure: 1, width: 1, height: 1 });
+  }
+  analyzer.recordPointer({ type: "up", pointerId: 0, x: 200, y: 360, t: t + 13 * 16 });
+  if (opts.motion) {
+    for (var m = 0; m < 50; m++) analyzer.recordMotion({ x: 0, y: 0, z: 9.81, t: 1000 + m * 50 });
+  }
+}
+
+describe("touch and pen analysis", function () {
+  it("is insufficient below minTouchStrokes", function () {
+    var b = createBehavioralBiometrics();
+    b.recordPointer({ type: "down", pointerId: 1, x: 10, y: 10, t: 1000 });
+    b.recordPointer({ type: "up", pointerId: 1, x: 10, y: 10, t: 1080 });
+    assert.equal(b.analyzeTouch().sufficient, false);
+    assert.equal(b.getRiskLevel().signalCount, 0);
+  });
+
+  it("gives a mobile-only human session a real score", function () {
+    var b = createBehavioralBiometrics();
+    humanTouchSession(b, seeded(3), { motion: true });
+    var touch = b.analyzeTouch();
+    assert.equal(touch.sufficient, true);
+    assert.equal(touch.metrics.taps, 6);
+    assert.equal(touch.metrics.swipes, 1);
+    assert.ok(touch.metrics.tapCentreRatio === 0);
+    assert.ok(touch.metrics.touchJitterRatio > 1.5);
+    assert.ok(touch.score > 0.7, "score " + touch.score);
+
+    var result = b.analyze();
+    assert.deepEqual(result.channels, ["touch"]);
+    assert.equal(result.isLikelyHuman, true);
+    var risk = b.getRiskLevel();
+    assert.equal(risk.risk, "low");
+    assert.deepEqual(risk.channels, ["touch"]);
+  });
+
+  it("flags scripted touches", function () {
+    var b = createBehavioralBiometrics();
+    scriptedTouchSession(b, { motion: true });
+    var touch = b.analyzeTouch();
+    assert.equal(touch.components.taps, 0);
+    assert.equal(touch.components.swipes, 0);
+    assert.equal(touch.components.motion, 0);
+    assert.equal(touch.metrics.tapCentreRatio, 1);
+    assert.equal(b.analyze().isLikelyHuman, false);
+    assert.equal(b.getRiskLevel().risk, "high");
+  });
+
+  it("drops components without data", function () {
+    var b = createBehavioralBiometrics();
+    humanTouchSession(b, seeded(5));
+    var touch = b.analyzeTouch();
+    assert.equal(touch.components.motion, null);
+    assert.equal(touch.metrics.motionNoise, null);
+    assert.ok(touch.score > 0.6);
+  });
+
+  it("counts multi-touch and pen tilt", function () {
+    var b = createBehavioralBiometrics({ minTouchStrokes: 2 });
+    b.recordPointer({ type: "down", pointerId: 1, x: 100, y: 100, t: 1000 });
+    b.recordPointer({ type: "down", pointerId: 2, x: 200, y: 200, t: 1010 });
+    b.recordPointer({ type: "up", pointerId: 1, x: 100, y: 100, t: 1200 });
+    b.recordPointer({ type: "up", pointerId: 2, x: 200, y: 200, t: 1210 });
+    for (var i = 0; i < 5; i++) {
+      b.recordPointer({ type: "pointermove", pointerId: 9, pointerType: "pen", x: 0, y: 0, t: 1500 });
+      b.recordPointer({ type: "pointerdown", pointerId: 9, pointerType: "pen", x: 50, y: 50 + i, t: 2000 + i * 300,
+        pressure: 0.5, tiltX: 10 + i * 3, tiltY: -5 + i });
+      b.recordPointer({ type: "pointerup", pointerId: 9, pointerType: "pen", x: 50, y: 50 + i, t: 2090 + i * 300 });
+    }
+    var touch = b.analyzeTouch();
+    assert.equal(touch.metrics.multiTouch, 1);
+    assert.deepEqual(touch.metrics.pointerTypes, { touch: 2, pen: 5 });
+    assert.equal(touch.metrics.strokes, 7);
+  });
+
+  it("accepts Touch-style names and DeviceMotion events", function () {
+    var b = createBehavioralBiometrics();
+    b.recordPointer({ type: "touchstart", pointerId: 1, clientX: 5, clientY: 6, timeStamp: 100 },
+      { left: 0, top: 0, width: 10, height: 10 });
+    b.recordPointer({ type: "wheel", x: 1, y: 1 });
+    b.recordPointer({ type: "down", x: "a", y: 1 });
+    b.recordMotion({ acceleration: { x: null, y: null, z: null }, accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 }, timeStamp: 120 });
+    b.recordMotion({ acceleration: { x: 0.1, y: 0, z: 0 } });
+    b.recordMotion({ x: 1 });
+    var counts = b.getEventCounts();
+    assert.equal(counts.pointer, 1);
+    assert.equal(counts.motion, 2);
+    assert.equal(counts.total, 3);
+    var exported = b.exportEvents();
+    assert.equal(exported.pointer[0].type, "down");
+    assert.equal(exported.pointer[0].x, 5);
+    assert.deepEqual(exported.pointer[0].target, { x: 0, y: 0, width: 10, height: 10 });
+    assert.equal(exported.motion[0].z, 9.8);
+  });
+
+  it("routes mouse pointers to the mouse and click channels", function () {
+    var b = createBehavioralBiometrics();
+    b.recordPointer({ type: "pointermove", pointerType: "mouse", x: 1, y: 2, t: 100 });
+    b.recordPointer({ type: "pointerdown", pointerType: "mouse", button: 2, x: 1, y: 2, t: 150 });
+    var exported = b.exportEvents();
+    assert.equal(exported.mouse.length, 1);
+    assert.equal(exported.clicks[0].button, "right");
+    assert.equal(exported.pointer.length, 0);
+  });
+
+  it("replays exported touch events and resets them", function () {
+    var a = createBehavioralBiometrics();
+    humanTouchSession(a, seeded(7), { motion: true });
+    var exported = a.exportEvents();
+    var b = createBehavioralBiometrics();
+    exported.pointer.forEach(function (e) { b.recordPointer(e, e.target); });
+    exported.motion.forEach(function (e) { b.recordMotion(e); });
+    assert.deepEqual(b.analyzeTouch(), a.analyzeTouch());
+    a.reset();
+    assert.equal(a.getEventCounts().total, 0);
+  });
+});
@@ -699,4 +699,25 @@ describe("createDifficultyCalibrator", function () {
       assert.equal(stats.correctCount, 0);
     });
   });
+  describe("getNearMisses", function () {
+    it("aggregates missing concepts and unmatched terms from semantic validations", function () {
+      var { validateAnswer } = require("../src/index");
+      var cal = createDifficultyCalibrator(sampleChallenges());
+      var concepts = { subject: ["cat"], action: ["jump"], place: ["couch"] };
+      ["a kitten jumps onto the bed", "the cat hops on a bed", "a kitten leaps onto the sofa", "purple rain"].forEach(function (answer) {
+        var v = validateAnswer(answer, "cat jumping on couch", { concepts: concepts });
+        cal.recordResponse("ch1", { timeMs: 4000, correct: v.passed, validation: v });
+      });
+      cal.recordResponse("ch1", { timeMs: 4000, correct: true });
+
+      var nm = cal.getNearMisses("ch1");
+      assert.equal(nm.analyzed, 4);
+      assert.equal(nm.nearMisses, 2);
+      assert.equal(nm.nearMissRate, 0.5);
+      assert.deepEqual(nm.missingConcepts, [{ concept: "place", count: 2 }]);
+      assert.deepEqual(nm.unmatchedTerms, [{ term: "bed", count: 2 }]);
+      assert.equal(cal.getNearMisses("ch2"), null);
+      assert.equal(cal.getStats("ch1").totalResponses, 5);
+    });
+  });
 });
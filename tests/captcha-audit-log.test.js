@@ -2,9 +2,16 @@
  * Tests for captcha-audit-log.js
  */
 
-const { describe, it, beforeEach } = require('node:test');
+const { describe, it, beforeEach, after } = require('node:test');
 const assert = require('node:assert/strict');
-const { createAuditLog, VALID_EVENTS, SEVERITY } = require('../src/captcha-audit-log');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createAuditLog, createJsonlAuditSink, readAuditSegments, verifyAuditChain,
+  GENESIS_HASH, VALID_EVENTS, SEVERITY,
+} = require('../src/captcha-audit-log');
+const { createSessionEvidenceBundler } = require('../src/session-evidence-bundler');
 
 describe('createAuditLog', () => {
   let log;
@@ -368,3 +375,263 @@ describe('createAuditLog', () => {
     });
   });
 });
+
+describe('hash chain', () => {
+  const KEY = 'audit-test-key-0123456789';
+
+  it('links each entry to its predecessor', () => {
+    const log = createAuditLog();
+    const a = log.record('captcha.generated', { challengeId: 'c1' });
+    const b = log.record('captcha.solved', { challengeId: 'c1' });
+    assert.equal(a.seq, 1);
+    assert.equal(a.prevHash, GENESIS_HASH);
+    assert.equal(b.seq, 2);
+    assert.equal(b.prevHash, a.hash);
+    assert.match(b.hash, /^[0-9a-f]{64}$/);
+    assert.equal(a.sig, null);
+    assert.deepEqual(log.head(), { seq: 2, hash: b.hash });
+    const v = log.verify();
+    assert.equal(v.valid, true);
+    assert.equal(v.checked, 2);
+    assert.equal(v.firstBroken, null);
+  });
+
+  it('signs entries when hmacKey is set', () => {
+    const log = createAuditLog({ hmacKey: KEY });
+    log.record('captcha.solved', {});
+    const chain = JSON.parse(log.exportChain());
+    assert.match(chain.entries[0].sig, /^[0-9a-f]{64}$/);
+    assert.equal(verifyAuditChain(chain, { hmacKey: KEY }).valid, true);
+    const wrong = verifyAuditChain(chain, { hmacKey: 'another-key-entirely' });
+    assert.equal(wrong.firstBroken.reason, 'signature_invalid');
+  });
+
+  it('reports the first edited entry', () => {
+    const log = createAuditLog();
+    for (let i = 0; i < 5; i++) log.record('captcha.failed', { n: i });
+    const chain = JSON.parse(log.exportChain());
+    chain.entries[2].data.n = 99;
+    const v = verifyAuditChain(chain);
+    assert.equal(v.valid, false);
+    assert.deepEqual(v.firstBroken, { index: 2, seq: 3, id: chain.entries[2].id, reason: 'hash_mismatch' });
+    assert.equal(v.checked, 2);
+  });
+
+  it('detects re-hashed edits through the next link', () => {
+    const log = createAuditLog();
+    for (let i = 0; i < 3; i++) log.record('captcha.failed', { n: i });
+    const chain = JSON.parse(log.exportChain());
+    chain.entries[0].hash = 'f'.repeat(64);
+    assert.equal(verifyAuditChain(chain).firstBroken.reason, 'hash_mismatch');
+    chain.entries.splice(0, 1);
+    assert.equal(verifyAuditChain(chain).firstBroken.reason, 'seq_gap');
+  });
+
+  it('detects deleted and reordered entries', () => {
+    const log = createAuditLog();
+    for (let i = 0; i < 4; i++) log.record('captcha.failed', { n: i });
+    const chain = JSON.parse(log.exportChain());
+    const dropped = { ...chain, entries: chain.entries.filter(e => e.seq !== 2) };
+    assert.deepEqual(verifyAuditChain(dropped).firstBroken.reason, 'seq_gap');
+    const swapped = { ...chain, entries: [chain.entries[0], chain.entries[2], chain.entries[1], chain.entries[3]] };
+    assert.equal(verifyAuditChain(swapped).firstBroken.index, 1);
+  });
+
+  it('requires signatures when a key is given', () => {
+    const log = createAuditLog();
+    log.record('captcha.solved', {});
+    const v = verifyAuditChain(JSON.parse(log.exportChain()), { hmacKey: KEY });
+    assert.equal(v.firstBroken.reason, 'signature_missing');
+  });
+
+  it('keeps the chain verifiable after maxEntries and retention trimming', () => {
+    const log = createAuditLog({ maxEntries: 3, hmacKey: KEY });
+    for (let i = 0; i < 6; i++) log.record('captcha.solved', { n: i });
+    assert.equal(log.size(), 3);
+    const v = log.verify();
+    assert.equal(v.valid, true);
+    assert.equal(v.base.seq, 3);
+    assert.equal(verifyAuditChain(JSON.parse(log.exportChain()), { hmacKey: KEY }).valid, true);
+  });
+
+  it('rejects a forged base checkpoint', () => {
+    const log = createAuditLog({ maxEntries: 2, hmacKey: KEY });
+    for (let i = 0; i < 4; i++) log.record('captcha.solved', {});
+    const chain = JSON.parse(log.exportChain());
+    chain.base.hash = 'a'.repeat(64);
+    assert.equal(verifyAuditChain(chain, { hmacKey: KEY }).firstBroken.reason, 'base_signature_invalid');
+  });
+
+  it('vouches for entries purged from the middle of the chain', () => {
+    const log = createAuditLog({ hmacKey: KEY });
+    log.record('captcha.solved', {});
+    log.record('captcha.failed', {});
+    log.record('captcha.solved', {});
+    log.record('captcha.failed', {});
+    assert.equal(log.purge({ event: 'captcha.failed' }), 2);
+    const purgeEntry = log.all().find(e => e.event === 'admin.purge');
+    assert.deepEqual(purgeEntry.data.removed.map(r => r.seq), [2, 4]);
+    assert.equal(log.verify().valid, true);
+  });
+
+  it('appends imported entries as new links', () => {
+    const source = createAuditLog();
+    source.record('captcha.solved', { a: 1 });
+    const log = createAuditLog();
+    log.record('captcha.generated', {});
+    assert.equal(log.importJSON(source.exportJSON()), 1);
+    const imported = log.all()[1];
+    assert.equal(imported.imported, true);
+    assert.equal(imported.seq, 2);
+    assert.equal(log.verify().valid, true);
+  });
+});
+
+describe('checkpoints', () => {
+  it('takes checkpoints every N entries and prunes behind them', () => {
+    const log = createAuditLog({ checkpointEvery: 3, hmacKey: 'k'.repeat(32) });
+    for (let i = 0; i < 7; i++) log.record('captcha.solved', { n: i });
+    assert.deepEqual(log.checkpoints().map(c => c.seq), [3, 6]);
+    assert.equal(log.prune({ throughSeq: 4 }), 3);
+    assert.equal(log.size(), 4);
+    assert.equal(log.all()[0].seq, 4);
+    assert.equal(log.prune(), 3);
+    assert.equal(log.size(), 1);
+    const v = log.verify();
+    assert.equal(v.valid, true);
+    assert.equal(v.base.seq, 6);
+    assert.equal(log.prune(), 0);
+  });
+
+  it('checkpoint() returns null on an empty log and reuses the head checkpoint', () => {
+    const log = createAuditLog();
+    assert.equal(log.checkpoint(), null);
+    log.record('captcha.solved', {});
+    const cp = log.checkpoint();
+    assert.equal(cp.seq, 1);
+    assert.equal(cp.sig, null);
+    assert.equal(log.checkpoint(), cp);
+  });
+
+  it('flags checkpoints that disagree with the chain', () => {
+    const log = createAuditLog();
+    log.record('captcha.solved', {});
+    log.checkpoint();
+    log.record('captcha.solved', {});
+    const chain = JSON.parse(log.exportChain());
+    chain.checkpoints[0].hash = 'b'.repeat(64);
+    assert.equal(verifyAuditChain(chain).firstBroken.reason, 'checkpoint_mismatch');
+  });
+});
+
+describe('evidence anchoring', () => {
+  const bundler = () => createSessionEvidenceBundler({ now: () => new Date('2026-05-21T20:00:00Z') });
+
+  it('anchors bundler reports passed an auditLog', () => {
+    const log = createAuditLog();
+    const report = bundler().bundle({ sessionId: 's1', decision: 'BLOCK', tor: true }, { auditLog: log });
+    const entry = log.all()[0];
+    assert.equal(entry.event, 'evidence.anchored');
+    assert.equal(entry.anchor, report.chainOfCustody.sha256Hash);
+    assert.equal(entry.data.sessionId, report.summary.sessionId);
+    assert.deepEqual(log.verifyAnchor(report).valid, true);
+  });
+
+  it('does not anchor dry runs', () => {
+    const log = createAuditLog();
+    bundler().bundle({ sessionId: 's1', decision: 'PASS' }, { auditLog: log, dryRun: true });
+    assert.equal(log.size(), 0);
+  });
+
+  it('reports tampered, unanchored and broken-chain reports', () => {
+    const log = createAuditLog();
+    const b = bundler();
+    const report = b.bundle({ sessionId: 's2', decision: 'BLOCK', honeypotHits: 3 });
+    assert.equal(log.verifyAnchor(report).reason, 'not_anchored');
+    log.anchor(report);
+    const edited = JSON.parse(JSON.stringify(report));
+    edited.verdict = 'CLEAN';
+    assert.equal(log.verifyAnchor(edited).reason, 'report_tampered');
+    assert.equal(log.verifyAnchor(report).valid, true);
+  });
+
+  it('anchor() accepts a bare hash and rejects junk', () => {
+    const log = createAuditLog();
+    const e = log.anchor('c'.repeat(64));
+    assert.equal(e.data.sha256Hash, 'c'.repeat(64));
+    assert.throws(() => log.anchor({}), /sha256Hash/);
+  });
+});
+
+describe('createJsonlAuditSink', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gc-audit-'));
+  let n = 0;
+  const freshDir = () => path.join(tmp, `run-${++n}`);
+
+  after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  it('requires a directory', () => {
+    assert.throws(() => createJsonlAuditSink({}), TypeError);
+    assert.throws(() => createAuditLog({ sink: {} }), TypeError);
+  });
+
+  it('writes entries as JSON lines that verify offline', () => {
+    const dir = freshDir();
+    const log = createAuditLog({ hmacKey: 'sink-key-0123456789', sink: createJsonlAuditSink({ dir }) });
+    for (let i = 0; i < 5; i++) log.record('captcha.solved', { n: i });
+    const read = readAuditSegments(dir);
+    assert.equal(read.entries.length, 5);
+    assert.equal(read.base, null);
+    assert.equal(verifyAuditChain(read, { hmacKey: 'sink-key-0123456789' }).valid, true);
+  });
+
+  it('rotates segments and drops the oldest beyond maxSegments', () => {
+    const dir = freshDir();
+    const sink = createJsonlAuditSink({ dir, maxSegmentEntries: 3, maxSegments: 2 });
+    const log = createAuditLog({ hmacKey: 'sink-key-0123456789', sink });
+    for (let i = 0; i < 10; i++) log.record('captcha.failed', { n: i });
+    const files = sink.segments();
+    assert.equal(files.length, 2);
+    assert.match(path.basename(files[0]), /^audit-000003\.jsonl$/);
+    const read = readAuditSegments(dir);
+    assert.equal(read.base.seq, 6);
+    assert.deepEqual(read.entries.map(e => e.seq), [7, 8, 9, 10]);
+    assert.equal(verifyAuditChain(read, { hmacKey: 'sink-key-0123456789' }).valid, true);
+  });
+
+  it('rotates by size', () => {
+    const dir = freshDir();
+    const sink = createJsonlAuditSink({ dir, maxSegmentBytes: 600 });
+    const log = createAuditLog({ sink });
+    for (let i = 0; i < 6; i++) log.record('captcha.solved', { pad: 'x'.repeat(100) });
+    assert.ok(sink.segments().length > 1);
+    assert.equal(verifyAuditChain(readAuditSegments(dir)).valid, true);
+  });
+
+  it('resumes the chain from existing segments', () => {
+    const dir = freshDir();
+    const first = createAuditLog({ sink: createJsonlAuditSink({ dir }) });
+    first.record('captcha.solved', {});
+    const last = first.record('captcha.solved', {});
+    const second = createAuditLog({ sink: createJsonlAuditSink({ dir }) });
+    const next = second.record('captcha.failed', {});
+    assert.equal(next.seq, 3);
+    assert.equal(next.prevHash, last.hash);
+    assert.equal(second.verify().valid, true);
+    const read = readAuditSegments(dir);
+    assert.equal(read.entries.length, 3);
+    assert.equal(verifyAuditChain(read).valid, true);
+  });
+
+  it('exposes tampering in a segment file', () => {
+    const dir = freshDir();
+    const sink = createJsonlAuditSink({ dir });
+    const log = createAuditLog({ sink });
+    for (let i = 0; i < 3; i++) log.record('captcha.solved', { n: i });
+    const file = sink.segments()[0];
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"n":1', '"n":7'));
+    const v = verifyAuditChain(readAuditSegments(dir));
+    assert.equal(v.firstBroken.seq, 2);
+    assert.equal(v.firstBroken.reason, 'hash_mismatch');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for captcha-middleware.js
+ *
+ * Uses plain req/res stubs so the middleware is exercised the way Connect
+ * calls it, without starting a server.
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var gifCaptcha = require("../src/index");
+var createCaptchaMiddleware = gifCaptcha.createCaptchaMiddleware;
+var extractCaptchaToken = gifCaptcha.extractCaptchaToken;
+
+var SECRET = "middleware-secret-0123456789";
+
+function makeReq(opts) {
+  opts = opts || {};
+  return {
+    headers: opts.headers || {},
+    body: opts.body,
+    cookies: opts.cookies,
+    socket: { remoteAddress: opts.ip || "198.51.100.7" }
+  };
+}
+
+function makeRes() {
+  var res = { statusCode: 200, headers: {}, body: null };
+  res.setHeader = function (k, v) { res.headers[k.toLowerCase()] = v; };
+  res.end = function (b) { res.body = b ? JSON.parse(b) : null; };
+  return res;
+}
+
+function run(mw, req) {
+  var res = makeRes();
+  var nextCalled = false;
+  mw(req, res, function () { nextCalled = true; });
+  return { res: res, next: nextCalled };
+}
+
+function setup(extra) {
+  var verifier = gifCaptcha.createTokenVerifier({ secret: SECRET });
+  var mw = createCaptchaMiddleware(Object.assign({ verifier: verifier }, extra));
+  function token(ip) {
+    return verifier.issueToken({ sessionId: "sess-1", score: 0.9, difficulty: 30, ip: ip || "198.51.100.7" }).token;
+  }
+  return { verifier: verifier, mw: mw, token: token };
+}
+
+describe("createCaptchaMiddleware", function () {
+  it("requires a token verifier", function () {
+    assert.throws(function () { createCaptchaMiddleware(); }, TypeError);
+    assert.throws(function () { createCaptchaMiddleware({ verifier: {} }); }, TypeError);
+  });
+
+  it("calls next() and attaches the result for a valid header token", function () {
+    var s = setup();
+    var req = makeReq({ headers: { "x-captcha-token": s.token() } });
+    var out = run(s.mw, req);
+    assert.equal(out.next, true);
+    assert.equal(req.captcha.valid, true);
+    assert.equal(req.captcha.source, "header");
+    assert.equal(req.captcha.payload.sessionId, "sess-1");
+  });
+
+  it("reads the token from a cookie or a body field", function () {
+    var s = setup();
+    var fromCookie = makeReq({ headers: { cookie: "a=1; captcha_token=" + encodeURIComponent(s.token()) } });
+    assert.equal(run(s.mw, fromCookie).next, true);
+    assert.equal(fromCookie.captcha.source, "cookie");
+    var fromField = makeReq({ body: { captchaToken: s.token() } });
+    assert.equal(run(s.mw, fromField).next, true);
+    assert.equal(fromField.captcha.source, "field");
+  });
+
+  it("responds 403 with the verifier reason", function () {
+    var s = setup();
+    var missing = run(s.mw, makeReq());
+    assert.equal(missing.next, false);
+    assert.equal(missing.res.statusCode, 403);
+    assert.deepEqual(missing.res.body, { error: "captcha_failed", reason: "missing_token" });
+
+    var forged = run(s.mw, makeReq({ headers: { "x-captcha-token": "abc.def" } }));
+    assert.equal(forged.res.statusCode, 403);
+    assert.equal(typeof forged.res.body.reason, "string");
+    assert.notEqual(forged.res.body.reason, "missing_token");
+  });
+
+  it("rejects replays and tokens from another IP", function () {
+    var s = setup();
+    var t = s.token();
+    assert.equal(run(s.mw, makeReq({ headers: { "x-captcha-token": t } })).next, true);
+    var replay = run(s.mw, makeReq({ headers: { "x-captcha-token": t } }));
+    assert.equal(replay.res.body.reason, "token_already_used");
+    var moved = run(s.mw, makeReq({ ip: "203.0.113.9", headers: { "x-captcha-token": s.token() } }));
+    assert.equal(moved.res.body.reason, "ip_mismatch");
+  });
+
+  it("takes the client IP from X-Forwarded-For only with trustProxy", function () {
+    var s = setup({ trustProxy: true });
+    var req = makeReq({ ip: "10.0.0.1", headers: { "x-forwarded-for": "203.0.113.9, 10.0.0.1", "x-captcha-token": s.token("203.0.113.9") } });
+    assert.equal(run(s.mw, req).next, true);
+    var plain = setup();
+    var req2 = makeReq({ ip: "10.0.0.1", headers: { "x-forwarded-for": "203.0.113.9", "x-captcha-token": plain.token("203.0.113.9") } });
+    assert.equal(run(plain.mw, req2).res.body.reason, "ip_mismatch");
+  });
+
+  it("honours custom source names and onReject", function () {
+    var rejected = null;
+    var s = setup({
+      header: "x-human", cookie: false, field: false,
+      onReject: function (req, res, result) { rejected = result; res.statusCode = 401; res.end(); }
+    });
+    assert.equal(run(s.mw, makeReq({ headers: { "x-human": s.token() } })).next, true);
+    var out = run(s.mw, makeReq({ body: { captchaToken: s.token() } }));
+    assert.equal(out.res.statusCode, 401);
+    assert.equal(rejected.reason, "missing_token");
+  });
+});
+
+describe("createCaptchaMiddleware trust mode", function () {
+  function trustSetup(score) {
+    var engine = gifCaptcha.createTrustScoreEngine({ cacheTtlMs: 0 });
+    return setup({ trustEngine: engine, getSignals: function () { return { reputation: score }; } });
+  }
+
+  it("skips the token for clients above the challenge threshold", function () {
+    var s = trustSetup(0.9);
+    var req = makeReq();
+    assert.equal(run(s.mw, req).next, true);
+    assert.equal(req.captcha.skipped, true);
+    assert.equal(req.captcha.trust.action, "pass");
+  });
+
+  it("demands a token at or below the challenge threshold", function () {
+    var s = trustSetup(0.4);
+    var out = run(s.mw, makeReq());
+    assert.equal(out.res.statusCode, 403);
+    assert.deepEqual(out.res.body, { error: "captcha_failed", reason: "missing_token", action: "challenge" });
+    var ok = makeReq({ headers: { "x-captcha-token": s.token() } });
+    assert.equal(run(s.mw, ok).next, true);
+    assert.equal(ok.captcha.trust.action, "challenge");
+  });
+
+  it("refuses blocked clients even with a token", function () {
+    var s = trustSetup(0.05);
+    var out = run(s.mw, makeReq({ headers: { "x-captcha-token": s.token() } }));
+    assert.equal(out.res.statusCode, 403);
+    assert.equal(out.res.body.reason, "trust_blocked");
+  });
+});
+
+describe("extractCaptchaToken", function () {
+  it("prefers header, then cookie, then field", function () {
+    var req = makeReq({ headers: { "x-captcha-token": "h", cookie: "captcha_token=c" }, body: { captchaToken: "f" } });
+    assert.deepEqual(extractCaptchaToken(req), { token: "h", source: "header" });
+    assert.deepEqual(extractCaptchaToken(req, { header: false }), { token: "c", source: "cookie" });
+    assert.deepEqual(extractCaptchaToken(req, { header: false, cookie: false }), { token: "f", source: "field" });
+    assert.deepEqual(extractCaptchaToken(makeReq({ cookies: { captcha_token: "p" } })), { token: "p", source: "cookie" });
+    assert.deepEqual(extractCaptchaToken(makeReq()), { token: null, source: null });
+  });
+});
+
+describe("createCaptchaMiddleware with a shared store", function () {
+  it("verifies asynchronously and rejects replays across verifiers", async function () {
+    var store = gifCaptcha.createMemoryStore();
+    var a = gifCaptcha.createTokenVerifier({ secret: SECRET, store: store });
+    var b = gifCaptcha.createTokenVerifier({ secret: SECRET, store: store });
+    var t = a.issueToken({ sessionId: "sess-1", score: 0.9, difficulty: 30, ip: "198.51.100.7" }).token;
+
+    async function runAsync(verifier) {
+      var res = makeRes();
+      var req = makeReq({ headers: { "x-captcha-token": t } });
+      var nextArgs = null;
+      await createCaptchaMiddleware({ verifier: verifier })(req, res, function () { nextArgs = arguments; });
+      return { req: req, res: res, next: nextArgs };
+    }
+
+    var first = await runAsync(a);
+    assert.equal(first.next.length, 0);
+    assert.equal(first.req.captcha.valid, true);
+    var second = await runAsync(b);
+    assert.equal(second.next, null);
+    assert.equal(second.res.body.reason, "token_already_used");
+  });
+
+  it("passes errors thrown while handling the result to next()", async function () {
+    var verifier = gifCaptcha.createTokenVerifier({ secret: SECRET, store: gifCaptcha.createMemoryStore() });
+    var boom = new Error("onReject exploded");
+    var mw = createCaptchaMiddleware({ verifier: verifier, onReject: function () { throw boom; } });
+    var nextArgs = null;
+    await mw(makeReq(), makeRes(), function () { nextArgs = arguments; });
+    assert.equal(nextArgs[0], boom);
+
+    var t = verifier.issueToken({ sessionId: "sess-1", score: 0.9, difficulty: 30, ip: "198.51.100.7" }).token;
+    var failed = new Error("handler threw");
+    var calls = [];
+    await createCaptchaMiddleware({ verifier: verifier })(makeReq({ headers: { "x-captcha-token": t } }), makeRes(), function (err) {
+      calls.push(err);
+      if (!err) throw failed;
+    });
+    assert.deepEqual(calls, [undefined, failed]);
+  });
+});
@@ -516,3 +516,381 @@ describe("exportState / importState", function () {
     assert.equal(count, 1); // only safe-key imported
   });
 });
+
+// ── Soft limit (proof-of-work overflow) ─────────────────────────
+
+describe("softLimit", function () {
+  var { createProofOfWork } = require("../src/index");
+
+  function softLimiter(extra) {
+    var pow = createProofOfWork({ difficulty: 4, maxPendingPerIp: 50 });
+    var opts = Object.assign({
+      algorithm: "sliding-window",
+      windowMs: 60000,
+      maxRequests: 2,
+      softLimit: { proofOfWork: pow },
+    }, extra);
+    return { pow: pow, limiter: createCaptchaRateLimiter(opts) };
+  }
+
+  it("attaches a key-bound challenge instead of a hard reject", function () {
+    var env = softLimiter();
+    var t = 1000;
+    env.limiter.check("1.2.3.4", t);
+    env.limiter.check("1.2.3.4", t);
+    var r = env.limiter.check("1.2.3.4", t);
+    assert.equal(r.allowed, false);
+    assert.equal(r.softLimited, true);
+    assert.equal(r.overflow, 1);
+    assert.equal(r.challenge.difficulty, 4);
+    assert.equal(env.pow.pendingCount("1.2.3.4"), 1);
+  });
+
+  it("scales difficulty with the overflow relative to the limit", function () {
+    var pow = createProofOfWork({ difficulty: 4, maxPendingPerIp: 50 });
+    var env = softLimiter({ softLimit: { proofOfWork: pow, difficultyPerLimit: 2, maxDifficulty: 7 } });
+    var t = 1000;
+    env.limiter.check("k", t);
+    env.limiter.check("k", t);
+    var diffs = [];
+    for (var i = 0; i < 8; i++) diffs.push(env.limiter.check("k", t).challenge.difficulty);
+    // limit 2, 2 bits per limit's worth: +1 bit every overflow, capped at 7
+    assert.deepEqual(diffs, [4, 5, 6, 7, 7, 7, 7, 7]);
+  });
+
+  it("redeem admits the request and counts it as paid", function () {
+    var env = softLimiter();
+    var t = 1000;
+    env.limiter.check("k", t);
+    env.limiter.check("k", t);
+    var ch = env.limiter.check("k", t).challenge;
+    var sol = env.pow.solve(ch);
+    var r = env.limiter.redeem("k", { prefix: ch.prefix, nonce: sol.nonce }, t);
+    assert.equal(r.allowed, true);
+    assert.equal(r.paid, true);
+    // Paying does not charge the bucket: still at the limit, not beyond it
+    assert.equal(env.limiter.peek("k", t).current, 2);
+    var stats = env.limiter.getStats().softLimit;
+    assert.equal(stats.challenged, 1);
+    assert.equal(stats.paid, 1);
+    assert.equal(stats.pending, 0);
+    assert.equal(stats.paidRate, 1);
+  });
+
+  it("refuses solutions redeemed under another key", function () {
+    var env = softLimiter();
+    env.limiter.check("a", 1);
+    env.limiter.check("a", 1);
+    var ch = env.limiter.check("a", 1).challenge;
+    var sol = env.pow.solve(ch);
+    var r = env.limiter.redeem("b", { prefix: ch.prefix, nonce: sol.nonce }, 1);
+    assert.equal(r.allowed, false);
+    assert.equal(r.reason, "ip_mismatch");
+    assert.equal(env.limiter.redeem("a", { prefix: ch.prefix, nonce: sol.nonce }, 1).allowed, true);
+  });
+
+  it("counts wrong solutions as failed and expired challenges as abandoned", async function () {
+    var pow = createProofOfWork({ difficulty: 20, challengeTtlMs: 20 });
+    var limiter = createCaptchaRateLimiter({ maxRequests: 1, softLimit: { proofOfWork: pow } });
+    limiter.check("k", 1);
+    var c1 = limiter.check("k", 1).challenge;
+    limiter.check("k", 1);
+    var bad = limiter.redeem("k", { prefix: c1.prefix, nonce: "zzzz-not-it" }, 1);
+    assert.equal(bad.allowed, false);
+    assert.equal(bad.reason, "insufficient_work");
+    await new Promise(function (resolve) { setTimeout(resolve, 30); });
+    var stats = limiter.getStats().softLimit;
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.abandoned, 1);
+    assert.equal(stats.pending, 0);
+    assert.equal(stats.paidRate, 0);
+  });
+
+  it("does not strike soft-limited keys toward a ban", function () {
+    var env = softLimiter({ enableBans: true, banThreshold: 2 });
+    for (var i = 0; i < 6; i++) env.limiter.check("k", 1000);
+    assert.equal(env.limiter.isBanned("k", 1000), false);
+  });
+
+  it("falls back to a hard reject when the PoW instance refuses to issue", function () {
+    var pow = createProofOfWork({ difficulty: 4, maxPendingPerIp: 1 });
+    var limiter = createCaptchaRateLimiter({ maxRequests: 1, softLimit: { proofOfWork: pow } });
+    limiter.check("k", 1);
+    assert.ok(limiter.check("k", 1).challenge);
+    var r = limiter.check("k", 1);
+    assert.equal(r.allowed, false);
+    assert.equal(r.challenge, undefined);
+    assert.equal(limiter.getStats().softLimit.hardRejected, 1);
+  });
+
+  it("works through checkAsync / redeemAsync", async function () {
+    var env = softLimiter({ algorithm: "token-bucket", capacity: 1, refillRate: 0.001 });
+    await env.limiter.checkAsync("k", 5);
+    var r = await env.limiter.checkAsync("k", 5);
+    assert.ok(r.challenge);
+    var sol = env.pow.solve(r.challenge);
+    var paid = await env.limiter.redeemAsync("k", { prefix: r.challenge.prefix, nonce: sol.nonce }, 5);
+    assert.equal(paid.allowed, true);
+  });
+
+  it("validates configuration and redeem arguments", function () {
+    assert.throws(function () { createCaptchaRateLimiter({ softLimit: {} }); }, /proofOfWork/);
+    assert.throws(function () { createCaptchaRateLimiter().redeem("k", { prefix: "p", nonce: "n" }); }, /not enabled/);
+    var env = softLimiter();
+    assert.throws(function () { env.limiter.redeem("k", {}); }, /prefix, nonce/);
+    assert.equal(createCaptchaRateLimiter().getStats().softLimit, null);
+  });
+});
+
+// ── Tiers and CIDR lists ────────────────────────────────────────
+
+describe("tiers", function () {
+  function tiered(extra) {
+    return createCaptchaRateLimiter(Object.assign({
+      algorithm: "sliding-window",
+      windowMs: 60000,
+      tiers: [
+        { scope: "ip", maxRequests: 3 },
+        { name: "net", scope: "prefix", maxRequests: 5 },
+        { scope: "global", maxRequests: 100 },
+      ],
+    }, extra));
+  }
+
+  it("reports the tier that tripped", function () {
+    var limiter = tiered();
+    var t = 1000;
+    for (var i = 0; i < 3; i++) assert.equal(limiter.check("198.51.100.7", t).tier, null);
+    var r = limiter.check("198.51.100.7", t);
+    assert.equal(r.allowed, false);
+    assert.equal(r.tier, "ip");
+    assert.equal(r.tierKey, "198.51.100.7");
+    assert.equal(r.key, "198.51.100.7");
+  });
+
+  it("limits an address range rotating through a /24", function () {
+    var limiter = tiered();
+    var t = 1000;
+    for (var i = 1; i <= 5; i++) assert.equal(limiter.check("198.51.100." + i, t).allowed, true);
+    var r = limiter.check("198.51.100.200", t);
+    assert.equal(r.allowed, false);
+    assert.equal(r.tier, "net");
+    assert.equal(r.tierKey, "198.51.100.0/24");
+    assert.equal(limiter.check("198.51.101.1", t).allowed, true);
+  });
+
+  it("groups IPv6 addresses by /64 and honours a custom prefix", function () {
+    var limiter = createCaptchaRateLimiter({
+      tiers: [{ scope: "prefix", ipv6Prefix: 48, maxRequests: 2 }],
+    });
+    limiter.check("2001:db8:1:1::1", 1);
+    limiter.check("2001:db8:1:2::1", 1);
+    var r = limiter.check("2001:db8:1:ffff::9", 1);
+    assert.equal(r.tier, "prefix");
+    assert.equal(r.tierKey, "2001:db8:1::/48");
+  });
+
+  it("does not charge the other tiers when one refuses", function () {
+    var limiter = tiered();
+    var t = 1000;
+    for (var i = 0; i < 4; i++) limiter.check("203.0.113.9", t);
+    var p = limiter.peek("203.0.113.10", t);
+    assert.equal(p.tier, null);
+    var net = p.tiers.filter(function (x) { return x.name === "net"; })[0];
+    assert.equal(net.remaining, 2); // 3 charged, the refused 4th was not
+    assert.equal(p.remaining, 2);
+  });
+
+  it("treats IPv4-mapped IPv6 as the same address", function () {
+    var limiter = tiered();
+    for (var i = 0; i < 3; i++) limiter.check("::ffff:192.0.2.1", 1);
+    assert.equal(limiter.check("192.0.2.1", 1).tier, "ip");
+  });
+
+  it("applies only key-compatible tiers to non-address keys", function () {
+    var limiter = tiered();
+    var r = limiter.check("session-abc", 1);
+    assert.deepEqual(r.tiers.map(function (x) { return x.name; }), ["ip", "global"]);
+  });
+
+  it("reports global overflows in per-tier stats", function () {
+    var limiter = createCaptchaRateLimiter({
+      algorithm: "token-bucket",
+      refillRate: 0.001,
+      tiers: [{ scope: "ip", capacity: 10 }, { scope: "global", capacity: 2 }],
+    });
+    limiter.check("192.0.2.1", 1);
+    limiter.check("192.0.2.2", 1);
+    var r = limiter.check("192.0.2.3", 1);
+    assert.equal(r.tier, "global");
+    assert.deepEqual(limiter.getStats().tiers.map(function (x) { return x.totalRejected; }), [0, 1]);
+  });
+
+  it("consume() and reset() work across tiers", function () {
+    var limiter = tiered();
+    assert.equal(limiter.consume("192.0.2.1", 3, 1).consumed, 3);
+    var r = limiter.consume("192.0.2.1", 1, 1);
+    assert.equal(r.allowed, false);
+    assert.equal(r.tier, "ip");
+    assert.equal(limiter.reset("192.0.2.1"), true);
+    assert.equal(limiter.check("192.0.2.1", 1).allowed, true);
+    // the shared /24 bucket still remembers the first three
+    assert.equal(limiter.peek("192.0.2.50", 1).tiers[1].remaining, 1);
+  });
+
+  it("round-trips tier state through exportState/importState", function () {
+    var a = tiered();
+    a.check("192.0.2.1", 1);
+    var b = tiered();
+    b.importState(a.exportState());
+    assert.equal(b.peek("192.0.2.1", 1).remaining, 2);
+  });
+
+  it("checkAsync charges tiers through a shared store", async function () {
+    var { createMemoryStore } = require("../src/state-store");
+    var store = createMemoryStore();
+    var a = tiered({ store: store });
+    var b = tiered({ store: store });
+    for (var i = 1; i <= 3; i++) await a.checkAsync("198.51.100." + i, 1);
+    await b.checkAsync("198.51.100.4", 1);
+    await b.checkAsync("198.51.100.5", 1);
+    var r = await a.checkAsync("198.51.100.6", 1);
+    assert.equal(r.tier, "net");
+  });
+
+  it("validates tier definitions", function () {
+    assert.throws(function () { createCaptchaRateLimiter({ tiers: [] }); }, /non-empty/);
+    assert.throws(function () { createCaptchaRateLimiter({ tiers: [{ scope: "asn" }] }); }, /scope/);
+    assert.throws(function () {
+      createCaptchaRateLimiter({ tiers: [{ scope: "ip" }, { scope: "ip" }] });
+    }, /Duplicate/);
+  });
+});
+
+describe("CIDR whitelist and bans", function () {
+  it("whitelists every address in a range", function () {
+    var limiter = createCaptchaRateLimiter({ maxRequests: 1 });
+    limiter.whitelistAdd("10.0.0.0/8");
+    limiter.check("10.9.8.7", 1);
+    assert.equal(limiter.check("10.9.8.7", 1).whitelisted, true);
+    assert.equal(limiter.isWhitelisted("10.1.1.1"), true);
+    assert.equal(limiter.isWhitelisted("11.1.1.1"), false);
+    assert.equal(limiter.whitelistRemove("10.0.0.0/8"), true);
+    assert.equal(limiter.isWhitelisted("10.1.1.1"), false);
+  });
+
+  it("bans a CIDR range, canonicalising its notation", function () {
+    var limiter = createCaptchaRateLimiter({ enableBans: true });
+    limiter.ban("2001:DB8:0:0::/32", 60000, 1000);
+    assert.equal(limiter.isBanned("2001:db8:ffff::1", 2000), true);
+    var r = limiter.check("2001:db8::42", 2000);
+    assert.equal(r.allowed, false);
+    assert.equal(r.banned, true);
+    assert.equal(limiter.check("2001:db9::1", 2000).allowed, true);
+    assert.equal(limiter.unban("2001:db8::/32"), true);
+    assert.equal(limiter.isBanned("2001:db8::1", 2000), false);
+  });
+
+  it("expires range bans and survives export/import", function () {
+    var limiter = createCaptchaRateLimiter({ enableBans: true });
+    limiter.ban("192.0.2.0/24", 1000, 1000);
+    var copy = createCaptchaRateLimiter({ enableBans: true });
+    copy.importState(limiter.exportState());
+    assert.equal(copy.isBanned("192.0.2.9", 1500), true);
+    assert.equal(copy.isBanned("192.0.2.9", 2500), false);
+  });
+});
+
+// ── GCRA ────────────────────────────────────────────────────────
+
+describe("gcra", function () {
+  function gcra(extra) {
+    return createCaptchaRateLimiter(Object.assign({
+      algorithm: "gcra",
+      windowMs: 10000,
+      maxRequests: 10, // one request per second
+      burst: 3,
+    }, extra));
+  }
+
+  it("allows a burst then spaces requests by the emission interval", function () {
+    var limiter = gcra();
+    var t = 100000;
+    assert.deepEqual([1, 2, 3].map(function () { return limiter.check("k", t).remaining; }), [2, 1, 0]);
+    var r = limiter.check("k", t);
+    assert.equal(r.allowed, false);
+    assert.equal(r.retryAfterMs, 1000);
+    assert.equal(r.resetAfterMs, 3000);
+    assert.equal(limiter.check("k", t + 999).allowed, false);
+    assert.equal(limiter.check("k", t + 1000).allowed, true);
+  });
+
+  it("returns exact rate-limit headers", function () {
+    var limiter = gcra();
+    var t = 50000;
+    var ok = limiter.check("k", t);
+    assert.deepEqual(ok.headers, { "RateLimit-Limit": "3", "RateLimit-Remaining": "2", "RateLimit-Reset": "1" });
+    limiter.check("k", t);
+    limiter.check("k", t);
+    var denied = limiter.check("k", t + 250);
+    assert.equal(denied.retryAfterMs, 750);
+    assert.deepEqual(denied.headers, {
+      "RateLimit-Limit": "3", "RateLimit-Remaining": "0", "RateLimit-Reset": "3", "Retry-After": "1",
+    });
+  });
+
+  it("weights consume() by cost", function () {
+    var limiter = gcra({ burst: 5 });
+    var t = 1000;
+    var r = limiter.consume("k", 4, t);
+    assert.equal(r.allowed, true);
+    assert.equal(r.consumed, 4);
+    assert.equal(r.remaining, 1);
+    var tooMuch = limiter.consume("k", 3, t);
+    assert.equal(tooMuch.allowed, false);
+    assert.equal(tooMuch.consumed, 0);
+    assert.equal(tooMuch.retryAfterMs, 2000);
+    assert.equal(limiter.consume("k", 3, t + 2000).allowed, true);
+    assert.equal(limiter.consume("other", 6, t).retryAfterMs, Infinity);
+  });
+
+  it("keeps one timestamp per key and drops spent keys on cleanup", function () {
+    var limiter = gcra({ cleanupInterval: 100 });
+    for (var i = 0; i < 50; i++) limiter.check("k", 1000);
+    var state = limiter.exportState();
+    assert.deepEqual(Object.keys(state.store.k).sort(), ["lastSeen", "tat"]);
+    for (var j = 0; j < 49; j++) limiter.check("key-" + j, 1000);
+    limiter.check("late", 1000000); // 100th check: the cleanup sweep runs first
+    assert.equal(limiter.getStats().trackedKeys, 1);
+  });
+
+  it("peek reports availability without consuming", function () {
+    var limiter = gcra();
+    assert.equal(limiter.peek("k", 1000).remaining, 3);
+    limiter.check("k", 1000);
+    var p = limiter.peek("k", 1000);
+    assert.equal(p.remaining, 2);
+    assert.equal(limiter.peek("k", 1000).remaining, 2);
+    assert.equal(limiter.getStats().config.emissionIntervalMs, 1000);
+  });
+
+  it("shares a key's TAT through a state store", async function () {
+    var { createMemoryStore } = require("../src/state-store");
+    var store = createMemoryStore();
+    var a = gcra({ store: store });
+    var b = gcra({ store: store });
+    await a.checkAsync("k", 1000);
+    await b.checkAsync("k", 1000);
+    await a.checkAsync("k", 1000);
+    var r = await b.checkAsync("k", 1000);
+    assert.equal(r.allowed, false);
+    assert.equal(r.retryAfterMs, 1000);
+  });
+
+  it("works as a tier algorithm", function () {
+    var limiter = gcra({ tiers: [{ scope: "ip", burst: 2 }, { scope: "global", burst: 10 }] });
+    limiter.check("192.0.2.1", 1000);
+    limiter.check("192.0.2.1", 1000);
+    assert.equal(limiter.check("192.0.2.1", 1000).tier, "ip");
+  });
+});
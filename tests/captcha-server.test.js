@@ -0,0 +1,449 @@
+/**
+ * Tests for captcha-server.js and the `gif-captcha serve` command.
+ *
+ * Each suite starts a server on an ephemeral loopback port and closes it
+ * afterwards.  Built-in templates are swapped for fixed-answer ones so the
+ * full issue → GIF → answer → verify flow can be exercised.
+ */
+
+"use strict";
+
+var { describe, it, before, after } = require("node:test");
+var assert = require("node:assert/strict");
+var path = require("path");
+var childProcess = require("child_process");
+var captchaServer = require("../src/captcha-server.js");
+var createCaptchaServer = captchaServer.createCaptchaServer;
+var normalizeServerConfig = captchaServer.normalizeServerConfig;
+
+var SECRET = "test-secret-0123456789";
+var CLI = path.join(__dirname, "..", "bin", "gif-captcha.js");
+
+function useFixedTemplates(server) {
+  var engine = server.components.engine;
+  engine.listTemplates().forEach(function (name) { engine.unregisterTemplate(name); });
+  [1, 2, 3].forEach(function (d) {
+    engine.registerTemplate({
+      name: "fixed_" + d,
+      category: "cognitive",
+      difficulty: d,
+      generate: function () { return { question: "Type 42", answer: "42", answerType: "number" }; },
+      validate: function (params, answer) { return String(answer).trim() === params.answer; },
+      render: function (params, ctx) {
+        var R = ctx.createRaster(ctx.width, ctx.height, [0, 0, 0]);
+        return { frames: [{ pixels: R.pixels, delayMs: 100 }] };
+      }
+    });
+  });
+}
+
+function start(config, setup) {
+  var server = createCaptchaServer(Object.assign({
+    secret: SECRET,
+    pool: { targetSize: 2 },
+    render: { width: 32, height: 24 }
+  }, config));
+  useFixedTemplates(server);
+  if (setup) setup(server);
+  return new Promise(function (resolve) {
+    server.listen(0, "127.0.0.1", function (addr) {
+      server.url = "http://127.0.0.1:" + addr.port;
+      resolve(server);
+    });
+  });
+}
+
+function post(server, route, body, headers) {
+  return fetch(server.url + route, {
+    method: "POST",
+    headers: Object.assign({ "Content-Type": "application/json" }, headers),
+    body: typeof body === "string" ? body : JSON.stringify(body || {})
+  });
+}
+
+// ── Config ──────────────────────────────────────────────────────
+
+describe("normalizeServerConfig", function () {
+  it("requires a secret", function () {
+    assert.throws(function () { normalizeServerConfig({}); }, /secret/);
+  });
+
+  it("accepts config-export keys", function () {
+    var cfg = normalizeServerConfig({
+      secret: SECRET,
+      challenge: { poolSize: 30 },
+      session: { ttlMs: 60000 },
+      server: { basePath: "api/" }
+    });
+    assert.equal(cfg.pool.targetSize, 10);
+    assert.equal(cfg.session.sessionTimeoutMs, 60000);
+    assert.equal(cfg.server.basePath, "/api");
+    assert.equal(cfg.token.secret, SECRET);
+  });
+
+  it("accepts a token keyring instead of a secret", function () {
+    var cfg = normalizeServerConfig({ token: { keys: [{ kid: "k1", secret: SECRET }] } });
+    assert.equal(cfg.token.keys[0].kid, "k1");
+  });
+
+  it("builds a shared state store from config", function () {
+    var cfg = normalizeServerConfig({ secret: SECRET, stateStore: { type: "memory" } });
+    assert.equal(typeof cfg.store.compareAndSet, "function");
+    assert.equal(normalizeServerConfig({ secret: SECRET }).store, null);
+    assert.throws(function () { normalizeServerConfig({ secret: SECRET, stateStore: { type: "redis" } }); }, /stateStore\.type/);
+  });
+});
+
+// ── Challenge flow ──────────────────────────────────────────────
+
+describe("createCaptchaServer flow", function () {
+  var server;
+  before(async function () { server = await start({ session: { challengesPerSession: 2 }, rateLimit: { maxRequests: 1000 } }); });
+  after(function () { return new Promise(function (r) { server.close(r); }); });
+
+  it("issues a challenge with a GIF url and serves the bytes", async function () {
+    var res = await post(server, "/captcha/challenge");
+    assert.equal(res.status, 200);
+    var body = await res.json();
+    assert.ok(body.sessionId);
+    assert.equal(body.question, "Type 42");
+    assert.equal(body.gifUrl, "/captcha/challenge/" + body.challengeId + ".gif");
+    assert.equal(body.totalChallenges, 2);
+    assert.equal(body.answer, undefined);
+
+    var gif = await fetch(server.url + body.gifUrl);
+    assert.equal(gif.status, 200);
+    assert.equal(gif.headers.get("content-type"), "image/gif");
+    var bytes = Buffer.from(await gif.arrayBuffer());
+    assert.equal(bytes.slice(0, 6).toString("latin1"), "GIF89a");
+  });
+
+  it("completes a session, issues a token and verifies it once", async function () {
+    var c1 = await (await post(server, "/captcha/challenge")).json();
+    var a1 = await (await post(server, "/captcha/answer", { sessionId: c1.sessionId, challengeId: c1.challengeId, answer: "42" })).json();
+    assert.deepEqual(a1, { correct: true, done: false, passed: null });
+
+    var c2 = await (await post(server, "/captcha/challenge", { sessionId: c1.sessionId })).json();
+    assert.equal(c2.sessionId, c1.sessionId);
+    assert.equal(c2.challengeIndex, 1);
+    var a2 = await (await post(server, "/captcha/answer", { sessionId: c1.sessionId, challengeId: c2.challengeId, answer: "42" })).json();
+    assert.equal(a2.done, true);
+    assert.equal(a2.passed, true);
+    assert.equal(typeof a2.token, "string");
+
+    var v1 = await (await post(server, "/captcha/verify", { token: a2.token })).json();
+    assert.equal(v1.valid, true);
+    assert.equal(v1.payload.sessionId, c1.sessionId);
+    var v2 = await (await post(server, "/captcha/verify", { token: a2.token })).json();
+    assert.equal(v2.valid, false);
+    assert.equal(v2.reason, "token_already_used");
+  });
+
+  it("fails the session on wrong answers without issuing a token", async function () {
+    var c1 = await (await post(server, "/captcha/challenge")).json();
+    await post(server, "/captcha/answer", { sessionId: c1.sessionId, challengeId: c1.challengeId, answer: "nope" });
+    var c2 = await (await post(server, "/captcha/challenge", { sessionId: c1.sessionId })).json();
+    var a2 = await (await post(server, "/captcha/answer", { sessionId: c1.sessionId, challengeId: c2.challengeId, answer: "nope" })).json();
+    assert.equal(a2.correct, false);
+    assert.equal(a2.passed, false);
+    assert.equal(a2.token, undefined);
+  });
+
+  it("withdraws the unanswered challenge when a session asks for another", async function () {
+    var c1 = await (await post(server, "/captcha/challenge")).json();
+    var c2 = await (await post(server, "/captcha/challenge", { sessionId: c1.sessionId })).json();
+    assert.notEqual(c2.challengeId, c1.challengeId);
+    assert.equal(c2.challengeIndex, 1); // the skipped challenge counted as a wrong answer
+
+    var stale = await post(server, "/captcha/answer", { sessionId: c1.sessionId, challengeId: c1.challengeId, answer: "42" });
+    assert.equal(stale.status, 404);
+    assert.equal((await stale.json()).error, "unknown_challenge");
+    assert.equal((await fetch(server.url + c1.gifUrl)).status, 404);
+
+    // Skipping the last challenge too exhausts the session
+    var c3 = await post(server, "/captcha/challenge", { sessionId: c1.sessionId });
+    assert.equal(c3.status, 409);
+    assert.equal((await c3.json()).error, "session_failed");
+    var late = await post(server, "/captcha/answer", { sessionId: c1.sessionId, challengeId: c2.challengeId, answer: "42" });
+    assert.equal(late.status, 404);
+  });
+
+  it("accepts form-encoded bodies", async function () {
+    var c = await (await post(server, "/captcha/challenge")).json();
+    var res = await post(server, "/captcha/answer",
+      "sessionId=" + c.sessionId + "&challengeId=" + c.challengeId + "&answer=42",
+      { "Content-Type": "application/x-www-form-urlencoded" });
+    assert.equal((await res.json()).correct, true);
+  });
+
+  it("rejects replayed answers and foreign sessions", async function () {
+    var c = await (await post(server, "/captcha/challenge")).json();
+    var other = await (await post(server, "/captcha/challenge")).json();
+    var cross = await post(server, "/captcha/answer", { sessionId: other.sessionId, challengeId: c.challengeId, answer: "42" });
+    assert.equal(cross.status, 404);
+    await post(server, "/captcha/answer", { sessionId: c.sessionId, challengeId: c.challengeId, answer: "42" });
+    var replay = await post(server, "/captcha/answer", { sessionId: c.sessionId, challengeId: c.challengeId, answer: "42" });
+    assert.equal(replay.status, 404);
+    assert.deepEqual(await replay.json(), { error: "unknown_challenge" });
+    var gif = await fetch(server.url + c.gifUrl);
+    assert.equal(gif.status, 404);
+  });
+
+  it("screens answers that carry bot-detection signals", async function () {
+    var c = await (await post(server, "/captcha/challenge")).json();
+    assert.equal(typeof c.jsToken, "string");
+    var moves = [];
+    for (var i = 0; i < 30; i++) moves.push({ x: 100 + i * 7 + (i % 3) * 2, y: 200 + Math.round(Math.sin(i / 3) * 15), t: 1000 + i * 37 + (i % 4) * 11 });
+    var human = { mouseMovements: moves, timeOnPageMs: 8000, firstInteractionMs: 900, honeypotValues: { hp_url: "" }, jsToken: c.jsToken };
+    var ok = await post(server, "/captcha/answer", { sessionId: c.sessionId, challengeId: c.challengeId, answer: "42", signals: human });
+    assert.equal(ok.status, 200);
+    assert.equal((await ok.json()).correct, true);
+
+    var c2 = await (await post(server, "/captcha/challenge")).json();
+    var bot = await post(server, "/captcha/answer", {
+      sessionId: c2.sessionId, challengeId: c2.challengeId, answer: "42",
+      signals: { honeypotValues: { hp_url: "http://spam.example" }, jsToken: c2.jsToken }
+    });
+    assert.equal(bot.status, 403);
+    assert.deepEqual(await bot.json(), { error: "bot_detected" });
+    var replay = await post(server, "/captcha/answer", { sessionId: c2.sessionId, challengeId: c2.challengeId, answer: "42" });
+    assert.equal(replay.status, 404);
+  });
+
+  it("serves the widget bundle", async function () {
+    var res = await fetch(server.url + "/captcha/widget.js");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^application\/javascript/);
+    var text = await res.text();
+    assert.equal(text, captchaServer.buildWidgetScript());
+    assert.match(text, /function createI18n/);
+    assert.match(text, /defineGifCaptchaElement/);
+    assert.match(text, /function collectAutomationProbes/);
+    assert.match(text, /function createTelemetryPacker/);
+    assert.equal((await post(server, "/captcha/widget.js")).status, 405);
+  });
+
+  it("publishes the JWKS", async function () {
+    var res = await fetch(server.url + "/captcha/jwks.json");
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { keys: [] });
+  });
+
+  it("reports health", async function () {
+    var res = await fetch(server.url + "/captcha/health");
+    var body = await res.json();
+    assert.equal(body.status, "ok");
+    assert.ok(body.pool.tiers.easy);
+    assert.ok(body.sessions.totalSessions > 0);
+  });
+});
+
+describe("createCaptchaServer botDetection config", function () {
+  var server;
+  before(async function () { server = await start({ botDetection: { required: true }, rateLimit: { maxRequests: 1000 } }); });
+  after(function () { return new Promise(function (r) { server.close(r); }); });
+
+  it("rejects answers without signals when they are required", async function () {
+    var c = await (await post(server, "/captcha/challenge")).json();
+    var res = await post(server, "/captcha/answer", { sessionId: c.sessionId, challengeId: c.challengeId, answer: "42" });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: "missing_signals" });
+  });
+
+  it("can be disabled", async function () {
+    var off = createCaptchaServer({ secret: SECRET, botDetection: { enabled: false } });
+    assert.equal(off.components.botDetector, null);
+  });
+});
+
+// ── Shared state ────────────────────────────────────────────────
+
+describe("createCaptchaServer with a shared store", function () {
+  var store = require("../src/state-store").createMemoryStore();
+  var a, b;
+  before(async function () {
+    var config = { store: store, session: { challengesPerSession: 1 }, rateLimit: { maxRequests: 3 } };
+    a = await start(config);
+    b = await start(config);
+  });
+  after(function () {
+    return Promise.all([a, b].map(function (s) { return new Promise(function (r) { s.close(r); }); }));
+  });
+
+  it("shares sessions, token replay protection and rate limits", async function () {
+    var c = await (await post(a, "/captcha/challenge")).json();
+    var ans = await (await post(a, "/captcha/answer", { sessionId: c.sessionId, challengeId: c.challengeId, answer: "42" })).json();
+    assert.equal(ans.passed, true);
+
+    var again = await post(b, "/captcha/challenge", { sessionId: c.sessionId });
+    assert.equal(again.status, 409);
+
+    assert.equal((await (await post(b, "/captcha/verify", { token: ans.token })).json()).valid, true);
+    assert.equal((await (await post(a, "/captcha/verify", { token: ans.token })).json()).reason, "token_already_used");
+
+    // a: challenge + answer, b: challenge → the shared limit of 3 is spent
+    var limited = await post(a, "/captcha/challenge");
+    assert.equal(limited.status, 429);
+    var health = await (await fetch(b.url + "/captcha/health")).json();
+    assert.equal(health.sharedStore, true);
+  });
+});
+
+// ── Errors ──────────────────────────────────────────────────────
+
+describe("createCaptchaServer errors", function () {
+  var server;
+  before(async function () {
+    server = await start({ server: { maxBodyBytes: 1024 }, rateLimit: { windowMs: 60000, maxRequests: 2 } });
+  });
+  after(function () { return new Promise(function (r) { server.close(r); }); });
+
+  it("returns JSON errors for bad routes, methods and bodies", async function () {
+    assert.equal((await fetch(server.url + "/elsewhere")).status, 404);
+    assert.equal((await fetch(server.url + "/captcha/answer")).status, 405);
+    var bad = await post(server, "/captcha/verify", "{not json");
+    assert.equal(bad.status, 400);
+    assert.deepEqual(await bad.json(), { error: "invalid_json" });
+    var big = await post(server, "/captcha/verify", { token: "x".repeat(2000) });
+    assert.equal(big.status, 413);
+    var missing = await post(server, "/captcha/answer", {});
+    assert.deepEqual(await missing.json(), { error: "missing_fields" });
+  });
+
+  it("rate limits challenge issuance per IP with Retry-After", async function () {
+    var statuses = [];
+    for (var i = 0; i < 3; i++) {
+      var res = await post(server, "/captcha/challenge");
+      statuses.push(res.status);
+      if (res.status === 429) assert.ok(Number(res.headers.get("retry-after")) >= 1);
+    }
+    assert.ok(statuses.indexOf(429) !== -1);
+  });
+
+  it("ignores a client-supplied ip and leaves the token unspent", async function () {
+    var verifier = server.components.tokenVerifier;
+    var issued = verifier.issueToken({ sessionId: "s1", score: 1, difficulty: 30, ip: "203.0.113.5" });
+    var spoofed = await (await post(server, "/captcha/verify", { token: issued.token, ip: "203.0.113.5" })).json();
+    assert.equal(spoofed.valid, false);
+    assert.equal(spoofed.reason, "ip_mismatch");
+    assert.equal(verifier.verifyToken(issued.token, { ip: "203.0.113.5" }).valid, true);
+
+    var local = verifier.issueToken({ sessionId: "s2", score: 1, difficulty: 30, ip: "127.0.0.1" });
+    var ok = await (await post(server, "/captcha/verify", { token: local.token, ip: "203.0.113.5" })).json();
+    assert.equal(ok.valid, true);
+  });
+});
+
+describe("createCaptchaServer verifySecret", function () {
+  var server;
+  var AUTH = { Authorization: "Bearer verify-secret-123" };
+  before(async function () { server = await start({ server: { verifySecret: "verify-secret-123" } }); });
+  after(function () { return new Promise(function (r) { server.close(r); }); });
+
+  it("rejects unauthenticated verify calls without spending the token", async function () {
+    var verifier = server.components.tokenVerifier;
+    var issued = verifier.issueToken({ sessionId: "s1", score: 1, difficulty: 30, ip: "203.0.113.5" });
+    var anon = await post(server, "/captcha/verify", { token: issued.token, ip: "203.0.113.5" });
+    assert.equal(anon.status, 401);
+    assert.deepEqual(await anon.json(), { error: "unauthorized" });
+    var wrong = await post(server, "/captcha/verify", { token: issued.token }, { Authorization: "Bearer verify-secret-124" });
+    assert.equal(wrong.status, 401);
+    assert.equal(verifier.verifyToken(issued.token, { ip: "203.0.113.5" }).valid, true);
+  });
+
+  it("lets an authenticated backend supply the end user's ip", async function () {
+    var verifier = server.components.tokenVerifier;
+    var issued = verifier.issueToken({ sessionId: "s2", score: 1, difficulty: 30, ip: "203.0.113.5" });
+    var ok = await (await post(server, "/captcha/verify", { token: issued.token, ip: "203.0.113.5" }, AUTH)).json();
+    assert.equal(ok.valid, true);
+    var issued2 = verifier.issueToken({ sessionId: "s3", score: 1, difficulty: 30, ip: "203.0.113.5" });
+    var bad = await (await post(server, "/captcha/verify", { token: issued2.token }, AUTH)).json();
+    assert.equal(bad.reason, "ip_mismatch");
+  });
+});
+
+// ── CLI ─────────────────────────────────────────────────────────
+
+describe("gif-captcha serve", function () {
+  it("exits 1 without a secret", function () {
+    var env = Object.assign({}, process.env);
+    delete env.GIF_CAPTCHA_SECRET;
+    var r = childProcess.spawnSync(process.execPath, [CLI, "serve", "--port", "0"], { env: env, encoding: "utf8", timeout: 15000 });
+    assert.equal(r.status, 1);
+    assert.match(r.stderr, /secret/);
+  });
+
+  it("starts listening with the secret from the environment", function () {
+    return new Promise(function (resolve, reject) {
+      var env = Object.assign({}, process.env, { GIF_CAPTCHA_SECRET: SECRET });
+      var child = childProcess.spawn(process.execPath, [CLI, "serve", "--port", "0", "--host", "127.0.0.1"], { env: env });
+      var out = "";
+      var timer = setTimeout(function () {
+        child.kill();
+        reject(new Error("server did not start: " + out));
+      }, 15000);
+      child.stdout.on("data", function (d) {
+        out += d;
+        if (/listening on http:\/\/127\.0\.0\.1:\d+\/captcha/.test(out)) {
+          clearTimeout(timer);
+          child.kill("SIGTERM");
+        }
+      });
+      child.on("exit", function () {
+        clearTimeout(timer);
+        if (/listening/.test(out)) resolve(); else reject(new Error("exited early: " + out));
+      });
+    });
+  });
+
+  it("serves the API from a config file and shuts down cleanly", function () {
+    var fs = require("fs");
+    var os = require("os");
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "gif-captcha-serve-"));
+    var configPath = path.join(dir, "captcha.json");
+    fs.writeFileSync(configPath, JSON.stringify({
+      secret: SECRET,
+      server: { basePath: "/cap" },
+      pool: { targetSize: 1, minSize: 1 },
+      render: { width: 32, height: 24, frameCount: 2 }
+    }));
+    var env = Object.assign({}, process.env, { GIF_CAPTCHA_VERIFY_SECRET: "cli-verify-secret" });
+    delete env.GIF_CAPTCHA_SECRET;
+    var child = childProcess.spawn(process.execPath, [CLI, "serve", "--config", configPath, "--port", "0", "--host", "127.0.0.1"], { env: env });
+    var out = "";
+    var exited = new Promise(function (resolve) { child.on("exit", function (code) { resolve(code); }); });
+    var listening = new Promise(function (resolve, reject) {
+      var timer = setTimeout(function () { reject(new Error("server did not start: " + out)); }, 15000);
+      child.stdout.on("data", function (d) {
+        out += d;
+        var m = /listening on (http:\/\/127\.0\.0\.1:\d+)\/cap/.exec(out);
+        if (m) {
+          clearTimeout(timer);
+          resolve(m[1] + "/cap");
+        }
+      });
+      exited.then(function () { reject(new Error("exited early: " + out)); });
+    });
+
+    return listening.then(async function (base) {
+      var health = await (await fetch(base + "/health")).json();
+      assert.equal(health.status, "ok");
+      var challenge = await fetch(base + "/challenge", { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" });
+      assert.equal(challenge.status, 200);
+      assert.ok((await challenge.json()).sessionId);
+      var anon = await fetch(base + "/verify", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ token: "x" }) });
+      assert.equal(anon.status, 401);
+      var authed = await fetch(base + "/verify", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: "Bearer cli-verify-secret" },
+        body: JSON.stringify({ token: "x" })
+      });
+      assert.equal((await authed.json()).valid, false);
+      child.kill("SIGTERM");
+      assert.equal(await exited, 0);
+    }).finally(function () {
+      if (child.exitCode === null) child.kill("SIGKILL");
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for challenge-frame-renderer.js
+ *
+ * Covers the raster primitives, per-template compositors (frame counts,
+ * delays, regions, motion between frames) and GIF output.
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var renderer = require("../src/challenge-frame-renderer.js");
+
+function seeded(seed) {
+  var s = seed;
+  return function () {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    return s / 4294967296;
+  };
+}
+
+var SAMPLE_PARAMS = {
+  color_shape: {
+    question: "Click the red circle",
+    target: { color: "red", shape: "circle", position: 2 },
+    distractors: [{ color: "blue", shape: "star" }, { color: "green", shape: "heart" }, { color: "white", shape: "oval" }],
+    answer: "2", answerType: "position"
+  },
+  sequence: { question: "What comes next: 2, 4, 6, ?", shown: [2, 4, 6], answer: "8", answerType: "number" },
+  counting: {
+    question: "How many cats are there?", target: "cat", targetCount: 3,
+    others: [{ object: "dog", count: 2 }, { object: "sun", count: 1 }], answer: "3", answerType: "number"
+  },
+  odd_one_out: {
+    question: "Which item does not belong?", items: ["red", "blue", "star", "green"],
+    oddItem: "star", oddIndex: 2, category: "colors", answer: "2", answerType: "index"
+  },
+  spatial: {
+    question: "Click the item in the center", target: { object: "tree", position: "center" },
+    others: [{ object: "car", position: "top-left" }], answer: "center", answerType: "position"
+  },
+  temporal: {
+    question: "Which frame shows the fish grows?", subject: "fish", event: "grows",
+    frames: [{ index: 0, description: "cat is still" }, { index: 1, description: "fish grows" }, { index: 2, description: "house is still" }],
+    targetFrame: 1, answer: "1", answerType: "frame_index"
+  }
+};
+
+// ── Raster ──────────────────────────────────────────────────────
+
+describe("createRaster", function () {
+  it("fills with the background color", function () {
+    var R = renderer.createRaster(4, 3, [9, 8, 7]);
+    assert.equal(R.pixels.length, 4 * 3 * 3);
+    assert.deepEqual(R.getPixel(3, 2), [9, 8, 7]);
+  });
+
+  it("clips drawing to the canvas", function () {
+    var R = renderer.createRaster(10, 10, [0, 0, 0]);
+    R.fillRect(-5, -5, 8, 8, [255, 0, 0]);
+    R.fillCircle(20, 20, 5, [0, 255, 0]);
+    assert.deepEqual(R.getPixel(0, 0), [255, 0, 0]);
+    assert.deepEqual(R.getPixel(2, 2), [255, 0, 0]);
+    assert.deepEqual(R.getPixel(3, 3), [0, 0, 0]);
+  });
+
+  it("fills polygons and circles around their centers", function () {
+    var R = renderer.createRaster(20, 20, [0, 0, 0]);
+    R.fillPolygon([[2, 2], [18, 2], [10, 18]], [1, 1, 1]);
+    assert.deepEqual(R.getPixel(10, 5), [1, 1, 1]);
+    assert.deepEqual(R.getPixel(1, 18), [0, 0, 0]);
+    R.fillCircle(10, 10, 3, [2, 2, 2]);
+    assert.deepEqual(R.getPixel(10, 10), [2, 2, 2]);
+  });
+
+  it("draws bitmap text", function () {
+    var R = renderer.createRaster(20, 10, [0, 0, 0]);
+    R.drawText("1", 0, 0, 2, [255, 255, 255]);
+    assert.deepEqual(R.getPixel(2, 0), [255, 255, 255]); // top of the "1" stem
+    assert.equal(R.textWidth("12", 2), 14);
+  });
+});
+
+// ── Compositors ─────────────────────────────────────────────────
+
+describe("renderChallengeFrames", function () {
+  Object.keys(SAMPLE_PARAMS).forEach(function (name) {
+    it("renders " + name, function () {
+      assert.ok(renderer.hasRenderer(name));
+      var out = renderer.renderChallengeFrames(name, SAMPLE_PARAMS[name], { rng: seeded(1), width: 120, height: 90 });
+      assert.equal(out.width, 120);
+      assert.equal(out.height, 90);
+      assert.ok(out.frames.length > 0);
+      out.frames.forEach(function (f) {
+        assert.equal(f.pixels.length, 120 * 90 * 3);
+        assert.ok(f.delayMs > 0);
+      });
+    });
+  });
+
+  it("animates: consecutive frames differ", function () {
+    var out = renderer.renderChallengeFrames("color_shape", SAMPLE_PARAMS.color_shape, { rng: seeded(2), noise: 0 });
+    assert.notDeepEqual(out.frames[0].pixels, out.frames[2].pixels);
+  });
+
+  it("uses one frame per scene with a slower delay for temporal", function () {
+    var out = renderer.renderChallengeFrames("temporal", SAMPLE_PARAMS.temporal, { rng: seeded(3) });
+    assert.equal(out.frames.length, 3);
+    assert.equal(out.frames[0].delayMs, 700);
+  });
+
+  it("honours frameCount and frameDelayMs", function () {
+    var out = renderer.renderChallengeFrames("sequence", SAMPLE_PARAMS.sequence, { rng: seeded(4), frameCount: 5, frameDelayMs: 90 });
+    assert.equal(out.frames.length, 5);
+    assert.equal(out.frames[4].delayMs, 90);
+  });
+
+  it("returns click regions keyed by answer for position/index templates", function () {
+    var cs = renderer.renderChallengeFrames("color_shape", SAMPLE_PARAMS.color_shape, { rng: seeded(5) });
+    assert.equal(cs.regions.length, 4);
+    assert.deepEqual(cs.regions.map(function (r) { return r.answer; }), ["0", "1", "2", "3"]);
+    var sp = renderer.renderChallengeFrames("spatial", SAMPLE_PARAMS.spatial, { rng: seeded(5) });
+    assert.equal(sp.regions.length, 9);
+    var center = sp.regions.filter(function (r) { return r.answer === "center"; })[0];
+    assert.equal(center.x, 80);
+    assert.equal(center.y, 53);
+    var seq = renderer.renderChallengeFrames("sequence", SAMPLE_PARAMS.sequence, { rng: seeded(5) });
+    assert.equal(seq.regions, null);
+  });
+
+  it("is deterministic for a seeded rng", function () {
+    var a = renderer.renderChallengeFrames("counting", SAMPLE_PARAMS.counting, { rng: seeded(6) });
+    var b = renderer.renderChallengeFrames("counting", SAMPLE_PARAMS.counting, { rng: seeded(6) });
+    assert.deepEqual(a.frames[3].pixels, b.frames[3].pixels);
+  });
+
+  it("draws the target shape's color somewhere on the canvas", function () {
+    var out = renderer.renderChallengeFrames("color_shape", SAMPLE_PARAMS.color_shape, { rng: seeded(7), noise: 0 });
+    var red = renderer.COLOR_RGB.red;
+    var px = out.frames[0].pixels;
+    var found = false;
+    for (var i = 0; i < px.length; i += 3) {
+      if (px[i] === red[0] && px[i + 1] === red[1] && px[i + 2] === red[2]) { found = true; break; }
+    }
+    assert.ok(found);
+  });
+
+  it("rejects unknown templates and bad params", function () {
+    assert.throws(function () { renderer.renderChallengeFrames("nope", {}); }, /No renderer/);
+    assert.throws(function () { renderer.renderChallengeFrames("sequence", null); }, TypeError);
+  });
+});
+
+// ── GIF output ──────────────────────────────────────────────────
+
+describe("renderChallengeGif", function () {
+  it("produces GIF bytes with frame metadata", function () {
+    var gif = renderer.renderChallengeGif("spatial", SAMPLE_PARAMS.spatial, { rng: seeded(8), frameCount: 4, frameDelayMs: 120 });
+    assert.equal(gif.mimeType, "image/gif");
+    assert.equal(String.fromCharCode.apply(null, Array.from(gif.bytes.slice(0, 6))), "GIF89a");
+    assert.equal(gif.bytes[gif.bytes.length - 1], 0x3b);
+    assert.equal(gif.frameCount, 4);
+    assert.equal(gif.durationMs, 480);
+    assert.deepEqual(gif.frames[1], { index: 1, delayMs: 120 });
+    assert.equal(gif.loop, 0);
+  });
+
+  it("encodeRenderedFrames validates input", function () {
+    assert.throws(function () { renderer.encodeRenderedFrames({ width: 2, height: 2, frames: [] }); }, TypeError);
+  });
+});
@@ -587,4 +587,102 @@ describe("ChallengeTemplateEngine", function () {
       expect(c.question).toContain("frame");
     });
   });
+
+  // ── Rendering ─────────────────────────────────────────────────
+
+  describe("generate({ render: true })", function () {
+    it("attaches GIF bytes and frame metadata", function () {
+      var e = createChallengeTemplateEngine({ seed: 5 });
+      var c = e.generate({ templateName: "counting", render: true });
+      expect(c.gif.mimeType).toBe("image/gif");
+      expect(String.fromCharCode.apply(null, Array.from(c.gif.bytes.slice(0, 6)))).toBe("GIF89a");
+      expect(c.gif.frameCount).toBe(c.gif.frames.length);
+      expect(c.gif.width).toBe(240);
+      expect(c.gif.height).toBe(160);
+    });
+
+    it("does not render unless asked", function () {
+      var e = createChallengeTemplateEngine({ seed: 5 });
+      expect(e.generate().gif).toBeUndefined();
+    });
+
+    it("renders every built-in template", function () {
+      var e = createChallengeTemplateEngine({ seed: 8 });
+      e.listTemplates().forEach(function (name) {
+        var c = e.generate({ templateName: name, render: { width: 96, height: 64, frameCount: 2 } });
+        expect(c.gif.width).toBe(96);
+        expect(c.gif.bytes[c.gif.bytes.length - 1]).toBe(0x3b);
+      });
+    });
+
+    it("uses engine-level render defaults", function () {
+      var e = createChallengeTemplateEngine({ seed: 5, render: { frameCount: 3, frameDelayMs: 80 } });
+      var c = e.generate({ templateName: "sequence", render: true });
+      expect(c.gif.frameCount).toBe(3);
+      expect(c.gif.durationMs).toBe(240);
+    });
+
+    it("is reproducible with a seed", function () {
+      var a = createChallengeTemplateEngine({ seed: 77 }).generate({ render: true });
+      var b = createChallengeTemplateEngine({ seed: 77 }).generate({ render: true });
+      expect(Buffer.compare(a.gif.bytes, b.gif.bytes)).toBe(0);
+    });
+
+    it("still validates rendered challenges", function () {
+      var e = createChallengeTemplateEngine({ seed: 5 });
+      var c = e.generate({ templateName: "sequence", render: true });
+      expect(e.validate(c.id, "nope").valid).toBe(true);
+    });
+
+    it("uses a custom template's render function", function () {
+      var e = createChallengeTemplateEngine({ includeBuiltins: false, seed: 1 });
+      e.registerTemplate({
+        name: "blink",
+        generate: function () { return { question: "Count the blinks", answer: "2", answerType: "number" }; },
+        validate: function (p, a) { return String(a) === p.answer; },
+        render: function (params, ctx) {
+          var frames = [];
+          for (var i = 0; i < 2; i++) {
+            var R = ctx.createRaster(ctx.width, ctx.height, i ? [255, 255, 255] : [0, 0, 0]);
+            frames.push({ pixels: R.pixels, delayMs: 100 });
+          }
+          return { frames: frames };
+        }
+      });
+      var c = e.generate({ render: { width: 16, height: 16 } });
+      expect(c.gif.frameCount).toBe(2);
+      expect(c.gif.width).toBe(16);
+    });
+
+    it("skips unrenderable templates when picking at random", function () {
+      var e = createChallengeTemplateEngine({ includeBuiltins: false });
+      e.registerTemplate({
+        name: "plain",
+        generate: function () { return { question: "q", answer: "a" }; },
+        validate: function () { return true; }
+      });
+      expect(e.generate({ render: true })).toBeNull();
+      expect(e.generate().templateName).toBe("plain");
+    });
+
+    it("throws when a named template cannot be rendered", function () {
+      var e = createChallengeTemplateEngine();
+      e.registerTemplate({
+        name: "plain",
+        generate: function () { return { question: "q", answer: "a" }; },
+        validate: function () { return true; }
+      });
+      expect(function () { e.generate({ templateName: "plain", render: true }); }).toThrow("no renderer");
+    });
+
+    it("rejects a non-function render hook", function () {
+      var e = createChallengeTemplateEngine();
+      expect(e.registerTemplate({
+        name: "bad",
+        generate: function () { return {}; },
+        validate: function () { return true; },
+        render: "yes"
+      })).toBe(false);
+    });
+  });
 });
@@ -2,14 +2,15 @@
  * csv-utils.test.js — Tests for CSV escape and row formatting utilities.
  *
  * Covers: standard escaping, CSV injection prevention (CWE-1236),
- * null/undefined handling, unicode, multi-line values, and csvRow composition.
+ * null/undefined handling, unicode, multi-line values, csvRow composition
+ * and csvParse.
  */
 
 "use strict";
 
 const { describe, it } = require("node:test");
 const assert = require("node:assert/strict");
-const { csvEscape, csvRow } = require("../src/csv-utils");
+const { csvEscape, csvRow, csvParse } = require("../src/csv-utils");
 
 describe("csvEscape", function () {
   // ── Basic values ──────────────────────────────────────────────────
@@ -138,3 +139,21 @@ describe("csvRow", function () {
     assert.ok(row.includes(",safe,"), "safe field should be plain");
   });
 });
+
+describe("csvParse", function () {
+  it("splits rows and fields", function () {
+    assert.deepStrictEqual(csvParse("a,b\r\n1,2\n\n3,"), [["a", "b"], ["1", "2"], ["3", ""]]);
+  });
+
+  it("handles quoted commas, quotes and newlines", function () {
+    assert.deepStrictEqual(csvParse('net,note\n10.0.0.0/8,"lab, ""east""\nwing"'), [
+      ["net", "note"],
+      ["10.0.0.0/8", 'lab, "east"\nwing']
+    ]);
+  });
+
+  it("round-trips csvRow output", function () {
+    var fields = ["x,y", 'say "hi"', "plain"];
+    assert.deepStrictEqual(csvParse(csvRow(fields))[0], fields);
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Tests for createDetectorEvaluator and the detector-eval metrics.
+ */
+var gifCaptcha = require('../src/index');
+var detectorEval = require('../src/detector-eval');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+function makeRng(seed) {
+  var s = seed;
+  return function () {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    return s / 0x7fffffff;
+  };
+}
+
+// Humans: irregular movement, slow and varied solves. Bots: straight
+// lines, fast uniform solves, a farm-like profile. Some noise overlaps.
+function humanSample(rng, i) {
+  var mouse = [];
+  var x = 100, y = 100, t = 0;
+  for (var m = 0; m < 20; m++) {
+    x += Math.round((rng() - 0.5) * 40);
+    y += Math.round((rng() - 0.5) * 40);
+    t += 20 + Math.round(rng() * 60);
+    mouse.push({ x: x, y: y, t: t });
+  }
+  var solves = [];
+  var ts = 1e6 + i * 1e6;
+  for (var k = 0; k < 10; k++) {
+    var rt = 1500 + Math.round(rng() * 9000);
+    ts += rt + 2000 + Math.round(rng() * 20000);
+    solves.push({ responseTimeMs: rt, solved: rng() > 0.2, timestamp: ts, difficulty: 0.5 });
+  }
+  return {
+    id: 'h' + i,
+    label: 'human',
+    signals: {
+      mouseMovements: mouse,
+      timeOnPageMs: 6000 + Math.round(rng() * 40000),
+      firstInteractionMs: 500 + Math.round(rng() * 3000),
+      scrollEvents: [{ y: 0, t: 0 }, { y: 120, t: 400 + Math.round(rng() * 300) }, { y: 300, t: 1500 + Math.round(rng() * 900) }],
+      jsVerified: rng() > 0.05,
+    },
+    solves: solves,
+    biometrics: {
+      mouse: mouse,
+      clicks: [{ x: 10, y: 10, t: 500 }, { x: 50 + Math.round(rng() * 30), y: 40, t: 1300 + Math.round(rng() * 900) }, { x: 90, y: 70, t: 2900 + Math.round(rng() * 1500) }],
+    },
+    profile: { avgSolveTimeMs: 6000 + Math.round(rng() * 4000), solveTimeStdDev: 3000, successRate: 0.8, burstRate: 1, retryPattern: 'delayed', consistencyScore: 0.3, hesitationRatio: 0.4 },
+  };
+}
+
+function botSample(rng, i) {
+  var mouse = [];
+  for (var m = 0; m < 10; m++) mouse.push({ x: m * 10, y: m * 10, t: m * 5 });
+  var solves = [];
+  var ts = 1e6 + i * 1e6;
+  var base = rng() > 0.3 ? 300 : 1200;
+  for (var k = 0; k < 10; k++) {
+    ts += base + 50;
+    solves.push({ responseTimeMs: base + Math.round(rng() * 20), solved: rng() > 0.1, timestamp: ts, difficulty: 0.5 });
+  }
+  return {
+    id: 'b' + i,
+    label: 'bot',
+    signals: {
+      mouseMovements: mouse,
+      timeOnPageMs: 400 + Math.round(rng() * 5000),
+      firstInteractionMs: 20 + Math.round(rng() * 600),
+      scrollEvents: [],
+      jsVerified: rng() > 0.6,
+    },
+    solves: solves,
+    biometrics: { mouse: mouse, clicks: [{ x: 0, y: 0, t: 100 }, { x: 0, y: 0, t: 200 }, { x: 0, y: 0, t: 300 }] },
+    profile: { avgSolveTimeMs: base, solveTimeStdDev: 300, successRate: 0.4, burstRate: 30, retryPattern: 'immediate', consistencyScore: 0.95, hesitationRatio: 0 },
+  };
+}
+
+function dataset(n, seed) {
+  var rng = makeRng(seed);
+  var out = [];
+  for (var i = 0; i < n; i++) {
+    out.push(humanSample(rng, i));
+    out.push(botSample(rng, i));
+  }
+  return out;
+}
+
+// Custom scorers: one tracks the label with noise, one is pure noise.
+function customDetectors(seed) {
+  var rng = makeRng(seed);
+  return [
+    { name: 'good', score: function (s) { return (s.label === 'bot' ? 0.35 : 0) + rng() * 0.65; } },
+    { name: 'noise', score: function () { return rng(); } },
+  ];
+}
+
+describe('createDetectorEvaluator', function () {
+  test('replays samples through every built-in detector', function () {
+    var ev = gifCaptcha.createDetectorEvaluator();
+    assert.strictEqual(ev.addBatch(dataset(30, 1)), 60);
+    var report = ev.evaluate();
+    assert.strictEqual(report.samples, 60);
+    assert.strictEqual(report.bots, 30);
+    assert.strictEqual(report.humans, 30);
+    assert.deepStrictEqual(Object.keys(report.detectors), gifCaptcha.EVAL_DETECTORS);
+    gifCaptcha.EVAL_DETECTORS.forEach(function (name) {
+      var d = report.detectors[name];
+      assert.strictEqual(d.coverage, 1, name);
+      assert.ok(d.auc >= 0.9, name + ' auc ' + d.auc);
+      assert.strictEqual(d.confusion.tp + d.confusion.fp + d.confusion.tn + d.confusion.fn, 60);
+      assert.ok(d.operatingPoint.frr <= 0.01);
+      assert.strictEqual(d.roc[0].tpr, 0);
+      assert.strictEqual(d.roc[d.roc.length - 1].fpr, 1);
+    });
+    assert.deepStrictEqual(report.ensemble.detectors, gifCaptcha.EVAL_DETECTORS);
+    assert.strictEqual(report.ensemble.folds, 5);
+    assert.deepStrictEqual(Object.keys(report.contribution), gifCaptcha.EVAL_DETECTORS);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(report)), report);
+  });
+
+  test('detectors abstain on samples without their input', function () {
+    var data = dataset(10, 2);
+    data.forEach(function (s, i) { if (i % 2 === 0) delete s.biometrics; });
+    delete data[1].profile;
+    var ev = gifCaptcha.createDetectorEvaluator({ detectors: ['biometrics', 'signatures'] });
+    ev.addBatch(data);
+    var report = ev.evaluate();
+    assert.strictEqual(report.detectors.biometrics.coverage, 0.5);
+    assert.strictEqual(report.detectors.biometrics.abstained, 10);
+    assert.strictEqual(report.detectors.biometrics.n, 10);
+    assert.strictEqual(report.detectors.signatures.abstained, 1);
+    assert.strictEqual(report.ensemble.n, 20);
+  });
+
+  test('measures what each detector adds over the others', function () {
+    var ev = gifCaptcha.createDetectorEvaluator({ detectors: customDetectors(3) });
+    ev.addBatch(dataset(60, 4).map(function (s) { return { label: s.label }; }));
+    var report = ev.evaluate({ targetFrr: 0.05 });
+    var c = report.contribution;
+    assert.ok(c.good.standaloneAuc > 0.8);
+    assert.ok(Math.abs(c.noise.standaloneAuc - 0.5) < 0.15);
+    assert.ok(c.good.aucGain > c.noise.aucGain);
+    assert.ok(c.good.aucGain > 0.2);
+    assert.ok(Math.abs(c.good.aucWithout - (report.ensemble.auc - c.good.aucGain)) < 1e-6);
+    assert.ok(report.ensemble.weights.good > report.ensemble.weights.noise);
+    assert.strictEqual(report.targetFrr, 0.05);
+    assert.ok(report.ensemble.operatingPoint.frr <= 0.05);
+  });
+
+  test('evaluate can pick a subset of detectors', function () {
+    var ev = gifCaptcha.createDetectorEvaluator();
+    ev.addBatch(dataset(5, 5));
+    var report = ev.evaluate({ detectors: ['responseTime'], threshold: 0.3, maxCurvePoints: 3 });
+    assert.deepStrictEqual(Object.keys(report.detectors), ['responseTime']);
+    assert.strictEqual(report.ensemble, null);
+    assert.strictEqual(report.contribution, null);
+    assert.strictEqual(report.detectors.responseTime.confusion.threshold, 0.3);
+    assert.ok(report.detectors.responseTime.roc.length <= 3);
+  });
+
+  test('ensembling is deterministic for a seed', function () {
+    function run(seed) {
+      var ev = gifCaptcha.createDetectorEvaluator({ detectors: customDetectors(6) });
+      ev.addBatch(dataset(20, 7).map(function (s) { return { label: s.label }; }));
+      var r = ev.evaluate({ seed: seed });
+      delete r.generatedAt;
+      return r;
+    }
+    assert.deepStrictEqual(run(9), run(9));
+  });
+
+  test('rejects bad labels, detectors and one-class datasets', function () {
+    var ev = gifCaptcha.createDetectorEvaluator();
+    assert.throws(function () { ev.add({ label: 'maybe' }); }, TypeError);
+    assert.throws(function () { ev.add(null); }, TypeError);
+    assert.throws(function () { ev.addBatch('x'); }, TypeError);
+    ev.add({ label: 'bot' });
+    assert.throws(function () { ev.evaluate(); }, RangeError);
+    ev.add({ label: 'human' });
+    assert.throws(function () { ev.evaluate({ detectors: ['crystalBall'] }); }, RangeError);
+    assert.throws(function () { ev.evaluate({ detectors: [] }); }, TypeError);
+    assert.throws(function () { ev.evaluate({ detectors: [{ name: 'x' }] }); }, TypeError);
+    assert.throws(function () { ev.evaluate({ detectors: ['mimicry', 'mimicry'] }); }, /duplicate/);
+    assert.deepStrictEqual(ev.getStats(), { samples: 2, bots: 1, humans: 1 });
+    ev.clear();
+    assert.strictEqual(ev.getStats().samples, 0);
+  });
+});
+
+describe('detector-eval', function () {
+  var scores = [0.9, 0.8, 0.7, 0.6, 0.4, 0.3];
+  var labels = [1, 1, 0, 1, 0, 0];
+
+  test('rocCurve sweeps every distinct score', function () {
+    var roc = detectorEval.rocCurve(scores, labels);
+    assert.deepStrictEqual(roc.map(function (p) { return [p.tpr, p.fpr]; }), [
+      [0, 0], [0.333333, 0], [0.666667, 0], [0.666667, 0.333333], [1, 0.333333], [1, 0.666667], [1, 1],
+    ]);
+    assert.strictEqual(roc[0].threshold, null);
+    assert.deepStrictEqual(detectorEval.rocCurve(scores, labels, 3).map(function (p) { return p.threshold; }), [null, 0.7, 0.3]);
+    assert.deepStrictEqual(detectorEval.rocCurve([0.5], [1]), []);
+  });
+
+  test('prCurve and averagePrecision', function () {
+    var pr = detectorEval.prCurve(scores, labels);
+    assert.deepStrictEqual(pr[3], { threshold: 0.6, precision: 0.75, recall: 1 });
+    assert.strictEqual(detectorEval.averagePrecision(scores, labels), 0.916667);
+    assert.strictEqual(detectorEval.averagePrecision([0.1], [0]), null);
+  });
+
+  test('thresholdForFrr keeps false rejects within the target', function () {
+    var strict = detectorEval.thresholdForFrr(scores, labels, 0);
+    assert.strictEqual(strict.threshold, 0.8);
+    assert.strictEqual(strict.recall, 0.666667);
+    assert.strictEqual(strict.far, 0.333333);
+    var loose = detectorEval.thresholdForFrr(scores, labels, 0.34);
+    assert.deepStrictEqual(loose, { threshold: 0.6, frr: 0.333333, far: 0, recall: 1, tp: 3, fp: 1, tn: 2, fn: 0 });
+    assert.strictEqual(detectorEval.thresholdForFrr([0.9, 0.1], [0, 1], 0).threshold, null);
+    assert.strictEqual(detectorEval.thresholdForFrr([0.9], [1]), null);
+  });
+
+  test('scoreReport adds FRR/FAR to the confusion matrix', function () {
+    var r = detectorEval.scoreReport(scores, labels, { threshold: 0.65 });
+    assert.strictEqual(r.auc, 0.888889);
+    assert.deepStrictEqual([r.confusion.tp, r.confusion.fp, r.confusion.tn, r.confusion.fn], [2, 1, 2, 1]);
+    assert.strictEqual(r.confusion.frr, 0.333333);
+    assert.strictEqual(r.confusion.far, 0.333333);
+  });
+});
+
+describe('gif-captcha eval CLI', function () {
+  var CLI = path.join(__dirname, '..', 'bin', 'gif-captcha.js');
+
+  function run(args) {
+    return childProcess.spawnSync(process.execPath, [CLI, 'eval'].concat(args), { encoding: 'utf8', timeout: 30000 });
+  }
+
+  test('prints JSON and text reports for a JSON Lines dataset', function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+    var file = path.join(dir, 'sessions.jsonl');
+    fs.writeFileSync(file, dataset(8, 8).map(function (s) { return JSON.stringify(s); }).join('\n') + '\n');
+    try {
+      var json = run(['--data', file, '--format', 'json', '--detectors', 'botDetector,signatures', '--target-frr', '0.1']);
+      assert.strictEqual(json.status, 0, json.stderr);
+      var report = JSON.parse(json.stdout);
+      assert.deepStrictEqual(Object.keys(report.detectors), ['botDetector', 'signatures']);
+      assert.strictEqual(report.targetFrr, 0.1);
+
+      var text = run(['--data', file]);
+      assert.strictEqual(text.status, 0, text.stderr);
+      assert.match(text.stdout, /16 samples \(8 bots, 8 humans\)/);
+      assert.match(text.stdout, /ensemble/);
+      assert.match(text.stdout, /Contribution/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reads a { samples } JSON file and writes the report to --output', function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+    var file = path.join(dir, 'sessions.json');
+    var out = path.join(dir, 'reports', 'eval.json');
+    fs.writeFileSync(file, JSON.stringify({ samples: dataset(6, 6) }));
+    try {
+      var r = run(['--data', file, '--format', 'json', '--detectors', 'responseTime', '--output', out]);
+      assert.strictEqual(r.status, 0, r.stderr);
+      assert.match(r.stdout, /Evaluation report written to/);
+      var report = JSON.parse(fs.readFileSync(out, 'utf8'));
+      assert.strictEqual(report.samples, 12);
+      assert.deepStrictEqual(Object.keys(report.detectors), ['responseTime']);
+      assert.strictEqual(report.ensemble, null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('fails cleanly on bad input', function () {
+    assert.strictEqual(run([]).status, 1);
+    assert.match(run(['--data', 'x.json', '--format', 'csv']).stderr, /--format must be text or json/);
+    var r = run(['--data', path.join(os.tmpdir(), 'does-not-exist.json')]);
+    assert.strictEqual(r.status, 1);
+    assert.match(r.stderr, /cannot read dataset/);
+
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+    var file = path.join(dir, 'sessions.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify(dataset(3, 3)));
+      assert.match(run(['--data', file, '--folds', 'many']).stderr, /--folds must be a number/);
+      assert.match(run(['--data', file, '--detectors', 'crystalBall']).stderr, /unknown detector "crystalBall"/);
+      fs.writeFileSync(file, JSON.stringify(dataset(3, 3).filter(function (s) { return s.label === 'bot'; })));
+      assert.match(run(['--data', file]).stderr, /need at least one bot and one human sample/);
+      fs.writeFileSync(file, JSON.stringify({ rows: [] }));
+      assert.match(run(['--data', file]).stderr, /expected an array of samples/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Tests for createDetectorTrainer and the detector-model fitting code.
+ */
+var gifCaptcha = require('../src/index');
+var detectorModel = require('../src/detector-model');
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Deterministic synthetic sessions: humans move, type and scroll
+// irregularly; bots are fast, straight and uniform, with some noise so
+// the classes overlap a little.
+function makeRng(seed) {
+  var s = seed;
+  return function () {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    return s / 0x7fffffff;
+  };
+}
+
+function humanSession(rng) {
+  var mouse = [];
+  var x = 100, y = 100;
+  for (var i = 0; i < 20; i++) {
+    x += Math.round((rng() - 0.5) * 40);
+    y += Math.round((rng() - 0.5) * 40);
+    mouse.push({ x: x, y: y, t: i * (30 + Math.round(rng() * 40)) });
+  }
+  var keys = [];
+  var t = 0;
+  for (var k = 0; k < 8; k++) {
+    t += 80 + Math.round(rng() * 200);
+    keys.push({ key: 'a', downAt: t, upAt: t + 60 + Math.round(rng() * 80) });
+  }
+  return {
+    mouseMovements: mouse,
+    keystrokes: keys,
+    timeOnPageMs: 6000 + Math.round(rng() * 40000),
+    firstInteractionMs: 500 + Math.round(rng() * 3000),
+    scrollEvents: [{ y: 0, t: 0 }, { y: 120, t: 400 + Math.round(rng() * 300) }, { y: 300, t: 1500 + Math.round(rng() * 900) }],
+    jsVerified: rng() > 0.05,
+  };
+}
+
+function botSession(rng) {
+  var linear = rng() > 0.3;
+  var mouse = [];
+  for (var i = 0; i < (linear ? 10 : 2); i++) mouse.push({ x: i * 10, y: i * 10, t: i * 5 });
+  var keys = [];
+  var hold = rng() > 0.5 ? 0 : 15;
+  for (var k = 0; k < 8; k++) keys.push({ key: 'a', downAt: k * 50, upAt: k * 50 + hold });
+  return {
+    mouseMovements: mouse,
+    keystrokes: keys,
+    timeOnPageMs: 400 + Math.round(rng() * 5000),
+    firstInteractionMs: 20 + Math.round(rng() * 600),
+    scrollEvents: [],
+    jsVerified: rng() > 0.6,
+  };
+}
+
+function dataset(n, seed) {
+  var rng = makeRng(seed);
+  var out = [];
+  for (var i = 0; i < n; i++) {
+    out.push({ signals: humanSession(rng), label: 'human' });
+    out.push({ signals: botSession(rng), label: 'bot' });
+  }
+  return out;
+}
+
+describe('createDetectorTrainer', function () {
+  test('collects labelled samples', function () {
+    var trainer = gifCaptcha.createDetectorTrainer();
+    trainer.add(humanSession(makeRng(1)), 'human');
+    trainer.add(botSession(makeRng(2)), 1);
+    assert.strictEqual(trainer.addBatch(dataset(3, 3)), 8);
+    var stats = trainer.getStats();
+    assert.strictEqual(stats.bots, 4);
+    assert.strictEqual(stats.humans, 4);
+    assert.deepStrictEqual(stats.features, gifCaptcha.BOT_DETECTOR_FEATURES);
+    trainer.clear();
+    assert.strictEqual(trainer.getStats().samples, 0);
+  });
+
+  test('rejects unknown labels and too little data', function () {
+    var trainer = gifCaptcha.createDetectorTrainer();
+    assert.throws(function () { trainer.add({}, 'maybe'); }, TypeError);
+    trainer.addBatch(dataset(2, 4));
+    assert.throws(function () { trainer.train(); }, RangeError);
+    assert.throws(function () { trainer.train({ algorithm: 'forest', testFraction: 0 }); }, RangeError);
+  });
+
+  ['logistic', 'stumps'].forEach(function (algorithm) {
+    test(algorithm + ' separates humans from bots on held-out data', function () {
+      var trainer = gifCaptcha.createDetectorTrainer();
+      trainer.addBatch(dataset(60, 7));
+      var run = trainer.train({ algorithm: algorithm, testFraction: 0.25, rounds: 40 });
+      assert.strictEqual(run.algorithm, algorithm);
+      assert.strictEqual(run.trainSize + run.testSize, 120);
+      assert.strictEqual(run.testSize, 30);
+      assert.ok(run.metrics.test.auc >= 0.95, 'auc ' + run.metrics.test.auc);
+      assert.ok(run.metrics.test.precision >= 0.85, 'precision ' + run.metrics.test.precision);
+      assert.ok(run.metrics.test.recall >= 0.85, 'recall ' + run.metrics.test.recall);
+      assert.strictEqual(run.model.type, algorithm);
+      assert.strictEqual(run.importance.length, gifCaptcha.BOT_DETECTOR_FEATURES.length);
+      assert.ok(run.importance[0].importance >= run.importance[1].importance);
+    });
+  });
+
+  test('training is deterministic for a seed', function () {
+    var a = gifCaptcha.createDetectorTrainer();
+    var b = gifCaptcha.createDetectorTrainer();
+    a.addBatch(dataset(20, 9));
+    b.addBatch(dataset(20, 9));
+    var ma = a.train({ seed: 5 }).model;
+    var mb = b.train({ seed: 5 }).model;
+    delete ma.trainedAt;
+    delete mb.trainedAt;
+    assert.deepStrictEqual(ma, mb);
+  });
+
+  test('testFraction 0 trains on everything', function () {
+    var trainer = gifCaptcha.createDetectorTrainer();
+    trainer.addBatch(dataset(10, 11));
+    var run = trainer.train({ testFraction: 0 });
+    assert.strictEqual(run.testSize, 0);
+    assert.strictEqual(run.metrics.test, null);
+    assert.strictEqual(run.metrics.train.n, 20);
+  });
+
+  test('exported JSON loads into createBotDetector', function () {
+    var trainer = gifCaptcha.createDetectorTrainer();
+    trainer.addBatch(dataset(40, 13));
+    var json = JSON.stringify(trainer.train({ algorithm: 'stumps', rounds: 30 }).model);
+
+    var detector = gifCaptcha.createBotDetector({ model: json });
+    assert.strictEqual(detector.getConfig().model, 'stumps');
+    var rng = makeRng(99);
+    var human = detector.analyze(humanSession(rng));
+    var bot = detector.analyze(botSession(rng));
+    assert.strictEqual(human.model.type, 'stumps');
+    assert.ok(bot.model.probability > human.model.probability);
+    assert.strictEqual(bot.score, Math.round(bot.model.probability * 1000) / 10);
+    assert.strictEqual(bot.verdict, 'bot');
+    assert.strictEqual(human.verdict, 'human');
+  });
+
+  test('honeypots stay decisive with a model', function () {
+    var trainer = gifCaptcha.createDetectorTrainer();
+    trainer.addBatch(dataset(10, 15));
+    var detector = gifCaptcha.createBotDetector({ model: trainer.train({ testFraction: 0 }).model });
+    var s = humanSession(makeRng(3));
+    s.honeypotValues = { hp_email: 'x@example.com' };
+    var r = detector.analyze(s);
+    assert.strictEqual(r.score, 100);
+    assert.strictEqual(r.model, undefined);
+  });
+
+  test('evaluate scores a model against other labelled data', function () {
+    var trainer = gifCaptcha.createDetectorTrainer();
+    trainer.addBatch(dataset(30, 17));
+    var model = trainer.train({ testFraction: 0 }).model;
+    var m = trainer.evaluate(model, dataset(15, 19));
+    assert.strictEqual(m.n, 30);
+    assert.ok(m.auc >= 0.95);
+    assert.strictEqual(trainer.evaluate(model).n, 60);
+  });
+});
+
+describe('createBotDetector extractFeatures', function () {
+  test('returns the named feature vector without consuming JS tokens', function () {
+    var detector = gifCaptcha.createBotDetector();
+    var token = detector.getJsToken('s1');
+    var f = detector.extractFeatures({ jsToken: token, sessionId: 's1', timeOnPageMs: 9000 });
+    assert.deepStrictEqual(f.names, gifCaptcha.BOT_DETECTOR_FEATURES);
+    assert.strictEqual(f.values.length, f.names.length);
+    assert.strictEqual(f.values[f.names.indexOf('js_score')], 0.5);
+    assert.strictEqual(f.values[f.names.indexOf('time_on_page_log')], Math.log1p(9));
+    assert.strictEqual(detector.analyze({ jsToken: token, sessionId: 's1' }).breakdown.jsVerification, 0);
+  });
+
+  test('uses recorded JS verification', function () {
+    var detector = gifCaptcha.createBotDetector();
+    var names = gifCaptcha.BOT_DETECTOR_FEATURES;
+    assert.strictEqual(detector.extractFeatures({ jsVerified: true }).values[names.indexOf('js_score')], 0);
+    assert.strictEqual(detector.extractFeatures({ jsVerified: false }).values[names.indexOf('js_score')], 0.8);
+  });
+
+  test('rejects malformed models', function () {
+    assert.throws(function () { gifCaptcha.createBotDetector({ model: { version: 2, type: 'logistic' } }); }, TypeError);
+    assert.throws(function () {
+      gifCaptcha.createBotDetector({ model: { version: 1, type: 'stumps', features: [], bias: 0, stumps: [{ feature: 'nope', threshold: 0, left: 0, right: 0 }] } });
+    }, /unknown feature/);
+    assert.throws(function () {
+      gifCaptcha.createBotDetector({ model: { version: 1, type: 'logistic', features: ['honeypot'], bias: 0, weights: [], mean: [], std: [] } });
+    }, TypeError);
+  });
+});
+
+describe('detector-model', function () {
+  test('evaluateBinary computes confusion metrics and AUC', function () {
+    var m = detectorModel.evaluateBinary([0.9, 0.8, 0.4, 0.3, 0.6], [1, 1, 1, 0, 0]);
+    assert.deepStrictEqual([m.tp, m.fp, m.tn, m.fn], [2, 1, 1, 1]);
+    assert.strictEqual(m.precision, 0.666667);
+    assert.strictEqual(m.recall, 0.666667);
+    assert.strictEqual(m.accuracy, 0.6);
+    assert.strictEqual(m.auc, 0.833333);
+    assert.strictEqual(detectorModel.evaluateBinary([0.5, 0.5], [1, 0]).auc, 0.5);
+    assert.strictEqual(detectorModel.evaluateBinary([0.5], [1]).auc, null);
+  });
+
+  test('stumps find a single-feature threshold', function () {
+    var X = [[0, 5], [1, 5], [2, 5], [8, 5], [9, 5], [10, 5]];
+    var y = [0, 0, 0, 1, 1, 1];
+    var model = detectorModel.fitStumps(X, y, ['a', 'b'], { rounds: 20 });
+    assert.ok(model.stumps.every(function (s) { return s.feature === 'a'; }));
+    var predict = detectorModel.compileModel(model, ['a', 'b']);
+    assert.ok(predict([1, 5]) < 0.2);
+    assert.ok(predict([9, 5]) > 0.8);
+  });
+
+  test('logistic models map features by name', function () {
+    var X = [[0, 1], [1, 1], [3, 1], [4, 1]];
+    var model = detectorModel.fitLogistic(X, [0, 0, 1, 1], ['a', 'b'], { epochs: 300 });
+    var predict = detectorModel.compileModel(model, ['b', 'a']);
+    assert.ok(predict([1, 4]) > 0.5);
+    assert.ok(predict([1, 0]) < 0.5);
+  });
+});
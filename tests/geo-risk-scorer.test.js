@@ -205,3 +205,124 @@ describe("createGeoRiskScorer", function () {
     assert.strictEqual(s.summary().trackedIPs, 2);
   });
 });
+
+describe("createGeoRiskScorer geoip enrichment", function () {
+  var mmdb = require("../src/mmdb-reader");
+  var buildMmdb = require("./_mmdb-fixture").buildMmdb;
+
+  var city = mmdb.createMmdbReader(buildMmdb([
+    { network: "81.2.69.0/24", data: { country: { iso_code: "GB" }, city: { names: { en: "London" } }, location: { latitude: 51.51, longitude: -0.09 } } },
+    { network: "175.16.199.0/24", data: { country: { iso_code: "CN" }, location: { latitude: 43.88, longitude: 125.32 } } },
+    { network: "3.0.0.0/8", data: { country: { iso_code: "US" }, location: { latitude: 39.04, longitude: -77.49 } } }
+  ]));
+  var asn = mmdb.createMmdbReader(buildMmdb([
+    { network: "81.2.69.0/24", data: { autonomous_system_number: 20712, autonomous_system_organization: "Andrews & Arnold" } },
+    { network: "3.0.0.0/8", data: { autonomous_system_number: 16509, autonomous_system_organization: "AMAZON-02" } },
+    { network: "198.51.100.0/24", data: { autonomous_system_number: 64500 } }
+  ], { databaseType: "Test-ASN" }));
+
+  it("fills country, coordinates and ASN from meta.ip", function () {
+    var s = createGeoRiskScorer({ geoip: [city, asn] });
+    var r = s.score({ ip: "175.16.199.5" });
+    var names = r.factors.map(function (f) { return f.name; });
+    assert(names.indexOf("country_high_risk") !== -1);
+    assert.strictEqual(r.enriched.country, "CN");
+    assert.strictEqual(r.enriched.lat, 43.88);
+
+    var e = s.enrich({ ip: "81.2.69.7" });
+    assert.strictEqual(e.city, "London");
+    assert.strictEqual(e.asn, 20712);
+    assert.strictEqual(e.asOrg, "Andrews & Arnold");
+    assert.strictEqual(e.isDatacenter, undefined);
+  });
+
+  it("flags datacenter ASNs from the bundled list", function () {
+    var s = createGeoRiskScorer({ geoip: [city, asn] });
+    var r = s.score({ ip: "3.4.5.6" });
+    var proxy = r.factors.filter(function (f) { return f.name === "proxy_detected"; })[0];
+    assert(proxy, "expected proxy factor");
+    assert.strictEqual(proxy.detail, "datacenter (AS16509) detected");
+    assert.strictEqual(r.enriched.isDatacenter, true);
+    assert.strictEqual(s.summary().datacenterFlagged, 1);
+  });
+
+  it("accepts user-supplied datacenter ASNs and can drop the defaults", function () {
+    var s = createGeoRiskScorer({ geoip: asn, datacenterAsns: ["AS64500"], defaultDatacenterAsns: false });
+    assert.strictEqual(s.enrich({ ip: "198.51.100.1" }).isDatacenter, true);
+    assert.strictEqual(s.enrich({ ip: "3.4.5.6" }).isDatacenter, undefined);
+    assert.strictEqual(s.isDatacenterAsn(64500), true);
+    assert.strictEqual(s.isDatacenterAsn("AS16509"), false);
+    assert.throws(function () { createGeoRiskScorer({ datacenterAsns: ["cloud"] }); }, TypeError);
+  });
+
+  it("checks caller-supplied ASNs without a database", function () {
+    var s = createGeoRiskScorer();
+    assert.strictEqual(s.enrich({ asn: 14061 }).isDatacenter, true);
+    assert(mod.DEFAULT_DATACENTER_ASNS.indexOf(16509) !== -1);
+  });
+
+  it("never overrides caller-supplied fields", function () {
+    var s = createGeoRiskScorer({ geoip: [city, asn] });
+    var meta = { ip: "3.4.5.6", country: "DE", isDatacenter: false };
+    var r = s.score(meta);
+    assert.strictEqual(r.enriched.country, undefined);
+    assert.strictEqual(r.enriched.lat, 39.04);
+    assert(r.factors.some(function (f) { return f.name === "proxy_none"; }));
+    assert.deepStrictEqual(meta, { ip: "3.4.5.6", country: "DE", isDatacenter: false });
+  });
+
+  it("records enriched coordinates for velocity checks", function () {
+    var s = createGeoRiskScorer({ geoip: city });
+    s.score({ ip: "81.2.69.7", timestamp: 1000000 });
+    var r = s.score({ ip: "81.2.69.7", lat: 35.68, lon: 139.69, timestamp: 1000000 + 600000 });
+    assert(r.factors.some(function (f) { return f.name === "impossible_travel"; }));
+    assert.strictEqual(s.summary().enriched, 2);
+    assert.strictEqual(s.summary().geoDatabases, 1);
+  });
+
+  it("leaves meta alone for unknown addresses", function () {
+    var s = createGeoRiskScorer({ geoip: [city, asn] });
+    var r = s.score({ ip: "192.0.2.1", country: "US" });
+    assert.strictEqual(r.enriched, undefined);
+    assert.strictEqual(s.summary().enriched, 0);
+  });
+
+  it("rejects geoip entries without lookup()", function () {
+    assert.throws(function () { createGeoRiskScorer({ geoip: [{}] }); }, TypeError);
+  });
+});
+
+describe("createGeoRiskScorer CIDR lists", function () {
+  var createIpList = require("../src/ip-list").createIpList;
+
+  it("blocks ranges and explains the match", function () {
+    var s = createGeoRiskScorer();
+    s.blockIP("203.0.113.0/24", { source: "abuse-desk" });
+    var r = s.score({ ip: "203.0.113.50", country: "US" });
+    assert.strictEqual(r.action, "block");
+    assert.strictEqual(r.factors[0].detail, "203.0.113.50 in 203.0.113.0/24 (abuse-desk)");
+    assert.strictEqual(r.listMatch.network, "203.0.113.0/24");
+    assert.strictEqual(s.isBlocked("203.0.113.1"), true);
+    assert.strictEqual(s.summary().blockedRanges, 1);
+    s.unblockIP("203.0.113.0/24");
+    assert.strictEqual(s.isBlocked("203.0.113.1"), false);
+  });
+
+  it("prefers allow ranges over block ranges", function () {
+    var feed = createIpList({ entries: ["10.0.0.0/8"] });
+    var s = createGeoRiskScorer({ blockLists: feed });
+    s.allowIP("10.1.0.0/16");
+    assert.strictEqual(s.score({ ip: "10.1.2.3" }).action, "allow");
+    assert.strictEqual(s.score({ ip: "10.2.0.1" }).action, "block");
+    assert.strictEqual(s.getListMatch("10.2.0.1").list, "blocklist");
+    assert.strictEqual(s.getListMatch("172.16.0.1"), null);
+  });
+
+  it("keeps exact-match behaviour for single addresses", function () {
+    var s = createGeoRiskScorer();
+    s.blockIP("192.0.2.1");
+    assert.strictEqual(s.summary().blockedIPs, 1);
+    assert.strictEqual(s.summary().blockedRanges, 0);
+    assert.strictEqual(s.getListMatch("192.0.2.1").source, "manual");
+  });
+});
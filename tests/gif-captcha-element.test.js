@@ -0,0 +1,288 @@
+/**
+ * Tests for gif-captcha-element.js — the <gif-captcha> Web Component.
+ *
+ * The element runs from the same bundle the server serves at /widget.js,
+ * inside jsdom with a scripted fetch() standing in for captcha-server.
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var { JSDOM, VirtualConsole } = require("jsdom");
+var { buildWidgetScript } = require("../src/captcha-server");
+var { createSignalCollector, defineGifCaptchaElement } = require("../src/gif-captcha-element");
+var { createBotDetector } = require("../src/index");
+var { analyzeKeystrokeDynamics } = require("../src/keystroke-dynamics");
+var { webcrypto } = require("crypto");
+
+var CHALLENGE = {
+  sessionId: "s-1",
+  challengeId: "c-1",
+  question: "How many dots?",
+  answerType: "number",
+  gifUrl: "/captcha/challenge/c-1.gif",
+  width: 32,
+  height: 24,
+  regions: null,
+  challengeIndex: 0,
+  totalChallenges: 1,
+  expiresInMs: 60000,
+  jsToken: "js-token-1",
+};
+
+/** Respond to POSTs from a queue of [status, body] pairs, recording requests. */
+function setup(html, responses) {
+  var dom = new JSDOM("<!DOCTYPE html><html lang=\"en\"><body></body></html>", {
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    url: "https://example.com/signup",
+    virtualConsole: new VirtualConsole(),
+  });
+  var win = dom.window;
+  var requests = [];
+  win.fetch = function (url, init) {
+    requests.push({ url: url, body: JSON.parse(init.body) });
+    var next = responses.shift() || [500, {}];
+    return Promise.resolve({
+      ok: next[0] >= 200 && next[0] < 300,
+      status: next[0],
+      json: function () { return Promise.resolve(next[1]); },
+    });
+  };
+  var script = win.document.createElement("script");
+  script.textContent = buildWidgetScript();
+  win.document.head.appendChild(script);
+  win.document.body.innerHTML = html;
+  return { win: win, el: win.document.querySelector("gif-captcha"), requests: requests };
+}
+
+function tick() {
+  return new Promise(function (resolve) { setTimeout(resolve, 0); });
+}
+
+// Event details are created in the jsdom realm; copy them for deepEqual
+function events(el, types) {
+  var seen = [];
+  types.forEach(function (type) {
+    el.addEventListener(type, function (e) { seen.push({ type: type, detail: JSON.parse(JSON.stringify(e.detail)) }); });
+  });
+  return seen;
+}
+
+describe("<gif-captcha>", function () {
+  it("loads a challenge from the configured endpoint", async function () {
+    var env = setup("<gif-captcha endpoint=\"/api/captcha/\"></gif-captcha>", [[200, CHALLENGE]]);
+    await tick();
+    assert.equal(env.requests[0].url, "/api/captcha/challenge");
+    var root = env.el.shadowRoot;
+    assert.equal(root.querySelector(".question").textContent, "How many dots?");
+    var img = root.querySelector(".stage img");
+    assert.equal(img.getAttribute("src"), "/captcha/challenge/c-1.gif");
+    assert.equal(img.alt, "Animated CAPTCHA challenge");
+    assert.equal(root.querySelector(".answer").inputMode, "numeric");
+    assert.equal(root.querySelector("[role=status]").getAttribute("aria-live"), "polite");
+  });
+
+  it("submits the answer with passive signals and emits verified", async function () {
+    var env = setup("<form><gif-captcha name=\"captcha\"></gif-captcha></form>", [
+      [200, CHALLENGE],
+      [200, { correct: true, done: true, passed: true, token: "pass-token", expiresAt: Date.now() + 60000 }],
+    ]);
+    var seen = events(env.el, ["verified", "failed"]);
+    await tick();
+    var input = env.el.shadowRoot.querySelector(".answer");
+    input.dispatchEvent(new env.win.KeyboardEvent("keydown", { code: "Digit3" }));
+    input.dispatchEvent(new env.win.KeyboardEvent("keyup", { code: "Digit3" }));
+    input.value = "3";
+    env.el.shadowRoot.querySelector("form.row").dispatchEvent(new env.win.Event("submit", { cancelable: true }));
+    await tick();
+    await tick();
+
+    var sent = env.requests[1].body;
+    assert.equal(env.requests[1].url, "/captcha/answer");
+    assert.equal(sent.answer, "3");
+    assert.equal(sent.challengeId, "c-1");
+    assert.equal(sent.signals.jsToken, "js-token-1");
+    assert.deepEqual(sent.signals.honeypotValues, { hp_url: "" });
+    assert.equal(sent.signals.keystrokes.length, 1);
+    assert.equal(sent.signals.keystrokes[0].keyClass, "digit");
+    assert.equal(sent.signals.keystrokes[0].key, undefined);
+    assert.equal(typeof sent.signals.timeOnPageMs, "number");
+
+    assert.deepEqual(seen.map(function (e) { return e.type; }), ["verified"]);
+    assert.equal(seen[0].detail.token, "pass-token");
+    assert.equal(env.el.token, "pass-token");
+    // jsdom has no ElementInternals.setFormValue, so the hidden-input fallback is used
+    assert.equal(env.win.document.querySelector("input[name=captcha]").value, "pass-token");
+    env.el.remove();
+  });
+
+  it("sends key classes that keystroke dynamics can pair", async function () {
+    var env = setup("<gif-captcha></gif-captcha>", [
+      [200, CHALLENGE],
+      [200, { correct: true, done: true, passed: true, token: "pass-token", expiresAt: Date.now() + 60000 }],
+    ]);
+    await tick();
+    var input = env.el.shadowRoot.querySelector(".answer");
+    var clock = 10000;
+    var realNow = env.win.Date.now;
+    env.win.Date.now = function () { return clock; };
+    // Alternate hands with uneven flights, as a person types
+    var codes = [];
+    for (var k = 0; k < 12; k++) codes.push(["KeyF", "KeyD", "KeyS"][k % 3], ["KeyJ", "KeyK", "KeyL"][k % 3]);
+    codes.forEach(function (code, i) {
+      input.dispatchEvent(new env.win.KeyboardEvent("keydown", { code: code }));
+      clock += 60 + (i % 3) * 15;
+      input.dispatchEvent(new env.win.KeyboardEvent("keyup", { code: code }));
+      clock += 90 + (i % 4) * 35;
+    });
+    env.win.Date.now = realNow;
+    input.value = "fjdksl";
+    env.el.shadowRoot.querySelector("form.row").dispatchEvent(new env.win.Event("submit", { cancelable: true }));
+    await tick();
+    await tick();
+
+    var keystrokes = env.requests[1].body.signals.keystrokes;
+    assert.equal(keystrokes.length, codes.length);
+    assert.deepEqual(keystrokes.slice(0, 3).map(function (k) { return k.keyClass; }), ["left", "right", "left"]);
+    assert.ok(keystrokes.every(function (k) { return k.key === undefined && k.code === undefined; }));
+    var pairing = analyzeKeystrokeDynamics(keystrokes).pairing;
+    assert.notEqual(pairing, null);
+    assert.ok(pairing.groups >= 2);
+    assert.equal(typeof createBotDetector().analyzeKeystrokes(keystrokes).digraphPairing, "number");
+  });
+
+  it("submits the automation probe report once collected", async function () {
+    var env = setup("<gif-captcha></gif-captcha>", [[200, CHALLENGE], [200, { correct: false, done: true, passed: false }]]);
+    await new Promise(function (resolve) { setTimeout(resolve, 1200); });
+    await env.el.submit("1");
+    var report = env.requests[1].body.signals.automation;
+    assert.equal(report.version, 1);
+    assert.deepEqual(Object.keys(report.probes).sort(), ["automationGlobals", "cdpRuntime", "iframeContentWindow",
+      "nativeFunctions", "navigatorConsistency", "permissions", "renderTiming", "webdriver"]);
+    assert.equal(env.win.document.querySelectorAll("iframe").length, 0);
+  });
+
+  it("seals the signals when Web Crypto is available", async function () {
+    var detector = createBotDetector();
+    var challenge = Object.assign({}, CHALLENGE, { jsToken: detector.getJsToken("s-1") });
+    var env = setup("<gif-captcha></gif-captcha>", [[200, challenge], [200, { correct: false, done: true, passed: false }]]);
+    Object.defineProperty(env.win, "crypto", { value: webcrypto, configurable: true });
+    await tick();
+    await env.el.submit("1");
+    var sent = env.requests[1].body.signals;
+    assert.deepEqual(Object.keys(sent), ["envelope"]);
+    var opened = detector.openEnvelope(sent.envelope, "s-1");
+    assert.equal(opened.ok, true);
+    assert.equal(opened.signals.jsToken, challenge.jsToken);
+    assert.deepEqual(opened.signals.honeypotValues, { hp_url: "" });
+  });
+
+  it("emits failed on a wrong answer and loads the next challenge", async function () {
+    var env = setup("<gif-captcha></gif-captcha>", [
+      [200, CHALLENGE],
+      [200, { correct: false, done: false, passed: null }],
+      [200, Object.assign({}, CHALLENGE, { challengeId: "c-2" })],
+    ]);
+    var seen = events(env.el, ["failed"]);
+    await tick();
+    await env.el.submit("9");
+    assert.deepEqual(seen[0].detail, { reason: "wrong", done: false, sessionId: "s-1" });
+    assert.deepEqual(env.requests[2].body, { sessionId: "s-1" });
+    assert.equal(env.el.shadowRoot.querySelector("[role=status]").textContent, env.el.i18n.t("error.wrong"));
+  });
+
+  it("reports a bot verdict from the server as failed", async function () {
+    var env = setup("<gif-captcha></gif-captcha>", [[200, CHALLENGE], [403, { error: "bot_detected" }]]);
+    var seen = events(env.el, ["failed"]);
+    await tick();
+    await env.el.submit("1");
+    assert.equal(seen[0].detail.reason, "bot_detected");
+    assert.equal(env.el.token, null);
+  });
+
+  it("emits expired when the challenge times out", async function () {
+    var env = setup("<gif-captcha></gif-captcha>", [[200, Object.assign({}, CHALLENGE, { expiresInMs: 5 })]]);
+    var seen = events(env.el, ["expired"]);
+    await tick();
+    await new Promise(function (resolve) { setTimeout(resolve, 20); });
+    assert.deepEqual(seen[0].detail, { reason: "challenge" });
+    assert.equal(env.el.shadowRoot.querySelector("[role=status]").textContent, "This challenge has expired. Load a new one.");
+  });
+
+  it("renders click regions as keyboard-navigable options", async function () {
+    var regions = [
+      { answer: "a", x: 0, y: 0, width: 16, height: 12 },
+      { answer: "b", x: 16, y: 0, width: 16, height: 12 },
+    ];
+    var env = setup("<gif-captcha></gif-captcha>", [
+      [200, Object.assign({}, CHALLENGE, { answerType: "position", regions: regions })],
+      [200, { correct: true, done: true, passed: true, token: "t" }],
+    ]);
+    await tick();
+    var root = env.el.shadowRoot;
+    var buttons = root.querySelectorAll(".regions button");
+    assert.equal(buttons.length, 2);
+    assert.ok(root.querySelector("form.row").hidden);
+    assert.equal(buttons[1].getAttribute("aria-label"), "Option 2");
+    assert.equal(buttons[1].style.left, "50%");
+    buttons[0].focus();
+    buttons[0].dispatchEvent(new env.win.KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true }));
+    assert.equal(root.activeElement, buttons[1]);
+    assert.equal(buttons[1].tabIndex, 0);
+    buttons[1].click();
+    await tick();
+    assert.equal(env.requests[1].body.answer, "b");
+  });
+
+  it("shows a still frame with a play toggle when motion is reduced", async function () {
+    var env = setup("<gif-captcha reduced-motion></gif-captcha>", [[200, CHALLENGE]]);
+    await tick();
+    var root = env.el.shadowRoot;
+    root.querySelector(".stage img").dispatchEvent(new env.win.Event("load"));
+    var toggle = root.querySelector(".motion");
+    assert.equal(toggle.hidden, false);
+    assert.equal(toggle.getAttribute("aria-pressed"), "false");
+    assert.ok(root.querySelector(".stage canvas"));
+    toggle.click();
+    assert.equal(toggle.getAttribute("aria-pressed"), "true");
+    assert.equal(toggle.textContent, "Pause animation");
+    assert.ok(root.querySelector(".stage img"));
+  });
+
+  it("localizes its UI through createI18n", async function () {
+    var env = setup("<gif-captcha locale=\"es\"></gif-captcha>", [[200, CHALLENGE]]);
+    await tick();
+    var root = env.el.shadowRoot;
+    assert.equal(root.querySelector(".submit").textContent, env.el.i18n.t("submit"));
+    assert.equal(env.el.i18n.getLocale(), "es");
+    env.el.setAttribute("locale", "fr");
+    assert.equal(root.querySelector(".reload").textContent, env.el.i18n.t("reload"));
+    assert.equal(env.el.i18n.getLocale(), "fr");
+  });
+});
+
+describe("createSignalCollector", function () {
+  it("produces createBotDetector-shaped signals", function () {
+    var c = createSignalCollector({ startedAt: 1000 });
+    c.pointerMove(10.4, 20.6, 1100);
+    c.pointerMove(11, 21, 1105); // inside the sampling interval
+    c.pointerMove(30, 40, 1200);
+    c.keyDown("KeyA", 1300);
+    c.keyUp("KeyA", 1380);
+    c.keyUp("KeyB", 1390); // no matching keydown
+    c.scroll(120, 1500);
+    var s = c.snapshot(4000, { jsToken: "x" });
+    assert.deepEqual(s.mouseMovements, [{ x: 10, y: 21, t: 1100 }, { x: 30, y: 40, t: 1200 }]);
+    assert.deepEqual(s.keystrokes, [{ keyClass: "left", downAt: 1300, upAt: 1380 }]);
+    assert.deepEqual(s.scrollEvents, [{ y: 120, t: 1500 }]);
+    assert.equal(s.timeOnPageMs, 3000);
+    assert.equal(s.firstInteractionMs, 100);
+    assert.equal(s.jsToken, "x");
+  });
+
+  it("returns null when custom elements are unavailable", function () {
+    assert.equal(defineGifCaptchaElement("gif-captcha", {}), null);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Tests for gif-encoder.js
+ *
+ * Covers container structure (header, loop extension, per-frame delays,
+ * trailer), palette quantization, and an LZW round trip through a
+ * minimal reference decoder.
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var gifEncoder = require("../src/gif-encoder.js");
+var createGifEncoder = gifEncoder.createGifEncoder;
+var encodeGif = gifEncoder.encodeGif;
+var quantizePalette = gifEncoder.quantizePalette;
+var lzwEncode = gifEncoder.lzwEncode;
+
+// ── Minimal reference decoder (test-only) ───────────────────────
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  var clearCode = 1 << minCodeSize, eoiCode = clearCode + 1;
+  var codeSize = minCodeSize + 1;
+  var dict = [];
+  function resetDict() {
+    dict = [];
+    for (var i = 0; i < clearCode; i++) dict.push([i]);
+    dict.push(null, null);
+    codeSize = minCodeSize + 1;
+  }
+  resetDict();
+  var out = [], prev = null, bitPos = 0;
+  while (out.length <= pixelCount) {
+    var code = 0;
+    for (var b = 0; b < codeSize; b++, bitPos++) {
+      if ((data[bitPos >> 3] >> (bitPos & 7)) & 1) code |= 1 << b;
+    }
+    if (code === clearCode) { resetDict(); prev = null; continue; }
+    if (code === eoiCode) break;
+    var entry;
+    if (prev === null) {
+      entry = dict[code];
+    } else {
+      entry = code < dict.length ? dict[code] : dict[prev].concat([dict[prev][0]]);
+      if (dict.length < 4096) dict.push(dict[prev].concat([entry[0]]));
+    }
+    out.push.apply(out, entry);
+    prev = code;
+    if (dict.length === (1 << codeSize) && codeSize < 12) codeSize++;
+  }
+  return out;
+}
+
+function parseGif(bytes) {
+  var pos = 0;
+  function u8() { return bytes[pos++]; }
+  function u16() { var v = bytes[pos] | (bytes[pos + 1] << 8); pos += 2; return v; }
+  var header = String.fromCharCode.apply(null, Array.from(bytes.slice(0, 6)));
+  pos = 6;
+  var width = u16(), height = u16(), packed = u8();
+  u8(); u8();
+  var tableSize = 1 << ((packed & 7) + 1);
+  var palette = [];
+  for (var i = 0; i < tableSize; i++) palette.push([u8(), u8(), u8()]);
+  var result = { header: header, width: width, height: height, palette: palette, loop: null, frames: [] };
+  var delay = null;
+  for (;;) {
+    var tag = u8();
+    if (tag === 0x3b) { result.trailer = true; break; }
+    if (tag === 0x21) {
+      var label = u8();
+      var blocks = [];
+      var len;
+      while ((len = u8()) !== 0) { blocks.push(bytes.slice(pos, pos + len)); pos += len; }
+      if (label === 0xf9) delay = (blocks[0][1] | (blocks[0][2] << 8)) * 10;
+      if (label === 0xff && String.fromCharCode.apply(null, Array.from(blocks[0])) === "NETSCAPE2.0") {
+        result.loop = blocks[1][1] | (blocks[1][2] << 8);
+      }
+      continue;
+    }
+    if (tag === 0x2c) {
+      pos += 8; u8();
+      var minCodeSize = u8();
+      var data = [];
+      var n;
+      while ((n = u8()) !== 0) { for (var k = 0; k < n; k++) data.push(bytes[pos++]); }
+      result.frames.push({ delayMs: delay, indices: lzwDecode(data, minCodeSize, width * height).slice(0, width * height) });
+      continue;
+    }
+    throw new Error("unexpected block 0x" + tag.toString(16));
+  }
+  return result;
+}
+
+function solid(w, h, rgb) {
+  var px = new Uint8Array(w * h * 3);
+  for (var i = 0; i < px.length; i += 3) { px[i] = rgb[0]; px[i + 1] = rgb[1]; px[i + 2] = rgb[2]; }
+  return px;
+}
+
+// ── Container structure ─────────────────────────────────────────
+
+describe("createGifEncoder", function () {
+  it("rejects invalid dimensions", function () {
+    assert.throws(function () { createGifEncoder({ width: 0, height: 10 }); }, RangeError);
+    assert.throws(function () { createGifEncoder({ width: 10, height: 1.5 }); }, RangeError);
+    assert.throws(function () { createGifEncoder(); }, RangeError);
+  });
+
+  it("rejects pixel buffers of the wrong size", function () {
+    var enc = createGifEncoder({ width: 4, height: 4 });
+    assert.throws(function () { enc.addFrame(new Uint8Array(10)); }, RangeError);
+    assert.throws(function () { enc.addFrame(null); }, TypeError);
+  });
+
+  it("requires at least one frame and can only finish once", function () {
+    var enc = createGifEncoder({ width: 2, height: 2 });
+    assert.throws(function () { enc.finish(); }, /at least one frame/);
+    enc.addFrame(solid(2, 2, [1, 2, 3]));
+    enc.finish();
+    assert.throws(function () { enc.finish(); }, /already finished/);
+    assert.throws(function () { enc.addFrame(solid(2, 2, [1, 2, 3])); }, /already finished/);
+  });
+
+  it("writes a GIF89a header, loop extension, delays and trailer", function () {
+    var enc = createGifEncoder({ width: 3, height: 2, loop: 0 });
+    enc.addFrame(solid(3, 2, [255, 0, 0]), { delayMs: 200 });
+    enc.addFrame(solid(3, 2, [0, 0, 255]), { delayMs: 500 });
+    assert.equal(enc.frameCount(), 2);
+    var gif = parseGif(enc.finish());
+    assert.equal(gif.header, "GIF89a");
+    assert.equal(gif.width, 3);
+    assert.equal(gif.height, 2);
+    assert.equal(gif.loop, 0);
+    assert.equal(gif.frames.length, 2);
+    assert.equal(gif.frames[0].delayMs, 200);
+    assert.equal(gif.frames[1].delayMs, 500);
+    assert.ok(gif.trailer);
+  });
+
+  it("omits the loop extension when loop is -1", function () {
+    var bytes = encodeGif([{ pixels: solid(2, 2, [0, 0, 0]) }], { width: 2, height: 2, loop: -1 });
+    assert.equal(parseGif(bytes).loop, null);
+  });
+
+  it("writes a finite repeat count", function () {
+    var bytes = encodeGif([{ pixels: solid(2, 2, [0, 0, 0]) }], { width: 2, height: 2, loop: 3 });
+    assert.equal(parseGif(bytes).loop, 3);
+  });
+
+  it("accepts RGBA input and ignores alpha", function () {
+    var px = new Uint8Array(2 * 2 * 4);
+    for (var i = 0; i < px.length; i += 4) { px[i] = 10; px[i + 1] = 20; px[i + 2] = 30; px[i + 3] = 0; }
+    var gif = parseGif(encodeGif([{ pixels: px }], { width: 2, height: 2 }));
+    assert.deepEqual(gif.palette[gif.frames[0].indices[0]], [10, 20, 30]);
+  });
+
+  it("clamps tiny delays to the 20ms browsers honour", function () {
+    var gif = parseGif(encodeGif([{ pixels: solid(1, 1, [0, 0, 0]), delayMs: 0 }], { width: 1, height: 1 }));
+    assert.equal(gif.frames[0].delayMs, 20);
+  });
+
+  it("returns a Buffer under Node", function () {
+    var bytes = encodeGif([{ pixels: solid(1, 1, [0, 0, 0]) }], { width: 1, height: 1 });
+    assert.ok(Buffer.isBuffer(bytes));
+  });
+});
+
+// ── Pixel round trip ────────────────────────────────────────────
+
+describe("pixel round trip", function () {
+  it("decodes back to the original colors", function () {
+    var w = 37, h = 23;
+    var px = new Uint8Array(w * h * 3);
+    var colors = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [250, 250, 250], [10, 10, 10]];
+    for (var i = 0; i < w * h; i++) {
+      var c = colors[(i * 7 + Math.floor(i / w)) % colors.length];
+      px[i * 3] = c[0]; px[i * 3 + 1] = c[1]; px[i * 3 + 2] = c[2];
+    }
+    var gif = parseGif(encodeGif([{ pixels: px }], { width: w, height: h }));
+    var idx = gif.frames[0].indices;
+    assert.equal(idx.length, w * h);
+    for (var j = 0; j < w * h; j++) {
+      assert.deepEqual(gif.palette[idx[j]], [px[j * 3], px[j * 3 + 1], px[j * 3 + 2]]);
+    }
+  });
+
+  it("survives the 4096-code table reset on noisy input", function () {
+    var w = 128, h = 128;
+    var px = new Uint8Array(w * h * 3);
+    var seed = 12345;
+    for (var i = 0; i < w * h; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      var v = (seed >> 8) & 0xff;
+      px[i * 3] = v; px[i * 3 + 1] = 255 - v; px[i * 3 + 2] = v ^ 0x55;
+    }
+    var gif = parseGif(encodeGif([{ pixels: px }], { width: w, height: h }));
+    var idx = gif.frames[0].indices;
+    assert.equal(idx.length, w * h);
+    for (var j = 0; j < w * h; j += 97) {
+      assert.deepEqual(gif.palette[idx[j]], [px[j * 3], px[j * 3 + 1], px[j * 3 + 2]]);
+    }
+  });
+});
+
+// ── Quantization & LZW ──────────────────────────────────────────
+
+describe("quantizePalette", function () {
+  it("keeps an exact palette when colors fit", function () {
+    var frames = [{ pixels: solid(4, 4, [1, 2, 3]), width: 4, height: 4 }];
+    assert.deepEqual(quantizePalette(frames, 256), [[1, 2, 3]]);
+  });
+
+  it("reduces to maxColors with median cut", function () {
+    var w = 64, h = 64;
+    var px = new Uint8Array(w * h * 3);
+    for (var i = 0; i < w * h; i++) {
+      px[i * 3] = i & 0xff; px[i * 3 + 1] = (i >> 4) & 0xff; px[i * 3 + 2] = (i * 3) & 0xff;
+    }
+    var palette = quantizePalette([{ pixels: px, width: w, height: h }], 16);
+    assert.equal(palette.length, 16);
+    palette.forEach(function (c) {
+      assert.equal(c.length, 3);
+      c.forEach(function (v) { assert.ok(v >= 0 && v <= 255); });
+    });
+  });
+
+  it("maps quantized frames to nearest palette colors", function () {
+    var w = 32, h = 32;
+    var px = new Uint8Array(w * h * 3);
+    for (var i = 0; i < w * h; i++) { px[i * 3] = i % 256; px[i * 3 + 1] = 0; px[i * 3 + 2] = 0; }
+    var gif = parseGif(encodeGif([{ pixels: px }], { width: w, height: h, maxColors: 8 }));
+    assert.equal(gif.palette.length, 8);
+    var idx = gif.frames[0].indices;
+    for (var j = 0; j < w * h; j += 13) {
+      assert.ok(Math.abs(gif.palette[idx[j]][0] - px[j * 3]) <= 40);
+    }
+  });
+});
+
+describe("lzwEncode", function () {
+  it("round-trips through a reference decoder", function () {
+    var input = [];
+    for (var i = 0; i < 5000; i++) input.push((i * i + (i >> 3)) % 4);
+    var data = lzwEncode(Uint8Array.from(input), 2);
+    assert.deepEqual(lzwDecode(data, 2, input.length), input);
+  });
+
+  it("handles empty input", function () {
+    var data = lzwEncode(new Uint8Array(0), 2);
+    assert.deepEqual(lzwDecode(data, 2, 0), []);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for http-fingerprint and createClientFingerprinter's header checks
+ */
+"use strict";
+
+var gifCaptcha = require("../src/index.js");
+var hf = require("../src/http-fingerprint");
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+var CHROME_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36";
+var FIREFOX_UA = "Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0";
+var SAFARI_IOS_UA = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1";
+
+// Node-style rawHeaders as each client sends them over HTTP/1.1.
+function chromeHeaders(ua) {
+  return [
+    "Host", "example.com",
+    "Connection", "keep-alive",
+    "sec-ch-ua", "\"Not/A)Brand\";v=\"8\", \"Chromium\";v=\"126\", \"Google Chrome\";v=\"126\"",
+    "sec-ch-ua-mobile", "?0",
+    "sec-ch-ua-platform", "\"Windows\"",
+    "Upgrade-Insecure-Requests", "1",
+    "User-Agent", ua || CHROME_UA,
+    "Accept", "text/html",
+    "Sec-Fetch-Site", "none",
+    "Sec-Fetch-Mode", "navigate",
+    "Sec-Fetch-Dest", "document",
+    "Accept-Encoding", "gzip, deflate, br, zstd",
+    "Accept-Language", "en-US,en;q=0.9"
+  ];
+}
+
+var FIREFOX = [
+  "Host", "example.com", "User-Agent", FIREFOX_UA, "Accept", "text/html",
+  "Accept-Language", "en-US", "Accept-Encoding", "gzip, br", "Connection", "keep-alive",
+  "Sec-Fetch-Dest", "document", "Sec-Fetch-Mode", "navigate", "Sec-Fetch-Site", "none"
+];
+
+var SAFARI = [
+  "Host", "example.com", "Accept", "text/html", "Sec-Fetch-Site", "none", "Sec-Fetch-Dest", "document",
+  "Accept-Language", "en-GB", "Sec-Fetch-Mode", "navigate", "User-Agent", SAFARI_IOS_UA,
+  "Accept-Encoding", "gzip", "Connection", "keep-alive"
+];
+
+// python-requests claiming to be Chrome.
+var SCRIPT = ["Host", "example.com", "User-Agent", CHROME_UA, "Accept-Encoding", "gzip, deflate", "Accept", "*/*", "Connection", "keep-alive"];
+
+function codes(r) {
+  return r.findings.map(function (f) { return f.code; });
+}
+
+describe("http-fingerprint parsing", function () {
+  it("normalises rawHeaders, pairs and objects", function () {
+    var flat = hf.normalizeHeaders(["Host", "a", ":method", "GET", "Accept", "b"]);
+    assert.deepEqual(flat.map(function (e) { return e.name; }), ["Host", "Accept"]);
+    assert.equal(hf.normalizeHeaders([["User-Agent", "x"]])[0].lower, "user-agent");
+    assert.equal(hf.normalizeHeaders({ accept: ["a", "b"] })[0].value, "a, b");
+    assert.deepEqual(hf.normalizeHeaders(null), []);
+  });
+
+  it("parses Sec-CH-UA brand lists and hints", function () {
+    assert.deepEqual(hf.parseBrandList("\"Chromium\";v=\"124\", \"Not-A.Brand\";v=\"99\""), [
+      { brand: "Chromium", version: "124" },
+      { brand: "Not-A.Brand", version: "99" }
+    ]);
+    assert.deepEqual(hf.parseBrandList("\"Not\\\\A;Brand\";v=\"8\""), [{ brand: "Not\\A;Brand", version: "8" }]);
+    var hints = hf.parseClientHints({
+      "sec-ch-ua": "\"Google Chrome\";v=\"126\"",
+      "sec-ch-ua-mobile": "?1",
+      "sec-ch-ua-platform": "\"Android\"",
+      "sec-ch-ua-model": "\"Pixel 8\""
+    });
+    assert.equal(hints.present, true);
+    assert.equal(hints.mobile, true);
+    assert.equal(hints.platform, "Android");
+    assert.equal(hints.model, "Pixel 8");
+    assert.equal(hf.parseClientHints({}).mobile, null);
+  });
+
+  it("parses user agents", function () {
+    var chrome = hf.parseUserAgent(CHROME_UA);
+    assert.equal(chrome.family, "chrome");
+    assert.equal(chrome.engine, "blink");
+    assert.equal(chrome.major, 126);
+    assert.equal(chrome.platform, "Windows");
+    var ios = hf.parseUserAgent("Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/126.0 Mobile/15E148 Safari/604.1");
+    assert.equal(ios.family, "chrome");
+    assert.equal(ios.engine, "webkit");
+    assert.equal(ios.mobile, true);
+    assert.equal(hf.parseUserAgent("Mozilla/5.0 (Windows NT 10.0) AppleWebKit/537.36 Chrome/126.0 Safari/537.36 Edg/126.0").family, "edge");
+    assert.equal(hf.parseUserAgent("python-requests/2.32.3").family, "tool");
+    assert.equal(hf.parseUserAgent("Googlebot/2.1").family, "bot");
+    assert.equal(hf.parseUserAgent(undefined).browser, false);
+    assert.equal(hf.normalizePlatform("Win32"), "Windows");
+    assert.equal(hf.normalizePlatform("Linux armv8l"), "Linux");
+    assert.equal(hf.normalizePlatform("MacIntel"), "macOS");
+  });
+});
+
+describe("analyzeRequestHeaders", function () {
+  it("finds real browsers consistent", function () {
+    var chrome = hf.analyzeRequestHeaders(chromeHeaders(), { httpVersion: "1.1", userAgent: CHROME_UA, platform: "Win32" });
+    assert.deepEqual(chrome.findings, []);
+    assert.equal(chrome.orderFamily, "chromium");
+    assert.equal(chrome.casing, "mixed");
+    var firefox = hf.analyzeRequestHeaders(FIREFOX, { httpVersion: "1.1", platform: "Linux x86_64" });
+    assert.deepEqual(firefox.findings, []);
+    assert.equal(firefox.orderFamily, "firefox");
+    var safari = hf.analyzeRequestHeaders(SAFARI, { httpVersion: "1.1", platform: "iPhone" });
+    assert.deepEqual(safari.findings, []);
+    assert.equal(safari.orderFamily, "webkit");
+    assert.equal(safari.consistent, true);
+  });
+
+  it("fingerprints order and casing separately", function () {
+    var a = hf.analyzeRequestHeaders(chromeHeaders());
+    var lower = hf.analyzeRequestHeaders(chromeHeaders().map(function (v, i) { return i % 2 ? v : v.toLowerCase(); }));
+    assert.equal(a.orderHash, lower.orderHash);
+    assert.notEqual(a.casingHash, lower.casingHash);
+    assert.notEqual(a.fingerprint, lower.fingerprint);
+    assert.match(a.fingerprint, /^[0-9a-f]{12}$/);
+    assert.equal(lower.casing, "lower");
+  });
+
+  it("flags a script spoofing a browser user agent", function () {
+    var r = hf.analyzeRequestHeaders(SCRIPT, { httpVersion: "1.1", platform: "MacIntel", userAgent: "Mozilla/5.0 (Macintosh)" });
+    var c = codes(r);
+    ["header-order-mismatch", "missing-browser-headers", "client-hints-missing", "platform-mismatch", "user-agent-mismatch"]
+      .forEach(function (code) { assert.ok(c.indexOf(code) !== -1, code); });
+    assert.equal(r.consistent, false);
+  });
+
+  it("checks casing only where the protocol keeps it", function () {
+    var lower = chromeHeaders().map(function (v, i) { return i % 2 ? v : v.toLowerCase(); });
+    assert.ok(codes(hf.analyzeRequestHeaders(lower, { httpVersion: "1.1" })).indexOf("header-casing-mismatch") !== -1);
+    assert.deepEqual(codes(hf.analyzeRequestHeaders(lower, { httpVersion: "2.0" })), []);
+    var shouty = chromeHeaders().map(function (v, i) { return i === 14 ? "ACCEPT" : v; });
+    assert.ok(codes(hf.analyzeRequestHeaders(shouty, { httpVersion: "2" })).indexOf("header-casing-mismatch") !== -1);
+  });
+
+  it("checks client hints against the user agent and JS platform", function () {
+    function hinted(name, value, ua) {
+      var h = chromeHeaders(ua);
+      h[h.indexOf(name) + 1] = value;
+      return codes(hf.analyzeRequestHeaders(h, { platform: "Win32" }));
+    }
+    assert.ok(hinted("sec-ch-ua", "\"HeadlessChrome\";v=\"126\", \"Chromium\";v=\"126\"").indexOf("client-hints-headless") !== -1);
+    assert.ok(hinted("sec-ch-ua", "\"Google Chrome\";v=\"120\"").indexOf("client-hints-brand-mismatch") !== -1);
+    assert.ok(hinted("sec-ch-ua", "\"Opera\";v=\"126\"").indexOf("client-hints-brand-mismatch") !== -1);
+    assert.ok(hinted("sec-ch-ua-platform", "\"macOS\"").indexOf("client-hints-platform-mismatch") !== -1);
+    assert.ok(hinted("sec-ch-ua-mobile", "?1").indexOf("client-hints-mobile-mismatch") !== -1);
+    assert.ok(hinted("sec-ch-ua", "\"Google Chrome\";v=\"127\"", FIREFOX_UA).indexOf("client-hints-unexpected") !== -1);
+
+    var linuxJs = codes(hf.analyzeRequestHeaders(chromeHeaders(), { platform: "Linux x86_64" }));
+    assert.ok(linuxJs.indexOf("client-hints-platform-mismatch") !== -1);
+    assert.ok(linuxJs.indexOf("platform-mismatch") !== -1);
+  });
+
+  it("allows platform aliases and insecure origins", function () {
+    var android = "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36";
+    var h = chromeHeaders(android);
+    h[h.indexOf("sec-ch-ua-platform") + 1] = "\"Android\"";
+    h[h.indexOf("sec-ch-ua-mobile") + 1] = "?1";
+    assert.deepEqual(codes(hf.analyzeRequestHeaders(h, { platform: "Linux armv8l" })), []);
+    var noHints = chromeHeaders().filter(function (v, i, all) {
+      var name = i % 2 ? all[i - 1] : v;
+      return name.indexOf("sec-ch-ua") !== 0;
+    });
+    assert.deepEqual(codes(hf.analyzeRequestHeaders(noHints, { secure: false })), []);
+    assert.deepEqual(codes(hf.analyzeRequestHeaders(noHints)), ["client-hints-missing"]);
+  });
+});
+
+describe("createClientFingerprinter with request headers", function () {
+  var signals = { userAgent: CHROME_UA, platform: "Win32", screenWidth: 1920, screenHeight: 1080, colorDepth: 24 };
+
+  it("adds header findings to botSignals and the risk score", function () {
+    var fp = gifCaptcha.createClientFingerprinter();
+    var clean = fp.identify(signals, { ip: "198.51.100.1", headers: chromeHeaders(), httpVersion: "1.1" });
+    assert.deepEqual(clean.botSignals, []);
+    assert.equal(clean.riskScore, 0);
+    assert.equal(clean.http.orderFamily, "chromium");
+    assert.equal(clean.http.clientHints.platform, "Windows");
+
+    var spoofed = fp.identify(signals, { ip: "198.51.100.2", headers: SCRIPT, httpVersion: "1.1" });
+    assert.ok(spoofed.botSignals.indexOf("header-order-mismatch") !== -1);
+    assert.ok(spoofed.botSignals.indexOf("client-hints-missing") !== -1);
+    assert.equal(spoofed.riskScore, 60);
+    assert.equal(spoofed.riskLevel, "high");
+    assert.equal(spoofed.fingerprintHash, clean.fingerprintHash);
+  });
+
+  it("leaves results unchanged without headers", function () {
+    var fp = gifCaptcha.createClientFingerprinter();
+    var r = fp.identify(signals);
+    assert.equal(r.http, undefined);
+    assert.deepEqual(r.botSignals, []);
+  });
+
+  it("fingerprints a request without storing it", function () {
+    var fp = gifCaptcha.createClientFingerprinter();
+    var r = fp.fingerprintRequest(SAFARI, { platform: "iPhone" }, { httpVersion: "1.1" });
+    assert.equal(r.orderFamily, "webkit");
+    assert.equal(fp.getStats().totalFingerprints, 0);
+    assert.equal(gifCaptcha.analyzeRequestHeaders, hf.analyzeRequestHeaders);
+  });
+});
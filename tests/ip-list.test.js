@@ -0,0 +1,208 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var ipList = require("../src/ip-list");
+var createIpList = ipList.createIpList;
+var parseIpFeed = ipList.parseIpFeed;
+
+function tmpFile(name, text) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), "ip-list-"));
+  var file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+describe("createIpList", function () {
+  it("matches addresses inside IPv4 and IPv6 ranges", function () {
+    var l = createIpList({ name: "blocklist", entries: ["10.0.0.0/8", "2001:db8::/32", "192.0.2.7"] });
+    assert.strictEqual(l.lookup("10.200.1.1").network, "10.0.0.0/8");
+    assert.strictEqual(l.lookup("2001:db8:ffff::1").network, "2001:db8::/32");
+    assert.strictEqual(l.lookup("192.0.2.7").network, "192.0.2.7/32");
+    assert.strictEqual(l.lookup("192.0.2.8"), null);
+    assert.strictEqual(l.lookup("11.0.0.1"), null);
+    assert.strictEqual(l.lookup("not-an-ip"), null);
+    assert.strictEqual(l.lookup("10.1.1.1").list, "blocklist");
+  });
+
+  it("returns the most specific entry", function () {
+    var l = createIpList();
+    l.add("10.0.0.0/8", { source: "wide" });
+    l.add("10.1.0.0/16", { source: "narrow", comment: "lab" });
+    var m = l.lookup("10.1.2.3");
+    assert.strictEqual(m.network, "10.1.0.0/16");
+    assert.strictEqual(m.source, "narrow");
+    assert.strictEqual(m.comment, "lab");
+    assert.strictEqual(l.lookup("10.2.0.1").source, "wide");
+  });
+
+  it("normalises networks and matches IPv4-mapped addresses", function () {
+    var l = createIpList();
+    var e = l.add("198.51.100.77/24");
+    assert.strictEqual(e.network, "198.51.100.0/24");
+    assert.strictEqual(l.contains("::ffff:198.51.100.1"), true);
+    assert.strictEqual(l.size(), 1);
+    l.add("198.51.100.0/24", { source: "again" });
+    assert.strictEqual(l.size(), 1);
+    assert.strictEqual(l.lookup("198.51.100.1").source, "again");
+  });
+
+  it("supports a catch-all /0", function () {
+    var l = createIpList({ entries: ["0.0.0.0/0"] });
+    assert.strictEqual(l.contains("203.0.113.9"), true);
+    assert.strictEqual(l.contains("2001:db8::1"), false);
+  });
+
+  it("skips and prunes expired entries", function () {
+    var t = 1000;
+    var l = createIpList({ now: function () { return t; } });
+    l.add("10.0.0.0/8", { ttlMs: 500 });
+    l.add("10.1.0.0/16", { expiresAt: 2000 });
+    assert.strictEqual(l.lookup("10.1.0.1").network, "10.1.0.0/16");
+    t = 1600;
+    assert.strictEqual(l.lookup("10.2.0.1"), null);
+    t = 2500;
+    assert.strictEqual(l.lookup("10.1.0.1"), null);
+    assert.strictEqual(l.size(), 2);
+    assert.strictEqual(l.prune(), 2);
+    assert.strictEqual(l.size(), 0);
+  });
+
+  it("falls back to a broader entry when the specific one expired", function () {
+    var l = createIpList();
+    l.add("10.0.0.0/8");
+    l.add("10.1.0.0/16", { expiresAt: 1 });
+    assert.strictEqual(l.lookup("10.1.0.1").network, "10.0.0.0/8");
+  });
+
+  it("removes entries by network and by source", function () {
+    var l = createIpList();
+    l.add("10.0.0.0/8", { source: "a" });
+    l.add("172.16.0.0/12", { source: "a" });
+    l.add("192.168.0.0/16", { source: "b" });
+    assert.strictEqual(l.remove("10.0.0.1/8"), true);
+    assert.strictEqual(l.remove("10.0.0.0/8"), false);
+    assert.strictEqual(l.contains("10.1.1.1"), false);
+    assert.strictEqual(l.removeSource("a"), 1);
+    var st = l.getStats();
+    assert.strictEqual(st.size, 1);
+    assert.deepStrictEqual(Object.keys(st.sources), ["b"]);
+  });
+
+  it("rejects invalid networks", function () {
+    var l = createIpList();
+    assert.throws(function () { l.add("10.0.0.0/33"); }, TypeError);
+    assert.throws(function () { l.add("example.com"); }, TypeError);
+  });
+
+  it("round-trips through exportState/importState", function () {
+    var a = createIpList();
+    a.add("2001:db8::/48", { source: "ops", comment: "test net", expiresAt: 9e15 });
+    var b = createIpList();
+    b.importState(a.exportState());
+    assert.deepStrictEqual(b.list(), a.list());
+  });
+});
+
+describe("parseIpFeed", function () {
+  it("parses plain text with # and ; comments", function () {
+    var items = parseIpFeed("# DROP list\n1.10.16.0/20 ; SBL256894\n\n2001:db8::/32\n  203.0.113.5  # scanner\n", "text");
+    assert.deepStrictEqual(items.map(function (i) { return i.network; }), ["1.10.16.0/20", "2001:db8::/32", "203.0.113.5"]);
+    assert.strictEqual(items[0].comment, "SBL256894");
+    assert.strictEqual(items[2].line, 5);
+  });
+
+  it("parses CSV with a header", function () {
+    var items = parseIpFeed('cidr,reason,expires\n10.0.0.0/8,"internal, lab",2030-01-01T00:00:00Z\n192.0.2.0/24,,\n', "csv");
+    assert.strictEqual(items.length, 2);
+    assert.strictEqual(items[0].comment, "internal, lab");
+    assert.strictEqual(items[0].expiresAt, Date.parse("2030-01-01T00:00:00Z"));
+    assert.strictEqual(items[1].expiresAt, null);
+  });
+
+  it("parses headerless CSV", function () {
+    var items = parseIpFeed("10.0.0.0/8,x\n11.0.0.0/8,y\n", "csv");
+    assert.deepStrictEqual(items.map(function (i) { return i.network; }), ["10.0.0.0/8", "11.0.0.0/8"]);
+  });
+
+  it("parses JSON arrays and wrapped entries", function () {
+    assert.strictEqual(parseIpFeed('["10.0.0.0/8"]', "json")[0].network, "10.0.0.0/8");
+    var items = parseIpFeed(JSON.stringify({ entries: [{ cidr: "192.0.2.0/24", reason: "abuse", expiresAt: 5 }] }), "json");
+    assert.deepStrictEqual(items[0], { network: "192.0.2.0/24", expiresAt: 5, comment: "abuse", source: null, line: 1 });
+    assert.throws(function () { parseIpFeed('{"x":1}', "json"); }, TypeError);
+    assert.throws(function () { parseIpFeed("{", "json"); }, SyntaxError);
+  });
+
+  it("rejects unknown formats", function () {
+    assert.throws(function () { parseIpFeed("", "xml"); }, RangeError);
+  });
+});
+
+describe("feed loading", function () {
+  it("replaces a source's entries on reload and reports invalid lines", function () {
+    var l = createIpList();
+    l.add("198.51.100.0/24", { source: "manual" });
+    var r1 = l.load("10.0.0.0/8\n11.0.0.0/8\nbogus\n", { source: "feed" });
+    assert.strictEqual(r1.added, 2);
+    assert.deepStrictEqual(r1.invalid, [{ line: 3, value: "bogus" }]);
+    var r2 = l.load("11.0.0.0/8\n", { source: "feed" });
+    assert.strictEqual(r2.removed, 2);
+    assert.strictEqual(l.contains("10.0.0.1"), false);
+    assert.strictEqual(l.contains("11.0.0.1"), true);
+    assert.strictEqual(l.contains("198.51.100.1"), true);
+  });
+
+  it("applies ttlMs to entries without their own expiry", function () {
+    var l = createIpList({ now: function () { return 1000; } });
+    l.load(JSON.stringify([{ network: "10.0.0.0/8" }, { network: "11.0.0.0/8", expiresAt: 5000 }]), { format: "json", source: "f", ttlMs: 100 });
+    assert.strictEqual(l.lookup("10.0.0.1").expiresAt, 1100);
+    assert.strictEqual(l.lookup("11.0.0.1").expiresAt, 5000);
+  });
+
+  it("loads files, picking the format from the extension", function () {
+    var csv = tmpFile("feed.csv", "network,comment\n10.0.0.0/8,corp\n");
+    var txt = tmpFile("drop.txt", "192.0.2.0/24 ; SBL1\n");
+    try {
+      var l = createIpList();
+      assert.strictEqual(l.loadFile(csv).source, csv);
+      l.loadFile(txt, { source: "drop" });
+      assert.strictEqual(l.lookup("10.1.1.1").comment, "corp");
+      assert.strictEqual(l.lookup("192.0.2.1").source, "drop");
+    } finally {
+      fs.rmSync(path.dirname(csv), { recursive: true, force: true });
+      fs.rmSync(path.dirname(txt), { recursive: true, force: true });
+    }
+  });
+
+  it("watchFile reloads changed files and keeps entries on errors", async function () {
+    var file = tmpFile("watch.txt", "10.0.0.0/8\n");
+    var reloads = [];
+    var errors = [];
+    var l = createIpList();
+    var w = l.watchFile(file, {
+      source: "watch",
+      intervalMs: 3600000,
+      onReload: function (r) { reloads.push(r); },
+      onError: function (e) { errors.push(e); }
+    });
+    try {
+      await w.reload();
+      assert.strictEqual(l.contains("10.0.0.1"), true);
+      fs.writeFileSync(file, "11.0.0.0/8\n12.0.0.0/8\n");
+      await w.reload();
+      assert.strictEqual(l.contains("10.0.0.1"), false);
+      assert.strictEqual(l.contains("12.0.0.1"), true);
+      assert.strictEqual(reloads.length, 2);
+      fs.rmSync(file);
+      assert.strictEqual(await w.reload(), null);
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(l.contains("12.0.0.1"), true);
+    } finally {
+      w.stop();
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
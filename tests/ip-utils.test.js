@@ -0,0 +1,75 @@
+/**
+ * Tests for ip-utils.js — address parsing, canonical formatting and CIDR matching.
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var ipUtils = require("../src/ip-utils");
+
+describe("parseIp", function () {
+  it("parses IPv4 and rejects malformed quads", function () {
+    assert.deepEqual(ipUtils.parseIp("192.0.2.1"), { version: 4, bytes: [192, 0, 2, 1] });
+    ["256.0.0.1", "1.2.3", "01.2.3.4", "1.2.3.4.5", "a.b.c.d", ""].forEach(function (s) {
+      assert.equal(ipUtils.parseIp(s), null, s);
+    });
+  });
+
+  it("parses IPv6 forms, brackets and zone ids", function () {
+    assert.equal(ipUtils.parseIp("::").version, 6);
+    assert.equal(ipUtils.parseIp("[2001:db8::1]").bytes[15], 1);
+    assert.equal(ipUtils.parseIp("fe80::1%eth0").bytes[0], 0xfe);
+    ["1::2::3", "1:2:3:4:5:6:7:8:9", "1:2:3:4:5:6:7", "12345::", "::g"].forEach(function (s) {
+      assert.equal(ipUtils.parseIp(s), null, s);
+    });
+  });
+
+  it("treats IPv4-mapped IPv6 as IPv4", function () {
+    assert.deepEqual(ipUtils.parseIp("::ffff:198.51.100.7"), { version: 4, bytes: [198, 51, 100, 7] });
+    assert.equal(ipUtils.parseIp("64:ff9b::198.51.100.7").version, 6);
+  });
+});
+
+describe("formatting", function () {
+  it("produces RFC 5952 canonical IPv6", function () {
+    assert.equal(ipUtils.normalizeIp("2001:0DB8:0000:0000:0000:0000:0000:0001"), "2001:db8::1");
+    assert.equal(ipUtils.normalizeIp("2001:db8:0:0:1:0:0:1"), "2001:db8::1:0:0:1");
+    assert.equal(ipUtils.normalizeIp("2001:db8:0:1:1:1:1:1"), "2001:db8:0:1:1:1:1:1");
+    assert.equal(ipUtils.normalizeIp("::1"), "::1");
+    assert.equal(ipUtils.normalizeIp("nope"), null);
+  });
+
+  it("derives network keys", function () {
+    assert.equal(ipUtils.networkKey("198.51.100.7", 24), "198.51.100.0/24");
+    assert.equal(ipUtils.networkKey("2001:db8:1:2:3:4:5:6", 64), "2001:db8:1:2::/64");
+    assert.equal(ipUtils.networkKey("10.1.2.3", 99), "10.1.2.3/32");
+    assert.equal(ipUtils.networkKey("host.example", 24), null);
+  });
+});
+
+describe("CIDR", function () {
+  it("parses ranges and clears host bits", function () {
+    assert.equal(ipUtils.formatCidr(ipUtils.parseCidr("10.1.2.3/8")), "10.0.0.0/8");
+    assert.equal(ipUtils.formatCidr(ipUtils.parseCidr("192.0.2.9")), "192.0.2.9/32");
+    assert.equal(ipUtils.formatCidr(ipUtils.parseCidr("::ffff:10.0.0.0/104")), "10.0.0.0/8");
+    assert.equal(ipUtils.parseCidr("10.0.0.0/33"), null);
+    assert.equal(ipUtils.parseCidr("10.0.0.0/x"), null);
+  });
+
+  it("matches addresses on non-octet boundaries", function () {
+    var c = ipUtils.parseCidr("10.0.0.0/9");
+    assert.equal(ipUtils.cidrContains(c, "10.127.255.255"), true);
+    assert.equal(ipUtils.cidrContains(c, "10.128.0.0"), false);
+    assert.equal(ipUtils.cidrContains(ipUtils.parseCidr("2001:db8::/33"), "2001:db8:7fff::1"), true);
+    assert.equal(ipUtils.cidrContains(ipUtils.parseCidr("2001:db8::/33"), "2001:db8:8000::1"), false);
+    assert.equal(ipUtils.cidrContains(c, "::ffff:10.1.1.1"), true);
+    assert.equal(ipUtils.cidrContains(ipUtils.parseCidr("0.0.0.0/0"), "2001:db8::1"), false);
+  });
+
+  it("recognises range notation", function () {
+    assert.equal(ipUtils.isCidr("10.0.0.0/8"), true);
+    assert.equal(ipUtils.isCidr("10.0.0.1"), false);
+    assert.equal(ipUtils.isCidr("session/abc"), false);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for jws.js - compact JWS helpers behind createTokenVerifier.
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var crypto = require("node:crypto");
+var jws = require("../src/jws.js");
+
+var HS_KEY = jws.normalizeKey({ kid: "h1", alg: "HS256", secret: "0123456789abcdef" });
+
+describe("jws", function () {
+  it("round-trips HS256 and EdDSA", function () {
+    var pair = crypto.generateKeyPairSync("ed25519");
+    var ed = jws.normalizeKey({ kid: "e1", alg: "EdDSA", privateKey: pair.privateKey });
+    [HS_KEY, ed].forEach(function (key) {
+      var token = jws.sign({ sub: "s", n: 1 }, key);
+      var decoded = jws.decode(token);
+      assert.deepEqual(decoded.header, { alg: key.alg, kid: key.kid });
+      assert.deepEqual(jws.verify(decoded, key), { valid: true, claims: { sub: "s", n: 1 } });
+    });
+  });
+
+  it("does not let extra headers override alg or kid", function () {
+    var decoded = jws.decode(jws.sign({}, HS_KEY, { alg: "none", kid: "x", typ: "JWT" }));
+    assert.deepEqual(decoded.header, { alg: "HS256", kid: "h1", typ: "JWT" });
+  });
+
+  it("rejects malformed compact serializations", function () {
+    assert.equal(jws.decode("a.b"), null);
+    assert.equal(jws.decode("!!.b.c"), null);
+    assert.equal(jws.decode(Buffer.from("[1]").toString("base64url") + ".b.c"), null);
+    assert.equal(jws.decode(null), null);
+  });
+
+  it("reports signature and payload failures", function () {
+    var parts = jws.sign({ a: 1 }, HS_KEY).split(".");
+    assert.equal(jws.verify(jws.decode(parts[0] + "." + parts[1] + ".AAAA"), HS_KEY).reason, "invalid_signature");
+    var badPayload = "bm90anNvbg";
+    var sig = crypto.createHmac("sha256", HS_KEY.secret).update(parts[0] + "." + badPayload).digest("base64url");
+    assert.equal(jws.verify(jws.decode(parts[0] + "." + badPayload + "." + sig), HS_KEY).reason, "corrupt_payload");
+  });
+
+  it("exports public JWKs only for EdDSA keys", function () {
+    var pair = crypto.generateKeyPairSync("ed25519");
+    var ed = jws.normalizeKey({ kid: "e1", alg: "EdDSA", publicKey: pair.publicKey.export({ type: "spki", format: "pem" }) });
+    var jwk = jws.publicJwk(ed);
+    assert.deepEqual(Object.keys(jwk).sort(), ["alg", "crv", "kid", "kty", "use", "x"]);
+    assert.equal(jws.publicJwk(HS_KEY), null);
+    assert.throws(function () { jws.sign({}, ed); }, /cannot sign/);
+  });
+
+  it("rejects non-Ed25519 keys for EdDSA", function () {
+    var ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    assert.throws(function () { jws.normalizeKey({ kid: "x", alg: "EdDSA", privateKey: ec.privateKey }); }, /Ed25519/);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for keystroke-dynamics and its use in createBotDetector and
+ * createBehavioralBiometrics.
+ */
+var gifCaptcha = require('../src/index');
+var kd = require('../src/keystroke-dynamics');
+var createBehavioralBiometrics = require('../src/behavioral-biometrics').createBehavioralBiometrics;
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+function makeRng(seed) {
+  var s = seed;
+  return function () {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    return s / 0x7fffffff;
+  };
+}
+
+function gauss(rng) {
+  return Math.sqrt(-2 * Math.log(rng() || 1e-9)) * Math.cos(2 * Math.PI * rng());
+}
+
+var TEXT = 'the quick brown fox jumps over the lazy dog and then some more words ';
+
+// A typist whose flight time depends on the key pair: `cross` between
+// hands, `same` within one hand, `space` around spaces.
+function typist(style, rng, corrections) {
+  var out = [];
+  var t = 0;
+  var prev = null;
+  for (var i = 0; i < TEXT.length; i++) {
+    var cls = kd.keyClass(TEXT[i]);
+    var f = style.cross;
+    if (prev === 'space' || cls === 'space') f = style.space;
+    else if (prev === cls) f = style.same;
+    if (prev) t += Math.max(20, f + gauss(rng) * f * 0.15);
+    var hold = Math.max(30, style.hold + gauss(rng) * 12);
+    out.push({ key: TEXT[i], downAt: Math.round(t), upAt: Math.round(t + hold) });
+    if (corrections && i % 20 === 19) {
+      t += 400;
+      out.push({ key: 'Backspace', downAt: Math.round(t), upAt: Math.round(t + 80) });
+    }
+    prev = cls;
+  }
+  return out;
+}
+
+// Same keys, intervals drawn independently from the typist's own
+// interval distribution: right histogram, no pairing structure.
+function flatReplay(keystrokes, rng) {
+  var intervals = [];
+  for (var i = 1; i < keystrokes.length; i++) intervals.push(keystrokes[i].downAt - keystrokes[i - 1].downAt);
+  var t = 0;
+  return keystrokes.map(function (k, j) {
+    if (j > 0) t += intervals[Math.floor(rng() * intervals.length)];
+    return { key: k.key, downAt: t, upAt: t + (k.upAt - k.downAt) };
+  });
+}
+
+var ALICE = { cross: 110, same: 190, space: 230, hold: 95 };
+var BOB = { cross: 190, same: 200, space: 320, hold: 140 };
+
+describe('keyClass', function () {
+  test('maps keys to classes without keeping the key', function () {
+    assert.strictEqual(kd.keyClass('a'), 'left');
+    assert.strictEqual(kd.keyClass('KeyJ'), 'right');
+    assert.strictEqual(kd.keyClass('P'), 'right');
+    assert.strictEqual(kd.keyClass('Digit7'), 'digit');
+    assert.strictEqual(kd.keyClass('4'), 'digit');
+    assert.strictEqual(kd.keyClass(' '), 'space');
+    assert.strictEqual(kd.keyClass('Backspace'), 'correction');
+    assert.strictEqual(kd.keyClass('ShiftLeft'), 'modifier');
+    assert.strictEqual(kd.keyClass('ArrowUp'), 'navigation');
+    assert.strictEqual(kd.keyClass(','), 'punct');
+    assert.strictEqual(kd.keyClass('F5'), 'other');
+    assert.strictEqual(kd.keyClass(undefined), 'other');
+    kd.KEY_CLASSES.forEach(function (c) { assert.strictEqual(kd.keyClass(c), c); });
+  });
+});
+
+describe('analyzeKeystrokeDynamics', function () {
+  test('models digraphs and trigraphs by key class', function () {
+    var d = kd.analyzeKeystrokeDynamics(typist(ALICE, makeRng(1)));
+    assert.ok(d.digraphs['left>right'].mean < d.digraphs['left>left'].mean);
+    assert.ok(d.digraphs['space>left'].n > 0);
+    assert.ok(Object.keys(d.trigraphs).every(function (k) { return k.split('>').length === 3; }));
+    assert.ok(d.holds.left.n > 0);
+    assert.ok(JSON.stringify(d).indexOf('quick') === -1);
+  });
+
+  test('pairing separates real typing from a flat replay of it', function () {
+    var rng = makeRng(2);
+    var human = typist(ALICE, rng);
+    var real = kd.analyzeKeystrokeDynamics(human).pairing;
+    var replay = kd.analyzeKeystrokeDynamics(flatReplay(human, rng)).pairing;
+    assert.ok(real.eta2 > real.chance);
+    assert.strictEqual(real.score, 1);
+    assert.ok(replay.score < 0.2, 'replay ' + replay.score);
+    assert.strictEqual(kd.analyzeKeystrokeDynamics(human.slice(0, 8)).pairing, null);
+  });
+
+  test('detects rollover and corrections', function () {
+    var d = kd.analyzeKeystrokeDynamics([
+      { key: 'a', downAt: 0, upAt: 120 },
+      { key: 'j', downAt: 80, upAt: 160 },
+      { key: 'k', downAt: 250, upAt: 330 },
+      { code: 'Backspace', downAt: 900, upAt: 980 },
+      { keyClass: 'correction', downAt: 1100, upAt: 1180 },
+      { key: 'l', downAt: 1300, upAt: 1380 }
+    ]);
+    assert.strictEqual(d.rollover.count, 1);
+    assert.strictEqual(d.corrections.count, 2);
+    assert.strictEqual(d.corrections.meanBurst, 2);
+    assert.ok(d.corrections.prePauseRatio > 2);
+  });
+
+  test('accepts biometrics-style events', function () {
+    var d = kd.analyzeKeystrokeDynamics([
+      { duration: 90, t: 1000, keyClass: 'left' },
+      { duration: 80, t: 1100, keyClass: 'right' }
+    ]);
+    assert.strictEqual(d.digraphs['left>right'].mean, 100);
+    assert.strictEqual(d.holds.right.mean, 80);
+  });
+});
+
+describe('typing profiles', function () {
+  test('recognise the same typist across sessions', function () {
+    var rng = makeRng(3);
+    var profile = kd.mergeTypingProfiles(
+      kd.buildTypingProfile(typist(ALICE, rng, true)),
+      kd.buildTypingProfile(typist(ALICE, rng)));
+    assert.strictEqual(profile.sessions, 2);
+    var same = kd.compareTypingProfiles(profile, typist(ALICE, rng));
+    var other = kd.compareTypingProfiles(profile, typist(BOB, rng));
+    assert.strictEqual(same.match, true);
+    assert.strictEqual(other.match, false);
+    assert.ok(same.similarity > other.similarity);
+    assert.ok(same.sharedFeatures >= 3);
+  });
+
+  test('merge pools per-digraph statistics', function () {
+    var rng = makeRng(4);
+    var a = typist(ALICE, rng);
+    var b = typist(ALICE, rng);
+    var merged = kd.mergeTypingProfiles(kd.buildTypingProfile(a), kd.buildTypingProfile(b));
+    var first = kd.buildTypingProfile(a).digraphs['left>right'];
+    var second = kd.buildTypingProfile(b).digraphs['left>right'];
+    assert.strictEqual(merged.digraphs['left>right'].n, first.n + second.n);
+    var expected = (first.mean * first.n + second.mean * second.n) / (first.n + second.n);
+    assert.ok(Math.abs(merged.digraphs['left>right'].mean - expected) < 1e-9);
+  });
+
+  test('needs enough shared features and a valid profile', function () {
+    var profile = kd.buildTypingProfile(typist(ALICE, makeRng(5)));
+    var r = kd.compareTypingProfiles(profile, [{ key: 'a', downAt: 0, upAt: 90 }]);
+    assert.strictEqual(r.sufficient, false);
+    assert.strictEqual(r.match, null);
+    assert.throws(function () { kd.compareTypingProfiles({ version: 9 }, []); }, TypeError);
+  });
+});
+
+describe('createBotDetector keystroke dynamics', function () {
+  test('flags flat replayed timing', function () {
+    var rng = makeRng(6);
+    var detector = gifCaptcha.createBotDetector();
+    var human = typist(ALICE, rng);
+    var real = detector.analyzeKeystrokes(human);
+    var replay = detector.analyzeKeystrokes(flatReplay(human, rng));
+    assert.strictEqual(real.digraphPairing, 1);
+    assert.ok(real.flags.indexOf('flat_digraph_timing') === -1);
+    assert.ok(replay.flags.indexOf('flat_digraph_timing') !== -1);
+    assert.ok(replay.score >= real.score + 20);
+    assert.strictEqual(detector.analyzeKeystrokes([]).digraphPairing, null);
+  });
+
+  test('adds keystroke_pairing to the feature vector', function () {
+    var names = gifCaptcha.BOT_DETECTOR_FEATURES;
+    var detector = gifCaptcha.createBotDetector();
+    var f = detector.extractFeatures({ keystrokes: typist(ALICE, makeRng(7)) });
+    assert.strictEqual(f.values[names.indexOf('keystroke_pairing')], 1);
+    assert.strictEqual(detector.extractFeatures({}).values[names.indexOf('keystroke_pairing')], 0.5);
+  });
+
+  test('enrols typists and checks them in analyze', function () {
+    var rng = makeRng(8);
+    var detector = gifCaptcha.createBotDetector({ maxTypingProfiles: 2 });
+    detector.enrollTypist('alice', typist(ALICE, rng));
+    detector.enrollTypist('alice', typist(ALICE, rng));
+    assert.strictEqual(detector.getTypingProfile('alice').sessions, 2);
+    assert.strictEqual(detector.matchTypist('alice', typist(ALICE, rng)).match, true);
+    assert.strictEqual(detector.matchTypist('nobody', []), null);
+
+    var r = detector.analyze({ userId: 'alice', keystrokes: typist(BOB, rng) });
+    assert.strictEqual(r.typist.match, false);
+    assert.ok(r.flags.indexOf('typist_mismatch') !== -1);
+    assert.strictEqual(detector.analyze({ keystrokes: typist(BOB, rng) }).typist, undefined);
+
+    // Profiles round-trip through JSON and the oldest is evicted.
+    var copy = gifCaptcha.createBotDetector();
+    copy.setTypingProfile('alice', JSON.parse(JSON.stringify(detector.getTypingProfile('alice'))));
+    assert.strictEqual(copy.matchTypist('alice', typist(ALICE, rng)).match, true);
+    detector.enrollTypist('bob', typist(BOB, rng));
+    detector.matchTypist('alice', []);
+    detector.enrollTypist('carol', typist(BOB, rng));
+    assert.strictEqual(detector.getTypingProfile('bob'), null);
+    assert.ok(detector.getTypingProfile('alice'));
+    assert.throws(function () { detector.setTypingProfile('x', {}); }, TypeError);
+  });
+});
+
+describe('createBehavioralBiometrics keystroke dynamics', function () {
+  function record(bio, keystrokes) {
+    keystrokes.forEach(function (k) { bio.recordKeystroke(k.upAt - k.downAt, k.downAt, k.key); });
+  }
+
+  test('stores key classes only and scores pairing', function () {
+    var rng = makeRng(9);
+    var human = typist(ALICE, rng);
+    var bio = createBehavioralBiometrics({ collectKeystrokes: true });
+    record(bio, human);
+    var exported = bio.exportEvents().keystrokes;
+    assert.strictEqual(exported[0].keyClass, 'left');
+    assert.ok(exported.every(function (e) { return !('key' in e); }));
+    var real = bio.analyzeKeystrokes();
+    assert.strictEqual(real.metrics.digraphPairing, 1);
+
+    var replayed = createBehavioralBiometrics({ collectKeystrokes: true });
+    record(replayed, flatReplay(human, rng));
+    assert.ok(replayed.analyzeKeystrokes().score < real.score);
+  });
+
+  test('builds a typist profile the detector can match', function () {
+    var rng = makeRng(10);
+    var bio = createBehavioralBiometrics({ collectKeystrokes: true });
+    record(bio, typist(ALICE, rng));
+    var detector = gifCaptcha.createBotDetector();
+    detector.setTypingProfile('alice', bio.getTypingProfile());
+    assert.strictEqual(detector.matchTypist('alice', typist(ALICE, rng)).match, true);
+    assert.strictEqual(createBehavioralBiometrics().getTypingProfile(), null);
+  });
+
+  test('keeps the old score without key classes', function () {
+    var bio = createBehavioralBiometrics({ collectKeystrokes: true });
+    [90, 120, 70, 150, 100].forEach(function (d, i) { bio.recordKeystroke(d, 1000 + i * 180 + i * i * 7); });
+    assert.strictEqual(bio.analyzeKeystrokes().metrics.digraphPairing, null);
+  });
+});
@@ -0,0 +1,175 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var mmdb = require("../src/mmdb-reader");
+var buildMmdb = require("./_mmdb-fixture").buildMmdb;
+
+var LONDON = {
+  city: { geoname_id: 2643743, names: { en: "London", de: "London" } },
+  country: { iso_code: "GB", names: { en: "United Kingdom" } },
+  location: { latitude: 51.5142, longitude: -0.0931, accuracy_radius: 10 }
+};
+var TOKYO = {
+  city: { names: { en: "Tokyo", ja: "東京" } },
+  country: { iso_code: "JP" },
+  location: { latitude: 35.6895, longitude: 139.6917 }
+};
+
+function cityDb(recordSize) {
+  return buildMmdb([
+    { network: "81.2.69.0/24", data: LONDON },
+    { network: "81.2.69.192/28", data: { country: { iso_code: "GB" }, traits: { is_anonymous_proxy: true } } },
+    { network: "2001:db8::/32", data: TOKYO }
+  ], { recordSize: recordSize });
+}
+
+describe("createMmdbReader", function () {
+  [24, 28, 32].forEach(function (size) {
+    it("looks up IPv4 and IPv6 with " + size + "-bit records", function () {
+      var r = mmdb.createMmdbReader(cityDb(size));
+      assert.strictEqual(r.metadata.record_size, size);
+      assert.deepStrictEqual(r.lookup("81.2.69.160"), LONDON);
+      assert.deepStrictEqual(r.lookup("2001:db8:1::7"), TOKYO);
+      assert.strictEqual(r.lookup("81.2.70.1"), null);
+      assert.strictEqual(r.lookup("2001:db9::1"), null);
+    });
+  });
+
+  it("reports the matched network", function () {
+    var r = mmdb.createMmdbReader(cityDb(24));
+    var hit = r.lookupWithPrefix("81.2.69.200");
+    assert.strictEqual(hit.prefixLength, 28);
+    assert.strictEqual(hit.network, "81.2.69.192/28");
+    assert.strictEqual(hit.data.traits.is_anonymous_proxy, true);
+    assert.strictEqual(r.lookupWithPrefix("2001:db8::1").network, "2001:db8::/32");
+    var miss = r.lookupWithPrefix("10.0.0.1");
+    assert.strictEqual(miss.data, null);
+  });
+
+  it("treats IPv4-mapped IPv6 addresses as IPv4", function () {
+    var r = mmdb.createMmdbReader(cityDb(24));
+    assert.deepStrictEqual(r.lookup("::ffff:81.2.69.160"), LONDON);
+  });
+
+  it("returns null for non-addresses", function () {
+    var r = mmdb.createMmdbReader(cityDb(24));
+    assert.strictEqual(r.lookup("not-an-ip"), null);
+    assert.strictEqual(r.lookupWithPrefix(""), null);
+  });
+
+  it("reads IPv4-only databases and skips IPv6 lookups", function () {
+    var r = mmdb.createMmdbReader(buildMmdb([
+      { network: "192.0.2.0/24", data: { autonomous_system_number: 64500 } }
+    ], { ipVersion: 4 }));
+    assert.strictEqual(r.lookup("192.0.2.9").autonomous_system_number, 64500);
+    assert.strictEqual(r.lookup("2001:db8::1"), null);
+  });
+
+  it("decodes every value type", function () {
+    var data = {
+      str: "héllo",
+      long: "x".repeat(300),
+      dbl: -12.5,
+      flt: { $float: 1.5 },
+      u16: 443,
+      u32: 4000000000,
+      i32: -42,
+      u64: BigInt("18446744073709551615"),
+      small64: BigInt(7),
+      u128: BigInt("340282366920938463463374607431768211455"),
+      yes: true,
+      no: false,
+      arr: [1, "two", [3]],
+      bytes: Buffer.from([1, 2, 3]),
+      empty: {}
+    };
+    var r = mmdb.createMmdbReader(buildMmdb([{ network: "192.0.2.0/24", data: data }]));
+    var got = r.lookup("192.0.2.1");
+    assert.strictEqual(got.str, "héllo");
+    assert.strictEqual(got.long.length, 300);
+    assert.strictEqual(got.dbl, -12.5);
+    assert.strictEqual(got.flt, 1.5);
+    assert.strictEqual(got.u16, 443);
+    assert.strictEqual(got.u32, 4000000000);
+    assert.strictEqual(got.i32, -42);
+    assert.strictEqual(got.u64, BigInt("18446744073709551615"));
+    assert.strictEqual(got.small64, 7);
+    assert.strictEqual(got.u128, BigInt("340282366920938463463374607431768211455"));
+    assert.strictEqual(got.yes, true);
+    assert.strictEqual(got.no, false);
+    assert.deepStrictEqual(got.arr, [1, "two", [3]]);
+    assert.deepStrictEqual(Array.from(got.bytes), [1, 2, 3]);
+    assert.deepStrictEqual(got.empty, {});
+    assert.strictEqual(r.metadata.build_epoch, 1700000000);
+  });
+
+  it("caches decoded records by data offset", function () {
+    var r = mmdb.createMmdbReader(cityDb(24));
+    r.lookup("81.2.69.1");
+    r.lookup("81.2.69.2");
+    r.lookup("81.2.69.3");
+    var st = r.getStats();
+    assert.strictEqual(st.lookups, 3);
+    assert.strictEqual(st.found, 3);
+    assert.strictEqual(st.cacheHits, 2);
+    assert.strictEqual(st.cached, 1);
+    assert.strictEqual(st.databaseType, "Test-City");
+
+    var uncached = mmdb.createMmdbReader(cityDb(24), { cacheSize: 0 });
+    uncached.lookup("81.2.69.1");
+    uncached.lookup("81.2.69.2");
+    assert.strictEqual(uncached.getStats().cacheHits, 0);
+  });
+
+  it("rejects files that are not MaxMind databases", function () {
+    assert.throws(function () { mmdb.createMmdbReader("x"); }, TypeError);
+    assert.throws(function () { mmdb.createMmdbReader(Buffer.from("hello world")); }, /metadata marker not found/);
+    var bad = buildMmdb([{ network: "192.0.2.0/24", data: {} }], { metadata: { binary_format_major_version: 1 } });
+    assert.throws(function () { mmdb.createMmdbReader(bad); }, /format version 1/);
+    var big = buildMmdb([{ network: "192.0.2.0/24", data: {} }], { metadata: { node_count: 1e6 } });
+    assert.throws(function () { mmdb.createMmdbReader(big); }, /search tree larger than file/);
+  });
+
+  it("opens databases from disk", function () {
+    var file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mmdb-")), "city.mmdb");
+    fs.writeFileSync(file, cityDb(28));
+    try {
+      assert.deepStrictEqual(mmdb.openMmdb(file).lookup("81.2.69.160"), LONDON);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+    assert.throws(function () { mmdb.openMmdb(""); }, TypeError);
+  });
+});
+
+describe("extractGeoFields", function () {
+  it("flattens City records", function () {
+    assert.deepStrictEqual(mmdb.extractGeoFields(LONDON), {
+      country: "GB", city: "London", lat: 51.5142, lon: -0.0931
+    });
+    assert.strictEqual(mmdb.extractGeoFields(TOKYO, "ja").city, "東京");
+    assert.strictEqual(mmdb.extractGeoFields(TOKYO, "fr").city, "Tokyo");
+  });
+
+  it("flattens ASN and anonymizer records", function () {
+    assert.deepStrictEqual(mmdb.extractGeoFields({
+      autonomous_system_number: 16509,
+      autonomous_system_organization: "AMAZON-02"
+    }), { asn: 16509, asOrg: "AMAZON-02" });
+    assert.deepStrictEqual(mmdb.extractGeoFields({
+      is_anonymous_vpn: true, is_hosting_provider: true, is_tor_exit_node: true, is_public_proxy: true
+    }), { isProxy: true, isDatacenter: true, isTor: true, isVpn: true });
+  });
+
+  it("falls back to the registered country", function () {
+    assert.strictEqual(mmdb.extractGeoFields({ registered_country: { iso_code: "DE" } }).country, "DE");
+  });
+
+  it("returns an empty object for misses", function () {
+    assert.deepStrictEqual(mmdb.extractGeoFields(null), {});
+  });
+});
@@ -434,3 +434,125 @@ test('full flow: issue → solve → verify', function () {
   assert.equal(replay.valid, false);
   assert.equal(replay.reason, 'replay');
 });
+
+// ── scrypt mode ────────────────────────────────────────────────────
+
+var crypto = require('node:crypto');
+var vm = require('node:vm');
+var powSolver = require('../src/pow-solver');
+
+var SMALL_SCRYPT = { N: 16, r: 1, p: 1, keyLen: 32 };
+
+test('scrypt mode issues challenges carrying cost params', function () {
+  var pow = gifCaptcha.createProofOfWork({ algorithm: 'scrypt' });
+  assert.equal(pow.getDifficulty(), 6);
+  var c = pow.issue();
+  assert.equal(c.algorithm, 'scrypt');
+  assert.deepEqual(c.params, { N: 1024, r: 8, p: 1, keyLen: 32 });
+  assert.equal(pow.summary().algorithm, 'scrypt');
+});
+
+test('scrypt challenge round trip: solve, verify, replay', function () {
+  var pow = gifCaptcha.createProofOfWork({ algorithm: 'scrypt', scrypt: SMALL_SCRYPT, difficulty: 4 });
+  var c = pow.issue();
+  var sol = pow.solve(c);
+  var expected = crypto.scryptSync(sol.nonce, c.prefix, 32, { N: 16, r: 1, p: 1 }).toString('hex');
+  assert.equal(sol.hash, expected);
+  var r = pow.verify({ prefix: c.prefix, nonce: sol.nonce });
+  assert.equal(r.valid, true);
+  assert.equal(r.hash, expected);
+  assert.equal(pow.verify({ prefix: c.prefix, nonce: sol.nonce }).reason, 'replay');
+});
+
+test('scrypt mode rejects a SHA-256 solution', function () {
+  var pow = gifCaptcha.createProofOfWork({ algorithm: 'scrypt', scrypt: SMALL_SCRYPT, difficulty: 8 });
+  var c = pow.issue();
+  var sha = pow.solve({ prefix: c.prefix, difficulty: 8, algorithm: 'sha256' });
+  var r = pow.verify({ prefix: c.prefix, nonce: sha.nonce });
+  // A 1-in-256 chance the nonce happens to satisfy scrypt too
+  if (!r.valid) assert.equal(r.reason, 'insufficient_work');
+});
+
+test('overlong nonces are refused without consuming the challenge', function () {
+  var pow = gifCaptcha.createProofOfWork({ algorithm: 'scrypt', scrypt: SMALL_SCRYPT });
+  var c = pow.issue();
+  assert.equal(pow.verify({ prefix: c.prefix, nonce: 'x'.repeat(129) }).reason, 'invalid_nonce');
+  assert.equal(pow.pendingCount(), 1);
+});
+
+test('invalid algorithm and scrypt params throw', function () {
+  assert.throws(function () { gifCaptcha.createProofOfWork({ algorithm: 'md5' }); }, TypeError);
+  assert.throws(function () { gifCaptcha.createProofOfWork({ algorithm: 'scrypt', scrypt: { N: 1000 } }); }, RangeError);
+});
+
+test('estimateCost calibrates per algorithm', function () {
+  var sha = gifCaptcha.createProofOfWork();
+  var scr = gifCaptcha.createProofOfWork({ algorithm: 'scrypt' });
+  assert.equal(sha.estimateCost(16).estimatedMs, '~66ms');
+  var e = scr.estimateCost(6);
+  assert.equal(e.algorithm, 'scrypt');
+  assert.equal(e.hashesPerSecond, 100);
+  assert.equal(e.expectedMs, 640);
+  assert.equal(e.estimatedMs, '~0.6s');
+  assert.equal(e.memoryBytes, 1024 * 1024);
+  // Halving N doubles the rate
+  assert.equal(scr.estimateCost(6, { params: { N: 512, r: 8, p: 1, keyLen: 32 } }).hashesPerSecond, 200);
+  assert.equal(sha.estimateCost(16, { algorithm: 'scrypt' }).hashesPerSecond, 100);
+  assert.equal(scr.estimateCost(6, { targetMs: 1000 }).recommendedDifficulty, 6);
+  assert.equal(sha.estimateCost(16, { targetMs: 200, hashesPerSecond: 5e5 }).recommendedDifficulty, 16);
+});
+
+// ── Browser solver ─────────────────────────────────────────────────
+
+test('pow-solver hashes match node:crypto', function () {
+  var long = 'p'.repeat(150);
+  assert.equal(
+    powSolver.hashProofOfWork({ prefix: long }, '1z'),
+    crypto.createHash('sha256').update(long + ':1z').digest('hex')
+  );
+  var ch = { prefix: 'abc', algorithm: 'scrypt', params: { N: 64, r: 2, p: 2, keyLen: 48 } };
+  assert.equal(
+    powSolver.hashProofOfWork(ch, 'n'),
+    crypto.scryptSync('n', 'abc', 48, { N: 64, r: 2, p: 2 }).toString('hex')
+  );
+});
+
+test('solveProofOfWork finds nonces the server accepts', async function () {
+  var pow = gifCaptcha.createProofOfWork({ algorithm: 'scrypt', scrypt: SMALL_SCRYPT, difficulty: 5 });
+  var c = pow.issue();
+  var sol = await powSolver.solveProofOfWork(c);
+  assert.equal(sol.usedWorker, false);
+  assert.equal(pow.verify({ prefix: c.prefix, nonce: sol.nonce }).valid, true);
+});
+
+test('solveProofOfWork reports progress and can be cancelled', async function () {
+  var ctl = new AbortController();
+  var reports = [];
+  var p = powSolver.solveProofOfWork({ prefix: 'unsolvable', difficulty: 64 }, {
+    progressIntervalMs: 1,
+    onProgress: function (info) {
+      reports.push(info);
+      if (reports.length === 2) ctl.abort();
+    },
+    signal: ctl.signal
+  });
+  await assert.rejects(p, { name: 'AbortError' });
+  assert.ok(reports[1].iterations > reports[0].iterations);
+  assert.equal(reports[0].expectedIterations, Math.pow(2, 64));
+});
+
+test('solveProofOfWork validates the challenge', async function () {
+  await assert.rejects(powSolver.solveProofOfWork({ difficulty: 4 }), TypeError);
+  await assert.rejects(powSolver.solveProofOfWork({ prefix: 'a', difficulty: 4, algorithm: 'scrypt', params: { N: 3 } }), TypeError);
+  await assert.rejects(powSolver.solveProofOfWork({ prefix: 'a', difficulty: 30 }, { maxIterations: 10 }), /within 10 iterations/);
+});
+
+test('worker source solves challenges in an isolated scope', function () {
+  var posted = [];
+  var scope = { postMessage: function (m) { posted.push(m); } };
+  vm.runInNewContext(powSolver.buildWorkerSource(), { self: scope, TextEncoder: TextEncoder, Uint8Array: Uint8Array, Uint32Array: Uint32Array });
+  scope.onmessage({ data: { type: 'solve', challenge: { prefix: 'w', difficulty: 8, algorithm: 'sha256' }, progressIntervalMs: 1e9, maxIterations: 1e6 } });
+  var done = posted[posted.length - 1];
+  assert.equal(done.type, 'done');
+  assert.equal(done.hash, crypto.createHash('sha256').update('w:' + done.nonce).digest('hex'));
+});
@@ -450,3 +450,61 @@ describe("createRateLimiter", function () {
     });
   });
 });
+
+describe("createRateLimiter tiers and CIDR lists", function () {
+  function tiered() {
+    return createRateLimiter({
+      windowMs: 10000,
+      maxRequests: 3,
+      burstThreshold: 100,
+      tiers: [
+        { name: "net", scope: "prefix", maxRequests: 5 },
+        { scope: "global", maxRequests: 50 },
+      ],
+    });
+  }
+
+  it("names the per-client limit when it trips", function () {
+    var limiter = tiered();
+    for (var i = 0; i < 3; i++) assert.equal(limiter.check("192.0.2.1", { now: 1000 }).tier, null);
+    assert.equal(limiter.check("192.0.2.1", { now: 1000 }).tier, "client");
+  });
+
+  it("limits addresses rotating through one network", function () {
+    var limiter = tiered();
+    for (var i = 1; i <= 5; i++) limiter.check("2001:db8:0:1::" + i, { now: 1000 });
+    var r = limiter.check("2001:db8:0:1::99", { now: 1000 });
+    assert.equal(r.allowed, false);
+    assert.equal(r.tier, "net");
+    assert.equal(r.tierKey, "2001:db8:0:1::/64");
+    assert.equal(limiter.peek("2001:db8:0:2::1", { now: 1000 }).tier, null);
+    assert.equal(limiter.getStats().totalLimited, 1);
+    assert.equal(limiter.getStats().tiers[0].totalLimited, 1);
+  });
+
+  it("reports the tightest remaining count across tiers", function () {
+    var limiter = tiered();
+    for (var i = 1; i <= 4; i++) limiter.check("198.51.100." + i, { now: 1000 });
+    assert.equal(limiter.check("198.51.100.9", { now: 1000 }).remaining, 0);
+    assert.equal(limiter.getConfig().tiers[0].maxRequests, 5);
+  });
+
+  it("accepts CIDR ranges in allow/block lists", function () {
+    var limiter = createRateLimiter({ maxRequests: 1, allowlist: ["10.0.0.0/8"] });
+    limiter.check("10.1.2.3");
+    assert.equal(limiter.check("10.1.2.3").reason, "allowlisted");
+    limiter.block("2001:DB8::/32");
+    assert.equal(limiter.check("2001:db8::5").reason, "blocklisted");
+    assert.equal(limiter.peek("2001:db8::5").limited, true);
+    limiter.unlist("2001:db8::/32");
+    assert.equal(limiter.check("2001:db8::5").reason, "ok");
+    var copy = createRateLimiter({ maxRequests: 1 });
+    copy.importState(limiter.exportState());
+    assert.equal(copy.check("10.200.0.1").reason, "allowlisted");
+  });
+
+  it("rejects invalid tiers", function () {
+    assert.throws(function () { createRateLimiter({ tiers: [{ scope: "key" }] }); }, /scope/);
+    assert.throws(function () { createRateLimiter({ tiers: [{ name: "client", scope: "ip" }] }); }, /Duplicate/);
+  });
+});
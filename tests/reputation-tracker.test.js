@@ -572,3 +572,79 @@ describe("createReputationTracker", function () {
     });
   });
 });
+
+describe("createReputationTracker CIDR lists", function () {
+  var createIpList = src.createIpList;
+
+  it("blocks every address in a CIDR and explains the match", function () {
+    var tracker = createReputationTracker();
+    tracker.addToBlocklist("203.0.113.0/24", { source: "abuse-desk", comment: "ticket 42" });
+    assert.strictEqual(tracker.isBlocklisted("203.0.113.9"), true);
+    assert.strictEqual(tracker.recordSolve("203.0.113.9").classification, "blocked");
+    var rep = tracker.getReputation("203.0.113.9");
+    assert.strictEqual(rep.classification, "blocked");
+    assert.deepStrictEqual(rep.listMatch, {
+      list: "blocklist", entry: "203.0.113.0/24", source: "abuse-desk", expiresAt: null, comment: "ticket 42"
+    });
+    assert.strictEqual(tracker.getAction("203.0.113.9").listMatch.entry, "203.0.113.0/24");
+    assert.strictEqual(tracker.isBlocklisted("203.0.114.1"), false);
+  });
+
+  it("reports exact entries as manual matches", function () {
+    var tracker = createReputationTracker();
+    tracker.addToBlocklist("device-abc");
+    assert.deepStrictEqual(tracker.getReputation("device-abc").listMatch, {
+      list: "blocklist", entry: "device-abc", source: "manual", expiresAt: null, comment: null
+    });
+    tracker.addToBlocklist("user/7");
+    assert.strictEqual(tracker.isBlocklisted("user/7"), true);
+  });
+
+  it("lets an exact allow override a blocked range", function () {
+    var tracker = createReputationTracker();
+    tracker.addToBlocklist("10.0.0.0/8");
+    tracker.addToAllowlist("10.1.2.3");
+    assert.strictEqual(tracker.getAction("10.1.2.3").action, "allow");
+    assert.strictEqual(tracker.getAction("10.1.2.4").action, "block");
+  });
+
+  it("expires range entries", function () {
+    var tracker = createReputationTracker();
+    tracker.addToBlocklist("198.51.100.7", { expiresAt: Date.now() - 1 });
+    assert.strictEqual(tracker.isBlocklisted("198.51.100.7"), false);
+    tracker.addToBlocklist("198.51.100.7", { ttlMs: 60000 });
+    assert.strictEqual(tracker.isBlocklisted("198.51.100.7"), true);
+    tracker.removeFromBlocklist("198.51.100.7");
+    assert.strictEqual(tracker.isBlocklisted("198.51.100.7"), false);
+  });
+
+  it("consults shared feed lists", function () {
+    var feed = createIpList({ name: "drop" });
+    feed.load("2001:db8::/32 ; SBL9\n", { source: "spamhaus-drop" });
+    var allow = createIpList({ entries: ["192.0.2.0/24"] });
+    var tracker = createReputationTracker({ blockLists: [feed], allowLists: allow });
+    var rep = tracker.getReputation("2001:db8::5");
+    assert.strictEqual(rep.listMatch.source, "spamhaus-drop");
+    assert.strictEqual(rep.listMatch.comment, "SBL9");
+    assert.strictEqual(rep.listMatch.list, "blocklist");
+    assert.strictEqual(tracker.getAction("192.0.2.1").reason, "allowlisted");
+    var stats = tracker.getStats();
+    assert.strictEqual(stats.blockRangeCount, 1);
+    assert.strictEqual(stats.allowRangeCount, 1);
+    tracker.reset();
+    assert.strictEqual(feed.size(), 1);
+    assert.throws(function () { createReputationTracker({ blockLists: [{}] }); }, TypeError);
+  });
+
+  it("exports and imports range entries", function () {
+    var a = createReputationTracker();
+    a.addToBlocklist("10.0.0.0/8", { source: "ops" });
+    a.addToAllowlist("2001:db8::/48");
+    var data = a.exportData();
+    assert.strictEqual(data.blockRanges[0].network, "10.0.0.0/8");
+    var b = createReputationTracker();
+    b.importData(data);
+    assert.strictEqual(b.getReputation("10.9.9.9").listMatch.source, "ops");
+    assert.strictEqual(b.isAllowlisted("2001:db8::1"), true);
+  });
+});
@@ -2,7 +2,7 @@
 
 const test = require("node:test");
 const assert = require("node:assert/strict");
-const { createSessionEvidenceBundler } = require("../src/session-evidence-bundler");
+const { createSessionEvidenceBundler, verifyChainOfCustody } = require("../src/session-evidence-bundler");
 const index = require("../src/index.js");
 
 function freshBundler() {
@@ -227,3 +227,14 @@ test("index.js exposes createSessionEvidenceBundler", () => {
   assert.equal(typeof inst.bundle, "function");
   assert.equal(typeof inst.format, "function");
 });
+
+test("verifyChainOfCustody detects edits made after bundling", () => {
+  const r = freshBundler().bundle({ sessionId: "sess_custody", decision: "BLOCK", tor: true });
+  assert.equal(verifyChainOfCustody(r).valid, true);
+  const edited = JSON.parse(JSON.stringify(r));
+  edited.playbook = [];
+  const check = verifyChainOfCustody(edited);
+  assert.equal(check.valid, false);
+  assert.equal(check.expected, r.chainOfCustody.sha256Hash);
+  assert.equal(verifyChainOfCustody({}).valid, false);
+});
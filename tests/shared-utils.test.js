@@ -254,6 +254,65 @@ describe("validateAnswer", () => {
     const r = validateAnswer("cat", "cat dog bird", { threshold: 0.9 });
     assert.ok(!r.passed); // similarity too low for 0.9 threshold
   });
+
+  it("semantic mode matches synonyms, inflections and stop words", () => {
+    assert.ok(!validateAnswer("A kitten jumps onto the sofa", "cat jumping on couch").passed);
+    const r = validateAnswer("A kitten jumps onto the sofa", "cat jumping on couch", { semantic: true });
+    assert.ok(r.passed);
+    assert.equal(r.score, 1);
+    assert.deepEqual(r.tokens, ["cat", "jump", "couch"]);
+    assert.equal(r.nearMiss, false);
+  });
+
+  it("semantic mode maps number words and normalizes keywords", () => {
+    const r = validateAnswer("Three dogs", "3 dogs", { semantic: true, requiredKeywords: ["puppies"] });
+    assert.equal(r.score, 1);
+    assert.ok(r.hasKeywords);
+  });
+
+  it("passes on accepted concepts and reports which matched", () => {
+    const concepts = { subject: ["cat"], action: ["jump"], place: ["couch", "bed"] };
+    const r = validateAnswer("an animal leaps on the bed", "cat jumping on couch", { concepts, allowHypernyms: true });
+    assert.ok(r.passed);
+    assert.deepEqual(r.matchedConcepts.map((m) => m.via), ["hypernym", "synonym", "term"]);
+    assert.deepEqual(r.missingConcepts, []);
+
+    const miss = validateAnswer("a cat jumps on the table", "cat jumping on couch", { concepts });
+    assert.ok(!miss.passed);
+    assert.ok(miss.nearMiss);
+    assert.deepEqual(miss.missingConcepts, ["place"]);
+    assert.deepEqual(miss.unmatchedTerms, ["table"]);
+    assert.ok(validateAnswer("a cat jumps on the table", "", { concepts, minConcepts: 2 }).passed);
+    const broad = validateAnswer("an animal jumps on a bed", "", { concepts });
+    assert.ok(!broad.passed);
+    assert.ok(broad.nearMiss);
+    assert.deepEqual(broad.missingConcepts, ["subject"]);
+  });
+
+  it("rejects word lists that stuff in the concepts", () => {
+    const stuffed = "cat dog bird ball sofa car tree man woman bicycle flower house boat fish horse";
+    for (const concepts of [[["dog"], ["ball"]], [["car"], ["tree"]], [["bird"], ["flower"]], [["horse"], ["boat"]]]) {
+      const r = validateAnswer(stuffed, "", { concepts });
+      assert.ok(!r.passed, concepts.join(" + "));
+      assert.equal(r.nearMiss, false);
+      assert.equal(r.reason, "unmatched_terms");
+      assert.deepEqual(r.missingConcepts, []);
+    }
+    assert.ok(!validateAnswer(stuffed, "a dog chasing a ball", { concepts: [["dog"], ["ball"]] }).passed);
+    // A real description with a few extra words still passes
+    assert.ok(validateAnswer("the dog is playing with a red ball in the garden", "", { concepts: [["dog"], ["ball"]] }).passed);
+    assert.ok(validateAnswer("a brown dog runs after a small red ball across the wet grass", "dog running after a red ball",
+      { concepts: [["dog"], ["ball"]] }).passed);
+    assert.ok(!validateAnswer("the dog is playing with a red ball in the garden", "", { concepts: [["dog"], ["ball"]], maxUnmatchedRatio: 0.5 }).passed);
+  });
+
+  it("does not let generic hypernyms stand in for concepts", () => {
+    const generic = "animal person vehicle furniture object food plant thing toy";
+    for (const concepts of [[["cat"], ["sofa"]], [["man"], ["bicycle"]]]) {
+      assert.ok(!validateAnswer(generic, "", { concepts }).passed, concepts.join(" + "));
+      assert.ok(!validateAnswer(generic, "", { concepts, allowHypernyms: true }).passed, concepts.join(" + "));
+    }
+  });
 });
 
 // ── createChallenge ─────────────────────────────────────────────
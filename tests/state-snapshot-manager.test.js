@@ -0,0 +1,301 @@
+/**
+ * Tests for state-snapshot-manager.js
+ */
+
+"use strict";
+
+var { describe, it, after } = require("node:test");
+var assert = require("node:assert/strict");
+var fs = require("node:fs");
+var os = require("node:os");
+var path = require("node:path");
+var gifCaptcha = require("../src/index");
+var {
+  createStateSnapshotManager,
+  computeSnapshotChecksum,
+  SNAPSHOT_FORMAT,
+} = require("../src/state-snapshot-manager");
+var { createCaptchaRateLimiter } = require("../src/captcha-rate-limiter");
+var { createCaptchaLoadTester } = require("../src/captcha-load-tester");
+
+/** Minimal stateful module with the usual exportState/importState pair. */
+function counter(initial) {
+  var state = { count: initial || 0 };
+  return {
+    bump: function () { state.count++; },
+    get: function () { return state.count; },
+    exportState: function () { return { count: state.count }; },
+    importState: function (s) {
+      if (typeof s.count !== "number") throw new Error("bad count");
+      state = { count: s.count };
+      return 1;
+    },
+  };
+}
+
+describe("createStateSnapshotManager", function () {
+  it("is exported from the package entry point", function () {
+    assert.equal(gifCaptcha.createStateSnapshotManager, createStateSnapshotManager);
+  });
+
+  describe("register()", function () {
+    it("rejects bad names, duplicates and instances without state methods", function () {
+      var m = createStateSnapshotManager();
+      assert.throws(function () { m.register("has space", counter()); }, TypeError);
+      assert.throws(function () { m.register("x", {}); }, /exportState\(\) and importState\(\)/);
+      assert.throws(function () { m.register("x", counter(), { version: 0 }); }, RangeError);
+      m.register("x", counter());
+      assert.throws(function () { m.register("x", counter()); }, /already registered/);
+    });
+
+    it("accepts adapter functions for modules with other method names", function () {
+      var inst = { data: [1, 2] };
+      var m = createStateSnapshotManager().register("arr", inst, {
+        exportState: function (i) { return { data: i.data }; },
+        importState: function (i, s) { i.data = s.data; },
+      });
+      var snap = m.snapshot();
+      inst.data = [];
+      m.restore(snap);
+      assert.deepEqual(inst.data, [1, 2]);
+    });
+
+    it("adapts exportData()/importData() modules such as the reputation tracker", function () {
+      var tracker = gifCaptcha.createReputationTracker();
+      tracker.recordSolve("1.2.3.4");
+      var m = createStateSnapshotManager().register("reputation", tracker);
+      var snap = m.snapshot();
+      assert.ok(snap.modules.reputation.state.entries["1.2.3.4"]);
+      tracker.recordFail("5.6.7.8");
+      m.restore(snap);
+      assert.deepEqual(Object.keys(tracker.exportData().entries), ["1.2.3.4"]);
+    });
+
+    it("lists and unregisters modules", function () {
+      var m = createStateSnapshotManager().registerAll({ a: counter(), b: counter() });
+      assert.deepEqual(m.list(), [{ name: "a", version: 1 }, { name: "b", version: 1 }]);
+      assert.equal(m.unregister("a"), true);
+      assert.equal(m.unregister("a"), false);
+      assert.deepEqual(m.list().map(function (x) { return x.name; }), ["b"]);
+    });
+  });
+
+  describe("snapshot()", function () {
+    it("writes a versioned, checksummed document", function () {
+      var a = counter(3);
+      var m = createStateSnapshotManager({ now: function () { return Date.UTC(2026, 0, 1); } });
+      m.register("a", a, { version: 2, migrations: { 2: function (s) { return s; } } });
+      var snap = m.snapshot();
+      assert.equal(snap.format, SNAPSHOT_FORMAT);
+      assert.equal(snap.formatVersion, 1);
+      assert.equal(snap.createdAt, "2026-01-01T00:00:00.000Z");
+      assert.deepEqual(snap.modules.a, { version: 2, encoding: "object", state: { count: 3 } });
+      assert.equal(snap.checksum, computeSnapshotChecksum(snap.modules));
+    });
+
+    it("does not share references with live module state", function () {
+      var shared = { list: [1] };
+      var m = createStateSnapshotManager().register("s", {
+        exportState: function () { return shared; },
+        importState: function () {},
+      });
+      var snap = m.snapshot();
+      shared.list.push(2);
+      assert.deepEqual(snap.modules.s.state.list, [1]);
+    });
+
+    it("keeps modules that export JSON strings structured", function () {
+      var tester = createCaptchaLoadTester({ handler: function () { return { ok: true }; } });
+      var m = createStateSnapshotManager().register("load", tester);
+      var snap = m.snapshot();
+      assert.equal(snap.modules.load.encoding, "json");
+      assert.equal(typeof snap.modules.load.state, "object");
+      assert.deepEqual(m.restore(JSON.stringify(snap)).restored, ["load"]);
+    });
+
+    it("can capture a subset", function () {
+      var m = createStateSnapshotManager().registerAll({ a: counter(), b: counter() });
+      assert.deepEqual(Object.keys(m.snapshot({ only: ["b"] }).modules), ["b"]);
+      assert.throws(function () { m.snapshot({ only: ["zzz"] }); }, /unknown module/);
+    });
+  });
+
+  describe("restore()", function () {
+    it("round-trips real module state", function () {
+      var limiter = createCaptchaRateLimiter({ maxRequests: 2, windowMs: 60000 });
+      limiter.check("1.2.3.4");
+      limiter.check("1.2.3.4");
+      var m = createStateSnapshotManager().register("limiter", limiter);
+      var text = JSON.stringify(m.snapshot());
+
+      var fresh = createCaptchaRateLimiter({ maxRequests: 2, windowMs: 60000 });
+      var m2 = createStateSnapshotManager().register("limiter", fresh);
+      assert.deepEqual(m2.restore(text).restored, ["limiter"]);
+      assert.equal(fresh.check("1.2.3.4").allowed, false);
+    });
+
+    it("rejects tampered snapshots before importing anything", function () {
+      var a = counter(1);
+      var m = createStateSnapshotManager().register("a", a);
+      var snap = m.snapshot();
+      snap.modules.a.state.count = 50;
+      a.bump();
+      assert.throws(function () { m.restore(snap); }, function (err) {
+        assert.deepEqual(err.errors, ["checksum mismatch"]);
+        return true;
+      });
+      assert.equal(a.get(), 2);
+      assert.equal(m.validate("{nope").valid, false);
+      assert.deepEqual(m.validate({ format: "other" }).errors, ["not a " + SNAPSHOT_FORMAT]);
+    });
+
+    it("runs per-module migrations in order", function () {
+      var oldMgr = createStateSnapshotManager().register("a", {
+        exportState: function () { return { n: 4 }; },
+        importState: function () {},
+      });
+      var snap = oldMgr.snapshot();
+
+      var a = counter();
+      var m = createStateSnapshotManager().register("a", a, {
+        version: 3,
+        migrations: {
+          2: function (s) { return { total: s.n }; },
+          3: function (s) { return { count: s.total * 10 }; },
+        },
+      });
+      var result = m.restore(snap);
+      assert.deepEqual(result.migrated, [{ name: "a", from: 1, to: 3 }]);
+      assert.equal(a.get(), 40);
+    });
+
+    it("refuses snapshots newer than the registered schema or missing a migration", function () {
+      var snap = createStateSnapshotManager().register("a", counter(), { version: 3, migrations: {} }).snapshot();
+      var older = createStateSnapshotManager().register("a", counter(), { version: 2 });
+      assert.throws(function () { older.restore(snap); }, /newer than registered v2/);
+
+      var v1 = createStateSnapshotManager().register("a", counter()).snapshot();
+      var gap = createStateSnapshotManager().register("a", counter(), { version: 2 });
+      assert.throws(function () { gap.restore(v1); }, /no migration for "a" from v1 to v2/);
+    });
+
+    it("rolls back modules already restored when a later import fails", function () {
+      var trust = counter(1);
+      var source = createStateSnapshotManager().registerAll({
+        trust: counter(9),
+        limiter: createCaptchaRateLimiter({ algorithm: "token-bucket" }),
+      });
+      var snap = source.snapshot();
+
+      var m = createStateSnapshotManager().registerAll({
+        trust: trust,
+        limiter: createCaptchaRateLimiter({ algorithm: "sliding-window" }),
+      });
+      assert.throws(function () { m.restore(snap); }, function (err) {
+        assert.equal(err.module, "limiter");
+        assert.match(err.message, /Algorithm mismatch/);
+        assert.match(err.message, /all modules rolled back/);
+        return true;
+      });
+      assert.equal(trust.get(), 1);
+    });
+
+    it("replaces merge-style state and rolls real modules back exactly", function () {
+      var limiter = createCaptchaRateLimiter({ algorithm: "sliding-window", maxRequests: 10 });
+      var tracker = gifCaptcha.createReputationTracker();
+      var failing = { failNext: false, exportState: function () { return {}; },
+        importState: function () {
+          if (failing.failNext) {
+            failing.failNext = false;
+            throw new Error("disk full");
+          }
+        } };
+      var m = createStateSnapshotManager().registerAll({ limiter: limiter, reputation: tracker, broken: failing });
+
+      limiter.check("1.1.1.1");
+      tracker.recordSolve("1.1.1.1");
+      var before = m.snapshot();
+
+      // Diverge: a key and an IP the old snapshot never saw
+      limiter.check("2.2.2.2");
+      limiter.check("2.2.2.2");
+      tracker.recordFail("9.9.9.9");
+      var live = m.snapshot();
+
+      // A plain restore replaces instead of merging
+      m.restore(before);
+      assert.deepEqual(Object.keys(limiter.exportState().store), ["1.1.1.1"]);
+      assert.equal(limiter.getStats().totalAllowed, 1);
+      assert.deepEqual(Object.keys(tracker.exportData().entries), ["1.1.1.1"]);
+
+      // A failed restore leaves every module exactly as it was
+      m.restore(live);
+      failing.failNext = true;
+      assert.throws(function () { m.restore(before); }, /all modules rolled back/);
+      assert.deepEqual(Object.keys(limiter.exportState().store).sort(), ["1.1.1.1", "2.2.2.2"]);
+      assert.equal(limiter.getStats().totalAllowed, 3);
+      assert.deepEqual(Object.keys(tracker.exportData().entries).sort(), ["1.1.1.1", "9.9.9.9"]);
+      var restored = m.snapshot().modules;
+      delete restored.limiter.state.exportedAt;
+      delete live.modules.limiter.state.exportedAt;
+      assert.deepEqual(restored, live.modules);
+    });
+
+    it("uses a custom reset hook, or none when asked", function () {
+      var calls = [];
+      var inst = { data: 1, exportState: function () { return { data: inst.data }; }, importState: function (s) { inst.data = s.data; },
+        reset: function () { calls.push("reset"); } };
+      var snap = createStateSnapshotManager().register("x", inst).snapshot();
+      createStateSnapshotManager().register("x", inst).restore(snap);
+      createStateSnapshotManager().register("x", inst, { reset: false }).restore(snap);
+      createStateSnapshotManager().register("x", inst, { reset: function () { calls.push("custom"); } }).restore(snap);
+      assert.deepEqual(calls, ["reset", "custom"]);
+    });
+
+    it("treats importState() returning false as a failure", function () {
+      var a = counter(2);
+      var m = createStateSnapshotManager().registerAll({ a: a }).register("b", {
+        exportState: function () { return {}; },
+        importState: function () { return false; },
+      });
+      var snap = m.snapshot();
+      a.bump();
+      assert.throws(function () { m.restore(snap); }, /"b" rejected its state/);
+      assert.equal(a.get(), 3);
+    });
+
+    it("reports missing and unknown modules, or fails on them when asked", function () {
+      var snap = createStateSnapshotManager().registerAll({ a: counter(1), extra: counter() }).snapshot();
+      var m = createStateSnapshotManager().registerAll({ a: counter(), b: counter() });
+      var result = m.restore(snap);
+      assert.deepEqual(result.restored, ["a"]);
+      assert.deepEqual(result.missing, ["b"]);
+      assert.deepEqual(result.unknown, ["extra"]);
+      assert.throws(function () { m.restore(snap, { requireAll: true }); }, /missing modules: b/);
+      assert.throws(function () { m.restore(snap, { strict: true }); }, /unregistered modules: extra/);
+    });
+  });
+
+  describe("saveFile() / loadFile()", function () {
+    var tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gc-snapshot-"));
+    after(function () { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+    it("writes atomically and restores from disk", async function () {
+      var file = path.join(tmp, "nested", "snap.json");
+      var a = counter(7);
+      var m = createStateSnapshotManager().register("a", a);
+      await m.saveFile(file);
+      assert.deepEqual(fs.readdirSync(path.dirname(file)), ["snap.json"]);
+      a.bump();
+      var result = await m.loadFile(file);
+      assert.deepEqual(result.restored, ["a"]);
+      assert.equal(a.get(), 7);
+    });
+
+    it("loadFile() can tolerate a missing file", async function () {
+      var m = createStateSnapshotManager();
+      assert.equal(await m.loadFile(path.join(tmp, "absent.json"), { ignoreMissingFile: true }), null);
+      await assert.rejects(m.loadFile(path.join(tmp, "absent.json")), { code: "ENOENT" });
+    });
+  });
+});
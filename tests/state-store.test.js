@@ -0,0 +1,271 @@
+/**
+ * Tests for state-store.js — reference stores, the conformance suite and
+ * the shared-store (async) paths of the stateful modules.
+ */
+
+"use strict";
+
+var { describe, it, after } = require("node:test");
+var assert = require("node:assert/strict");
+var fs = require("node:fs");
+var os = require("node:os");
+var path = require("node:path");
+var gifCaptcha = require("../src/index");
+var stateStore = require("../src/state-store");
+var conformance = require("../src/state-store-conformance");
+var createCaptchaRateLimiter = require("../src/captcha-rate-limiter").createCaptchaRateLimiter;
+
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gif-captcha-store-"));
+var fileCount = 0;
+
+after(function () {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function fileStore() {
+  return stateStore.createFileStore({ path: path.join(tmpDir, "store-" + (++fileCount) + ".json") });
+}
+
+conformance.runStoreConformance("memory", function () { return stateStore.createMemoryStore(); });
+conformance.runStoreConformance("file", fileStore);
+
+describe("validateStateStore", function () {
+  it("accepts complete stores and names the missing method", function () {
+    var store = stateStore.createMemoryStore();
+    assert.equal(stateStore.validateStateStore(store), store);
+    assert.throws(function () { stateStore.validateStateStore(null); }, TypeError);
+    var partial = Object.assign({}, store, { compareAndSet: undefined });
+    assert.throws(function () { stateStore.validateStateStore(partial, "X"); }, /X: store is missing compareAndSet/);
+  });
+
+  it("is checked by the module factories", function () {
+    assert.throws(function () { gifCaptcha.createSessionManager({ store: {} }); }, TypeError);
+    assert.throws(function () { createCaptchaRateLimiter({ store: { get: function () {} } }); }, TypeError);
+  });
+});
+
+describe("createMemoryStore", function () {
+  it("evicts the oldest keys beyond maxKeys", async function () {
+    var store = stateStore.createMemoryStore({ maxKeys: 3 });
+    for (var i = 0; i < 5; i++) await store.set("k" + i, i);
+    assert.equal(store.size(), 3);
+    assert.equal(await store.get("k0"), null);
+    assert.equal(await store.get("k4"), 4);
+  });
+
+  it("rejects empty keys", async function () {
+    var store = stateStore.createMemoryStore();
+    await assert.rejects(store.get(""), TypeError);
+  });
+});
+
+describe("createFileStore", function () {
+  it("requires a path", function () {
+    assert.throws(function () { stateStore.createFileStore({}); }, TypeError);
+  });
+
+  it("persists across instances sharing the file", async function () {
+    var file = path.join(tmpDir, "shared.json");
+    var a = stateStore.createFileStore({ path: file });
+    var b = stateStore.createFileStore({ path: file });
+    await a.set("x", { hello: "world" });
+    assert.deepEqual(await b.get("x"), { hello: "world" });
+    await Promise.all([a.incr("n"), b.incr("n"), a.incr("n"), b.incr("n")]);
+    assert.equal(await a.get("n"), 4);
+    assert.equal(fs.existsSync(file + ".lock"), false);
+  });
+
+  it("breaks a stale lock left by a crashed process", async function () {
+    var file = path.join(tmpDir, "stale.json");
+    fs.writeFileSync(file + ".lock", "");
+    var old = new Date(Date.now() - 60000);
+    fs.utimesSync(file + ".lock", old, old);
+    var store = stateStore.createFileStore({ path: file, staleLockMs: 1000 });
+    await store.set("k", 1);
+    assert.equal(await store.get("k"), 1);
+  });
+});
+
+describe("updateWithRetry", function () {
+  it("retries the mutation when another writer wins", async function () {
+    var store = stateStore.createMemoryStore();
+    await store.set("doc", { n: 0 });
+    var results = await Promise.all([1, 2, 3, 4].map(function () {
+      return stateStore.updateWithRetry(store, "doc", function (doc) {
+        doc.n++;
+        return { value: doc, result: doc.n };
+      });
+    }));
+    assert.deepEqual(results.slice().sort(), [1, 2, 3, 4]);
+    assert.deepEqual(await store.get("doc"), { n: 4 });
+  });
+
+  it("skips the write when no value is returned", async function () {
+    var store = stateStore.createMemoryStore();
+    var out = await stateStore.updateWithRetry(store, "none", function (cur) {
+      return { result: cur };
+    });
+    assert.equal(out, null);
+    assert.equal(await store.get("none"), null);
+  });
+});
+
+describe("shared store: createTokenVerifier", function () {
+  var SECRET = "shared-store-secret-0123456789";
+
+  it("rejects a token replayed on another replica", async function () {
+    var store = stateStore.createMemoryStore();
+    var a = gifCaptcha.createTokenVerifier({ secret: SECRET, store: store });
+    var b = gifCaptcha.createTokenVerifier({ secret: SECRET, store: store });
+    var token = a.issueToken({ sessionId: "s1", score: 1, difficulty: 30, ip: "1.2.3.4" }).token;
+    var first = await a.verifyTokenAsync(token, { ip: "1.2.3.4" });
+    assert.equal(first.valid, true);
+    var second = await b.verifyTokenAsync(token, { ip: "1.2.3.4" });
+    assert.deepEqual(second, { valid: false, reason: "token_already_used" });
+    assert.equal(a.getStats().sharedStore, true);
+  });
+
+  it("does not burn a use for tokens that fail other checks", async function () {
+    var store = stateStore.createMemoryStore();
+    var v = gifCaptcha.createTokenVerifier({ secret: SECRET, store: store });
+    var token = v.issueToken({ sessionId: "s1", score: 1, difficulty: 30, ip: "1.2.3.4" }).token;
+    assert.equal((await v.verifyTokenAsync(token, { ip: "9.9.9.9" })).reason, "ip_mismatch");
+    assert.equal((await v.verifyTokenAsync(token, { ip: "1.2.3.4" })).valid, true);
+  });
+
+  it("throws from the sync verifyToken and falls back without a store", async function () {
+    var shared = gifCaptcha.createTokenVerifier({ secret: SECRET, store: stateStore.createMemoryStore() });
+    assert.throws(function () { shared.verifyToken("x.y"); }, /verifyTokenAsync/);
+    var local = gifCaptcha.createTokenVerifier({ secret: SECRET });
+    var token = local.issueToken({ sessionId: "s1", score: 1, difficulty: 30 }).token;
+    assert.equal((await local.verifyTokenAsync(token)).valid, true);
+    assert.equal(local.verifyToken(token).reason, "token_already_used");
+  });
+});
+
+describe("shared store: createSessionManager", function () {
+  it("lets any replica continue a session", async function () {
+    var store = stateStore.createMemoryStore();
+    var opts = { store: store, challengesPerSession: 2, passThreshold: 1 };
+    var a = gifCaptcha.createSessionManager(opts);
+    var b = gifCaptcha.createSessionManager(opts);
+    var started = await a.startSessionAsync({ ip: "1.2.3.4" });
+    var r1 = await b.submitResponseAsync(started.sessionId, true, 900);
+    assert.equal(r1.done, false);
+    var r2 = await a.submitResponseAsync(started.sessionId, true);
+    assert.equal(r2.done, true);
+    assert.equal(r2.passed, true);
+    var view = await b.getSessionAsync(started.sessionId);
+    assert.equal(view.status, "passed");
+    assert.equal(view.metadata.ip, "1.2.3.4");
+    assert.deepEqual(await a.submitResponseAsync(started.sessionId, true), { error: "session_passed" });
+  });
+
+  it("counts concurrent submissions once each", async function () {
+    var store = stateStore.createMemoryStore();
+    var mgr = gifCaptcha.createSessionManager({ store: store, challengesPerSession: 3 });
+    var s = await mgr.startSessionAsync();
+    var results = await Promise.all([
+      mgr.submitResponseAsync(s.sessionId, true),
+      mgr.submitResponseAsync(s.sessionId, true),
+      mgr.submitResponseAsync(s.sessionId, true),
+      mgr.submitResponseAsync(s.sessionId, true)
+    ]);
+    var done = results.filter(function (r) { return r.done; });
+    var errors = results.filter(function (r) { return r.error; });
+    assert.equal(done.length, 1);
+    assert.equal(errors.length, 1);
+    assert.equal((await mgr.getSessionAsync(s.sessionId)).challengeIndex, 3);
+  });
+
+  it("invalidates, reports missing sessions and guards the sync API", async function () {
+    var mgr = gifCaptcha.createSessionManager({ store: stateStore.createMemoryStore() });
+    var s = await mgr.startSessionAsync();
+    assert.equal(await mgr.invalidateSessionAsync(s.sessionId), true);
+    assert.deepEqual(await mgr.submitResponseAsync(s.sessionId, true), { error: "session_cancelled" });
+    assert.equal(await mgr.invalidateSessionAsync("sess_nope"), false);
+    assert.deepEqual(await mgr.submitResponseAsync("sess_nope", true), { error: "session_not_found" });
+    assert.equal(await mgr.getSessionAsync("sess_nope"), null);
+    assert.throws(function () { mgr.startSession(); }, /startSessionAsync/);
+  });
+});
+
+describe("shared store: createProofOfWork", function () {
+  it("accepts a solution once across replicas", async function () {
+    var store = stateStore.createMemoryStore();
+    var a = gifCaptcha.createProofOfWork({ store: store, difficulty: 4 });
+    var b = gifCaptcha.createProofOfWork({ store: store, difficulty: 4 });
+    var ch = await a.issueAsync({ ip: "1.2.3.4" });
+    var sol = a.solve(ch.prefix, ch.difficulty);
+    var results = await Promise.all([
+      a.verifyAsync({ prefix: ch.prefix, nonce: sol.nonce, ip: "1.2.3.4" }),
+      b.verifyAsync({ prefix: ch.prefix, nonce: sol.nonce, ip: "1.2.3.4" })
+    ]);
+    assert.deepEqual(results.map(function (r) { return r.valid; }).sort(), [false, true]);
+    assert.equal(results.filter(function (r) { return !r.valid; })[0].reason, "replay");
+    assert.equal((await b.verifyAsync({ prefix: ch.prefix, nonce: sol.nonce })).reason, "replay");
+    assert.equal((await b.verifyAsync({ prefix: "f".repeat(32), nonce: "0" })).reason, "unknown_challenge");
+  });
+
+  it("enforces maxPendingPerIp across replicas", async function () {
+    var store = stateStore.createMemoryStore();
+    var a = gifCaptcha.createProofOfWork({ store: store, difficulty: 4, maxPendingPerIp: 2 });
+    var b = gifCaptcha.createProofOfWork({ store: store, difficulty: 4, maxPendingPerIp: 2 });
+    var first = await a.issueAsync({ ip: "5.5.5.5" });
+    await b.issueAsync({ ip: "5.5.5.5" });
+    await assert.rejects(a.issueAsync({ ip: "5.5.5.5" }), /Too many pending/);
+    var sol = a.solve(first.prefix, first.difficulty);
+    assert.equal((await b.verifyAsync({ prefix: first.prefix, nonce: sol.nonce, ip: "5.5.5.5" })).valid, true);
+    await a.issueAsync({ ip: "5.5.5.5" });
+    assert.throws(function () { a.issue(); }, /issueAsync/);
+  });
+});
+
+describe("shared store: createCaptchaRateLimiter", function () {
+  it("enforces one limit across limiters sharing a store", async function () {
+    var store = stateStore.createMemoryStore();
+    var opts = { store: store, maxRequests: 3, windowMs: 60000 };
+    var a = createCaptchaRateLimiter(opts);
+    var b = createCaptchaRateLimiter(opts);
+    var now = 1700000000000;
+    assert.equal((await a.checkAsync("ip", now)).allowed, true);
+    assert.equal((await b.checkAsync("ip", now + 1)).allowed, true);
+    assert.equal((await a.checkAsync("ip", now + 2)).remaining, 0);
+    var denied = await b.checkAsync("ip", now + 3);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfterMs, 60000 - 3);
+    await a.resetAsync("ip");
+    assert.equal((await b.checkAsync("ip", now + 4)).allowed, true);
+  });
+
+  it("supports token-bucket and leaky-bucket state", async function () {
+    var store = stateStore.createMemoryStore();
+    var tb = createCaptchaRateLimiter({ store: store, algorithm: "token-bucket", capacity: 2, refillRate: 1 });
+    var lb = createCaptchaRateLimiter({ store: store, algorithm: "leaky-bucket", queueSize: 1, leakRate: 1, storePrefix: "lb:" });
+    var now = 1700000000000;
+    assert.equal((await tb.checkAsync("k", now)).allowed, true);
+    assert.equal((await tb.checkAsync("k", now)).allowed, true);
+    assert.equal((await tb.checkAsync("k", now)).allowed, false);
+    assert.equal((await tb.checkAsync("k", now + 1000)).allowed, true);
+    assert.equal((await lb.checkAsync("k", now)).allowed, true);
+    assert.equal((await lb.checkAsync("k", now)).allowed, false);
+  });
+
+  it("shares auto-bans and keeps the whitelist local", async function () {
+    var store = stateStore.createMemoryStore();
+    var opts = { store: store, maxRequests: 1, enableBans: true, banThreshold: 2, banDurationMs: 60000 };
+    var a = createCaptchaRateLimiter(opts);
+    var b = createCaptchaRateLimiter(opts);
+    var now = Date.now();
+    await a.checkAsync("bot", now);
+    await a.checkAsync("bot", now);
+    var tripped = await b.checkAsync("bot", now);
+    assert.equal(tripped.banned, true);
+    var blocked = await a.checkAsync("bot", now + 1);
+    assert.equal(blocked.banned, true);
+    assert.equal(blocked.allowed, false);
+    b.whitelistAdd("bot");
+    assert.equal((await b.checkAsync("bot", now + 2)).whitelisted, true);
+    assert.throws(function () { a.check("bot"); }, /checkAsync/);
+  });
+});
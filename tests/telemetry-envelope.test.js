@@ -0,0 +1,181 @@
+/**
+ * Tests for telemetry-packer / telemetry-envelope and the envelope
+ * handling in createBotDetector.
+ */
+var gifCaptcha = require('../src/index');
+var packer = require('../src/telemetry-packer');
+var envelopes = require('../src/telemetry-envelope');
+var webcrypto = require('crypto').webcrypto;
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+var SIGNALS = {
+  mouseMovements: [{ x: 10, y: 20, t: 100 }, { x: 42, y: 37, t: 180 }, { x: 90, y: 51, t: 260.5 }],
+  keystrokes: [{ key: '', downAt: 300, upAt: 390 }, { key: '', downAt: 520, upAt: 600 }],
+  scrollEvents: [],
+  timeOnPageMs: 8000,
+  firstInteractionMs: 1200,
+  honeypotValues: { hp_url: '' },
+  custom: [{ a: 1 }, { b: 2 }],
+};
+
+function seal(token, sessionId, signals, opts) {
+  var p = packer.createTelemetryPacker(Object.assign({ token: token, sessionId: sessionId, crypto: webcrypto }, opts));
+  return p.seal(signals);
+}
+
+// Flip one base64url character of the ciphertext part.
+function flip(envelope) {
+  var parts = envelope.split('.');
+  var ct = parts[3];
+  parts[3] = (ct[0] === 'A' ? 'B' : 'A') + ct.slice(1);
+  return parts.join('.');
+}
+
+describe('packSignals', function () {
+  test('round-trips signals through the column encoding', function () {
+    var packed = packer.packSignals(SIGNALS);
+    assert.ok(JSON.stringify(packed).indexOf('mouseMovements') === -1);
+    assert.ok('~custom' in packed);
+    assert.deepStrictEqual(packer.unpackSignals(JSON.parse(JSON.stringify(packed))), SIGNALS);
+  });
+
+  test('drops unknown codes and prototype keys', function () {
+    var out = packer.unpackSignals(JSON.parse('{"99":1,"~__proto__":{"polluted":true},"3":5}'));
+    assert.deepStrictEqual(out, { timeOnPageMs: 5 });
+    assert.strictEqual({}.polluted, undefined);
+    assert.throws(function () { packer.unpackSignals({ 0: { '\u0000': [['x'], [1], [[1, 2], [3]]] } }); }, TypeError);
+  });
+});
+
+describe('openTelemetryEnvelope', function () {
+  test('opens what the packer sealed, compressed or not', async function () {
+    var key = envelopes.deriveTelemetryKey('tok', 's1');
+    for (var compress of [true, false]) {
+      var env = await seal('tok', 's1', SIGNALS, { compress: compress });
+      assert.match(env, /^gct1\.0\./);
+      var r = envelopes.openTelemetryEnvelope(env, key, 's1');
+      assert.strictEqual(r.ok, true);
+      assert.strictEqual(r.seq, 0);
+      assert.strictEqual(typeof r.sentAt, 'number');
+      assert.deepStrictEqual(r.signals, SIGNALS);
+    }
+  });
+
+  test('numbers envelopes in sealing order', async function () {
+    var p = packer.createTelemetryPacker({ token: 'tok', crypto: webcrypto });
+    var first = p.seal({});
+    var second = p.seal({});
+    assert.strictEqual(p.getSequence(), 2);
+    assert.strictEqual(envelopes.envelopeSequence(await second), 1);
+    assert.strictEqual(envelopes.envelopeSequence(await first), 0);
+  });
+
+  test('reports tampering, foreign sessions and bad input', async function () {
+    var key = envelopes.deriveTelemetryKey('tok', 's1');
+    var env = await seal('tok', 's1', SIGNALS);
+    function open(e, k, s) { return envelopes.openTelemetryEnvelope(e, k || key, s || 's1'); }
+    assert.strictEqual(open(flip(env)).error, 'tampered');
+    assert.strictEqual(open(env.replace(/^gct1\.0\./, 'gct1.1.')).error, 'tampered');
+    assert.strictEqual(open(env, null, 's2').error, 'tampered');
+    assert.strictEqual(open(env, envelopes.deriveTelemetryKey('other', 's1')).error, 'tampered');
+    assert.strictEqual(open('{"mouseMovements":[]}').error, 'malformed');
+    assert.strictEqual(open(42).error, 'malformed');
+    assert.strictEqual(open(env.replace(/^gct1/, 'gct9')).error, 'unsupported_version');
+    assert.strictEqual(envelopes.openTelemetryEnvelope(env, key, 's1', { maxBytes: 20 }).error, 'too_large');
+    var big = await seal('tok', 's1', { blob: 'x'.repeat(5000) });
+    assert.strictEqual(envelopes.openTelemetryEnvelope(big, key, 's1', { maxInflatedBytes: 1000 }).error, 'too_large');
+    assert.throws(function () { envelopes.deriveTelemetryKey(''); }, TypeError);
+  });
+
+  test('packer needs a token and Web Crypto', function () {
+    assert.throws(function () { packer.createTelemetryPacker({ crypto: webcrypto }); }, TypeError);
+    assert.throws(function () { packer.createTelemetryPacker({ token: 't', crypto: {} }); }, TypeError);
+  });
+});
+
+describe('createBotDetector envelopes', function () {
+  async function sealedSession(detector, sessionId, signals) {
+    var token = detector.getJsToken(sessionId);
+    var p = packer.createTelemetryPacker({ token: token, sessionId: sessionId, crypto: webcrypto });
+    return { token: token, packer: p, envelope: await p.seal(Object.assign({ jsToken: token }, signals)) };
+  }
+
+  test('analyzes the sealed signals', async function () {
+    var detector = gifCaptcha.createBotDetector();
+    var s = await sealedSession(detector, 'sess', SIGNALS);
+    var r = detector.analyze({ envelope: s.envelope, sessionId: 'sess', mouseMovements: [] });
+    assert.deepStrictEqual(r.envelope, { ok: true, seq: 0 });
+    assert.strictEqual(r.breakdown.envelope, 0);
+    assert.strictEqual(r.signals.timeOnPageMs, 8000);
+    assert.strictEqual(r.signals.mouseMovements.length, 3);
+    assert.strictEqual(r.breakdown.jsVerification, 0);
+    assert.ok(r.flags.every(function (f) { return f.indexOf('envelope_') !== 0; }));
+    assert.strictEqual(detector.analyze(SIGNALS).envelope, undefined);
+  });
+
+  test('rejects replayed and reordered batches', async function () {
+    var detector = gifCaptcha.createBotDetector();
+    var s = await sealedSession(detector, 'sess', SIGNALS);
+    assert.strictEqual(detector.openEnvelope(s.envelope, 'sess').ok, true);
+    var replay = detector.analyze({ envelope: s.envelope, sessionId: 'sess' });
+    assert.ok(replay.flags.indexOf('envelope_replayed') !== -1);
+    assert.strictEqual(replay.breakdown.envelope, 100);
+    assert.strictEqual(replay.isBot, true);
+
+    var second = await s.packer.seal(SIGNALS);
+    var third = await s.packer.seal(SIGNALS);
+    assert.strictEqual(detector.openEnvelope(third, 'sess').error, 'reordered');
+    assert.strictEqual(detector.openEnvelope(second, 'sess').ok, true);
+    assert.strictEqual(detector.openEnvelope(third, 'sess').ok, true);
+
+    // A new token restarts the sequence under a new key
+    var next = await sealedSession(detector, 'sess', SIGNALS);
+    assert.strictEqual(detector.openEnvelope(second, 'sess').error, 'tampered');
+    assert.strictEqual(detector.openEnvelope(next.envelope, 'sess').seq, 0);
+  });
+
+  test('treats decoding failures as a risk factor', async function () {
+    var detector = gifCaptcha.createBotDetector({ requireEnvelope: true });
+    var s = await sealedSession(detector, 'sess', SIGNALS);
+    var tampered = detector.analyze({ envelope: flip(s.envelope), sessionId: 'sess' });
+    assert.ok(tampered.flags.indexOf('envelope_tampered') !== -1);
+    assert.strictEqual(tampered.isBot, true);
+    assert.deepStrictEqual(tampered.envelope, { ok: false, seq: 0, error: 'tampered' });
+
+    var unknown = detector.analyze({ envelope: s.envelope, sessionId: 'nobody' });
+    assert.ok(unknown.flags.indexOf('envelope_unknown_session') !== -1);
+    assert.strictEqual(unknown.breakdown.envelope, 75);
+    assert.ok(unknown.score >= 40);
+
+    var plain = detector.analyze(Object.assign({ sessionId: 'sess' }, SIGNALS));
+    assert.ok(plain.flags.indexOf('envelope_missing') !== -1);
+    assert.ok(plain.isSuspicious);
+    assert.strictEqual(detector.getConfig().requireEnvelope, true);
+  });
+
+  test('expires envelope keys and keeps caller-supplied identity', async function () {
+    var detector = gifCaptcha.createBotDetector({ envelopeTtlMs: 1 });
+    var s = await sealedSession(detector, 'sess', Object.assign({ userId: 'mallory' }, SIGNALS));
+    await new Promise(function (resolve) { setTimeout(resolve, 5); });
+    assert.strictEqual(detector.openEnvelope(s.envelope, 'sess').error, 'unknown_session');
+
+    var fresh = gifCaptcha.createBotDetector();
+    var t = await sealedSession(fresh, 'sess', Object.assign({ userId: 'mallory' }, SIGNALS));
+    var r = fresh.analyze({ envelope: t.envelope, sessionId: 'sess', userId: 'alice' });
+    assert.strictEqual(r.signals.userId, 'alice');
+  });
+
+  test('extractFeatures opens without consuming the sequence', async function () {
+    var names = gifCaptcha.BOT_DETECTOR_FEATURES;
+    var detector = gifCaptcha.createBotDetector();
+    var s = await sealedSession(detector, 'sess', SIGNALS);
+    var f = detector.extractFeatures({ envelope: s.envelope, sessionId: 'sess' });
+    assert.strictEqual(f.values[names.indexOf('envelope_risk')], 0);
+    assert.strictEqual(f.values[names.indexOf('time_on_page_log')], Math.log1p(8));
+    assert.strictEqual(detector.openEnvelope(s.envelope, 'sess').ok, true);
+    assert.strictEqual(detector.extractFeatures({ envelope: s.envelope, sessionId: 'sess' }).values[names.indexOf('envelope_risk')], 1);
+    assert.strictEqual(detector.extractFeatures({}).values[names.indexOf('envelope_risk')], 0.5);
+  });
+});
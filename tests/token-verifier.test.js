@@ -461,3 +461,244 @@ describe('createTokenVerifier - edge cases', function () {
     assert.equal(v.verifyToken(42).reason, 'missing_token');
   });
 });
+
+// == JWS format ==
+
+const crypto = require('node:crypto');
+
+function b64json(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+function edKeys() {
+  const pair = crypto.generateKeyPairSync('ed25519');
+  return { privateKey: pair.privateKey.export({ type: 'pkcs8', format: 'pem' }), publicKey: pair.publicKey };
+}
+
+describe('createTokenVerifier - JWS', function () {
+  it('emits a compact HS256 JWS with kid and JWT claims', function () {
+    const v = makeVerifier({ format: 'jws', kid: 'k1', issuer: 'gif-captcha', audience: 'signup' });
+    const { token, expiresAt, kid } = makeToken(v);
+    const parts = token.split('.');
+    assert.equal(parts.length, 3);
+    assert.deepEqual(b64json(parts[0]), { alg: 'HS256', kid: 'k1', typ: 'JWT' });
+    const claims = b64json(parts[1]);
+    assert.equal(claims.sub, 'sess_test123');
+    assert.equal(claims.iss, 'gif-captcha');
+    assert.equal(claims.aud, 'signup');
+    assert.equal(claims.exp - claims.iat, 300);
+    assert.equal(typeof claims.jti, 'string');
+    assert.equal(expiresAt, claims.exp * 1000);
+    assert.equal(kid, 'k1');
+  });
+
+  it('signs HS256 exactly as RFC 7515 specifies', function () {
+    const v = makeVerifier({ format: 'jws' });
+    const { token } = makeToken(v);
+    const parts = token.split('.');
+    const expected = crypto.createHmac('sha256', TEST_SECRET).update(parts[0] + '.' + parts[1]).digest('base64url');
+    assert.equal(parts[2], expected);
+  });
+
+  it('verifies its own JWS and reports the kid', function () {
+    const v = makeVerifier({ format: 'jws' });
+    const { token } = makeToken(v);
+    const r = v.verifyToken(token, { ip: TEST_IP });
+    assert.ok(r.valid);
+    assert.equal(r.payload.sessionId, 'sess_test123');
+    assert.equal(r.payload.score, 0.85);
+    assert.equal(r.payload.kid, 'default');
+    assert.equal(v.verifyToken(token, { ip: TEST_IP }).reason, 'token_already_used');
+  });
+
+  it('still verifies legacy tokens when a secret is configured', function () {
+    const legacy = makeVerifier();
+    const jws = makeVerifier({ format: 'jws' });
+    const { token } = makeToken(legacy);
+    assert.ok(jws.verifyToken(token, { ip: TEST_IP }).valid);
+    assert.equal(legacy.verifyToken(makeToken(jws).token, { ip: TEST_IP }).reason, 'malformed_token');
+  });
+
+  it('rejects tampering, alg switching and unknown kids', function () {
+    const v = makeVerifier({ format: 'jws' });
+    const parts = makeToken(v).token.split('.');
+    const forgedClaims = Object.assign(b64json(parts[1]), { scr: 1 });
+    const tampered = parts[0] + '.' + Buffer.from(JSON.stringify(forgedClaims)).toString('base64url') + '.' + parts[2];
+    assert.equal(v.verifyToken(tampered, { ip: TEST_IP }).reason, 'invalid_signature');
+
+    const noneHeader = Buffer.from(JSON.stringify({ alg: 'none', kid: 'default' })).toString('base64url');
+    assert.equal(v.verifyToken(noneHeader + '.' + parts[1] + '.' + parts[2], { ip: TEST_IP }).reason, 'alg_mismatch');
+
+    const otherKid = Buffer.from(JSON.stringify({ alg: 'HS256', kid: 'nope' })).toString('base64url');
+    assert.equal(v.verifyToken(otherKid + '.' + parts[1] + '.' + parts[2], { ip: TEST_IP }).reason, 'unknown_kid');
+    assert.equal(v.verifyToken('a.b.c').reason, 'malformed_token');
+  });
+
+  it('enforces issuer and audience', function () {
+    const a = makeVerifier({ format: 'jws', issuer: 'a', audience: 'x' });
+    const b = makeVerifier({ format: 'jws', issuer: 'b', audience: 'x' });
+    const c = makeVerifier({ format: 'jws', issuer: 'a', audience: 'y' });
+    assert.equal(b.verifyToken(makeToken(a).token, { ip: TEST_IP }).reason, 'issuer_mismatch');
+    assert.equal(c.verifyToken(makeToken(a).token, { ip: TEST_IP }).reason, 'audience_mismatch');
+  });
+
+  it('binds the client IP', function () {
+    const v = makeVerifier({ format: 'jws' });
+    assert.equal(v.verifyToken(makeToken(v).token, { ip: '10.9.9.9' }).reason, 'ip_mismatch');
+  });
+});
+
+// == EdDSA ==
+
+describe('createTokenVerifier - EdDSA', function () {
+  it('signs with Ed25519 and publishes a JWKS stock verifiers can use', function () {
+    const keys = edKeys();
+    const v = createTokenVerifier({ keys: [{ kid: 'ed1', alg: 'EdDSA', privateKey: keys.privateKey }], ipHashSecret: 'ip-salt-0123456789' });
+    const { token } = makeToken(v);
+    const parts = token.split('.');
+    assert.equal(b64json(parts[0]).alg, 'EdDSA');
+
+    const jwks = v.getJwks();
+    assert.equal(jwks.keys.length, 1);
+    assert.equal(jwks.keys[0].kid, 'ed1');
+    assert.equal(jwks.keys[0].crv, 'Ed25519');
+    const pub = crypto.createPublicKey({ key: jwks.keys[0], format: 'jwk' });
+    assert.ok(crypto.verify(null, Buffer.from(parts[0] + '.' + parts[1]), pub, Buffer.from(parts[2], 'base64url')));
+    assert.ok(v.verifyToken(token, { ip: TEST_IP }).valid);
+  });
+
+  it('verifies with a public-key-only keyring', function () {
+    const keys = edKeys();
+    const signer = createTokenVerifier({ keys: [{ kid: 'ed1', alg: 'EdDSA', privateKey: keys.privateKey }], bindIp: false });
+    const checker = createTokenVerifier({
+      keys: [
+        { kid: 'hs', alg: 'HS256', secret: TEST_SECRET, status: 'active' },
+        { kid: 'ed1', alg: 'EdDSA', publicKey: keys.publicKey, status: 'retiring' },
+      ],
+      bindIp: false,
+    });
+    assert.ok(checker.verifyToken(makeToken(signer).token).valid);
+  });
+
+  it('requires ipHashSecret for EdDSA keys when binding IPs', function () {
+    const keys = edKeys();
+    assert.throws(function () {
+      createTokenVerifier({ keys: [{ kid: 'ed1', alg: 'EdDSA', privateKey: keys.privateKey }] });
+    }, /ipHashSecret/);
+  });
+
+  it('rejects an HS256 token presented under an EdDSA kid', function () {
+    const keys = edKeys();
+    const v = createTokenVerifier({ keys: [{ kid: 'ed1', alg: 'EdDSA', privateKey: keys.privateKey }], bindIp: false });
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', kid: 'ed1' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ sub: 's', iat: 1, exp: 9999999999, jti: 'x' })).toString('base64url');
+    const sig = crypto.createHmac('sha256', keys.publicKey.export({ type: 'spki', format: 'pem' })).update(header + '.' + payload).digest('base64url');
+    assert.equal(v.verifyToken(header + '.' + payload + '.' + sig).reason, 'alg_mismatch');
+  });
+});
+
+// == Keyring rotation ==
+
+describe('createTokenVerifier - keyring', function () {
+  function ringVerifier(extra) {
+    return createTokenVerifier(Object.assign({
+      keys: [{ kid: 'k1', alg: 'HS256', secret: 'first-secret-0123456789' }],
+    }, extra));
+  }
+
+  it('validates the keyring', function () {
+    assert.throws(function () {
+      createTokenVerifier({ keys: [{ kid: 'a', secret: 'aaaaaaaaaaaaaaaa', status: 'retiring' }] });
+    }, /exactly one active/);
+    assert.throws(function () {
+      createTokenVerifier({ keys: [{ kid: 'a', secret: 'aaaaaaaaaaaaaaaa', status: 'active' }, { kid: 'b', secret: 'bbbbbbbbbbbbbbbb', status: 'active' }] });
+    }, /exactly one active/);
+    assert.throws(function () { createTokenVerifier({ keys: [{ kid: 'a', secret: 'short' }] }); }, /16 characters/);
+    assert.throws(function () { createTokenVerifier({ keys: [{ kid: 'a', alg: 'RS256', secret: 'aaaaaaaaaaaaaaaa' }] }); }, /Unsupported alg/);
+    assert.throws(function () { ringVerifier().addKey({ kid: 'k1', secret: 'xxxxxxxxxxxxxxxx' }); }, /Duplicate/);
+  });
+
+  it('rotates without invalidating outstanding tokens', function () {
+    const v = ringVerifier();
+    const before = makeToken(v);
+    const r = v.rotateKey({ kid: 'k2', alg: 'HS256', secret: 'second-secret-0123456789' });
+    assert.deepEqual(r, { activeKid: 'k2', retiringKid: 'k1' });
+    const after = makeToken(v);
+    assert.equal(after.kid, 'k2');
+    assert.ok(v.verifyToken(before.token, { ip: TEST_IP }).valid);
+    assert.ok(v.verifyToken(after.token, { ip: TEST_IP }).valid);
+    assert.deepEqual(v.listKeys().map(function (k) { return k.kid + ':' + k.status; }), ['k1:retiring', 'k2:active']);
+  });
+
+  it('rejects tokens signed by retired keys', function () {
+    const v = ringVerifier();
+    const old = makeToken(v);
+    v.rotateKey({ kid: 'k2', secret: 'second-secret-0123456789' });
+    v.setKeyStatus('k1', 'retired');
+    assert.equal(v.verifyToken(old.token, { ip: TEST_IP }).reason, 'key_retired');
+  });
+
+  it('retires a retiring key automatically after the grace period', async function () {
+    const v = ringVerifier({ retiringGraceMs: 5 });
+    const old = makeToken(v);
+    v.rotateKey({ kid: 'k2', secret: 'second-secret-0123456789' });
+    await new Promise(function (r) { setTimeout(r, 20); });
+    assert.equal(v.listKeys()[0].status, 'retired');
+    assert.equal(v.verifyToken(old.token, { ip: TEST_IP }).reason, 'key_retired');
+  });
+
+  it('pre-distributes verify-only keys and activates them later', function () {
+    const a = ringVerifier();
+    const b = ringVerifier();
+    a.addKey({ kid: 'k2', secret: 'second-secret-0123456789' });
+    b.addKey({ kid: 'k2', secret: 'second-secret-0123456789' });
+    assert.equal(a.listKeys()[1].status, 'pending');
+    assert.equal(a.listKeys()[1].retiringSince, null);
+    b.setKeyStatus('k2', 'active');
+    assert.ok(a.verifyToken(makeToken(b).token, { ip: TEST_IP }).valid);
+  });
+
+  it('keeps staged keys verifying across instances long after the grace period', async function () {
+    const next = { kid: 'k2', secret: 'second-secret-0123456789' };
+    const a = ringVerifier({ retiringGraceMs: 50 });
+    const b = ringVerifier({ retiringGraceMs: 50 });
+    const c = createTokenVerifier({
+      keys: [{ kid: 'k1', secret: 'first-secret-0123456789', status: 'active' }, next],
+      retiringGraceMs: 50,
+    });
+    b.addKey(next);
+    const old = makeToken(a);
+    await new Promise(function (r) { setTimeout(r, 100); });
+
+    assert.equal(b.listKeys()[1].status, 'pending');
+    assert.equal(c.listKeys()[1].status, 'pending');
+    a.rotateKey(next);
+    // Only the demoted key starts the grace clock
+    assert.equal(a.listKeys()[0].status, 'retiring');
+    const fresh = makeToken(a);
+    assert.equal(fresh.kid, 'k2');
+    assert.ok(b.verifyToken(fresh.token, { ip: TEST_IP }).valid);
+    assert.ok(c.verifyToken(fresh.token, { ip: TEST_IP }).valid);
+    assert.ok(b.verifyToken(old.token, { ip: TEST_IP }).valid);
+
+    await new Promise(function (r) { setTimeout(r, 100); });
+    assert.equal(a.verifyToken(old.token, { ip: TEST_IP }).reason, 'key_retired');
+    assert.equal(a.listKeys()[1].status, 'active');
+  });
+
+  it('protects the active key', function () {
+    const v = ringVerifier();
+    assert.throws(function () { v.setKeyStatus('k1', 'retired'); }, /active key/);
+    assert.throws(function () { v.removeKey('k1'); }, /active key/);
+    assert.equal(v.setKeyStatus('nope', 'retired'), false);
+    v.rotateKey({ kid: 'k2', secret: 'second-secret-0123456789' });
+    assert.equal(v.removeKey('k1'), true);
+    assert.equal(v.getStats().keyCount, 1);
+    assert.equal(v.getStats().activeKid, 'k2');
+  });
+
+  it('does not allow keyring operations in legacy mode', function () {
+    assert.throws(function () { makeVerifier().rotateKey({ kid: 'k2', secret: 'second-secret-0123456789' }); }, /jws/);
+    assert.equal(makeVerifier().getStats().format, 'legacy');
+  });
+});
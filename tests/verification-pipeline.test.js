@@ -0,0 +1,247 @@
+/**
+ * Tests for verification-pipeline.js
+ */
+
+"use strict";
+
+var { describe, it } = require("node:test");
+var assert = require("node:assert/strict");
+var gifCaptcha = require("../src/index");
+var { createVerificationPipeline, STAGE_TYPES } = require("../src/verification-pipeline");
+
+var SECRET = "pipeline-test-secret-0123456789";
+
+function humanBehavior() {
+  var moves = [];
+  for (var i = 0; i < 30; i++) {
+    moves.push({ x: 100 + i * 7 + (i % 3) * 2, y: 200 + Math.round(Math.sin(i / 3) * 15), t: 1000 + i * 37 + (i % 4) * 11 });
+  }
+  return { mouseMovements: moves, timeOnPageMs: 8000, firstInteractionMs: 900, honeypotValues: {} };
+}
+
+describe("createVerificationPipeline", function () {
+  it("is exported from the package entry point", function () {
+    assert.equal(gifCaptcha.createVerificationPipeline, createVerificationPipeline);
+  });
+
+  describe("configuration", function () {
+    it("rejects empty, malformed and duplicate stages", function () {
+      assert.throws(function () { createVerificationPipeline({}); }, TypeError);
+      assert.throws(function () { createVerificationPipeline({ stages: [{ name: "x" }] }); }, /run\(ctx\)/);
+      assert.throws(function () {
+        createVerificationPipeline({ stages: [{ name: "request", run: function () {} }] });
+      }, /reserved/);
+      assert.throws(function () {
+        createVerificationPipeline({ stages: [{ name: "a", run: function () {} }, { name: "a", run: function () {} }] });
+      }, /duplicate/);
+      assert.throws(function () {
+        createVerificationPipeline({ stages: [{ name: "geo", type: "geoRisk", use: {} }] });
+      }, /no score\(\)/);
+      assert.throws(function () {
+        createVerificationPipeline({ stages: [{ name: "x", type: "nope", use: {} }] });
+      }, /unknown type/);
+    });
+
+    it("validates rules and conditions up front", function () {
+      function withRule(rule) {
+        return function () { createVerificationPipeline({ stages: [{ name: "a", run: function () {}, rules: [rule] }] }); };
+      }
+      assert.throws(withRule({ when: "$.x", decision: "maybe" }), /decision must be one of/);
+      assert.throws(withRule({ when: { path: "$.x", approx: 1 }, decision: "block" }), /unknown comparison/);
+      assert.throws(withRule({ when: { path: "$.x" }, decision: "block" }), /no comparison/);
+      assert.throws(withRule({ when: { all: "x" }, decision: "block" }), /array/);
+      assert.throws(withRule({ when: 5, decision: "block" }), TypeError);
+    });
+
+    it("describe() lists the stages with their default rules", function () {
+      var p = createVerificationPipeline({
+        stages: [{ name: "limit", type: "rateLimit", use: gifCaptcha.createCaptchaRateLimiter() }],
+      });
+      var d = p.describe();
+      assert.equal(d[0].type, "rateLimit");
+      assert.deepEqual(d[0].rules[0], { when: "!$.allowed", decision: "block", reason: "rate_limited", stop: true });
+      assert.equal(Object.keys(STAGE_TYPES).length, 8);
+    });
+  });
+
+  describe("rules", function () {
+    function pipeline(rules, extra) {
+      return createVerificationPipeline(Object.assign({
+        stages: [
+          { name: "a", run: function (ctx) { return ctx.request.a; }, rules: rules },
+          { name: "b", run: function () { return { ran: true }; } },
+        ],
+      }, extra));
+    }
+
+    it("stops on the first matching stopping rule", async function () {
+      var p = pipeline([{ when: { path: "$.score", gte: 0.8 }, decision: "block", reason: "high" }]);
+      var r = await p.run({ a: { score: 0.9 } });
+      assert.equal(r.decision, "block");
+      assert.equal(r.reason, "high");
+      assert.equal(r.stoppedAt, "a");
+      assert.equal(r.trace.length, 1);
+      assert.equal(r.context.b, undefined);
+    });
+
+    it("falls back to defaultDecision when nothing matches", async function () {
+      var r = await pipeline([{ when: "$.bad", decision: "block" }]).run({ a: { bad: false } });
+      assert.equal(r.decision, "allow");
+      assert.equal(r.reason, "no_rule_matched");
+      assert.deepEqual(r.context.b, { ran: true });
+      var strict = await pipeline([], { defaultDecision: "challenge" }).run({ a: {} });
+      assert.equal(strict.decision, "challenge");
+    });
+
+    it("keeps the strictest tentative decision and lets a stopping rule override it", async function () {
+      var p = createVerificationPipeline({
+        stages: [
+          { name: "a", run: function () { return 1; }, rules: [{ when: { path: "a", eq: 1 }, decision: "challenge", reason: "c1", stop: false }] },
+          { name: "b", run: function () { return 2; }, rules: [{ when: { path: "b", eq: 2 }, decision: "allow", reason: "a2", stop: false }] },
+          { name: "c", run: function (ctx) { return ctx.request.token; }, rules: [{ when: "$", decision: "allow", reason: "token" }] },
+        ],
+      });
+      var r = await p.run({});
+      assert.equal(r.decision, "challenge");
+      assert.equal(r.reason, "c1");
+      assert.equal(r.decidedBy, "a");
+      assert.equal(r.reasons.length, 2);
+      var bypass = await p.run({ token: "t" });
+      assert.equal(bypass.decision, "allow");
+      assert.equal(bypass.reason, "token");
+    });
+
+    it("supports all / any / not, in, includes and exists", async function () {
+      var p = pipeline([
+        {
+          when: {
+            all: [
+              { any: [{ path: "$.country", in: ["KP", "IR"] }, { path: "$.flags", includes: "tor" }] },
+              { not: { path: "request.vip", exists: true } },
+            ],
+          },
+          decision: "block",
+          reason: "combo",
+        },
+      ]);
+      assert.equal((await p.run({ a: { country: "FR", flags: ["tor"] } })).decision, "block");
+      assert.equal((await p.run({ a: { country: "KP", flags: [] }, vip: 1 })).decision, "allow");
+      assert.equal((await p.run({ a: { country: "FR", flags: [] } })).decision, "allow");
+    });
+
+    it("ignores inherited properties in paths", async function () {
+      var r = await pipeline([{ when: "$.constructor", decision: "block" }]).run({ a: {} });
+      assert.equal(r.decision, "allow");
+    });
+
+    it("skips stages whose when condition is false", async function () {
+      var p = createVerificationPipeline({
+        stages: [{ name: "x", when: "request.go", run: function () { return 1; } }],
+      });
+      var r = await p.run({});
+      assert.equal(r.trace[0].status, "skipped");
+      assert.equal(r.trace[0].skippedBecause, "request.go");
+    });
+  });
+
+  describe("errors", function () {
+    it("fails closed with a challenge by default", async function () {
+      var p = createVerificationPipeline({
+        stages: [
+          { name: "boom", run: function () { throw new Error("down"); } },
+          { name: "after", run: function () { return 1; } },
+        ],
+      });
+      var r = await p.run({});
+      assert.equal(r.decision, "challenge");
+      assert.equal(r.reason, "stage_error");
+      assert.equal(r.trace[0].status, "error");
+      assert.equal(r.trace[0].error, "down");
+      assert.equal(r.trace.length, 1);
+      assert.equal(p.getStats().errors, 1);
+    });
+
+    it("can continue past a failing optional stage", async function () {
+      var p = createVerificationPipeline({
+        stages: [
+          { name: "boom", onError: "continue", run: function () { return Promise.reject(new Error("x")); } },
+          { name: "after", run: function () { return 1; } },
+        ],
+      });
+      var r = await p.run({});
+      assert.equal(r.decision, "allow");
+      assert.equal(r.context.after, 1);
+    });
+  });
+
+  describe("built-in stages", function () {
+    function fullPipeline(opts) {
+      opts = opts || {};
+      var sessions = gifCaptcha.createSessionManager();
+      var verifier = gifCaptcha.createTokenVerifier({ secret: SECRET });
+      var pipeline = createVerificationPipeline({
+        stages: [
+          { name: "token", type: "token", use: verifier },
+          { name: "limit", type: "rateLimit", use: gifCaptcha.createCaptchaRateLimiter({ maxRequests: opts.maxRequests || 100, windowMs: 60000 }) },
+          { name: "geo", type: "geoRisk", use: gifCaptcha.createGeoRiskScorer() },
+          { name: "fp", type: "fingerprint", use: gifCaptcha.createClientFingerprinter() },
+          { name: "bot", type: "botDetection", use: gifCaptcha.createBotDetector() },
+          { name: "risk", type: "sessionRisk", use: gifCaptcha.createSessionRiskAggregator() },
+          { name: "router", type: "route", use: gifCaptcha.createChallengeRouter() },
+          { name: "session", type: "session", use: sessions },
+        ],
+      });
+      return { pipeline: pipeline, verifier: verifier, sessions: sessions };
+    }
+
+    it("runs the whole chain and records a trace", async function () {
+      var env = fullPipeline();
+      var r = await env.pipeline.run({ ip: "198.51.100.7", sessionId: "s-1", country: "US", behavior: humanBehavior() });
+      assert.deepEqual(r.trace.map(function (t) { return t.stage; }),
+        ["token", "limit", "geo", "fp", "bot", "risk", "router", "session"]);
+      assert.equal(r.trace[0].status, "skipped");
+      assert.equal(r.trace[1].summary.allowed, true);
+      assert.equal(typeof r.context.geo.score, "number");
+      assert.ok(r.context.risk);
+      assert.match(env.pipeline.explain(r), /^(ALLOW|CHALLENGE|BLOCK) \(/);
+    });
+
+    it("opens a CAPTCHA session only for challenged requests", async function () {
+      var env = fullPipeline();
+      var r = await env.pipeline.run({ ip: "203.0.113.9", sessionId: "s-2", country: "KP", behavior: {} });
+      assert.equal(r.decision, "challenge");
+      var sessionTrace = r.trace[r.trace.length - 1];
+      assert.equal(sessionTrace.status, "ok");
+      assert.equal(typeof r.context.session.sessionId, "string");
+    });
+
+    it("blocks rate-limited clients before the other stages run", async function () {
+      var env = fullPipeline({ maxRequests: 1 });
+      await env.pipeline.run({ ip: "192.0.2.1" });
+      var r = await env.pipeline.run({ ip: "192.0.2.1" });
+      assert.equal(r.decision, "block");
+      assert.equal(r.reason, "rate_limited");
+      assert.equal(r.stoppedAt, "limit");
+      assert.equal(r.context.geo, undefined);
+    });
+
+    it("lets a valid pass token through without further checks", async function () {
+      var env = fullPipeline();
+      var issued = env.verifier.issueToken({ sessionId: "s-3", score: 1, difficulty: 1 });
+      var r = await env.pipeline.run({ ip: "192.0.2.5", token: issued.token, country: "KP" });
+      assert.equal(r.decision, "allow");
+      assert.equal(r.reason, "valid_token");
+      assert.equal(r.trace.length, 1);
+    });
+
+    it("tracks recent results and stats", async function () {
+      var env = fullPipeline();
+      await env.pipeline.run({ ip: "192.0.2.10", country: "US" });
+      await env.pipeline.run({ ip: "192.0.2.11", country: "KP" });
+      var stats = env.pipeline.getStats();
+      assert.equal(stats.runs, 2);
+      assert.equal(stats.allow + stats.challenge + stats.block, 2);
+      assert.equal(env.pipeline.recent(1).length, 1);
+    });
+  });
+});